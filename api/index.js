@@ -5,6 +5,7 @@ const { initDatabase } = require('../server/db/database');
 const { initTelegramWorkflow } = require('../server/services/telegram-workflow');
 const tweetsRouter = require('../server/routes/tweets');
 const competitorsRouter = require('../server/routes/competitors');
+const keywordMonitorsRouter = require('../server/routes/keyword-monitors');
 const analyticsRouter = require('../server/routes/analytics');
 const aiRouter = require('../server/routes/ai');
 const settingsRouter = require('../server/routes/settings');
@@ -16,6 +17,11 @@ const growthRouter = require('../server/routes/growth');
 const cronRouter = require('../server/routes/cron');
 const logsRouter = require('../server/routes/logs');
 const improvementRouter = require('../server/routes/improvement');
+const promptExperimentsRouter = require('../server/routes/prompt-experiments');
+const calendarRouter = require('../server/routes/calendar');
+const evergreenRouter = require('../server/routes/evergreen');
+const queueRouter = require('../server/routes/queue');
+const blackoutsRouter = require('../server/routes/blackouts');
 const telegramRouter = require('../server/routes/telegram');
 
 const basicAuth = require('../server/middleware/basicAuth');
@@ -24,12 +30,15 @@ const app = express();
 
 app.use(basicAuth);
 app.use(cors());
-app.use(express.json());
+// Image uploads (/api/tweets/media) are sent as base64 JSON, up to 3MB per image;
+// 4.5MB is also the most Vercel accepts for a request body
+app.use(express.json({ limit: '4.5mb' }));
 
 // API routes
 app.use('/api/accounts', accountsRouter);
 app.use('/api/tweets', tweetsRouter);
 app.use('/api/competitors', competitorsRouter);
+app.use('/api/keyword-monitors', keywordMonitorsRouter);
 app.use('/api/analytics', analyticsRouter);
 app.use('/api/ai', aiRouter);
 app.use('/api/settings', settingsRouter);
@@ -40,6 +49,11 @@ app.use('/api/growth', growthRouter);
 app.use('/api/cron', cronRouter);
 app.use('/api/logs', logsRouter);
 app.use('/api/improvement', improvementRouter);
+app.use('/api/prompt-experiments', promptExperimentsRouter);
+app.use('/api/calendar', calendarRouter);
+app.use('/api/evergreen', evergreenRouter);
+app.use('/api/queue', queueRouter);
+app.use('/api/blackouts', blackoutsRouter);
 app.use('/api/telegram', telegramRouter);
 
 // Global error handler for API routes - ensures JSON responses for all errors
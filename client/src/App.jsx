@@ -4,6 +4,7 @@ import { AccountProvider } from './contexts/AccountContext';
 import Layout from './components/Layout';
 import Dashboard from './pages/Dashboard';
 import Post from './pages/Post';
+import Calendar from './pages/Calendar';
 import Competitors from './pages/Competitors';
 import Settings from './pages/Settings';
 import QuoteWorkflow from './pages/QuoteWorkflow';
@@ -19,6 +20,7 @@ export default function App() {
           <Routes>
             <Route path="/" element={<Dashboard />} />
             <Route path="/post" element={<Post />} />
+            <Route path="/calendar" element={<Calendar />} />
             <Route path="/quote-workflow" element={<QuoteWorkflow />} />
             <Route path="/reply-workflow" element={<ReplyWorkflow />} />
             <Route path="/auto-post" element={<AutoPost />} />
@@ -18,7 +18,10 @@ export default function AIGenerator({ postType = 'new', onSelect, onClose }) {
   const [includeContext, setIncludeContext] = useState(false);
   const [candidates, setCandidates] = useState([]);
   const [resultInfo, setResultInfo] = useState(null);
-  const { get, post, loading, error } = useAPI();
+  // Variants shown while the response is still streaming
+  const [streamedVariants, setStreamedVariants] = useState([]);
+  const [streamStatus, setStreamStatus] = useState(null);
+  const { get, stream, loading, error } = useAPI();
   const { currentAccount } = useAccount();
 
   // Initialize from task-level settings, falling back to account defaults
@@ -28,7 +31,8 @@ export default function AIGenerator({ postType = 'new', onSelect, onClose }) {
       const taskSetting = (taskModels || []).find(m => m.task_type === taskType);
       if (taskSetting && taskSetting.preferred_provider) {
         const prov = taskSetting.preferred_provider;
-        const mdl = prov === 'claude' ? taskSetting.claude_model : taskSetting.gemini_model;
+        const mdl = taskSetting.provider_models?.[prov]
+          || (prov === 'claude' ? taskSetting.claude_model : prov === 'gemini' ? taskSetting.gemini_model : null);
         setProvider(prov);
         if (mdl) setModel(mdl);
         return;
@@ -48,19 +52,42 @@ export default function AIGenerator({ postType = 'new', onSelect, onClose }) {
 
   const handleGenerate = async () => {
     if (!theme.trim()) return;
+    setCandidates([]);
+    setResultInfo(null);
+    setStreamedVariants([]);
+    setStreamStatus(null);
     try {
-      const result = await post('/ai/generate', {
+      const result = await stream('/ai/generate/stream', {
         theme,
         postType,
         provider,
         model,
         accountId: currentAccount?.id,
         includeCompetitorContext: includeContext
+      }, (type, data) => {
+        if (type === 'variant') {
+          setStreamedVariants(prev => [...prev, data.variant]);
+        } else if (type === 'repair') {
+          setStreamedVariants([]);
+          setStreamStatus('出力形式を修正中...');
+        } else if (type === 'failover') {
+          setStreamedVariants([]);
+          setStreamStatus(`${data.failed.provider} が失敗したため ${data.next.provider} で再生成中...`);
+        }
       });
       setCandidates(result.candidates || []);
-      setResultInfo({ provider: result.provider, model: result.model });
+      setResultInfo({
+        provider: result.provider,
+        model: result.model,
+        failover: result.failover,
+        promptVersionId: result.promptVersionId || null,
+        experimentVariantId: result.experimentVariantId || null
+      });
     } catch (err) {
       // error available via hook
+    } finally {
+      setStreamedVariants([]);
+      setStreamStatus(null);
     }
   };
 
@@ -115,9 +142,27 @@ export default function AIGenerator({ postType = 'new', onSelect, onClose }) {
 
           {error && <p className="text-sm text-red-500">{error}</p>}
 
+          {loading && (streamStatus || streamedVariants.length > 0) && (
+            <div className="space-y-2">
+              {streamStatus && <p className="text-xs text-amber-600">{streamStatus}</p>}
+              {streamedVariants.map((v, i) => (
+                <div key={i} className="p-3 border border-dashed border-gray-200 rounded-lg">
+                  {v.label && <p className="text-xs text-gray-400 mb-1">{v.label}</p>}
+                  <p className="text-sm text-gray-500 whitespace-pre-wrap">{v.body}</p>
+                </div>
+              ))}
+            </div>
+          )}
+
           {resultInfo && (
             <p className="text-xs text-gray-400">
               {resultInfo.provider} / {resultInfo.model}
+              {resultInfo.failover && (
+                <span className="ml-2 text-amber-600">
+                  （{resultInfo.failover.from.provider}
+                  {resultInfo.failover.from.model ? ` / ${resultInfo.failover.from.model}` : ''} が失敗したためフォールバック）
+                </span>
+              )}
             </p>
           )}
 
@@ -127,7 +172,11 @@ export default function AIGenerator({ postType = 'new', onSelect, onClose }) {
               {candidates.map((c, i) => (
                 <button
                   key={i}
-                  onClick={() => onSelect(c)}
+                  onClick={() => onSelect({
+                    ...c,
+                    promptVersionId: resultInfo?.promptVersionId || null,
+                    experimentVariantId: resultInfo?.experimentVariantId || null
+                  })}
                   className="w-full text-left p-3 border border-gray-200 rounded-lg hover:border-purple-300 hover:bg-purple-50 transition-colors"
                 >
                   <p className="text-sm text-gray-800">{c.text}</p>
@@ -17,16 +17,25 @@ const TASK_LABELS = {
   performance_summary: 'パフォーマンス要約'
 };
 
+const CACHE_TYPE_LABELS = {
+  user_by_handle: 'ユーザー情報',
+  user_tweets: 'ユーザー投稿',
+  search_tweets: '検索',
+  my_replied_ids: 'リプライ済みID'
+};
+
 export default function CostDashboard({ onClose }) {
   const [summary, setSummary] = useState(null);
   const [dailyCosts, setDailyCosts] = useState([]);
   const [optimizationScore, setOptimizationScore] = useState(null);
+  const [xApiCache, setXApiCache] = useState(null);
   const { get } = useAPI();
 
   useEffect(() => {
     get('/costs/summary').then(setSummary).catch(() => {});
     get('/costs/daily?days=30').then(setDailyCosts).catch(() => {});
     get('/costs/optimization-score').then(setOptimizationScore).catch(() => {});
+    get('/costs/x-api-cache').then(setXApiCache).catch(() => {});
   }, [get]);
 
   if (!summary) {
@@ -213,6 +222,54 @@ export default function CostDashboard({ onClose }) {
             </div>
           </div>
         )}
+
+        {/* X API cache */}
+        {xApiCache && (
+          <div className="bg-white border border-gray-200 rounded-lg p-4 mt-6">
+            <h3 className="font-semibold text-gray-900 mb-3">
+              X APIキャッシュ（今月）
+              <span className="ml-2 text-xs font-normal text-gray-400">
+                {xApiCache.backend === 'database' ? 'DB保存' : 'メモリ'}
+              </span>
+            </h3>
+            <div className="grid grid-cols-3 gap-3 mb-3">
+              <div className="bg-gray-50 rounded p-2">
+                <p className="text-xs text-gray-500">ヒット率</p>
+                <p className="font-medium">{xApiCache.hitRate.toFixed(1)}%</p>
+              </div>
+              <div className="bg-gray-50 rounded p-2">
+                <p className="text-xs text-gray-500">ヒット / ミス</p>
+                <p className="font-medium">{xApiCache.hits} / {xApiCache.misses}</p>
+              </div>
+              <div className="bg-gray-50 rounded p-2">
+                <p className="text-xs text-gray-500">推定節約額</p>
+                <p className="font-medium text-green-600">{formatCurrency(xApiCache.savedUsd)}</p>
+              </div>
+            </div>
+            {xApiCache.byType.length > 0 && (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-gray-500 border-b">
+                    <th className="py-1">種類</th>
+                    <th className="py-1 text-right">ヒット率</th>
+                    <th className="py-1 text-right">ヒット / ミス</th>
+                    <th className="py-1 text-right">節約額</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {xApiCache.byType.map(t => (
+                    <tr key={t.type} className="border-b border-gray-100">
+                      <td className="py-1">{CACHE_TYPE_LABELS[t.type] || t.type}</td>
+                      <td className="py-1 text-right">{t.hitRate.toFixed(1)}%</td>
+                      <td className="py-1 text-right">{t.hits} / {t.misses}</td>
+                      <td className="py-1 text-right">{formatCurrency(t.savedUsd)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        )}
       </div>
     </div>
   );
@@ -4,6 +4,17 @@ import { useAccount } from '../contexts/AccountContext';
 import { formatDate } from '../utils/formatters';
 import FeedbackRuleModal from './FeedbackRuleModal';
 
+// Matches RULE_LABELS in server/services/content-linter.js
+const LINT_RULE_LABELS = {
+  emoji: '絵文字',
+  decoration: '装飾記号',
+  hashtag: 'ハッシュタグ',
+  platform: 'プラットフォーム名',
+  banned_word: '使わない語句',
+  hedge: '保険表現',
+  length: '文字数超過'
+};
+
 export default function DraftList() {
   const [drafts, setDrafts] = useState([]);
   const [editingId, setEditingId] = useState(null);
@@ -85,6 +96,7 @@ export default function DraftList() {
       });
     } catch (err) {
       alert(`投稿エラー: ${err.message}`);
+      fetchDrafts();
     } finally {
       setPosting(null);
     }
@@ -100,7 +112,18 @@ export default function DraftList() {
       setScheduleTime('');
       setDrafts(prev => prev.filter(d => d.id !== id));
     } catch (err) {
-      // ignore
+      alert(`予約エラー: ${err.message}`);
+      fetchDrafts();
+    }
+  };
+
+  const handleQueue = async (id) => {
+    try {
+      await post(`/tweets/drafts/${id}/queue`);
+      setDrafts(prev => prev.filter(d => d.id !== id));
+    } catch (err) {
+      alert(`キュー追加エラー: ${err.message}`);
+      fetchDrafts();
     }
   };
 
@@ -263,6 +286,16 @@ export default function DraftList() {
                       {draft.ai_provider}
                     </span>
                   )}
+                  {draft.thread_parts?.length > 1 && (
+                    <span className="inline-block px-2 py-0.5 text-xs bg-blue-100 text-blue-700 rounded mb-1 ml-1">
+                      スレッド {draft.thread_parts.length}件
+                    </span>
+                  )}
+                  {draft.attachment_ids?.length > 0 && (
+                    <span className="inline-block px-2 py-0.5 text-xs bg-green-100 text-green-700 rounded mb-1 ml-1">
+                      画像 {draft.attachment_ids.length}枚
+                    </span>
+                  )}
                   {feedbackHistories[draft.id]?.length > 0 && (
                     <span className="inline-block px-2 py-0.5 text-xs bg-amber-100 text-amber-700 rounded mb-1 ml-1">
                       FB {feedbackHistories[draft.id].length}回
@@ -281,6 +314,24 @@ export default function DraftList() {
                     </div>
                   )}
                   <p className="text-sm text-gray-800 break-words whitespace-pre-wrap">{draft.text}</p>
+                  {draft.similarity && (
+                    <p
+                      className="text-xs text-gray-400 mt-1"
+                      title={draft.similarity.method === 'embedding' ? '埋め込みによる類似度' : '文字の並びによる類似度'}
+                    >
+                      過去投稿との類似度: {Math.round(draft.similarity.score * 100)}%
+                      {draft.similarity.post_id ? `（投稿 #${draft.similarity.post_id}）` : ''}
+                    </p>
+                  )}
+                  {draft.lint_violations?.length > 0 && (
+                    <div className="flex flex-wrap gap-1 mt-1">
+                      {draft.lint_violations.map((v, i) => (
+                        <span key={i} className="px-1.5 py-0.5 text-xs rounded bg-red-50 text-red-600">
+                          {v.part ? `[${v.part}] ` : ''}{LINT_RULE_LABELS[v.rule] || v.rule}: {v.matches.join('、')}
+                        </span>
+                      ))}
+                    </div>
+                  )}
                   <p className="text-xs text-gray-400 mt-1">
                     作成: {formatDate(draft.created_at)}
                   </p>
@@ -302,6 +353,16 @@ export default function DraftList() {
                     </button>
                   </div>
 
+                  {draft.thread_parts?.length > 1 && (
+                    <span className="inline-block px-2 py-0.5 text-xs bg-blue-100 text-blue-700 rounded mb-1 ml-1">
+                      スレッド {draft.thread_parts.length}件
+                    </span>
+                  )}
+                  {draft.attachment_ids?.length > 0 && (
+                    <span className="inline-block px-2 py-0.5 text-xs bg-green-100 text-green-700 rounded mb-1 ml-1">
+                      画像 {draft.attachment_ids.length}枚
+                    </span>
+                  )}
                   {feedbackHistories[draft.id]?.length > 0 && (
                     <div className="flex flex-wrap gap-1">
                       {feedbackHistories[draft.id].map((fb, i) => (
@@ -350,6 +411,16 @@ export default function DraftList() {
                   )}
 
                   {/* OK button: appears when feedback history exists */}
+                  {draft.thread_parts?.length > 1 && (
+                    <span className="inline-block px-2 py-0.5 text-xs bg-blue-100 text-blue-700 rounded mb-1 ml-1">
+                      スレッド {draft.thread_parts.length}件
+                    </span>
+                  )}
+                  {draft.attachment_ids?.length > 0 && (
+                    <span className="inline-block px-2 py-0.5 text-xs bg-green-100 text-green-700 rounded mb-1 ml-1">
+                      画像 {draft.attachment_ids.length}枚
+                    </span>
+                  )}
                   {feedbackHistories[draft.id]?.length > 0 && (
                     <div className="border-t border-amber-200 pt-2 flex justify-end">
                       <button
@@ -400,6 +471,13 @@ export default function DraftList() {
                   >
                     予約
                   </button>
+                  <button
+                    onClick={() => handleQueue(draft.id)}
+                    disabled={loading}
+                    className="px-3 py-1 text-xs text-indigo-600 border border-indigo-200 rounded hover:bg-indigo-50 disabled:opacity-50 transition-colors"
+                  >
+                    キューに追加
+                  </button>
                   <button
                     onClick={() => openFeedback(draft.id)}
                     disabled={feedbackId === draft.id}
@@ -0,0 +1,96 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAPI } from '../hooks/useAPI';
+import { formatDate } from '../utils/formatters';
+
+// Telegram's /pause and /resume change the state too, so keep checking
+const POLL_INTERVAL_MS = 60 * 1000;
+
+const SOURCE_LABELS = { ui: '画面', telegram: 'Telegram' };
+
+export default function EmergencyPause() {
+  const { get, post, del } = useAPI();
+  const [pause, setPause] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      setPause(await get('/blackouts/pause'));
+    } catch (e) {
+      setPause(null);
+    }
+  }, [get]);
+
+  useEffect(() => {
+    load();
+    const timer = setInterval(load, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [load]);
+
+  const handlePause = async () => {
+    const reason = window.prompt('すべての予約投稿と自動投稿を止めます。理由（任意）を入力してください。');
+    if (reason === null) return;
+    setBusy(true);
+    setError(null);
+    try {
+      setPause(await post('/blackouts/pause', { reason }));
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleResume = async () => {
+    if (!window.confirm('投稿を再開しますか？止まっていた予約投稿は次の実行で投稿されます。')) return;
+    setBusy(true);
+    setError(null);
+    try {
+      setPause(await del('/blackouts/pause'));
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!pause) return null;
+
+  if (pause.paused) {
+    return (
+      <div className="mb-4 flex items-center justify-between gap-3 bg-red-50 border border-red-200 rounded-lg px-4 py-3">
+        <div className="text-sm text-red-700">
+          <p className="font-semibold">🛑 投稿を緊急停止中です</p>
+          <p className="text-xs mt-0.5">
+            {pause.reason && <>理由: {pause.reason} ／ </>}
+            {pause.since && <>{formatDate(pause.since)} から</>}
+            {pause.source && <>（{SOURCE_LABELS[pause.source] || pause.source}）</>}
+            予約投稿と自動投稿は再開するまで行われません。
+          </p>
+          {error && <p className="text-xs mt-1">{error}</p>}
+        </div>
+        <button
+          onClick={handleResume}
+          disabled={busy}
+          className="px-3 py-1.5 text-sm bg-white text-red-700 border border-red-300 rounded-lg hover:bg-red-100 disabled:opacity-50 whitespace-nowrap"
+        >
+          再開
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="mb-4 flex items-center justify-end gap-2">
+      {error && <p className="text-xs text-red-500">{error}</p>}
+      <button
+        onClick={handlePause}
+        disabled={busy}
+        title="すべての予約投稿と自動投稿を止める"
+        className="px-3 py-1 text-xs text-red-600 border border-red-200 rounded-lg hover:bg-red-50 disabled:opacity-50"
+      >
+        🛑 緊急停止
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,211 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAPI } from '../hooks/useAPI';
+import { useAccount } from '../contexts/AccountContext';
+import { formatTimeZone } from '../utils/formatters';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_SETTING = {
+  enabled: false,
+  postsPerDay: 1,
+  scheduleTimes: '12:00',
+  scheduleMode: 'scheduled',
+  minGapDays: 30,
+  rewrite: false,
+};
+
+function formatDay(isoString) {
+  if (!isoString) return '-';
+  const d = new Date(isoString);
+  return `${d.getFullYear()}/${d.getMonth() + 1}/${d.getDate()}`;
+}
+
+export default function EvergreenQueue() {
+  const { get, put, del } = useAPI();
+  const { currentAccount } = useAccount();
+  const [setting, setSetting] = useState(DEFAULT_SETTING);
+  const [entries, setEntries] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const load = useCallback(async () => {
+    if (!currentAccount) return;
+    try {
+      const [settings, pool] = await Promise.all([
+        get(`/auto-post/settings?accountId=${currentAccount.id}`),
+        get(`/evergreen?accountId=${currentAccount.id}`)
+      ]);
+      const s = settings.find(x => x.post_type === 'evergreen');
+      setSetting(s ? {
+        enabled: s.enabled,
+        postsPerDay: s.posts_per_day,
+        scheduleTimes: s.schedule_times,
+        scheduleMode: s.schedule_mode,
+        minGapDays: s.evergreen_min_gap_days || DEFAULT_SETTING.minGapDays,
+        rewrite: !!s.evergreen_rewrite,
+      } : DEFAULT_SETTING);
+      setEntries(pool || []);
+    } catch (e) {
+      setEntries([]);
+    }
+  }, [get, currentAccount]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const update = (key, value) => setSetting(prev => ({ ...prev, [key]: value }));
+
+  const handleSave = async () => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      await put('/auto-post/settings', {
+        accountId: currentAccount.id,
+        postType: 'evergreen',
+        enabled: setting.enabled,
+        postsPerDay: setting.postsPerDay,
+        scheduleTimes: setting.scheduleTimes,
+        scheduleMode: setting.scheduleMode,
+        evergreenMinGapDays: setting.minGapDays,
+        evergreenRewrite: setting.rewrite,
+      });
+      setMessage({ type: 'success', text: '保存しました' });
+    } catch (e) {
+      setMessage({ type: 'error', text: e.message || '保存に失敗しました' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleEntry = async (entry) => {
+    try {
+      const updated = await put(`/evergreen/${entry.id}`, { enabled: !entry.enabled });
+      setEntries(prev => prev.map(e => (e.id === entry.id ? updated : e)));
+    } catch (e) {
+      alert(`更新に失敗しました: ${e.message}`);
+    }
+  };
+
+  const removeEntry = async (entry) => {
+    if (!window.confirm('この投稿をエバーグリーンから外しますか？')) return;
+    try {
+      await del(`/evergreen/${entry.id}`);
+      setEntries(prev => prev.filter(e => e.id !== entry.id));
+    } catch (e) {
+      alert(`削除に失敗しました: ${e.message}`);
+    }
+  };
+
+  const nextEligible = (entry) => (entry.last_queued_at
+    ? new Date(new Date(entry.last_queued_at).getTime() + setting.minGapDays * DAY_MS)
+    : null);
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg overflow-hidden">
+      <div className="px-4 py-3 bg-green-100 text-green-800">
+        <h3 className="font-semibold">エバーグリーン再投稿</h3>
+        <p className="text-xs opacity-75 mt-0.5">
+          反応の良かった過去投稿を、最短間隔を空けて順番に再投稿します（ダッシュボードの投稿一覧から追加）
+        </p>
+      </div>
+
+      <div className="p-4 space-y-4">
+        <div className="grid grid-cols-2 gap-4">
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input type="checkbox" checked={setting.enabled} onChange={(e) => update('enabled', e.target.checked)} />
+            有効にする
+          </label>
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input type="checkbox" checked={setting.rewrite} onChange={(e) => update('rewrite', e.target.checked)} />
+            AIで言い回しを変えてから再投稿
+          </label>
+          <div>
+            <label className="block text-xs font-medium text-gray-500 mb-1">1日の再投稿数</label>
+            <input
+              type="number"
+              min={1}
+              max={10}
+              value={setting.postsPerDay}
+              onChange={(e) => update('postsPerDay', parseInt(e.target.value) || 1)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-500 mb-1">最短間隔（日）</label>
+            <input
+              type="number"
+              min={1}
+              value={setting.minGapDays}
+              onChange={(e) => update('minGapDays', parseInt(e.target.value) || 1)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-500 mb-1">実行時刻（{formatTimeZone(currentAccount?.timezone)}・カンマ区切り）</label>
+            <input
+              type="text"
+              value={setting.scheduleTimes}
+              onChange={(e) => update('scheduleTimes', e.target.value)}
+              placeholder="12:00"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm font-mono"
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-500 mb-1">投稿モード</label>
+            <select
+              value={setting.scheduleMode}
+              onChange={(e) => update('scheduleMode', e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            >
+              <option value="scheduled">予約投稿（時間帯に分散）</option>
+              <option value="immediate">実行時刻に投稿</option>
+              <option value="draft">下書き保存（確認後に手動投稿）</option>
+            </select>
+          </div>
+        </div>
+
+        <div className="flex items-center gap-3">
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+          >
+            {saving ? '保存中...' : '保存'}
+          </button>
+          {message && (
+            <span className={`text-sm ${message.type === 'error' ? 'text-red-600' : 'text-green-600'}`}>{message.text}</span>
+          )}
+        </div>
+
+        <div className="border-t border-gray-100 pt-3 space-y-2">
+          <h4 className="text-sm font-medium text-gray-700">再投稿する投稿（{entries.length}件・次に出る順）</h4>
+          {entries.length === 0 && (
+            <p className="text-xs text-gray-400 py-2 text-center">
+              まだありません。ダッシュボードの「自分の投稿パフォーマンス」から追加してください
+            </p>
+          )}
+          {entries.map(entry => {
+            const next = nextEligible(entry);
+            return (
+              <div key={entry.id} className={`border rounded-lg p-3 ${entry.enabled ? 'border-gray-200' : 'border-gray-100 bg-gray-50 opacity-60'}`}>
+                <p className="text-sm text-gray-800 break-words line-clamp-2">{entry.text}</p>
+                <div className="flex items-center gap-3 mt-1 text-xs text-gray-500">
+                  <span>再投稿 {entry.repost_count}回</span>
+                  <span>前回 {formatDay(entry.last_queued_at)}</span>
+                  <span>
+                    {next && next > new Date() ? `${formatDay(next.toISOString())} 以降` : '再投稿可能'}
+                  </span>
+                  <button onClick={() => toggleEntry(entry)} className="ml-auto text-blue-600 hover:text-blue-800">
+                    {entry.enabled ? '一時停止' : '再開'}
+                  </button>
+                  <button onClick={() => removeEntry(entry)} className="text-red-500 hover:text-red-700">
+                    外す
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
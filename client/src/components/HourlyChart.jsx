@@ -1,14 +1,19 @@
 import React, { useState, useEffect } from 'react';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Cell } from 'recharts';
 import { useAPI } from '../hooks/useAPI';
+import { useAccount } from '../contexts/AccountContext';
+import { formatTimeZone } from '../utils/formatters';
 
 export default function HourlyChart() {
   const [data, setData] = useState([]);
   const { get } = useAPI();
+  const { currentAccount } = useAccount();
 
+  // Hours are the account's local hours, so they line up with its schedule_times
   useEffect(() => {
-    get('/analytics/hourly').then(setData).catch(() => {});
-  }, [get]);
+    const query = currentAccount ? `?accountId=${currentAccount.id}` : '';
+    get(`/analytics/hourly${query}`).then(setData).catch(() => {});
+  }, [get, currentAccount]);
 
   // Determine top 3 hours for highlighting
   const sorted = [...data].sort((a, b) => b.avg_engagement_rate - a.avg_engagement_rate);
@@ -16,7 +21,10 @@ export default function HourlyChart() {
 
   return (
     <div className="bg-white rounded-lg border border-gray-200 p-4">
-      <h3 className="font-semibold text-gray-900 mb-4">時間帯別パフォーマンス</h3>
+      <h3 className="font-semibold text-gray-900 mb-4">
+        時間帯別パフォーマンス
+        <span className="ml-2 text-xs font-normal text-gray-400">{formatTimeZone(currentAccount?.timezone)}</span>
+      </h3>
       <div className="h-64 overflow-x-auto">
         <ResponsiveContainer width="100%" height="100%">
           <BarChart data={data}>
@@ -0,0 +1,198 @@
+import React, { useState, useEffect } from 'react';
+import { useAPI } from '../hooks/useAPI';
+import { useAccount } from '../contexts/AccountContext';
+import { formatRelativeTime } from '../utils/formatters';
+
+const INTERVAL_OPTIONS = [
+  { value: 1, label: '1時間ごと' },
+  { value: 6, label: '6時間ごと' },
+  { value: 12, label: '12時間ごと' },
+  { value: 24, label: '毎日' }
+];
+
+export default function KeywordMonitors({ suggestedQuery = '' }) {
+  const [monitors, setMonitors] = useState([]);
+  const [query, setQuery] = useState('');
+  const [language, setLanguage] = useState('ja');
+  const [minEngagement, setMinEngagement] = useState('');
+  const [intervalHours, setIntervalHours] = useState(24);
+  const [runningId, setRunningId] = useState(null);
+  const [message, setMessage] = useState('');
+  const { get, post, put, del, loading, error } = useAPI();
+  const { currentAccount } = useAccount();
+
+  const fetchMonitors = async () => {
+    if (!currentAccount?.id) return;
+    try {
+      const data = await get(`/keyword-monitors?accountId=${currentAccount.id}`);
+      setMonitors(data || []);
+    } catch (err) {
+      // ignore
+    }
+  };
+
+  useEffect(() => { fetchMonitors(); }, [currentAccount]);
+
+  // Keywords picked from the suggestion chips can be saved as monitors
+  useEffect(() => {
+    if (suggestedQuery) setQuery(suggestedQuery);
+  }, [suggestedQuery]);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!query.trim() || !currentAccount?.id) return;
+    try {
+      await post('/keyword-monitors', {
+        accountId: currentAccount.id,
+        query: query.trim(),
+        language: language || null,
+        min_engagement: minEngagement ? parseInt(minEngagement) : 0,
+        interval_hours: intervalHours
+      });
+      setQuery('');
+      setMinEngagement('');
+      fetchMonitors();
+    } catch (err) {
+      // error from hook
+    }
+  };
+
+  const handleToggle = async (monitor) => {
+    try {
+      await put(`/keyword-monitors/${monitor.id}`, { enabled: !monitor.enabled });
+      fetchMonitors();
+    } catch (err) {
+      // error from hook
+    }
+  };
+
+  const handleRun = async (monitor) => {
+    setRunningId(monitor.id);
+    setMessage('');
+    try {
+      const result = await post(`/keyword-monitors/${monitor.id}/run`, {});
+      setMessage(`「${monitor.query}」: ${result.matched}件の新しい候補を保存しました`);
+      fetchMonitors();
+    } catch (err) {
+      // error from hook
+    } finally {
+      setRunningId(null);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      await del(`/keyword-monitors/${id}`);
+      setMonitors(monitors.filter(m => m.id !== id));
+    } catch (err) {
+      // ignore
+    }
+  };
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-4 space-y-4">
+      <div>
+        <h3 className="text-sm font-semibold text-gray-700">キーワード監視</h3>
+        <p className="text-xs text-gray-500 mt-1">
+          保存したキーワードを定期的に検索し、見つかったツイートをリプライ・引用RTの候補に追加します
+        </p>
+      </div>
+
+      <form onSubmit={handleAdd} className="flex flex-wrap gap-2">
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="キーワード（例: 京都 観光）"
+          className="flex-1 min-w-[12rem] px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+        <select
+          value={language}
+          onChange={(e) => setLanguage(e.target.value)}
+          className="px-2 py-2 border border-gray-300 rounded-lg text-sm"
+        >
+          <option value="ja">日本語</option>
+          <option value="en">英語</option>
+          <option value="">指定なし</option>
+        </select>
+        <input
+          type="number"
+          min="0"
+          value={minEngagement}
+          onChange={(e) => setMinEngagement(e.target.value)}
+          placeholder="最低エンゲージメント"
+          className="w-40 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+        />
+        <select
+          value={intervalHours}
+          onChange={(e) => setIntervalHours(parseInt(e.target.value))}
+          className="px-2 py-2 border border-gray-300 rounded-lg text-sm"
+        >
+          {INTERVAL_OPTIONS.map(o => (
+            <option key={o.value} value={o.value}>{o.label}</option>
+          ))}
+        </select>
+        <button
+          type="submit"
+          disabled={loading || !query.trim() || !currentAccount?.id}
+          className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+        >
+          監視を追加
+        </button>
+      </form>
+
+      {error && <p className="text-sm text-red-500">{error}</p>}
+      {message && <p className="text-sm text-green-700">{message}</p>}
+
+      {monitors.length === 0 ? (
+        <p className="text-sm text-gray-400 text-center py-2">監視中のキーワードはありません</p>
+      ) : (
+        <div className="space-y-2">
+          {monitors.map(m => (
+            <div key={m.id} className="border border-gray-100 rounded-lg p-3 flex items-center justify-between gap-4">
+              <div className="min-w-0">
+                <p className={`font-medium ${m.enabled ? 'text-gray-900' : 'text-gray-400'}`}>
+                  {m.query}
+                  {!m.enabled && <span className="ml-2 text-xs">（停止中）</span>}
+                </p>
+                <div className="flex flex-wrap gap-3 mt-1 text-xs text-gray-500">
+                  <span>{INTERVAL_OPTIONS.find(o => o.value === m.interval_hours)?.label || `${m.interval_hours}時間ごと`}</span>
+                  {m.language && <span>lang:{m.language}</span>}
+                  {m.min_engagement > 0 && <span>最低 {m.min_engagement} エンゲージメント</span>}
+                  <span>候補: {m.tweet_count || 0}件</span>
+                  {m.last_run_at ? (
+                    <span>最終実行: {formatRelativeTime(m.last_run_at)}（+{m.last_run_tweet_count || 0}件）</span>
+                  ) : (
+                    <span>未実行</span>
+                  )}
+                  {m.last_run_error && <span className="text-red-500">エラー: {m.last_run_error}</span>}
+                </div>
+              </div>
+              <div className="flex gap-2 flex-shrink-0">
+                <button
+                  onClick={() => handleRun(m)}
+                  disabled={runningId === m.id}
+                  className="px-3 py-1 text-xs text-blue-600 border border-blue-200 rounded hover:bg-blue-50 disabled:opacity-50 transition-colors"
+                >
+                  {runningId === m.id ? '実行中...' : '今すぐ実行'}
+                </button>
+                <button
+                  onClick={() => handleToggle(m)}
+                  className="px-3 py-1 text-xs text-gray-600 border border-gray-200 rounded hover:bg-gray-50 transition-colors"
+                >
+                  {m.enabled ? '停止' : '再開'}
+                </button>
+                <button
+                  onClick={() => handleDelete(m.id)}
+                  className="px-3 py-1 text-xs text-red-600 border border-red-200 rounded hover:bg-red-50 transition-colors"
+                >
+                  削除
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
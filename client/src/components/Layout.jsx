@@ -1,11 +1,13 @@
 import React from 'react';
 import { NavLink } from 'react-router-dom';
 import AccountSwitcher from './AccountSwitcher';
+import EmergencyPause from './EmergencyPause';
 import { useAccount } from '../contexts/AccountContext';
 
 const navItems = [
   { path: '/', label: 'ダッシュボード', icon: 'M3 12l2-2m0 0l7-7 7 7M5 10v10a1 1 0 001 1h3m10-11l2 2m-2-2v10a1 1 0 01-1 1h-3m-4 0h4' },
   { path: '/post', label: '投稿', icon: 'M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z' },
+  { path: '/calendar', label: 'カレンダー', icon: 'M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z' },
   { path: '/quote-workflow', label: '引用RT', icon: 'M7 8h10M7 12h4m1 8l-4-4H5a2 2 0 01-2-2V6a2 2 0 012-2h14a2 2 0 012 2v8a2 2 0 01-2 2h-3l-4 4z' },
   { path: '/reply-workflow', label: 'リプライ', icon: 'M3 10h10a8 8 0 018 8v2M3 10l6 6m-6-6l6-6' },
   { path: '/auto-post', label: '自動投稿', icon: 'M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z' },
@@ -71,6 +73,7 @@ export default function Layout({ children }) {
           <div className="md:hidden mb-4">
             <AccountSwitcher />
           </div>
+          <EmergencyPause />
           {children}
         </div>
       </main>
@@ -0,0 +1,117 @@
+import React, { useRef } from 'react';
+import { useAPI } from '../hooks/useAPI';
+
+const MAX_ATTACHMENTS = 4;
+// Matches server/services/media.js: larger images do not fit Vercel's request body limit as base64
+const MAX_IMAGE_BYTES = 3 * 1024 * 1024;
+const ACCEPTED_TYPES = 'image/jpeg,image/png,image/webp,image/gif';
+
+function readAsDataURL(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+/**
+ * Image attachment picker. Uploads each selected image to /api/tweets/media
+ * and reports the list of { id, previewUrl, altText } to the parent.
+ */
+export default function MediaPicker({ accountId, attachments, onChange }) {
+  const inputRef = useRef(null);
+  const { post, put, loading, error } = useAPI();
+
+  const handleFiles = async (e) => {
+    const files = Array.from(e.target.files || []).slice(0, MAX_ATTACHMENTS - attachments.length);
+    e.target.value = '';
+
+    const added = [];
+    for (const file of files) {
+      if (file.size > MAX_IMAGE_BYTES) {
+        alert(`${file.name} は3MBを超えているため添付できません`);
+        continue;
+      }
+      try {
+        const dataUrl = await readAsDataURL(file);
+        const uploaded = await post('/tweets/media', {
+          accountId,
+          mimeType: file.type,
+          data: dataUrl.split(',')[1]
+        });
+        added.push({ id: uploaded.id, previewUrl: dataUrl, altText: '' });
+      } catch (err) {
+        // error is available via the hook
+      }
+    }
+    if (added.length > 0) onChange([...attachments, ...added]);
+  };
+
+  const updateAltText = (id, altText) => {
+    onChange(attachments.map(a => (a.id === id ? { ...a, altText } : a)));
+  };
+
+  const saveAltText = async (attachment) => {
+    try {
+      await put(`/tweets/media/${attachment.id}`, { altText: attachment.altText });
+    } catch (err) {
+      // error is available via the hook
+    }
+  };
+
+  const remove = (id) => {
+    onChange(attachments.filter(a => a.id !== id));
+  };
+
+  return (
+    <div className="space-y-2">
+      {attachments.length > 0 && (
+        <div className="grid grid-cols-2 gap-2">
+          {attachments.map(a => (
+            <div key={a.id} className="border border-gray-200 rounded-lg p-2 space-y-1">
+              <div className="relative">
+                <img src={a.previewUrl} alt={a.altText} className="w-full h-28 object-cover rounded" />
+                <button
+                  type="button"
+                  onClick={() => remove(a.id)}
+                  className="absolute top-1 right-1 px-1.5 text-xs bg-black/60 text-white rounded"
+                >
+                  ×
+                </button>
+              </div>
+              <input
+                type="text"
+                value={a.altText}
+                onChange={(e) => updateAltText(a.id, e.target.value)}
+                onBlur={() => saveAltText(a)}
+                placeholder="代替テキスト（ALT）"
+                maxLength={1000}
+                className="w-full px-2 py-1 border border-gray-300 rounded text-xs"
+              />
+            </div>
+          ))}
+        </div>
+      )}
+
+      {error && <p className="text-sm text-red-500">{error}</p>}
+
+      <input
+        ref={inputRef}
+        type="file"
+        accept={ACCEPTED_TYPES}
+        multiple
+        onChange={handleFiles}
+        className="hidden"
+      />
+      <button
+        type="button"
+        onClick={() => inputRef.current && inputRef.current.click()}
+        disabled={loading || !accountId || attachments.length >= MAX_ATTACHMENTS}
+        className="px-3 py-2 text-sm text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+      >
+        {loading ? 'アップロード中...' : `画像を追加 (${attachments.length}/${MAX_ATTACHMENTS})`}
+      </button>
+    </div>
+  );
+}
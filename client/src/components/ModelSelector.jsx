@@ -1,18 +1,19 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
+import { useAPI } from '../hooks/useAPI';
 
-const CLAUDE_MODELS = [
-  { id: 'claude-opus-4-6', label: 'Opus 4.6（最高品質）' },
-  { id: 'claude-sonnet-4-5-20250929', label: 'Sonnet 4.5（バランス型）' },
-  { id: 'claude-sonnet-4-20250514', label: 'Sonnet 4（標準）' },
-  { id: 'claude-haiku-4-5-20251001', label: 'Haiku 4.5（高速・低コスト）' },
-];
+// Providers whose model was stored in its own column before provider_models
+const LEGACY_MODEL_FIELDS = {
+  claude: 'claude_model',
+  gemini: 'gemini_model'
+};
 
-const GEMINI_MODELS = [
-  { id: 'gemini-2.5-pro', label: '2.5 Pro（高品質）' },
-  { id: 'gemini-2.5-flash', label: '2.5 Flash（バランス型）' },
-  { id: 'gemini-2.0-flash', label: '2.0 Flash（高速・最安）' },
-  { id: 'gemini-2.0-flash-lite', label: '2.0 Flash Lite（最安）' },
-];
+const PROVIDER_COLORS = {
+  claude: 'bg-orange-500',
+  gemini: 'bg-blue-500'
+};
+
+// Matches the server-side limit in routes/settings.js
+const MAX_FALLBACK_STEPS = 5;
 
 const EFFORT_OPTIONS = [
   { id: 'low', label: 'Low' },
@@ -38,10 +39,53 @@ const TASK_DEFAULTS = {
 };
 
 export default function ModelSelector({ taskModels, onChange }) {
+  const [modelsData, setModelsData] = useState(null);
+  const { get } = useAPI();
+
+  useEffect(() => {
+    get('/ai/models').then(setModelsData).catch(() => {});
+  }, [get]);
+
+  const providers = modelsData ? Object.keys(modelsData) : ['claude', 'gemini'];
+
   const handleChange = (taskType, field, value) => {
     onChange(taskType, { ...getModel(taskType), [field]: value });
   };
 
+  const getSelectedModel = (model, provider) =>
+    model.provider_models?.[provider] || model[LEGACY_MODEL_FIELDS[provider]] || '';
+
+  const handleModelChange = (taskType, provider, value) => {
+    const current = getModel(taskType);
+    const updated = { ...current, provider_models: { ...(current.provider_models || {}), [provider]: value } };
+    if (LEGACY_MODEL_FIELDS[provider]) updated[LEGACY_MODEL_FIELDS[provider]] = value;
+    onChange(taskType, updated);
+  };
+
+  // Fallback chain: models tried in order when the preferred model fails
+  const updateFallbackChain = (taskType, chain) => {
+    handleChange(taskType, 'fallback_chain', chain);
+  };
+
+  const handleFallbackStepChange = (taskType, index, field, value) => {
+    const chain = [...(getModel(taskType).fallback_chain || [])];
+    const step = { ...chain[index], [field]: value };
+    if (field === 'provider') step.model = modelsData?.[value]?.models[0]?.id || null;
+    chain[index] = step;
+    updateFallbackChain(taskType, chain);
+  };
+
+  const handleAddFallback = (taskType) => {
+    const chain = getModel(taskType).fallback_chain || [];
+    const provider = providers[0];
+    updateFallbackChain(taskType, [...chain, { provider, model: modelsData?.[provider]?.models[0]?.id || null }]);
+  };
+
+  const handleRemoveFallback = (taskType, index) => {
+    const chain = getModel(taskType).fallback_chain || [];
+    updateFallbackChain(taskType, chain.filter((_, i) => i !== index));
+  };
+
   const getModel = (taskType) => {
     const fromApi = (taskModels || []).find(m => m.task_type === taskType);
     const defaults = TASK_DEFAULTS[taskType] || {};
@@ -53,7 +97,8 @@ export default function ModelSelector({ taskModels, onChange }) {
       {Object.keys(TASK_LABELS).map(taskType => {
         const model = getModel(taskType);
         const preferred = model.preferred_provider || 'claude';
-        const isClaude = preferred === 'claude';
+        const providerModels = modelsData && modelsData[preferred] ? modelsData[preferred].models : [];
+        const selectedModel = getSelectedModel(model, preferred);
 
         return (
           <div key={taskType} className="border border-gray-200 rounded-lg p-3 space-y-2">
@@ -63,43 +108,34 @@ export default function ModelSelector({ taskModels, onChange }) {
                 {TASK_LABELS[taskType]}
               </span>
               <div className="flex rounded-lg border border-gray-300 overflow-hidden">
-                <button
-                  type="button"
-                  onClick={() => handleChange(taskType, 'preferred_provider', 'claude')}
-                  className={`px-3 py-1 text-xs font-medium transition-colors ${
-                    isClaude
-                      ? 'bg-orange-500 text-white'
-                      : 'bg-white text-gray-500 hover:bg-gray-50'
-                  }`}
-                >
-                  Claude
-                </button>
-                <button
-                  type="button"
-                  onClick={() => handleChange(taskType, 'preferred_provider', 'gemini')}
-                  className={`px-3 py-1 text-xs font-medium transition-colors ${
-                    !isClaude
-                      ? 'bg-blue-500 text-white'
-                      : 'bg-white text-gray-500 hover:bg-gray-50'
-                  }`}
-                >
-                  Gemini
-                </button>
+                {providers.map(p => (
+                  <button
+                    key={p}
+                    type="button"
+                    onClick={() => handleChange(taskType, 'preferred_provider', p)}
+                    className={`px-3 py-1 text-xs font-medium transition-colors ${
+                      preferred === p
+                        ? `${PROVIDER_COLORS[p] || 'bg-gray-700'} text-white`
+                        : 'bg-white text-gray-500 hover:bg-gray-50'
+                    }`}
+                  >
+                    {modelsData && modelsData[p] ? modelsData[p].label.split(' (')[0] : p}
+                  </button>
+                ))}
               </div>
             </div>
 
             {/* Model selection for the preferred provider */}
             <div className="grid grid-cols-3 gap-2">
               <div>
-                <label className="block text-[10px] text-gray-400 mb-0.5">
-                  {isClaude ? 'Claude モデル' : 'Gemini モデル'}
-                </label>
+                <label className="block text-[10px] text-gray-400 mb-0.5">モデル</label>
                 <select
-                  value={isClaude ? (model.claude_model || '') : (model.gemini_model || '')}
-                  onChange={(e) => handleChange(taskType, isClaude ? 'claude_model' : 'gemini_model', e.target.value)}
+                  value={selectedModel}
+                  onChange={(e) => handleModelChange(taskType, preferred, e.target.value)}
                   className="w-full px-2 py-1.5 border border-gray-300 rounded text-xs"
                 >
-                  {(isClaude ? CLAUDE_MODELS : GEMINI_MODELS).map(m => (
+                  {!selectedModel && <option value="">モデルを選択</option>}
+                  {providerModels.map(m => (
                     <option key={m.id} value={m.id}>{m.label}</option>
                   ))}
                 </select>
@@ -129,6 +165,50 @@ export default function ModelSelector({ taskModels, onChange }) {
                 />
               </div>
             </div>
+
+            {/* Fallback chain */}
+            <div className="space-y-1">
+              {(model.fallback_chain || []).map((step, index) => (
+                <div key={index} className="flex items-center gap-2">
+                  <span className="text-[10px] text-gray-400 w-16 flex-shrink-0">フォールバック{index + 1}</span>
+                  <select
+                    value={step.provider}
+                    onChange={(e) => handleFallbackStepChange(taskType, index, 'provider', e.target.value)}
+                    className="px-2 py-1 border border-gray-300 rounded text-xs"
+                  >
+                    {providers.map(p => (
+                      <option key={p} value={p}>{modelsData && modelsData[p] ? modelsData[p].label.split(' (')[0] : p}</option>
+                    ))}
+                  </select>
+                  <select
+                    value={step.model || ''}
+                    onChange={(e) => handleFallbackStepChange(taskType, index, 'model', e.target.value || null)}
+                    className="flex-1 px-2 py-1 border border-gray-300 rounded text-xs"
+                  >
+                    <option value="">タスク設定のモデル</option>
+                    {(modelsData?.[step.provider]?.models || []).map(m => (
+                      <option key={m.id} value={m.id}>{m.label}</option>
+                    ))}
+                  </select>
+                  <button
+                    type="button"
+                    onClick={() => handleRemoveFallback(taskType, index)}
+                    className="px-2 py-1 text-xs text-red-500 hover:bg-red-50 rounded"
+                  >
+                    削除
+                  </button>
+                </div>
+              ))}
+              {(model.fallback_chain || []).length < MAX_FALLBACK_STEPS && (
+                <button
+                  type="button"
+                  onClick={() => handleAddFallback(taskType)}
+                  className="text-xs text-blue-600 hover:underline"
+                >
+                  + 失敗時のフォールバックを追加
+                </button>
+              )}
+            </div>
           </div>
         );
       })}
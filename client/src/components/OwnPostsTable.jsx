@@ -12,7 +12,9 @@ const POST_TYPE_LABELS = {
 export default function OwnPostsTable() {
   const [posts, setPosts] = useState([]);
   const [refreshing, setRefreshing] = useState(false);
-  const { get, post } = useAPI();
+  const [deletingId, setDeletingId] = useState(null);
+  const [evergreenIds, setEvergreenIds] = useState([]);
+  const { get, post, del } = useAPI();
   const { currentAccount } = useAccount();
 
   const fetchPosts = () => {
@@ -37,6 +39,31 @@ export default function OwnPostsTable() {
     setRefreshing(false);
   };
 
+  const handleDelete = async (p) => {
+    if (deletingId) return;
+    const label = Array.isArray(p.thread_tweet_ids) && p.thread_tweet_ids.length > 1
+      ? `このスレッド（${p.thread_tweet_ids.length}件）`
+      : 'この投稿';
+    if (!confirm(`${label}をXから削除しますか？\n削除後は分析の対象外になります（削除履歴は残ります）。`)) return;
+    setDeletingId(p.id);
+    try {
+      await del(`/tweets/posted/${p.id}`);
+      setPosts(prev => prev.filter(x => x.id !== p.id));
+    } catch (err) {
+      alert(`削除に失敗しました: ${err.message}`);
+    }
+    setDeletingId(null);
+  };
+
+  const handleAddEvergreen = async (p) => {
+    try {
+      await post('/evergreen', { postId: p.id });
+      setEvergreenIds(prev => [...prev, p.id]);
+    } catch (err) {
+      alert(`エバーグリーンに追加できませんでした: ${err.message}`);
+    }
+  };
+
   return (
     <div className="bg-white rounded-lg border border-gray-200 p-4">
       <div className="flex items-center justify-between mb-4">
@@ -68,6 +95,23 @@ export default function OwnPostsTable() {
                   <span className="text-xs text-gray-400">
                     {p.posted_at ? formatRelativeTime(p.posted_at) : '-'}
                   </span>
+                  {p.post_type === 'new' && (
+                    <button
+                      onClick={() => handleAddEvergreen(p)}
+                      disabled={evergreenIds.includes(p.id)}
+                      title="自動投稿のエバーグリーン枠で定期的に再投稿します"
+                      className="ml-auto text-xs text-green-600 hover:text-green-800 disabled:opacity-50"
+                    >
+                      {evergreenIds.includes(p.id) ? 'エバーグリーン追加済み' : 'エバーグリーンに追加'}
+                    </button>
+                  )}
+                  <button
+                    onClick={() => handleDelete(p)}
+                    disabled={deletingId === p.id}
+                    className={`${p.post_type === 'new' ? '' : 'ml-auto '}text-xs text-red-500 hover:text-red-700 disabled:opacity-50`}
+                  >
+                    {deletingId === p.id ? '削除中...' : 'Xから削除'}
+                  </button>
                 </div>
                 <p className="text-sm text-gray-800 break-words line-clamp-2">{p.text}</p>
                 {p.target_tweet_id && (p.post_type === 'reply' || p.post_type === 'quote') && (
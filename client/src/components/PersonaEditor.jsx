@@ -0,0 +1,107 @@
+import React, { useState, useEffect } from 'react';
+import { useAPI } from '../hooks/useAPI';
+
+const TEXT_FIELDS = [
+  { key: 'name', label: '名前', placeholder: '例: とっけん' },
+  { key: 'role', label: '肩書き', placeholder: '例: 通訳案内士' },
+  { key: 'headline', label: '実績の要約（名前の後に添える）', placeholder: '例: 500回以上のツアー実績、TOEIC 950' },
+  { key: 'stance', label: '立場（エピソードの一貫性チェックに使う）', placeholder: '例: 英語ガイド、東京中心、VIP対応' }
+];
+
+// Edited as one entry per line
+const LIST_FIELDS = [
+  { key: 'profile', label: 'プロフィール', rows: 6 },
+  { key: 'facts', label: '検証できる数値・事実（ファクトチェックの基準）', rows: 3 },
+  { key: 'hidden_platforms', label: '出さないプラットフォーム名', rows: 3 },
+  { key: 'banned_words', label: '使わない語句', rows: 3 }
+];
+
+const toForm = (persona) => {
+  const form = { is_default: persona.is_default };
+  for (const { key } of TEXT_FIELDS) form[key] = persona[key] || '';
+  for (const { key } of LIST_FIELDS) form[key] = (persona[key] || []).join('\n');
+  return form;
+};
+
+export default function PersonaEditor({ accountId, onClose }) {
+  const [form, setForm] = useState(null);
+  const [saved, setSaved] = useState(false);
+  const { get, put, del, loading, error } = useAPI();
+
+  useEffect(() => {
+    get(`/accounts/${accountId}/persona`).then(p => setForm(toForm(p))).catch(() => {});
+  }, [accountId]);
+
+  const handleSave = async () => {
+    const body = {};
+    for (const { key } of TEXT_FIELDS) body[key] = form[key];
+    for (const { key } of LIST_FIELDS) body[key] = form[key].split('\n');
+    try {
+      setForm(toForm(await put(`/accounts/${accountId}/persona`, body)));
+      setSaved(true);
+      setTimeout(() => setSaved(false), 2000);
+    } catch (err) {
+      // error available via hook
+    }
+  };
+
+  const handleReset = async () => {
+    if (!window.confirm('このアカウントのペルソナを削除し、デフォルトのペルソナに戻しますか？')) return;
+    try {
+      setForm(toForm(await del(`/accounts/${accountId}/persona`)));
+    } catch (err) {
+      // error available via hook
+    }
+  };
+
+  if (!form) return null;
+
+  return (
+    <div className="ml-7 p-3 rounded-lg border border-gray-200 bg-gray-50 space-y-3">
+      <p className="text-xs text-gray-500">
+        プロンプト内の {'{persona_name}'} などに生成時に埋め込まれます。
+        {form.is_default && <span className="ml-1 text-amber-600">現在はデフォルトのペルソナを使用中</span>}
+      </p>
+      <div className="grid grid-cols-2 gap-2">
+        {TEXT_FIELDS.map(({ key, label, placeholder }) => (
+          <div key={key}>
+            <label className="block text-xs font-medium text-gray-500 mb-1">{label}</label>
+            <input
+              type="text"
+              value={form[key]}
+              onChange={(e) => setForm(prev => ({ ...prev, [key]: e.target.value }))}
+              placeholder={placeholder}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+          </div>
+        ))}
+      </div>
+      {LIST_FIELDS.map(({ key, label, rows }) => (
+        <div key={key}>
+          <label className="block text-xs font-medium text-gray-500 mb-1">{label}（1行に1つ）</label>
+          <textarea
+            value={form[key]}
+            onChange={(e) => setForm(prev => ({ ...prev, [key]: e.target.value }))}
+            rows={rows}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm resize-y"
+          />
+        </div>
+      ))}
+      {error && <p className="text-sm text-red-500">{error}</p>}
+      <div className="flex items-center gap-2">
+        <button onClick={handleSave} disabled={loading || !form.name.trim()}
+          className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50">
+          保存
+        </button>
+        {!form.is_default && (
+          <button onClick={handleReset} disabled={loading}
+            className="px-4 py-2 text-sm text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors">
+            デフォルトに戻す
+          </button>
+        )}
+        <button onClick={onClose} className="px-4 py-2 text-sm text-gray-500 hover:underline">閉じる</button>
+        {saved && <span className="text-sm text-green-600">保存しました</span>}
+      </div>
+    </div>
+  );
+}
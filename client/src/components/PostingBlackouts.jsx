@@ -0,0 +1,217 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAPI } from '../hooks/useAPI';
+import { useAccount } from '../contexts/AccountContext';
+import { formatTimeZone, DEFAULT_TIMEZONE } from '../utils/formatters';
+
+const KINDS = [
+  { id: 'daily', label: '毎日の時間帯' },
+  { id: 'dates', label: '日付' }
+];
+
+const ACTIONS = [
+  { id: 'shift', label: 'ずらす', description: '明けた時刻に投稿' },
+  { id: 'hold', label: '保留', description: '下書きに戻す' }
+];
+
+const EMPTY_FORM = {
+  scope: 'account', kind: 'daily', startTime: '23:00', endTime: '06:00',
+  startDate: '', endDate: '', action: 'shift', name: ''
+};
+
+function describeWindow(rule) {
+  if (rule.kind === 'daily') return `毎日 ${rule.start_time}〜${rule.end_time}`;
+  if (rule.start_date === rule.end_date) return rule.start_date;
+  return `${rule.start_date}〜${rule.end_date}`;
+}
+
+export default function PostingBlackouts() {
+  const { get, post, put, del } = useAPI();
+  const { currentAccount } = useAccount();
+  const [rules, setRules] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    if (!currentAccount) return;
+    try {
+      setRules(await get(`/blackouts?accountId=${currentAccount.id}`) || []);
+    } catch (e) {
+      setRules([]);
+    }
+  }, [get, currentAccount]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const update = (key, value) => setForm(prev => ({ ...prev, [key]: value }));
+
+  const handleAdd = async () => {
+    setError(null);
+    try {
+      await post('/blackouts', {
+        accountId: form.scope === 'account' ? currentAccount.id : null,
+        kind: form.kind,
+        name: form.name,
+        action: form.action,
+        ...(form.kind === 'daily'
+          ? { startTime: form.startTime, endTime: form.endTime }
+          : { startDate: form.startDate, endDate: form.endDate || form.startDate })
+      });
+      setForm(prev => ({ ...prev, name: '' }));
+      load();
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  const toggleRule = async (rule) => {
+    try {
+      await put(`/blackouts/${rule.id}`, { enabled: !rule.enabled });
+      load();
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  const removeRule = async (rule) => {
+    if (!window.confirm('このルールを削除しますか？')) return;
+    try {
+      await del(`/blackouts/${rule.id}`);
+      load();
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  if (!currentAccount) return null;
+  const timeZone = currentAccount.timezone || DEFAULT_TIMEZONE;
+  const canAdd = form.kind === 'daily'
+    ? form.startTime && form.endTime && form.startTime !== form.endTime
+    : !!form.startDate;
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-4 space-y-4">
+      <div>
+        <h3 className="font-semibold text-gray-900">投稿停止ルール</h3>
+        <p className="text-xs text-gray-500 mt-0.5">
+          この時間帯・日付には予約投稿も自動投稿も行いません（{formatTimeZone(timeZone)}）。「ずらす」は明けた時刻に投稿し、「保留」は下書きに戻します。自動投稿の枠はスキップされます。
+        </p>
+      </div>
+
+      <div className="space-y-1">
+        {rules.length === 0 && (
+          <p className="text-xs text-gray-400 py-1">ルールはありません</p>
+        )}
+        {rules.map(rule => (
+          <div key={rule.id} className={`flex items-center gap-3 text-sm ${rule.enabled ? 'text-gray-800' : 'text-gray-400'}`}>
+            <span className={`text-xs px-1.5 py-0.5 rounded ${rule.account_id == null ? 'bg-amber-50 text-amber-700' : 'bg-indigo-50 text-indigo-700'}`}>
+              {rule.account_id == null ? '全アカウント' : 'このアカウント'}
+            </span>
+            <span className="font-mono text-xs whitespace-nowrap">{describeWindow(rule)}</span>
+            <span className="text-xs text-gray-500">{ACTIONS.find(a => a.id === rule.action)?.label}</span>
+            <span className="truncate flex-1">{rule.name}</span>
+            <button onClick={() => toggleRule(rule)} className="text-xs text-gray-500 hover:text-gray-700">
+              {rule.enabled ? '一時停止' : '再開'}
+            </button>
+            <button onClick={() => removeRule(rule)} className="text-xs text-red-500 hover:text-red-700">削除</button>
+          </div>
+        ))}
+      </div>
+
+      <div className="border-t border-gray-100 pt-3 flex items-end gap-2 flex-wrap">
+        <div>
+          <label className="block text-xs font-medium text-gray-500 mb-1">対象</label>
+          <select
+            value={form.scope}
+            onChange={(e) => update('scope', e.target.value)}
+            className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm"
+          >
+            <option value="account">このアカウント</option>
+            <option value="global">全アカウント</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-500 mb-1">種類</label>
+          <select
+            value={form.kind}
+            onChange={(e) => update('kind', e.target.value)}
+            className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm"
+          >
+            {KINDS.map(k => <option key={k.id} value={k.id}>{k.label}</option>)}
+          </select>
+        </div>
+        {form.kind === 'daily' ? (
+          <>
+            <div>
+              <label className="block text-xs font-medium text-gray-500 mb-1">開始</label>
+              <input
+                type="time"
+                value={form.startTime}
+                onChange={(e) => update('startTime', e.target.value)}
+                className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm"
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-500 mb-1">終了</label>
+              <input
+                type="time"
+                value={form.endTime}
+                onChange={(e) => update('endTime', e.target.value)}
+                className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm"
+              />
+            </div>
+          </>
+        ) : (
+          <>
+            <div>
+              <label className="block text-xs font-medium text-gray-500 mb-1">開始日</label>
+              <input
+                type="date"
+                value={form.startDate}
+                onChange={(e) => update('startDate', e.target.value)}
+                className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm"
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-500 mb-1">終了日（含む）</label>
+              <input
+                type="date"
+                value={form.endDate}
+                min={form.startDate || undefined}
+                onChange={(e) => update('endDate', e.target.value)}
+                className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm"
+              />
+            </div>
+          </>
+        )}
+        <div>
+          <label className="block text-xs font-medium text-gray-500 mb-1">予約投稿の扱い</label>
+          <select
+            value={form.action}
+            onChange={(e) => update('action', e.target.value)}
+            className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm"
+          >
+            {ACTIONS.map(a => <option key={a.id} value={a.id}>{a.label}（{a.description}）</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-500 mb-1">名前（任意）</label>
+          <input
+            type="text"
+            value={form.name}
+            onChange={(e) => update('name', e.target.value)}
+            placeholder="深夜"
+            className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm"
+          />
+        </div>
+        <button
+          onClick={handleAdd}
+          disabled={!canAdd}
+          className="px-3 py-1.5 text-sm bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+        >
+          ルールを追加
+        </button>
+      </div>
+      {error && <p className="text-sm text-red-500">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,277 @@
+import React, { useState, useEffect } from 'react';
+import { useAPI } from '../hooks/useAPI';
+import { formatPercent, formatNumber, formatDate } from '../utils/formatters';
+
+const TASK_OPTIONS = [
+  { value: 'tweet_generation', label: 'ツイート生成' },
+  { value: 'reply_generation', label: 'リプライ生成' },
+  { value: 'quote_rt_generation', label: '引用RT生成' }
+];
+
+const STATUS_LABELS = {
+  running: { label: '実行中', className: 'bg-green-100 text-green-700' },
+  stopped: { label: '停止', className: 'bg-gray-100 text-gray-600' },
+  completed: { label: '完了', className: 'bg-blue-100 text-blue-700' }
+};
+
+// Matches MAX_VARIANTS in routes/prompt-experiments.js
+const MAX_VARIANTS = 5;
+
+const formatPValue = (p) => (p < 0.001 ? 'p<0.001' : `p=${p.toFixed(3)}`);
+
+export default function PromptExperiments() {
+  const [experiments, setExperiments] = useState([]);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState({ taskType: 'tweet_generation', name: '', assignment: 'random', variants: [] });
+  const [openId, setOpenId] = useState(null);
+  const [report, setReport] = useState(null);
+  const { get, post, loading, error } = useAPI();
+
+  const fetchExperiments = async () => {
+    try {
+      setExperiments(await get('/prompt-experiments'));
+    } catch (err) {
+      // ignore
+    }
+  };
+
+  useEffect(() => { fetchExperiments(); }, []);
+
+  // Variant A starts from the prompt currently in use
+  const openForm = async () => {
+    let current = '';
+    try {
+      current = (await get(`/settings/prompts/${form.taskType}`)).system_prompt || '';
+    } catch (err) {
+      // start empty
+    }
+    setForm(prev => ({
+      ...prev,
+      variants: [{ label: 'A（現行）', system_prompt: current }, { label: 'B', system_prompt: current }]
+    }));
+    setShowForm(true);
+  };
+
+  const updateVariant = (index, field, value) => {
+    setForm(prev => ({
+      ...prev,
+      variants: prev.variants.map((v, i) => (i === index ? { ...v, [field]: value } : v))
+    }));
+  };
+
+  const handleCreate = async () => {
+    try {
+      await post('/prompt-experiments', form);
+      setShowForm(false);
+      setForm(prev => ({ ...prev, name: '', variants: [] }));
+      fetchExperiments();
+    } catch (err) {
+      // error available via hook
+    }
+  };
+
+  const toggleReport = async (id) => {
+    if (openId === id) {
+      setOpenId(null);
+      setReport(null);
+      return;
+    }
+    try {
+      setReport(await get(`/prompt-experiments/${id}/report`));
+      setOpenId(id);
+    } catch (err) {
+      // error available via hook
+    }
+  };
+
+  const handleStop = async (id) => {
+    if (!window.confirm('実験を停止しますか？以降の生成は通常のプロンプトに戻ります。')) return;
+    try {
+      await post(`/prompt-experiments/${id}/stop`, {});
+      fetchExperiments();
+    } catch (err) {
+      // error available via hook
+    }
+  };
+
+  const handlePromote = async (experimentId, variant) => {
+    if (!window.confirm(`「${variant.label}」をこのタスクのプロンプトとして採用し、実験を完了しますか？`)) return;
+    try {
+      await post(`/prompt-experiments/${experimentId}/promote`, { variantId: variant.id });
+      setOpenId(null);
+      setReport(null);
+      fetchExperiments();
+    } catch (err) {
+      // error available via hook
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-gray-500">
+          実行中の実験があるタスクでは、生成ごとにプロンプトの案が割り当てられ、投稿のエンゲージメントで比較されます。
+        </p>
+        {!showForm && (
+          <button onClick={openForm} className="px-3 py-1.5 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700">
+            新しい実験
+          </button>
+        )}
+      </div>
+
+      {error && <p className="text-sm text-red-500">{error}</p>}
+
+      {showForm && (
+        <div className="bg-white border border-gray-200 rounded-lg p-4 space-y-3">
+          <div className="grid grid-cols-3 gap-2">
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+              placeholder="実験名（例: 冒頭の問いかけ）"
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+            <select
+              value={form.taskType}
+              onChange={(e) => setForm(prev => ({ ...prev, taskType: e.target.value }))}
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            >
+              {TASK_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+            </select>
+            <select
+              value={form.assignment}
+              onChange={(e) => setForm(prev => ({ ...prev, assignment: e.target.value }))}
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            >
+              <option value="random">ランダムに割り当て</option>
+              <option value="alternate">交互に割り当て</option>
+            </select>
+          </div>
+          {form.variants.map((v, i) => (
+            <div key={i} className="space-y-1">
+              <div className="flex items-center gap-2">
+                <input
+                  type="text"
+                  value={v.label}
+                  onChange={(e) => updateVariant(i, 'label', e.target.value)}
+                  className="px-2 py-1 border border-gray-300 rounded text-xs w-32"
+                />
+                {form.variants.length > 2 && (
+                  <button
+                    onClick={() => setForm(prev => ({ ...prev, variants: prev.variants.filter((_, j) => j !== i) }))}
+                    className="text-xs text-red-500 hover:underline"
+                  >
+                    削除
+                  </button>
+                )}
+              </div>
+              <textarea
+                value={v.system_prompt}
+                onChange={(e) => updateVariant(i, 'system_prompt', e.target.value)}
+                rows={6}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-xs font-mono resize-y"
+              />
+            </div>
+          ))}
+          <div className="flex gap-2">
+            {form.variants.length < MAX_VARIANTS && (
+              <button
+                onClick={() => setForm(prev => ({
+                  ...prev,
+                  variants: [...prev.variants, { label: String.fromCharCode(65 + prev.variants.length), system_prompt: prev.variants[0]?.system_prompt || '' }]
+                }))}
+                className="px-3 py-1.5 text-sm text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50"
+              >
+                案を追加
+              </button>
+            )}
+            <button
+              onClick={handleCreate}
+              disabled={loading || !form.name.trim()}
+              className="px-3 py-1.5 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              開始
+            </button>
+            <button onClick={() => setShowForm(false)} className="px-3 py-1.5 text-sm text-gray-500 hover:underline">
+              キャンセル
+            </button>
+          </div>
+        </div>
+      )}
+
+      {experiments.length === 0 && !showForm && (
+        <p className="text-sm text-gray-400 text-center py-8">実験はまだありません</p>
+      )}
+
+      {experiments.map(exp => (
+        <div key={exp.id} className="bg-white border border-gray-200 rounded-lg">
+          <div className="p-3 flex items-center gap-2 text-sm">
+            <span className={`px-2 py-0.5 rounded text-xs ${STATUS_LABELS[exp.status]?.className || ''}`}>
+              {STATUS_LABELS[exp.status]?.label || exp.status}
+            </span>
+            <span className="font-medium text-gray-900">{exp.name}</span>
+            <span className="text-xs text-gray-400">
+              {TASK_OPTIONS.find(o => o.value === exp.task_type)?.label || exp.task_type} ・ 案{exp.variants.length}件 ・ {formatDate(exp.created_at)}
+            </span>
+            <div className="ml-auto flex gap-2">
+              <button onClick={() => toggleReport(exp.id)} className="text-xs text-blue-600 hover:underline">
+                {openId === exp.id ? '閉じる' : 'レポート'}
+              </button>
+              {exp.status === 'running' && (
+                <button onClick={() => handleStop(exp.id)} className="text-xs text-gray-500 hover:underline">停止</button>
+              )}
+            </div>
+          </div>
+
+          {openId === exp.id && report && (
+            <div className="border-t border-gray-100 p-3 space-y-2">
+              <table className="w-full text-xs">
+                <thead>
+                  <tr className="text-gray-500 text-left">
+                    <th className="py-1">案</th>
+                    <th className="py-1 text-right">生成 / 計測済</th>
+                    <th className="py-1 text-right">平均ER</th>
+                    <th className="py-1 text-right">平均インプレッション</th>
+                    <th className="py-1 text-right">首位との差</th>
+                    <th />
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.variants.map(v => (
+                    <tr key={v.id} className="border-t border-gray-50">
+                      <td className="py-1.5 font-medium text-gray-800">
+                        {v.label}
+                        {v.id === report.leaderVariantId && <span className="ml-1 text-amber-600">首位</span>}
+                        {v.id === exp.winner_variant_id && <span className="ml-1 text-blue-600">採用</span>}
+                      </td>
+                      <td className="py-1.5 text-right">{v.posts} / {v.measured}</td>
+                      <td className="py-1.5 text-right">{formatPercent(v.engagementRate.mean)}</td>
+                      <td className="py-1.5 text-right">{formatNumber(Math.round(v.impressions.mean))}</td>
+                      <td className="py-1.5 text-right text-gray-500">
+                        {v.vsLeader
+                          ? `ER ${formatPValue(v.vsLeader.engagementRatePValue)} / imp ${formatPValue(v.vsLeader.impressionsPValue)}`
+                          : '-'}
+                      </td>
+                      <td className="py-1.5 text-right">
+                        {exp.status !== 'completed' && (
+                          <button onClick={() => handlePromote(exp.id, v)} className="text-blue-600 hover:underline">
+                            採用
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p className={`text-xs ${report.significant ? 'text-green-600' : 'text-gray-400'}`}>
+                {report.significant
+                  ? `首位の案はほかのすべての案よりエンゲージメント率が有意に高い（有意水準${report.significanceLevel}）`
+                  : `まだ有意差は確認できません（各案${report.minSamplesPerVariant}件以上の計測済み投稿と p<${report.significanceLevel} が必要）`}
+              </p>
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
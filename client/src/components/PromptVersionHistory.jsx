@@ -0,0 +1,114 @@
+import React, { useState, useEffect } from 'react';
+import { useAPI } from '../hooks/useAPI';
+import { formatDate } from '../utils/formatters';
+
+const ROW_STYLES = {
+  same: { left: '', right: '' },
+  changed: { left: 'bg-red-50', right: 'bg-green-50' },
+  removed: { left: 'bg-red-50', right: 'bg-gray-50' },
+  added: { left: 'bg-gray-50', right: 'bg-green-50' }
+};
+
+// Version history of a task's prompt with a side-by-side diff and rollback.
+// refreshKey changes whenever the parent saves a new version.
+export default function PromptVersionHistory({ taskType, refreshKey, onRollback }) {
+  const [versions, setVersions] = useState([]);
+  const [compare, setCompare] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const { get, post, error } = useAPI();
+
+  useEffect(() => {
+    setCompare(null);
+    setDiff(null);
+    get(`/settings/prompts/${taskType}/versions`)
+      .then(data => setVersions(data.versions || []))
+      .catch(() => setVersions([]));
+  }, [get, taskType, refreshKey]);
+
+  // Compare a version with the one before it
+  const handleShowDiff = async (version) => {
+    if (compare === version) {
+      setCompare(null);
+      setDiff(null);
+      return;
+    }
+    const previous = versions.find(v => v.version < version);
+    if (!previous) return;
+    try {
+      const data = await get(`/settings/prompts/${taskType}/versions/diff?from=${previous.version}&to=${version}`);
+      setCompare(version);
+      setDiff(data);
+    } catch (err) {
+      // error available via hook
+    }
+  };
+
+  const handleRollback = async (version) => {
+    if (!window.confirm(`v${version} のプロンプトに戻しますか？`)) return;
+    try {
+      const result = await post(`/settings/prompts/${taskType}/versions/${version}/rollback`, {});
+      onRollback({
+        task_type: taskType,
+        system_prompt: result.system_prompt,
+        user_template: result.user_template,
+        is_custom: result.is_custom
+      });
+    } catch (err) {
+      // error available via hook
+    }
+  };
+
+  if (versions.length === 0) {
+    return <p className="text-xs text-gray-400">保存履歴はまだありません</p>;
+  }
+
+  const current = versions[0].version;
+
+  return (
+    <div className="space-y-2">
+      <p className="text-xs font-medium text-gray-500">変更履歴</p>
+      {error && <p className="text-xs text-red-500">{error}</p>}
+      <div className="border border-gray-200 rounded-lg divide-y divide-gray-100 max-h-64 overflow-y-auto">
+        {versions.map(v => (
+          <div key={v.id} className="px-3 py-2 flex items-center gap-2 text-xs">
+            <span className="font-mono text-gray-700 w-8">v{v.version}</span>
+            <span className="text-gray-400 w-28 flex-shrink-0">{formatDate(v.created_at)}</span>
+            <span className="flex-1 text-gray-600 truncate" title={v.note || ''}>
+              {v.note || <span className="text-gray-300">メモなし</span>}
+              {!v.is_custom && <span className="ml-1 text-gray-400">（デフォルト）</span>}
+            </span>
+            {v.version === current ? (
+              <span className="text-blue-500">使用中</span>
+            ) : (
+              <button onClick={() => handleRollback(v.version)} className="text-amber-600 hover:underline">
+                この版に戻す
+              </button>
+            )}
+            {versions.some(p => p.version < v.version) && (
+              <button onClick={() => handleShowDiff(v.version)} className="text-blue-600 hover:underline">
+                {compare === v.version ? '差分を閉じる' : '差分'}
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {diff && (
+        <div className="border border-gray-200 rounded-lg overflow-hidden">
+          <div className="grid grid-cols-2 text-xs font-medium text-gray-500 bg-gray-50 border-b border-gray-200">
+            <div className="px-2 py-1">v{diff.from.version}</div>
+            <div className="px-2 py-1 border-l border-gray-200">v{diff.to.version}</div>
+          </div>
+          <div className="max-h-96 overflow-y-auto font-mono text-xs">
+            {diff.rows.map((row, i) => (
+              <div key={i} className="grid grid-cols-2">
+                <div className={`px-2 py-0.5 whitespace-pre-wrap break-all ${ROW_STYLES[row.type].left}`}>{row.left ?? ''}</div>
+                <div className={`px-2 py-0.5 whitespace-pre-wrap break-all border-l border-gray-200 ${ROW_STYLES[row.type].right}`}>{row.right ?? ''}</div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,211 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAPI } from '../hooks/useAPI';
+import { useAccount } from '../contexts/AccountContext';
+import { formatDate, formatTimeZone, DEFAULT_TIMEZONE } from '../utils/formatters';
+
+// day_of_week: 0 = Sunday in the account's timezone, as stored in queue_slots
+const DAY_LABELS = ['日', '月', '火', '水', '木', '金', '土'];
+
+const POST_TYPES = [
+  { id: 'new', label: '新規ツイート' },
+  { id: 'reply', label: 'コメント' },
+  { id: 'quote', label: '引用RT' }
+];
+
+export default function QueueSlots() {
+  const { get, post, put, del } = useAPI();
+  const { currentAccount } = useAccount();
+  const [postType, setPostType] = useState('new');
+  const [slots, setSlots] = useState([]);
+  const [queue, setQueue] = useState({ posts: [], free: [] });
+  const [form, setForm] = useState({ dayOfWeek: 1, time: '09:00', name: '' });
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    if (!currentAccount) return;
+    try {
+      const [slotData, queueData] = await Promise.all([
+        get(`/queue/slots?accountId=${currentAccount.id}&postType=${postType}`),
+        get(`/queue?accountId=${currentAccount.id}&postType=${postType}`)
+      ]);
+      setSlots(slotData || []);
+      setQueue(queueData || { posts: [], free: [] });
+    } catch (e) {
+      setSlots([]);
+      setQueue({ posts: [], free: [] });
+    }
+  }, [get, currentAccount, postType]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const handleAdd = async () => {
+    setError(null);
+    try {
+      await post('/queue/slots', {
+        accountId: currentAccount.id,
+        postType,
+        dayOfWeek: Number(form.dayOfWeek),
+        time: form.time,
+        name: form.name
+      });
+      setForm(prev => ({ ...prev, name: '' }));
+      load();
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  // Every day of the week at the form's time, skipping days that already have it
+  const handleAddDaily = async () => {
+    setError(null);
+    const taken = new Set(slots.filter(s => s.time === form.time).map(s => s.day_of_week));
+    try {
+      for (let day = 0; day < 7; day++) {
+        if (taken.has(day)) continue;
+        await post('/queue/slots', { accountId: currentAccount.id, postType, dayOfWeek: day, time: form.time, name: form.name });
+      }
+      setForm(prev => ({ ...prev, name: '' }));
+      load();
+    } catch (e) {
+      setError(e.message);
+      load();
+    }
+  };
+
+  const toggleSlot = async (slot) => {
+    try {
+      await put(`/queue/slots/${slot.id}`, { enabled: !slot.enabled });
+      load();
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  const removeSlot = async (slot) => {
+    if (!window.confirm('この枠を削除しますか？入っている投稿は次の枠へ移ります。')) return;
+    try {
+      await del(`/queue/slots/${slot.id}`);
+      load();
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  if (!currentAccount) return null;
+  const timeZone = currentAccount.timezone || DEFAULT_TIMEZONE;
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="font-semibold text-gray-900">投稿キュー</h3>
+          <p className="text-xs text-gray-500 mt-0.5">
+            曜日と時刻（{formatTimeZone(timeZone)}）の枠を決めておくと、「キューに追加」した投稿が次の空き枠に入ります。取り消すと後ろの投稿が繰り上がります。
+          </p>
+        </div>
+        <div className="flex gap-1 bg-gray-100 rounded-lg p-1">
+          {POST_TYPES.map(t => (
+            <button
+              key={t.id}
+              onClick={() => setPostType(t.id)}
+              className={`px-3 py-1 text-xs font-medium rounded-md transition-colors ${
+                postType === t.id ? 'bg-white text-gray-900 shadow-sm' : 'text-gray-500 hover:text-gray-700'
+              }`}
+            >
+              {t.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-7 gap-2">
+        {DAY_LABELS.map((label, day) => (
+          <div key={day} className="min-h-[4rem]">
+            <p className="text-xs font-medium text-gray-500 text-center mb-1">{label}</p>
+            <div className="space-y-1">
+              {slots.filter(s => s.day_of_week === day).map(slot => (
+                <div
+                  key={slot.id}
+                  className={`group border rounded px-1.5 py-1 text-xs ${slot.enabled ? 'border-indigo-200 bg-indigo-50 text-indigo-700' : 'border-gray-200 bg-gray-50 text-gray-400'}`}
+                >
+                  <div className="flex items-center justify-between gap-1">
+                    <button onClick={() => toggleSlot(slot)} title={slot.enabled ? '一時停止' : '再開'} className="font-mono">
+                      {slot.time}
+                    </button>
+                    <button onClick={() => removeSlot(slot)} className="opacity-0 group-hover:opacity-100 text-red-500">×</button>
+                  </div>
+                  {slot.name && <p className="truncate">{slot.name}</p>}
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex items-end gap-2 flex-wrap">
+        <div>
+          <label className="block text-xs font-medium text-gray-500 mb-1">曜日</label>
+          <select
+            value={form.dayOfWeek}
+            onChange={(e) => setForm(prev => ({ ...prev, dayOfWeek: e.target.value }))}
+            className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm"
+          >
+            {DAY_LABELS.map((label, day) => <option key={day} value={day}>{label}曜日</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-500 mb-1">時刻</label>
+          <input
+            type="time"
+            value={form.time}
+            onChange={(e) => setForm(prev => ({ ...prev, time: e.target.value }))}
+            className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm"
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-500 mb-1">名前（任意）</label>
+          <input
+            type="text"
+            value={form.name}
+            onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+            placeholder="朝の枠"
+            className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm"
+          />
+        </div>
+        <button
+          onClick={handleAdd}
+          disabled={!form.time}
+          className="px-3 py-1.5 text-sm bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+        >
+          枠を追加
+        </button>
+        <button
+          onClick={handleAddDaily}
+          disabled={!form.time}
+          className="px-3 py-1.5 text-sm text-indigo-600 border border-indigo-200 rounded-lg hover:bg-indigo-50 disabled:opacity-50"
+        >
+          毎日に追加
+        </button>
+      </div>
+      {error && <p className="text-sm text-red-500">{error}</p>}
+
+      <div className="border-t border-gray-100 pt-3 space-y-1">
+        <h4 className="text-sm font-medium text-gray-700">キューの投稿（{queue.posts.length}件）</h4>
+        {queue.posts.length === 0 && (
+          <p className="text-xs text-gray-400 py-1">キューに入っている投稿はありません</p>
+        )}
+        {queue.posts.map(p => (
+          <div key={p.id} className="flex items-start gap-3 text-sm">
+            <span className="text-xs text-gray-500 whitespace-nowrap w-32">{formatDate(p.scheduled_at, timeZone)}</span>
+            <span className="text-gray-800 truncate">{p.text}</span>
+          </div>
+        ))}
+        {queue.free.length > 0 && (
+          <p className="text-xs text-gray-400 pt-1">
+            次の空き枠: {queue.free.map(f => formatDate(f.at, timeZone)).join('、')}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -15,6 +15,10 @@ function toLocalDatetimeValue(dateStr) {
   return `${year}-${month}-${day}T${hours}:${minutes}`;
 }
 
+function isThreadPost(post) {
+  return Array.isArray(post.thread_parts) && post.thread_parts.length > 1;
+}
+
 function tweetUrl(tweetId) {
   return `https://x.com/i/web/status/${tweetId}`;
 }
@@ -168,11 +172,32 @@ export default function ScheduleList() {
                         投稿失敗
                       </span>
                     )}
+                    {post.attachment_ids?.length > 0 && (
+                      <span className="inline-block px-2 py-0.5 text-xs bg-green-100 text-green-700 rounded">
+                        画像 {post.attachment_ids.length}枚
+                      </span>
+                    )}
+                    {isThreadPost(post) && (
+                      <span className="inline-block px-2 py-0.5 text-xs bg-blue-100 text-blue-700 rounded">
+                        スレッド {(post.thread_tweet_ids || []).length}/{post.thread_parts.length}
+                      </span>
+                    )}
                   </div>
-                  <p className="text-sm text-gray-800 break-words">{post.text}</p>
+                  {isThreadPost(post) ? (
+                    <ol className="space-y-1">
+                      {post.thread_parts.map((part, i) => (
+                        <li key={i} className="text-sm text-gray-800 break-words pl-2 border-l-2 border-gray-200">
+                          {part}
+                        </li>
+                      ))}
+                    </ol>
+                  ) : (
+                    <p className="text-sm text-gray-800 break-words">{post.text}</p>
+                  )}
                   <TargetTweetLink post={post} />
                   <p className="text-xs text-gray-400 mt-1">
-                    予定: {formatDate(post.scheduled_at)}
+                    予定: {formatDate(post.scheduled_at, post.account_timezone)}
+                    {post.queue_slot_id && <span className="ml-2 text-indigo-500">キュー</span>}
                   </p>
                   {post.status === 'failed' && post.error_message && (
                     <p className="text-xs text-red-500 mt-1">
@@ -253,7 +278,9 @@ export default function ScheduleList() {
               className={`border rounded-lg p-3 ${
                 post.status === 'failed'
                   ? 'border-red-200 bg-red-50'
-                  : 'border-green-200 bg-green-50'
+                  : post.status === 'deleted'
+                    ? 'border-gray-200 bg-gray-50'
+                    : 'border-green-200 bg-green-50'
               }`}
             >
               <div className="flex items-start justify-between gap-2">
@@ -266,6 +293,10 @@ export default function ScheduleList() {
                       <span className="inline-block px-2 py-0.5 text-xs bg-green-100 text-green-700 rounded font-medium">
                         投稿済み
                       </span>
+                    ) : post.status === 'deleted' ? (
+                      <span className="inline-block px-2 py-0.5 text-xs bg-gray-200 text-gray-600 rounded font-medium">
+                        削除済み
+                      </span>
                     ) : (
                       <span className="inline-block px-2 py-0.5 text-xs bg-red-100 text-red-700 rounded font-medium">
                         失敗
@@ -298,7 +329,7 @@ export default function ScheduleList() {
                     </p>
                   )}
                   <p className="text-xs text-gray-400 mt-1">
-                    予定: {formatDate(post.scheduled_at)}
+                    予定: {formatDate(post.scheduled_at, post.account_timezone)}
                   </p>
                 </div>
               </div>
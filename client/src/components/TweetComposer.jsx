@@ -1,28 +1,53 @@
 import React, { useState } from 'react';
 import { useAPI } from '../hooks/useAPI';
 import { useAccount } from '../contexts/AccountContext';
-import { charCount } from '../utils/formatters';
+import { weightedLength, splitIntoTweets, MAX_WEIGHTED_LENGTH } from '@shared/tweet-length';
 import AIGenerator from './AIGenerator';
 import PostConfirmDialog from './PostConfirmDialog';
+import MediaPicker from './MediaPicker';
 
-const MAX_CHARS = 280;
-
-export default function TweetComposer({ mode = 'new', targetTweetId: initialTarget, initialText = '', onPosted }) {
+export default function TweetComposer({ mode = 'new', targetTweetId: initialTarget, initialText = '', initialPromptSource = null, onPosted }) {
   const [text, setText] = useState(initialText);
+  // Prompt version / experiment variant of the AI candidate the text came from
+  const [promptSource, setPromptSource] = useState(initialPromptSource);
   const [targetTweetId, setTargetTweetId] = useState(initialTarget || '');
   const [scheduledAt, setScheduledAt] = useState('');
   const [showSchedule, setShowSchedule] = useState(false);
+  // Schedule into the account's next free queue slot instead of scheduledAt
+  const [useQueue, setUseQueue] = useState(false);
   const [showAI, setShowAI] = useState(false);
   const [showConfirm, setShowConfirm] = useState(false);
+  // Additional thread parts after the first tweet (new posts only)
+  const [extraParts, setExtraParts] = useState([]);
+  const [attachments, setAttachments] = useState([]);
+  // Set when the content lint sent the post to drafts instead
+  const [lintNotice, setLintNotice] = useState('');
   const { post, loading, error } = useAPI();
   const { currentAccount, hasAccounts } = useAccount();
 
-  const count = charCount(text);
-  const isOverLimit = count > MAX_CHARS;
+  const count = weightedLength(text);
+  const isThread = mode === 'new' && extraParts.length > 0;
+  const isOverLimit = count > MAX_WEIGHTED_LENGTH || extraParts.some(p => weightedLength(p) > MAX_WEIGHTED_LENGTH);
+  const hasEmptyPart = extraParts.some(p => !p.trim());
+
+  const updatePart = (index, value) => {
+    setExtraParts(prev => prev.map((p, i) => (i === index ? value : p)));
+  };
+
+  const removePart = (index) => {
+    setExtraParts(prev => prev.filter((_, i) => i !== index));
+  };
+
+  // Re-split every part at sentence boundaries so each fits X's limit
+  const splitToThread = () => {
+    const parts = [text, ...extraParts].flatMap(p => splitIntoTweets(p));
+    setText(parts[0]);
+    setExtraParts(parts.slice(1));
+  };
 
   const handleSubmitRequest = (e) => {
     e.preventDefault();
-    if (!text.trim() || isOverLimit || !currentAccount) return;
+    if (!text.trim() || isOverLimit || hasEmptyPart || !currentAccount) return;
 
     // Always show confirmation dialog to prevent wrong-account posts
     setShowConfirm(true);
@@ -30,24 +55,44 @@ export default function TweetComposer({ mode = 'new', targetTweetId: initialTarg
 
   const handleConfirmedSubmit = async () => {
     setShowConfirm(false);
+    setLintNotice('');
 
     const endpoint = mode === 'reply' ? '/tweets/reply'
       : mode === 'quote' ? '/tweets/quote'
       : '/tweets';
 
     const body = { text, accountId: currentAccount.id };
+    if (isThread) {
+      body.threadParts = [text, ...extraParts];
+    }
+    if (mode === 'new' && attachments.length > 0) {
+      body.attachmentIds = attachments.map(a => a.id);
+    }
     if (mode === 'reply' || mode === 'quote') {
       body.targetTweetId = targetTweetId;
     }
-    if (scheduledAt) {
+    if (promptSource?.promptVersionId) {
+      body.promptVersionId = promptSource.promptVersionId;
+    }
+    if (promptSource?.experimentVariantId) {
+      body.experimentVariantId = promptSource.experimentVariantId;
+    }
+    if (useQueue) {
+      body.queue = true;
+    } else if (scheduledAt) {
       body.scheduledAt = new Date(scheduledAt).toISOString();
     }
 
     try {
-      await post(endpoint, body);
+      const result = await post(endpoint, body);
+      if (result.status === 'draft') setLintNotice(result.message);
       setText('');
+      setPromptSource(null);
+      setExtraParts([]);
+      setAttachments([]);
       setTargetTweetId('');
       setScheduledAt('');
+      setUseQueue(false);
       setShowSchedule(false);
       onPosted && onPosted();
     } catch (err) {
@@ -57,6 +102,7 @@ export default function TweetComposer({ mode = 'new', targetTweetId: initialTarg
 
   const handleAISelect = (candidate) => {
     setText(candidate.text);
+    setPromptSource({ promptVersionId: candidate.promptVersionId, experimentVariantId: candidate.experimentVariantId });
     setShowAI(false);
   };
 
@@ -122,44 +168,111 @@ export default function TweetComposer({ mode = 'new', targetTweetId: initialTarg
             style={{ borderColor: currentAccount?.color || '#D1D5DB' }}
           />
           <span className={`absolute bottom-2 right-2 text-xs ${isOverLimit ? 'text-red-500 font-bold' : 'text-gray-400'}`}>
-            {count}/{MAX_CHARS}
+            {count}/{MAX_WEIGHTED_LENGTH}
           </span>
         </div>
 
+        {mode === 'new' && (
+          <MediaPicker
+            accountId={currentAccount?.id}
+            attachments={attachments}
+            onChange={setAttachments}
+          />
+        )}
+
+        {isThread && extraParts.map((part, i) => (
+          <div key={i} className="relative pl-4 border-l-2 border-gray-200">
+            <div className="flex items-center justify-between mb-1">
+              <span className="text-xs text-gray-500">スレッド {i + 2}/{extraParts.length + 1}</span>
+              <button
+                type="button"
+                onClick={() => removePart(i)}
+                className="text-xs text-red-500 hover:text-red-700"
+              >
+                削除
+              </button>
+            </div>
+            <textarea
+              value={part}
+              onChange={(e) => updatePart(i, e.target.value)}
+              placeholder="続きを入力..."
+              rows={3}
+              className="w-full px-3 py-2 border-2 rounded-lg text-sm resize-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              style={{ borderColor: currentAccount?.color || '#D1D5DB' }}
+            />
+            <span className={`absolute bottom-2 right-2 text-xs ${weightedLength(part) > MAX_WEIGHTED_LENGTH ? 'text-red-500 font-bold' : 'text-gray-400'}`}>
+              {weightedLength(part)}/{MAX_WEIGHTED_LENGTH}
+            </span>
+          </div>
+        ))}
+
         {showSchedule && (
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">投稿日時</label>
-            <input
-              type="datetime-local"
-              value={scheduledAt}
-              onChange={(e) => setScheduledAt(e.target.value)}
-              className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-            />
+            <div className="flex items-center gap-3 flex-wrap">
+              <input
+                type="datetime-local"
+                value={scheduledAt}
+                onChange={(e) => setScheduledAt(e.target.value)}
+                disabled={useQueue}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:opacity-50"
+              />
+              <label className="flex items-center gap-1.5 text-sm text-gray-600">
+                <input type="checkbox" checked={useQueue} onChange={(e) => setUseQueue(e.target.checked)} />
+                キューの次の空き枠に入れる
+              </label>
+            </div>
+          </div>
+        )}
+
+        {mode === 'new' && isOverLimit && (
+          <div className="flex items-center gap-2 text-sm text-red-500">
+            <span>文字数が上限を超えています。</span>
+            <button
+              type="button"
+              onClick={splitToThread}
+              className="text-blue-600 hover:underline"
+            >
+              スレッドに分割
+            </button>
           </div>
         )}
 
         {error && <p className="text-sm text-red-500">{error}</p>}
+        {lintNotice && <p className="text-sm text-amber-600">{lintNotice}</p>}
 
         <div className="flex items-center gap-2 flex-wrap">
           <button
             type="submit"
-            disabled={loading || !text.trim() || isOverLimit || !currentAccount}
+            disabled={loading || !text.trim() || isOverLimit || hasEmptyPart || !currentAccount}
             className="px-4 py-2 text-white text-sm font-medium rounded-lg disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
             style={{ backgroundColor: currentAccount?.color || '#3B82F6' }}
           >
-            {loading ? '投稿中...' : scheduledAt ? '予約する' : '投稿する'}
+            {loading ? '投稿中...' : useQueue ? 'キューに追加' : scheduledAt ? '予約する' : '投稿する'}
           </button>
           <button
             type="button"
             onClick={() => {
               const next = !showSchedule;
               setShowSchedule(next);
-              if (!next) setScheduledAt('');
+              if (!next) {
+                setScheduledAt('');
+                setUseQueue(false);
+              }
             }}
             className="px-3 py-2 text-sm text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
           >
             {showSchedule ? '即時投稿に戻す' : '予約投稿'}
           </button>
+          {mode === 'new' && (
+            <button
+              type="button"
+              onClick={() => setExtraParts(prev => [...prev, ''])}
+              className="px-3 py-2 text-sm text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+            >
+              スレッドに追加
+            </button>
+          )}
           <button
             type="button"
             onClick={() => setShowAI(true)}
@@ -181,7 +294,7 @@ export default function TweetComposer({ mode = 'new', targetTweetId: initialTarg
       {showConfirm && currentAccount && (
         <PostConfirmDialog
           account={currentAccount}
-          text={text}
+          text={isThread ? [text, ...extraParts].join('\n\n---\n\n') : text}
           onConfirm={handleConfirmedSubmit}
           onCancel={() => setShowConfirm(false)}
         />
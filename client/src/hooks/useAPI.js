@@ -30,7 +30,11 @@ export function useAPI() {
         );
       }
       if (!response.ok) {
-        throw new Error(data.error || `Request failed: ${response.status}`);
+        // Keep the status and body so callers can act on e.g. 409 conflicts
+        const err = new Error(data.error || `Request failed: ${response.status}`);
+        err.status = response.status;
+        err.data = data;
+        throw err;
       }
       return data;
     } catch (err) {
@@ -57,5 +61,49 @@ export function useAPI() {
     method: 'DELETE'
   }), [request]);
 
-  return { get, post, put, del, loading, error };
+  // POST to a server-sent events endpoint. onEvent(type, data) receives each
+  // event; resolves with the `done` payload and throws on an `error` event.
+  const stream = useCallback(async (path, body, onEvent) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await fetch(`${API_BASE}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `サーバーエラー (${response.status})`);
+      }
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const messages = buffer.split('\n\n');
+        buffer = messages.pop();
+        for (const message of messages) {
+          const type = message.match(/^event: (.*)$/m)?.[1];
+          const dataLine = message.match(/^data: (.*)$/m)?.[1];
+          if (!type || dataLine === undefined) continue;
+          const data = JSON.parse(dataLine);
+          if (type === 'error') throw new Error(data.error);
+          if (type === 'done') return data;
+          onEvent(type, data);
+        }
+      }
+      throw new Error('ストリームが途中で終了しました');
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  return { get, post, put, del, stream, loading, error };
 }
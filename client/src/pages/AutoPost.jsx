@@ -2,6 +2,9 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAPI } from '../hooks/useAPI';
 import { useAccount } from '../contexts/AccountContext';
+import EvergreenQueue from '../components/EvergreenQueue';
+import PostingBlackouts from '../components/PostingBlackouts';
+import { formatTimeZone } from '../utils/formatters';
 
 const AI_MODELS = [
   { id: '', label: 'デフォルト（タスク設定に従う）' },
@@ -102,6 +105,7 @@ export default function AutoPost() {
           styleNote: s.style_note || '',
           aiModel: s.ai_model || '',
           maxLength: s.max_length || 0,
+          threadLength: s.thread_length || 0,
           lastRunDate: s.last_run_date,
           lastRunTimes: s.last_run_times,
         };
@@ -154,6 +158,7 @@ export default function AutoPost() {
     styleNote: '',
     aiModel: '',
     maxLength: 0,
+    threadLength: 0,
   });
 
   const getSetting = (postType) => settings[postType] || getDefault(postType);
@@ -188,6 +193,7 @@ export default function AutoPost() {
         styleNote: s.styleNote,
         aiModel: s.aiModel,
         maxLength: s.maxLength,
+        threadLength: s.threadLength,
       });
       await loadSettings();
     } catch (e) {
@@ -215,6 +221,7 @@ export default function AutoPost() {
         styleNote: s.styleNote,
         aiModel: s.aiModel,
         maxLength: s.maxLength,
+        threadLength: s.threadLength,
       });
       setSaved(postType);
       setTimeout(() => setSaved(false), 2000);
@@ -437,7 +444,7 @@ export default function AutoPost() {
                   {/* Schedule times */}
                   <div>
                     <label className="block text-xs font-medium text-gray-500 mb-1">
-                      実行時刻（カンマ区切りで複数指定可: 09:00,13:00）
+                      実行時刻（{formatTimeZone(currentAccount?.timezone)}・カンマ区切りで複数指定可: 09:00,13:00）
                     </label>
                     <input
                       type="text"
@@ -630,6 +637,27 @@ export default function AutoPost() {
                     </div>
                   </div>
 
+                  {/* Thread length (new tweets only) */}
+                  {postType === 'new' && (
+                    <div>
+                      <label className="block text-xs font-medium text-gray-500 mb-1">
+                        スレッド形式 {s.threadLength > 1 ? `(${s.threadLength}ツイート)` : '(単発ツイート)'}
+                      </label>
+                      <input
+                        type="number"
+                        min={0}
+                        max={10}
+                        value={s.threadLength || ''}
+                        onChange={(e) => updateSetting(postType, 'threadLength', parseInt(e.target.value) || 0)}
+                        placeholder="0 = 単発ツイート"
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                      />
+                      <p className="text-xs text-gray-400 mt-1">
+                        2以上を指定すると、指定数のツイートをつなげたスレッドとして生成します
+                      </p>
+                    </div>
+                  )}
+
                   {/* Last run info */}
                   {s.lastRunDate && (
                     <div className="text-xs text-gray-400">
@@ -708,6 +736,10 @@ export default function AutoPost() {
               </div>
             </div>
           </div>
+
+          <EvergreenQueue />
+
+          <PostingBlackouts />
         </>
       )}
 
@@ -0,0 +1,349 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { useAPI } from '../hooks/useAPI';
+import { useAccount } from '../contexts/AccountContext';
+
+const WEEKDAYS = ['月', '火', '水', '木', '金', '土', '日'];
+const HOURS = Array.from({ length: 24 }, (_, h) => h);
+// Drafts dropped on a month-view day are scheduled at this hour
+const DEFAULT_DRAFT_HOUR = 9;
+
+const STATUS_STYLES = {
+  scheduled: 'bg-blue-50 text-blue-800 border-blue-200',
+  posted: 'bg-green-50 text-green-800 border-green-200',
+  failed: 'bg-red-50 text-red-800 border-red-200',
+  draft: 'bg-gray-50 text-gray-700 border-gray-200'
+};
+
+const POST_TYPE_LABELS = { new: '新規', reply: 'リプライ', quote: '引用RT' };
+
+function addDays(date, days) {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+}
+
+// Monday 00:00 (local time) of the week containing date
+function startOfWeek(date) {
+  const d = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  return addDays(d, -((d.getDay() + 6) % 7));
+}
+
+// The visible [from, to) range: one week, or the whole weeks covering the month
+function getRange(view, anchor) {
+  if (view === 'week') {
+    const from = startOfWeek(anchor);
+    return { from, to: addDays(from, 7) };
+  }
+  const first = new Date(anchor.getFullYear(), anchor.getMonth(), 1);
+  const from = startOfWeek(first);
+  const last = new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0);
+  return { from, to: addDays(startOfWeek(last), 7) };
+}
+
+function dayKey(date) {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${d.getMonth() + 1}-${d.getDate()}`;
+}
+
+function formatTime(date) {
+  const d = new Date(date);
+  return `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+}
+
+function postBody(post) {
+  return Array.isArray(post.thread_parts) && post.thread_parts.length > 1
+    ? post.thread_parts.join('\n')
+    : post.text;
+}
+
+function describeConflict(conflict) {
+  return conflict.type === 'slot'
+    ? `${formatTime(conflict.at)} 自動投稿（${POST_TYPE_LABELS[conflict.postType] || conflict.postType}）`
+    : `${formatTime(conflict.at)} ${(conflict.text || '').slice(0, 30)}`;
+}
+
+function PostChip({ post, onDragStart }) {
+  const draggable = post.status === 'scheduled' || post.status === 'draft';
+  return (
+    <div
+      draggable={draggable}
+      onDragStart={draggable ? (e) => onDragStart(e, post) : undefined}
+      title={postBody(post)}
+      className={`text-xs border rounded px-1.5 py-0.5 truncate ${STATUS_STYLES[post.status] || STATUS_STYLES.draft} ${draggable ? 'cursor-move' : ''}`}
+      style={post.account_color ? { borderLeftColor: post.account_color, borderLeftWidth: 3 } : undefined}
+    >
+      {post.at && <span className="font-medium mr-1">{formatTime(post.at)}</span>}
+      {post.text}
+    </div>
+  );
+}
+
+function SlotChip({ slot, onDrop }) {
+  const [over, setOver] = useState(false);
+  return (
+    <div
+      onDragOver={(e) => { e.preventDefault(); setOver(true); }}
+      onDragLeave={() => setOver(false)}
+      onDrop={(e) => { e.preventDefault(); e.stopPropagation(); setOver(false); onDrop(new Date(slot.at)); }}
+      title="ドロップするとこの時刻に予約します"
+      className={`text-xs border border-dashed rounded px-1.5 py-0.5 truncate ${over ? 'border-blue-500 bg-blue-50 text-blue-700' : 'border-gray-300 text-gray-400'}`}
+    >
+      {formatTime(slot.at)} 自動投稿（{POST_TYPE_LABELS[slot.postType] || slot.postType}）
+    </div>
+  );
+}
+
+// A drop target: a day (month view) or an hour of a day (week view)
+function DropCell({ onDrop, className, children }) {
+  const [over, setOver] = useState(false);
+  return (
+    <div
+      onDragOver={(e) => { e.preventDefault(); setOver(true); }}
+      onDragLeave={() => setOver(false)}
+      onDrop={(e) => { e.preventDefault(); setOver(false); onDrop(); }}
+      className={`${className} ${over ? 'bg-blue-50' : ''}`}
+    >
+      {children}
+    </div>
+  );
+}
+
+export default function Calendar() {
+  const { currentAccount } = useAccount();
+  const { get, post, put } = useAPI();
+  const [view, setView] = useState('week');
+  const [anchor, setAnchor] = useState(() => new Date());
+  const [allAccounts, setAllAccounts] = useState(false);
+  const [data, setData] = useState({ posts: [], drafts: [], slots: [] });
+  const [message, setMessage] = useState(null);
+  const dragging = useRef(null);
+
+  const { from, to } = getRange(view, anchor);
+  const fromIso = from.toISOString();
+  const toIso = to.toISOString();
+  const accountId = allAccounts ? null : currentAccount?.id;
+
+  const fetchCalendar = useCallback(async () => {
+    const params = new URLSearchParams({ from: fromIso, to: toIso });
+    if (accountId) params.set('accountId', accountId);
+    try {
+      setData(await get(`/calendar?${params}`));
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    }
+  }, [get, fromIso, toIso, accountId]);
+
+  useEffect(() => { fetchCalendar(); }, [fetchCalendar]);
+
+  const handleDragStart = (e, item) => {
+    dragging.current = item;
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', String(item.id));
+  };
+
+  const reschedule = async (item, at, allowConflicts = false) => {
+    const body = { scheduledAt: at.toISOString(), allowConflicts };
+    if (item.status === 'draft') {
+      await post(`/tweets/drafts/${item.id}/schedule`, body);
+    } else {
+      await put(`/tweets/scheduled/${item.id}`, body);
+    }
+  };
+
+  // Drop the dragged post or draft at `at`; a 409 lists the posts it would
+  // collide with and lets the user move it anyway
+  const handleDrop = async (at) => {
+    const item = dragging.current;
+    dragging.current = null;
+    if (!item) return;
+    if (at <= new Date()) {
+      setMessage({ type: 'error', text: '過去の日時には移動できません' });
+      return;
+    }
+    if (item.at && new Date(item.at).getTime() === at.getTime()) return;
+
+    try {
+      try {
+        await reschedule(item, at);
+      } catch (err) {
+        if (err.status !== 409) throw err;
+        const list = (err.data?.conflicts || []).map(describeConflict).join('\n');
+        if (!window.confirm(`${err.message}\n${list}\n\nこのまま ${formatTime(at)} に予約しますか？`)) return;
+        await reschedule(item, at, true);
+      }
+      setMessage({ type: 'success', text: `${at.toLocaleDateString('ja-JP')} ${formatTime(at)} に予約しました` });
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    }
+    fetchCalendar();
+  };
+
+  // Moving a post keeps its minutes (week view) or its time of day (month view)
+  const dropAtHour = (day, hour) => {
+    const minutes = dragging.current?.at ? new Date(dragging.current.at).getMinutes() : 0;
+    const at = new Date(day);
+    at.setHours(hour, minutes, 0, 0);
+    return handleDrop(at);
+  };
+  const dropOnDay = (day) => {
+    const source = dragging.current?.at ? new Date(dragging.current.at) : null;
+    const at = new Date(day);
+    at.setHours(source ? source.getHours() : DEFAULT_DRAFT_HOUR, source ? source.getMinutes() : 0, 0, 0);
+    return handleDrop(at);
+  };
+
+  const shift = (direction) => {
+    const next = new Date(anchor);
+    if (view === 'week') next.setDate(next.getDate() + 7 * direction);
+    else next.setMonth(next.getMonth() + direction, 1);
+    setAnchor(next);
+  };
+
+  const byDay = (items) => items.reduce((map, item) => {
+    const key = dayKey(item.at);
+    map[key] = [...(map[key] || []), item];
+    return map;
+  }, {});
+  const postsByDay = byDay(data.posts);
+  const slotsByDay = byDay(data.slots);
+  const inHour = (items, hour) => (items || []).filter(item => new Date(item.at).getHours() === hour);
+
+  const days = [];
+  for (let d = new Date(from); d < to; d = addDays(d, 1)) days.push(d);
+  const today = dayKey(new Date());
+
+  if (!currentAccount && !allAccounts) {
+    return (
+      <div className="text-center py-12 text-gray-400">
+        アカウントを選択してください
+      </div>
+    );
+  }
+
+  const title = view === 'week'
+    ? `${from.toLocaleDateString('ja-JP')} 〜 ${addDays(to, -1).toLocaleDateString('ja-JP')}`
+    : `${anchor.getFullYear()}年${anchor.getMonth() + 1}月`;
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <h2 className="text-xl font-bold text-gray-900">コンテンツカレンダー</h2>
+        <p className="text-sm text-gray-500 mt-1">
+          予約・投稿済み・下書きを日時ごとに表示します。予約投稿や下書きをドラッグして別の時間に移動できます
+        </p>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <button onClick={() => shift(-1)} className="px-3 py-1.5 text-sm border border-gray-300 rounded-lg hover:bg-gray-50">←</button>
+        <button onClick={() => setAnchor(new Date())} className="px-3 py-1.5 text-sm border border-gray-300 rounded-lg hover:bg-gray-50">今日</button>
+        <button onClick={() => shift(1)} className="px-3 py-1.5 text-sm border border-gray-300 rounded-lg hover:bg-gray-50">→</button>
+        <span className="text-sm font-medium text-gray-800 ml-2">{title}</span>
+        <div className="flex-1" />
+        <label className="flex items-center gap-1 text-sm text-gray-600">
+          <input type="checkbox" checked={allAccounts} onChange={(e) => setAllAccounts(e.target.checked)} />
+          全アカウント
+        </label>
+        <div className="flex border border-gray-300 rounded-lg overflow-hidden">
+          {[{ id: 'week', label: '週' }, { id: 'month', label: '月' }].map(v => (
+            <button
+              key={v.id}
+              onClick={() => setView(v.id)}
+              className={`px-3 py-1.5 text-sm ${view === v.id ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+            >
+              {v.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {message && (
+        <div className={`text-sm px-3 py-2 rounded-lg ${message.type === 'error' ? 'bg-red-50 text-red-700' : 'bg-green-50 text-green-700'}`}>
+          {message.text}
+        </div>
+      )}
+
+      <div className="flex flex-col lg:flex-row gap-4">
+        <div className="flex-1 min-w-0 bg-white border border-gray-200 rounded-lg overflow-auto">
+          <div className="grid grid-cols-7 border-b border-gray-200" style={view === 'week' ? { marginLeft: '3rem' } : undefined}>
+            {WEEKDAYS.map((label, i) => (
+              <div key={label} className="px-2 py-1.5 text-xs font-medium text-gray-500 text-center">
+                {label}{view === 'week' && ` ${days[i].getMonth() + 1}/${days[i].getDate()}`}
+              </div>
+            ))}
+          </div>
+
+          {view === 'week' ? (
+            <div className="max-h-[70vh] overflow-y-auto">
+              {HOURS.map(hour => (
+                <div key={hour} className="flex border-b border-gray-100">
+                  <div className="w-12 flex-shrink-0 text-xs text-gray-400 text-right pr-2 pt-1">{hour}:00</div>
+                  <div className="grid grid-cols-7 flex-1">
+                    {days.map(day => {
+                      const key = dayKey(day);
+                      return (
+                        <DropCell
+                          key={key}
+                          onDrop={() => dropAtHour(day, hour)}
+                          className={`min-h-[2.5rem] border-l border-gray-100 p-0.5 space-y-0.5 ${key === today ? 'bg-yellow-50/40' : ''}`}
+                        >
+                          {inHour(slotsByDay[key], hour).map(slot => (
+                            <SlotChip key={`${slot.settingId}-${slot.at}`} slot={slot} onDrop={handleDrop} />
+                          ))}
+                          {inHour(postsByDay[key], hour).map(p => (
+                            <PostChip key={p.id} post={p} onDragStart={handleDragStart} />
+                          ))}
+                        </DropCell>
+                      );
+                    })}
+                  </div>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <div className="grid grid-cols-7">
+              {days.map(day => {
+                const key = dayKey(day);
+                const outside = day.getMonth() !== anchor.getMonth();
+                return (
+                  <DropCell
+                    key={key}
+                    onDrop={() => dropOnDay(day)}
+                    className={`min-h-[7rem] border-b border-l border-gray-100 p-1 space-y-0.5 ${outside ? 'bg-gray-50' : ''}`}
+                  >
+                    <div className={`text-xs ${key === today ? 'font-bold text-blue-600' : outside ? 'text-gray-300' : 'text-gray-500'}`}>
+                      {day.getDate()}
+                    </div>
+                    {(slotsByDay[key] || []).map(slot => (
+                      <SlotChip key={`${slot.settingId}-${slot.at}`} slot={slot} onDrop={handleDrop} />
+                    ))}
+                    {(postsByDay[key] || []).map(p => (
+                      <PostChip key={p.id} post={p} onDragStart={handleDragStart} />
+                    ))}
+                  </DropCell>
+                );
+              })}
+            </div>
+          )}
+        </div>
+
+        <div className="lg:w-64 flex-shrink-0 bg-white border border-gray-200 rounded-lg p-3 space-y-2">
+          <h3 className="text-sm font-semibold text-gray-900">下書き</h3>
+          <p className="text-xs text-gray-400">カレンダーにドラッグすると予約します</p>
+          {data.drafts.length === 0 && (
+            <p className="text-xs text-gray-400 py-2 text-center">下書きはありません</p>
+          )}
+          {data.drafts.map(d => (
+            <PostChip key={d.id} post={d} onDragStart={handleDragStart} />
+          ))}
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-3 text-xs text-gray-500">
+        <span><span className="inline-block w-3 h-3 align-middle rounded border bg-blue-50 border-blue-200 mr-1" />予約</span>
+        <span><span className="inline-block w-3 h-3 align-middle rounded border bg-green-50 border-green-200 mr-1" />投稿済み</span>
+        <span><span className="inline-block w-3 h-3 align-middle rounded border bg-red-50 border-red-200 mr-1" />失敗</span>
+        <span><span className="inline-block w-3 h-3 align-middle rounded border border-dashed border-gray-300 mr-1" />自動投稿の時刻</span>
+      </div>
+    </div>
+  );
+}
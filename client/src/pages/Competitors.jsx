@@ -1,12 +1,15 @@
 import React, { useState, useEffect } from 'react';
 import { useAPI } from '../hooks/useAPI';
 import { useAccount } from '../contexts/AccountContext';
-import { formatNumber, formatDate } from '../utils/formatters';
+import { formatNumber, formatDate, formatCurrency, formatRelativeTime } from '../utils/formatters';
+import KeywordMonitors from '../components/KeywordMonitors';
 
 export default function Competitors() {
   const [competitors, setCompetitors] = useState([]);
   const [handle, setHandle] = useState('');
   const [fetching, setFetching] = useState(false);
+  const [fetchMessage, setFetchMessage] = useState('');
+  const [rising, setRising] = useState([]);
   const { get, post, del, loading, error } = useAPI();
   const { currentAccount } = useAccount();
 
@@ -30,6 +33,7 @@ export default function Competitors() {
   // Keyword suggestions state
   const [suggestions, setSuggestions] = useState(null);
   const [loadingSuggestions, setLoadingSuggestions] = useState(false);
+  const [pickedKeyword, setPickedKeyword] = useState('');
 
   const fetchCompetitors = async () => {
     try {
@@ -41,7 +45,20 @@ export default function Competitors() {
     }
   };
 
-  useEffect(() => { fetchCompetitors(); }, [currentAccount]);
+  const fetchRising = async () => {
+    try {
+      const params = currentAccount ? `?accountId=${currentAccount.id}&limit=5` : '?limit=5';
+      const data = await get(`/analytics/rising${params}`);
+      setRising(data || []);
+    } catch (err) {
+      // ignore
+    }
+  };
+
+  useEffect(() => {
+    fetchCompetitors();
+    fetchRising();
+  }, [currentAccount]);
 
   const handleAdd = async (e) => {
     e.preventDefault();
@@ -69,8 +86,15 @@ export default function Competitors() {
 
   const handleFetchAll = async () => {
     setFetching(true);
+    setFetchMessage('');
     try {
-      await post('/competitors/fetch', {});
+      const result = await post('/competitors/fetch', {});
+      const deferred = result.deferred || [];
+      setFetchMessage(deferred.length > 0
+        ? `取得しました（レート制限により ${deferred.length} 件は次回に延期）`
+        : '取得しました');
+      fetchCompetitors();
+      fetchRising();
     } catch (err) {
       // ignore
     } finally {
@@ -96,6 +120,7 @@ export default function Competitors() {
 
   const applyKeyword = (word) => {
     setKeyword(word);
+    setPickedKeyword(word);
   };
 
   // Auto-search handlers
@@ -183,6 +208,9 @@ export default function Competitors() {
           {fetching ? '取得中...' : '全競合ツイート取得'}
         </button>
       </div>
+      {fetchMessage && (
+        <p className="text-sm text-green-700">{fetchMessage}</p>
+      )}
 
       {/* Manual add form */}
       <div className="bg-white border border-gray-200 rounded-lg p-4 space-y-3">
@@ -493,6 +521,29 @@ export default function Competitors() {
         )}
       </div>
 
+      <KeywordMonitors suggestedQuery={pickedKeyword} />
+
+      {/* Rising now: recent competitor tweets gaining engagement fastest */}
+      {rising.length > 0 && (
+        <div className="bg-white border border-gray-200 rounded-lg p-4 space-y-2">
+          <h3 className="text-sm font-semibold text-gray-700">急上昇中（直近24時間）</h3>
+          {rising.map((t, i) => (
+            <div key={t.id} className="flex items-start gap-2 text-sm">
+              <span className="text-xs font-bold text-gray-400 mt-0.5">#{i + 1}</span>
+              <div className="flex-1 min-w-0">
+                <p className="text-xs text-gray-500">
+                  @{t.handle} &middot; {formatRelativeTime(t.created_at_x)}
+                </p>
+                <p className="text-gray-800 truncate">{t.text}</p>
+              </div>
+              <span className="text-xs font-medium text-orange-600 flex-shrink-0">
+                +{formatNumber(t.velocity_score || 0)}/時
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
       {/* Competitor list */}
       <div className="space-y-3">
         <h3 className="text-sm font-semibold text-gray-700">
@@ -515,6 +566,20 @@ export default function Competitors() {
                 <span>ツイート取得数: {c.tweet_count || 0}</span>
                 <span>追加日: {formatDate(c.created_at)}</span>
               </div>
+              <div className="flex flex-wrap gap-3 mt-1 text-xs text-gray-500">
+                {c.last_fetched_at ? (
+                  <>
+                    <span>最終取得: {formatRelativeTime(c.last_fetched_at)}</span>
+                    <span>新着: +{c.last_fetch_tweet_count || 0}件</span>
+                    <span>コスト: {formatCurrency(c.last_fetch_cost_usd || 0)}</span>
+                  </>
+                ) : (
+                  <span>未取得</span>
+                )}
+                {c.last_fetch_error && (
+                  <span className="text-red-500">取得エラー: {c.last_fetch_error}</span>
+                )}
+              </div>
             </div>
             <button
               onClick={() => handleDelete(c.id)}
@@ -1,8 +1,9 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useAPI } from '../hooks/useAPI';
 import { useAccount } from '../contexts/AccountContext';
-import { formatPercent, formatNumber, formatRelativeTime } from '../utils/formatters';
+import { formatPercent, formatNumber, formatRelativeTime, formatTimeZone } from '../utils/formatters';
 import StatsCard from '../components/StatsCard';
+import PromptExperiments from '../components/PromptExperiments';
 
 const PRIORITY_STYLES = {
   high: 'bg-red-100 text-red-700',
@@ -97,6 +98,7 @@ export default function Improvement() {
     { id: 'analysis', label: 'パフォーマンス分析' },
     { id: 'suggestions', label: '改善提案' },
     { id: 'history', label: '分析履歴' },
+    { id: 'experiments', label: 'プロンプトA/Bテスト' },
   ];
 
   return (
@@ -192,6 +194,9 @@ export default function Improvement() {
       {activeTab === 'history' && (
         <HistoryTab history={history} />
       )}
+      {activeTab === 'experiments' && (
+        <PromptExperiments />
+      )}
     </div>
   );
 }
@@ -274,7 +279,7 @@ function PerformanceTab({ performance }) {
       {/* Time analysis */}
       {timeAnalysis && timeAnalysis.hourlyPerformance && timeAnalysis.hourlyPerformance.length > 0 && (
         <div className="bg-white border border-gray-200 rounded-lg p-4">
-          <h3 className="font-semibold text-gray-900 text-sm mb-3">時間帯別パフォーマンス (JST)</h3>
+          <h3 className="font-semibold text-gray-900 text-sm mb-3">時間帯別パフォーマンス ({formatTimeZone(timeAnalysis.timeZone)})</h3>
           <div className="space-y-2">
             {timeAnalysis.hourlyPerformance.map((h, i) => (
               <div key={i} className="flex items-center justify-between text-xs">
@@ -3,6 +3,7 @@ import { useLocation } from 'react-router-dom';
 import TweetComposer from '../components/TweetComposer';
 import ScheduleList from '../components/ScheduleList';
 import DraftList from '../components/DraftList';
+import QueueSlots from '../components/QueueSlots';
 
 const tabs = [
   { id: 'new', label: '新規ツイート' },
@@ -15,6 +16,7 @@ export default function Post() {
   const initialMode = location.state?.mode || 'new';
   const initialTarget = location.state?.targetTweetId || '';
   const initialText = location.state?.prefillText || '';
+  const initialPromptSource = location.state?.promptSource || null;
 
   const [activeTab, setActiveTab] = useState(initialMode);
   const [postKey, setPostKey] = useState(0);
@@ -50,6 +52,7 @@ export default function Post() {
         mode={activeTab}
         targetTweetId={activeTab === initialMode ? initialTarget : ''}
         initialText={activeTab === initialMode ? initialText : ''}
+        initialPromptSource={activeTab === initialMode ? initialPromptSource : null}
         onPosted={handlePosted}
       />
 
@@ -58,6 +61,9 @@ export default function Post() {
 
       {/* Scheduled posts */}
       <ScheduleList key={`schedule-${postKey}`} />
+
+      {/* Queue slots */}
+      <QueueSlots key={`queue-${postKey}`} />
     </div>
   );
 }
@@ -2,7 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAPI } from '../hooks/useAPI';
 import { useAccount } from '../contexts/AccountContext';
-import { formatNumber, formatPercent, formatRelativeTime } from '../utils/formatters';
+import { formatNumber, formatPercent, formatRelativeTime, charCount } from '../utils/formatters';
 import ModelSelect from '../components/ModelSelect';
 
 const REPLY_ANGLES = [
@@ -26,6 +26,7 @@ export default function ReplyWorkflow() {
   const [suggestions, setSuggestions] = useState([]);
   const [fetching, setFetching] = useState(false);
   const [fetchError, setFetchError] = useState('');
+  const [sortBy, setSortBy] = useState('engagement_rate');
 
   // Step 2: Selected tweet
   const [selectedTweet, setSelectedTweet] = useState(null);
@@ -35,6 +36,8 @@ export default function ReplyWorkflow() {
   const [provider, setProvider] = useState('claude');
   const [model, setModel] = useState('claude-sonnet-4-20250514');
   const [candidates, setCandidates] = useState([]);
+  // Prompt version / experiment variant the candidates were generated with
+  const [promptSource, setPromptSource] = useState(null);
   const [generating, setGenerating] = useState(false);
   const [genError, setGenError] = useState('');
 
@@ -93,7 +96,9 @@ export default function ReplyWorkflow() {
       // First fetch latest competitor tweets
       await post('/competitors/fetch');
       // Then get suggestions
-      const params = currentAccount ? `?accountId=${currentAccount.id}&limit=10` : '?limit=10';
+      const params = currentAccount
+        ? `?accountId=${currentAccount.id}&limit=10&sortBy=${sortBy}`
+        : `?limit=10&sortBy=${sortBy}`;
       const data = await get(`/analytics/reply-suggestions${params}`);
       setSuggestions(data || []);
       if (data.length === 0) {
@@ -129,6 +134,7 @@ export default function ReplyWorkflow() {
         replyAngle,
       });
       setCandidates(result.candidates || []);
+      setPromptSource({ promptVersionId: result.promptVersionId, experimentVariantId: result.experimentVariantId });
       setStep(3);
     } catch (err) {
       setGenError(err.message);
@@ -143,6 +149,7 @@ export default function ReplyWorkflow() {
         mode: 'reply',
         targetTweetId: selectedTweet.tweet_id,
         prefillText: candidate.text,
+        promptSource,
       },
     });
   };
@@ -210,13 +217,23 @@ export default function ReplyWorkflow() {
                 競合の最新ツイートを取得し、エンゲージメント率が高いリプライ候補を推薦します
               </p>
             </div>
-            <button
-              onClick={handleFetchAndSuggest}
-              disabled={fetching}
-              className="px-4 py-2 bg-green-600 text-white text-sm font-medium rounded-lg hover:bg-green-700 disabled:opacity-50 transition-colors flex-shrink-0"
-            >
-              {fetching ? '取得中...' : '取得 & 推薦'}
-            </button>
+            <div className="flex items-center gap-2 flex-shrink-0">
+              <select
+                value={sortBy}
+                onChange={(e) => setSortBy(e.target.value)}
+                className="border border-gray-300 rounded-lg px-2 py-2 text-sm"
+              >
+                <option value="engagement_rate">エンゲージメント率順</option>
+                <option value="velocity">急上昇順</option>
+              </select>
+              <button
+                onClick={handleFetchAndSuggest}
+                disabled={fetching}
+                className="px-4 py-2 bg-green-600 text-white text-sm font-medium rounded-lg hover:bg-green-700 disabled:opacity-50 transition-colors"
+              >
+                {fetching ? '取得中...' : '取得 & 推薦'}
+              </button>
+            </div>
           </div>
 
           {fetchError && <p className="text-sm text-red-500">{fetchError}</p>}
@@ -228,7 +245,7 @@ export default function ReplyWorkflow() {
               </p>
               {suggestions.map((tweet, i) => (
                 <div
-                  key={tweet.id}
+                  key={tweet.tweet_id}
                   className="border border-gray-100 rounded-lg p-3 hover:border-green-300 hover:bg-green-50/30 transition-colors cursor-pointer"
                   onClick={() => handleSelectTweet(tweet)}
                 >
@@ -237,10 +254,14 @@ export default function ReplyWorkflow() {
                     <div className="flex-1 min-w-0">
                       <p className="text-xs text-gray-500 mb-1">
                         @{tweet.handle} &middot; {formatRelativeTime(tweet.created_at_x)}
+                        {tweet.source === 'keyword' && (
+                          <span className="ml-2 text-purple-600">キーワード「{tweet.monitor_query}」</span>
+                        )}
                       </p>
                       <p className="text-sm text-gray-800 break-words">{tweet.text}</p>
                       <div className="flex flex-wrap gap-3 mt-2 text-xs text-gray-500">
                         <span className="font-medium text-green-600">ER: {formatPercent(tweet.engagement_rate)}</span>
+                        <span>&#128200; {formatNumber(tweet.velocity_score || 0)}/時</span>
                         <span>&#9829; {formatNumber(tweet.like_count)}</span>
                         <span>RT {formatNumber(tweet.retweet_count)}</span>
                         <span>&#128172; {formatNumber(tweet.reply_count)}</span>
@@ -397,7 +418,7 @@ export default function ReplyWorkflow() {
                 <div className="flex items-center gap-2 mb-1">
                   <span className="text-xs font-medium text-gray-400">候補 {i + 1}</span>
                   {c.label && <span className="text-xs bg-green-100 text-green-700 px-1.5 py-0.5 rounded">{c.label}</span>}
-                  <span className="text-xs text-gray-300 ml-auto">{c.text.length}文字</span>
+                  <span className={`text-xs ml-auto ${charCount(c.text) > 280 ? 'text-red-500 font-bold' : 'text-gray-300'}`}>{charCount(c.text)}/280</span>
                 </div>
                 <p className="text-sm text-gray-800 whitespace-pre-wrap">{c.text}</p>
               </button>
@@ -1,13 +1,23 @@
 import React, { useState, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { useSettings } from '../hooks/useSettings';
 import { useAPI } from '../hooks/useAPI';
 import { useAccount } from '../contexts/AccountContext';
-import { formatCurrency, formatPercent } from '../utils/formatters';
+import { formatCurrency, formatPercent, formatDate, formatTimeZone, listTimeZones, DEFAULT_TIMEZONE } from '../utils/formatters';
 import ModelSelect from '../components/ModelSelect';
 import ModelSelector from '../components/ModelSelector';
+import PromptVersionHistory from '../components/PromptVersionHistory';
+import PersonaEditor from '../components/PersonaEditor';
 
 const ACCOUNT_COLORS = ['#3B82F6', '#EF4444', '#10B981', '#F59E0B', '#8B5CF6', '#EC4899', '#06B6D4', '#F97316'];
 
+// Matches LINT_POLICIES in server/services/content-linter.js
+const LINT_POLICY_OPTIONS = [
+  { value: 'draft', label: '下書きに回す（予約・投稿しない）' },
+  { value: 'block', label: '破棄する' },
+  { value: 'off', label: 'チェックしない' }
+];
+
 const TABS = [
   { id: 'accounts', label: 'Xアカウント' },
   { id: 'telegram', label: 'Telegram' },
@@ -32,12 +42,17 @@ export default function Settings() {
   const { accounts, refreshAccounts, currentAccount } = useAccount();
   const [activeTab, setActiveTab] = useState('accounts');
   const [usage, setUsage] = useState(null);
+  const [rateLimits, setRateLimits] = useState([]);
   const [saved, setSaved] = useState(false);
   const [showAddAccount, setShowAddAccount] = useState(false);
   const [editingAccount, setEditingAccount] = useState(null);
   const [accountError, setAccountError] = useState('');
   const [verifying, setVerifying] = useState(null);
+  const [personaAccountId, setPersonaAccountId] = useState(null);
   const [verifyResult, setVerifyResult] = useState(null);
+  const [connecting, setConnecting] = useState(false);
+  const [oauthResult, setOauthResult] = useState(null);
+  const [searchParams, setSearchParams] = useSearchParams();
 
   // Log viewer state
   const [logs, setLogs] = useState([]);
@@ -61,6 +76,9 @@ export default function Settings() {
   const [taskModels, setTaskModels] = useState([]);
   const [selectedPromptTask, setSelectedPromptTask] = useState('tweet_generation');
   const [promptData, setPromptData] = useState(null);
+  const [promptNote, setPromptNote] = useState('');
+  // Bumped after each save so the version history reloads
+  const [promptVersionKey, setPromptVersionKey] = useState(0);
   const [costSaved, setCostSaved] = useState(false);
   const [saving, setSaving] = useState(false);
   const [saveError, setSaveError] = useState('');
@@ -71,6 +89,7 @@ export default function Settings() {
     budget_x_api_usd: '',
     budget_gemini_usd: '',
     budget_claude_usd: '',
+    budget_timezone: '',
     system_prompt: '',
     default_hashtags: '',
     confirm_before_post: '',
@@ -87,7 +106,8 @@ export default function Settings() {
     access_token_secret: '',
     bearer_token: '',
     default_ai_provider: 'claude',
-    default_ai_model: 'claude-sonnet-4-20250514'
+    default_ai_model: 'claude-sonnet-4-20250514',
+    timezone: DEFAULT_TIMEZONE
   };
 
   const [accountForm, setAccountForm] = useState(emptyAccountForm);
@@ -100,6 +120,7 @@ export default function Settings() {
 
   const loadUsage = useCallback(() => {
     get('/settings/usage').then(setUsage).catch(() => {});
+    get('/settings/rate-limits').then(setRateLimits).catch(() => {});
   }, [get]);
 
   useEffect(() => {
@@ -236,6 +257,30 @@ export default function Settings() {
     }
   };
 
+  // Result of the "Connect with X" redirect (/api/accounts/oauth/callback)
+  useEffect(() => {
+    const status = searchParams.get('oauth');
+    if (!status) return;
+    setOauthResult(status === 'connected'
+      ? { ok: true, text: `@${searchParams.get('handle')} を連携しました` }
+      : { ok: false, text: `連携に失敗しました: ${searchParams.get('message') || '不明なエラー'}` });
+    setActiveTab('accounts');
+    setSearchParams({}, { replace: true });
+    refreshAccounts();
+  }, [searchParams, setSearchParams, refreshAccounts]);
+
+  const handleConnectX = async (accountId) => {
+    setAccountError('');
+    setConnecting(true);
+    try {
+      const { url } = await post('/accounts/oauth/authorize', accountId ? { accountId } : {});
+      window.location.href = url;
+    } catch (err) {
+      setAccountError(err.message);
+      setConnecting(false);
+    }
+  };
+
   const handleDeleteAccount = async (id) => {
     if (!window.confirm('このアカウントを削除しますか？関連する投稿データも削除されます。')) return;
     try {
@@ -273,6 +318,8 @@ export default function Settings() {
         bearer_token: full.bearer_token,
         default_ai_provider: full.default_ai_provider,
         default_ai_model: full.default_ai_model,
+        lint_policy: full.lint_policy || 'draft',
+        timezone: full.timezone || DEFAULT_TIMEZONE,
       });
       setEditingAccount(account);
       setShowAddAccount(false);
@@ -293,7 +340,7 @@ export default function Settings() {
       await put('/settings/cost', costSettings);
       // Also save per-API budgets to the settings KV table
       const budgetUpdates = {};
-      for (const key of ['budget_x_api_usd', 'budget_gemini_usd', 'budget_claude_usd']) {
+      for (const key of ['budget_x_api_usd', 'budget_gemini_usd', 'budget_claude_usd', 'budget_timezone']) {
         if (form[key] !== undefined && form[key] !== '') {
           budgetUpdates[key] = form[key];
         }
@@ -328,8 +375,11 @@ export default function Settings() {
     try {
       await put(`/settings/prompts/${selectedPromptTask}`, {
         system_prompt: promptData.system_prompt,
-        user_template: promptData.user_template
+        user_template: promptData.user_template,
+        note: promptNote
       });
+      setPromptNote('');
+      setPromptVersionKey(k => k + 1);
       setCostSaved(true);
       setTimeout(() => setCostSaved(false), 2000);
     } catch (err) {
@@ -348,6 +398,7 @@ export default function Settings() {
         user_template: result.user_template,
         is_custom: false
       });
+      setPromptVersionKey(k => k + 1);
     } catch (err) {
       // ignore
     }
@@ -355,6 +406,9 @@ export default function Settings() {
 
   const renderAccountForm = (isEdit) => (
     <div className="space-y-3">
+      <datalist id="timezone-options">
+        {listTimeZones().map(tz => <option key={tz} value={tz} />)}
+      </datalist>
       <div className="grid grid-cols-2 gap-3">
         <div>
           <label className="block text-xs font-medium text-gray-500 mb-1">表示名 *</label>
@@ -401,6 +455,23 @@ export default function Settings() {
           onModelChange={(v) => handleAccountChange('default_ai_model', v)}
         />
       </div>
+      <div className="border-t border-gray-200 pt-3">
+        <label className="block text-xs font-medium text-gray-500 mb-1">タイムゾーン</label>
+        <input type="text" list="timezone-options" value={accountForm.timezone}
+          onChange={(e) => handleAccountChange('timezone', e.target.value)}
+          placeholder={DEFAULT_TIMEZONE} className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm" />
+        <p className="text-xs text-gray-400 mt-1">自動投稿の実行時刻・キューの枠・時間帯別分析・月の集計はこのタイムゾーンで扱います（夏時間にも追従）</p>
+      </div>
+      {isEdit && (
+        <div className="border-t border-gray-200 pt-3">
+          <label className="block text-xs font-medium text-gray-500 mb-1">文面チェックに違反した案の扱い</label>
+          <select value={accountForm.lint_policy} onChange={(e) => handleAccountChange('lint_policy', e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm">
+            {LINT_POLICY_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+          </select>
+          <p className="text-xs text-gray-400 mt-1">絵文字・装飾記号・ハッシュタグ・出さないプラットフォーム名・使わない語句・保険表現・文字数超過をチェックします</p>
+        </div>
+      )}
       {accountError && <p className="text-sm text-red-500">{accountError}</p>}
       <div className="flex gap-2">
         <button onClick={isEdit ? handleEditAccount : handleAddAccount}
@@ -443,15 +514,34 @@ export default function Settings() {
             <div className="flex items-center justify-between">
               <h3 className="font-semibold text-gray-900">Xアカウント管理</h3>
               {!showAddAccount && !editingAccount && (
-                <button
-                  onClick={() => { setAccountForm({ ...emptyAccountForm, color: ACCOUNT_COLORS[accounts.length % ACCOUNT_COLORS.length] }); setShowAddAccount(true); setAccountError(''); }}
-                  className="px-3 py-1 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
-                >
-                  + アカウント追加
-                </button>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => handleConnectX()}
+                    disabled={connecting}
+                    className="px-3 py-1 text-sm bg-gray-900 text-white rounded-lg hover:bg-gray-700 transition-colors disabled:opacity-50"
+                  >
+                    {connecting ? '移動中...' : 'Xで連携'}
+                  </button>
+                  <button
+                    onClick={() => { setAccountForm({ ...emptyAccountForm, color: ACCOUNT_COLORS[accounts.length % ACCOUNT_COLORS.length] }); setShowAddAccount(true); setAccountError(''); }}
+                    className="px-3 py-1 text-sm text-blue-600 border border-blue-200 rounded-lg hover:bg-blue-50 transition-colors"
+                  >
+                    + キーを手動入力
+                  </button>
+                </div>
               )}
             </div>
 
+            {oauthResult && (
+              <div className={`p-3 rounded-lg text-sm flex items-center justify-between ${oauthResult.ok ? 'bg-green-50 text-green-700' : 'bg-red-50 text-red-700'}`}>
+                <span>{oauthResult.text}</span>
+                <button onClick={() => setOauthResult(null)} className="text-xs text-gray-500 hover:text-gray-700">閉じる</button>
+              </div>
+            )}
+            {accountError && !showAddAccount && !editingAccount && (
+              <p className="text-sm text-red-500">{accountError}</p>
+            )}
+
             {accounts.length === 0 && !showAddAccount && (
               <p className="text-sm text-gray-400 text-center py-4">
                 Xアカウントが登録されていません
@@ -465,13 +555,29 @@ export default function Settings() {
                   <span className="w-4 h-4 rounded-full flex-shrink-0" style={{ backgroundColor: account.color }} />
                   <div className="flex-1 min-w-0">
                     <p className="text-sm font-bold text-gray-900">{account.display_name}</p>
-                    <p className="text-xs text-gray-500">@{account.handle}</p>
+                    <p className="text-xs text-gray-500">
+                      @{account.handle}
+                      {account.auth_type === 'oauth2' && (
+                        <span className="ml-2 px-1.5 py-0.5 bg-gray-100 text-gray-600 rounded">OAuth 2.0</span>
+                      )}
+                      <span className="ml-2 text-gray-400">{formatTimeZone(account.timezone || DEFAULT_TIMEZONE)}</span>
+                    </p>
                   </div>
                   <div className="flex gap-1 flex-shrink-0">
+                    {account.auth_type === 'oauth2' && (
+                      <button onClick={() => handleConnectX(account.id)} disabled={connecting}
+                        className="px-2 py-1 text-xs text-gray-700 border border-gray-300 rounded hover:bg-gray-50 transition-colors disabled:opacity-50">
+                        再連携
+                      </button>
+                    )}
                     <button onClick={() => handleVerifyAccount(account.id)} disabled={verifying === account.id}
                       className="px-2 py-1 text-xs text-green-600 border border-green-200 rounded hover:bg-green-50 transition-colors disabled:opacity-50">
                       {verifying === account.id ? '検証中...' : '検証'}
                     </button>
+                    <button onClick={() => setPersonaAccountId(personaAccountId === account.id ? null : account.id)}
+                      className="px-2 py-1 text-xs text-purple-600 border border-purple-200 rounded hover:bg-purple-50 transition-colors">
+                      ペルソナ
+                    </button>
                     <button onClick={() => startEdit(account)}
                       className="px-2 py-1 text-xs text-blue-600 border border-blue-200 rounded hover:bg-blue-50 transition-colors">
                       編集
@@ -482,6 +588,9 @@ export default function Settings() {
                     </button>
                   </div>
                 </div>
+                {personaAccountId === account.id && (
+                  <PersonaEditor accountId={account.id} onClose={() => setPersonaAccountId(null)} />
+                )}
                 {verifyResult?.accountId === account.id && (
                   <div className={`ml-7 p-3 rounded-lg text-xs ${verifyResult.oauth ? 'bg-green-50 border border-green-200' : 'bg-red-50 border border-red-200'}`}>
                     <div className="space-y-1">
@@ -654,6 +763,17 @@ export default function Settings() {
               />
               <span className="text-sm text-gray-500">USD（約 {Math.round((costSettings.monthly_budget_usd || 33) * 150).toLocaleString()}円）</span>
             </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-500 mb-1">月の切り替わりのタイムゾーン</label>
+              <select value={form.budget_timezone || DEFAULT_TIMEZONE}
+                onChange={(e) => handleChange('budget_timezone', e.target.value)}
+                className="w-full max-w-sm px-3 py-2 border border-gray-300 rounded-lg text-sm">
+                {listTimeZones().map(tz => <option key={tz} value={tz}>{tz}</option>)}
+              </select>
+              <p className="text-xs text-gray-400 mt-1">
+                現在 {formatTimeZone(form.budget_timezone || DEFAULT_TIMEZONE)}。予算は全アカウント共通のため、アカウントとは別にここで決めます
+              </p>
+            </div>
             <div>
               <p className="text-xs font-medium text-gray-500 mb-2">API別予算</p>
               <div className="grid grid-cols-3 gap-2">
@@ -775,7 +895,17 @@ export default function Settings() {
                     rows={10}
                     className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm resize-y font-mono min-h-[120px]"
                   />
+                  <p className="text-xs text-gray-400 mt-1">
+                    {'{persona_intro}'}・{'{persona_name}'}・{'{persona_profile}'}・{'{persona_facts}'}・{'{persona_stance}'}・{'{persona_prohibitions}'} は生成時にアカウントのペルソナ（アカウントタブで編集）に置き換えられます
+                  </p>
                 </div>
+                <input
+                  type="text"
+                  value={promptNote}
+                  onChange={(e) => setPromptNote(e.target.value)}
+                  placeholder="変更メモ（例: 語尾のバリエーションを追加）"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                />
                 <div className="flex gap-2">
                   <button onClick={handleSavePrompt}
                     className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 transition-colors">
@@ -786,6 +916,14 @@ export default function Settings() {
                     デフォルトに戻す
                   </button>
                 </div>
+                <PromptVersionHistory
+                  taskType={selectedPromptTask}
+                  refreshKey={promptVersionKey}
+                  onRollback={(data) => {
+                    setPromptData(data);
+                    setPromptVersionKey(k => k + 1);
+                  }}
+                />
               </div>
             )}
           </div>
@@ -861,6 +999,37 @@ export default function Settings() {
             </div>
           )}
 
+          {rateLimits.length > 0 && (
+            <div className="bg-white border border-gray-200 rounded-lg p-4">
+              <h3 className="font-semibold text-gray-900 mb-3">X API レート制限</h3>
+              <table className="w-full text-xs">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b border-gray-100">
+                    <th className="py-1 font-medium">エンドポイント</th>
+                    <th className="py-1 font-medium">アカウント</th>
+                    <th className="py-1 font-medium text-right">残り</th>
+                    <th className="py-1 font-medium text-right">リセット</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rateLimits.map(l => {
+                    const account = accounts.find(a => a.id === l.account_id);
+                    return (
+                      <tr key={`${l.account_id}:${l.endpoint}`} className="border-b border-gray-50">
+                        <td className="py-1 font-mono text-gray-700">{l.endpoint}</td>
+                        <td className="py-1 text-gray-600">{account ? `@${account.handle}` : (l.account_id || '-')}</td>
+                        <td className={`py-1 text-right ${l.remaining === 0 ? 'text-red-600 font-bold' : 'text-gray-700'}`}>
+                          {l.remaining}{l.limit ? ` / ${l.limit}` : ''}
+                        </td>
+                        <td className="py-1 text-right text-gray-500">{formatDate(l.reset_at)}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+
           <div className="bg-white border border-gray-200 rounded-lg p-4 space-y-4">
             <h3 className="font-semibold text-gray-900">AI共通設定</h3>
             <div>
@@ -994,6 +1163,7 @@ export default function Settings() {
                   <option value="api">API</option>
                   <option value="batch">バッチ</option>
                   <option value="competitor">競合分析</option>
+                  <option value="ai">AI生成</option>
                   <option value="system">システム</option>
                 </select>
               </div>
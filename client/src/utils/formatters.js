@@ -1,3 +1,5 @@
+import { weightedLength } from '@shared/tweet-length';
+
 export function formatNumber(num) {
   if (num >= 1000000) return (num / 1000000).toFixed(1) + 'M';
   if (num >= 1000) return (num / 1000).toFixed(1) + 'K';
@@ -12,17 +14,36 @@ export function formatPercent(value) {
   return `${value.toFixed(1)}%`;
 }
 
-export function formatDate(dateStr) {
+// timeZone (IANA name) shows the time as it is in that zone, e.g. the
+// account's; omitted = the browser's own timezone
+export function formatDate(dateStr, timeZone) {
   const d = new Date(dateStr);
   return d.toLocaleDateString('ja-JP', {
     year: 'numeric',
     month: '2-digit',
     day: '2-digit',
     hour: '2-digit',
-    minute: '2-digit'
+    minute: '2-digit',
+    ...(timeZone ? { timeZone } : {})
   });
 }
 
+export const DEFAULT_TIMEZONE = 'Asia/Tokyo';
+
+// Every IANA name the browser knows, for timezone pickers
+export function listTimeZones() {
+  if (typeof Intl.supportedValuesOf === 'function') return Intl.supportedValuesOf('timeZone');
+  return [DEFAULT_TIMEZONE, 'UTC', 'America/New_York', 'America/Chicago', 'America/Los_Angeles', 'Europe/London'];
+}
+
+// "America/New_York (UTC-4)" with the offset in effect right now
+export function formatTimeZone(timeZone = DEFAULT_TIMEZONE) {
+  const offset = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'shortOffset' })
+    .formatToParts(new Date())
+    .find(p => p.type === 'timeZoneName')?.value.replace('GMT', 'UTC');
+  return offset ? `${timeZone} (${offset === 'UTC' ? 'UTC+0' : offset})` : timeZone;
+}
+
 export function formatRelativeTime(dateStr) {
   const now = new Date();
   const d = new Date(dateStr);
@@ -38,15 +59,7 @@ export function formatRelativeTime(dateStr) {
   return formatDate(dateStr);
 }
 
+// X's weighted count (CJK = 2, URL = 23), shared with the server-side check
 export function charCount(text) {
-  // Japanese characters count as 2 for Twitter's 280 char limit
-  let count = 0;
-  for (const char of text) {
-    if (char.charCodeAt(0) > 127) {
-      count += 2;
-    } else {
-      count += 1;
-    }
-  }
-  return count;
+  return weightedLength(text);
 }
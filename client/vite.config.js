@@ -1,8 +1,24 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 
+const sharedDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../shared');
+
 export default defineConfig({
   plugins: [react()],
+  resolve: {
+    alias: { '@shared': sharedDir }
+  },
+  // shared/ is CommonJS (the server requires it); let Vite convert it
+  optimizeDeps: {
+    include: ['@shared/tweet-length']
+  },
+  build: {
+    commonjsOptions: {
+      include: [/shared/, /node_modules/]
+    }
+  },
   server: {
     proxy: {
       '/api': 'http://localhost:3001'
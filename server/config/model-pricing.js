@@ -60,5 +60,42 @@ module.exports = {
       outputPerMTok: 0.30,
       label: "Gemini 1.5 Flash"
     }
+  },
+  // OpenAI-compatible provider. Models served locally (Ollama, llama.cpp)
+  // have no entry here and are recorded at zero cost.
+  openai: {
+    "gpt-4.1": {
+      inputPerMTok: 2.00,
+      outputPerMTok: 8.00,
+      label: "GPT-4.1（高品質）"
+    },
+    "gpt-4.1-mini": {
+      inputPerMTok: 0.40,
+      outputPerMTok: 1.60,
+      label: "GPT-4.1 mini（バランス型）"
+    },
+    "gpt-4o": {
+      inputPerMTok: 2.50,
+      outputPerMTok: 10.00,
+      label: "GPT-4o"
+    },
+    "gpt-4o-mini": {
+      inputPerMTok: 0.15,
+      outputPerMTok: 0.60,
+      label: "GPT-4o mini（高速・低コスト）"
+    },
+    // Embedding models (near-duplicate check); not offered for generation
+    "text-embedding-3-small": {
+      inputPerMTok: 0.02,
+      outputPerMTok: 0,
+      embedding: true,
+      label: "text-embedding-3-small"
+    },
+    "text-embedding-3-large": {
+      inputPerMTok: 0.13,
+      outputPerMTok: 0,
+      embedding: true,
+      label: "text-embedding-3-large"
+    }
   }
 };
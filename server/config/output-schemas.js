@@ -0,0 +1,44 @@
+// JSON schemas for the structured output each task type asks the model for
+// (see JSON_OUTPUT_INSTRUCTION / JSON_OUTPUT_INSTRUCTION_TWEET in prompts.js).
+// Task types without an entry return free text and are not validated.
+
+const BASE_VARIANT_PROPERTIES = {
+  label: { type: 'string' },
+  body: { type: 'string', minLength: 1 },
+  char_count: { type: 'integer', minimum: 0 },
+  // Thread mode: every part of the thread, body holds the first one
+  thread: { type: 'array', items: { type: 'string', minLength: 1 } }
+};
+
+function variantsSchema(variant) {
+  return {
+    type: 'object',
+    required: ['variants'],
+    properties: {
+      variants: { type: 'array', minItems: 1, items: variant }
+    }
+  };
+}
+
+const BASIC_VARIANTS = variantsSchema({
+  type: 'object',
+  required: ['label', 'body'],
+  properties: BASE_VARIANT_PROPERTIES
+});
+
+module.exports = {
+  tweet_generation: variantsSchema({
+    type: 'object',
+    required: ['label', 'body', 'opening_pattern', 'development_pattern', 'closing_pattern'],
+    properties: {
+      ...BASE_VARIANT_PROPERTIES,
+      opening_pattern: { type: 'string', pattern: '^O-[A-J]$' },
+      development_pattern: { type: 'string', pattern: '^D-[A-H]$' },
+      closing_pattern: { type: 'string', pattern: '^C-[A-H]$' },
+      expressions: { type: 'array', items: { type: 'string' } },
+      fact_check: { type: 'string' }
+    }
+  }),
+  reply_generation: BASIC_VARIANTS,
+  quote_rt_generation: BASIC_VARIANTS
+};
@@ -0,0 +1,14 @@
+-- ============================================
+-- Thread (multi-tweet) posting
+-- ============================================
+
+-- Ordered list of all part texts for a thread post (NULL for single tweets).
+-- my_posts.text keeps the first part so existing views/analytics keep working.
+ALTER TABLE my_posts ADD COLUMN IF NOT EXISTS thread_parts JSONB;
+
+-- Tweet IDs of the parts published so far, in order. Used to resume a
+-- partially published thread from the first unpublished part.
+ALTER TABLE my_posts ADD COLUMN IF NOT EXISTS thread_tweet_ids JSONB DEFAULT '[]';
+
+-- Number of tweets per generated thread for auto posting (0/1 = single tweet)
+ALTER TABLE auto_post_settings ADD COLUMN IF NOT EXISTS thread_length INTEGER DEFAULT 0;
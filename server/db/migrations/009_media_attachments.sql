@@ -0,0 +1,22 @@
+-- ============================================
+-- Image attachments for posts
+-- ============================================
+
+-- Uploaded images are kept locally until publish time: X media IDs expire
+-- after 24 hours, so the upload to X happens when the post is published.
+CREATE TABLE IF NOT EXISTS media_attachments (
+  id SERIAL PRIMARY KEY,
+  account_id INTEGER REFERENCES x_accounts(id) ON DELETE CASCADE,
+  mime_type TEXT NOT NULL,
+  data TEXT NOT NULL,            -- base64 encoded file content
+  size_bytes INTEGER NOT NULL,
+  alt_text TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_media_attachments_account ON media_attachments(account_id);
+
+ALTER TABLE IF EXISTS media_attachments ENABLE ROW LEVEL SECURITY;
+
+-- Ordered media_attachments IDs attached to the post (first part for threads)
+ALTER TABLE my_posts ADD COLUMN IF NOT EXISTS attachment_ids JSONB DEFAULT '[]';
@@ -0,0 +1,32 @@
+-- ============================================
+-- Persistent X API response cache
+-- ============================================
+
+-- Used when X_API_CACHE_BACKEND=database (the default on Vercel), so cached
+-- responses survive cold starts and are shared across instances.
+CREATE TABLE IF NOT EXISTS x_api_cache (
+  cache_key TEXT PRIMARY KEY,
+  cache_type TEXT NOT NULL,
+  data JSONB NOT NULL,
+  cost_usd REAL DEFAULT 0,   -- cost of the original call, saved on each hit
+  hits INTEGER DEFAULT 0,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  last_hit_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_x_api_cache_expires ON x_api_cache(expires_at);
+CREATE INDEX IF NOT EXISTS idx_x_api_cache_last_hit ON x_api_cache(last_hit_at);
+
+-- Daily hit/miss totals per cache type for the cost dashboard
+CREATE TABLE IF NOT EXISTS x_api_cache_stats (
+  stat_date DATE NOT NULL,
+  cache_type TEXT NOT NULL,
+  hits INTEGER DEFAULT 0,
+  misses INTEGER DEFAULT 0,
+  saved_usd REAL DEFAULT 0,
+  PRIMARY KEY (stat_date, cache_type)
+);
+
+ALTER TABLE IF EXISTS x_api_cache ENABLE ROW LEVEL SECURITY;
+ALTER TABLE IF EXISTS x_api_cache_stats ENABLE ROW LEVEL SECURITY;
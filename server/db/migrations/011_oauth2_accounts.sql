@@ -0,0 +1,22 @@
+-- ============================================
+-- OAuth 2.0 (Authorization Code + PKCE) account linking
+-- ============================================
+
+-- 'oauth1' accounts use the pasted API keys; 'oauth2' accounts use the
+-- encrypted user tokens below and refresh them automatically.
+ALTER TABLE x_accounts ADD COLUMN IF NOT EXISTS auth_type TEXT NOT NULL DEFAULT 'oauth1';
+ALTER TABLE x_accounts ADD COLUMN IF NOT EXISTS oauth2_access_token TEXT;
+ALTER TABLE x_accounts ADD COLUMN IF NOT EXISTS oauth2_refresh_token TEXT;
+ALTER TABLE x_accounts ADD COLUMN IF NOT EXISTS oauth2_expires_at TIMESTAMPTZ;
+ALTER TABLE x_accounts ADD COLUMN IF NOT EXISTS oauth2_scope TEXT;
+
+-- Pending authorizations (state -> encrypted PKCE code verifier).
+-- Rows are deleted when the callback consumes them.
+CREATE TABLE IF NOT EXISTS oauth_states (
+  state TEXT PRIMARY KEY,
+  code_verifier TEXT NOT NULL,
+  account_id INTEGER REFERENCES x_accounts(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE IF EXISTS oauth_states ENABLE ROW LEVEL SECURITY;
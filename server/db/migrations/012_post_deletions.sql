@@ -0,0 +1,30 @@
+-- ============================================
+-- Deleting posted tweets from X
+-- ============================================
+
+-- Add 'deleted' (and 'rejected', used by the Telegram workflow) to the status CHECK constraint
+ALTER TABLE my_posts DROP CONSTRAINT IF EXISTS my_posts_status_check;
+ALTER TABLE my_posts ADD CONSTRAINT my_posts_status_check
+  CHECK(status IN ('draft', 'scheduled', 'posted', 'failed', 'rejected', 'deleted'));
+
+ALTER TABLE my_posts ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+
+-- Audit trail: a snapshot of each post taken down from X.
+-- Kept even if the my_posts row is removed later.
+CREATE TABLE IF NOT EXISTS post_deletions (
+  id SERIAL PRIMARY KEY,
+  post_id INTEGER REFERENCES my_posts(id) ON DELETE SET NULL,
+  account_id INTEGER REFERENCES x_accounts(id) ON DELETE SET NULL,
+  tweet_ids JSONB NOT NULL DEFAULT '[]',
+  text TEXT NOT NULL,
+  post_type TEXT,
+  posted_at TIMESTAMPTZ,
+  metrics JSONB,                     -- engagement at the time of deletion
+  source TEXT NOT NULL DEFAULT 'web' CHECK(source IN ('web', 'telegram')),
+  reason TEXT,
+  deleted_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_post_deletions_account ON post_deletions(account_id, deleted_at DESC);
+
+ALTER TABLE IF EXISTS post_deletions ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,13 @@
+-- ============================================
+-- Incremental competitor tweet fetching (since_id)
+-- ============================================
+
+-- Newest tweet already stored for each competitor; the next fetch only asks
+-- X for tweets after it, so already-seen tweets are not paid for again.
+ALTER TABLE competitors ADD COLUMN IF NOT EXISTS newest_tweet_id TEXT;
+
+-- Result of the most recent fetch, shown on the Competitors page
+ALTER TABLE competitors ADD COLUMN IF NOT EXISTS last_fetched_at TIMESTAMPTZ;
+ALTER TABLE competitors ADD COLUMN IF NOT EXISTS last_fetch_tweet_count INTEGER DEFAULT 0;
+ALTER TABLE competitors ADD COLUMN IF NOT EXISTS last_fetch_cost_usd REAL DEFAULT 0;
+ALTER TABLE competitors ADD COLUMN IF NOT EXISTS last_fetch_error TEXT;
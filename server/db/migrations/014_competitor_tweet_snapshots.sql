@@ -0,0 +1,27 @@
+-- ============================================
+-- Competitor tweet metric snapshots (velocity tracking)
+-- ============================================
+
+-- Engagement gained per hour since posting, recomputed on every snapshot
+ALTER TABLE competitor_tweets ADD COLUMN IF NOT EXISTS velocity_score REAL DEFAULT 0;
+ALTER TABLE competitor_tweets ADD COLUMN IF NOT EXISTS metrics_updated_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_competitor_tweets_velocity ON competitor_tweets(velocity_score DESC);
+
+-- Metrics of a recent competitor tweet at a point in time
+CREATE TABLE IF NOT EXISTS competitor_tweet_snapshots (
+  id SERIAL PRIMARY KEY,
+  tweet_id TEXT NOT NULL REFERENCES competitor_tweets(tweet_id) ON DELETE CASCADE,
+  like_count INTEGER DEFAULT 0,
+  retweet_count INTEGER DEFAULT 0,
+  reply_count INTEGER DEFAULT 0,
+  quote_count INTEGER DEFAULT 0,
+  impression_count INTEGER DEFAULT 0,
+  bookmark_count INTEGER DEFAULT 0,
+  velocity_score REAL DEFAULT 0,
+  recorded_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_competitor_tweet_snapshots_tweet ON competitor_tweet_snapshots(tweet_id, recorded_at);
+
+ALTER TABLE IF EXISTS competitor_tweet_snapshots ENABLE ROW LEVEL SECURITY;
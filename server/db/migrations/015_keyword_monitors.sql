@@ -0,0 +1,49 @@
+-- ============================================
+-- Keyword monitors: saved searches run by the scheduler
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS keyword_monitors (
+  id SERIAL PRIMARY KEY,
+  account_id INTEGER NOT NULL REFERENCES x_accounts(id) ON DELETE CASCADE,
+  query TEXT NOT NULL,
+  language TEXT DEFAULT 'ja',
+  min_engagement INTEGER DEFAULT 0,        -- likes + retweets + replies + quotes
+  interval_hours INTEGER NOT NULL DEFAULT 24 CHECK(interval_hours > 0),
+  enabled BOOLEAN DEFAULT TRUE,
+  newest_tweet_id TEXT,                    -- since_id for the next run
+  last_run_at TIMESTAMPTZ,
+  last_run_tweet_count INTEGER DEFAULT 0,
+  last_run_error TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_keyword_monitors_account ON keyword_monitors(account_id);
+
+-- Tweets matched by a monitor; offered as reply/quote candidates
+-- alongside competitor_tweets.
+CREATE TABLE IF NOT EXISTS monitor_tweets (
+  id SERIAL PRIMARY KEY,
+  monitor_id INTEGER NOT NULL REFERENCES keyword_monitors(id) ON DELETE CASCADE,
+  tweet_id TEXT NOT NULL,
+  author_id TEXT,
+  author_handle TEXT,
+  author_name TEXT,
+  author_followers_count INTEGER DEFAULT 0,
+  text TEXT,
+  created_at_x TIMESTAMPTZ,
+  like_count INTEGER DEFAULT 0,
+  retweet_count INTEGER DEFAULT 0,
+  reply_count INTEGER DEFAULT 0,
+  impression_count INTEGER DEFAULT 0,
+  quote_count INTEGER DEFAULT 0,
+  bookmark_count INTEGER DEFAULT 0,
+  engagement_rate REAL DEFAULT 0,
+  velocity_score REAL DEFAULT 0,
+  fetched_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(monitor_id, tweet_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_monitor_tweets_monitor ON monitor_tweets(monitor_id, created_at_x DESC);
+
+ALTER TABLE IF EXISTS keyword_monitors ENABLE ROW LEVEL SECURITY;
+ALTER TABLE IF EXISTS monitor_tweets ENABLE ROW LEVEL SECURITY;
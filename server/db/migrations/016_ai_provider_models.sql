@@ -0,0 +1,8 @@
+-- ============================================
+-- Per-provider model selection for registered AI providers
+-- ============================================
+
+-- Model chosen for each provider, keyed by provider name
+-- (e.g. {"openai": "gpt-4.1-mini"}). claude_model / gemini_model are kept
+-- for existing rows and are used when a provider has no entry here.
+ALTER TABLE task_model_settings ADD COLUMN IF NOT EXISTS provider_models JSONB DEFAULT '{}'::jsonb;
@@ -0,0 +1,8 @@
+-- ============================================
+-- AI provider failover: per-task fallback chains
+-- ============================================
+
+-- Models tried in order when the preferred provider/model fails,
+-- e.g. [{"provider": "claude", "model": "claude-haiku-4-5-20251001"},
+--       {"provider": "gemini", "model": "gemini-2.5-flash"}]
+ALTER TABLE task_model_settings ADD COLUMN IF NOT EXISTS fallback_chain JSONB DEFAULT '[]'::jsonb;
@@ -0,0 +1,23 @@
+-- ============================================
+-- Prompt version history for custom_prompts
+-- ============================================
+
+-- Every save of a task's prompt (including resets and rollbacks) appends a
+-- version; custom_prompts keeps holding the one in use.
+CREATE TABLE IF NOT EXISTS prompt_versions (
+  id SERIAL PRIMARY KEY,
+  task_type TEXT NOT NULL,
+  version INTEGER NOT NULL,
+  system_prompt TEXT NOT NULL,
+  user_template TEXT NOT NULL DEFAULT '',
+  is_custom BOOLEAN DEFAULT TRUE,
+  note TEXT,                               -- author's note on the change
+  rolled_back_from INTEGER,                -- version restored by a rollback
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(task_type, version)
+);
+
+-- Prompt version a post was generated with (NULL = built-in default)
+ALTER TABLE my_posts ADD COLUMN IF NOT EXISTS prompt_version_id INTEGER REFERENCES prompt_versions(id) ON DELETE SET NULL;
+
+ALTER TABLE IF EXISTS prompt_versions ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,38 @@
+-- ============================================
+-- Prompt A/B experiments
+-- ============================================
+
+-- While an experiment is running, generation for its task type uses one of
+-- its variants instead of the task's prompt (custom_prompts / defaults).
+CREATE TABLE IF NOT EXISTS prompt_experiments (
+  id SERIAL PRIMARY KEY,
+  task_type TEXT NOT NULL,
+  name TEXT NOT NULL,
+  assignment TEXT NOT NULL DEFAULT 'random' CHECK(assignment IN ('random', 'alternate')),
+  assignment_count INTEGER DEFAULT 0,     -- generations assigned so far (drives 'alternate')
+  status TEXT NOT NULL DEFAULT 'running' CHECK(status IN ('running', 'stopped', 'completed')),
+  winner_variant_id INTEGER,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  ended_at TIMESTAMPTZ
+);
+
+-- At most one running experiment per task type
+CREATE UNIQUE INDEX IF NOT EXISTS idx_prompt_experiments_running
+  ON prompt_experiments(task_type) WHERE status = 'running';
+
+CREATE TABLE IF NOT EXISTS prompt_experiment_variants (
+  id SERIAL PRIMARY KEY,
+  experiment_id INTEGER NOT NULL REFERENCES prompt_experiments(id) ON DELETE CASCADE,
+  label TEXT NOT NULL,
+  system_prompt TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_prompt_experiment_variants_experiment ON prompt_experiment_variants(experiment_id);
+
+-- Variant a post was generated with
+ALTER TABLE my_posts ADD COLUMN IF NOT EXISTS experiment_variant_id INTEGER REFERENCES prompt_experiment_variants(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_my_posts_experiment_variant ON my_posts(experiment_variant_id);
+
+ALTER TABLE IF EXISTS prompt_experiments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE IF EXISTS prompt_experiment_variants ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,22 @@
+-- ============================================
+-- Persona profiles (per X account)
+-- ============================================
+
+-- Identity the AI writes as for an account. Filled into the {persona_*}
+-- placeholders of system prompts; accounts without a row use the built-in
+-- default persona (server/config/persona.js).
+CREATE TABLE IF NOT EXISTS persona_profiles (
+  id SERIAL PRIMARY KEY,
+  account_id INTEGER NOT NULL UNIQUE REFERENCES x_accounts(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  role TEXT NOT NULL DEFAULT '',
+  headline TEXT NOT NULL DEFAULT '',          -- one-line credentials shown after the name
+  profile JSONB NOT NULL DEFAULT '[]',        -- "about" bullet lines
+  facts JSONB NOT NULL DEFAULT '[]',          -- verifiable figures the fact check compares against
+  stance TEXT NOT NULL DEFAULT '',            -- position episodes must be consistent with
+  banned_words JSONB NOT NULL DEFAULT '[]',
+  hidden_platforms JSONB NOT NULL DEFAULT '[]',
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE IF EXISTS persona_profiles ENABLE ROW LEVEL SECURITY;
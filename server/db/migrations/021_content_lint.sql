@@ -0,0 +1,11 @@
+-- ============================================
+-- Content lint (rule-based check of generated posts)
+-- ============================================
+
+-- What happens to a candidate that fails the lint (server/services/content-linter.js):
+-- off = not checked, draft = kept as a draft for review, block = discarded
+ALTER TABLE x_accounts ADD COLUMN IF NOT EXISTS lint_policy TEXT NOT NULL DEFAULT 'draft'
+  CHECK (lint_policy IN ('off', 'draft', 'block'));
+
+-- Violations found when the post was created, shown next to the draft
+ALTER TABLE my_posts ADD COLUMN IF NOT EXISTS lint_violations JSONB;
@@ -0,0 +1,8 @@
+-- ============================================
+-- Near-duplicate detection against the account's recent posts
+-- ============================================
+
+-- Closest recent posted/scheduled post when the candidate was generated
+-- (server/services/duplicate-detector.js): { score, post_id, method }.
+-- post_id is null when the closest match was another candidate of the same run.
+ALTER TABLE my_posts ADD COLUMN IF NOT EXISTS similarity JSONB;
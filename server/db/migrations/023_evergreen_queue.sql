@@ -0,0 +1,34 @@
+-- ============================================
+-- Evergreen queue (re-posting past top performers)
+-- ============================================
+
+-- Hand-picked posted posts of an account that are re-posted on a rotation
+-- (server/services/evergreen.js). The text is copied so the entry survives
+-- the original being deleted from X.
+CREATE TABLE IF NOT EXISTS evergreen_posts (
+  id SERIAL PRIMARY KEY,
+  account_id INTEGER NOT NULL REFERENCES x_accounts(id) ON DELETE CASCADE,
+  source_post_id INTEGER REFERENCES my_posts(id) ON DELETE SET NULL,
+  text TEXT NOT NULL,
+  thread_parts JSONB,
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  repost_count INTEGER NOT NULL DEFAULT 0,
+  last_queued_at TIMESTAMPTZ,             -- original posting time, then the time of the latest re-post
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(account_id, source_post_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_evergreen_posts_account ON evergreen_posts(account_id, last_queued_at);
+
+-- Entry a re-post was created from
+ALTER TABLE my_posts ADD COLUMN IF NOT EXISTS evergreen_post_id INTEGER REFERENCES evergreen_posts(id) ON DELETE SET NULL;
+
+-- The rotation is an auto-post setting of its own type
+ALTER TABLE auto_post_settings DROP CONSTRAINT IF EXISTS auto_post_settings_post_type_check;
+ALTER TABLE auto_post_settings ADD CONSTRAINT auto_post_settings_post_type_check
+  CHECK(post_type IN ('new', 'reply', 'quote', 'evergreen'));
+-- Days an entry waits before it is re-posted again, and whether the AI rewrites it first
+ALTER TABLE auto_post_settings ADD COLUMN IF NOT EXISTS evergreen_min_gap_days INTEGER DEFAULT 30;
+ALTER TABLE auto_post_settings ADD COLUMN IF NOT EXISTS evergreen_rewrite BOOLEAN DEFAULT FALSE;
+
+ALTER TABLE IF EXISTS evergreen_posts ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,27 @@
+-- ============================================
+-- Posting queue slots
+-- ============================================
+
+-- Named weekly times (JST) an account publishes a post type at
+-- (server/services/post-queue.js). Queued posts take the next free one.
+CREATE TABLE IF NOT EXISTS queue_slots (
+  id SERIAL PRIMARY KEY,
+  account_id INTEGER NOT NULL REFERENCES x_accounts(id) ON DELETE CASCADE,
+  post_type TEXT NOT NULL CHECK(post_type IN ('new', 'reply', 'quote')),
+  name TEXT,
+  day_of_week SMALLINT NOT NULL CHECK(day_of_week BETWEEN 0 AND 6),  -- 0 = Sunday (JST)
+  time TEXT NOT NULL,                                                 -- "HH:MM" JST
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(account_id, post_type, day_of_week, time)
+);
+
+CREATE INDEX IF NOT EXISTS idx_queue_slots_account ON queue_slots(account_id, post_type);
+
+-- Slot a scheduled post was queued into. NULL for posts with an explicit time;
+-- only queued posts move when the queue shifts.
+ALTER TABLE my_posts ADD COLUMN IF NOT EXISTS queue_slot_id INTEGER REFERENCES queue_slots(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_my_posts_queue ON my_posts(account_id, post_type, scheduled_at) WHERE queue_slot_id IS NOT NULL;
+
+ALTER TABLE IF EXISTS queue_slots ENABLE ROW LEVEL SECURITY;
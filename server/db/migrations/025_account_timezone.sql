@@ -0,0 +1,8 @@
+-- ============================================
+-- Per-account timezone
+-- ============================================
+
+-- IANA timezone (e.g. 'America/New_York') the account's auto-post
+-- schedule_times, queue slots, hourly analytics and month views are read in.
+-- Offsets come from the timezone database, so DST shifts are followed.
+ALTER TABLE x_accounts ADD COLUMN IF NOT EXISTS timezone TEXT NOT NULL DEFAULT 'Asia/Tokyo';
@@ -0,0 +1,34 @@
+-- ============================================
+-- Posting blackouts
+-- ============================================
+
+-- Times no post may go out (server/services/posting-blackout.js).
+-- account_id NULL = every account. Times and dates are read in each
+-- account's timezone (x_accounts.timezone).
+--   daily: every day from start_time to end_time ("HH:MM"), wrapping past
+--          midnight when end_time is earlier (23:00-06:00)
+--   dates: whole days from start_date to end_date inclusive
+-- action: shift = move due posts to the next allowed time,
+--         hold  = return them to drafts for a person to reschedule
+CREATE TABLE IF NOT EXISTS posting_blackouts (
+  id SERIAL PRIMARY KEY,
+  account_id INTEGER REFERENCES x_accounts(id) ON DELETE CASCADE,
+  name TEXT,
+  kind TEXT NOT NULL CHECK(kind IN ('daily', 'dates')),
+  start_time TEXT,
+  end_time TEXT,
+  start_date DATE,
+  end_date DATE,
+  action TEXT NOT NULL DEFAULT 'shift' CHECK(action IN ('shift', 'hold')),
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  CHECK(kind <> 'daily' OR (start_time IS NOT NULL AND end_time IS NOT NULL AND start_time <> end_time)),
+  CHECK(kind <> 'dates' OR (start_date IS NOT NULL AND end_date IS NOT NULL AND start_date <= end_date))
+);
+
+CREATE INDEX IF NOT EXISTS idx_posting_blackouts_account ON posting_blackouts(account_id);
+
+ALTER TABLE IF EXISTS posting_blackouts ENABLE ROW LEVEL SECURITY;
+
+-- The emergency pause is the settings row key = 'posting_pause'
+-- (JSON { reason, since, source }); no row = posting runs normally.
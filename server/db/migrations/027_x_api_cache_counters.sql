@@ -0,0 +1,47 @@
+-- ============================================
+-- Atomic X API cache counters
+-- ============================================
+
+-- Cache lookups from several serverless instances at once must not lose
+-- increments, so hits and daily stats are counted in SQL rather than read
+-- and written back (server/services/api-cache.js, DbCacheBackend).
+
+-- Add to the day's (UTC) totals of a cache type
+CREATE OR REPLACE FUNCTION x_api_cache_record_stat(p_cache_type TEXT, p_hits INTEGER, p_misses INTEGER, p_saved_usd REAL)
+RETURNS VOID
+LANGUAGE sql
+AS $$
+  INSERT INTO x_api_cache_stats (stat_date, cache_type, hits, misses, saved_usd)
+  VALUES ((NOW() AT TIME ZONE 'UTC')::DATE, p_cache_type, p_hits, p_misses, p_saved_usd)
+  ON CONFLICT (stat_date, cache_type) DO UPDATE SET
+    hits = x_api_cache_stats.hits + EXCLUDED.hits,
+    misses = x_api_cache_stats.misses + EXCLUDED.misses,
+    saved_usd = x_api_cache_stats.saved_usd + EXCLUDED.saved_usd;
+$$;
+
+-- One round trip per lookup: the cached data of an unexpired key (NULL on a
+-- miss), counting the hit on the row and the hit or miss in the daily stats
+CREATE OR REPLACE FUNCTION x_api_cache_get(p_cache_key TEXT, p_cache_type TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_data JSONB;
+  v_cost REAL;
+  v_hit BOOLEAN;
+BEGIN
+  UPDATE x_api_cache
+     SET hits = hits + 1, last_hit_at = NOW()
+   WHERE cache_key = p_cache_key AND expires_at > NOW()
+  RETURNING data, cost_usd INTO v_data, v_cost;
+  v_hit := FOUND;
+
+  PERFORM x_api_cache_record_stat(
+    p_cache_type,
+    CASE WHEN v_hit THEN 1 ELSE 0 END,
+    CASE WHEN v_hit THEN 0 ELSE 1 END,
+    CASE WHEN v_hit THEN COALESCE(v_cost, 0) ELSE 0 END
+  );
+  RETURN v_data;
+END;
+$$;
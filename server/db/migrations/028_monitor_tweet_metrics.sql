@@ -0,0 +1,15 @@
+-- ============================================
+-- Keyword monitor tweets: refreshed metrics
+-- ============================================
+
+-- Monitors store every match; min_engagement is applied when candidates are
+-- read, against this total of the latest measured metrics.
+ALTER TABLE monitor_tweets ADD COLUMN IF NOT EXISTS engagement_count INTEGER
+  GENERATED ALWAYS AS (
+    COALESCE(like_count, 0) + COALESCE(retweet_count, 0) + COALESCE(reply_count, 0) + COALESCE(quote_count, 0)
+  ) STORED;
+
+-- When the metrics were last re-measured (NULL: as fetched, at fetched_at)
+ALTER TABLE monitor_tweets ADD COLUMN IF NOT EXISTS metrics_updated_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_monitor_tweets_created ON monitor_tweets(created_at_x DESC);
@@ -0,0 +1,18 @@
+-- ============================================
+-- Cached embeddings of posts for the near-duplicate check
+-- ============================================
+
+-- Every generation compares its candidates with the account's recent posts
+-- (server/services/duplicate-detector.js). A post's vector is kept per
+-- embedding model so only new or edited posts are sent to the embeddings API;
+-- text_hash (SHA-256 of the compared text) detects edits.
+CREATE TABLE IF NOT EXISTS post_embeddings (
+  post_id INTEGER NOT NULL REFERENCES my_posts(id) ON DELETE CASCADE,
+  model TEXT NOT NULL,
+  text_hash TEXT NOT NULL,
+  embedding JSONB NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (post_id, model)
+);
+
+ALTER TABLE IF EXISTS post_embeddings ENABLE ROW LEVEL SECURITY;
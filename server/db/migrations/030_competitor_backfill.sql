@@ -0,0 +1,9 @@
+-- ============================================
+-- Competitor fetching: backfill after a capped run
+-- ============================================
+
+-- When a fetch stops at the page cap or the rate limit, newest_tweet_id still
+-- moves to the newest tweet read and the unread tweets below it are recorded
+-- here (both exclusive). Later runs read this range with until_id first.
+ALTER TABLE competitors ADD COLUMN IF NOT EXISTS backfill_since_id TEXT;
+ALTER TABLE competitors ADD COLUMN IF NOT EXISTS backfill_until_id TEXT;
@@ -0,0 +1,9 @@
+-- ============================================
+-- Keyword monitors: backfill after a capped run
+-- ============================================
+
+-- Same as competitors (030): a search stopped at the page cap or the rate
+-- limit moves newest_tweet_id to the newest match read and records the unread
+-- matches below it here (both exclusive) for the next runs to read first.
+ALTER TABLE keyword_monitors ADD COLUMN IF NOT EXISTS backfill_since_id TEXT;
+ALTER TABLE keyword_monitors ADD COLUMN IF NOT EXISTS backfill_until_id TEXT;
@@ -9,6 +9,7 @@ const { initTelegramWorkflow } = require('./services/telegram-workflow');
 
 const tweetsRouter = require('./routes/tweets');
 const competitorsRouter = require('./routes/competitors');
+const keywordMonitorsRouter = require('./routes/keyword-monitors');
 const analyticsRouter = require('./routes/analytics');
 const aiRouter = require('./routes/ai');
 const settingsRouter = require('./routes/settings');
@@ -20,6 +21,11 @@ const growthRouter = require('./routes/growth');
 const cronRouter = require('./routes/cron');
 const logsRouter = require('./routes/logs');
 const improvementRouter = require('./routes/improvement');
+const promptExperimentsRouter = require('./routes/prompt-experiments');
+const calendarRouter = require('./routes/calendar');
+const evergreenRouter = require('./routes/evergreen');
+const queueRouter = require('./routes/queue');
+const blackoutsRouter = require('./routes/blackouts');
 const telegramRouter = require('./routes/telegram');
 
 const basicAuth = require('./middleware/basicAuth');
@@ -31,12 +37,15 @@ app.use(basicAuth);
 app.use(cors({
   origin: process.env.CORS_ORIGIN || (process.env.NODE_ENV === 'production' ? false : true)
 }));
-app.use(express.json());
+// Image uploads (/api/tweets/media) are sent as base64 JSON, up to 3MB per image;
+// 4.5MB is also the most Vercel accepts for a request body
+app.use(express.json({ limit: '4.5mb' }));
 
 // API routes
 app.use('/api/accounts', accountsRouter);
 app.use('/api/tweets', tweetsRouter);
 app.use('/api/competitors', competitorsRouter);
+app.use('/api/keyword-monitors', keywordMonitorsRouter);
 app.use('/api/analytics', analyticsRouter);
 app.use('/api/ai', aiRouter);
 app.use('/api/settings', settingsRouter);
@@ -47,6 +56,11 @@ app.use('/api/growth', growthRouter);
 app.use('/api/cron', cronRouter);
 app.use('/api/logs', logsRouter);
 app.use('/api/improvement', improvementRouter);
+app.use('/api/prompt-experiments', promptExperimentsRouter);
+app.use('/api/calendar', calendarRouter);
+app.use('/api/evergreen', evergreenRouter);
+app.use('/api/queue', queueRouter);
+app.use('/api/blackouts', blackoutsRouter);
 app.use('/api/telegram', telegramRouter);
 
 // Global error handler for API routes - ensures JSON responses for all errors
@@ -0,0 +1,393 @@
+/**
+ * Local stand-in for the X API endpoints used by services/x-api.js.
+ *
+ * Run `npm run mock:x` and start the app with X_API_BASE_URL=http://localhost:4010
+ * to exercise posting, search, metrics and competitor fetching without real
+ * credentials. Responses follow the shapes of the real v2 / v1.1 endpoints,
+ * including x-rate-limit-* headers and 429 responses once a window is used up.
+ *
+ * OAuth 2.0 linking works offline too: set X_OAUTH2_AUTHORIZE_URL to
+ * http://localhost:4010/i/oauth2/authorize and the consent step redirects
+ * straight back with a code that /2/oauth2/token exchanges for user tokens.
+ *
+ * Test/debug controls live under /__mock:
+ *   GET  /__mock/state  - posted tweets and uploaded media
+ *   POST /__mock/fail   - { endpoint, status, count } force the next N responses
+ *   POST /__mock/reset  - restore fixtures and rate-limit counters
+ */
+const crypto = require('crypto');
+const express = require('express');
+const defaultFixtures = require('./fixtures/x-api.json');
+
+const DEFAULT_PORT = 4010;
+const RATE_LIMIT_WINDOW_MS = 15 * 60 * 1000;
+
+// Requests per 15-minute window, keyed like logApiUsage endpoints
+const DEFAULT_RATE_LIMITS = {
+  'POST /2/tweets': 100,
+  'DELETE /2/tweets/:id': 50,
+  'GET /2/tweets': 300,
+  'GET /2/users/by/username': 300,
+  'GET /2/users/:id/tweets': 1500,
+  'GET /2/users/me': 75,
+  'GET /2/tweets/search/recent': 450,
+  'POST /1.1/media/upload': 500,
+};
+
+const USER_FIELDS = ['id', 'username', 'name'];
+
+function xError(res, status, title, detail) {
+  return res.status(status).json({ title, detail, type: 'about:blank', status });
+}
+
+function pickUser(user, fieldsParam) {
+  const fields = new Set([...USER_FIELDS, ...String(fieldsParam || '').split(',').filter(Boolean)]);
+  return Object.fromEntries(Object.entries(user).filter(([k]) => fields.has(k)));
+}
+
+function pickTweet(tweet, fieldsParam) {
+  const fields = new Set(['id', 'text', 'edit_history_tweet_ids', ...String(fieldsParam || '').split(',').filter(Boolean)]);
+  const full = { edit_history_tweet_ids: [tweet.id], ...tweet };
+  return Object.fromEntries(Object.entries(full).filter(([k]) => fields.has(k)));
+}
+
+/**
+ * Very small subset of the search query language: plain terms (AND),
+ * OR between terms, quoted phrases, and operators like lang:ja / -is:retweet
+ * which are ignored.
+ */
+function matchesQuery(text, query) {
+  const lower = text.toLowerCase();
+  const alternatives = query.split(/\s+OR\s+/);
+  return alternatives.some(alt => {
+    const terms = (alt.match(/"[^"]+"|\S+/g) || [])
+      .filter(t => !t.includes(':') && !t.startsWith('-'))
+      .map(t => t.replace(/^[("]+|[)"]+$/g, '').toLowerCase())
+      .filter(Boolean);
+    return terms.length > 0 && terms.every(t => lower.includes(t));
+  });
+}
+
+function compareIdsDesc(a, b) {
+  return BigInt(b.id) > BigInt(a.id) ? 1 : -1;
+}
+
+/**
+ * Build the mock X API as an express app (not listening).
+ * @param {object} options - { fixtures, rateLimits, windowMs }
+ * @returns {{ app: express.Application, state: object }}
+ */
+function createMockXApi(options = {}) {
+  const fixtures = options.fixtures || defaultFixtures;
+  const rateLimits = { ...DEFAULT_RATE_LIMITS, ...(options.rateLimits || {}) };
+  const windowMs = options.windowMs || RATE_LIMIT_WINDOW_MS;
+
+  const state = {};
+  function reset() {
+    state.users = fixtures.users.map(u => ({ ...u }));
+    state.tweets = fixtures.tweets.map(t => ({ ...t }));
+    state.meId = fixtures.me;
+    state.posted = [];
+    state.media = {};
+    state.windows = {};
+    state.forced = [];
+    state.oauthCodes = new Map();
+    state.userTokens = new Set();
+    state.nextId = state.tweets.reduce((max, t) => (BigInt(t.id) > max ? BigInt(t.id) : max), 1900000000000000000n) + 1000n;
+  }
+  reset();
+
+  const app = express();
+  app.use(express.json({ limit: '8mb' }));
+  app.use(express.urlencoded({ extended: false }));
+
+  // --- Controls ---
+  app.get('/__mock/state', (req, res) => {
+    res.json({ posted: state.posted, media: Object.values(state.media), windows: state.windows });
+  });
+
+  app.post('/__mock/fail', (req, res) => {
+    const { endpoint, status = 503, count = 1 } = req.body || {};
+    if (!endpoint) return res.status(400).json({ error: 'endpoint is required' });
+    state.forced.push({ endpoint, status, remaining: count });
+    res.json({ success: true });
+  });
+
+  app.post('/__mock/reset', (req, res) => {
+    reset();
+    res.json({ success: true });
+  });
+
+  // --- Auth, forced failures and rate limiting for a named endpoint ---
+  function guard(endpoint) {
+    return (req, res, next) => {
+      const auth = req.get('authorization') || '';
+      if (!auth.startsWith('OAuth ') && !auth.startsWith('Bearer ')) {
+        return xError(res, 401, 'Unauthorized', 'Unauthorized');
+      }
+
+      const now = Date.now();
+      let win = state.windows[endpoint];
+      if (!win || now >= win.resetAt) {
+        win = state.windows[endpoint] = { count: 0, resetAt: now + windowMs };
+      }
+      const limit = rateLimits[endpoint] || 300;
+      win.count++;
+      res.set('x-rate-limit-limit', String(limit));
+      res.set('x-rate-limit-remaining', String(Math.max(limit - win.count, 0)));
+      res.set('x-rate-limit-reset', String(Math.ceil(win.resetAt / 1000)));
+
+      const forced = state.forced.find(f => f.endpoint === endpoint && f.remaining > 0);
+      if (forced) {
+        forced.remaining--;
+        return xError(res, forced.status, forced.status === 429 ? 'Too Many Requests' : 'Service Unavailable', 'Simulated failure');
+      }
+      if (win.count > limit) {
+        return xError(res, 429, 'Too Many Requests', 'Too Many Requests');
+      }
+      next();
+    };
+  }
+
+  function findUser(id) {
+    return state.users.find(u => u.id === id);
+  }
+
+  function findTweet(id) {
+    return state.tweets.find(t => t.id === id);
+  }
+
+  // --- v2 tweets ---
+  app.post('/2/tweets', guard('POST /2/tweets'), (req, res) => {
+    const { text, reply, quote_tweet_id: quoteTweetId, media } = req.body || {};
+    if (!text || !String(text).trim()) {
+      return xError(res, 400, 'Invalid Request', 'One or more parameters to your request was invalid.');
+    }
+    const replyTo = reply && reply.in_reply_to_tweet_id;
+    if (replyTo && !findTweet(replyTo)) {
+      return xError(res, 403, 'Forbidden', 'You attempted to reply to a Tweet that is deleted or not visible to you.');
+    }
+    if (quoteTweetId && !findTweet(quoteTweetId)) {
+      return xError(res, 403, 'Forbidden', 'You attempted to quote a Tweet that is deleted or not visible to you.');
+    }
+
+    const id = String(state.nextId++);
+    const referenced = [];
+    if (replyTo) referenced.push({ type: 'replied_to', id: replyTo });
+    if (quoteTweetId) referenced.push({ type: 'quoted', id: quoteTweetId });
+    const tweet = {
+      id,
+      author_id: state.meId,
+      text,
+      created_at: new Date().toISOString(),
+      public_metrics: { retweet_count: 0, reply_count: 0, like_count: 0, quote_count: 0, impression_count: 0 },
+      ...(referenced.length > 0 && { referenced_tweets: referenced }),
+      ...(media && media.media_ids && { attachments: { media_keys: media.media_ids.map(m => `3_${m}`) } })
+    };
+    state.tweets.push(tweet);
+    state.posted.push({ ...tweet, media_ids: media ? media.media_ids : [] });
+    res.status(201).json({ data: { id, text, edit_history_tweet_ids: [id] } });
+  });
+
+  app.delete('/2/tweets/:id', guard('DELETE /2/tweets/:id'), (req, res) => {
+    const index = state.tweets.findIndex(t => t.id === req.params.id);
+    if (index >= 0) state.tweets.splice(index, 1);
+    res.json({ data: { deleted: index >= 0 } });
+  });
+
+  app.get('/2/tweets/search/recent', guard('GET /2/tweets/search/recent'), (req, res) => {
+    const query = String(req.query.query || '');
+    if (!query) return xError(res, 400, 'Invalid Request', 'The `query` query parameter can not be empty');
+    const maxResults = Math.min(parseInt(req.query.max_results) || 10, 100);
+    const sinceId = req.query.since_id ? BigInt(req.query.since_id) : null;
+    const untilId = req.query.until_id ? BigInt(req.query.until_id) : null;
+    // As for user timelines, the next_token is the oldest ID of the previous page
+    const pageUntilId = req.query.next_token ? BigInt(req.query.next_token) : null;
+    const matching = state.tweets
+      .filter(t => matchesQuery(t.text, query))
+      .filter(t => !sinceId || BigInt(t.id) > sinceId)
+      .filter(t => !untilId || BigInt(t.id) < untilId)
+      .filter(t => !pageUntilId || BigInt(t.id) < pageUntilId)
+      .sort(compareIdsDesc);
+    const matched = matching.slice(0, maxResults);
+
+    const body = {
+      data: matched.map(t => pickTweet(t, req.query['tweet.fields'])),
+      meta: { result_count: matched.length }
+    };
+    if (matched.length > 0) {
+      body.meta.newest_id = matched[0].id;
+      body.meta.oldest_id = matched[matched.length - 1].id;
+      if (matching.length > matched.length) body.meta.next_token = body.meta.oldest_id;
+    }
+    if (String(req.query.expansions || '').includes('author_id')) {
+      const authorIds = [...new Set(matched.map(t => t.author_id))];
+      body.includes = {
+        users: authorIds.map(findUser).filter(Boolean).map(u => pickUser(u, req.query['user.fields']))
+      };
+    }
+    if (matched.length === 0) delete body.data;
+    res.json(body);
+  });
+
+  app.get('/2/tweets', guard('GET /2/tweets'), (req, res) => {
+    const ids = String(req.query.ids || '').split(',').filter(Boolean);
+    const found = ids.map(findTweet).filter(Boolean);
+    const missing = ids.filter(id => !findTweet(id));
+    const body = {};
+    if (found.length > 0) body.data = found.map(t => pickTweet(t, req.query['tweet.fields']));
+    if (missing.length > 0) {
+      body.errors = missing.map(id => ({
+        value: id, detail: `Could not find tweet with ids: [${id}].`, title: 'Not Found Error', resource_type: 'tweet', parameter: 'ids'
+      }));
+    }
+    res.json(body);
+  });
+
+  // --- OAuth 2.0 (Authorization Code + PKCE) ---
+  // Consent is granted immediately; the code is bound to the PKCE challenge
+  app.get('/i/oauth2/authorize', (req, res) => {
+    const { redirect_uri: redirectUri, state: oauthState, code_challenge: challenge } = req.query;
+    if (!redirectUri || !challenge) return res.status(400).send('redirect_uri and code_challenge are required');
+    const code = `mock-code-${crypto.randomBytes(8).toString('hex')}`;
+    state.oauthCodes.set(code, { challenge, redirectUri });
+    res.redirect(`${redirectUri}?${new URLSearchParams({ state: oauthState || '', code })}`);
+  });
+
+  app.post('/2/oauth2/token', (req, res) => {
+    const body = req.body || {};
+    if (body.grant_type === 'authorization_code') {
+      const pending = state.oauthCodes.get(body.code);
+      state.oauthCodes.delete(body.code);
+      const verifierHash = crypto.createHash('sha256').update(String(body.code_verifier || '')).digest('base64url');
+      if (!pending || pending.redirectUri !== body.redirect_uri || pending.challenge !== verifierHash) {
+        return res.status(400).json({ error: 'invalid_request', error_description: 'Value passed for the authorization code was invalid.' });
+      }
+    } else if (body.grant_type === 'refresh_token') {
+      if (!state.userTokens.delete(body.refresh_token)) {
+        return res.status(400).json({ error: 'invalid_request', error_description: 'Value passed for the token was invalid.' });
+      }
+    } else {
+      return res.status(400).json({ error: 'unsupported_grant_type' });
+    }
+
+    const accessToken = `mock-user-${crypto.randomBytes(8).toString('hex')}`;
+    const refreshToken = `mock-refresh-${crypto.randomBytes(8).toString('hex')}`;
+    state.userTokens.add(accessToken);
+    state.userTokens.add(refreshToken);
+    res.json({
+      token_type: 'bearer',
+      expires_in: 7200,
+      access_token: accessToken,
+      refresh_token: refreshToken,
+      scope: 'tweet.read tweet.write users.read offline.access media.write'
+    });
+  });
+
+  // --- v2 users ---
+  app.get('/2/users/me', guard('GET /2/users/me'), (req, res) => {
+    const auth = req.get('authorization') || '';
+    // User-context only: OAuth 1.0a or an OAuth 2.0 user token, not an app bearer token
+    if (!auth.startsWith('OAuth ') && !state.userTokens.has(auth.replace(/^Bearer /, ''))) {
+      return xError(res, 403, 'Unsupported Authentication', 'Authenticating with OAuth 2.0 Application-Only is forbidden for this endpoint.');
+    }
+    res.json({ data: pickUser(findUser(state.meId), req.query['user.fields']) });
+  });
+
+  app.get('/2/users/by/username/:username', guard('GET /2/users/by/username'), (req, res) => {
+    const username = req.params.username.toLowerCase();
+    const user = state.users.find(u => u.username.toLowerCase() === username);
+    if (!user) {
+      return res.json({
+        errors: [{ value: req.params.username, detail: `Could not find user with username: [${req.params.username}].`, title: 'Not Found Error', resource_type: 'user' }]
+      });
+    }
+    res.json({ data: pickUser(user, req.query['user.fields']) });
+  });
+
+  app.get('/2/users/:id/tweets', guard('GET /2/users/:id/tweets'), (req, res) => {
+    if (!findUser(req.params.id)) {
+      return res.json({ errors: [{ value: req.params.id, title: 'Not Found Error', resource_type: 'user' }] });
+    }
+    const maxResults = Math.min(parseInt(req.query.max_results) || 10, 100);
+    const sinceId = req.query.since_id ? BigInt(req.query.since_id) : null;
+    const untilId = req.query.until_id ? BigInt(req.query.until_id) : null;
+    // The mock's pagination token is simply the oldest ID of the previous page
+    const pageUntilId = req.query.pagination_token ? BigInt(req.query.pagination_token) : null;
+    const matching = state.tweets
+      .filter(t => t.author_id === req.params.id)
+      .filter(t => !sinceId || BigInt(t.id) > sinceId)
+      .filter(t => !untilId || BigInt(t.id) < untilId)
+      .filter(t => !pageUntilId || BigInt(t.id) < pageUntilId)
+      .sort(compareIdsDesc);
+    const tweets = matching.slice(0, maxResults);
+
+    if (tweets.length === 0) return res.json({ meta: { result_count: 0 } });
+    const meta = { result_count: tweets.length, newest_id: tweets[0].id, oldest_id: tweets[tweets.length - 1].id };
+    if (matching.length > tweets.length) meta.next_token = meta.oldest_id;
+    res.json({ data: tweets.map(t => pickTweet(t, req.query['tweet.fields'])), meta });
+  });
+
+  // --- v1.1 media upload (INIT / APPEND / FINALIZE / STATUS) ---
+  app.post('/1.1/media/upload.json', guard('POST /1.1/media/upload'), (req, res) => {
+    // APPEND is multipart; its fields are not parsed here, only acknowledged
+    if ((req.get('content-type') || '').startsWith('multipart/form-data')) {
+      req.resume();
+      return req.on('end', () => res.status(204).end());
+    }
+
+    const { command, media_id: mediaId, total_bytes: totalBytes, media_type: mediaType } = req.body || {};
+    if (command === 'INIT') {
+      const id = String(state.nextId++);
+      state.media[id] = { media_id_string: id, size: parseInt(totalBytes) || 0, media_type: mediaType, alt_text: null };
+      return res.status(202).json({ media_id: Number(id), media_id_string: id, expires_after_secs: 86400 });
+    }
+    if (command === 'FINALIZE') {
+      const media = state.media[mediaId];
+      if (!media) return xError(res, 400, 'Invalid Request', 'Invalid media_id');
+      return res.json({ media_id: Number(mediaId), media_id_string: mediaId, size: media.size, expires_after_secs: 86400 });
+    }
+    xError(res, 400, 'Invalid Request', `Unsupported command: ${command}`);
+  });
+
+  app.get('/1.1/media/upload.json', guard('POST /1.1/media/upload'), (req, res) => {
+    const media = state.media[req.query.media_id];
+    if (!media) return xError(res, 404, 'Not Found', 'Invalid media_id');
+    res.json({ media_id_string: media.media_id_string, processing_info: { state: 'succeeded', progress_percent: 100 } });
+  });
+
+  app.post('/1.1/media/metadata/create.json', guard('POST /1.1/media/upload'), (req, res) => {
+    const { media_id: mediaId, alt_text: altText } = req.body || {};
+    if (!state.media[mediaId]) return xError(res, 400, 'Invalid Request', 'Invalid media_id');
+    state.media[mediaId].alt_text = altText ? altText.text : null;
+    res.status(200).end();
+  });
+
+  app.use((req, res) => xError(res, 404, 'Not Found Error', `No mock for ${req.method} ${req.path}`));
+
+  return { app, state };
+}
+
+/**
+ * Start the mock server. Pass port 0 to pick a free port.
+ * @returns {Promise<{ server: import('http').Server, url: string, state: object }>}
+ */
+function startMockXApiServer(options = {}) {
+  const { app, state } = createMockXApi(options);
+  const port = options.port !== undefined ? options.port : DEFAULT_PORT;
+  return new Promise((resolve) => {
+    const server = app.listen(port, '127.0.0.1', () => {
+      resolve({ server, url: `http://127.0.0.1:${server.address().port}`, state });
+    });
+  });
+}
+
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_X_PORT) || DEFAULT_PORT;
+  startMockXApiServer({ port }).then(({ url }) => {
+    console.log(`Mock X API listening on ${url}`);
+    console.log(`Start the app with X_API_BASE_URL=${url} to use it`);
+  });
+}
+
+module.exports = { createMockXApi, startMockXApiServer, DEFAULT_RATE_LIMITS };
@@ -3,6 +3,10 @@ const router = express.Router();
 const { getDb } = require('../db/database');
 const { encrypt, decrypt } = require('../utils/crypto');
 const { verifyCredentials } = require('../services/x-api');
+const { createAuthorizationUrl, completeAuthorization } = require('../services/x-oauth2');
+const { getPersona, savePersona, deletePersona, LIST_FIELDS } = require('../services/persona');
+const { LINT_POLICIES } = require('../services/content-linter');
+const { isValidTimeZone, DEFAULT_TIMEZONE } = require('../utils/date-utils');
 
 const ACCOUNT_COLORS = [
   '#3B82F6', '#EF4444', '#10B981', '#F59E0B',
@@ -10,6 +14,21 @@ const ACCOUNT_COLORS = [
 ];
 
 const SENSITIVE_FIELDS = ['api_key', 'api_secret', 'access_token', 'access_token_secret', 'bearer_token'];
+const OAUTH2_TOKEN_FIELDS = ['oauth2_access_token', 'oauth2_refresh_token'];
+const PERSONA_TEXT_FIELDS = ['role', 'headline', 'stance'];
+
+function validatePersona(body) {
+  if (typeof body.name !== 'string' || !body.name.trim()) return 'name is required';
+  for (const field of PERSONA_TEXT_FIELDS) {
+    if (body[field] !== undefined && typeof body[field] !== 'string') return `${field} must be a string`;
+  }
+  for (const field of LIST_FIELDS) {
+    if (body[field] !== undefined && (!Array.isArray(body[field]) || body[field].some(v => typeof v !== 'string'))) {
+      return `${field} must be an array of strings`;
+    }
+  }
+  return null;
+}
 
 // GET /api/accounts
 router.get('/', async (req, res) => {
@@ -17,7 +36,7 @@ router.get('/', async (req, res) => {
     const sb = getDb();
     const { data, error } = await sb
       .from('x_accounts')
-      .select('id, display_name, handle, color, default_ai_provider, default_ai_model, created_at')
+      .select('id, display_name, handle, color, auth_type, default_ai_provider, default_ai_model, lint_policy, timezone, created_at')
       .order('created_at', { ascending: true });
     if (error) throw error;
     res.json(data);
@@ -26,6 +45,35 @@ router.get('/', async (req, res) => {
   }
 });
 
+// POST /api/accounts/oauth/authorize - Start "Connect with X" (OAuth 2.0 PKCE)
+// Body: { accountId } to re-link an existing account. Returns the X consent URL.
+router.post('/oauth/authorize', async (req, res) => {
+  try {
+    const url = await createAuthorizationUrl({ accountId: req.body.accountId });
+    res.json({ url });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/accounts/oauth/callback - Redirect target registered in the X app
+router.get('/oauth/callback', async (req, res) => {
+  const redirectTo = (params) => res.redirect(`/settings?${new URLSearchParams(params)}`);
+
+  if (req.query.error) {
+    return redirectTo({ oauth: 'error', message: req.query.error_description || req.query.error });
+  }
+  try {
+    const { account } = await completeAuthorization(
+      { state: req.query.state, code: req.query.code },
+      { colors: ACCOUNT_COLORS }
+    );
+    redirectTo({ oauth: 'connected', handle: account.handle });
+  } catch (error) {
+    redirectTo({ oauth: 'error', message: error.message });
+  }
+});
+
 // GET /api/accounts/:id
 router.get('/:id', async (req, res) => {
   try {
@@ -43,6 +91,8 @@ router.get('/:id', async (req, res) => {
       return plain ? '****' + plain.slice(-4) : '';
     };
 
+    for (const field of OAUTH2_TOKEN_FIELDS) delete data[field];
+
     res.json({
       ...data,
       api_key: mask(data.api_key),
@@ -59,11 +109,14 @@ router.get('/:id', async (req, res) => {
 // POST /api/accounts
 router.post('/', async (req, res) => {
   try {
-    const { display_name, handle, color, api_key, api_secret, access_token, access_token_secret, bearer_token, default_ai_provider, default_ai_model } = req.body;
+    const { display_name, handle, color, api_key, api_secret, access_token, access_token_secret, bearer_token, default_ai_provider, default_ai_model, timezone } = req.body;
 
     if (!display_name || !handle || !api_key || !api_secret || !access_token || !access_token_secret) {
       return res.status(400).json({ error: 'display_name, handle, api_key, api_secret, access_token, access_token_secret are required' });
     }
+    if (timezone && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ error: 'timezone must be an IANA timezone name' });
+    }
 
     const sb = getDb();
     const { count } = await sb.from('x_accounts').select('*', { count: 'exact', head: true });
@@ -79,8 +132,9 @@ router.post('/', async (req, res) => {
       access_token_secret: encrypt(access_token_secret),
       bearer_token: encrypt(bearer_token || ''),
       default_ai_provider: default_ai_provider || 'claude',
-      default_ai_model: default_ai_model || 'claude-sonnet-4-20250514'
-    }).select('id, display_name, handle, color, default_ai_provider, default_ai_model').single();
+      default_ai_model: default_ai_model || 'claude-sonnet-4-20250514',
+      timezone: timezone || DEFAULT_TIMEZONE
+    }).select('id, display_name, handle, color, default_ai_provider, default_ai_model, timezone').single();
 
     if (error) {
       if (error.code === '23505') {
@@ -97,10 +151,16 @@ router.post('/', async (req, res) => {
 // PUT /api/accounts/:id
 router.put('/:id', async (req, res) => {
   try {
+    if (req.body.lint_policy !== undefined && !LINT_POLICIES.includes(req.body.lint_policy)) {
+      return res.status(400).json({ error: `lint_policy must be one of: ${LINT_POLICIES.join(', ')}` });
+    }
+    if (req.body.timezone !== undefined && req.body.timezone !== '' && !isValidTimeZone(req.body.timezone)) {
+      return res.status(400).json({ error: 'timezone must be an IANA timezone name' });
+    }
+
     const sb = getDb();
     const updates = {};
-
-    for (const field of ['display_name', 'color', 'default_ai_provider', 'default_ai_model']) {
+    for (const field of ['display_name', 'color', 'default_ai_provider', 'default_ai_model', 'lint_policy', 'timezone']) {
       if (req.body[field] !== undefined && req.body[field] !== '') {
         updates[field] = req.body[field];
       }
@@ -126,6 +186,42 @@ router.put('/:id', async (req, res) => {
   }
 });
 
+// GET /api/accounts/:id/persona - Persona used for the account's generations
+router.get('/:id/persona', async (req, res) => {
+  try {
+    res.json(await getPersona(req.params.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PUT /api/accounts/:id/persona
+router.put('/:id/persona', async (req, res) => {
+  try {
+    const invalid = validatePersona(req.body);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const persona = { name: req.body.name.trim() };
+    for (const field of PERSONA_TEXT_FIELDS) persona[field] = (req.body[field] || '').trim();
+    for (const field of LIST_FIELDS) {
+      persona[field] = (req.body[field] || []).map(v => v.trim()).filter(Boolean);
+    }
+    res.json(await savePersona(req.params.id, persona));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE /api/accounts/:id/persona - Go back to the default persona
+router.delete('/:id/persona', async (req, res) => {
+  try {
+    await deletePersona(req.params.id);
+    res.json(await getPersona(null));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // POST /api/accounts/:id/verify
 router.post('/:id/verify', async (req, res) => {
   try {
@@ -1,66 +1,67 @@
 const express = require('express');
 const router = express.Router();
 const { getDb } = require('../db/database');
-const { getAIProvider, getAvailableModels, AIProvider } = require('../services/ai-provider');
+const { getAIProvider, getAvailableModels, listProviders, AIProvider } = require('../services/ai-provider');
 const { getCompetitorContext } = require('../services/analytics');
-
-// POST /api/ai/generate - Generate tweet candidates
-router.post('/generate', async (req, res) => {
-  try {
-    const { theme, postType, provider, model, accountId, includeCompetitorContext, customPrompt } = req.body;
-
-    if (!theme) return res.status(400).json({ error: 'theme is required' });
-
-    // Determine provider and model
-    // Priority: explicit request > task-level setting > account default > 'claude'
-    let providerName = provider;
-    let modelName = model;
-
-    // Check task-level preferred provider (if no explicit provider in request)
-    if (!providerName) {
-      const baseProvider = new AIProvider();
-      const taskType = baseProvider.inferTaskType(postType || 'new');
-      const taskSettings = await baseProvider.getTaskModelSettings(taskType, 'claude');
-      if (taskSettings.preferredProvider) {
-        providerName = taskSettings.preferredProvider;
-        // Also use the corresponding model for the preferred provider
-        const fullSettings = await baseProvider.getTaskModelSettings(taskType, providerName);
-        if (!modelName && fullSettings.model) {
-          modelName = fullSettings.model;
-        }
+const { regenerateWithFeedback } = require('../services/feedback-regenerator');
+
+/**
+ * Resolve the provider and generation options for /generate and
+ * /generate/stream from the request body.
+ */
+async function buildGenerateRequest(body) {
+  const { postType, provider, model, accountId, includeCompetitorContext, customPrompt } = body;
+
+  // Determine provider and model
+  // Priority: explicit request > task-level setting > account default > 'claude'
+  let providerName = provider;
+  let modelName = model;
+
+  // Check task-level preferred provider (if no explicit provider in request)
+  if (!providerName) {
+    const baseProvider = new AIProvider();
+    const taskType = baseProvider.inferTaskType(postType || 'new');
+    const taskSettings = await baseProvider.getTaskModelSettings(taskType, 'claude');
+    if (taskSettings.preferredProvider) {
+      providerName = taskSettings.preferredProvider;
+      // Also use the corresponding model for the preferred provider
+      const fullSettings = await baseProvider.getTaskModelSettings(taskType, providerName);
+      if (!modelName && fullSettings.model) {
+        modelName = fullSettings.model;
       }
     }
+  }
 
-    // Fall back to account defaults
-    if (!providerName && accountId) {
-      const sb = getDb();
-      const { data: account } = await sb.from('x_accounts')
-        .select('default_ai_provider, default_ai_model')
-        .eq('id', accountId)
-        .single();
-      if (account) {
-        providerName = account.default_ai_provider;
-        modelName = modelName || account.default_ai_model;
-      }
+  // Fall back to account defaults
+  if (!providerName && accountId) {
+    const sb = getDb();
+    const { data: account } = await sb.from('x_accounts')
+      .select('default_ai_provider, default_ai_model')
+      .eq('id', accountId)
+      .single();
+    if (account) {
+      providerName = account.default_ai_provider;
+      modelName = modelName || account.default_ai_model;
     }
+  }
 
-    if (!providerName) providerName = 'claude';
+  if (!providerName) providerName = 'claude';
 
-    const aiProvider = getAIProvider(providerName);
+  const aiProvider = getAIProvider(providerName, { failover: true });
 
-    // Build quote/reply-specific prompt if targetTweetText and angle are provided
-    let quotePrompt = customPrompt || '';
-    const { targetTweetText, targetHandle, quoteAngle, replyAngle } = req.body;
-    if (postType === 'quote' && targetTweetText) {
-      const angleLabels = {
-        agree: '共感',
-        counter: '反論',
-        question: '質問',
-        experience: '体験談',
-        data: 'データ補足',
-      };
-      const stance = angleLabels[quoteAngle] || '特になし';
-      quotePrompt = `以下の元ツイートに対する引用リツイートを生成してください。
+  // Build quote/reply-specific prompt if targetTweetText and angle are provided
+  let quotePrompt = customPrompt || '';
+  const { targetTweetText, targetHandle, quoteAngle, replyAngle } = body;
+  if (postType === 'quote' && targetTweetText) {
+    const angleLabels = {
+      agree: '共感',
+      counter: '反論',
+      question: '質問',
+      experience: '体験談',
+      data: 'データ補足',
+    };
+    const stance = angleLabels[quoteAngle] || '特になし';
+    quotePrompt = `以下の元ツイートに対する引用リツイートを生成してください。
 
 # 元ツイート
 投稿者：@${targetHandle || '不明'}
@@ -71,17 +72,17 @@ ${targetTweetText}
 - 希望するスタンス：${stance}
 
 上記をもとに、2〜3案を生成してください。`;
-    } else if (postType === 'reply' && targetTweetText) {
-      const replyAngleLabels = {
-        empathy: '共感+実体験',
-        info: '補足情報',
-        question: '質問',
-        episode: 'エピソード共有',
-        support: '応援・共鳴',
-        perspective: '別視点提示',
-      };
-      const stance = replyAngleLabels[replyAngle] || '特になし';
-      quotePrompt = `以下の元ツイートに対するリプライを生成してください。
+  } else if (postType === 'reply' && targetTweetText) {
+    const replyAngleLabels = {
+      empathy: '共感+実体験',
+      info: '補足情報',
+      question: '質問',
+      episode: 'エピソード共有',
+      support: '応援・共鳴',
+      perspective: '別視点提示',
+    };
+    const stance = replyAngleLabels[replyAngle] || '特になし';
+    quotePrompt = `以下の元ツイートに対するリプライを生成してください。
 
 # 元ツイート
 投稿者：@${targetHandle || '不明'}
@@ -92,16 +93,26 @@ ${targetTweetText}
 - 希望するアングル：${stance}
 
 上記をもとに、2〜3案を生成してください。`;
-    }
+  }
 
-    const options = {
-      postType: postType || 'new',
-      model: modelName,
-      accountId: accountId || null,
-      customPrompt: quotePrompt,
-      competitorContext: includeCompetitorContext ? await getCompetitorContext(accountId) : ''
-    };
+  const options = {
+    postType: postType || 'new',
+    model: modelName,
+    accountId: accountId || null,
+    customPrompt: quotePrompt,
+    competitorContext: includeCompetitorContext ? await getCompetitorContext(accountId) : ''
+  };
 
+  return { aiProvider, options };
+}
+
+// POST /api/ai/generate - Generate tweet candidates
+router.post('/generate', async (req, res) => {
+  try {
+    const { theme } = req.body;
+    if (!theme) return res.status(400).json({ error: 'theme is required' });
+
+    const { aiProvider, options } = await buildGenerateRequest(req.body);
     const result = await aiProvider.generateTweets(theme, options);
     res.json(result);
   } catch (error) {
@@ -109,6 +120,43 @@ ${targetTweetText}
   }
 });
 
+// POST /api/ai/generate/stream - Same as /generate, streamed as server-sent events
+// Events: delta / variant / repair / failover while generating, then done
+// (the /generate response) or error.
+router.post('/generate/stream', async (req, res) => {
+  const { theme } = req.body;
+  if (!theme) return res.status(400).json({ error: 'theme is required' });
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Stop the provider stream (and any fallback or repair) when the client goes away
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  const send = (event, data) => {
+    if (controller.signal.aborted) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    const { aiProvider, options } = await buildGenerateRequest(req.body);
+    options.signal = controller.signal;
+    const result = await aiProvider.streamTweets(theme, options, ({ type, ...data }) => send(type, data));
+    send('done', result);
+  } catch (error) {
+    send('error', { error: error.message });
+  }
+  res.end();
+});
+
 // GET /api/ai/models - List available models for dropdown selection
 router.get('/models', (req, res) => {
   try {
@@ -121,13 +169,7 @@ router.get('/models', (req, res) => {
 // GET /api/ai/providers - List available AI providers
 router.get('/providers', (req, res) => {
   try {
-    const models = getAvailableModels();
-    res.json({
-      providers: [
-        { name: 'claude', label: models.claude.label, models: models.claude.models, available: !!process.env.CLAUDE_API_KEY },
-        { name: 'gemini', label: models.gemini.label, models: models.gemini.models, available: !!process.env.GEMINI_API_KEY }
-      ]
-    });
+    res.json({ providers: listProviders() });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -141,46 +183,7 @@ router.post('/regenerate', async (req, res) => {
     if (!originalText) return res.status(400).json({ error: 'originalText is required' });
     if (!feedback) return res.status(400).json({ error: 'feedback is required' });
 
-    let providerName = provider;
-    let modelName = model;
-
-    if (!providerName && accountId) {
-      const sb = getDb();
-      const { data: account } = await sb.from('x_accounts')
-        .select('default_ai_provider, default_ai_model')
-        .eq('id', accountId)
-        .single();
-      if (account) {
-        providerName = account.default_ai_provider;
-        modelName = modelName || account.default_ai_model;
-      }
-    }
-    if (!providerName) providerName = 'claude';
-
-    const aiProvider = getAIProvider(providerName);
-
-    const regeneratePrompt = `以下の既存ツイートに対して、ユーザーからフィードバックがありました。
-フィードバックを反映して改善版を3パターン生成してください。
-
-# 元のツイート
-${originalText}
-
-# ユーザーからのフィードバック
-${feedback}
-
-# 指示
-- フィードバックの内容を正確に反映すること
-- 元のツイートの良い部分は維持しつつ改善すること
-- 3案それぞれ異なるアプローチで改善すること`;
-
-    const options = {
-      postType: postType || 'new',
-      model: modelName,
-      accountId: accountId || null,
-      customPrompt: regeneratePrompt
-    };
-
-    const result = await aiProvider.generateTweets('フィードバック再生成', options);
+    const result = await regenerateWithFeedback({ originalText, feedback, postType, provider, model, accountId });
     res.json(result);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -236,7 +239,10 @@ JSON形式で返してください。コードフェンスは付けないこと
       model: modelName,
       accountId: accountId || null,
       customPrompt: decomposePrompt,
-      taskType: 'tweet_generation'
+      taskType: 'tweet_generation',
+      // Returns {"rules": [...]}, not tweet variants
+      outputSchema: false,
+      experiment: false
     });
 
     // Parse the AI response to extract rules
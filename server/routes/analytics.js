@@ -6,9 +6,12 @@ const {
   getHourlyPerformance,
   getWeeklyEngagement,
   getPostTypePerformance,
+  getRisingTweets,
   getQuoteSuggestions,
   getReplySuggestions
 } = require('../services/analytics');
+const { getTweetSnapshots } = require('../services/competitor-snapshots');
+const { getAccountTimeZone } = require('../services/account-timezone');
 
 // GET /api/analytics/dashboard - Dashboard summary data
 router.get('/dashboard', async (req, res) => {
@@ -32,10 +35,10 @@ router.get('/top-posts', async (req, res) => {
   }
 });
 
-// GET /api/analytics/hourly - Hourly performance data
+// GET /api/analytics/hourly?accountId= - Hourly performance data, in the account's local hours
 router.get('/hourly', async (req, res) => {
   try {
-    const data = await getHourlyPerformance();
+    const data = await getHourlyPerformance(await getAccountTimeZone(req.query.accountId));
     res.json(data);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -63,13 +66,37 @@ router.get('/post-types', async (req, res) => {
   }
 });
 
+// GET /api/analytics/rising - Recent competitor tweets ranked by velocity
+router.get('/rising', async (req, res) => {
+  try {
+    const accountId = req.query.accountId;
+    const limit = parseInt(req.query.limit) || 20;
+    const hours = parseInt(req.query.hours) || 24;
+    const tweets = await getRisingTweets(accountId, { limit, hours });
+    res.json(tweets);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/analytics/competitor-tweets/:tweetId/snapshots - Metric history of a competitor tweet
+router.get('/competitor-tweets/:tweetId/snapshots', async (req, res) => {
+  try {
+    const snapshots = await getTweetSnapshots(req.params.tweetId);
+    res.json(snapshots);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // GET /api/analytics/quote-suggestions - Recommended tweets for quote RT
 router.get('/quote-suggestions', async (req, res) => {
   try {
     const accountId = req.query.accountId;
     const limit = parseInt(req.query.limit) || 10;
     const minEngagementRate = parseFloat(req.query.minEngagementRate) || 0;
-    const suggestions = await getQuoteSuggestions(accountId, { limit, minEngagementRate });
+    const sortBy = req.query.sortBy;
+    const suggestions = await getQuoteSuggestions(accountId, { limit, minEngagementRate, sortBy });
     res.json(suggestions);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -82,7 +109,8 @@ router.get('/reply-suggestions', async (req, res) => {
     const accountId = req.query.accountId;
     const limit = parseInt(req.query.limit) || 10;
     const minEngagementRate = parseFloat(req.query.minEngagementRate) || 0;
-    const suggestions = await getReplySuggestions(accountId, { limit, minEngagementRate });
+    const sortBy = req.query.sortBy;
+    const suggestions = await getReplySuggestions(accountId, { limit, minEngagementRate, sortBy });
     res.json(suggestions);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { getDb } = require('../db/database');
 const { runAutoPostManually } = require('../services/auto-poster');
+const { DEFAULT_MIN_GAP_DAYS } = require('../services/evergreen');
 
 // GET /api/auto-post/settings - Get auto post settings for an account
 router.get('/settings', async (req, res) => {
@@ -36,13 +37,19 @@ router.get('/settings', async (req, res) => {
 // PUT /api/auto-post/settings - Create or update auto post setting
 router.put('/settings', async (req, res) => {
   try {
-    const { accountId, postType, enabled, postsPerDay, scheduleTimes, scheduleMode, themes, tone, targetAudience, styleNote, aiModel, maxLength } = req.body;
+    const { accountId, postType, enabled, postsPerDay, scheduleTimes, scheduleMode, themes, tone, targetAudience, styleNote, aiModel, maxLength, threadLength, evergreenMinGapDays, evergreenRewrite } = req.body;
 
     if (!accountId || !postType) {
       return res.status(400).json({ error: 'accountId and postType are required' });
     }
-    if (!['new', 'reply', 'quote'].includes(postType)) {
-      return res.status(400).json({ error: 'postType must be new, reply, or quote' });
+    if (!['new', 'reply', 'quote', 'evergreen'].includes(postType)) {
+      return res.status(400).json({ error: 'postType must be new, reply, quote, or evergreen' });
+    }
+    if (postType === 'evergreen' && scheduleMode === 'telegram') {
+      return res.status(400).json({ error: 'evergreen does not support telegram scheduleMode' });
+    }
+    if (evergreenMinGapDays !== undefined && (!Number.isInteger(evergreenMinGapDays) || evergreenMinGapDays < 1)) {
+      return res.status(400).json({ error: 'evergreenMinGapDays must be a positive integer' });
     }
 
     // Validate schedule_times format
@@ -69,6 +76,9 @@ router.put('/settings', async (req, res) => {
       style_note: styleNote || '',
       ai_model: aiModel || '',
       max_length: maxLength || 0,
+      thread_length: threadLength || 0,
+      evergreen_min_gap_days: evergreenMinGapDays || DEFAULT_MIN_GAP_DAYS,
+      evergreen_rewrite: evergreenRewrite === true,
       updated_at: new Date().toISOString()
     };
 
@@ -4,6 +4,7 @@ const { BatchManager } = require('../services/batch-manager');
 const { getDb } = require('../db/database');
 const { AIProvider } = require('../services/ai-provider');
 const defaultPrompts = require('../config/prompts');
+const { getPersona, renderPersona } = require('../services/persona');
 
 const batchManager = new BatchManager();
 const aiProvider = new AIProvider();
@@ -31,9 +32,9 @@ router.post('/generate', async (req, res) => {
     // Get system prompt for the task type
     let systemPrompt = '';
     if (defaultPrompts[taskType]) {
-      systemPrompt = defaultPrompts[taskType].system;
+      systemPrompt = renderPersona(defaultPrompts[taskType].system, await getPersona(accountId));
     } else {
-      systemPrompt = await aiProvider.getSystemPrompt({ taskType });
+      systemPrompt = await aiProvider.getSystemPrompt({ taskType, accountId });
     }
 
     // Build batch requests
@@ -0,0 +1,141 @@
+const express = require('express');
+const router = express.Router();
+const {
+  listBlackouts, createBlackout, updateBlackout, deleteBlackout,
+  getPostingPause, pausePosting, resumePosting,
+  BLACKOUT_KINDS, BLACKOUT_ACTIONS, DATE_PATTERN
+} = require('../services/posting-blackout');
+const { TIME_PATTERN } = require('../services/post-queue');
+
+/**
+ * Validate the rule fields present in a request body.
+ * Returns { fields } (DB column names) or { error }.
+ */
+function parseBlackoutFields(body) {
+  const fields = {};
+  if (body.name !== undefined) {
+    if (body.name !== null && typeof body.name !== 'string') return { error: 'name must be a string' };
+    fields.name = body.name ? body.name.trim() || null : null;
+  }
+  for (const [key, column] of [['startTime', 'start_time'], ['endTime', 'end_time']]) {
+    if (body[key] === undefined) continue;
+    if (typeof body[key] !== 'string' || !TIME_PATTERN.test(body[key])) return { error: `${key} must be HH:MM` };
+    fields[column] = body[key];
+  }
+  if (fields.start_time && fields.start_time === fields.end_time) {
+    return { error: 'startTime and endTime must differ' };
+  }
+  for (const [key, column] of [['startDate', 'start_date'], ['endDate', 'end_date']]) {
+    if (body[key] === undefined) continue;
+    if (typeof body[key] !== 'string' || !DATE_PATTERN.test(body[key])) return { error: `${key} must be YYYY-MM-DD` };
+    fields[column] = body[key];
+  }
+  if (fields.start_date && fields.end_date && fields.start_date > fields.end_date) {
+    return { error: 'endDate must not be before startDate' };
+  }
+  if (body.action !== undefined) {
+    if (!BLACKOUT_ACTIONS.includes(body.action)) return { error: 'action must be shift or hold' };
+    fields.action = body.action;
+  }
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== 'boolean') return { error: 'enabled must be a boolean' };
+    fields.enabled = body.enabled;
+  }
+  return { fields };
+}
+
+// GET /api/blackouts/pause - Whether posting is paused
+router.get('/pause', async (req, res) => {
+  try {
+    res.json(await getPostingPause());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/blackouts/pause - Stop all scheduled and automatic posting now
+router.post('/pause', async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+      return res.status(400).json({ error: 'reason must be a string' });
+    }
+    res.json(await pausePosting(reason ? reason.trim() : null, 'ui'));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE /api/blackouts/pause - Resume posting
+router.delete('/pause', async (req, res) => {
+  try {
+    res.json(await resumePosting('ui'));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/blackouts?accountId= - Global rules plus the account's own
+router.get('/', async (req, res) => {
+  try {
+    const { accountId } = req.query;
+    if (accountId !== undefined && !/^[1-9]\d*$/.test(accountId)) {
+      return res.status(400).json({ error: 'accountId must be a positive integer' });
+    }
+    res.json(await listBlackouts(accountId));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/blackouts - Add a rule; accountId null applies it to every account
+router.post('/', async (req, res) => {
+  try {
+    const { accountId = null, kind, action = 'shift' } = req.body;
+    if (!BLACKOUT_KINDS.includes(kind)) return res.status(400).json({ error: 'kind must be daily or dates' });
+    const { fields, error: fieldError } = parseBlackoutFields({ ...req.body, action });
+    if (fieldError) return res.status(400).json({ error: fieldError });
+    if (kind === 'daily' && (!fields.start_time || !fields.end_time)) {
+      return res.status(400).json({ error: 'startTime and endTime are required' });
+    }
+    if (kind === 'dates' && (!fields.start_date || !fields.end_date)) {
+      return res.status(400).json({ error: 'startDate and endDate are required' });
+    }
+
+    // Only the columns of the kind are stored
+    const window = kind === 'daily'
+      ? { start_time: fields.start_time, end_time: fields.end_time }
+      : { start_date: fields.start_date, end_date: fields.end_date };
+    res.json(await createBlackout({
+      account_id: accountId, kind, name: fields.name || null, action: fields.action,
+      enabled: fields.enabled !== false, ...window
+    }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PUT /api/blackouts/:id - Rename, change the window or action, pause or resume a rule
+router.put('/:id', async (req, res) => {
+  try {
+    const { fields, error: fieldError } = parseBlackoutFields(req.body);
+    if (fieldError) return res.status(400).json({ error: fieldError });
+    if (Object.keys(fields).length === 0) return res.status(400).json({ error: 'No fields to update' });
+
+    res.json(await updateBlackout(req.params.id, fields));
+  } catch (error) {
+    res.status(error.message.includes('見つかりません') ? 404 : 500).json({ error: error.message });
+  }
+});
+
+// DELETE /api/blackouts/:id - Remove a rule
+router.delete('/:id', async (req, res) => {
+  try {
+    await deleteBlackout(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(error.message.includes('見つかりません') ? 404 : 500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const { getCalendar, MAX_CALENDAR_DAYS } = require('../services/content-calendar');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// GET /api/calendar?from=&to=&accountId= - Posts, drafts and auto-post slots in [from, to)
+router.get('/', async (req, res) => {
+  try {
+    const { accountId } = req.query;
+    const from = new Date(req.query.from);
+    const to = new Date(req.query.to);
+    if (!req.query.from || !req.query.to || isNaN(from) || isNaN(to)) {
+      return res.status(400).json({ error: 'from and to must be ISO dates' });
+    }
+    if (to <= from) return res.status(400).json({ error: 'to must be after from' });
+    if (to - from > MAX_CALENDAR_DAYS * DAY_MS) {
+      return res.status(400).json({ error: `Range must be ${MAX_CALENDAR_DAYS} days or less` });
+    }
+
+    res.json(await getCalendar({ accountId, from, to }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -534,8 +534,15 @@ router.post('/bulk', async (req, res) => {
 // POST /api/competitors/fetch - Manually trigger fetch for all competitors
 router.post('/fetch', async (req, res) => {
   try {
-    await fetchAllCompetitorTweets();
-    res.json({ success: true, message: 'Competitor tweets fetched' });
+    const result = await fetchAllCompetitorTweets();
+    const deferred = (result && result.deferred) || [];
+    res.json({
+      success: true,
+      message: deferred.length > 0
+        ? `Competitor tweets fetched (${deferred.length} deferred by rate limit)`
+        : 'Competitor tweets fetched',
+      deferred
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
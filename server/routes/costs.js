@@ -4,8 +4,10 @@ const {
   getMonthlyCostSummary,
   getDailyCosts,
   getOptimizationScore,
-  checkBudgetStatus
+  checkBudgetStatus,
+  getBudgetMonthStart
 } = require('../services/cost-calculator');
+const { getCacheBackend } = require('../services/x-api');
 
 // GET /api/costs/summary - Monthly cost summary
 router.get('/summary', async (req, res) => {
@@ -65,4 +67,15 @@ router.get('/optimization-score', async (req, res) => {
   }
 });
 
+// GET /api/costs/x-api-cache - X API cache hit rate and estimated savings this month
+router.get('/x-api-cache', async (req, res) => {
+  try {
+    const backend = getCacheBackend();
+    const stats = await backend.stats(await getBudgetMonthStart());
+    res.json({ backend: backend.name, ...stats });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 module.exports = router;
@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const { processScheduledPosts } = require('../services/scheduler');
 const { checkAndRunAutoPosts } = require('../services/auto-poster');
+const { snapshotCompetitorMetrics } = require('../services/competitor-snapshots');
+const { runDueKeywordMonitors, refreshMonitorTweetMetrics } = require('../services/keyword-monitor');
 const { logInfo, logError, cleanOldLogs } = require('../services/app-logger');
 
 // Shared auth helper – requires CRON_SECRET when it is configured
@@ -76,5 +78,38 @@ router.get('/auto-post', async (req, res) => {
   }
 });
 
+// GET /api/cron/competitor-snapshots - Record metric snapshots of recent competitor tweets
+// and refresh the metrics of recent keyword monitor tweets
+// Serverless deployments call this every couple of hours (the local scheduler does it itself)
+router.get('/competitor-snapshots', async (req, res) => {
+  if (!verifyCronSecret(req, res)) return;
+
+  try {
+    // One after the other: both pace themselves against the same GET /2/tweets window
+    const result = await snapshotCompetitorMetrics();
+    const monitorTweets = await refreshMonitorTweetMetrics();
+    res.json({ ok: true, ...result, monitorTweets });
+  } catch (err) {
+    console.error('Cron /competitor-snapshots error:', err.message);
+    await logError('cron', 'Cron /competitor-snapshots 実行エラー', { error: err.message, stack: err.stack });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/cron/keyword-monitors - Run keyword monitors whose interval has elapsed
+// Serverless deployments call this hourly (the local scheduler does it itself)
+router.get('/keyword-monitors', async (req, res) => {
+  if (!verifyCronSecret(req, res)) return;
+
+  try {
+    const result = await runDueKeywordMonitors();
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    console.error('Cron /keyword-monitors error:', err.message);
+    await logError('cron', 'Cron /keyword-monitors 実行エラー', { error: err.message, stack: err.stack });
+    res.status(500).json({ error: err.message });
+  }
+});
+
 module.exports = router;
 module.exports._verifyCronSecret = verifyCronSecret;
@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const {
+  listEvergreenPosts, addEvergreenPost, setEvergreenEnabled, removeEvergreenPost
+} = require('../services/evergreen');
+
+// GET /api/evergreen?accountId= - Pool entries, the next to be re-posted first
+router.get('/', async (req, res) => {
+  try {
+    res.json(await listEvergreenPosts(req.query.accountId));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/evergreen - Add a posted post to its account's pool
+router.post('/', async (req, res) => {
+  try {
+    const { postId } = req.body;
+    if (!postId) return res.status(400).json({ error: 'postId is required' });
+    res.json(await addEvergreenPost(postId));
+  } catch (error) {
+    const status = error.message.includes('見つかりません') ? 404
+      : error.message.includes('投稿済み') || error.message.includes('すでに') ? 409 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// PUT /api/evergreen/:id - Pause or resume an entry
+router.put('/:id', async (req, res) => {
+  try {
+    if (typeof req.body.enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled must be a boolean' });
+    }
+    res.json(await setEvergreenEnabled(req.params.id, req.body.enabled));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE /api/evergreen/:id - Remove an entry from the pool
+router.delete('/:id', async (req, res) => {
+  try {
+    await removeEvergreenPost(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,156 @@
+const express = require('express');
+const router = express.Router();
+const { getDb } = require('../db/database');
+const { runKeywordMonitor } = require('../services/keyword-monitor');
+
+const EDITABLE_FIELDS = ['query', 'language', 'min_engagement', 'interval_hours', 'enabled'];
+
+function validateMonitor(body, { partial = false } = {}) {
+  if (!partial || body.query !== undefined) {
+    if (!body.query || !String(body.query).trim()) return 'query is required';
+  }
+  if (body.min_engagement !== undefined && !(Number.isInteger(body.min_engagement) && body.min_engagement >= 0)) {
+    return 'min_engagement must be a non-negative integer';
+  }
+  if (body.interval_hours !== undefined && !(Number.isInteger(body.interval_hours) && body.interval_hours > 0)) {
+    return 'interval_hours must be a positive integer';
+  }
+  return null;
+}
+
+function pickEditable(body) {
+  const fields = {};
+  for (const key of EDITABLE_FIELDS) {
+    if (body[key] !== undefined) fields[key] = key === 'query' ? String(body[key]).trim() : body[key];
+  }
+  return fields;
+}
+
+// GET /api/keyword-monitors - List monitors (optionally filtered by account)
+router.get('/', async (req, res) => {
+  try {
+    const sb = getDb();
+    let query = sb.from('keyword_monitors')
+      .select('*, monitor_tweets(count)')
+      .order('created_at', { ascending: false });
+    if (req.query.accountId) query = query.eq('account_id', req.query.accountId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    res.json((data || []).map(m => ({
+      ...m,
+      tweet_count: m.monitor_tweets?.[0]?.count || 0,
+      monitor_tweets: undefined
+    })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/keyword-monitors - Create a monitor
+router.post('/', async (req, res) => {
+  try {
+    const { accountId } = req.body;
+    if (!accountId) return res.status(400).json({ error: 'accountId is required' });
+    const invalid = validateMonitor(req.body);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const sb = getDb();
+    const { data, error } = await sb.from('keyword_monitors')
+      .insert({ account_id: accountId, ...pickEditable(req.body) })
+      .select()
+      .single();
+    if (error) throw error;
+
+    res.json(data);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PUT /api/keyword-monitors/:id - Update a monitor
+router.put('/:id', async (req, res) => {
+  try {
+    const invalid = validateMonitor(req.body, { partial: true });
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const fields = pickEditable(req.body);
+    // A new query matches different tweets, so start over from the latest ones
+    if (fields.query !== undefined || fields.language !== undefined) {
+      Object.assign(fields, { newest_tweet_id: null, backfill_since_id: null, backfill_until_id: null });
+    }
+
+    const sb = getDb();
+    const { data, error } = await sb.from('keyword_monitors')
+      .update(fields)
+      .eq('id', req.params.id)
+      .select();
+    if (error) throw error;
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: 'Keyword monitor not found' });
+    }
+    res.json(data[0]);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE /api/keyword-monitors/:id - Remove a monitor and its stored tweets
+router.delete('/:id', async (req, res) => {
+  try {
+    const sb = getDb();
+    const { data, error } = await sb.from('keyword_monitors')
+      .delete()
+      .eq('id', req.params.id)
+      .select('id');
+    if (error) throw error;
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: 'Keyword monitor not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/keyword-monitors/:id/run - Run a monitor now
+router.post('/:id/run', async (req, res) => {
+  try {
+    const sb = getDb();
+    const { data: monitor } = await sb.from('keyword_monitors')
+      .select('*')
+      .eq('id', req.params.id)
+      .single();
+    if (!monitor) return res.status(404).json({ error: 'Keyword monitor not found' });
+
+    const result = await runKeywordMonitor(monitor);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/keyword-monitors/:id/tweets - Tweets a monitor has matched
+router.get('/:id/tweets', async (req, res) => {
+  try {
+    const sb = getDb();
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = parseInt(req.query.offset) || 0;
+
+    const { data, error } = await sb.from('monitor_tweets')
+      .select('*')
+      .eq('monitor_id', req.params.id)
+      .order('created_at_x', { ascending: false })
+      .range(offset, offset + limit - 1);
+    if (error) throw error;
+
+    res.json(data || []);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
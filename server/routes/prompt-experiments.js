@@ -0,0 +1,96 @@
+const express = require('express');
+const router = express.Router();
+const {
+  listExperiments, createExperiment, stopExperiment, buildExperimentReport, promoteWinner
+} = require('../services/prompt-experiments');
+
+// Task types whose output becomes my_posts rows (and so has engagement)
+const EXPERIMENT_TASK_TYPES = ['tweet_generation', 'reply_generation', 'quote_rt_generation'];
+const ASSIGNMENT_MODES = ['random', 'alternate'];
+const MAX_VARIANTS = 5;
+
+function validateExperiment(body) {
+  const { taskType, name, assignment, variants } = body;
+  if (!EXPERIMENT_TASK_TYPES.includes(taskType)) {
+    return `taskType must be one of: ${EXPERIMENT_TASK_TYPES.join(', ')}`;
+  }
+  if (!name || !String(name).trim()) return 'name is required';
+  if (assignment !== undefined && !ASSIGNMENT_MODES.includes(assignment)) {
+    return `assignment must be one of: ${ASSIGNMENT_MODES.join(', ')}`;
+  }
+  if (!Array.isArray(variants) || variants.length < 2 || variants.length > MAX_VARIANTS) {
+    return `variants must have 2 to ${MAX_VARIANTS} entries`;
+  }
+  for (let i = 0; i < variants.length; i++) {
+    const v = variants[i];
+    if (!v || typeof v.label !== 'string' || !v.label.trim()) return `variants[${i}].label is required`;
+    if (typeof v.system_prompt !== 'string' || !v.system_prompt.trim()) return `variants[${i}].system_prompt is required`;
+  }
+  return null;
+}
+
+// GET /api/prompt-experiments?taskType= - List experiments, newest first
+router.get('/', async (req, res) => {
+  try {
+    res.json(await listExperiments(req.query.taskType));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/prompt-experiments - Start an experiment (one running per task type)
+router.post('/', async (req, res) => {
+  try {
+    const invalid = validateExperiment(req.body);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const { taskType, name, assignment, variants } = req.body;
+    const experiment = await createExperiment({
+      taskType,
+      name: String(name).trim(),
+      assignment: assignment || 'random',
+      variants: variants.map(v => ({ label: v.label.trim(), system_prompt: v.system_prompt }))
+    });
+    res.json(experiment);
+  } catch (error) {
+    const status = error.message.includes('実行中の実験') ? 409 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// GET /api/prompt-experiments/:id/report - Per-variant engagement and significance
+router.get('/:id/report', async (req, res) => {
+  try {
+    const report = await buildExperimentReport(req.params.id);
+    if (!report) return res.status(404).json({ error: 'Experiment not found' });
+    res.json(report);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/prompt-experiments/:id/stop - Stop assigning variants
+router.post('/:id/stop', async (req, res) => {
+  try {
+    await stopExperiment(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/prompt-experiments/:id/promote - Make a variant the task's prompt
+router.post('/:id/promote', async (req, res) => {
+  try {
+    const variantId = Number(req.body?.variantId);
+    if (!Number.isInteger(variantId)) return res.status(400).json({ error: 'variantId is required' });
+
+    const result = await promoteWinner(req.params.id, variantId);
+    if (!result) return res.status(404).json({ error: 'Variant not found in this experiment' });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,101 @@
+const express = require('express');
+const router = express.Router();
+const {
+  listQueueSlots, getQueue, createQueueSlot, updateQueueSlot, deleteQueueSlot, QUEUE_POST_TYPES, TIME_PATTERN
+} = require('../services/post-queue');
+
+/**
+ * Validate the slot fields present in a request body.
+ * Returns { fields } (DB column names) or { error }.
+ */
+function parseSlotFields(body) {
+  const fields = {};
+  if (body.name !== undefined) {
+    if (body.name !== null && typeof body.name !== 'string') return { error: 'name must be a string' };
+    fields.name = body.name ? body.name.trim() || null : null;
+  }
+  if (body.dayOfWeek !== undefined) {
+    if (!Number.isInteger(body.dayOfWeek) || body.dayOfWeek < 0 || body.dayOfWeek > 6) {
+      return { error: 'dayOfWeek must be an integer from 0 (Sunday) to 6' };
+    }
+    fields.day_of_week = body.dayOfWeek;
+  }
+  if (body.time !== undefined) {
+    if (typeof body.time !== 'string' || !TIME_PATTERN.test(body.time)) return { error: 'time must be HH:MM' };
+    fields.time = body.time;
+  }
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== 'boolean') return { error: 'enabled must be a boolean' };
+    fields.enabled = body.enabled;
+  }
+  return { fields };
+}
+
+// GET /api/queue?accountId=&postType= - Queued posts and the next free slot times
+router.get('/', async (req, res) => {
+  try {
+    const { accountId, postType = 'new' } = req.query;
+    if (!accountId) return res.status(400).json({ error: 'accountId is required' });
+    if (!QUEUE_POST_TYPES.includes(postType)) return res.status(400).json({ error: 'postType must be new, reply, or quote' });
+    res.json(await getQueue(accountId, postType));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/queue/slots?accountId=&postType= - Weekly slots of an account
+router.get('/slots', async (req, res) => {
+  try {
+    const { accountId, postType } = req.query;
+    if (!accountId) return res.status(400).json({ error: 'accountId is required' });
+    res.json(await listQueueSlots(accountId, postType));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/queue/slots - Add a slot; queued posts shift onto it if it comes earlier
+router.post('/slots', async (req, res) => {
+  try {
+    const { accountId, postType } = req.body;
+    if (!accountId) return res.status(400).json({ error: 'accountId is required' });
+    if (!QUEUE_POST_TYPES.includes(postType)) return res.status(400).json({ error: 'postType must be new, reply, or quote' });
+    if (req.body.dayOfWeek === undefined || req.body.time === undefined) {
+      return res.status(400).json({ error: 'dayOfWeek and time are required' });
+    }
+    const { fields, error: fieldError } = parseSlotFields(req.body);
+    if (fieldError) return res.status(400).json({ error: fieldError });
+
+    res.json(await createQueueSlot({
+      accountId, postType, name: fields.name, dayOfWeek: fields.day_of_week, time: fields.time
+    }));
+  } catch (error) {
+    res.status(error.message.includes('すでに') ? 409 : 500).json({ error: error.message });
+  }
+});
+
+// PUT /api/queue/slots/:id - Rename, move, pause or resume a slot
+router.put('/slots/:id', async (req, res) => {
+  try {
+    const { fields, error: fieldError } = parseSlotFields(req.body);
+    if (fieldError) return res.status(400).json({ error: fieldError });
+    if (Object.keys(fields).length === 0) return res.status(400).json({ error: 'No fields to update' });
+
+    res.json(await updateQueueSlot(req.params.id, fields));
+  } catch (error) {
+    const status = error.message.includes('見つかりません') ? 404 : error.message.includes('すでに') ? 409 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// DELETE /api/queue/slots/:id - Remove a slot; its posts move to the remaining slots
+router.delete('/slots/:id', async (req, res) => {
+  try {
+    await deleteQueueSlot(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(error.message.includes('見つかりません') ? 404 : 500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -2,19 +2,18 @@ const express = require('express');
 const router = express.Router();
 const { getDb } = require('../db/database');
 const defaultPrompts = require('../config/prompts');
+const { getAvailableModels } = require('../services/ai-provider');
+const { savePrompt, listPromptVersions, getPromptVersion } = require('../services/prompt-versions');
+const { diffLines } = require('../utils/line-diff');
+const { isTableNotFound } = require('../utils/db-errors');
+const { isValidTimeZone } = require('../utils/date-utils');
 
-// Helper: detect "table not found" errors from Supabase
-function isTableNotFound(error) {
-  if (!error) return false;
-  const msg = error.message || String(error);
-  return msg.includes('schema cache') || msg.includes('relation') || msg.includes('does not exist');
-}
 
 // Allowed settings keys for PUT /api/settings validation
 const ALLOWED_SETTINGS_KEYS = [
   'system_prompt', 'default_hashtags', 'confirm_before_post',
   'competitor_fetch_interval', 'competitor_max_accounts', 'monthly_budget_usd',
-  'budget_x_api_usd', 'budget_gemini_usd', 'budget_claude_usd'
+  'budget_x_api_usd', 'budget_gemini_usd', 'budget_claude_usd', 'budget_timezone'
 ];
 
 // Valid task types for prompt/model endpoints
@@ -123,6 +122,9 @@ router.put('/', async (req, res) => {
     if (!body || typeof body !== 'object') {
       return res.status(400).json({ error: 'Request body must be a JSON object' });
     }
+    if (body.budget_timezone !== undefined && !isValidTimeZone(body.budget_timezone)) {
+      return res.status(400).json({ error: 'budget_timezone must be an IANA timezone name' });
+    }
 
     // Build rows from allowed keys only
     const rows = [];
@@ -145,12 +147,30 @@ router.put('/', async (req, res) => {
   }
 });
 
+// GET /api/settings/rate-limits - Current X API rate-limit windows (from response headers)
+router.get('/rate-limits', (req, res) => {
+  try {
+    const { getRateLimitStatus } = require('../services/x-api');
+    const limits = getRateLimitStatus(req.query.accountId).map(l => ({
+      endpoint: l.endpoint,
+      account_id: l.accountId,
+      limit: l.limit,
+      remaining: l.remaining,
+      reset_at: new Date(l.resetAt).toISOString(),
+      updated_at: new Date(l.updatedAt).toISOString()
+    }));
+    res.json(limits);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // GET /api/settings/usage - API usage summary (legacy)
 router.get('/usage', async (req, res) => {
   try {
     const sb = getDb();
-    const { getStartOfMonthJST } = require('../utils/date-utils');
-    const startOfMonth = getStartOfMonthJST();
+    const { getBudgetMonthStart } = require('../services/cost-calculator');
+    const startOfMonth = await getBudgetMonthStart();
 
     // Fetch usage rows this month (capped for safety)
     const { data: usageRows, error: usageError } = await sb.from('api_usage_log')
@@ -414,6 +434,8 @@ router.get('/task-models', async (req, res) => {
         preferred_provider: existing?.preferred_provider || defaults.preferred_provider,
         claude_model: existing?.claude_model || defaults.claude_model,
         gemini_model: existing?.gemini_model || defaults.gemini_model,
+        provider_models: existing?.provider_models || {},
+        fallback_chain: existing?.fallback_chain || [],
         effort: existing?.effort || defaults.effort,
         max_tokens: existing?.max_tokens || defaults.max_tokens,
       };
@@ -425,7 +447,25 @@ router.get('/task-models', async (req, res) => {
   }
 });
 
-const TASK_MODEL_FIELDS = ['claude_model', 'gemini_model', 'preferred_provider', 'effort', 'max_tokens'];
+const TASK_MODEL_FIELDS = ['claude_model', 'gemini_model', 'provider_models', 'fallback_chain', 'preferred_provider', 'effort', 'max_tokens'];
+const MAX_FALLBACK_STEPS = 5;
+
+// Columns added after the table was created; dropped from the upsert when
+// an older database does not have them yet
+const OPTIONAL_TASK_MODEL_COLUMNS = ['preferred_provider', 'provider_models', 'fallback_chain'];
+
+function validateFallbackChain(chain) {
+  if (!Array.isArray(chain)) return 'fallback_chain must be an array';
+  if (chain.length > MAX_FALLBACK_STEPS) return `fallback_chain can have at most ${MAX_FALLBACK_STEPS} steps`;
+  const providers = getAvailableModels();
+  for (const step of chain) {
+    if (!step || !providers[step.provider]) return `Unknown AI provider in fallback_chain: ${step && step.provider}`;
+    if (step.model !== undefined && step.model !== null && typeof step.model !== 'string') {
+      return 'fallback_chain model must be a string';
+    }
+  }
+  return null;
+}
 
 function buildTaskModelUpdates(taskType, body) {
   const updates = { task_type: taskType, updated_at: new Date().toISOString() };
@@ -448,6 +488,10 @@ router.put('/task-models/:taskType', async (req, res) => {
     if (!VALID_TASK_TYPES.includes(taskType)) {
       return res.status(400).json({ error: 'Invalid task type' });
     }
+    if (body.fallback_chain !== undefined) {
+      const invalid = validateFallbackChain(body.fallback_chain);
+      if (invalid) return res.status(400).json({ error: invalid });
+    }
     const updates = buildTaskModelUpdates(taskType, body);
     const sb = getDb();
 
@@ -465,14 +509,13 @@ router.put('/task-models/:taskType', async (req, res) => {
     }
 
     // If it fails (e.g. preferred_provider column missing), retry without it
-    if (error && error.message && error.message.includes('preferred_provider')) {
-      delete updates.preferred_provider;
-      const retry = await sb.from('task_model_settings')
-        .upsert(updates, { onConflict: 'task_type' });
-      if (retry.error) throw retry.error;
-    } else if (error) {
-      throw error;
+    let missingColumn;
+    while (error && error.message && (missingColumn = OPTIONAL_TASK_MODEL_COLUMNS.find(c => c in updates && error.message.includes(c)))) {
+      delete updates[missingColumn];
+      ({ error } = await sb.from('task_model_settings')
+        .upsert(updates, { onConflict: 'task_type' }));
     }
+    if (error) throw error;
 
     res.json({ success: true });
   } catch (error) {
@@ -524,7 +567,7 @@ router.get('/prompts/:taskType', async (req, res) => {
   }
 });
 
-// PUT /api/settings/prompts/:taskType - Save custom prompt
+// PUT /api/settings/prompts/:taskType - Save custom prompt as a new version
 router.put('/prompts/:taskType', async (req, res) => {
   try {
     const { taskType } = req.params;
@@ -535,8 +578,10 @@ router.put('/prompts/:taskType', async (req, res) => {
     if (!VALID_TASK_TYPES.includes(taskType)) {
       return res.status(400).json({ error: 'Invalid task type' });
     }
-    const { system_prompt, user_template } = body;
-    const sb = getDb();
+    const { system_prompt, user_template, note } = body;
+    if (note !== undefined && note !== null && typeof note !== 'string') {
+      return res.status(400).json({ error: 'note must be a string' });
+    }
 
     const promptData = {
       task_type: taskType,
@@ -546,22 +591,8 @@ router.put('/prompts/:taskType', async (req, res) => {
       updated_at: new Date().toISOString()
     };
 
-    const { error } = await sb.from('custom_prompts').upsert(
-      promptData,
-      { onConflict: 'task_type' }
-    );
-
-    if (isTableNotFound(error)) {
-      // Fallback: store in settings KV table as JSON
-      await sb.from('settings').upsert(
-        { key: `prompt_${taskType}`, value: JSON.stringify(promptData) },
-        { onConflict: 'key' }
-      );
-      return res.json({ success: true });
-    }
-
-    if (error) throw error;
-    res.json({ success: true });
+    const version = await savePrompt(taskType, promptData, { note: note?.trim() });
+    res.json({ success: true, version: version?.version ?? null });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -571,7 +602,6 @@ router.put('/prompts/:taskType', async (req, res) => {
 router.post('/prompts/:taskType/reset', async (req, res) => {
   try {
     const { taskType } = req.params;
-    const sb = getDb();
 
     const template = defaultPrompts[taskType];
     if (!template) {
@@ -586,25 +616,86 @@ router.post('/prompts/:taskType/reset', async (req, res) => {
       updated_at: new Date().toISOString()
     };
 
-    const { error } = await sb.from('custom_prompts').upsert(
-      promptData,
-      { onConflict: 'task_type' }
-    );
+    const version = await savePrompt(taskType, promptData, { note: 'デフォルトに戻す' });
 
-    if (isTableNotFound(error)) {
-      // Fallback: store in settings KV table
-      await sb.from('settings').upsert(
-        { key: `prompt_${taskType}`, value: JSON.stringify(promptData) },
-        { onConflict: 'key' }
-      );
-    } else if (error) {
-      throw error;
+    res.json({
+      success: true,
+      system_prompt: template.system,
+      user_template: template.userTemplate,
+      version: version?.version ?? null
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/settings/prompts/:taskType/versions - Version history, newest first
+router.get('/prompts/:taskType/versions', async (req, res) => {
+  try {
+    const versions = await listPromptVersions(req.params.taskType);
+    res.json({ versions });
+  } catch (error) {
+    if (isTableNotFound(error)) return res.json({ versions: [] });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/settings/prompts/:taskType/versions/diff?from=N&to=M - Side-by-side
+// line diff of two versions' system prompts
+router.get('/prompts/:taskType/versions/diff', async (req, res) => {
+  try {
+    const { taskType } = req.params;
+    const from = parseInt(req.query.from, 10);
+    const to = parseInt(req.query.to, 10);
+    if (!Number.isInteger(from) || !Number.isInteger(to)) {
+      return res.status(400).json({ error: 'from and to must be version numbers' });
+    }
+
+    const [fromVersion, toVersion] = await Promise.all([
+      getPromptVersion(taskType, from),
+      getPromptVersion(taskType, to)
+    ]);
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({ error: 'Prompt version not found' });
     }
 
+    res.json({
+      from: fromVersion,
+      to: toVersion,
+      rows: diffLines(fromVersion.system_prompt, toVersion.system_prompt)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/settings/prompts/:taskType/versions/:version/rollback - Restore an
+// earlier version. The restored prompt is recorded as a new version.
+router.post('/prompts/:taskType/versions/:version/rollback', async (req, res) => {
+  try {
+    const { taskType } = req.params;
+    const versionNumber = parseInt(req.params.version, 10);
+    const target = Number.isInteger(versionNumber) ? await getPromptVersion(taskType, versionNumber) : null;
+    if (!target) {
+      return res.status(404).json({ error: 'Prompt version not found' });
+    }
+
+    const promptData = {
+      task_type: taskType,
+      system_prompt: target.system_prompt,
+      user_template: target.user_template,
+      is_custom: target.is_custom,
+      updated_at: new Date().toISOString()
+    };
+    const note = req.body?.note?.trim() || `v${target.version} にロールバック`;
+    const version = await savePrompt(taskType, promptData, { note, rolledBackFrom: target.version });
+
     res.json({
       success: true,
-      system_prompt: template.system,
-      user_template: template.userTemplate
+      system_prompt: target.system_prompt,
+      user_template: target.user_template,
+      is_custom: target.is_custom,
+      version: version?.version ?? null
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -1,28 +1,273 @@
 const express = require('express');
 const router = express.Router();
 const { getDb } = require('../db/database');
-const { postTweet } = require('../services/x-api');
+const { postTweet, postThread } = require('../services/x-api');
+const { parseAttachmentIds, validateImage, createAttachment, prepareMediaIds } = require('../services/media');
+const { deletePostFromX, getDeletionHistory } = require('../services/post-deletion');
+const { lintPost, formatViolations, getLintContext } = require('../services/content-linter');
+const { findScheduleConflicts, CONFLICT_WINDOW_MINUTES } = require('../services/content-calendar');
+const { allocateQueueSlots, compactQueue, enqueueDraft } = require('../services/post-queue');
+const { weightedLength, splitIntoTweets, MAX_WEIGHTED_LENGTH } = require('../../shared/tweet-length');
+
+const MAX_THREAD_PARTS = 25;
+
+/**
+ * Validate the optional threadParts body field.
+ * Returns { parts } (null when the post is not a thread) or { error }.
+ */
+function parseThreadParts(threadParts) {
+  if (threadParts === undefined || threadParts === null) return { parts: null };
+  if (!Array.isArray(threadParts)) return { error: 'threadParts must be an array of strings' };
+  const parts = threadParts.map(p => (typeof p === 'string' ? p.trim() : ''));
+  if (parts.some(p => !p)) return { error: 'threadParts must not contain empty parts' };
+  if (parts.length > MAX_THREAD_PARTS) return { error: `threadParts supports up to ${MAX_THREAD_PARTS} parts` };
+  // A single part is just a normal tweet
+  return { parts: parts.length > 1 ? parts : null };
+}
+
+/**
+ * Validate the optional promptVersionId and experimentVariantId body fields:
+ * the prompt version or experiment variant that generated the text (returned
+ * by /api/ai/generate), stored so prompt reports count the post.
+ * Returns { fields } (my_posts columns) or { error }.
+ */
+function parsePromptSource(body) {
+  const fields = {};
+  for (const [key, column] of [['promptVersionId', 'prompt_version_id'], ['experimentVariantId', 'experiment_variant_id']]) {
+    const value = body[key];
+    if (value === undefined || value === null) continue;
+    if (!Number.isInteger(value) || value <= 0) return { error: `${key} must be a positive integer` };
+    fields[column] = value;
+  }
+  return { fields };
+}
+
+/**
+ * Check a post against X's weighted length limit before it is scheduled or
+ * published. With autoSplit an over-limit post (or thread part) is split
+ * into thread parts instead of being rejected.
+ * Returns { text, threadParts } or { error }.
+ */
+function fitToLimit(text, threadParts, { autoSplit = false } = {}) {
+  const parts = threadParts || [text];
+  const index = parts.findIndex(p => weightedLength(p) > MAX_WEIGHTED_LENGTH);
+  if (index === -1) return { text, threadParts };
+
+  if (!autoSplit) {
+    const where = threadParts ? `スレッド${index + 1}件目の` : '';
+    return { error: `${where}文字数が上限を超えています（${weightedLength(parts[index])}/${MAX_WEIGHTED_LENGTH}）` };
+  }
+  const split = parts.flatMap(p => splitIntoTweets(p));
+  if (split.length > MAX_THREAD_PARTS) return { error: `分割すると${MAX_THREAD_PARTS}件を超えます` };
+  return { text: split[0], threadParts: split };
+}
+
+/**
+ * Persist a thread whose immediate publish stopped partway so it can be
+ * retried from the failed part (the retry endpoint re-queues it).
+ */
+async function savePartialThread(sb, row, parts, err) {
+  if (!err.postedIds || err.postedIds.length === 0) return;
+  await sb.from('my_posts').insert({
+    ...row,
+    tweet_id: err.postedIds[0],
+    thread_parts: parts,
+    thread_tweet_ids: err.postedIds,
+    status: 'failed',
+    error_message: `スレッド ${err.failedIndex + 1}/${parts.length} 件目で失敗: ${err.message}`
+  });
+}
+
+/**
+ * Content lint of a manual post against its account's lint policy.
+ * @returns {Promise<{ violations: object[], policy: string }>}
+ */
+async function lintManualPost(accountId, text, threadParts) {
+  const lintContext = await getLintContext(accountId);
+  return {
+    violations: lintPost({ text, threadParts: threadParts || undefined }, lintContext),
+    policy: lintContext.policy
+  };
+}
+
+function sendLintError(res, violations) {
+  return res.status(422).json({
+    error: `文面チェックに違反しています: ${formatViolations(violations)}`,
+    lintViolations: violations
+  });
+}
+
+/**
+ * Refuse a reschedule that lands within CONFLICT_WINDOW_MINUTES of another
+ * scheduled post of the account (or of an immediate auto-post slot) unless
+ * the client confirmed it with allowConflicts. Returns true when the
+ * response has already been sent.
+ */
+async function holdForConflicts(res, { accountId, scheduledAt, excludeId, allowConflicts }) {
+  if (allowConflicts === true) return false;
+  const conflicts = await findScheduleConflicts({ accountId, scheduledAt, excludeId });
+  if (conflicts.length === 0) return false;
+  res.status(409).json({
+    error: `前後${CONFLICT_WINDOW_MINUTES}分以内に他の投稿が${conflicts.length}件あります`,
+    conflicts
+  });
+  return true;
+}
+
+/**
+ * Keep a new post that fails the content lint from being scheduled or
+ * published: refused under the 'block' policy, saved as a draft under
+ * 'draft'. Returns true when the response has already been sent.
+ */
+async function holdForLint(res, sb, row) {
+  const { violations, policy } = await lintManualPost(row.account_id, row.text, row.thread_parts);
+  if (violations.length === 0) return false;
+  if (policy === 'block') {
+    sendLintError(res, violations);
+    return true;
+  }
+  const { data, error } = await sb.from('my_posts')
+    .insert({ ...row, status: 'draft', lint_violations: violations })
+    .select('id').single();
+  if (error) throw error;
+  res.json({
+    id: data.id,
+    status: 'draft',
+    lintViolations: violations,
+    message: `文面チェックに違反したため下書きに保存しました: ${formatViolations(violations)}`
+  });
+  return true;
+}
+
+/**
+ * Lint a draft or scheduled post that the user is publishing, scheduling or
+ * editing. Only the 'block' policy refuses it: under 'draft' the user acting
+ * on the post is the review the policy sends it to. With draftId the
+ * violations are stored on the refused draft. Returns true when the
+ * response has already been sent.
+ */
+async function blockForLint(res, sb, { accountId, text, threadParts, draftId }) {
+  const { violations, policy } = await lintManualPost(accountId, text, threadParts);
+  if (violations.length === 0 || policy !== 'block') return false;
+  if (draftId) await sb.from('my_posts').update({ lint_violations: violations }).eq('id', draftId);
+  sendLintError(res, violations);
+  return true;
+}
+
+/**
+ * When a new post goes out: the explicit scheduledAt, or with queue: true
+ * the next free queue slot of the account for the post type.
+ * Returns { fields } (null when the post is published now) or { error }.
+ */
+async function resolveSchedule({ scheduledAt, queue }, accountId, postType) {
+  if (queue === true) {
+    const [slot] = await allocateQueueSlots(accountId, postType);
+    if (!slot) return { error: 'No queue slots are set up for this account and post type' };
+    return { fields: { scheduled_at: slot.at, queue_slot_id: slot.slotId } };
+  }
+  return { fields: scheduledAt ? { scheduled_at: scheduledAt } : null };
+}
 
-// POST /api/tweets - New tweet
-router.post('/', async (req, res) => {
+// POST /api/tweets/media - Upload an image to attach to a post
+router.post('/media', async (req, res) => {
   try {
-    const { text, accountId, scheduledAt } = req.body;
-    if (!text) return res.status(400).json({ error: 'text is required' });
+    const { accountId, mimeType, data, altText } = req.body;
     if (!accountId) return res.status(400).json({ error: 'accountId is required' });
+    const validationError = validateImage({ mimeType, data, altText });
+    if (validationError) return res.status(400).json({ error: validationError });
+
+    const attachment = await createAttachment({ accountId, mimeType, data, altText });
+    res.json(attachment);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PUT /api/tweets/media/:id - Update alt text of an uploaded image
+router.put('/media/:id', async (req, res) => {
+  try {
+    const { altText } = req.body;
+    if (typeof altText !== 'string') return res.status(400).json({ error: 'altText is required' });
 
     const sb = getDb();
+    const { data, error } = await sb.from('media_attachments')
+      .update({ alt_text: altText || null })
+      .eq('id', req.params.id)
+      .select('id');
+    if (error) throw error;
 
-    if (scheduledAt) {
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/tweets - New tweet (or thread when threadParts is given)
+// autoSplit: true turns an over-limit post into a thread instead of a 422;
+// scheduledAt or queue: true schedules it instead of posting now
+router.post('/', async (req, res) => {
+  try {
+    const { accountId, autoSplit } = req.body;
+    const { parts: requestedParts, error: threadError } = parseThreadParts(req.body.threadParts);
+    if (threadError) return res.status(400).json({ error: threadError });
+    const { ids: attachmentIds, error: attachmentError } = parseAttachmentIds(req.body.attachmentIds);
+    if (attachmentError) return res.status(400).json({ error: attachmentError });
+    const { fields: promptFields, error: promptError } = parsePromptSource(req.body);
+    if (promptError) return res.status(400).json({ error: promptError });
+    if (!(requestedParts ? requestedParts[0] : req.body.text)) return res.status(400).json({ error: 'text is required' });
+    if (!accountId) return res.status(400).json({ error: 'accountId is required' });
+    const { text, threadParts, error: lengthError } = fitToLimit(
+      requestedParts ? requestedParts[0] : req.body.text, requestedParts, { autoSplit: autoSplit === true }
+    );
+    if (lengthError) return res.status(422).json({ error: lengthError });
+
+    const sb = getDb();
+    const mediaFields = attachmentIds.length > 0 ? { attachment_ids: attachmentIds } : {};
+    const lintRow = {
+      account_id: accountId, text, post_type: 'new', ...(threadParts && { thread_parts: threadParts }), ...mediaFields, ...promptFields
+    };
+    if (await holdForLint(res, sb, lintRow)) return;
+
+    const { fields: schedule, error: queueError } = await resolveSchedule(req.body, accountId, 'new');
+    if (queueError) return res.status(409).json({ error: queueError });
+    if (schedule) {
       const { data, error } = await sb.from('my_posts').insert({
-        account_id: accountId, text, post_type: 'new', status: 'scheduled', scheduled_at: scheduledAt
+        account_id: accountId, text, post_type: 'new', status: 'scheduled', ...schedule,
+        ...(threadParts && { thread_parts: threadParts }),
+        ...mediaFields, ...promptFields
       }).select('id').single();
       if (error) throw error;
-      return res.json({ id: data.id, status: 'scheduled', scheduled_at: scheduledAt });
+      return res.json({ id: data.id, status: 'scheduled', scheduled_at: schedule.scheduled_at });
+    }
+
+    const postOptions = { accountId };
+    const mediaIds = await prepareMediaIds(attachmentIds, accountId);
+    if (mediaIds.length > 0) postOptions.mediaIds = mediaIds;
+
+    if (threadParts) {
+      const row = { account_id: accountId, text, post_type: 'new', ...mediaFields, ...promptFields };
+      let xResult;
+      try {
+        xResult = await postThread(threadParts, postOptions);
+      } catch (err) {
+        await savePartialThread(sb, row, threadParts, err);
+        throw err;
+      }
+      const { error } = await sb.from('my_posts').insert({
+        ...row, tweet_id: xResult.data.id, thread_parts: threadParts, thread_tweet_ids: xResult.data.ids,
+        status: 'posted', posted_at: new Date().toISOString()
+      });
+      if (error) throw error;
+      return res.json({ tweet_id: xResult.data.id, tweet_ids: xResult.data.ids, status: 'posted' });
     }
 
-    const xResult = await postTweet(text, { accountId });
+    const xResult = await postTweet(text, postOptions);
     const { error } = await sb.from('my_posts').insert({
-      account_id: accountId, tweet_id: xResult.data.id, text, post_type: 'new', status: 'posted', posted_at: new Date().toISOString()
+      account_id: accountId, tweet_id: xResult.data.id, text, post_type: 'new', status: 'posted', posted_at: new Date().toISOString(),
+      ...mediaFields, ...promptFields
     });
     if (error) throw error;
     res.json({ tweet_id: xResult.data.id, status: 'posted' });
@@ -34,23 +279,31 @@ router.post('/', async (req, res) => {
 // POST /api/tweets/reply - Reply to a tweet
 router.post('/reply', async (req, res) => {
   try {
-    const { text, targetTweetId, accountId, scheduledAt } = req.body;
+    const { text, targetTweetId, accountId } = req.body;
     if (!text || !targetTweetId) return res.status(400).json({ error: 'text and targetTweetId are required' });
     if (!accountId) return res.status(400).json({ error: 'accountId is required' });
+    const { fields: promptFields, error: promptError } = parsePromptSource(req.body);
+    if (promptError) return res.status(400).json({ error: promptError });
+    const { error: lengthError } = fitToLimit(text, null);
+    if (lengthError) return res.status(422).json({ error: lengthError });
 
     const sb = getDb();
+    const row = { account_id: accountId, text, post_type: 'reply', target_tweet_id: targetTweetId, ...promptFields };
+    if (await holdForLint(res, sb, row)) return;
 
-    if (scheduledAt) {
+    const { fields: schedule, error: queueError } = await resolveSchedule(req.body, accountId, 'reply');
+    if (queueError) return res.status(409).json({ error: queueError });
+    if (schedule) {
       const { data, error } = await sb.from('my_posts').insert({
-        account_id: accountId, text, post_type: 'reply', target_tweet_id: targetTweetId, status: 'scheduled', scheduled_at: scheduledAt
+        ...row, status: 'scheduled', ...schedule
       }).select('id').single();
       if (error) throw error;
-      return res.json({ id: data.id, status: 'scheduled', scheduled_at: scheduledAt });
+      return res.json({ id: data.id, status: 'scheduled', scheduled_at: schedule.scheduled_at });
     }
 
     const xResult = await postTweet(text, { accountId, replyToId: targetTweetId });
     const { error } = await sb.from('my_posts').insert({
-      account_id: accountId, tweet_id: xResult.data.id, text, post_type: 'reply', target_tweet_id: targetTweetId, status: 'posted', posted_at: new Date().toISOString()
+      ...row, tweet_id: xResult.data.id, status: 'posted', posted_at: new Date().toISOString()
     });
     if (error) throw error;
     res.json({ tweet_id: xResult.data.id, status: 'posted' });
@@ -62,23 +315,31 @@ router.post('/reply', async (req, res) => {
 // POST /api/tweets/quote - Quote retweet
 router.post('/quote', async (req, res) => {
   try {
-    const { text, targetTweetId, accountId, scheduledAt } = req.body;
+    const { text, targetTweetId, accountId } = req.body;
     if (!text || !targetTweetId) return res.status(400).json({ error: 'text and targetTweetId are required' });
     if (!accountId) return res.status(400).json({ error: 'accountId is required' });
+    const { fields: promptFields, error: promptError } = parsePromptSource(req.body);
+    if (promptError) return res.status(400).json({ error: promptError });
+    const { error: lengthError } = fitToLimit(text, null);
+    if (lengthError) return res.status(422).json({ error: lengthError });
 
     const sb = getDb();
+    const row = { account_id: accountId, text, post_type: 'quote', target_tweet_id: targetTweetId, ...promptFields };
+    if (await holdForLint(res, sb, row)) return;
 
-    if (scheduledAt) {
+    const { fields: schedule, error: queueError } = await resolveSchedule(req.body, accountId, 'quote');
+    if (queueError) return res.status(409).json({ error: queueError });
+    if (schedule) {
       const { data, error } = await sb.from('my_posts').insert({
-        account_id: accountId, text, post_type: 'quote', target_tweet_id: targetTweetId, status: 'scheduled', scheduled_at: scheduledAt
+        ...row, status: 'scheduled', ...schedule
       }).select('id').single();
       if (error) throw error;
-      return res.json({ id: data.id, status: 'scheduled', scheduled_at: scheduledAt });
+      return res.json({ id: data.id, status: 'scheduled', scheduled_at: schedule.scheduled_at });
     }
 
     const xResult = await postTweet(text, { accountId, quoteTweetId: targetTweetId });
     const { error } = await sb.from('my_posts').insert({
-      account_id: accountId, tweet_id: xResult.data.id, text, post_type: 'quote', target_tweet_id: targetTweetId, status: 'posted', posted_at: new Date().toISOString()
+      ...row, tweet_id: xResult.data.id, status: 'posted', posted_at: new Date().toISOString()
     });
     if (error) throw error;
     res.json({ tweet_id: xResult.data.id, status: 'posted' });
@@ -94,7 +355,7 @@ router.get('/scheduled', async (req, res) => {
     const accountId = req.query.accountId;
 
     let query = sb.from('my_posts')
-      .select('*, x_accounts(display_name, handle, color)')
+      .select('*, x_accounts(display_name, handle, color, timezone)')
       .in('status', ['scheduled', 'failed'])
       .order('scheduled_at', { ascending: true });
 
@@ -110,6 +371,7 @@ router.get('/scheduled', async (req, res) => {
       account_name: p.x_accounts?.display_name,
       account_handle: p.x_accounts?.handle,
       account_color: p.x_accounts?.color,
+      account_timezone: p.x_accounts?.timezone,
       x_accounts: undefined
     }));
 
@@ -119,7 +381,7 @@ router.get('/scheduled', async (req, res) => {
   }
 });
 
-// GET /api/tweets/history - Recent posted/failed history
+// GET /api/tweets/history - Recent posted/failed/deleted history
 router.get('/history', async (req, res) => {
   try {
     const sb = getDb();
@@ -127,8 +389,8 @@ router.get('/history', async (req, res) => {
     const limit = Math.min(parseInt(req.query.limit) || 20, 50);
 
     let query = sb.from('my_posts')
-      .select('*, x_accounts(display_name, handle, color)')
-      .in('status', ['posted', 'failed'])
+      .select('*, x_accounts(display_name, handle, color, timezone)')
+      .in('status', ['posted', 'failed', 'deleted'])
       .not('scheduled_at', 'is', null)
       .order('posted_at', { ascending: false, nullsFirst: false })
       .limit(limit);
@@ -145,6 +407,7 @@ router.get('/history', async (req, res) => {
       account_name: p.x_accounts?.display_name,
       account_handle: p.x_accounts?.handle,
       account_color: p.x_accounts?.color,
+      account_timezone: p.x_accounts?.timezone,
       x_accounts: undefined
     }));
 
@@ -154,27 +417,52 @@ router.get('/history', async (req, res) => {
   }
 });
 
-// POST /api/tweets/schedule - Schedule a post
+// POST /api/tweets/schedule - Schedule a post at scheduledAt, or with queue: true in the next free queue slot
+// autoSplit: true turns an over-limit new post into a thread instead of a 422
 router.post('/schedule', async (req, res) => {
   try {
-    const { text, postType, targetTweetId, accountId, scheduledAt } = req.body;
-    if (!text || !scheduledAt) return res.status(400).json({ error: 'text and scheduledAt are required' });
+    const { postType, targetTweetId, accountId, scheduledAt, queue, autoSplit } = req.body;
+    const { parts: requestedParts, error: threadError } = parseThreadParts(req.body.threadParts);
+    if (threadError) return res.status(400).json({ error: threadError });
+    const { ids: attachmentIds, error: attachmentError } = parseAttachmentIds(req.body.attachmentIds);
+    if (attachmentError) return res.status(400).json({ error: attachmentError });
+    const { fields: promptFields, error: promptError } = parsePromptSource(req.body);
+    if (promptError) return res.status(400).json({ error: promptError });
+    if (!(requestedParts ? requestedParts[0] : req.body.text) || (!scheduledAt && queue !== true)) {
+      return res.status(400).json({ error: 'text and scheduledAt (or queue) are required' });
+    }
     if (!accountId) return res.status(400).json({ error: 'accountId is required' });
+    const { text, threadParts, error: lengthError } = fitToLimit(
+      requestedParts ? requestedParts[0] : req.body.text, requestedParts,
+      { autoSplit: autoSplit === true && (postType || 'new') === 'new' }
+    );
+    if (lengthError) return res.status(422).json({ error: lengthError });
 
     const sb = getDb();
-    const { data, error } = await sb.from('my_posts').insert({
+    const row = {
       account_id: accountId, text, post_type: postType || 'new',
-      target_tweet_id: targetTweetId || null, status: 'scheduled', scheduled_at: scheduledAt
+      target_tweet_id: targetTweetId || null,
+      ...(threadParts && { thread_parts: threadParts }),
+      ...(attachmentIds.length > 0 && { attachment_ids: attachmentIds }),
+      ...promptFields
+    };
+    if (await holdForLint(res, sb, row)) return;
+
+    const { fields: schedule, error: queueError } = await resolveSchedule(req.body, accountId, row.post_type);
+    if (queueError) return res.status(409).json({ error: queueError });
+    const { data, error } = await sb.from('my_posts').insert({
+      ...row, status: 'scheduled', ...schedule
     }).select('id').single();
     if (error) throw error;
 
-    res.json({ id: data.id, status: 'scheduled', scheduled_at: scheduledAt });
+    res.json({ id: data.id, status: 'scheduled', scheduled_at: schedule.scheduled_at });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 // DELETE /api/tweets/scheduled/:id - Cancel scheduled or failed post
+// Queued posts behind a cancelled queued post shift up into its slot
 router.delete('/scheduled/:id', async (req, res) => {
   try {
     const sb = getDb();
@@ -182,31 +470,97 @@ router.delete('/scheduled/:id', async (req, res) => {
       .delete()
       .eq('id', req.params.id)
       .in('status', ['scheduled', 'failed'])
-      .select('id');
+      .select('id, account_id, post_type, queue_slot_id');
     if (error) throw error;
 
     if (!data || data.length === 0) {
       return res.status(404).json({ error: 'Scheduled post not found' });
     }
+    if (data[0].queue_slot_id) await compactQueue(data[0].account_id, data[0].post_type);
     res.json({ success: true });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// DELETE /api/tweets/posted/:id - Delete a posted tweet (all thread parts) from X
+// Body: { reason } (optional, kept in the deletion audit trail)
+router.delete('/posted/:id', async (req, res) => {
+  try {
+    const result = await deletePostFromX(req.params.id, {
+      source: 'web',
+      reason: (req.body && req.body.reason) || null
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// GET /api/tweets/deletions - Audit trail of posts deleted from X
+router.get('/deletions', async (req, res) => {
+  try {
+    const deletions = await getDeletionHistory({
+      accountId: req.query.accountId,
+      limit: Math.min(parseInt(req.query.limit) || 50, 200)
+    });
+    res.json(deletions);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // PUT /api/tweets/scheduled/:id - Edit scheduled post
 router.put('/scheduled/:id', async (req, res) => {
   try {
     const { text, scheduledAt } = req.body;
+    const { parts: threadParts, error: threadError } = parseThreadParts(req.body.threadParts);
+    if (threadError) return res.status(400).json({ error: threadError });
+    const { ids: attachmentIds, error: attachmentError } = parseAttachmentIds(req.body.attachmentIds);
+    if (attachmentError) return res.status(400).json({ error: attachmentError });
     const updates = {};
     if (text) updates.text = text;
-    if (scheduledAt) updates.scheduled_at = scheduledAt;
+    if (threadParts) {
+      updates.text = threadParts[0];
+      updates.thread_parts = threadParts;
+    }
+    // An explicit (possibly empty) list replaces the current attachments
+    if (req.body.attachmentIds !== undefined) updates.attachment_ids = attachmentIds;
+    // An explicit time takes the post out of the queue
+    if (scheduledAt) {
+      updates.scheduled_at = scheduledAt;
+      updates.queue_slot_id = null;
+    }
 
     if (Object.keys(updates).length === 0) {
       return res.status(400).json({ error: 'No fields to update' });
     }
 
+    if (updates.text) {
+      const { error: lengthError } = fitToLimit(updates.text, threadParts);
+      if (lengthError) return res.status(422).json({ error: lengthError });
+    }
+
     const sb = getDb();
+    let post = null;
+    if (updates.text || updates.scheduled_at) {
+      ({ data: post } = await sb.from('my_posts')
+        .select('account_id, post_type, queue_slot_id')
+        .eq('id', req.params.id)
+        .eq('status', 'scheduled')
+        .single());
+      if (!post) return res.status(404).json({ error: 'Scheduled post not found' });
+      if (updates.text && await blockForLint(res, sb, {
+        accountId: post.account_id, text: updates.text, threadParts
+      })) return;
+      if (updates.scheduled_at && await holdForConflicts(res, {
+        accountId: post.account_id,
+        scheduledAt: updates.scheduled_at,
+        excludeId: req.params.id,
+        allowConflicts: req.body.allowConflicts
+      })) return;
+    }
+
     const { data, error } = await sb.from('my_posts')
       .update(updates)
       .eq('id', req.params.id)
@@ -217,6 +571,7 @@ router.put('/scheduled/:id', async (req, res) => {
     if (!data || data.length === 0) {
       return res.status(404).json({ error: 'Scheduled post not found' });
     }
+    if (updates.scheduled_at && post.queue_slot_id) await compactQueue(post.account_id, post.post_type);
     res.json({ success: true });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -249,21 +604,33 @@ router.post('/scheduled/:id/retry', async (req, res) => {
 // POST /api/tweets/drafts - Create a draft post
 router.post('/drafts', async (req, res) => {
   try {
-    const { text, postType, targetTweetId, accountId } = req.body;
+    const { postType, targetTweetId, accountId } = req.body;
+    const { parts: threadParts, error: threadError } = parseThreadParts(req.body.threadParts);
+    if (threadError) return res.status(400).json({ error: threadError });
+    const { ids: attachmentIds, error: attachmentError } = parseAttachmentIds(req.body.attachmentIds);
+    if (attachmentError) return res.status(400).json({ error: attachmentError });
+    const { fields: promptFields, error: promptError } = parsePromptSource(req.body);
+    if (promptError) return res.status(400).json({ error: promptError });
+    const text = threadParts ? threadParts[0] : req.body.text;
     if (!text) return res.status(400).json({ error: 'text is required' });
     if (!accountId) return res.status(400).json({ error: 'accountId is required' });
 
     const sb = getDb();
+    const { violations } = await lintManualPost(accountId, text, threadParts);
     const { data, error } = await sb.from('my_posts').insert({
       account_id: accountId,
       text,
       post_type: postType || 'new',
       target_tweet_id: targetTweetId || null,
-      status: 'draft'
+      status: 'draft',
+      ...(threadParts && { thread_parts: threadParts }),
+      ...(attachmentIds.length > 0 && { attachment_ids: attachmentIds }),
+      ...promptFields,
+      lint_violations: violations.length > 0 ? violations : null
     }).select('id').single();
     if (error) throw error;
 
-    res.json({ id: data.id, status: 'draft' });
+    res.json({ id: data.id, status: 'draft', lintViolations: violations });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -327,8 +694,18 @@ router.get('/drafts', async (req, res) => {
 router.put('/drafts/:id', async (req, res) => {
   try {
     const { text, postType } = req.body;
+    const { parts: threadParts, error: threadError } = parseThreadParts(req.body.threadParts);
+    if (threadError) return res.status(400).json({ error: threadError });
+    const { ids: attachmentIds, error: attachmentError } = parseAttachmentIds(req.body.attachmentIds);
+    if (attachmentError) return res.status(400).json({ error: attachmentError });
     const updates = {};
     if (text) updates.text = text;
+    if (threadParts) {
+      updates.text = threadParts[0];
+      updates.thread_parts = threadParts;
+    }
+    // An explicit (possibly empty) list replaces the current attachments
+    if (req.body.attachmentIds !== undefined) updates.attachment_ids = attachmentIds;
     if (postType) {
       const validTypes = ['new', 'reply', 'quote'];
       if (!validTypes.includes(postType)) {
@@ -342,6 +719,18 @@ router.put('/drafts/:id', async (req, res) => {
     }
 
     const sb = getDb();
+    let lintViolations;
+    if (updates.text) {
+      const { data: draft } = await sb.from('my_posts')
+        .select('account_id, thread_parts')
+        .eq('id', req.params.id)
+        .eq('status', 'draft')
+        .single();
+      if (!draft) return res.status(404).json({ error: 'Draft not found' });
+      ({ violations: lintViolations } = await lintManualPost(draft.account_id, updates.text, threadParts || draft.thread_parts));
+      updates.lint_violations = lintViolations.length > 0 ? lintViolations : null;
+    }
+
     const { data, error } = await sb.from('my_posts')
       .update(updates)
       .eq('id', req.params.id)
@@ -352,7 +741,7 @@ router.put('/drafts/:id', async (req, res) => {
     if (!data || data.length === 0) {
       return res.status(404).json({ error: 'Draft not found' });
     }
-    res.json({ success: true });
+    res.json({ success: true, ...(lintViolations && { lintViolations }) });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -390,12 +779,53 @@ router.post('/drafts/:id/post', async (req, res) => {
     if (fetchError) throw fetchError;
     if (!draft) return res.status(404).json({ error: 'Draft not found' });
 
+    const threadParts = Array.isArray(draft.thread_parts) && draft.thread_parts.length > 1 ? draft.thread_parts : null;
+    const { error: lengthError } = fitToLimit(draft.text, threadParts);
+    if (lengthError) return res.status(422).json({ error: lengthError });
+    if (await blockForLint(res, sb, {
+      accountId: draft.account_id, text: draft.text, threadParts: draft.thread_parts, draftId: req.params.id
+    })) return;
+
     const postOptions = { accountId: draft.account_id };
     if (draft.post_type === 'reply' && draft.target_tweet_id) {
       postOptions.replyToId = draft.target_tweet_id;
     } else if (draft.post_type === 'quote' && draft.target_tweet_id) {
       postOptions.quoteTweetId = draft.target_tweet_id;
     }
+    const mediaIds = await prepareMediaIds(draft.attachment_ids, draft.account_id);
+    if (mediaIds.length > 0) postOptions.mediaIds = mediaIds;
+
+    if (threadParts) {
+      let xResult;
+      try {
+        xResult = await postThread(threadParts, postOptions);
+      } catch (err) {
+        // Keep the published parts so a retry resumes from the failed one
+        if (err.postedIds && err.postedIds.length > 0) {
+          await sb.from('my_posts')
+            .update({
+              tweet_id: err.postedIds[0],
+              thread_tweet_ids: err.postedIds,
+              status: 'failed',
+              error_message: `スレッド ${err.failedIndex + 1}/${threadParts.length} 件目で失敗: ${err.message}`
+            })
+            .eq('id', req.params.id);
+        }
+        throw err;
+      }
+
+      const { error: updateError } = await sb.from('my_posts')
+        .update({
+          tweet_id: xResult.data.id,
+          thread_tweet_ids: xResult.data.ids,
+          status: 'posted',
+          posted_at: new Date().toISOString()
+        })
+        .eq('id', req.params.id);
+      if (updateError) throw updateError;
+
+      return res.json({ tweet_id: xResult.data.id, tweet_ids: xResult.data.ids, status: 'posted' });
+    }
 
     const xResult = await postTweet(draft.text, postOptions);
 
@@ -421,10 +851,30 @@ router.post('/drafts/:id/schedule', async (req, res) => {
     if (!scheduledAt) return res.status(400).json({ error: 'scheduledAt is required' });
 
     const sb = getDb();
+    const { data: draft } = await sb.from('my_posts')
+      .select('account_id, text, thread_parts')
+      .eq('id', req.params.id)
+      .eq('status', 'draft')
+      .single();
+    if (!draft) return res.status(404).json({ error: 'Draft not found' });
+
+    const threadParts = Array.isArray(draft.thread_parts) && draft.thread_parts.length > 1 ? draft.thread_parts : null;
+    const { error: lengthError } = fitToLimit(draft.text, threadParts);
+    if (lengthError) return res.status(422).json({ error: lengthError });
+    if (await blockForLint(res, sb, {
+      accountId: draft.account_id, text: draft.text, threadParts: draft.thread_parts, draftId: req.params.id
+    })) return;
+    if (await holdForConflicts(res, {
+      accountId: draft.account_id,
+      scheduledAt,
+      allowConflicts: req.body.allowConflicts
+    })) return;
+
     const { data, error } = await sb.from('my_posts')
       .update({
         status: 'scheduled',
-        scheduled_at: scheduledAt
+        scheduled_at: scheduledAt,
+        lint_violations: null
       })
       .eq('id', req.params.id)
       .eq('status', 'draft')
@@ -440,4 +890,30 @@ router.post('/drafts/:id/schedule', async (req, res) => {
   }
 });
 
+// POST /api/tweets/drafts/:id/queue - Schedule a draft into the next free queue slot
+router.post('/drafts/:id/queue', async (req, res) => {
+  try {
+    const sb = getDb();
+    const { data: draft } = await sb.from('my_posts')
+      .select('id, account_id, post_type, text, thread_parts')
+      .eq('id', req.params.id)
+      .eq('status', 'draft')
+      .single();
+    if (!draft) return res.status(404).json({ error: 'Draft not found' });
+
+    const threadParts = Array.isArray(draft.thread_parts) && draft.thread_parts.length > 1 ? draft.thread_parts : null;
+    const { error: lengthError } = fitToLimit(draft.text, threadParts);
+    if (lengthError) return res.status(422).json({ error: lengthError });
+    if (await blockForLint(res, sb, {
+      accountId: draft.account_id, text: draft.text, threadParts: draft.thread_parts, draftId: req.params.id
+    })) return;
+
+    const slot = await enqueueDraft(draft);
+    res.json({ success: true, status: 'scheduled', scheduled_at: slot.at, slot_name: slot.name });
+  } catch (error) {
+    const status = error.message.includes('投稿枠') ? 409 : error.message.includes('見つかりません') ? 404 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
 module.exports = router;
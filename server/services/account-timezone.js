@@ -0,0 +1,21 @@
+const { getDb } = require('../db/database');
+const { resolveTimeZone, DEFAULT_TIMEZONE } = require('../utils/date-utils');
+
+/**
+ * IANA timezone an account's schedules and reports are read in.
+ * Falls back to Asia/Tokyo when there is no account or the stored name is
+ * not a valid timezone.
+ * @param {string|number} [accountId]
+ * @returns {Promise<string>}
+ */
+async function getAccountTimeZone(accountId) {
+  if (!accountId) return DEFAULT_TIMEZONE;
+  const sb = getDb();
+  const { data } = await sb.from('x_accounts')
+    .select('timezone')
+    .eq('id', accountId)
+    .single();
+  return resolveTimeZone(data?.timezone);
+}
+
+module.exports = { getAccountTimeZone };
@@ -2,6 +2,14 @@ const { getDb } = require('../db/database');
 const { logApiUsage } = require('./x-api');
 const { logDetailedUsage, checkBudgetStatus } = require('./cost-calculator');
 const defaultPrompts = require('../config/prompts');
+const modelPricing = require('../config/model-pricing');
+const outputSchemas = require('../config/output-schemas');
+const { validateSchema, parseJsonResponse } = require('../utils/schema-validator');
+const { logWarn, logError } = require('./app-logger');
+const { getCurrentPromptVersionId } = require('./prompt-versions');
+const { assignExperimentVariant, getExperimentVariant } = require('./prompt-experiments');
+const { getPersona, renderPersona } = require('./persona');
+const { weightedLength } = require('../../shared/tweet-length');
 
 const MAX_RETRIES = 3;
 const INITIAL_BACKOFF_MS = 1000;
@@ -15,18 +23,28 @@ async function sleep(ms) {
 // tweet_generation) enough room while leaving a 20-30 s buffer.
 const FETCH_TIMEOUT_MS = 90_000;
 
-async function fetchWithRetry(url, options, { maxRetries = MAX_RETRIES, initialBackoffMs = INITIAL_BACKOFF_MS, timeoutMs = FETCH_TIMEOUT_MS } = {}) {
+/**
+ * fetch() with a per-attempt timeout and retries on 429. `signal` lets the
+ * caller cancel the request: it aborts the attempt in flight and, for a
+ * streamed response, the reading of the body.
+ */
+async function fetchWithRetry(url, options, { maxRetries = MAX_RETRIES, initialBackoffMs = INITIAL_BACKOFF_MS, timeoutMs = FETCH_TIMEOUT_MS, signal } = {}) {
   let lastError;
   for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    if (signal?.aborted) throw new Error('AI APIへのリクエストを中止しました');
     // AbortController ensures we fail fast rather than letting Vercel 504 us.
     const controller = new AbortController();
     const timer = setTimeout(() => controller.abort(), timeoutMs);
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
     let response;
     try {
       response = await fetch(url, { ...options, signal: controller.signal });
     } catch (err) {
       clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
       if (err.name === 'AbortError') {
+        if (signal?.aborted) throw new Error('AI APIへのリクエストを中止しました');
         // Don't retry timeout errors.  If the API couldn't respond within the
         // timeout window, retrying immediately is unlikely to help and risks
         // exceeding the route-level timeout budget (100 s for cron / manual
@@ -38,6 +56,8 @@ async function fetchWithRetry(url, options, { maxRetries = MAX_RETRIES, initialB
     }
     clearTimeout(timer);
 
+    // The listener stays attached to a successful response so the body can be aborted
+    if (!response.ok) signal?.removeEventListener('abort', onAbort);
     if (response.ok) return response;
 
     const errorBody = await response.json().catch(() => ({}));
@@ -59,6 +79,48 @@ async function fetchWithRetry(url, options, { maxRetries = MAX_RETRIES, initialB
   throw new Error(`APIレート制限に達しました。しばらく時間をおいてから再度お試しください。(HTTP 429)`);
 }
 
+/**
+ * Read a server-sent event stream and call onEvent with each parsed `data:`
+ * payload. The OpenAI-style "[DONE]" terminator ends the stream.
+ */
+async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const handleLine = (line) => {
+    if (!line.startsWith('data:')) return false;
+    const payload = line.slice(5).trim();
+    if (!payload) return false;
+    if (payload === '[DONE]') return true;
+    let event;
+    try {
+      event = JSON.parse(payload);
+    } catch (e) {
+      console.warn(`readEventStream: skipping unparseable event: ${payload.slice(0, 200)}`);
+      return false;
+    }
+    onEvent(event);
+    return false;
+  };
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (handleLine(line)) {
+        await reader.cancel().catch(() => {});
+        return;
+      }
+    }
+  }
+  buffer += decoder.decode();
+  if (buffer) handleLine(buffer);
+}
+
 const CLAUDE_MODELS = [
   { id: 'claude-opus-4-6', label: 'Claude Opus 4.6' },
   { id: 'claude-sonnet-4-5-20250929', label: 'Claude Sonnet 4.5' },
@@ -93,51 +155,270 @@ const DEFAULT_MAX_TOKENS_MAP = {
   performance_summary: 1024
 };
 
-function getAvailableModels() {
-  return {
-    claude: { label: 'Claude (Anthropic)', models: CLAUDE_MODELS },
-    gemini: { label: 'Gemini (Google)', models: GEMINI_MODELS },
-  };
+// Columns that held the per-provider model before provider_models existed
+const LEGACY_MODEL_COLUMNS = {
+  claude: 'claude_model',
+  gemini: 'gemini_model'
+};
+
+const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+// Embedding models used for near-duplicate detection (services/duplicate-detector.js)
+const GEMINI_EMBEDDING_MODEL = 'text-embedding-004';
+const OPENAI_EMBEDDING_MODEL = 'text-embedding-3-small';
+// Embeddings are a pre-check, not the generation itself: fail fast and fall back
+const EMBED_FETCH_OPTIONS = { maxRetries: 1, timeoutMs: 15_000 };
+
+function getOpenAIBaseUrl() {
+  return (process.env.OPENAI_BASE_URL || DEFAULT_OPENAI_BASE_URL).replace(/\/+$/, '');
+}
+
+/**
+ * Models offered for the OpenAI-compatible provider.
+ * OPENAI_MODELS (comma separated) overrides the list, which is how models
+ * served by Ollama / llama.cpp are exposed; otherwise the priced OpenAI
+ * models are offered.
+ */
+function getOpenAIModels() {
+  const configured = (process.env.OPENAI_MODELS || '').split(',').map(m => m.trim()).filter(Boolean);
+  if (configured.length > 0) {
+    return configured.map(id => ({ id, label: modelPricing.openai?.[id]?.label || id }));
+  }
+  return Object.entries(modelPricing.openai || {})
+    .filter(([, pricing]) => !pricing.embedding)
+    .map(([id, pricing]) => ({ id, label: pricing.label }));
+}
+
+// Longest slice of the invalid response echoed back in a repair request
+const REPAIR_ECHO_MAX_CHARS = 4000;
+
+function buildRepairPrompt(previousText, errors, schema) {
+  return `前回の出力は指定のJSON形式の検証に失敗しました。
+
+# 検証エラー
+${errors.map(e => `- ${e}`).join('\n')}
+
+# 前回の出力
+${(previousText || '').slice(0, REPAIR_ECHO_MAX_CHARS)}
+
+# 指示
+前回の内容を活かしたまま検証エラーを修正し、次のJSON Schemaに従うJSONだけを出力してください。コードフェンスや説明文は付けないこと。
+${JSON.stringify(schema)}`;
+}
+
+const STREAMED_BODY_RE = /"body"\s*:\s*"((?:[^"\\]|\\.)*)"/g;
+const STREAMED_LABEL_RE = /"label"\s*:\s*"((?:[^"\\]|\\.)*)"/g;
+
+function decodeJsonString(raw) {
+  try {
+    return JSON.parse(`"${raw}"`);
+  } catch (e) {
+    return raw;
+  }
+}
+
+/**
+ * Pull the variants whose "body" string has fully arrived out of a partial
+ * JSON response, so the UI can show them before the whole object parses.
+ * Each body is paired with the last "label" seen since the previous body.
+ */
+function extractStreamedVariants(text) {
+  const variants = [];
+  let prevEnd = 0;
+  for (const match of text.matchAll(STREAMED_BODY_RE)) {
+    let label = null;
+    for (const l of text.slice(prevEnd, match.index).matchAll(STREAMED_LABEL_RE)) {
+      label = decodeJsonString(l[1]);
+    }
+    variants.push({ label, body: decodeJsonString(match[1]) });
+    prevEnd = match.index + match[0].length;
+  }
+  return variants;
 }
 
 class AIProvider {
+  /**
+   * Generate candidates with the subclass's generateOnce() and validate them
+   * against the task's output schema (config/output-schemas.js).
+   * When no variant passes, the model gets one repair request carrying the
+   * validation errors; if that fails too the result has no candidates and
+   * debugInfo explains why.
+   */
+  async generateTweets(theme, options = {}) {
+    const taskType = options.taskType || this.inferTaskType(options.postType);
+    const schema = this.getOutputSchema(taskType, options);
+    const first = await this.generateOnce(theme, { ...options, taskType });
+    if (!schema || first.candidates.length > 0) return this.finalizeResult(first);
+
+    return this.finalizeResult(await this.repair(theme, { ...options, taskType }, schema, first));
+  }
+
+  /**
+   * Streaming counterpart of generateTweets(). onEvent receives
+   * `{ type: 'delta', text }` for each chunk of model output and
+   * `{ type: 'variant', index, variant }` as soon as a variant's body has
+   * been streamed in full. A repair request is not streamed; it is announced
+   * with `{ type: 'repair', errors }`. Resolves with the same result as
+   * generateTweets().
+   */
+  async streamTweets(theme, options = {}, onEvent = () => {}) {
+    const taskType = options.taskType || this.inferTaskType(options.postType);
+    const schema = this.getOutputSchema(taskType, options);
+    let text = '';
+    let emitted = 0;
+
+    const first = await this.streamOnce(theme, { ...options, taskType }, (chunk) => {
+      text += chunk;
+      onEvent({ type: 'delta', text: chunk });
+      const variants = extractStreamedVariants(text);
+      for (; emitted < variants.length; emitted++) {
+        onEvent({ type: 'variant', index: emitted, variant: variants[emitted] });
+      }
+    });
+    if (!schema || first.candidates.length > 0) return this.finalizeResult(first);
+
+    onEvent({ type: 'repair', errors: first.validationErrors });
+    return this.finalizeResult(await this.repair(theme, { ...options, taskType }, schema, first));
+  }
+
+  /**
+   * Providers without a streaming API answer in one chunk.
+   * @param {function(string)} onText - receives each chunk of response text
+   */
+  async streamOnce(theme, options = {}, onText = () => {}) {
+    const result = await this.generateOnce(theme, options);
+    if (result.responseText) onText(result.responseText);
+    return result;
+  }
+
+  // One repair request carrying the validation errors of the first attempt
+  async repair(theme, options, schema, first) {
+    console.warn(`${first.provider}/${first.model}: output failed schema validation, requesting repair: ${first.validationErrors.join('; ')}`);
+    const repaired = await this.generateOnce(theme, {
+      ...options,
+      model: first.model,
+      experimentVariantId: first.experimentVariantId,
+      customPrompt: buildRepairPrompt(first.responseText, first.validationErrors, schema)
+    });
+
+    if (repaired.candidates.length > 0) {
+      repaired.repaired = true;
+    } else {
+      repaired.debugInfo = `スキーマ検証エラー（修正再試行後も失敗）: ${repaired.validationErrors.slice(0, 3).join(' / ')}`;
+    }
+    return repaired;
+  }
+
+  getOutputSchema(taskType, options = {}) {
+    if (options.outputSchema === false) return null;
+    return outputSchemas[taskType] || null;
+  }
+
+  // The raw response is only needed for a repair request
+  finalizeResult(result) {
+    const { responseText, ...rest } = result;
+    return rest;
+  }
+
+  /**
+   * Turn response text into candidates. Task types with an output schema
+   * are parsed strictly: variants failing validation are dropped and the
+   * reasons returned in validationErrors. Others use parseCandidates().
+   * @returns {{ candidates: object[], validationErrors: string[]|null }}
+   */
+  extractCandidates(text, taskType, options = {}) {
+    const schema = this.getOutputSchema(taskType, options);
+    if (!schema) return { candidates: this.parseCandidates(text), validationErrors: null };
+
+    const { data, error } = parseJsonResponse(text);
+    if (error) return { candidates: [], validationErrors: [error] };
+
+    const errors = validateSchema(data, schema);
+    if (errors.length === 0) return { candidates: this._mapVariants(data.variants), validationErrors: null };
+    if (!Array.isArray(data.variants)) return { candidates: [], validationErrors: errors };
+
+    // Keep the variants that passed; each error path names its variant
+    const invalid = new Set();
+    for (const e of errors) {
+      const m = e.match(/^\$\.variants\[(\d+)\]/);
+      if (m) invalid.add(Number(m[1]));
+    }
+    const valid = data.variants.filter((_, i) => !invalid.has(i));
+    return { candidates: this._mapVariants(valid), validationErrors: errors };
+  }
+
+  /**
+   * System prompt for one generation plus where it came from. While a
+   * prompt experiment is running for the task type, a variant is assigned
+   * here and replaces the task's prompt; options.experimentVariantId keeps
+   * a follow-up request (repair) on the variant already assigned.
+   * options.experiment === false keeps generations that never become a post
+   * (feedback rewrites, rule extraction) out of the experiment.
+   * @returns {Promise<{ systemPrompt: string, promptMeta: { promptVersionId: number|null, experimentVariantId: number|null } }>}
+   */
+  async resolveSystemPrompt(options = {}) {
+    const { taskType } = options;
+    if (taskType && options.experiment !== false) {
+      const variant = options.experimentVariantId
+        ? await getExperimentVariant(options.experimentVariantId)
+        : await assignExperimentVariant(taskType);
+      if (variant) {
+        return {
+          systemPrompt: await this.applyAccountContext(variant.system_prompt, options.accountId),
+          promptMeta: { promptVersionId: null, experimentVariantId: variant.id }
+        };
+      }
+    }
+
+    const [systemPrompt, promptVersionId] = await Promise.all([
+      this.getSystemPrompt(options),
+      taskType ? getCurrentPromptVersionId(taskType) : null
+    ]);
+    return { systemPrompt, promptMeta: { promptVersionId, experimentVariantId: null } };
+  }
+
+  /**
+   * Fill the account's persona into a prompt and append its feedback rules.
+   * A pending template promise is awaited alongside the account lookups.
+   */
+  async applyAccountContext(template, accountId) {
+    const [prompt, persona, feedbackBlock] = await Promise.all([
+      template,
+      getPersona(accountId),
+      this.buildFeedbackRulesBlock(accountId)
+    ]);
+    const rendered = renderPersona(prompt, persona);
+    return feedbackBlock ? `${rendered}\n\n${feedbackBlock}` : rendered;
+  }
+
   async getSystemPrompt(options = {}) {
-    const sb = getDb();
+    // Persona and feedback rules are fetched in parallel with prompt resolution
+    return this.applyAccountContext(this.getSystemPromptTemplate(options), options.accountId);
+  }
 
-    // Fetch feedback rules in parallel with prompt resolution (always needed)
-    const feedbackPromise = this.buildFeedbackRulesBlock(options.accountId);
+  async getSystemPromptTemplate(options = {}) {
+    const sb = getDb();
 
     // Check for custom prompt by task type first
     if (options.taskType) {
-      const [{ data: custom }, feedbackBlock] = await Promise.all([
-        sb.from('custom_prompts')
-          .select('system_prompt')
-          .eq('task_type', options.taskType)
-          .eq('is_custom', true)
-          .single(),
-        feedbackPromise
-      ]);
-      if (custom && custom.system_prompt) {
-        return feedbackBlock ? `${custom.system_prompt}\n\n${feedbackBlock}` : custom.system_prompt;
-      }
+      const { data: custom } = await sb.from('custom_prompts')
+        .select('system_prompt')
+        .eq('task_type', options.taskType)
+        .eq('is_custom', true)
+        .single();
+      if (custom && custom.system_prompt) return custom.system_prompt;
 
       // Check for task-specific default prompt
-      if (defaultPrompts[options.taskType]) {
-        let prompt = defaultPrompts[options.taskType].system;
-        return feedbackBlock ? `${prompt}\n\n${feedbackBlock}` : prompt;
-      }
+      if (defaultPrompts[options.taskType]) return defaultPrompts[options.taskType].system;
     }
 
     // Fall back to the global system prompt from settings
-    const [{ data }, feedbackBlock] = await Promise.all([
-      sb.from('settings').select('value').eq('key', 'system_prompt').single(),
-      feedbackPromise
-    ]);
+    const { data } = await sb.from('settings').select('value').eq('key', 'system_prompt').single();
     let prompt = data ? data.value : '';
     prompt = prompt.replace('{postType}', options.postType || '新規ツイート');
     prompt = prompt.replace('{userInput}', options.theme || '');
     prompt = prompt.replace('{competitorContext}', options.competitorContext || '');
-    return feedbackBlock ? `${prompt}\n\n${feedbackBlock}` : prompt;
+    return prompt;
   }
 
   async buildFeedbackRulesBlock(accountId) {
@@ -189,7 +470,8 @@ class AIProvider {
     if (data) {
       return {
         preferredProvider: data.preferred_provider || null,
-        model: providerName === 'claude' ? data.claude_model : data.gemini_model,
+        model: data.provider_models?.[providerName] || data[LEGACY_MODEL_COLUMNS[providerName]] || null,
+        fallbackChain: Array.isArray(data.fallback_chain) ? data.fallback_chain : [],
         effort: data.effort || DEFAULT_EFFORT_MAP[taskType] || 'medium',
         maxTokens: data.max_tokens || DEFAULT_MAX_TOKENS_MAP[taskType] || 512
       };
@@ -198,6 +480,7 @@ class AIProvider {
     return {
       preferredProvider: null,
       model: null,
+      fallbackChain: [],
       effort: DEFAULT_EFFORT_MAP[taskType] || 'medium',
       maxTokens: DEFAULT_MAX_TOKENS_MAP[taskType] || 512
     };
@@ -214,6 +497,23 @@ class AIProvider {
     };
   }
 
+  /**
+   * Embedding vectors for texts, in order. Returns null when the provider
+   * has no embeddings API; callers then fall back to a local similarity.
+   */
+  async embed(texts, options = {}) {
+    return null;
+  }
+
+  /**
+   * Identifies the vectors embed() returns (provider and model), so they can
+   * be cached and compared only with vectors of the same model. null when
+   * the provider has no embeddings API.
+   */
+  embeddingModel() {
+    return null;
+  }
+
   inferTaskType(postType) {
     switch (postType) {
       case 'quote': return 'quote_rt_generation';
@@ -261,7 +561,7 @@ class AIProvider {
       return bodies.slice(0, 3).map((body, i) => ({
         text: body,
         label: labels[i] || '',
-        charCount: body.length,
+        charCount: weightedLength(body),
         hashtags: []
       }));
     }
@@ -288,21 +588,34 @@ class AIProvider {
     return candidates.slice(0, 3);
   }
 
+  /** Map parsed "variants" entries to candidate objects (at most 3). */
+  _mapVariants(variants) {
+    return variants.slice(0, 3).map(v => {
+      // Thread variants carry their parts in "thread"; body is the first part
+      const thread = Array.isArray(v.thread)
+        ? v.thread.filter(p => typeof p === 'string' && p.trim()).map(p => p.trim())
+        : [];
+      return {
+        text: v.body || v.text || thread[0] || '',
+        label: v.label || '',
+        // The model's own char_count is a naive guess; count the way X does
+        charCount: weightedLength(v.body || v.text || thread[0] || ''),
+        hashtags: [],
+        openingPattern: v.opening_pattern || null,
+        developmentPattern: v.development_pattern || null,
+        closingPattern: v.closing_pattern || null,
+        expressions: v.expressions || [],
+        factCheck: v.fact_check || null,
+        threadParts: thread.length > 1 ? thread : null
+      };
+    });
+  }
+
   /** Try to parse a JSON string containing a "variants" array. */
   _tryParseVariantsJson(text) {
     const _extractVariants = (parsed) => {
       if (parsed.variants && Array.isArray(parsed.variants) && parsed.variants.length > 0) {
-        return parsed.variants.slice(0, 3).map(v => ({
-          text: v.body || v.text || '',
-          label: v.label || '',
-          charCount: v.char_count || (v.body || v.text || '').length,
-          hashtags: [],
-          openingPattern: v.opening_pattern || null,
-          developmentPattern: v.development_pattern || null,
-          closingPattern: v.closing_pattern || null,
-          expressions: v.expressions || [],
-          factCheck: v.fact_check || null
-        }));
+        return this._mapVariants(parsed.variants);
       }
       return null;
     };
@@ -364,17 +677,21 @@ class ClaudeProvider extends AIProvider {
     return hasThinking && !hasText;
   }
 
-  async generateTweets(theme, options = {}) {
+  /**
+   * Resolve settings, prompts and budget, and build the Messages API request.
+   * Shared by generateOnce() and streamOnce().
+   */
+  async _prepareRequest(theme, options) {
     if (!process.env.CLAUDE_API_KEY) throw new Error('CLAUDE_API_KEY environment variable is not set');
 
     // Determine task type for model selection
     const taskType = options.taskType || this.inferTaskType(options.postType);
 
     // Fetch all pre-generation data in parallel (all independent DB reads)
-    const [costSettings, taskSettings, systemPrompt] = await Promise.all([
+    const [costSettings, taskSettings, { systemPrompt, promptMeta }] = await Promise.all([
       this.getCostSettings(),
       this.getTaskModelSettings(taskType, 'claude'),
-      this.getSystemPrompt({ ...options, theme, taskType })
+      this.resolveSystemPrompt({ ...options, theme, taskType })
     ]);
 
     // Check budget (uses costSettings from parallel fetch)
@@ -429,8 +746,14 @@ class ClaudeProvider extends AIProvider {
       headers['anthropic-beta'] = 'prompt-caching-2024-07-31';
     }
 
+    return { taskType, model, maxTokens, body, headers, thinkingConfig, promptMeta };
+  }
+
+  async generateOnce(theme, options = {}) {
+    const { taskType, model, maxTokens, body, headers, thinkingConfig, promptMeta } = await this._prepareRequest(theme, options);
+
     const callStart = Date.now();
-    let data = await this._callClaudeAPI(headers, body);
+    let data = await this._callClaudeAPI(headers, body, undefined, options.signal);
 
     // If the model exhausted max_tokens on thinking with no text output,
     // retry once with thinking disabled to guarantee text generation.
@@ -443,12 +766,60 @@ class ClaudeProvider extends AIProvider {
         const retryBody = { ...body };
         delete retryBody.thinking;
         retryBody.max_tokens = maxTokens;
-        data = await this._callClaudeAPI(headers, retryBody, remaining);
+        data = await this._callClaudeAPI(headers, retryBody, remaining, options.signal);
       } else {
         console.warn(`ClaudeProvider: thinking-only response detected but only ${Math.round(remaining / 1000)}s remaining. Skipping retry.`);
       }
     }
 
+    return this._buildResult(data, { taskType, model, options, promptMeta });
+  }
+
+  /**
+   * Stream a Messages API response, passing each text delta to onText.
+   * Thinking deltas are not forwarded. Usage is logged once the stream ends.
+   */
+  async streamOnce(theme, options = {}, onText = () => {}) {
+    const { taskType, model, body, headers, promptMeta } = await this._prepareRequest(theme, options);
+
+    const response = await fetchWithRetry('https://api.anthropic.com/v1/messages', {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ ...body, stream: true })
+    }, { signal: options.signal });
+
+    // Rebuild a Messages API response from the stream events
+    const data = { id: null, content: [], usage: {}, stop_reason: null };
+    await readEventStream(response, (event) => {
+      switch (event.type) {
+        case 'message_start':
+          data.id = event.message?.id || null;
+          Object.assign(data.usage, event.message?.usage || {});
+          break;
+        case 'content_block_start':
+          data.content[event.index] = event.content_block?.type === 'text'
+            ? { type: 'text', text: '' }
+            : { type: event.content_block?.type };
+          break;
+        case 'content_block_delta':
+          if (event.delta?.type === 'text_delta' && data.content[event.index]) {
+            data.content[event.index].text += event.delta.text;
+            onText(event.delta.text);
+          }
+          break;
+        case 'message_delta':
+          Object.assign(data.usage, event.usage || {});
+          data.stop_reason = event.delta?.stop_reason || data.stop_reason;
+          break;
+        case 'error':
+          throw new Error(`Claude API error: ${event.error?.message || 'stream error'}`);
+      }
+    });
+    return this._buildResult(data, { taskType, model, options, promptMeta });
+  }
+
+  /** Log usage for a Messages API response and turn it into a result. */
+  async _buildResult(data, { taskType, model, options, promptMeta }) {
     // Log detailed usage
     const usage = data.usage || {};
     await logDetailedUsage({
@@ -481,7 +852,7 @@ class ClaudeProvider extends AIProvider {
     }
 
     // Debug: log when response text is empty or candidates can't be parsed
-    const candidates = this.parseCandidates(responseText);
+    const { candidates, validationErrors } = this.extractCandidates(responseText, taskType, options);
     let debugInfo = null;
     if (candidates.length === 0) {
       const contentTypes = Array.isArray(data.content) ? data.content.map(b => b.type).join(',') : 'no-content';
@@ -500,21 +871,25 @@ class ClaudeProvider extends AIProvider {
         cacheWriteTokens: usage.cache_creation_input_tokens || 0
       },
       candidates,
-      debugInfo
+      validationErrors,
+      debugInfo,
+      ...promptMeta,
+      responseText
     };
   }
 
   /**
    * Make a single Claude API call and parse/validate the response.
    * @param {number} [timeoutMs] - Optional custom timeout for this call.
+   * @param {AbortSignal} [signal] - Cancels the call.
    */
-  async _callClaudeAPI(headers, body, timeoutMs) {
+  async _callClaudeAPI(headers, body, timeoutMs, signal) {
     const fetchOptions = {
       method: 'POST',
       headers,
       body: JSON.stringify(body)
     };
-    const retryOptions = timeoutMs ? { timeoutMs } : {};
+    const retryOptions = { ...(timeoutMs ? { timeoutMs } : {}), signal };
     const response = await fetchWithRetry('https://api.anthropic.com/v1/messages', fetchOptions, retryOptions);
 
     // Parse response as text first to handle non-JSON error responses gracefully
@@ -537,16 +912,20 @@ class ClaudeProvider extends AIProvider {
 }
 
 class GeminiProvider extends AIProvider {
-  async generateTweets(theme, options = {}) {
+  /**
+   * Resolve settings, prompts and budget for a Gemini request.
+   * Shared by generateOnce() and streamOnce().
+   */
+  async _prepareRequest(theme, options) {
     if (!process.env.GEMINI_API_KEY) throw new Error('GEMINI_API_KEY environment variable is not set');
 
     const taskType = options.taskType || this.inferTaskType(options.postType);
 
     // Fetch all pre-generation data in parallel (all independent DB reads)
-    const [costSettings, taskSettings, systemPrompt] = await Promise.all([
+    const [costSettings, taskSettings, { systemPrompt, promptMeta }] = await Promise.all([
       this.getCostSettings(),
       this.getTaskModelSettings(taskType, 'gemini'),
-      this.getSystemPrompt({ ...options, theme, taskType })
+      this.resolveSystemPrompt({ ...options, theme, taskType })
     ]);
 
     // Check budget (uses costSettings from parallel fetch)
@@ -562,19 +941,89 @@ class GeminiProvider extends AIProvider {
     const userPrompt = options.customPrompt || `テーマ「${theme}」でツイートを3パターン作成してください。`;
     const fullPrompt = `${systemPrompt}\n\n${userPrompt}`;
 
+    const body = {
+      contents: [{ parts: [{ text: fullPrompt }] }],
+      generationConfig: { maxOutputTokens: maxTokens }
+    };
+
+    return { taskType, model, body, promptMeta };
+  }
+
+  async generateOnce(theme, options = {}) {
+    const { taskType, model, body, promptMeta } = await this._prepareRequest(theme, options);
     const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${process.env.GEMINI_API_KEY}`;
 
+    const response = await fetchWithRetry(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    }, { signal: options.signal });
+
+    const data = await response.json();
+    return this._buildResult(data, { taskType, model, options, promptMeta });
+  }
+
+  /** Stream via streamGenerateContent, passing each text chunk to onText. */
+  async streamOnce(theme, options = {}, onText = () => {}) {
+    const { taskType, model, body, promptMeta } = await this._prepareRequest(theme, options);
+    const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:streamGenerateContent?alt=sse&key=${process.env.GEMINI_API_KEY}`;
+
+    const response = await fetchWithRetry(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    }, { signal: options.signal });
+
+    // Each chunk carries a text fragment; usageMetadata is cumulative
+    let text = '';
+    let usageMetadata = {};
+    await readEventStream(response, (chunk) => {
+      const piece = (chunk.candidates?.[0]?.content?.parts || []).map(p => p.text || '').join('');
+      if (piece) {
+        text += piece;
+        onText(piece);
+      }
+      if (chunk.usageMetadata) usageMetadata = chunk.usageMetadata;
+    });
+
+    const data = { candidates: [{ content: { parts: [{ text }] } }], usageMetadata };
+    return this._buildResult(data, { taskType, model, options, promptMeta });
+  }
+
+  embeddingModel() {
+    return `gemini/${process.env.GEMINI_EMBEDDING_MODEL || GEMINI_EMBEDDING_MODEL}`;
+  }
+
+  /**
+   * Embeddings via batchEmbedContents. The response carries no token counts,
+   * so the request is logged without tokens (text-embedding-004 is free).
+   */
+  async embed(texts, options = {}) {
+    if (!process.env.GEMINI_API_KEY) throw new Error('GEMINI_API_KEY environment variable is not set');
+    const model = process.env.GEMINI_EMBEDDING_MODEL || GEMINI_EMBEDDING_MODEL;
+    const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:batchEmbedContents?key=${process.env.GEMINI_API_KEY}`;
+
     const response = await fetchWithRetry(url, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
-        contents: [{ parts: [{ text: fullPrompt }] }],
-        generationConfig: { maxOutputTokens: maxTokens }
+        requests: texts.map(text => ({ model: `models/${model}`, content: { parts: [{ text }] } }))
       })
-    });
+    }, EMBED_FETCH_OPTIONS);
 
     const data = await response.json();
+    const vectors = (data.embeddings || []).map(e => e.values);
+    const cost = await logDetailedUsage({
+      provider: 'gemini',
+      model,
+      taskType: 'duplicate_check'
+    });
+    await logApiUsage('gemini', `POST /models/${model}:batchEmbedContents`, cost, options.accountId);
+    return vectors;
+  }
 
+  /** Log usage for a Gemini response and turn it into a result. */
+  async _buildResult(data, { taskType, model, options, promptMeta }) {
     // Extract token usage from Gemini response
     const usageMetadata = data.usageMetadata || {};
     const inputTokens = usageMetadata.promptTokenCount || 0;
@@ -593,7 +1042,7 @@ class GeminiProvider extends AIProvider {
     await logApiUsage('gemini', `POST /models/${model}:generateContent`, 0, options.accountId);
 
     const geminiText = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
-    const candidates = this.parseCandidates(geminiText);
+    const { candidates, validationErrors } = this.extractCandidates(geminiText, taskType, options);
     if (candidates.length === 0) {
       console.error(`Gemini response produced no candidates. responseText length=${geminiText.length}, responseText preview="${geminiText.slice(0, 200)}"`);
     }
@@ -603,17 +1052,366 @@ class GeminiProvider extends AIProvider {
       model,
       taskType,
       usage: { inputTokens, outputTokens },
-      candidates
+      candidates,
+      validationErrors,
+      ...promptMeta,
+      responseText: geminiText
     };
   }
 }
 
-function getAIProvider(providerName) {
-  switch (providerName) {
-    case 'claude': return new ClaudeProvider();
-    case 'gemini': return new GeminiProvider();
-    default: throw new Error(`Unknown AI provider: ${providerName}`);
+class OpenAICompatibleProvider extends AIProvider {
+  /** Base URL and headers shared by every request to the server. */
+  _connection() {
+    const baseUrl = getOpenAIBaseUrl();
+    // Local servers (Ollama, llama.cpp) accept requests without a key
+    if (!process.env.OPENAI_API_KEY && baseUrl === DEFAULT_OPENAI_BASE_URL) {
+      throw new Error('OPENAI_API_KEY environment variable is not set');
+    }
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.OPENAI_API_KEY) {
+      headers['Authorization'] = `Bearer ${process.env.OPENAI_API_KEY}`;
+    }
+    return { baseUrl, headers };
+  }
+
+  /**
+   * Resolve settings, prompts and budget for a chat completions request.
+   * Shared by generateOnce() and streamOnce().
+   */
+  async _prepareRequest(theme, options) {
+    const { baseUrl, headers } = this._connection();
+
+    const taskType = options.taskType || this.inferTaskType(options.postType);
+
+    // Fetch all pre-generation data in parallel (all independent DB reads)
+    const [costSettings, taskSettings, { systemPrompt, promptMeta }] = await Promise.all([
+      this.getCostSettings(),
+      this.getTaskModelSettings(taskType, 'openai'),
+      this.resolveSystemPrompt({ ...options, theme, taskType })
+    ]);
+
+    // Check budget (uses costSettings from parallel fetch)
+    if (costSettings.budget_pause_100) {
+      const budgetStatus = await checkBudgetStatus();
+      if (budgetStatus.shouldPause) {
+        throw new Error('月間予算の上限に達しました。設定画面から予算を増額するか、翌月までお待ちください。');
+      }
+    }
+
+    const model = options.model || taskSettings.model || getOpenAIModels()[0]?.id;
+    if (!model) throw new Error('OpenAI互換プロバイダーのモデルが設定されていません（OPENAI_MODELS）');
+    const maxTokens = options.maxTokens || taskSettings.maxTokens || 1024;
+    const userPrompt = options.customPrompt || `テーマ「${theme}」でツイートを3パターン作成してください。`;
+
+    const body = {
+      model,
+      max_tokens: maxTokens,
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt }
+      ]
+    };
+
+    return { taskType, model, baseUrl, headers, body, promptMeta };
+  }
+
+  async generateOnce(theme, options = {}) {
+    const { taskType, model, baseUrl, headers, body, promptMeta } = await this._prepareRequest(theme, options);
+
+    const response = await fetchWithRetry(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body)
+    }, { signal: options.signal });
+
+    const data = await response.json();
+    return this._buildResult(data, { taskType, model, options, promptMeta });
+  }
+
+  /**
+   * Stream chat completions, passing each content delta to onText.
+   * include_usage asks for a final chunk with token counts; servers that
+   * ignore it are logged with zero usage.
+   */
+  async streamOnce(theme, options = {}, onText = () => {}) {
+    const { taskType, model, baseUrl, headers, body, promptMeta } = await this._prepareRequest(theme, options);
+
+    const response = await fetchWithRetry(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ ...body, stream: true, stream_options: { include_usage: true } })
+    }, { signal: options.signal });
+
+    let id = null;
+    let content = '';
+    let finishReason = null;
+    let usage = {};
+    await readEventStream(response, (chunk) => {
+      id = id || chunk.id || null;
+      const choice = chunk.choices?.[0];
+      if (choice?.delta?.content) {
+        content += choice.delta.content;
+        onText(choice.delta.content);
+      }
+      if (choice?.finish_reason) finishReason = choice.finish_reason;
+      if (chunk.usage) usage = chunk.usage;
+    });
+
+    const data = { id, usage, choices: [{ message: { content }, finish_reason: finishReason }] };
+    return this._buildResult(data, { taskType, model, options, promptMeta });
+  }
+
+  embeddingModel() {
+    return `openai/${process.env.OPENAI_EMBEDDING_MODEL || OPENAI_EMBEDDING_MODEL}`;
+  }
+
+  /**
+   * Embeddings via /embeddings. Local servers without an embedding model
+   * answer with an error, which the caller treats as "no embeddings".
+   */
+  async embed(texts, options = {}) {
+    const { baseUrl, headers } = this._connection();
+    const model = process.env.OPENAI_EMBEDDING_MODEL || OPENAI_EMBEDDING_MODEL;
+
+    const response = await fetchWithRetry(`${baseUrl}/embeddings`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ model, input: texts })
+    }, EMBED_FETCH_OPTIONS);
+
+    const data = await response.json();
+    const vectors = [...(data.data || [])].sort((a, b) => a.index - b.index).map(d => d.embedding);
+    const cost = await logDetailedUsage({
+      provider: 'openai',
+      model,
+      taskType: 'duplicate_check',
+      inputTokens: data.usage?.prompt_tokens || 0
+    });
+    await logApiUsage('openai', 'POST /embeddings', cost, options.accountId);
+    return vectors;
+  }
+
+  /** Log usage for a chat completions response and turn it into a result. */
+  async _buildResult(data, { taskType, model, options, promptMeta }) {
+    const usage = data.usage || {};
+    const inputTokens = usage.prompt_tokens || 0;
+    const outputTokens = usage.completion_tokens || 0;
+
+    await logDetailedUsage({
+      provider: 'openai',
+      model,
+      taskType,
+      inputTokens,
+      outputTokens,
+      isBatch: false,
+      requestId: data.id || null
+    });
+
+    // Legacy logging
+    await logApiUsage('openai', 'POST /chat/completions', 0, options.accountId);
+
+    const responseText = data.choices?.[0]?.message?.content || '';
+    const { candidates, validationErrors } = this.extractCandidates(responseText, taskType, options);
+    if (candidates.length === 0) {
+      console.error(`OpenAI-compatible response produced no candidates. finish=${data.choices?.[0]?.finish_reason || '?'}, responseText preview="${responseText.slice(0, 200)}"`);
+    }
+
+    return {
+      provider: 'openai',
+      model,
+      taskType,
+      usage: { inputTokens, outputTokens },
+      candidates,
+      validationErrors,
+      ...promptMeta,
+      responseText
+    };
   }
 }
 
-module.exports = { getAIProvider, getAvailableModels, AIProvider, ClaudeProvider, GeminiProvider, fetchWithRetry };
+/**
+ * Wraps a provider and, when generation fails, walks the task's
+ * fallback_chain (task_model_settings) until a model succeeds.
+ * The returned result carries the provider/model that actually produced
+ * the candidates, plus `failover` describing the models that failed.
+ */
+class FailoverProvider extends AIProvider {
+  constructor(providerName) {
+    super();
+    this.providerName = providerName;
+  }
+
+  async buildChain(taskType, primaryModel) {
+    const settings = await this.getTaskModelSettings(taskType, this.providerName);
+    const chain = [{ provider: this.providerName, model: primaryModel || null }];
+    for (const step of settings.fallbackChain) {
+      if (!step || !providerRegistry.has(step.provider)) continue;
+      const model = step.model || null;
+      if (chain.some(c => c.provider === step.provider && c.model === model)) continue;
+      chain.push({ provider: step.provider, model });
+    }
+    return chain;
+  }
+
+  async generateTweets(theme, options = {}) {
+    return this._runChain(options, (provider, stepOptions) => provider.generateTweets(theme, stepOptions));
+  }
+
+  /** Embeddings come from the primary provider only. */
+  async embed(texts, options = {}) {
+    return getAIProvider(this.providerName).embed(texts, options);
+  }
+
+  embeddingModel() {
+    return getAIProvider(this.providerName).embeddingModel();
+  }
+
+  /** Streaming variant: onEvent also receives a `failover` event on each switch. */
+  async streamTweets(theme, options = {}, onEvent = () => {}) {
+    return this._runChain(
+      options,
+      (provider, stepOptions) => provider.streamTweets(theme, stepOptions, onEvent),
+      (failedStep, next) => onEvent({ type: 'failover', failed: failedStep, next })
+    );
+  }
+
+  /**
+   * Call generate(provider, options) for each step of the chain until one
+   * returns candidates. onSwitch(failedStep, nextStep) runs before each fallback.
+   */
+  async _runChain(options, generate, onSwitch = () => {}) {
+    const taskType = options.taskType || this.inferTaskType(options.postType);
+    const chain = await this.buildChain(taskType, options.model);
+    const failed = [];
+    let emptyResult = null;
+    let lastError = null;
+
+    for (let i = 0; i < chain.length; i++) {
+      const step = chain[i];
+      const stepOptions = { ...options };
+      if (i > 0) {
+        // Fallback steps use their own model, or the provider's task setting
+        if (step.model) stepOptions.model = step.model;
+        else delete stepOptions.model;
+      }
+
+      let error;
+      try {
+        const result = await generate(getAIProvider(step.provider), stepOptions);
+        if (result.candidates && result.candidates.length > 0) {
+          if (failed.length > 0) result.failover = { from: chain[0], failed };
+          return result;
+        }
+        emptyResult = emptyResult || result;
+        error = result.debugInfo ? `候補が生成されませんでした（${result.debugInfo}）` : '候補が生成されませんでした';
+      } catch (err) {
+        // The budget applies to every provider, so falling back cannot help;
+        // nor can it when the caller cancelled the request
+        if (err.message.includes('月間予算') || options.signal?.aborted) throw err;
+        lastError = err;
+        error = err.message;
+      }
+
+      const failedStep = { provider: step.provider, model: step.model, error };
+      failed.push(failedStep);
+      const next = chain[i + 1];
+      if (next) {
+        console.warn(`AI failover: ${step.provider}/${step.model || 'default'} failed (${error}), trying ${next.provider}/${next.model || 'default'}`);
+        await logWarn('ai', `${step.provider}/${step.model || '既定モデル'} が失敗したため ${next.provider}/${next.model || '既定モデル'} に切り替え`, {
+          taskType, accountId: options.accountId || null, failed: failedStep, next
+        });
+        onSwitch(failedStep, next);
+      }
+    }
+
+    // Without fallbacks, behave exactly like the wrapped provider
+    if (chain.length === 1) {
+      if (lastError) throw lastError;
+      return emptyResult;
+    }
+
+    await logError('ai', `フォールバックを含む全 ${chain.length} モデルで生成に失敗`, { taskType, accountId: options.accountId || null, failed });
+    // Every model answered but none produced candidates: hand back the
+    // first empty result so callers keep their existing debug handling
+    if (!lastError) return emptyResult;
+    throw new Error(failed.map(f => `${f.provider}/${f.model || 'default'}: ${f.error}`).join(' / '));
+  }
+}
+
+// ---- Provider registry ----
+//
+// Each entry describes one provider: its display label, the class that
+// implements generateTweets(), the models offered in the UI and whether the
+// environment is configured for it.  Routes, settings and the model
+// selectors all read from here, so a new provider only needs registering.
+
+const providerRegistry = new Map();
+
+function registerProvider(name, { label, ProviderClass, getModels, isAvailable }) {
+  providerRegistry.set(name, { label, ProviderClass, getModels, isAvailable });
+}
+
+registerProvider('claude', {
+  label: 'Claude (Anthropic)',
+  ProviderClass: ClaudeProvider,
+  getModels: () => CLAUDE_MODELS,
+  isAvailable: () => !!process.env.CLAUDE_API_KEY
+});
+
+registerProvider('gemini', {
+  label: 'Gemini (Google)',
+  ProviderClass: GeminiProvider,
+  getModels: () => GEMINI_MODELS,
+  isAvailable: () => !!process.env.GEMINI_API_KEY
+});
+
+registerProvider('openai', {
+  label: 'OpenAI (OpenAI互換API)',
+  ProviderClass: OpenAICompatibleProvider,
+  getModels: getOpenAIModels,
+  isAvailable: () => !!process.env.OPENAI_API_KEY || !!process.env.OPENAI_BASE_URL
+});
+
+/**
+ * @param {string} providerName
+ * @param {object} [options]
+ * @param {boolean} [options.failover] - Walk the task's fallback_chain when generation fails
+ */
+function getAIProvider(providerName, { failover = false } = {}) {
+  const entry = providerRegistry.get(providerName);
+  if (!entry) throw new Error(`Unknown AI provider: ${providerName}`);
+  return failover ? new FailoverProvider(providerName) : new entry.ProviderClass();
+}
+
+function getAvailableModels() {
+  const result = {};
+  for (const [name, entry] of providerRegistry) {
+    result[name] = { label: entry.label, models: entry.getModels() };
+  }
+  return result;
+}
+
+function listProviders() {
+  const providers = [];
+  for (const [name, entry] of providerRegistry) {
+    providers.push({ name, label: entry.label, models: entry.getModels(), available: entry.isAvailable() });
+  }
+  return providers;
+}
+
+/**
+ * Find the registered provider offering a model id, or null.
+ */
+function findProviderForModel(modelId) {
+  if (!modelId) return null;
+  for (const [name, entry] of providerRegistry) {
+    if (entry.getModels().some(m => m.id === modelId)) return name;
+  }
+  return null;
+}
+
+module.exports = {
+  getAIProvider, getAvailableModels, listProviders, findProviderForModel, registerProvider,
+  AIProvider, ClaudeProvider, GeminiProvider, OpenAICompatibleProvider, FailoverProvider, fetchWithRetry
+};
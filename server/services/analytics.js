@@ -1,5 +1,7 @@
 const { getDb } = require('../db/database');
 const { getMyRepliedTweetIds } = require('./x-api');
+const { getAccountTimeZone } = require('./account-timezone');
+const { getZonedParts, DEFAULT_TIMEZONE } = require('../utils/date-utils');
 
 function calculateEngagementRate(metrics) {
   const { like_count, retweet_count, reply_count, quote_count, impression_count } = metrics;
@@ -7,10 +9,38 @@ function calculateEngagementRate(metrics) {
   return ((like_count + retweet_count + reply_count + quote_count) / impression_count) * 100;
 }
 
+// Tweets younger than this count as this old, so a few early likes on a
+// minutes-old tweet do not outrank a tweet that is genuinely taking off.
+const MIN_VELOCITY_AGE_HOURS = 1;
+
+function totalEngagement(metrics) {
+  const { like_count, retweet_count, reply_count, quote_count } = metrics;
+  return (like_count || 0) + (retweet_count || 0) + (reply_count || 0) + (quote_count || 0);
+}
+
+/**
+ * Engagement (likes + retweets + replies + quotes) gained per hour since `since`.
+ * Without a baseline `since` is the posting time and the score is the lifetime
+ * average; with the metrics measured at `since` (the previous snapshot) it is
+ * the pace over just that interval.
+ */
+function calculateVelocityScore(metrics, since, now = new Date(), baseline = null) {
+  if (!since) return 0;
+  const gained = Math.max(totalEngagement(metrics) - (baseline ? totalEngagement(baseline) : 0), 0);
+  const hours = Math.max((new Date(now) - new Date(since)) / 3600000, MIN_VELOCITY_AGE_HOURS);
+  return parseFloat((gained / hours).toFixed(2));
+}
+
+// Column each suggestion ranking orders competitor tweets by
+const SUGGESTION_SORT_COLUMNS = {
+  engagement_rate: 'engagement_rate',
+  velocity: 'velocity_score'
+};
+
 async function getDashboardSummary(accountId) {
   const sb = getDb();
-  const { getStartOfMonthJST } = require('../utils/date-utils');
-  const startOfMonth = getStartOfMonthJST();
+  const { getStartOfMonth } = require('../utils/date-utils');
+  const startOfMonth = getStartOfMonth(new Date(), await getAccountTimeZone(accountId));
 
   // Post count this month
   let postQuery = sb.from('my_posts')
@@ -82,7 +112,12 @@ async function getTopPosts(limit = 20) {
   }));
 }
 
-async function getHourlyPerformance() {
+/**
+ * Average competitor engagement by posting hour, bucketed by the local hour
+ * in `timeZone` (DST-aware), so the hours match the account's schedule_times.
+ * @param {string} [timeZone] - IANA timezone, default Asia/Tokyo
+ */
+async function getHourlyPerformance(timeZone = DEFAULT_TIMEZONE) {
   const sb = getDb();
   const { data } = await sb.from('competitor_tweets')
     .select('created_at_x, engagement_rate')
@@ -92,7 +127,7 @@ async function getHourlyPerformance() {
 
   const hourMap = {};
   for (const row of data) {
-    const hour = new Date(row.created_at_x).getUTCHours();
+    const { hour } = getZonedParts(new Date(row.created_at_x), timeZone);
     if (!hourMap[hour]) hourMap[hour] = { total: 0, count: 0 };
     hourMap[hour].total += row.engagement_rate || 0;
     hourMap[hour].count++;
@@ -187,7 +222,7 @@ async function getCompetitorContext(accountId) {
 
   const { data: topPosts } = await topPostsQuery;
 
-  const hourlyData = await getHourlyPerformance();
+  const hourlyData = await getHourlyPerformance(await getAccountTimeZone(accountId));
   const bestHours = [...hourlyData]
     .sort((a, b) => b.avg_engagement_rate - a.avg_engagement_rate)
     .slice(0, 3);
@@ -213,9 +248,43 @@ async function getCompetitorContext(accountId) {
   return context;
 }
 
+/**
+ * Competitor tweets posted within the last `hours`, fastest-growing first.
+ */
+async function getRisingTweets(accountId, options = {}) {
+  const sb = getDb();
+  const limit = options.limit || 20;
+  const hours = options.hours || 24;
+  const since = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+  let competitorIds = null;
+  if (accountId) {
+    const { data: comps } = await sb.from('competitors')
+      .select('id').eq('account_id', accountId).limit(100);
+    competitorIds = comps ? comps.map(c => c.id) : [];
+    if (competitorIds.length === 0) return [];
+  }
+
+  let query = sb.from('competitor_tweets')
+    .select('*, competitors(handle, name)')
+    .gte('created_at_x', since)
+    .order('velocity_score', { ascending: false })
+    .limit(limit);
+  if (competitorIds) query = query.in('competitor_id', competitorIds);
+  const { data, error } = await query;
+  if (error) throw error;
+
+  return (data || []).map(t => ({
+    ...t,
+    handle: t.competitors?.handle,
+    competitor_name: t.competitors?.name,
+    competitors: undefined
+  }));
+}
+
 /**
  * Distribute suggestions across different handles using round-robin.
- * Input must be sorted by engagement_rate DESC.
+ * Input must be sorted by the ranking (engagement_rate or velocity_score) DESC.
  * Picks the best tweet from each handle first, then cycles back for seconds, etc.
  */
 function distributeByHandle(suggestions, limit) {
@@ -246,10 +315,103 @@ function distributeByHandle(suggestions, limit) {
   return result;
 }
 
+/**
+ * Reply/quote candidates for an account: its competitors' tweets plus the
+ * tweets its keyword monitors matched, merged and ordered by sortColumn.
+ * Monitor tweets carry their author as handle/competitor_name and
+ * source: 'keyword'. Ranking by velocity only considers tweets posted within
+ * the snapshot window.
+ */
+async function getCandidateTweets(sb, accountId, { minEngagementRate, sortColumn, fetchLimit }) {
+  let competitorIds = null;
+  if (accountId) {
+    const { data: comps } = await sb.from('competitors')
+      .select('id').eq('account_id', accountId).limit(100);
+    competitorIds = comps ? comps.map(c => c.id) : [];
+  }
+
+  // Velocity is only kept current while tweets are snapshotted; older scores are stale
+  let velocitySince = null;
+  if (sortColumn === SUGGESTION_SORT_COLUMNS.velocity) {
+    const { SNAPSHOT_WINDOW_HOURS } = require('./competitor-snapshots');
+    velocitySince = new Date(Date.now() - SNAPSHOT_WINDOW_HOURS * 60 * 60 * 1000).toISOString();
+  }
+
+  let competitorTweets = [];
+  if (!competitorIds || competitorIds.length > 0) {
+    let query = sb.from('competitor_tweets')
+      .select('*, competitors(handle, name)')
+      .gte('engagement_rate', minEngagementRate)
+      .order(sortColumn, { ascending: false })
+      .limit(fetchLimit);
+    if (competitorIds) query = query.in('competitor_id', competitorIds);
+    if (velocitySince) query = query.gte('created_at_x', velocitySince);
+    const { data, error } = await query;
+    if (error) throw error;
+    competitorTweets = (data || []).map(t => ({
+      ...t,
+      handle: t.competitors?.handle,
+      competitor_name: t.competitors?.name,
+      competitors: undefined
+    }));
+  }
+
+  let monitorQuery = sb.from('keyword_monitors').select('id, min_engagement');
+  if (accountId) monitorQuery = monitorQuery.eq('account_id', accountId);
+  const { data: monitors } = await monitorQuery.limit(100);
+  const monitorIds = (monitors || []).map(m => m.id);
+  if (monitorIds.length === 0) return competitorTweets;
+
+  // Monitors store every match; each one's min_engagement applies here, to
+  // the latest measured engagement (monitor ids grouped by threshold)
+  const idsByMinEngagement = new Map();
+  for (const m of monitors) {
+    const min = m.min_engagement || 0;
+    if (!idsByMinEngagement.has(min)) idsByMinEngagement.set(min, []);
+    idsByMinEngagement.get(min).push(m.id);
+  }
+
+  let monitorTweetQuery = sb.from('monitor_tweets')
+    .select('*, keyword_monitors(query)')
+    .in('monitor_id', monitorIds)
+    .gte('engagement_rate', minEngagementRate)
+    .order(sortColumn, { ascending: false })
+    .limit(fetchLimit);
+  if ([...idsByMinEngagement.keys()].some(min => min > 0)) {
+    monitorTweetQuery = monitorTweetQuery.or([...idsByMinEngagement]
+      .map(([min, ids]) => `and(monitor_id.in.(${ids.join(',')}),engagement_count.gte.${min})`)
+      .join(','));
+  }
+  if (velocitySince) monitorTweetQuery = monitorTweetQuery.gte('created_at_x', velocitySince);
+  const { data: monitorRows, error: monitorError } = await monitorTweetQuery;
+  if (monitorError) throw monitorError;
+
+  // A competitor's tweet can also match a monitor; keep the competitor row
+  const seen = new Set(competitorTweets.map(t => t.tweet_id));
+  const monitorTweets = [];
+  for (const t of monitorRows || []) {
+    if (seen.has(t.tweet_id)) continue;
+    seen.add(t.tweet_id);
+    monitorTweets.push({
+      ...t,
+      handle: t.author_handle,
+      competitor_name: t.author_name,
+      source: 'keyword',
+      monitor_query: t.keyword_monitors?.query,
+      keyword_monitors: undefined
+    });
+  }
+
+  return [...competitorTweets, ...monitorTweets]
+    .sort((a, b) => (b[sortColumn] || 0) - (a[sortColumn] || 0));
+}
+
 async function getQuoteSuggestions(accountId, options = {}) {
   const sb = getDb();
   const limit = options.limit || 10;
   const minEngagementRate = options.minEngagementRate || 0;
+  // 'velocity' ranks tweets gaining engagement fastest, for getting in early
+  const sortColumn = SUGGESTION_SORT_COLUMNS[options.sortBy] || SUGGESTION_SORT_COLUMNS.engagement_rate;
 
   // Get tweet_ids already quoted or replied to by this account (exclude both types)
   let engagedQuery = sb.from('my_posts')
@@ -272,35 +434,10 @@ async function getQuoteSuggestions(accountId, options = {}) {
   // Merge app-tracked and manually-engaged IDs
   const allEngagedIds = [...new Set([...engagedIds, ...manuallyRepliedIds])];
 
-  // Get competitor IDs for this account
-  let competitorIds = null;
-  if (accountId) {
-    const { data: comps } = await sb.from('competitors')
-      .select('id').eq('account_id', accountId).limit(100);
-    competitorIds = comps ? comps.map(c => c.id) : [];
-    if (competitorIds.length === 0) return [];
-  }
-
   // Fetch more candidates than needed so distributeByHandle has enough variety
   const fetchLimit = limit * 3 + allEngagedIds.length;
-  let query = sb.from('competitor_tweets')
-    .select('*, competitors(handle, name)')
-    .gte('engagement_rate', minEngagementRate)
-    .order('engagement_rate', { ascending: false })
-    .limit(fetchLimit);
-
-  if (competitorIds) query = query.in('competitor_id', competitorIds);
-  const { data, error } = await query;
-  if (error) throw error;
-
-  const filtered = (data || [])
-    .filter(t => !allEngagedIds.includes(t.tweet_id))
-    .map(t => ({
-      ...t,
-      handle: t.competitors?.handle,
-      competitor_name: t.competitors?.name,
-      competitors: undefined
-    }));
+  const candidates = await getCandidateTweets(sb, accountId, { minEngagementRate, sortColumn, fetchLimit });
+  const filtered = candidates.filter(t => !allEngagedIds.includes(t.tweet_id));
 
   // Distribute across different handles to avoid quoting the same person repeatedly
   return distributeByHandle(filtered, limit);
@@ -310,6 +447,8 @@ async function getReplySuggestions(accountId, options = {}) {
   const sb = getDb();
   const limit = options.limit || 10;
   const minEngagementRate = options.minEngagementRate || 0;
+  // 'velocity' ranks tweets gaining engagement fastest, for getting in early
+  const sortColumn = SUGGESTION_SORT_COLUMNS[options.sortBy] || SUGGESTION_SORT_COLUMNS.engagement_rate;
 
   // Get tweet_ids already replied to or quoted by this account (exclude both types)
   let engagedQuery = sb.from('my_posts')
@@ -332,35 +471,10 @@ async function getReplySuggestions(accountId, options = {}) {
   // Merge app-tracked and manually-engaged IDs
   const allEngagedIds = [...new Set([...engagedIds, ...manuallyRepliedIds])];
 
-  // Get competitor IDs for this account
-  let competitorIds = null;
-  if (accountId) {
-    const { data: comps } = await sb.from('competitors')
-      .select('id').eq('account_id', accountId).limit(100);
-    competitorIds = comps ? comps.map(c => c.id) : [];
-    if (competitorIds.length === 0) return [];
-  }
-
   // Fetch more candidates than needed so distributeByHandle has enough variety
   const fetchLimit = limit * 3 + allEngagedIds.length;
-  let query = sb.from('competitor_tweets')
-    .select('*, competitors(handle, name)')
-    .gte('engagement_rate', minEngagementRate)
-    .order('engagement_rate', { ascending: false })
-    .limit(fetchLimit);
-
-  if (competitorIds) query = query.in('competitor_id', competitorIds);
-  const { data, error } = await query;
-  if (error) throw error;
-
-  const filtered = (data || [])
-    .filter(t => !allEngagedIds.includes(t.tweet_id))
-    .map(t => ({
-      ...t,
-      handle: t.competitors?.handle,
-      competitor_name: t.competitors?.name,
-      competitors: undefined
-    }));
+  const candidates = await getCandidateTweets(sb, accountId, { minEngagementRate, sortColumn, fetchLimit });
+  const filtered = candidates.filter(t => !allEngagedIds.includes(t.tweet_id));
 
   // Distribute across different handles to avoid replying to the same person repeatedly
   return distributeByHandle(filtered, limit);
@@ -368,6 +482,7 @@ async function getReplySuggestions(accountId, options = {}) {
 
 module.exports = {
   calculateEngagementRate,
+  calculateVelocityScore,
   distributeByHandle,
   getDashboardSummary,
   getTopPosts,
@@ -375,6 +490,7 @@ module.exports = {
   getWeeklyEngagement,
   getPostTypePerformance,
   getCompetitorContext,
+  getRisingTweets,
   getQuoteSuggestions,
   getReplySuggestions
 };
@@ -0,0 +1,235 @@
+const { getDb } = require('../db/database');
+
+/**
+ * Cache backends for X API responses.
+ *
+ * Every backend implements:
+ *   get(key)                        -> cached data or null (counts a hit/miss)
+ *   set(key, data, ttlMs, costUsd)  -> store; costUsd is what a hit saves
+ *   stats(sinceIso)                 -> { hits, misses, savedUsd, byType[] }
+ *
+ * The cache type is the key prefix before the first ':' (see getCacheKey in x-api.js).
+ * Backend errors never propagate: a failed lookup is a miss.
+ */
+
+const MEMORY_MAX_ENTRIES = 500;
+const DB_MAX_ROWS = 2000;
+// Eviction counts the whole table, so each instance runs it at most this often
+const EVICT_INTERVAL_MS = 10 * 60 * 1000;
+
+function cacheTypeOf(key) {
+  return String(key).split(':')[0];
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function utcDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * First stat_date (UTC day) counted for stats since sinceIso. The totals are
+ * kept per UTC day, so a since inside a day (a month start at local midnight
+ * in another timezone) starts at the next whole day: the previous period is
+ * never counted, at the cost of up to a day of the new one.
+ */
+function firstStatDate(sinceIso) {
+  const since = new Date(sinceIso);
+  const dayStart = Date.parse(`${utcDate(since)}T00:00:00.000Z`);
+  return since.getTime() === dayStart ? utcDate(since) : utcDate(new Date(dayStart + DAY_MS));
+}
+
+function emptyTypeStats(type) {
+  return { type, hits: 0, misses: 0, savedUsd: 0 };
+}
+
+function summarize(byType) {
+  const hits = byType.reduce((sum, t) => sum + t.hits, 0);
+  const misses = byType.reduce((sum, t) => sum + t.misses, 0);
+  const savedUsd = byType.reduce((sum, t) => sum + t.savedUsd, 0);
+  return {
+    hits,
+    misses,
+    hitRate: hits + misses > 0 ? (hits / (hits + misses)) * 100 : 0,
+    savedUsd,
+    byType: byType.map(t => ({
+      ...t,
+      hitRate: t.hits + t.misses > 0 ? (t.hits / (t.hits + t.misses)) * 100 : 0
+    }))
+  };
+}
+
+/**
+ * Process-local cache. Fast, but lost on every serverless cold start.
+ * Stats are kept per UTC day, like x_api_cache_stats, for the lifetime of
+ * the process.
+ */
+class MemoryCacheBackend {
+  constructor(store = new Map()) {
+    this.name = 'memory';
+    this.store = store;
+    // stat_date -> cache type -> counts
+    this.counters = new Map();
+  }
+
+  _count(type) {
+    const date = utcDate(new Date());
+    if (!this.counters.has(date)) this.counters.set(date, new Map());
+    const day = this.counters.get(date);
+    if (!day.has(type)) day.set(type, emptyTypeStats(type));
+    return day.get(type);
+  }
+
+  async get(key) {
+    const entry = this.store.get(key);
+    const counter = this._count(cacheTypeOf(key));
+    if (!entry || Date.now() - entry.timestamp > entry.ttl) {
+      if (entry) this.store.delete(key);
+      counter.misses++;
+      return null;
+    }
+    entry.hits = (entry.hits || 0) + 1;
+    counter.hits++;
+    counter.savedUsd += entry.costUsd || 0;
+    return entry.data;
+  }
+
+  async set(key, data, ttl, costUsd = 0) {
+    this.store.set(key, { data, timestamp: Date.now(), ttl, costUsd, hits: 0 });
+    // Prevent unbounded growth
+    if (this.store.size > MEMORY_MAX_ENTRIES) {
+      const oldest = this.store.keys().next().value;
+      this.store.delete(oldest);
+    }
+  }
+
+  async stats(sinceIso) {
+    const from = sinceIso ? firstStatDate(sinceIso) : null;
+    const byType = new Map();
+    for (const [date, day] of this.counters) {
+      if (from && date < from) continue;
+      for (const c of day.values()) {
+        const t = byType.get(c.type) || emptyTypeStats(c.type);
+        t.hits += c.hits;
+        t.misses += c.misses;
+        t.savedUsd += c.savedUsd;
+        byType.set(c.type, t);
+      }
+    }
+    return summarize([...byType.values()]);
+  }
+}
+
+/**
+ * Cache stored in the x_api_cache table so it survives cold starts and is
+ * shared by all serverless instances. Daily hit/miss totals go to
+ * x_api_cache_stats (per-key hits stay on the cache row until it is evicted).
+ * The table may briefly exceed DB_MAX_ROWS between evictions.
+ */
+class DbCacheBackend {
+  constructor() {
+    this.name = 'database';
+    this.lastEvictAt = 0;
+  }
+
+  /**
+   * Look up an unexpired key and count the hit/miss in one round trip.
+   * x_api_cache_get (migration 027) increments the counters in SQL so
+   * concurrent instances don't overwrite each other's counts.
+   */
+  async get(key) {
+    try {
+      const sb = getDb();
+      const { data, error } = await sb.rpc('x_api_cache_get', {
+        p_cache_key: key,
+        p_cache_type: cacheTypeOf(key)
+      });
+      if (!error) return data ?? null;
+
+      // Without the function (migration not applied) still serve cached data, uncounted
+      console.warn('[api-cache] x_api_cache_get failed:', error.message);
+      const { data: row } = await sb.from('x_api_cache')
+        .select('data')
+        .eq('cache_key', key)
+        .gt('expires_at', new Date().toISOString())
+        .single();
+      return row ? row.data : null;
+    } catch (err) {
+      console.warn('[api-cache] Cache lookup failed:', err.message);
+      return null;
+    }
+  }
+
+  async set(key, data, ttl, costUsd = 0) {
+    try {
+      const sb = getDb();
+      const now = new Date();
+      await sb.from('x_api_cache').upsert({
+        cache_key: key,
+        cache_type: cacheTypeOf(key),
+        data,
+        cost_usd: costUsd,
+        hits: 0,
+        expires_at: new Date(now.getTime() + ttl).toISOString(),
+        created_at: now.toISOString(),
+        last_hit_at: null
+      }, { onConflict: 'cache_key' });
+      if (now.getTime() - this.lastEvictAt >= EVICT_INTERVAL_MS) {
+        this.lastEvictAt = now.getTime();
+        await this._evict();
+      }
+    } catch (err) {
+      console.warn('[api-cache] Cache write failed:', err.message);
+    }
+  }
+
+  /**
+   * Drop expired rows, then the least recently used rows above DB_MAX_ROWS.
+   */
+  async _evict() {
+    const sb = getDb();
+    await sb.from('x_api_cache').delete().lt('expires_at', new Date().toISOString());
+
+    const { count } = await sb.from('x_api_cache').select('cache_key', { count: 'exact', head: true });
+    if (!count || count <= DB_MAX_ROWS) return;
+
+    const { data: oldest } = await sb.from('x_api_cache')
+      .select('cache_key')
+      .order('last_hit_at', { ascending: true, nullsFirst: true })
+      .order('created_at', { ascending: true })
+      .limit(count - DB_MAX_ROWS);
+    if (oldest && oldest.length > 0) {
+      await sb.from('x_api_cache').delete().in('cache_key', oldest.map(r => r.cache_key));
+    }
+  }
+
+  async stats(sinceIso) {
+    const sb = getDb();
+    let query = sb.from('x_api_cache_stats').select('cache_type, hits, misses, saved_usd');
+    if (sinceIso) query = query.gte('stat_date', firstStatDate(sinceIso));
+    const { data: rows, error } = await query;
+    if (error) throw error;
+
+    const byType = new Map();
+    for (const row of rows || []) {
+      const t = byType.get(row.cache_type) || emptyTypeStats(row.cache_type);
+      t.hits += row.hits || 0;
+      t.misses += row.misses || 0;
+      t.savedUsd += row.saved_usd || 0;
+      byType.set(row.cache_type, t);
+    }
+    return summarize([...byType.values()]);
+  }
+}
+
+/**
+ * Pick the backend from X_API_CACHE_BACKEND ('memory' | 'database').
+ * Defaults to the database on Vercel, where process memory does not survive
+ * between invocations, and to memory elsewhere.
+ */
+function createCacheBackend(store) {
+  const configured = process.env.X_API_CACHE_BACKEND || (process.env.VERCEL ? 'database' : 'memory');
+  return configured === 'database' ? new DbCacheBackend() : new MemoryCacheBackend(store);
+}
+
+module.exports = { MemoryCacheBackend, DbCacheBackend, createCacheBackend, cacheTypeOf };
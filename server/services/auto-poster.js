@@ -1,11 +1,21 @@
 const { getDb } = require('../db/database');
-const { getAIProvider, AIProvider } = require('./ai-provider');
-const { postTweet } = require('./x-api');
+const { getAIProvider, findProviderForModel, AIProvider } = require('./ai-provider');
+const { postTweet, postThread } = require('./x-api');
 const { getQuoteSuggestions, getReplySuggestions, getCompetitorContext } = require('./analytics');
-const { logError, logInfo } = require('./app-logger');
+const { logError, logWarn, logInfo } = require('./app-logger');
 const { getPatternConstraintBlock, logPatternUsage } = require('./pattern-rotation');
 let triggerTweetProposal = null; // Lazy-loaded to avoid circular dependency
 const { buildPerformanceContextBlock } = require('./tweet-improver');
+const { lintPost, formatViolations, getLintContext } = require('./content-linter');
+const { weightedLength, splitIntoTweets, MAX_WEIGHTED_LENGTH } = require('../../shared/tweet-length');
+const { checkDuplicates, toSimilarityRecord, formatSimilarity } = require('./duplicate-detector');
+const { pickDueEvergreenPosts, markEvergreenQueued, rewriteForRepost, DEFAULT_MIN_GAP_DAYS } = require('./evergreen');
+const { allocateQueueSlots } = require('./post-queue');
+const {
+  getPostingPause, loadActiveBlackouts, rulesForAccount, matchBlackout, nextAllowedTime, describeBlackout,
+  SHIFT_SPACING_MINUTES
+} = require('./posting-blackout');
+const { getZonedNow, zonedTimeToUtc, resolveTimeZone } = require('../utils/date-utils');
 
 /**
  * Fetch enabled theme categories for an account.
@@ -100,6 +110,8 @@ function isDeletedTweetError(errorMessage) {
  *    - For reply/quote: auto-select target tweets from competitors
  *    - scheduled mode: create scheduled posts spread throughout the day
  *    - immediate mode: post directly via X API
+ * 3. Nothing runs while posting is paused; a slot that falls in a blackout
+ *    window of its account is skipped (see posting-blackout.js)
  */
 
 // Default tolerance window in minutes.
@@ -108,9 +120,11 @@ function isDeletedTweetError(errorMessage) {
 // SCHEDULE_WINDOW_MINUTES after the scheduled time.
 const SCHEDULE_WINDOW_MINUTES = 5;
 
-// JST (Asia/Tokyo) offset from UTC in hours.
-// schedule_times are stored in JST by the user, so all time comparisons
-// and schedule calculations must use JST.
+// A thread that fails partway through an immediate post is handed to the
+// scheduler to resume after this delay (same as the scheduler's own retry).
+const THREAD_RESUME_DELAY_MINUTES = 5;
+
+// JST (Asia/Tokyo) offset from UTC in hours, the default account timezone.
 const JST_OFFSET_HOURS = 9;
 
 /**
@@ -118,14 +132,36 @@ const JST_OFFSET_HOURS = 9;
  * Works regardless of the server's system timezone.
  */
 function getJSTNow() {
-  const now = new Date();
-  const jstMs = now.getTime() + JST_OFFSET_HOURS * 60 * 60 * 1000;
-  const jst = new Date(jstMs);
+  return getZonedNow('Asia/Tokyo');
+}
 
-  const currentTime = `${String(jst.getUTCHours()).padStart(2, '0')}:${String(jst.getUTCMinutes()).padStart(2, '0')}`;
-  const today = jst.toISOString().slice(0, 10);
+/**
+ * schedule_times are wall-clock times in the account's timezone
+ * (x_accounts.timezone), so all time comparisons and schedule calculations
+ * for a setting use it. Missing or invalid timezones fall back to Asia/Tokyo.
+ */
+function settingTimeZone(setting) {
+  return resolveTimeZone(setting.x_accounts?.timezone);
+}
 
-  return { currentTime, today, now };
+/**
+ * A thread that failed partway through an immediate post: record the parts
+ * already on X as a scheduled post so the scheduler resumes from the failed
+ * part instead of leaving them without a row.
+ */
+async function saveThreadForResume(sb, row, parts, err) {
+  const partLabel = `${err.failedIndex + 1}/${parts.length}`;
+  const { error } = await sb.from('my_posts').insert({
+    ...row,
+    tweet_id: err.postedIds[0],
+    thread_parts: parts,
+    thread_tweet_ids: err.postedIds,
+    status: 'scheduled',
+    scheduled_at: new Date(Date.now() + THREAD_RESUME_DELAY_MINUTES * 60 * 1000).toISOString(),
+    error_message: `スレッド ${partLabel} 件目で失敗: ${err.message}`
+  });
+  if (error) throw error;
+  logWarn('auto_post', `スレッドを ${partLabel} 件目から予約投稿で再開します`, { accountId: row.account_id, postedIds: err.postedIds });
 }
 
 /**
@@ -151,11 +187,15 @@ function isTimeInWindow(scheduledTime, currentTime, windowMinutes = SCHEDULE_WIN
 
 async function checkAndRunAutoPosts() {
   const sb = getDb();
-  const { currentTime, today } = getJSTNow();
+
+  // Emergency pause: nothing runs; a slot still inside its window when posting
+  // resumes runs then
+  const pause = await getPostingPause();
+  if (pause.paused) return;
 
   // Fetch all enabled auto_post_settings
   const { data: allSettings, error } = await sb.from('auto_post_settings')
-    .select('*, x_accounts(display_name, handle, default_ai_provider, default_ai_model)')
+    .select('*, x_accounts(display_name, handle, default_ai_provider, default_ai_model, timezone)')
     .eq('enabled', true);
 
   if (error) {
@@ -166,9 +206,11 @@ async function checkAndRunAutoPosts() {
   if (!allSettings || allSettings.length === 0) return;
 
   const pendingUpdates = [];
+  let blackouts = null; // Loaded on the first matched slot
 
   for (const setting of allSettings) {
     try {
+      const { currentTime, today, now } = getZonedNow(settingTimeZone(setting));
       const times = (setting.schedule_times || '').split(',').map(t => t.trim());
 
       // Find the first scheduled time that falls within the tolerance window
@@ -179,12 +221,24 @@ async function checkAndRunAutoPosts() {
       const ranTimes = (setting.last_run_times || '').split(',').map(t => t.trim()).filter(Boolean);
       if (setting.last_run_date === today && ranTimes.includes(matchedTime)) continue;
 
-      logInfo('auto_post', `自動投稿実行: ${setting.post_type} account=${setting.account_id} time=${currentTime} (scheduled: ${matchedTime})`);
+      // A slot inside a 'shift' blackout still generates its posts, scheduled
+      // for when the blackout ends; under 'hold' (or with no allowed time
+      // ahead) the slot is skipped and recorded as run, not caught up later
+      if (!blackouts) blackouts = await loadActiveBlackouts();
+      const accountRules = rulesForAccount(blackouts, setting.account_id);
+      const blackout = matchBlackout(accountRules, now, settingTimeZone(setting));
+      const deferUntil = blackout?.action === 'shift' ? nextAllowedTime(accountRules, now, settingTimeZone(setting)) : null;
+      if (blackout && !deferUntil) {
+        logInfo('auto_post', `自動投稿スキップ: ${setting.post_type} account=${setting.account_id} (scheduled: ${matchedTime}) 投稿停止ルール「${describeBlackout(blackout)}」`);
+      } else {
+        const deferNote = deferUntil ? ` 投稿停止ルール「${describeBlackout(blackout)}」のため ${deferUntil.toISOString()} 以降に予約` : '';
+        logInfo('auto_post', `自動投稿実行: ${setting.post_type} account=${setting.account_id} time=${currentTime} (scheduled: ${matchedTime})${deferNote}`);
 
-      // Calculate how many posts for this time slot
-      const postsForSlot = Math.ceil(setting.posts_per_day / times.length);
+        // Calculate how many posts for this time slot
+        const postsForSlot = Math.ceil(setting.posts_per_day / times.length);
 
-      await executeAutoPost(setting, postsForSlot, matchedTime);
+        await executeAutoPost(setting, postsForSlot, matchedTime, { deferUntil });
+      }
 
       // Collect last_run tracking updates for batch execution
       const updatedTimes = setting.last_run_date === today
@@ -210,6 +264,8 @@ async function checkAndRunAutoPosts() {
 async function resolveProvider(postType, accountDefault, settingModel) {
   // If the user picked a model in auto-post settings, infer provider from it
   if (settingModel) {
+    const owner = findProviderForModel(settingModel);
+    if (owner) return owner;
     if (settingModel.startsWith('claude')) return 'claude';
     if (settingModel.startsWith('gemini')) return 'gemini';
   }
@@ -231,7 +287,17 @@ async function resolveProvider(postType, accountDefault, settingModel) {
   return accountDefault || 'claude';
 }
 
-async function executeAutoPost(setting, count, currentTime, { forcePreview = false } = {}) {
+/**
+ * Run one auto-post slot of a setting. With deferUntil (the end of a 'shift'
+ * blackout) nothing is published now: posts that would go out immediately or
+ * before that time are scheduled from it instead.
+ */
+async function executeAutoPost(setting, count, currentTime, { forcePreview = false, deferUntil = null } = {}) {
+  // Evergreen re-posts come from the pool, not from generation, so Telegram mode does not apply
+  if (setting.post_type === 'evergreen') {
+    return await executeEvergreen(setting, count, currentTime, { forcePreview: forcePreview || setting.schedule_mode === 'draft', deferUntil });
+  }
+
   // Telegram mode: send proposals to Telegram for approval instead of auto-posting
   if (setting.schedule_mode === 'telegram') {
     if (!triggerTweetProposal) {
@@ -253,18 +319,19 @@ async function executeAutoPost(setting, count, currentTime, { forcePreview = fal
   const accountDefault = setting.x_accounts?.default_ai_provider || 'claude';
   const settingModel = setting.ai_model || '';
   const providerName = await resolveProvider(setting.post_type, accountDefault, settingModel);
-  const provider = getAIProvider(providerName);
+  const provider = getAIProvider(providerName, { failover: true });
 
   // 'draft' schedule_mode always saves as draft, same as forcePreview
   const preview = forcePreview || setting.schedule_mode === 'draft';
 
+  const runOptions = { forcePreview: preview, deferUntil };
   switch (setting.post_type) {
     case 'new':
-      return await executeNewTweets(setting, provider, count, currentTime, preview);
+      return await executeNewTweets(setting, provider, count, currentTime, runOptions);
     case 'reply':
-      return await executeReplies(setting, provider, count, currentTime, preview);
+      return await executeReplies(setting, provider, count, currentTime, runOptions);
     case 'quote':
-      return await executeQuotes(setting, provider, count, currentTime, preview);
+      return await executeQuotes(setting, provider, count, currentTime, runOptions);
   }
 }
 
@@ -280,7 +347,73 @@ function buildStyleInstruction(setting) {
   return parts.length > 0 ? '\n' + parts.join('\n') : '';
 }
 
-async function executeNewTweets(setting, provider, count, currentTime, forcePreview = false) {
+/**
+ * Run the content lint on a candidate. Returns null when the account's lint
+ * policy discards it, otherwise its violations; a candidate with violations
+ * is saved as a draft instead of being scheduled or posted.
+ */
+function lintCandidate(post, lintContext, label, accountId, errors) {
+  const violations = lintPost(post, lintContext);
+  if (violations.length === 0) return violations;
+  const summary = formatViolations(violations);
+  if (lintContext.policy === 'block') {
+    logWarn('auto_post', `${label}: 文面チェックに違反したため破棄しました`, { accountId, violations: summary });
+    errors.push(`${label}: 文面チェック違反 [${summary}]`);
+    return null;
+  }
+  logWarn('auto_post', `${label}: 文面チェックに違反したため下書きに保存しました`, { accountId, violations: summary });
+  return violations;
+}
+
+/** Flatten generation results into candidate entries, recording failures in errors. */
+function collectCandidates(genResults, errors) {
+  const entries = [];
+  for (const result of genResults) {
+    if (result.error) {
+      errors.push(result.error);
+      continue;
+    }
+    if (!result.candidates || result.candidates.length === 0) {
+      const debug = result.debugInfo || `provider=${result.provider}, model=${result.model}`;
+      errors.push(`候補なし [${debug}]`);
+      continue;
+    }
+    if (result.validationErrors) {
+      errors.push(`スキーマ検証で一部の案を除外 [${result.validationErrors.slice(0, 3).join(' / ')}]`);
+    }
+    for (const candidate of result.candidates) {
+      entries.push({
+        candidate,
+        provider: result.provider,
+        model: result.model,
+        promptVersionId: result.promptVersionId || null,
+        experimentVariantId: result.experimentVariantId || null
+      });
+    }
+  }
+  return entries;
+}
+
+const candidateBody = ({ candidate }) => (candidate.threadParts || [candidate.text || '']).join('\n');
+
+/**
+ * Split entries into those that pass the near-duplicate check (against the
+ * account's recent posts and the already accepted entries) and the
+ * near-duplicates. Passing entries carry their closest match as `similarity`.
+ */
+async function screenDuplicates(accountId, provider, entries, accepted) {
+  const results = await checkDuplicates(accountId, [...accepted, ...entries].map(candidateBody), { provider });
+  const kept = [];
+  const duplicates = [];
+  entries.forEach((entry, i) => {
+    const result = results[accepted.length + i];
+    if (result.duplicate) duplicates.push({ entry, result });
+    else kept.push({ ...entry, similarity: toSimilarityRecord(result) });
+  });
+  return { kept, duplicates };
+}
+
+async function executeNewTweets(setting, provider, count, currentTime, { forcePreview = false, deferUntil = null } = {}) {
   const sb = getDb();
   const accountId = setting.account_id;
   const themes = (setting.themes || '').split(',').map(t => t.trim()).filter(Boolean);
@@ -300,12 +433,13 @@ async function executeNewTweets(setting, provider, count, currentTime, forcePrev
 
   // Fetch shared data once before generation
   // Fetch all context data in parallel (all are independent and non-critical)
-  const [patternConstraintBlock, competitorContext, themeCategories, recentCategoryCodes, performanceBlock] = await Promise.all([
+  const [patternConstraintBlock, competitorContext, themeCategories, recentCategoryCodes, performanceBlock, lintContext] = await Promise.all([
     getPatternConstraintBlock(accountId).catch(() => ''),
     getCompetitorContext(accountId).catch(() => ''),
     getThemeCategories(accountId).catch(() => []),
     getRecentThemeCategories(accountId, 3).catch(() => []),
-    buildPerformanceContextBlock(accountId).catch(() => '')
+    buildPerformanceContextBlock(accountId).catch(() => ''),
+    getLintContext(accountId)
   ]);
 
   // Theme category rotation: pick a category not used in recent 3 posts
@@ -317,11 +451,16 @@ async function executeNewTweets(setting, provider, count, currentTime, forcePrev
   const CANDIDATES_PER_CALL = 3;
   const numCalls = Math.ceil(count / CANDIDATES_PER_CALL);
 
-  const genPromises = [];
-  for (let i = 0; i < numCalls; i++) {
+  // Thread mode: each candidate is a chain of thread_length tweets
+  const threadLength = setting.thread_length > 1 ? setting.thread_length : 0;
+  const threadNote = threadLength
+    ? `\n\nスレッド形式: 各案を${threadLength}ツイートのスレッドとして作成し、各ツイートの本文を順番に"thread"配列に入れること（bodyには1ツイート目を入れる）。各ツイートは単体でも読める長さにすること。`
+    : '';
+
+  const generate = (i, avoidNote = '') => {
     const theme = themes[i % themes.length];
     const maxLenNote = setting.max_length ? `\n文字数目安: ${setting.max_length}文字以内` : '';
-    const userPrompt = `テーマ「${theme}」でツイートを3パターン作成してください。${styleInstruction}${maxLenNote}${categoryBlock}${patternConstraintBlock}${performanceBlock}\n\nbodyにはそのまま投稿できる完成テキストだけを書いてください。ラベルや注釈やハッシュタグは含めないこと。`;
+    const userPrompt = `テーマ「${theme}」でツイートを3パターン作成してください。${styleInstruction}${maxLenNote}${categoryBlock}${patternConstraintBlock}${performanceBlock}${threadNote}${avoidNote}\n\nbodyにはそのまま投稿できる完成テキストだけを書いてください。ラベルや注釈やハッシュタグは含めないこと。`;
 
     const genOptions = {
       postType: 'new',
@@ -332,41 +471,43 @@ async function executeNewTweets(setting, provider, count, currentTime, forcePrev
     };
     if (setting.ai_model) genOptions.model = setting.ai_model;
     if (setting.max_length) genOptions.maxTokens = Math.max(1500, Math.ceil(setting.max_length * 3));
+    if (threadLength) genOptions.maxTokens = Math.max(genOptions.maxTokens || 0, threadLength * 600);
 
-    genPromises.push(
-      provider.generateTweets(theme, genOptions).catch(err => {
-        console.error(`AutoPoster: failed to generate new tweets (call ${i + 1}):`, err.message);
-        logError('auto_post', `新規ツイート生成 (呼出${i + 1}) に失敗`, { accountId, error: err.message });
-        return { error: err.message };
-      })
-    );
-  }
+    return provider.generateTweets(theme, genOptions).catch(err => {
+      console.error(`AutoPoster: failed to generate new tweets (call ${i + 1}):`, err.message);
+      logError('auto_post', `新規ツイート生成 (呼出${i + 1}) に失敗`, { accountId, error: err.message });
+      return { error: err.message };
+    });
+  };
 
   // Wait for all AI generations to complete in parallel
-  const genResults = await Promise.all(genPromises);
-
-  // Flatten candidates from all results, up to `count` total
-  const allCandidates = [];
-  for (const result of genResults) {
-    if (result.error) {
-      errors.push(result.error);
-      continue;
-    }
-    if (!result.candidates || result.candidates.length === 0) {
-      const debug = result.debugInfo || `provider=${result.provider}, model=${result.model}`;
-      errors.push(`候補なし [${debug}]`);
-      continue;
-    }
-    for (const candidate of result.candidates) {
-      if (allCandidates.length >= count) break;
-      allCandidates.push({ candidate, provider: result.provider, model: result.model });
-    }
+  const genResults = await Promise.all(Array.from({ length: numCalls }, (_, i) => generate(i)));
+
+  // Drop candidates that retell a recent post; if that leaves too few,
+  // regenerate once with the repeated posts named, then give up on the rest
+  const { kept, duplicates } = await screenDuplicates(accountId, provider, collectCandidates(genResults, errors), []);
+  let allCandidates = kept;
+  let droppedDuplicates = duplicates;
+  if (allCandidates.length < count && duplicates.length > 0) {
+    const repeated = [...new Set(duplicates.map(d => d.result.text))];
+    const avoidNote = `\n\n以下の過去投稿と同じエピソード・話題は使わないこと（言い換えも不可）:\n${repeated.map(t => `- ${t.slice(0, 100)}`).join('\n')}`;
+    logInfo('auto_post', `類似投稿 ${duplicates.length} 件を除外したため再生成します`, { accountId });
+    const retry = await screenDuplicates(accountId, provider, collectCandidates([await generate(numCalls, avoidNote)], errors), allCandidates);
+    allCandidates = [...allCandidates, ...retry.kept];
+    droppedDuplicates = [...duplicates, ...retry.duplicates];
   }
+  for (const { entry, result } of droppedDuplicates) {
+    logWarn('auto_post', `類似投稿のため破棄しました: ${formatSimilarity(result)}`, { accountId, text: entry.candidate.text });
+  }
+  if (allCandidates.length < count && droppedDuplicates.length > 0) {
+    errors.push(`類似投稿のため破棄 [${droppedDuplicates.map(d => formatSimilarity(d.result)).join('、')}]`);
+  }
+  allCandidates = allCandidates.slice(0, count);
 
   // Process each candidate sequentially (DB writes are fast)
   for (let i = 0; i < allCandidates.length; i++) {
     try {
-      const { candidate, provider: aiProvider, model: aiModel } = allCandidates[i];
+      const { candidate, provider: aiProvider, model: aiModel, promptVersionId, experimentVariantId, similarity } = allCandidates[i];
 
       if (!candidate.text || !candidate.text.trim()) {
         console.error('AutoPoster: candidate text is empty, skipping');
@@ -374,12 +515,16 @@ async function executeNewTweets(setting, provider, count, currentTime, forcePrev
         errors.push(`ツイート${i + 1}: 生成されたテキストが空です`);
         continue;
       }
-      if (/^\s*[\[{]/.test(candidate.text) && /"(?:variants|body|label)"/.test(candidate.text)) {
-        console.error('AutoPoster: candidate text is raw/truncated JSON, skipping');
-        logError('auto_post', `ツイート${i + 1}: AI応答が途中で切れています（max_tokens不足の可能性）`, { accountId, provider: aiProvider, model: aiModel });
-        errors.push(`ツイート${i + 1}: AI応答が途中で切れています`);
-        continue;
+
+      let threadParts = threadLength ? candidate.threadParts : undefined;
+      // A single tweet over X's weighted limit would fail at publish time; post it as a thread instead
+      if (!threadParts && weightedLength(candidate.text) > MAX_WEIGHTED_LENGTH) {
+        threadParts = splitIntoTweets(candidate.text);
+        logInfo('auto_post', `ツイート${i + 1}: 文字数超過のため${threadParts.length}件のスレッドに分割`, { accountId });
       }
+      const text = threadParts ? threadParts[0] : candidate.text;
+      const lintViolations = lintCandidate({ text, threadParts }, lintContext, `ツイート${i + 1}`, accountId, errors);
+      if (!lintViolations) continue;
       generated++;
 
       // Log pattern usage for rotation tracking
@@ -397,46 +542,82 @@ async function executeNewTweets(setting, provider, count, currentTime, forcePrev
       }
 
       const categoryCode = selectedCategory ? selectedCategory.code : null;
+      const threadFields = threadParts && threadParts.length > 1 ? { thread_parts: threadParts } : {};
+      const similarityFields = similarity ? { similarity } : {};
 
-      if (forcePreview) {
+      if (forcePreview || lintViolations.length > 0) {
         // Save as draft for user review
         await sb.from('my_posts').insert({
           account_id: accountId,
-          text: candidate.text,
+          text,
           post_type: 'new',
           status: 'draft',
           ai_provider: aiProvider,
           ai_model: aiModel,
-          theme_category: categoryCode
+          prompt_version_id: promptVersionId,
+          experiment_variant_id: experimentVariantId,
+          theme_category: categoryCode,
+          ...threadFields,
+          ...similarityFields,
+          ...(lintViolations.length > 0 && { lint_violations: lintViolations })
         });
         drafts++;
-      } else if (setting.schedule_mode === 'immediate') {
+      } else if (setting.schedule_mode === 'immediate' && !deferUntil) {
         // Post immediately
-        const xResult = await postTweet(candidate.text, { accountId });
+        let xResult;
+        try {
+          xResult = threadFields.thread_parts
+            ? await postThread(threadFields.thread_parts, { accountId })
+            : await postTweet(text, { accountId });
+        } catch (err) {
+          if (threadFields.thread_parts && err.postedIds && err.postedIds.length > 0) {
+            await saveThreadForResume(sb, {
+              account_id: accountId,
+              text,
+              post_type: 'new',
+              ai_provider: aiProvider,
+              ai_model: aiModel,
+              prompt_version_id: promptVersionId,
+              experiment_variant_id: experimentVariantId,
+              theme_category: categoryCode,
+              ...similarityFields
+            }, threadFields.thread_parts, err);
+            scheduled++;
+          }
+          throw err;
+        }
         await sb.from('my_posts').insert({
           account_id: accountId,
           tweet_id: xResult.data.id,
-          text: candidate.text,
+          text,
           post_type: 'new',
           status: 'posted',
           posted_at: new Date().toISOString(),
           ai_provider: aiProvider,
           ai_model: aiModel,
-          theme_category: categoryCode
+          prompt_version_id: promptVersionId,
+          experiment_variant_id: experimentVariantId,
+          theme_category: categoryCode,
+          ...threadFields,
+          ...similarityFields,
+          ...(xResult.data.ids && { thread_tweet_ids: xResult.data.ids })
         });
         posted++;
       } else {
-        // Schedule for later - spread posts evenly through remaining hours
-        const scheduledAt = calculateScheduleTime(i, count, currentTime);
+        // Schedule for later - into the queue, or spread through remaining hours
         await sb.from('my_posts').insert({
           account_id: accountId,
-          text: candidate.text,
+          text,
           post_type: 'new',
           status: 'scheduled',
-          scheduled_at: scheduledAt.toISOString(),
+          ...(await nextScheduleFields(accountId, 'new', i, count, currentTime, settingTimeZone(setting), deferUntil)),
           ai_provider: aiProvider,
           ai_model: aiModel,
-          theme_category: categoryCode
+          prompt_version_id: promptVersionId,
+          experiment_variant_id: experimentVariantId,
+          theme_category: categoryCode,
+          ...threadFields,
+          ...similarityFields
         });
         scheduled++;
       }
@@ -453,7 +634,7 @@ async function executeNewTweets(setting, provider, count, currentTime, forcePrev
   return { generated, drafts, scheduled, posted };
 }
 
-async function executeReplies(setting, provider, count, currentTime, forcePreview = false) {
+async function executeReplies(setting, provider, count, currentTime, { forcePreview = false, deferUntil = null } = {}) {
   const sb = getDb();
   const accountId = setting.account_id;
   const errors = [];
@@ -514,7 +695,7 @@ bodyにはそのまま投稿できる完成テキストだけを書いてくだ
   }
 
   // Wait for all AI generations to complete in parallel
-  const genResults = await Promise.all(genPromises);
+  const [genResults, lintContext] = await Promise.all([Promise.all(genPromises), getLintContext(accountId)]);
 
   // Process results sequentially (DB writes / posting are fast)
   for (let i = 0; i < total; i++) {
@@ -540,9 +721,12 @@ bodyにはそのまま投稿できる完成テキストだけを書いてくだ
         errors.push(`リプライ${i + 1}: 生成されたテキストが空です`);
         continue;
       }
+
+      const lintViolations = lintCandidate({ text: candidate.text }, lintContext, `リプライ${i + 1}`, accountId, errors);
+      if (!lintViolations) continue;
       generated++;
 
-      if (forcePreview) {
+      if (forcePreview || lintViolations.length > 0) {
         await sb.from('my_posts').insert({
           account_id: accountId,
           text: candidate.text,
@@ -550,10 +734,13 @@ bodyにはそのまま投稿できる完成テキストだけを書いてくだ
           target_tweet_id: target.tweet_id,
           status: 'draft',
           ai_provider: result.provider,
-          ai_model: result.model
+          ai_model: result.model,
+          prompt_version_id: result.promptVersionId || null,
+          experiment_variant_id: result.experimentVariantId || null,
+          ...(lintViolations.length > 0 && { lint_violations: lintViolations })
         });
         drafts++;
-      } else if (setting.schedule_mode === 'immediate') {
+      } else if (setting.schedule_mode === 'immediate' && !deferUntil) {
         const xResult = await postTweet(candidate.text, {
           accountId,
           replyToId: target.tweet_id
@@ -567,20 +754,23 @@ bodyにはそのまま投稿できる完成テキストだけを書いてくだ
           status: 'posted',
           posted_at: new Date().toISOString(),
           ai_provider: result.provider,
-          ai_model: result.model
+          ai_model: result.model,
+          prompt_version_id: result.promptVersionId || null,
+          experiment_variant_id: result.experimentVariantId || null
         });
         posted++;
       } else {
-        const scheduledAt = calculateScheduleTime(i, count, currentTime);
         await sb.from('my_posts').insert({
           account_id: accountId,
           text: candidate.text,
           post_type: 'reply',
           target_tweet_id: target.tweet_id,
           status: 'scheduled',
-          scheduled_at: scheduledAt.toISOString(),
+          ...(await nextScheduleFields(accountId, 'reply', i, count, currentTime, settingTimeZone(setting), deferUntil)),
           ai_provider: result.provider,
-          ai_model: result.model
+          ai_model: result.model,
+          prompt_version_id: result.promptVersionId || null,
+          experiment_variant_id: result.experimentVariantId || null
         });
         scheduled++;
       }
@@ -599,7 +789,9 @@ bodyにはそのまま投稿できる完成テキストだけを書いてくだ
             status: 'draft',
             error_message: '元ツイートが削除されたため下書きに保存しました',
             ai_provider: result.provider,
-            ai_model: result.model
+            ai_model: result.model,
+            prompt_version_id: result.promptVersionId || null,
+            experiment_variant_id: result.experimentVariantId || null
           });
           drafts++;
         } catch (saveErr) {
@@ -618,7 +810,7 @@ bodyにはそのまま投稿できる完成テキストだけを書いてくだ
   return { generated, drafts, scheduled, posted };
 }
 
-async function executeQuotes(setting, provider, count, currentTime, forcePreview = false) {
+async function executeQuotes(setting, provider, count, currentTime, { forcePreview = false, deferUntil = null } = {}) {
   const sb = getDb();
   const accountId = setting.account_id;
   const errors = [];
@@ -679,7 +871,7 @@ bodyにはそのまま投稿できる完成テキストだけを書いてくだ
   }
 
   // Wait for all AI generations to complete in parallel
-  const genResults = await Promise.all(genPromises);
+  const [genResults, lintContext] = await Promise.all([Promise.all(genPromises), getLintContext(accountId)]);
 
   // Process results sequentially (DB writes / posting are fast)
   for (let i = 0; i < total; i++) {
@@ -705,9 +897,12 @@ bodyにはそのまま投稿できる完成テキストだけを書いてくだ
         errors.push(`引用RT${i + 1}: 生成されたテキストが空です`);
         continue;
       }
+
+      const lintViolations = lintCandidate({ text: candidate.text }, lintContext, `引用RT${i + 1}`, accountId, errors);
+      if (!lintViolations) continue;
       generated++;
 
-      if (forcePreview) {
+      if (forcePreview || lintViolations.length > 0) {
         await sb.from('my_posts').insert({
           account_id: accountId,
           text: candidate.text,
@@ -715,10 +910,13 @@ bodyにはそのまま投稿できる完成テキストだけを書いてくだ
           target_tweet_id: target.tweet_id,
           status: 'draft',
           ai_provider: result.provider,
-          ai_model: result.model
+          ai_model: result.model,
+          prompt_version_id: result.promptVersionId || null,
+          experiment_variant_id: result.experimentVariantId || null,
+          ...(lintViolations.length > 0 && { lint_violations: lintViolations })
         });
         drafts++;
-      } else if (setting.schedule_mode === 'immediate') {
+      } else if (setting.schedule_mode === 'immediate' && !deferUntil) {
         const xResult = await postTweet(candidate.text, {
           accountId,
           quoteTweetId: target.tweet_id
@@ -732,20 +930,23 @@ bodyにはそのまま投稿できる完成テキストだけを書いてくだ
           status: 'posted',
           posted_at: new Date().toISOString(),
           ai_provider: result.provider,
-          ai_model: result.model
+          ai_model: result.model,
+          prompt_version_id: result.promptVersionId || null,
+          experiment_variant_id: result.experimentVariantId || null
         });
         posted++;
       } else {
-        const scheduledAt = calculateScheduleTime(i, count, currentTime);
         await sb.from('my_posts').insert({
           account_id: accountId,
           text: candidate.text,
           post_type: 'quote',
           target_tweet_id: target.tweet_id,
           status: 'scheduled',
-          scheduled_at: scheduledAt.toISOString(),
+          ...(await nextScheduleFields(accountId, 'quote', i, count, currentTime, settingTimeZone(setting), deferUntil)),
           ai_provider: result.provider,
-          ai_model: result.model
+          ai_model: result.model,
+          prompt_version_id: result.promptVersionId || null,
+          experiment_variant_id: result.experimentVariantId || null
         });
         scheduled++;
       }
@@ -764,7 +965,9 @@ bodyにはそのまま投稿できる完成テキストだけを書いてくだ
             status: 'draft',
             error_message: '元ツイートが削除されたため下書きに保存しました',
             ai_provider: result.provider,
-            ai_model: result.model
+            ai_model: result.model,
+            prompt_version_id: result.promptVersionId || null,
+            experiment_variant_id: result.experimentVariantId || null
           });
           drafts++;
         } catch (saveErr) {
@@ -783,16 +986,100 @@ bodyにはそのまま投稿できる完成テキストだけを書いてくだ
   return { generated, drafts, scheduled, posted };
 }
 
+/**
+ * Re-post entries from the account's evergreen pool that are past their
+ * minimum gap. Every re-post is inserted as a scheduled post (due now in
+ * immediate mode) so the scheduler publishes it like any other.
+ */
+async function executeEvergreen(setting, count, currentTime, { forcePreview = false, deferUntil = null } = {}) {
+  const sb = getDb();
+  const accountId = setting.account_id;
+  const minGapDays = setting.evergreen_min_gap_days || DEFAULT_MIN_GAP_DAYS;
+  let generated = 0;
+  let drafts = 0;
+  let scheduled = 0;
+  const errors = [];
+
+  const entries = await pickDueEvergreenPosts(accountId, count, minGapDays);
+  if (entries.length === 0) {
+    logInfo('auto_post', `再投稿できるエバーグリーン投稿がありません（最短間隔${minGapDays}日）`, { accountId });
+    await logAutoPostExecution(accountId, 'evergreen', 0, 0, 0, 'success', null);
+    return { generated: 0, drafts: 0, scheduled: 0, posted: 0 };
+  }
+
+  let providerName = null;
+  let lintContext = null;
+  if (setting.evergreen_rewrite) {
+    [providerName, lintContext] = await Promise.all([
+      resolveProvider('new', setting.x_accounts?.default_ai_provider || 'claude', setting.ai_model || ''),
+      getLintContext(accountId)
+    ]);
+  }
+
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    const label = `エバーグリーン #${entry.id}`;
+    try {
+      let threadParts = Array.isArray(entry.thread_parts) && entry.thread_parts.length > 1 ? entry.thread_parts : undefined;
+      let text = entry.text;
+      let aiFields = {};
+      let lintViolations = [];
+
+      if (setting.evergreen_rewrite) {
+        const rewrite = await rewriteForRepost(entry, { provider: providerName, model: setting.ai_model });
+        threadParts = rewrite.candidate.threadParts;
+        if (!threadParts && weightedLength(rewrite.candidate.text) > MAX_WEIGHTED_LENGTH) {
+          threadParts = splitIntoTweets(rewrite.candidate.text);
+        }
+        text = threadParts ? threadParts[0] : rewrite.candidate.text;
+        aiFields = { ai_provider: rewrite.provider, ai_model: rewrite.model };
+        lintViolations = lintCandidate({ text, threadParts }, lintContext, label, accountId, errors);
+        if (!lintViolations) continue;
+      }
+      generated++;
+
+      const threadFields = threadParts && threadParts.length > 1 ? { thread_parts: threadParts } : {};
+      const asDraft = forcePreview || lintViolations.length > 0;
+      const scheduleFields = asDraft ? {}
+        : setting.schedule_mode === 'immediate' && !deferUntil ? { scheduled_at: new Date().toISOString() }
+          : await nextScheduleFields(accountId, 'new', i, entries.length, currentTime, settingTimeZone(setting), deferUntil);
+
+      await sb.from('my_posts').insert({
+        account_id: accountId,
+        text,
+        post_type: 'new',
+        status: asDraft ? 'draft' : 'scheduled',
+        ...scheduleFields,
+        evergreen_post_id: entry.id,
+        ...aiFields,
+        ...threadFields,
+        ...(lintViolations.length > 0 && { lint_violations: lintViolations })
+      });
+      await markEvergreenQueued(entry, new Date(scheduleFields.scheduled_at || Date.now()));
+      if (asDraft) drafts++;
+      else scheduled++;
+    } catch (err) {
+      logError('auto_post', `${label}: 再投稿の準備に失敗`, { accountId, error: err.message });
+      errors.push(`${label}: ${err.message}`);
+    }
+  }
+
+  const status = errors.length === 0 ? 'success' : (generated > 0 ? 'partial' : 'failed');
+  await logAutoPostExecution(accountId, 'evergreen', generated, scheduled, 0, status, errors.length > 0 ? errors.join(' | ') : null);
+  return { generated, drafts, scheduled, posted: 0 };
+}
+
 /**
  * Calculate a scheduled time for a post, spread evenly through remaining day hours.
- * If run at 09:00 JST with 3 posts, schedules at roughly 10:00, 14:00, 18:00 JST.
+ * If run at 09:00 with 3 posts, schedules at roughly 10:00, 14:00, 18:00 in
+ * the account's timezone.
  * Returns a Date object in UTC (for DB storage as ISO string).
  */
-function calculateScheduleTime(index, totalCount, currentTime) {
-  const { today, now } = getJSTNow();
+function calculateScheduleTime(index, totalCount, currentTime, timeZone) {
+  const { today, now } = getZonedNow(timeZone);
   const [currentHour] = currentTime.split(':').map(Number);
 
-  // Spread posts from 1 hour after current time until 21:00 JST
+  // Spread posts from 1 hour after current time until 21:00 local time
   const startHour = currentHour + 1;
   const endHour = 21;
   const availableHours = Math.max(endHour - startHour, 1);
@@ -801,10 +1088,10 @@ function calculateScheduleTime(index, totalCount, currentTime) {
   const targetHour = Math.min(startHour + Math.round(interval * index), endHour);
   const targetMin = Math.floor(Math.random() * 15); // Add 0-14 min randomness
 
-  // Build the target time in JST, then convert to UTC for storage.
-  // Date.UTC handles hour underflow correctly (e.g. hour -1 rolls back a day).
-  const [y, m, d] = today.split('-').map(Number);
-  const scheduled = new Date(Date.UTC(y, m - 1, d, targetHour - JST_OFFSET_HOURS, targetMin, 0, 0));
+  // Build the target wall-clock time in the account's timezone, then convert
+  // to UTC for storage with the offset in effect on that day (DST-aware).
+  const [year, month, day] = today.split('-').map(Number);
+  const scheduled = zonedTimeToUtc({ year, month, day, hour: targetHour, minute: targetMin }, timeZone);
 
   // If the calculated time is in the past (edge case), set it to now + 5 min
   if (scheduled <= now) {
@@ -814,6 +1101,22 @@ function calculateScheduleTime(index, totalCount, currentTime) {
   return scheduled;
 }
 
+/**
+ * Schedule fields for the index-th post of a run: the account's next free
+ * queue slot for the post type, or without slots a time from
+ * calculateScheduleTime. With deferUntil a slot before it is not used and
+ * the posts are spaced out from deferUntil instead.
+ * @returns {Promise<{ scheduled_at: string, queue_slot_id?: number }>}
+ */
+async function nextScheduleFields(accountId, postType, index, totalCount, currentTime, timeZone, deferUntil = null) {
+  const [slot] = await allocateQueueSlots(accountId, postType);
+  if (slot && (!deferUntil || new Date(slot.at) >= deferUntil)) return { scheduled_at: slot.at, queue_slot_id: slot.slotId };
+  if (deferUntil) {
+    return { scheduled_at: new Date(deferUntil.getTime() + index * SHIFT_SPACING_MINUTES * 60 * 1000).toISOString() };
+  }
+  return { scheduled_at: calculateScheduleTime(index, totalCount, currentTime, timeZone).toISOString() };
+}
+
 async function logAutoPostExecution(accountId, postType, generated, scheduled, posted, status, errorMessage) {
   try {
     const sb = getDb();
@@ -837,7 +1140,7 @@ async function logAutoPostExecution(accountId, postType, generated, scheduled, p
 async function runAutoPostManually(settingId) {
   const sb = getDb();
   const { data: setting, error } = await sb.from('auto_post_settings')
-    .select('*, x_accounts(display_name, handle, default_ai_provider, default_ai_model)')
+    .select('*, x_accounts(display_name, handle, default_ai_provider, default_ai_model, timezone)')
     .eq('id', settingId)
     .single();
 
@@ -845,7 +1148,7 @@ async function runAutoPostManually(settingId) {
     throw new Error('設定が見つかりません');
   }
 
-  const { currentTime } = getJSTNow();
+  const { currentTime } = getZonedNow(settingTimeZone(setting));
 
   try {
     // Always create as drafts for manual runs so user can preview before posting
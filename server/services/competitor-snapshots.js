@@ -0,0 +1,139 @@
+const { getDb } = require('../db/database');
+const { getTweetMetrics, checkXApiBudget, waitForRateLimit } = require('./x-api');
+const { calculateEngagementRate, calculateVelocityScore } = require('./analytics');
+const { logError } = require('./app-logger');
+
+// Only tweets this recent are re-measured; older ones have stopped moving
+// and re-reading them would spend read quota for nothing.
+const SNAPSHOT_WINDOW_HOURS = 24;
+// GET /2/tweets accepts up to 100 IDs per request
+const METRICS_CHUNK_SIZE = 100;
+
+/**
+ * Record a metric snapshot for every competitor tweet posted within
+ * SNAPSHOT_WINDOW_HOURS and refresh its stored metrics and velocity_score.
+ * velocity_score is the pace since the previous measurement (the stored
+ * metrics as of metrics_updated_at), so a tweet that has stopped growing
+ * drops in the ranking instead of coasting on its early average.
+ * Lookups use each competitor's own account and are paced against the
+ * GET /2/tweets rate-limit window; chunks that do not fit are reported as
+ * `deferred` and picked up by the next run.
+ * @returns {Promise<{ recorded: number, deferred?: number, reason?: string }>}
+ */
+async function snapshotCompetitorMetrics() {
+  const sb = getDb();
+  const since = new Date(Date.now() - SNAPSHOT_WINDOW_HOURS * 60 * 60 * 1000).toISOString();
+
+  const { data: tweets, error } = await sb.from('competitor_tweets')
+    .select('id, tweet_id, created_at_x, like_count, retweet_count, reply_count, quote_count, metrics_updated_at, competitors(account_id)')
+    .gte('created_at_x', since);
+  if (error) throw error;
+  if (!tweets || tweets.length === 0) return { recorded: 0 };
+
+  const budget = await checkXApiBudget();
+  if (budget.overBudget) {
+    console.log('Skipping competitor snapshots - X API budget exceeded');
+    return { recorded: 0, reason: 'budget_exceeded' };
+  }
+
+  // Group by the account that tracks the competitor (its credentials are used)
+  const byAccount = new Map();
+  for (const tweet of tweets) {
+    const accountId = tweet.competitors?.account_id;
+    if (!accountId) continue;
+    if (!byAccount.has(accountId)) byAccount.set(accountId, []);
+    byAccount.get(accountId).push(tweet);
+  }
+
+  let recorded = 0;
+  let deferred = 0;
+  for (const [accountId, accountTweets] of byAccount) {
+    for (let i = 0; i < accountTweets.length; i += METRICS_CHUNK_SIZE) {
+      const chunk = accountTweets.slice(i, i + METRICS_CHUNK_SIZE);
+      if (!(await waitForRateLimit('GET /2/tweets', accountId, { pace: true }))) {
+        deferred += accountTweets.length - i;
+        break;
+      }
+      try {
+        const metrics = await getTweetMetrics(chunk.map(t => t.tweet_id), accountId);
+        recorded += await saveSnapshots(sb, chunk, metrics);
+      } catch (err) {
+        console.error(`Competitor snapshot failed for account ${accountId}:`, err.message);
+        logError('competitor', `競合ツイートのスナップショット取得に失敗 (アカウント: ${accountId})`, {
+          accountId,
+          error: err.message
+        });
+        break;
+      }
+    }
+  }
+
+  console.log(`Recorded ${recorded} competitor tweet snapshots`);
+  if (deferred > 0) {
+    console.log(`Deferred ${deferred} competitor tweet snapshots (rate limit)`);
+    return { recorded, deferred, reason: 'rate_limited' };
+  }
+  return { recorded };
+}
+
+async function saveSnapshots(sb, tweets, metrics) {
+  const now = new Date();
+  const snapshots = [];
+
+  for (const result of metrics) {
+    const tweet = tweets.find(t => t.tweet_id === result.id);
+    if (!tweet) continue;
+
+    const pm = result.public_metrics || {};
+    const counts = {
+      like_count: pm.like_count || 0,
+      retweet_count: pm.retweet_count || 0,
+      reply_count: pm.reply_count || 0,
+      quote_count: pm.quote_count || 0,
+      impression_count: pm.impression_count || 0,
+      bookmark_count: pm.bookmark_count || 0
+    };
+    // Rows measured before metrics_updated_at existed fall back to the lifetime average
+    const velocityScore = tweet.metrics_updated_at
+      ? calculateVelocityScore(counts, tweet.metrics_updated_at, now, tweet)
+      : calculateVelocityScore(counts, tweet.created_at_x, now);
+
+    const { error } = await sb.from('competitor_tweets')
+      .update({
+        ...counts,
+        engagement_rate: calculateEngagementRate(counts),
+        velocity_score: velocityScore,
+        metrics_updated_at: now.toISOString()
+      })
+      .eq('id', tweet.id);
+    if (error) {
+      console.error(`Error updating metrics for competitor tweet ${tweet.tweet_id}:`, error.message);
+      continue;
+    }
+
+    snapshots.push({ tweet_id: tweet.tweet_id, ...counts, velocity_score: velocityScore, recorded_at: now.toISOString() });
+  }
+
+  if (snapshots.length === 0) return 0;
+  const { error } = await sb.from('competitor_tweet_snapshots').insert(snapshots);
+  if (error) {
+    console.error('Error inserting competitor tweet snapshots:', error.message);
+    return 0;
+  }
+  return snapshots.length;
+}
+
+/**
+ * Snapshot history of one competitor tweet, oldest first.
+ */
+async function getTweetSnapshots(tweetId) {
+  const sb = getDb();
+  const { data, error } = await sb.from('competitor_tweet_snapshots')
+    .select('like_count, retweet_count, reply_count, quote_count, impression_count, bookmark_count, velocity_score, recorded_at')
+    .eq('tweet_id', tweetId)
+    .order('recorded_at', { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+module.exports = { snapshotCompetitorMetrics, getTweetSnapshots, SNAPSHOT_WINDOW_HOURS };
@@ -0,0 +1,162 @@
+const { getDb } = require('../db/database');
+const { getZonedParts, zonedTimeToUtc, resolveTimeZone } = require('../utils/date-utils');
+
+// Two posts of one account closer together than this are reported as a conflict
+const CONFLICT_WINDOW_MINUTES = 30;
+
+// Longest range one calendar request may cover (a month view plus its padding weeks)
+const MAX_CALENDAR_DAYS = 42;
+
+const MINUTE_MS = 60 * 1000;
+
+const POST_FIELDS = 'id, account_id, text, thread_parts, post_type, status, scheduled_at, posted_at, tweet_id, error_message, x_accounts(display_name, handle, color)';
+
+function toCalendarPost(post, at) {
+  return {
+    id: post.id,
+    account_id: post.account_id,
+    account_name: post.x_accounts?.display_name,
+    account_handle: post.x_accounts?.handle,
+    account_color: post.x_accounts?.color,
+    text: post.text,
+    thread_parts: post.thread_parts,
+    post_type: post.post_type,
+    status: post.status,
+    tweet_id: post.tweet_id,
+    error_message: post.error_message,
+    at
+  };
+}
+
+/**
+ * Expand the "HH:MM" schedule_times of enabled auto-post settings into
+ * one placeholder per day in [from, to). Times are read in the timezone of
+ * each setting's account (x_accounts.timezone, default Asia/Tokyo).
+ * @param {Array<object>} settings - auto_post_settings rows, with x_accounts(timezone)
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Array<{ at: string, accountId: string, postType: string, settingId: number, scheduleMode: string, time: string }>}
+ */
+function expandAutoPostSlots(settings, from, to) {
+  const slots = [];
+
+  for (const setting of settings) {
+    if (!setting.enabled) continue;
+    const timeZone = resolveTimeZone(setting.x_accounts?.timezone);
+    const { year, month, day: firstDay } = getZonedParts(from, timeZone);
+    const times = (setting.schedule_times || '').split(',').map(t => t.trim()).filter(t => /^\d{1,2}:\d{2}$/.test(t));
+    for (let day = firstDay; zonedTimeToUtc({ year, month, day }, timeZone) < to; day++) {
+      for (const time of times) {
+        const [hour, minute] = time.split(':').map(Number);
+        const at = zonedTimeToUtc({ year, month, day, hour, minute }, timeZone).getTime();
+        if (at < from.getTime() || at >= to.getTime()) continue;
+        slots.push({
+          at: new Date(at).toISOString(),
+          accountId: setting.account_id,
+          postType: setting.post_type,
+          settingId: setting.id,
+          scheduleMode: setting.schedule_mode,
+          time
+        });
+      }
+    }
+  }
+  return slots.sort((a, b) => a.at.localeCompare(b.at));
+}
+
+async function getAutoPostSettings(accountId) {
+  const sb = getDb();
+  let query = sb.from('auto_post_settings')
+    .select('id, account_id, post_type, enabled, schedule_times, schedule_mode, x_accounts(timezone)')
+    .eq('enabled', true);
+  if (accountId) query = query.eq('account_id', accountId);
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Everything the calendar shows for [from, to): scheduled and failed posts
+ * at their scheduled time, posted ones at their posting time, the drafts
+ * tray (undated) and the auto-post slots.
+ * @param {{ accountId?: string, from: Date, to: Date }} range - accountId omitted = all accounts
+ */
+async function getCalendar({ accountId, from, to }) {
+  const sb = getDb();
+  const fromIso = from.toISOString();
+  const toIso = to.toISOString();
+  const forAccount = (query) => (accountId ? query.eq('account_id', accountId) : query);
+
+  const [scheduled, posted, drafts, settings] = await Promise.all([
+    forAccount(sb.from('my_posts').select(POST_FIELDS))
+      .in('status', ['scheduled', 'failed'])
+      .gte('scheduled_at', fromIso)
+      .lt('scheduled_at', toIso)
+      .order('scheduled_at', { ascending: true }),
+    forAccount(sb.from('my_posts').select(POST_FIELDS))
+      .eq('status', 'posted')
+      .gte('posted_at', fromIso)
+      .lt('posted_at', toIso)
+      .order('posted_at', { ascending: true }),
+    forAccount(sb.from('my_posts').select(POST_FIELDS))
+      .eq('status', 'draft')
+      .order('created_at', { ascending: false })
+      .limit(50),
+    getAutoPostSettings(accountId)
+  ]);
+  for (const result of [scheduled, posted, drafts]) {
+    if (result.error) throw result.error;
+  }
+
+  const posts = [
+    ...(scheduled.data || []).map(p => toCalendarPost(p, p.scheduled_at)),
+    ...(posted.data || []).map(p => toCalendarPost(p, p.posted_at))
+  ].sort((a, b) => new Date(a.at) - new Date(b.at));
+
+  return {
+    posts,
+    drafts: (drafts.data || []).map(p => toCalendarPost(p, null)),
+    slots: expandAutoPostSlots(settings, from, to)
+  };
+}
+
+/**
+ * Scheduled posts of the account within windowMinutes of scheduledAt, and
+ * auto-post slots that publish immediately in that window.
+ * @param {{ accountId: string, scheduledAt: string, excludeId?: number|string, windowMinutes?: number }} params
+ * @returns {Promise<Array<{ type: 'post'|'slot', at: string, id?: number, text?: string, postType?: string }>>}
+ */
+async function findScheduleConflicts({ accountId, scheduledAt, excludeId, windowMinutes = CONFLICT_WINDOW_MINUTES }) {
+  const at = new Date(scheduledAt).getTime();
+  // An unparsable time is left for the database to reject
+  if (isNaN(at)) return [];
+  // Both bounds are exclusive: a post exactly windowMinutes away is fine
+  const from = new Date(at - windowMinutes * MINUTE_MS);
+  const to = new Date(at + windowMinutes * MINUTE_MS);
+
+  const sb = getDb();
+  let query = sb.from('my_posts')
+    .select('id, text, scheduled_at')
+    .eq('account_id', accountId)
+    .eq('status', 'scheduled')
+    .gt('scheduled_at', from.toISOString())
+    .lt('scheduled_at', to.toISOString());
+  if (excludeId !== undefined && excludeId !== null) query = query.neq('id', excludeId);
+  const { data, error } = await query.order('scheduled_at', { ascending: true });
+  if (error) throw error;
+
+  const postConflicts = (data || []).map(p => ({ type: 'post', id: p.id, text: p.text, at: p.scheduled_at }));
+  const slotConflicts = expandAutoPostSlots(await getAutoPostSettings(accountId), new Date(from.getTime() + 1), to)
+    .filter(slot => slot.scheduleMode === 'immediate')
+    .map(slot => ({ type: 'slot', at: slot.at, postType: slot.postType }));
+
+  return [...postConflicts, ...slotConflicts];
+}
+
+module.exports = {
+  getCalendar,
+  expandAutoPostSlots,
+  findScheduleConflicts,
+  CONFLICT_WINDOW_MINUTES,
+  MAX_CALENDAR_DAYS
+};
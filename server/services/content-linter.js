@@ -0,0 +1,121 @@
+const { getDb } = require('../db/database');
+const { getPersona } = require('./persona');
+const { weightedLength, MAX_WEIGHTED_LENGTH } = require('../../shared/tweet-length');
+
+// Per-account policy for candidates that fail the lint:
+// off = not checked, draft = kept as a draft for review, block = discarded
+const LINT_POLICIES = ['off', 'draft', 'block'];
+const DEFAULT_LINT_POLICY = 'draft';
+
+const EMOJI_PATTERN = /\p{Extended_Pictographic}/gu;
+// P1 記号残骸: arrows, brackets and bullets the model uses as decoration
+const DECORATION_PATTERN = /[→←↑↓⇒⇔➡【】★☆■□◆◇●◎▶▷▼▽▲△♪✓✔]/gu;
+const HASHTAG_PATTERN = /(?:^|[^\p{L}\p{N}_&])([#＃][\p{L}\p{N}_]+)/gu;
+// P4 保険表現
+const HEDGE_PHRASES = [
+  'かもしれません',
+  'かもしれない',
+  '一概には言えません',
+  '一概には言えない',
+  'と言えるでしょう',
+  'と思われます',
+  '可能性があります'
+];
+
+const RULE_LABELS = {
+  emoji: '絵文字',
+  decoration: '装飾記号',
+  hashtag: 'ハッシュタグ',
+  platform: 'プラットフォーム名',
+  banned_word: '使わない語句',
+  hedge: '保険表現',
+  length: '文字数超過'
+};
+
+const unique = (values) => [...new Set(values)];
+
+function findWords(text, words) {
+  const lower = text.toLowerCase();
+  return words.filter(word => word && lower.includes(word.toLowerCase()));
+}
+
+/**
+ * Check one post body against the rules.
+ * @param {string} text
+ * @param {{ hiddenPlatforms?: string[], bannedWords?: string[] }} [context]
+ * @returns {Array<{ rule: string, matches: string[] }>} empty when clean
+ */
+function lintText(text, context = {}) {
+  if (!text) return [];
+  const decoration = unique(text.match(DECORATION_PATTERN) || []);
+  const found = {
+    // ★ and friends are pictographic too; report them once, as decoration
+    emoji: unique(text.match(EMOJI_PATTERN) || []).filter(c => !decoration.includes(c)),
+    decoration,
+    hashtag: unique([...text.matchAll(HASHTAG_PATTERN)].map(m => m[1])),
+    platform: findWords(text, context.hiddenPlatforms || []),
+    banned_word: findWords(text, context.bannedWords || []),
+    hedge: HEDGE_PHRASES.filter(phrase => text.includes(phrase))
+  };
+  // 一概には言えない is also matched by 一概には言えません; report the longer one only
+  found.hedge = found.hedge.filter(p => !found.hedge.some(q => q !== p && q.includes(p)));
+
+  const length = weightedLength(text);
+  if (length > MAX_WEIGHTED_LENGTH) found.length = [`${length}/${MAX_WEIGHTED_LENGTH}`];
+
+  return Object.entries(found)
+    .filter(([, matches]) => matches && matches.length > 0)
+    .map(([rule, matches]) => ({ rule, matches }));
+}
+
+/**
+ * Lint a candidate, or every part of a thread (threadParts holds all parts,
+ * the first one included). Violations in a thread carry the 1-based part number.
+ * @param {{ text: string, threadParts?: string[] }} post
+ * @param {{ policy?: string, hiddenPlatforms?: string[], bannedWords?: string[] }} [context]
+ * @returns {Array<{ rule: string, matches: string[], part?: number }>}
+ */
+function lintPost(post, context = {}) {
+  if (context.policy === 'off') return [];
+  if (!Array.isArray(post.threadParts) || post.threadParts.length < 2) return lintText(post.text, context);
+  return post.threadParts.flatMap((text, i) => lintText(text, context).map(v => ({ ...v, part: i + 1 })));
+}
+
+/** One-line Japanese summary, e.g. "絵文字（😀）、ハッシュタグ（#京都）" */
+function formatViolations(violations) {
+  return violations
+    .map(v => `${v.part ? `[${v.part}] ` : ''}${RULE_LABELS[v.rule] || v.rule}（${v.matches.join('、')}）`)
+    .join('、');
+}
+
+/**
+ * Policy and persona word lists for an account. Falls back to the default
+ * policy when x_accounts has no lint_policy yet.
+ */
+async function getLintContext(accountId) {
+  const loadPolicy = async () => {
+    if (!accountId) return DEFAULT_LINT_POLICY;
+    try {
+      const sb = getDb();
+      const { data } = await sb.from('x_accounts')
+        .select('lint_policy')
+        .eq('id', accountId)
+        .single();
+      return LINT_POLICIES.includes(data?.lint_policy) ? data.lint_policy : DEFAULT_LINT_POLICY;
+    } catch (err) {
+      return DEFAULT_LINT_POLICY;
+    }
+  };
+  const [policy, persona] = await Promise.all([loadPolicy(), getPersona(accountId)]);
+  return { policy, hiddenPlatforms: persona.hidden_platforms, bannedWords: persona.banned_words };
+}
+
+module.exports = {
+  lintText,
+  lintPost,
+  formatViolations,
+  getLintContext,
+  LINT_POLICIES,
+  DEFAULT_LINT_POLICY,
+  HEDGE_PHRASES
+};
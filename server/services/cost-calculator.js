@@ -1,6 +1,6 @@
 const modelPricing = require('../config/model-pricing');
 const { getDb } = require('../db/database');
-const { getStartOfMonthJST } = require('../utils/date-utils');
+const { getStartOfMonth, resolveTimeZone } = require('../utils/date-utils');
 
 function getProviderForModel(modelId) {
   for (const [provider, models] of Object.entries(modelPricing)) {
@@ -85,9 +85,27 @@ async function logDetailedUsage(params) {
   return estimatedCost;
 }
 
+/**
+ * Timezone the monthly budgets reset in. Budgets are shared by all accounts,
+ * so this is its own setting (budget_timezone) rather than an account's.
+ */
+async function getBudgetTimeZone() {
+  const sb = getDb();
+  const { data } = await sb.from('settings')
+    .select('value').eq('key', 'budget_timezone').single();
+  return resolveTimeZone(data?.value);
+}
+
+/**
+ * Start of the current budget month as a UTC ISO string.
+ */
+async function getBudgetMonthStart(now = new Date()) {
+  return getStartOfMonth(now, await getBudgetTimeZone());
+}
+
 async function getMonthlyCostSummary() {
   const sb = getDb();
-  const startOfMonth = getStartOfMonthJST();
+  const startOfMonth = await getBudgetMonthStart();
 
   let allRows = [];
   try {
@@ -262,7 +280,7 @@ async function checkBudgetStatus() {
   const summary = await getMonthlyCostSummary();
 
   // Also add old api_usage_log costs
-  const startOfMonth = getStartOfMonthJST();
+  const startOfMonth = await getBudgetMonthStart();
   const { data: oldRows } = await sb.from('api_usage_log')
     .select('cost_usd')
     .gte('created_at', startOfMonth);
@@ -297,5 +315,7 @@ module.exports = {
   getDailyCosts,
   getOptimizationScore,
   checkBudgetStatus,
+  getBudgetTimeZone,
+  getBudgetMonthStart,
   getProviderForModel
 };
@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const { getDb } = require('../db/database');
+const { logWarn } = require('./app-logger');
+const { tfidfVectors, cosineSimilarity } = require('../utils/text-similarity');
+
+// How many of the account's latest posted/scheduled posts a candidate is compared with
+const RECENT_POST_LIMIT = 50;
+
+// Score at or above which a candidate counts as a near-duplicate. Embeddings
+// score any two posts on the same subject fairly high, while a retold
+// anecdote shares only some of its character bigrams with the original
+// (unrelated posts stay below about 0.15), so the two scales need different bars.
+const DUPLICATE_THRESHOLDS = {
+  embedding: 0.88,
+  tfidf: 0.25
+};
+
+const postText = (post) => (Array.isArray(post.thread_parts) && post.thread_parts.length > 1
+  ? post.thread_parts.join('\n')
+  : post.text || '');
+
+async function getRecentPosts(accountId, limit = RECENT_POST_LIMIT) {
+  const sb = getDb();
+  const { data, error } = await sb.from('my_posts')
+    .select('id, text, thread_parts')
+    .eq('account_id', accountId)
+    .in('status', ['posted', 'scheduled'])
+    .order('created_at', { ascending: false })
+    .limit(limit);
+  if (error) throw error;
+  return (data || []).filter(post => postText(post).trim());
+}
+
+const hashText = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+/**
+ * Stored embeddings of the history posts for the model, by index into
+ * history. A post whose text changed since it was embedded is left out.
+ * A failed read only means every post is embedded again.
+ */
+async function loadCachedEmbeddings(history, historyTexts, model, accountId) {
+  const cached = new Map();
+  if (history.length === 0) return cached;
+  try {
+    const sb = getDb();
+    const { data, error } = await sb.from('post_embeddings')
+      .select('post_id, text_hash, embedding')
+      .eq('model', model)
+      .in('post_id', history.map(post => post.id));
+    if (error) throw error;
+    const byPost = new Map((data || []).map(row => [row.post_id, row]));
+    history.forEach((post, i) => {
+      const row = byPost.get(post.id);
+      if (row && row.text_hash === hashText(historyTexts[i])) cached.set(i, row.embedding);
+    });
+  } catch (err) {
+    logWarn('system', '投稿の埋め込みキャッシュを読み込めませんでした', { accountId, error: err.message });
+  }
+  return cached;
+}
+
+async function saveEmbeddings(rows, accountId) {
+  try {
+    const sb = getDb();
+    const { error } = await sb.from('post_embeddings').upsert(rows, { onConflict: 'post_id,model' });
+    if (error) throw error;
+  } catch (err) {
+    logWarn('system', '投稿の埋め込みキャッシュを保存できませんでした', { accountId, error: err.message });
+  }
+}
+
+/**
+ * Vectors for the candidates and the history posts, from the provider's
+ * embeddings when it has them, otherwise (or when the embeddings call fails)
+ * local TF-IDF over shingles. History posts already embedded with the same
+ * model come from post_embeddings, so each run only pays for the candidates
+ * and the posts that are new or edited since the last run.
+ */
+async function vectorize(texts, history, historyTexts, provider, accountId) {
+  if (provider) {
+    try {
+      const model = provider.embeddingModel ? provider.embeddingModel() : null;
+      const cached = model ? await loadCachedEmbeddings(history, historyTexts, model, accountId) : new Map();
+      const missing = history.map((_, i) => i).filter(i => !cached.has(i));
+      const embedded = await provider.embed([...texts, ...missing.map(i => historyTexts[i])], { accountId });
+      if (embedded && embedded.length === texts.length + missing.length) {
+        const historyVectors = history.map((_, i) => cached.get(i));
+        missing.forEach((i, j) => { historyVectors[i] = embedded[texts.length + j]; });
+        if (model && missing.length > 0) {
+          await saveEmbeddings(missing.map(i => ({
+            post_id: history[i].id,
+            model,
+            text_hash: hashText(historyTexts[i]),
+            embedding: historyVectors[i]
+          })), accountId);
+        }
+        return { method: 'embedding', vectors: embedded.slice(0, texts.length), historyVectors };
+      }
+    } catch (err) {
+      logWarn('ai', '埋め込みの取得に失敗したためローカルの類似度計算に切り替えました', { accountId, error: err.message });
+    }
+  }
+  const vectors = tfidfVectors([...texts, ...historyTexts]);
+  return { method: 'tfidf', vectors: vectors.slice(0, texts.length), historyVectors: vectors.slice(texts.length) };
+}
+
+/**
+ * Compare each candidate with the account's recent posted and scheduled
+ * posts, and with the candidates before it that were not duplicates
+ * themselves (postId is null for those). Never throws: when the history
+ * cannot be read every candidate passes with a null score.
+ * @param {string} accountId
+ * @param {string[]} texts - candidate bodies (threads joined with newlines)
+ * @param {{ provider?: object, limit?: number }} [options] - provider supplies embeddings
+ * @returns {Promise<Array<{ score: number|null, postId: number|null, text: string|null, method: string|null, duplicate: boolean }>>}
+ */
+async function checkDuplicates(accountId, texts, { provider = null, limit = RECENT_POST_LIMIT } = {}) {
+  const passAll = () => texts.map(() => ({ score: null, postId: null, text: null, method: null, duplicate: false }));
+  if (texts.length === 0) return [];
+
+  let history;
+  try {
+    history = await getRecentPosts(accountId, limit);
+  } catch (err) {
+    logWarn('system', '類似投稿チェック用の投稿履歴を取得できませんでした', { accountId, error: err.message });
+    return passAll();
+  }
+  if (history.length === 0 && texts.length < 2) return passAll();
+
+  const historyTexts = history.map(postText);
+  const { method, vectors, historyVectors } = await vectorize(texts, history, historyTexts, provider, accountId);
+  const threshold = DUPLICATE_THRESHOLDS[method];
+  const references = history.map((post, i) => ({ postId: post.id, text: historyTexts[i], vector: historyVectors[i] }));
+
+  return texts.map((text, i) => {
+    let best = { score: 0, postId: null, text: null };
+    for (const ref of references) {
+      const score = cosineSimilarity(vectors[i], ref.vector);
+      if (score > best.score) best = { score, postId: ref.postId, text: ref.text };
+    }
+    const duplicate = best.score >= threshold;
+    // Later candidates must not repeat this one either
+    if (!duplicate) references.push({ postId: null, text, vector: vectors[i] });
+    return { ...best, score: Math.round(best.score * 100) / 100, method, duplicate };
+  });
+}
+
+/** Stored on my_posts.similarity and shown next to drafts. */
+function toSimilarityRecord(result) {
+  if (!result || result.score === null) return null;
+  return { score: result.score, post_id: result.postId, method: result.method };
+}
+
+/** e.g. "類似度92%（投稿 #41）" */
+function formatSimilarity(result) {
+  const target = result.postId ? `投稿 #${result.postId}` : '同時に生成した案';
+  return `類似度${Math.round(result.score * 100)}%（${target}）`;
+}
+
+module.exports = {
+  checkDuplicates,
+  toSimilarityRecord,
+  formatSimilarity,
+  RECENT_POST_LIMIT,
+  DUPLICATE_THRESHOLDS
+};
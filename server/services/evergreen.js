@@ -0,0 +1,131 @@
+const { getDb } = require('../db/database');
+const { regenerateWithFeedback } = require('./feedback-regenerator');
+
+// Days an entry waits between re-posts when the setting has no value
+const DEFAULT_MIN_GAP_DAYS = 30;
+
+// Feedback handed to the regenerate flow: X rejects a verbatim repeat of a recent tweet
+const REWRITE_FEEDBACK = '過去に投稿した内容の再投稿です。伝えている内容・エピソード・主張は変えずに、書き出しと言い回しを変えて書き直してください。元の文と同じ文を含めないこと。';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const entryText = (entry) => (Array.isArray(entry.thread_parts) && entry.thread_parts.length > 1
+  ? entry.thread_parts.join('\n')
+  : entry.text);
+
+async function listEvergreenPosts(accountId) {
+  const sb = getDb();
+  let query = sb.from('evergreen_posts')
+    .select('*')
+    .order('last_queued_at', { ascending: true, nullsFirst: true });
+  if (accountId) query = query.eq('account_id', accountId);
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Add a posted post to its account's pool. The original posting time counts
+ * as the last time it went out, so the minimum gap applies from there.
+ */
+async function addEvergreenPost(postId) {
+  const sb = getDb();
+  const { data: post } = await sb.from('my_posts')
+    .select('id, account_id, text, thread_parts, status, posted_at')
+    .eq('id', postId)
+    .single();
+  if (!post) throw new Error('投稿が見つかりません');
+  if (post.status !== 'posted') throw new Error('投稿済みの投稿だけを追加できます');
+
+  const { data, error } = await sb.from('evergreen_posts')
+    .insert({
+      account_id: post.account_id,
+      source_post_id: post.id,
+      text: post.text,
+      thread_parts: Array.isArray(post.thread_parts) && post.thread_parts.length > 1 ? post.thread_parts : null,
+      last_queued_at: post.posted_at || null
+    })
+    .select()
+    .single();
+  if (error) {
+    if (error.code === '23505') throw new Error('すでにエバーグリーンに追加されています');
+    throw error;
+  }
+  return data;
+}
+
+async function setEvergreenEnabled(id, enabled) {
+  const sb = getDb();
+  const { data, error } = await sb.from('evergreen_posts')
+    .update({ enabled })
+    .eq('id', id)
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+async function removeEvergreenPost(id) {
+  const sb = getDb();
+  const { error } = await sb.from('evergreen_posts').delete().eq('id', id);
+  if (error) throw error;
+}
+
+/**
+ * Enabled entries that have not gone out for at least minGapDays, the ones
+ * waiting longest (or never re-posted) first.
+ */
+async function pickDueEvergreenPosts(accountId, count, minGapDays = DEFAULT_MIN_GAP_DAYS, now = new Date()) {
+  const cutoff = new Date(now.getTime() - minGapDays * DAY_MS).toISOString();
+  const sb = getDb();
+  const { data, error } = await sb.from('evergreen_posts')
+    .select('*')
+    .eq('account_id', accountId)
+    .eq('enabled', true)
+    .or(`last_queued_at.is.null,last_queued_at.lte.${cutoff}`)
+    .order('last_queued_at', { ascending: true, nullsFirst: true })
+    .limit(count);
+  if (error) throw error;
+  return data || [];
+}
+
+/** Record that an entry went back out at `at` (scheduled, drafted or posted). */
+async function markEvergreenQueued(entry, at) {
+  const sb = getDb();
+  const { error } = await sb.from('evergreen_posts')
+    .update({ last_queued_at: new Date(at).toISOString(), repost_count: (entry.repost_count || 0) + 1 })
+    .eq('id', entry.id);
+  if (error) throw error;
+}
+
+/**
+ * Rewrite an entry through the regenerate flow so the re-post is not a
+ * verbatim duplicate. Returns the first candidate with the provider and
+ * model that wrote it; throws when nothing usable comes back.
+ */
+async function rewriteForRepost(entry, { provider, model } = {}) {
+  const result = await regenerateWithFeedback({
+    originalText: entryText(entry),
+    feedback: REWRITE_FEEDBACK,
+    postType: 'new',
+    provider,
+    model: model || undefined,
+    accountId: entry.account_id
+  });
+  const original = entryText(entry).trim();
+  const candidate = (result.candidates || []).find(c => c.text && c.text.trim() && c.text.trim() !== original);
+  if (!candidate) throw new Error('書き直し案が生成されませんでした');
+  return { candidate, provider: result.provider, model: result.model };
+}
+
+module.exports = {
+  listEvergreenPosts,
+  addEvergreenPost,
+  setEvergreenEnabled,
+  removeEvergreenPost,
+  pickDueEvergreenPosts,
+  markEvergreenQueued,
+  rewriteForRepost,
+  DEFAULT_MIN_GAP_DAYS,
+  REWRITE_FEEDBACK
+};
@@ -0,0 +1,58 @@
+const { getDb } = require('../db/database');
+const { getAIProvider } = require('./ai-provider');
+
+function buildRegeneratePrompt(originalText, feedback) {
+  return `以下の既存ツイートに対して、ユーザーからフィードバックがありました。
+フィードバックを反映して改善版を3パターン生成してください。
+
+# 元のツイート
+${originalText}
+
+# ユーザーからのフィードバック
+${feedback}
+
+# 指示
+- フィードバックの内容を正確に反映すること
+- 元のツイートの良い部分は維持しつつ改善すること
+- 3案それぞれ異なるアプローチで改善すること`;
+}
+
+/**
+ * Generate improved versions of a post from feedback (POST /api/ai/regenerate
+ * and the evergreen rewrite). Without an explicit provider the account's
+ * default provider and model are used, then Claude.
+ * @param {{ originalText: string, feedback: string, postType?: string, provider?: string, model?: string, accountId?: string }} params
+ * @returns {Promise<object>} generateTweets result ({ candidates, provider, model, ... })
+ */
+async function regenerateWithFeedback({ originalText, feedback, postType, provider, model, accountId }) {
+  let providerName = provider;
+  let modelName = model;
+
+  if (!providerName && accountId) {
+    const sb = getDb();
+    const { data: account } = await sb.from('x_accounts')
+      .select('default_ai_provider, default_ai_model')
+      .eq('id', accountId)
+      .single();
+    if (account) {
+      providerName = account.default_ai_provider;
+      modelName = modelName || account.default_ai_model;
+    }
+  }
+  if (!providerName) providerName = 'claude';
+
+  const aiProvider = getAIProvider(providerName, { failover: true });
+
+  const options = {
+    postType: postType || 'new',
+    model: modelName,
+    accountId: accountId || null,
+    customPrompt: buildRegeneratePrompt(originalText, feedback),
+    // Rewrites are not attributed to a prompt experiment
+    experiment: false
+  };
+
+  return aiProvider.generateTweets('フィードバック再生成', options);
+}
+
+module.exports = { regenerateWithFeedback, buildRegeneratePrompt };
@@ -1,9 +1,14 @@
 const { getDb } = require('../db/database');
-const { getTweetMetrics, getOwnProfile, checkXApiBudget } = require('./x-api');
+const { getTweetMetrics, getOwnProfile, checkXApiBudget, waitForRateLimit } = require('./x-api');
 const { calculateEngagementRate } = require('./analytics');
 
+// GET /2/tweets accepts up to 100 IDs per request
+const METRICS_CHUNK_SIZE = 100;
+
 /**
- * Refresh engagement metrics for own posted tweets
+ * Refresh engagement metrics for own posted tweets.
+ * Requests are paced against the GET /2/tweets rate-limit window; chunks
+ * that do not fit are left for the next refresh (reported as `deferred`).
  */
 async function refreshOwnPostMetrics(accountId) {
   const sb = getDb();
@@ -33,7 +38,15 @@ async function refreshOwnPostMetrics(accountId) {
   if (tweetIds.length === 0) return { updated: 0 };
 
   try {
-    const metrics = await getTweetMetrics(tweetIds, effectiveAccountId);
+    const metrics = [];
+    let deferred = 0;
+    for (let i = 0; i < tweetIds.length; i += METRICS_CHUNK_SIZE) {
+      if (!(await waitForRateLimit('GET /2/tweets', effectiveAccountId, { pace: true }))) {
+        deferred = tweetIds.length - i;
+        break;
+      }
+      metrics.push(...await getTweetMetrics(tweetIds.slice(i, i + METRICS_CHUNK_SIZE), effectiveAccountId));
+    }
 
     let updated = 0;
     for (const tweet of metrics) {
@@ -66,6 +79,10 @@ async function refreshOwnPostMetrics(accountId) {
     }
 
     console.log(`Refreshed metrics for ${updated}/${posts.length} own posts`);
+    if (deferred > 0) {
+      console.log(`Deferred metrics refresh for ${deferred} posts (rate limit)`);
+      return { updated, deferred, reason: 'rate_limited' };
+    }
     return { updated };
   } catch (err) {
     console.error('Error refreshing own post metrics:', err.message);
@@ -136,10 +153,12 @@ async function getFollowerGrowth(accountId, days = 90) {
 async function getGrowthDashboard(accountId) {
   const sb = getDb();
   const now = new Date();
-  const { getStartOfMonthJST, getStartOfLastMonthJST, getEndOfLastMonthJST } = require('../utils/date-utils');
-  const startOfMonth = getStartOfMonthJST(now);
-  const startOfLastMonth = getStartOfLastMonthJST(now);
-  const endOfLastMonth = getEndOfLastMonthJST(now);
+  const { getStartOfMonth, getStartOfLastMonth, getEndOfLastMonth } = require('../utils/date-utils');
+  const { getAccountTimeZone } = require('./account-timezone');
+  const timeZone = await getAccountTimeZone(accountId);
+  const startOfMonth = getStartOfMonth(now, timeZone);
+  const startOfLastMonth = getStartOfLastMonth(now, timeZone);
+  const endOfLastMonth = getEndOfLastMonth(now, timeZone);
 
   // Own posts this month with metrics
   let ownPostsQuery = sb.from('my_posts')
@@ -0,0 +1,325 @@
+const { getDb } = require('../db/database');
+const { searchRecentTweets, getTweetMetrics, checkXApiBudget, waitForRateLimit } = require('./x-api');
+const { calculateEngagementRate, calculateVelocityScore } = require('./analytics');
+const { SNAPSHOT_WINDOW_HOURS } = require('./competitor-snapshots');
+const { logError, logWarn } = require('./app-logger');
+
+const SEARCH_ENDPOINT = 'GET /2/tweets/search/recent';
+const MONITOR_MAX_RESULTS = 100;
+// Pages read per run (reading a backfill range included); see runKeywordMonitor
+const MONITOR_MAX_PAGES = 5;
+// GET /2/tweets accepts up to 100 IDs per request
+const METRICS_CHUNK_SIZE = 100;
+
+/**
+ * Build the X search query for a monitor. Retweets and replies are
+ * excluded so matches are original posts worth replying to or quoting.
+ */
+function buildMonitorQuery(monitor) {
+  let query = monitor.query.trim();
+  if (monitor.language) query += ` lang:${monitor.language}`;
+  query += ' -is:retweet -is:reply';
+  return query;
+}
+
+function isMonitorDue(monitor, now = new Date()) {
+  if (!monitor.last_run_at) return true;
+  const elapsedMs = new Date(now) - new Date(monitor.last_run_at);
+  return elapsedMs >= (monitor.interval_hours || 24) * 60 * 60 * 1000;
+}
+
+function toMonitorTweetRow(monitor, tweet, usersById) {
+  const metrics = tweet.public_metrics || {};
+  const counts = {
+    like_count: metrics.like_count || 0,
+    retweet_count: metrics.retweet_count || 0,
+    reply_count: metrics.reply_count || 0,
+    impression_count: metrics.impression_count || 0,
+    quote_count: metrics.quote_count || 0,
+    bookmark_count: metrics.bookmark_count || 0
+  };
+  const author = usersById.get(tweet.author_id) || {};
+
+  return {
+    monitor_id: monitor.id,
+    tweet_id: tweet.id,
+    author_id: tweet.author_id,
+    author_handle: author.username || null,
+    author_name: author.name || null,
+    author_followers_count: author.public_metrics?.followers_count || 0,
+    text: tweet.text,
+    created_at_x: tweet.created_at,
+    ...counts,
+    engagement_rate: calculateEngagementRate(counts),
+    velocity_score: calculateVelocityScore(counts, tweet.created_at)
+  };
+}
+
+/**
+ * Search a monitor's matches between sinceId and untilId (both exclusive),
+ * newest first. pagesRead counts the pages this run already used: the run
+ * shares MONITOR_MAX_PAGES and paces every page after its first.
+ *
+ * complete is false when the page cap or the rate limit stopped the search
+ * before it reached sinceId; the unread matches are then older than oldestId.
+ * @returns {Promise<{ tweets: object[], users: object[], newestId: string|null, oldestId: string|null, pages: number, complete: boolean }>}
+ */
+async function searchMonitorRange(monitor, { sinceId, untilId }, pagesRead = 0) {
+  const tweets = [];
+  const users = [];
+  let newestId = null;
+  let oldestId = null;
+  let nextToken;
+  let pages = 0;
+  let stopped = false;
+  do {
+    if (pagesRead + pages > 0 && !(await waitForRateLimit(SEARCH_ENDPOINT, monitor.account_id, { pace: true }))) {
+      stopped = true;
+      break;
+    }
+    let result;
+    try {
+      result = await searchRecentTweets(buildMonitorQuery(monitor), monitor.account_id, MONITOR_MAX_RESULTS, {
+        sinceId,
+        untilId,
+        nextToken
+      });
+    } catch (err) {
+      // Keep what the earlier pages returned; the caller records where to resume
+      if (err.rateLimited && pagesRead + pages > 0) {
+        stopped = true;
+        break;
+      }
+      throw err;
+    }
+    pages++;
+    if (result.data) tweets.push(...result.data);
+    if (result.includes?.users) users.push(...result.includes.users);
+    if (!newestId) newestId = result.meta?.newest_id || result.data?.[0]?.id || null;
+    oldestId = result.meta?.oldest_id || result.data?.[result.data.length - 1]?.id || oldestId;
+    nextToken = result.meta?.next_token;
+  } while (nextToken && pagesRead + pages < MONITOR_MAX_PAGES);
+
+  return { tweets, users, newestId, oldestId, pages, complete: !stopped && !nextToken };
+}
+
+/**
+ * Run one monitor: search for tweets newer than its newest_tweet_id and
+ * store every match in monitor_tweets. min_engagement is applied when
+ * candidates are read (a fresh tweet rarely has its engagement yet), and
+ * refreshMonitorTweetMetrics keeps the stored metrics current.
+ *
+ * Pages through up to MONITOR_MAX_PAGES. When that (or the rate limit) cuts
+ * the search short, newest_tweet_id still moves to the newest match read and
+ * the unread range below it is kept in backfill_since_id..backfill_until_id;
+ * later runs read that range with until_id before searching for newer matches.
+ * @returns {Promise<{ matched: number }>}
+ */
+async function runKeywordMonitor(monitor) {
+  const sb = getDb();
+  const tweets = [];
+  const users = [];
+  const progress = {};
+  let pagesRead = 0;
+  let gapOpen = false;
+
+  if (monitor.backfill_until_id) {
+    const gap = await searchMonitorRange(monitor, {
+      sinceId: monitor.backfill_since_id || undefined,
+      untilId: monitor.backfill_until_id
+    });
+    tweets.push(...gap.tweets);
+    users.push(...gap.users);
+    pagesRead = gap.pages;
+    if (gap.complete) {
+      progress.backfill_since_id = null;
+      progress.backfill_until_id = null;
+    } else {
+      gapOpen = true;
+      if (gap.oldestId) progress.backfill_until_id = gap.oldestId;
+    }
+  }
+
+  if (!gapOpen && pagesRead < MONITOR_MAX_PAGES) {
+    const sinceId = monitor.newest_tweet_id || undefined;
+    const latest = await searchMonitorRange(monitor, { sinceId }, pagesRead);
+    tweets.push(...latest.tweets);
+    users.push(...latest.users);
+    if (latest.newestId) progress.newest_tweet_id = latest.newestId;
+    // The first run only seeds the newest matches; afterwards the gap down to since_id is kept
+    if (!latest.complete && sinceId && latest.oldestId) {
+      logWarn('competitor', `キーワード監視「${monitor.query}」の一致を ${latest.tweets.length} 件で打ち切りました（残りは次回以降に補完）`, {
+        monitorId: monitor.id,
+        sinceId,
+        untilId: latest.oldestId
+      });
+      progress.backfill_since_id = sinceId;
+      progress.backfill_until_id = latest.oldestId;
+    }
+  }
+
+  const usersById = new Map(users.map(u => [u.id, u]));
+  const rows = tweets.map(tweet => toMonitorTweetRow(monitor, tweet, usersById));
+
+  if (rows.length > 0) {
+    const { error } = await sb.from('monitor_tweets')
+      .upsert(rows, { onConflict: 'monitor_id,tweet_id', ignoreDuplicates: true });
+    if (error) throw new Error(`monitor_tweets の保存に失敗: ${error.message}`);
+  }
+
+  await sb.from('keyword_monitors')
+    .update({
+      ...progress,
+      last_run_at: new Date().toISOString(),
+      last_run_tweet_count: rows.length,
+      last_run_error: null
+    })
+    .eq('id', monitor.id);
+
+  console.log(`Keyword monitor ${monitor.id} "${monitor.query}": ${rows.length} tweets stored`);
+  return { matched: rows.length };
+}
+
+/**
+ * Run every enabled monitor whose interval has elapsed.
+ * Searches are paced against the search rate-limit window; monitors that
+ * would exceed it are deferred to the next run instead of failing.
+ * @returns {Promise<{ ran: number, deferred: number[] }>}
+ */
+async function runDueKeywordMonitors() {
+  const sb = getDb();
+  const { data: monitors, error } = await sb.from('keyword_monitors')
+    .select('*')
+    .eq('enabled', true);
+  if (error) throw error;
+
+  let ran = 0;
+  const deferred = [];
+  for (const monitor of (monitors || []).filter(m => isMonitorDue(m))) {
+    if (!(await waitForRateLimit(SEARCH_ENDPOINT, monitor.account_id, { pace: true }))) {
+      deferred.push(monitor.id);
+      continue;
+    }
+    try {
+      await runKeywordMonitor(monitor);
+      ran++;
+    } catch (err) {
+      if (err.rateLimited) {
+        deferred.push(monitor.id);
+        continue;
+      }
+      console.error(`Keyword monitor ${monitor.id} failed:`, err.message);
+      logError('competitor', `キーワード監視「${monitor.query}」の実行に失敗`, { monitorId: monitor.id, error: err.message });
+      await sb.from('keyword_monitors')
+        .update({ last_run_at: new Date().toISOString(), last_run_error: err.message })
+        .eq('id', monitor.id);
+    }
+  }
+
+  if (deferred.length > 0) {
+    logWarn('competitor', `レート制限のため ${deferred.length} 件のキーワード監視を次回に延期`, { monitorIds: deferred });
+  }
+  return { ran, deferred };
+}
+
+/**
+ * Re-measure monitor tweets posted within SNAPSHOT_WINDOW_HOURS and refresh
+ * their metrics, engagement_rate and velocity_score (the pace since the
+ * previous measurement). Runs alongside the competitor snapshots; lookups use
+ * each monitor's account and chunks that do not fit the rate-limit window
+ * are reported as `deferred` for the next run.
+ * @returns {Promise<{ refreshed: number, deferred?: number, reason?: string }>}
+ */
+async function refreshMonitorTweetMetrics() {
+  const sb = getDb();
+  const since = new Date(Date.now() - SNAPSHOT_WINDOW_HOURS * 60 * 60 * 1000).toISOString();
+
+  const { data: rows, error } = await sb.from('monitor_tweets')
+    .select('id, tweet_id, like_count, retweet_count, reply_count, quote_count, fetched_at, metrics_updated_at, keyword_monitors(account_id)')
+    .gte('created_at_x', since);
+  if (error) throw error;
+  if (!rows || rows.length === 0) return { refreshed: 0 };
+
+  const budget = await checkXApiBudget();
+  if (budget.overBudget) {
+    console.log('Skipping monitor tweet refresh - X API budget exceeded');
+    return { refreshed: 0, reason: 'budget_exceeded' };
+  }
+
+  // account -> tweet_id -> rows (one tweet can match several monitors of an account)
+  const byAccount = new Map();
+  for (const row of rows) {
+    const accountId = row.keyword_monitors?.account_id;
+    if (!accountId) continue;
+    if (!byAccount.has(accountId)) byAccount.set(accountId, new Map());
+    const byTweet = byAccount.get(accountId);
+    if (!byTweet.has(row.tweet_id)) byTweet.set(row.tweet_id, []);
+    byTweet.get(row.tweet_id).push(row);
+  }
+
+  let refreshed = 0;
+  let deferred = 0;
+  for (const [accountId, byTweet] of byAccount) {
+    const tweetIds = [...byTweet.keys()];
+    for (let i = 0; i < tweetIds.length; i += METRICS_CHUNK_SIZE) {
+      if (!(await waitForRateLimit('GET /2/tweets', accountId, { pace: true }))) {
+        deferred += tweetIds.length - i;
+        break;
+      }
+      try {
+        const metrics = await getTweetMetrics(tweetIds.slice(i, i + METRICS_CHUNK_SIZE), accountId);
+        refreshed += await saveMonitorTweetMetrics(sb, byTweet, metrics);
+      } catch (err) {
+        console.error(`Monitor tweet refresh failed for account ${accountId}:`, err.message);
+        logError('competitor', `キーワード監視ツイートのメトリクス更新に失敗 (アカウント: ${accountId})`, {
+          accountId,
+          error: err.message
+        });
+        break;
+      }
+    }
+  }
+
+  console.log(`Refreshed metrics of ${refreshed} monitor tweets`);
+  if (deferred > 0) {
+    console.log(`Deferred ${deferred} monitor tweet refreshes (rate limit)`);
+    return { refreshed, deferred, reason: 'rate_limited' };
+  }
+  return { refreshed };
+}
+
+async function saveMonitorTweetMetrics(sb, byTweet, metrics) {
+  const now = new Date();
+  let saved = 0;
+
+  for (const result of metrics) {
+    const pm = result.public_metrics || {};
+    const counts = {
+      like_count: pm.like_count || 0,
+      retweet_count: pm.retweet_count || 0,
+      reply_count: pm.reply_count || 0,
+      quote_count: pm.quote_count || 0,
+      impression_count: pm.impression_count || 0,
+      bookmark_count: pm.bookmark_count || 0
+    };
+
+    for (const row of byTweet.get(result.id) || []) {
+      const { error } = await sb.from('monitor_tweets')
+        .update({
+          ...counts,
+          engagement_rate: calculateEngagementRate(counts),
+          velocity_score: calculateVelocityScore(counts, row.metrics_updated_at || row.fetched_at, now, row),
+          metrics_updated_at: now.toISOString()
+        })
+        .eq('id', row.id);
+      if (error) {
+        console.error(`Error updating metrics for monitor tweet ${row.tweet_id}:`, error.message);
+        continue;
+      }
+      saved++;
+    }
+  }
+  return saved;
+}
+
+module.exports = { buildMonitorQuery, isMonitorDue, runKeywordMonitor, runDueKeywordMonitors, refreshMonitorTweetMetrics };
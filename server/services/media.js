@@ -0,0 +1,90 @@
+const { getDb } = require('../db/database');
+const { uploadMedia } = require('./x-api');
+
+const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+// Images are uploaded as base64 JSON, which grows them by a third, and Vercel
+// rejects request bodies over 4.5MB; 3MB (about 4MB encoded) always fits.
+// X itself accepts up to 5MB.
+const MAX_IMAGE_BYTES = 3 * 1024 * 1024;
+const MAX_ATTACHMENTS = 4;
+const MAX_ALT_TEXT_LENGTH = 1000;
+
+/**
+ * Validate the optional attachmentIds body field.
+ * Returns { ids } (empty array when nothing is attached) or { error }.
+ */
+function parseAttachmentIds(attachmentIds) {
+  if (attachmentIds === undefined || attachmentIds === null) return { ids: [] };
+  if (!Array.isArray(attachmentIds)) return { error: 'attachmentIds must be an array' };
+  if (attachmentIds.length > MAX_ATTACHMENTS) return { error: `attachmentIds supports up to ${MAX_ATTACHMENTS} images` };
+  const ids = attachmentIds.map(id => parseInt(id, 10));
+  if (ids.some(id => !Number.isInteger(id) || id <= 0)) return { error: 'attachmentIds must contain attachment IDs' };
+  return { ids };
+}
+
+/**
+ * Check an uploaded image before storing it.
+ * Returns an error message, or null when the image is acceptable.
+ */
+function validateImage({ mimeType, data, altText }) {
+  if (!ALLOWED_IMAGE_TYPES.includes(mimeType)) return `Unsupported image type: ${mimeType}`;
+  const size = Buffer.byteLength(data || '', 'base64');
+  if (size === 0) return 'data is required';
+  if (size > MAX_IMAGE_BYTES) return 'Image exceeds 3MB';
+  if (altText && altText.length > MAX_ALT_TEXT_LENGTH) {
+    return `altText must be ${MAX_ALT_TEXT_LENGTH} characters or less`;
+  }
+  return null;
+}
+
+/**
+ * Store an uploaded image until it is published. Call validateImage first.
+ * @param {object} params - { accountId, mimeType, data (base64), altText }
+ * @returns {Promise<object>} the attachment row without its data
+ */
+async function createAttachment({ accountId, mimeType, data, altText }) {
+  const buffer = Buffer.from(data, 'base64');
+  const sb = getDb();
+  const { data: row, error } = await sb.from('media_attachments').insert({
+    account_id: accountId,
+    mime_type: mimeType,
+    data: buffer.toString('base64'),
+    size_bytes: buffer.length,
+    alt_text: altText || null
+  }).select('id, account_id, mime_type, size_bytes, alt_text, created_at').single();
+  if (error) throw error;
+  return row;
+}
+
+/**
+ * Upload a post's attachments to X and return the media IDs in order.
+ * Only the posting account's own uploads are used.
+ * Returns an empty array when the post has no attachments.
+ */
+async function prepareMediaIds(attachmentIds, accountId) {
+  if (!Array.isArray(attachmentIds) || attachmentIds.length === 0) return [];
+
+  const sb = getDb();
+  const { data: rows, error } = await sb.from('media_attachments')
+    .select('id, mime_type, data, alt_text')
+    .eq('account_id', accountId)
+    .in('id', attachmentIds);
+  if (error) throw error;
+
+  const byId = new Map((rows || []).map(r => [r.id, r]));
+  const mediaIds = [];
+  for (const id of attachmentIds) {
+    const row = byId.get(id);
+    if (!row) throw new Error(`添付画像が見つかりません: ${id}`);
+    const mediaId = await uploadMedia(Buffer.from(row.data, 'base64'), row.mime_type, {
+      accountId, altText: row.alt_text
+    });
+    mediaIds.push(mediaId);
+  }
+  return mediaIds;
+}
+
+module.exports = {
+  parseAttachmentIds, validateImage, createAttachment, prepareMediaIds,
+  ALLOWED_IMAGE_TYPES, MAX_IMAGE_BYTES, MAX_ATTACHMENTS
+};
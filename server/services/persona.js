@@ -0,0 +1,93 @@
+const { getDb } = require('../db/database');
+const { DEFAULT_PERSONA } = require('../config/persona');
+
+const PERSONA_FIELDS = ['name', 'role', 'headline', 'profile', 'facts', 'stance', 'banned_words', 'hidden_platforms'];
+const LIST_FIELDS = ['profile', 'facts', 'banned_words', 'hidden_platforms'];
+
+function pickPersonaFields(row) {
+  const persona = {};
+  for (const field of PERSONA_FIELDS) {
+    persona[field] = LIST_FIELDS.includes(field)
+      ? (Array.isArray(row[field]) ? row[field] : [])
+      : (row[field] || '');
+  }
+  return persona;
+}
+
+/**
+ * Persona of an account, or the default persona when the account has none
+ * (or no account is given). Never throws: generation falls back to the
+ * default persona when persona_profiles is unavailable.
+ * @returns {Promise<object>} persona fields plus is_default
+ */
+async function getPersona(accountId) {
+  if (accountId) {
+    try {
+      const sb = getDb();
+      const { data } = await sb.from('persona_profiles')
+        .select('*')
+        .eq('account_id', accountId)
+        .single();
+      if (data) return { ...pickPersonaFields(data), is_default: false };
+    } catch (err) {
+      // fall through to the default persona
+    }
+  }
+  return { ...DEFAULT_PERSONA, is_default: true };
+}
+
+async function savePersona(accountId, persona) {
+  const sb = getDb();
+  const { data, error } = await sb.from('persona_profiles')
+    .upsert(
+      { account_id: accountId, ...pickPersonaFields(persona), updated_at: new Date().toISOString() },
+      { onConflict: 'account_id' }
+    )
+    .select()
+    .single();
+  if (error) throw error;
+  return { ...pickPersonaFields(data), is_default: false };
+}
+
+/** Remove an account's persona so it uses the default again. */
+async function deletePersona(accountId) {
+  const sb = getDb();
+  const { error } = await sb.from('persona_profiles').delete().eq('account_id', accountId);
+  if (error) throw error;
+}
+
+function buildProhibitions(persona) {
+  const lines = [];
+  if (persona.hidden_platforms.length > 0) {
+    lines.push(`- 使用プラットフォーム名（${persona.hidden_platforms.join('、')}等）は絶対に出さない`);
+  }
+  if (persona.banned_words.length > 0) {
+    lines.push(`- 次の語句は絶対に使わない：${persona.banned_words.join('、')}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Fill the {persona_*} placeholders of a prompt. Unknown placeholders and
+ * prompts without any (e.g. custom prompts written before personas) are
+ * returned unchanged.
+ */
+function renderPersona(template, persona = DEFAULT_PERSONA) {
+  if (!template) return template;
+  const facts = persona.facts.join('、');
+  const values = {
+    persona_name: persona.name,
+    persona_role: persona.role,
+    persona_intro: `${persona.role ? `${persona.role}・` : ''}${persona.name}${persona.headline ? `（${persona.headline}）` : ''}`,
+    persona_profile: persona.profile.map(line => `- ${line}`).join('\n'),
+    persona_facts: facts || 'プロフィールに書かれた実績',
+    persona_stance: persona.stance || 'プロフィール',
+    persona_prohibitions: buildProhibitions(persona)
+  };
+  return template
+    // A placeholder line with nothing to fill (e.g. no prohibitions) is dropped
+    .replace(/^\{(persona_[a-z]+)\}(?:\n|$)/gm, (match, key) => (values[key] === '' ? '' : match))
+    .replace(/\{(persona_[a-z]+)\}/g, (match, key) => (key in values ? values[key] : match));
+}
+
+module.exports = { getPersona, savePersona, deletePersona, renderPersona, PERSONA_FIELDS, LIST_FIELDS };
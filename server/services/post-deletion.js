@@ -0,0 +1,104 @@
+const { getDb } = require('../db/database');
+const { deleteTweet } = require('./x-api');
+const { logInfo, logError } = require('./app-logger');
+
+const METRIC_FIELDS = [
+  'like_count', 'retweet_count', 'reply_count', 'quote_count',
+  'impression_count', 'bookmark_count', 'engagement_rate'
+];
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Take a posted tweet (or every part of a thread) down from X.
+ *
+ * The my_posts row is kept with status 'deleted', which drops it from the
+ * growth and improvement analyses (they only read 'posted' rows), and a
+ * snapshot goes to post_deletions as the audit trail.
+ *
+ * @param {number|string} postId - my_posts.id
+ * @param {object} options - { source: 'web' | 'telegram', reason }
+ * @returns {Promise<{ postId, tweetIds: string[], deletedAt: string }>}
+ */
+async function deletePostFromX(postId, options = {}) {
+  const { source = 'web', reason = null } = options;
+  const sb = getDb();
+
+  const { data: post, error } = await sb.from('my_posts')
+    .select('*')
+    .eq('id', postId)
+    .single();
+  if (error || !post) throw httpError(404, '投稿が見つかりません');
+  if (post.status !== 'posted' || !post.tweet_id) {
+    throw httpError(400, 'X に投稿済みのツイートのみ削除できます');
+  }
+
+  // Delete thread replies first so the thread never dangles from a missing head
+  const tweetIds = Array.isArray(post.thread_tweet_ids) && post.thread_tweet_ids.length > 0
+    ? post.thread_tweet_ids
+    : [post.tweet_id];
+  for (const tweetId of [...tweetIds].reverse()) {
+    try {
+      const deleted = await deleteTweet(tweetId, { accountId: post.account_id });
+      if (!deleted) throw new Error(`ツイート ${tweetId} を削除できませんでした`);
+    } catch (err) {
+      logError('post_deletion', `X からの削除に失敗しました: post ${postId}`, { postId, tweetId, error: err.message });
+      throw err;
+    }
+  }
+
+  const deletedAt = new Date().toISOString();
+  const { error: updateError } = await sb.from('my_posts')
+    .update({ status: 'deleted', deleted_at: deletedAt })
+    .eq('id', postId);
+  if (updateError) throw updateError;
+
+  const metrics = {};
+  for (const field of METRIC_FIELDS) {
+    if (post[field] !== undefined && post[field] !== null) metrics[field] = post[field];
+  }
+  const { error: auditError } = await sb.from('post_deletions').insert({
+    post_id: post.id,
+    account_id: post.account_id,
+    tweet_ids: tweetIds,
+    text: post.text,
+    post_type: post.post_type,
+    posted_at: post.posted_at,
+    metrics,
+    source,
+    reason,
+    deleted_at: deletedAt
+  });
+  if (auditError) {
+    // The tweet is already gone; keep going but make the gap visible
+    logError('post_deletion', '削除履歴の保存に失敗しました', { postId, error: auditError.message });
+  }
+
+  logInfo('post_deletion', `X から投稿を削除しました: post ${postId}`, { postId, tweetIds, source });
+  return { postId: post.id, tweetIds, deletedAt };
+}
+
+/**
+ * List the deletion audit trail, newest first.
+ * @param {object} options - { accountId, limit }
+ */
+async function getDeletionHistory(options = {}) {
+  const { accountId, limit = 50 } = options;
+  const sb = getDb();
+
+  let query = sb.from('post_deletions')
+    .select('*')
+    .order('deleted_at', { ascending: false })
+    .limit(limit);
+  if (accountId) query = query.eq('account_id', accountId);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+module.exports = { deletePostFromX, getDeletionHistory };
@@ -0,0 +1,226 @@
+const { getDb } = require('../db/database');
+const { getZonedParts, zonedTimeToUtc, DEFAULT_TIMEZONE } = require('../utils/date-utils');
+const { getAccountTimeZone } = require('./account-timezone');
+
+const QUEUE_POST_TYPES = ['new', 'reply', 'quote'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * The next `limit` times after `from` that the enabled weekly slots fall on,
+ * in order. Slot days and times are wall-clock times in the account's timezone,
+ * so a slot keeps its local time across DST changes.
+ * @param {Array<{ id: number, name?: string, day_of_week: number, time: string, enabled?: boolean }>} slots
+ * @param {Date} from
+ * @param {number} limit
+ * @param {string} [timeZone] - IANA timezone, default Asia/Tokyo
+ * @returns {Array<{ at: string, slotId: number, name: string|null }>}
+ */
+function upcomingSlotTimes(slots, from, limit, timeZone = DEFAULT_TIMEZONE) {
+  const active = slots
+    .filter(s => s.enabled !== false && TIME_PATTERN.test(s.time))
+    .sort((a, b) => a.time.localeCompare(b.time));
+  if (active.length === 0 || limit <= 0) return [];
+
+  const { year, month, day: firstDay } = getZonedParts(from, timeZone);
+  // Every slot comes round once a week, so this many weeks always yield `limit` times
+  const dayCount = (Math.ceil(limit / active.length) + 1) * 7;
+
+  const times = [];
+  for (let i = 0; i <= dayCount && times.length < limit; i++) {
+    const day = firstDay + i;
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    for (const slot of active) {
+      if (slot.day_of_week !== weekday) continue;
+      const [hour, minute] = slot.time.split(':').map(Number);
+      const at = zonedTimeToUtc({ year, month, day, hour, minute }, timeZone).getTime();
+      if (at <= from.getTime()) continue;
+      times.push({ at: new Date(at).toISOString(), slotId: slot.id, name: slot.name || null });
+      if (times.length === limit) break;
+    }
+  }
+  return times;
+}
+
+async function fetchSlots(sb, accountId, postType) {
+  const { data, error } = await sb.from('queue_slots')
+    .select('*')
+    .eq('account_id', accountId)
+    .eq('post_type', postType);
+  if (error) throw error;
+  return data || [];
+}
+
+// Queued posts still waiting to go out, in queue order
+async function fetchQueuedPosts(sb, accountId, postType, now) {
+  const { data, error } = await sb.from('my_posts')
+    .select('id, text, thread_parts, scheduled_at, queue_slot_id')
+    .eq('account_id', accountId)
+    .eq('post_type', postType)
+    .eq('status', 'scheduled')
+    .not('queue_slot_id', 'is', null)
+    .gt('scheduled_at', now.toISOString())
+    .order('scheduled_at', { ascending: true })
+    .order('id', { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+async function listQueueSlots(accountId, postType) {
+  const sb = getDb();
+  let query = sb.from('queue_slots')
+    .select('*')
+    .eq('account_id', accountId)
+    .order('day_of_week', { ascending: true })
+    .order('time', { ascending: true });
+  if (postType) query = query.eq('post_type', postType);
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * The next `count` free slot times of an account's queue for a post type.
+ * Empty when the account has no enabled slots for it.
+ * @returns {Promise<Array<{ at: string, slotId: number, name: string|null }>>}
+ */
+async function allocateQueueSlots(accountId, postType, count = 1, now = new Date()) {
+  const sb = getDb();
+  const [slots, queued, timeZone] = await Promise.all([
+    fetchSlots(sb, accountId, postType),
+    fetchQueuedPosts(sb, accountId, postType, now),
+    getAccountTimeZone(accountId)
+  ]);
+  const taken = new Set(queued.map(p => new Date(p.scheduled_at).getTime()));
+  return upcomingSlotTimes(slots, now, count + queued.length, timeZone)
+    .filter(t => !taken.has(new Date(t.at).getTime()))
+    .slice(0, count);
+}
+
+/**
+ * Lay an account's queued posts back onto consecutive slot times, keeping
+ * their order, so the queue closes up after a post leaves it or the slots
+ * change. With withoutSlotId the posts move off that slot (about to be
+ * deleted). Posts left with no slot at all keep their time as an explicit one.
+ * @returns {Promise<number>} number of posts moved
+ */
+async function compactQueue(accountId, postType, { now = new Date(), withoutSlotId = null } = {}) {
+  const sb = getDb();
+  const [slots, queued, timeZone] = await Promise.all([
+    fetchSlots(sb, accountId, postType),
+    fetchQueuedPosts(sb, accountId, postType, now),
+    getAccountTimeZone(accountId)
+  ]);
+  const times = upcomingSlotTimes(slots.filter(s => s.id !== withoutSlotId), now, queued.length, timeZone);
+
+  const moves = queued.map((post, i) => {
+    const target = times[i];
+    if (!target) return { id: post.id, fields: { queue_slot_id: null } };
+    if (target.slotId === post.queue_slot_id && new Date(target.at).getTime() === new Date(post.scheduled_at).getTime()) {
+      return null;
+    }
+    return { id: post.id, fields: { scheduled_at: target.at, queue_slot_id: target.slotId } };
+  }).filter(Boolean);
+
+  const results = await Promise.all(moves.map(m =>
+    sb.from('my_posts').update(m.fields).eq('id', m.id).eq('status', 'scheduled')
+  ));
+  const failed = results.find(r => r.error);
+  if (failed) throw failed.error;
+  return moves.length;
+}
+
+/**
+ * Queue a draft: schedule it into the next free slot of its account and type.
+ * @returns {Promise<{ at: string, slotId: number, name: string|null }>}
+ */
+async function enqueueDraft(draft) {
+  const [slot] = await allocateQueueSlots(draft.account_id, draft.post_type || 'new');
+  if (!slot) throw new Error('キューの投稿枠が設定されていません');
+
+  const sb = getDb();
+  const { data, error } = await sb.from('my_posts')
+    .update({ status: 'scheduled', scheduled_at: slot.at, queue_slot_id: slot.slotId, lint_violations: null })
+    .eq('id', draft.id)
+    .eq('status', 'draft')
+    .select('id');
+  if (error) throw error;
+  if (!data || data.length === 0) throw new Error('下書きが見つかりません');
+  return slot;
+}
+
+/**
+ * The queue of an account and post type: the queued posts in order, the
+ * next few free times a new post would take and the timezone the slots are in.
+ */
+async function getQueue(accountId, postType, { now = new Date(), freeCount = 5 } = {}) {
+  const sb = getDb();
+  const [slots, posts, timeZone] = await Promise.all([
+    fetchSlots(sb, accountId, postType),
+    fetchQueuedPosts(sb, accountId, postType, now),
+    getAccountTimeZone(accountId)
+  ]);
+  const taken = new Set(posts.map(p => new Date(p.scheduled_at).getTime()));
+  const free = upcomingSlotTimes(slots, now, posts.length + freeCount, timeZone)
+    .filter(t => !taken.has(new Date(t.at).getTime()))
+    .slice(0, freeCount);
+  return { posts, free, timeZone };
+}
+
+async function createQueueSlot({ accountId, postType, name, dayOfWeek, time }) {
+  const sb = getDb();
+  const { data, error } = await sb.from('queue_slots')
+    .insert({ account_id: accountId, post_type: postType, name: name || null, day_of_week: dayOfWeek, time })
+    .select()
+    .single();
+  if (error) {
+    if (error.code === '23505') throw new Error('同じ曜日・時刻の枠がすでにあります');
+    throw error;
+  }
+  await compactQueue(data.account_id, data.post_type);
+  return data;
+}
+
+async function updateQueueSlot(id, updates) {
+  const sb = getDb();
+  const { data, error } = await sb.from('queue_slots')
+    .update(updates)
+    .eq('id', id)
+    .select()
+    .single();
+  if (error) {
+    if (error.code === '23505') throw new Error('同じ曜日・時刻の枠がすでにあります');
+    throw error;
+  }
+  if (!data) throw new Error('枠が見つかりません');
+  await compactQueue(data.account_id, data.post_type);
+  return data;
+}
+
+async function deleteQueueSlot(id) {
+  const sb = getDb();
+  const { data: slot } = await sb.from('queue_slots')
+    .select('id, account_id, post_type')
+    .eq('id', id)
+    .single();
+  if (!slot) throw new Error('枠が見つかりません');
+
+  // Move the slot's posts first: deleting it would turn them into explicit times
+  await compactQueue(slot.account_id, slot.post_type, { withoutSlotId: slot.id });
+  const { error } = await sb.from('queue_slots').delete().eq('id', id);
+  if (error) throw error;
+}
+
+module.exports = {
+  upcomingSlotTimes,
+  listQueueSlots,
+  allocateQueueSlots,
+  compactQueue,
+  enqueueDraft,
+  getQueue,
+  createQueueSlot,
+  updateQueueSlot,
+  deleteQueueSlot,
+  QUEUE_POST_TYPES,
+  TIME_PATTERN
+};
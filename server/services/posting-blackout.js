@@ -0,0 +1,242 @@
+const { getDb } = require('../db/database');
+const { getZonedParts, zonedTimeToUtc } = require('../utils/date-utils');
+const { logInfo } = require('./app-logger');
+const { isTableNotFound } = require('../utils/db-errors');
+
+const BLACKOUT_KINDS = ['daily', 'dates'];
+const BLACKOUT_ACTIONS = ['shift', 'hold'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// settings key holding the emergency pause; no row = posting runs normally
+const PAUSE_KEY = 'posting_pause';
+
+// Posts of one account pushed out of a blackout go out this far apart
+// instead of all at once when the window ends.
+const SHIFT_SPACING_MINUTES = 10;
+
+// Back-to-back blackouts are followed at most this many times before a post
+// is treated as having no allowed time (and held)
+const MAX_BLACKOUT_HOPS = 20;
+
+function toMinutes(time) {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + minute;
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+/**
+ * Enabled rules that apply to an account: its own plus the global ones
+ * (account_id NULL).
+ */
+function rulesForAccount(rules, accountId) {
+  return (rules || []).filter(r =>
+    r.enabled !== false && (r.account_id == null || String(r.account_id) === String(accountId))
+  );
+}
+
+/**
+ * The first rule whose window contains `at`, read in the account's timezone.
+ * Daily windows wrap past midnight when end_time is earlier than start_time;
+ * date ranges cover whole local days, end_date included.
+ * @param {object[]} rules
+ * @param {Date} at
+ * @param {string} timeZone - IANA timezone
+ * @returns {object|null}
+ */
+function matchBlackout(rules, at, timeZone) {
+  const { year, month, day, hour, minute } = getZonedParts(at, timeZone);
+  const date = `${year}-${pad(month)}-${pad(day)}`;
+  const minutes = hour * 60 + minute;
+
+  return (rules || []).find(rule => {
+    if (rule.enabled === false) return false;
+    if (rule.kind === 'daily') {
+      const start = toMinutes(rule.start_time);
+      const end = toMinutes(rule.end_time);
+      return start < end
+        ? minutes >= start && minutes < end
+        : minutes >= start || minutes < end;
+    }
+    if (rule.kind === 'dates') {
+      return date >= rule.start_date && date <= rule.end_date;
+    }
+    return false;
+  }) || null;
+}
+
+/**
+ * When the window of `rule` that contains `at` ends, as a UTC Date.
+ */
+function blackoutEnd(rule, at, timeZone) {
+  const { year, month, day, hour, minute } = getZonedParts(at, timeZone);
+  if (rule.kind === 'dates') {
+    const [endYear, endMonth, endDay] = rule.end_date.split('-').map(Number);
+    return zonedTimeToUtc({ year: endYear, month: endMonth, day: endDay + 1, hour: 0, minute: 0 }, timeZone);
+  }
+  const end = toMinutes(rule.end_time);
+  // Before the end on the same local day (or in the after-midnight part of a
+  // wrapping window) it ends today, otherwise tomorrow
+  const endDay = hour * 60 + minute < end ? day : day + 1;
+  return zonedTimeToUtc({ year, month, day: endDay, hour: Math.floor(end / 60), minute: end % 60 }, timeZone);
+}
+
+/**
+ * The earliest time at or after `at` that no rule blocks. Follows
+ * back-to-back windows; null when there is none within reach.
+ * @returns {Date|null}
+ */
+function nextAllowedTime(rules, at, timeZone) {
+  let t = at;
+  for (let i = 0; i < MAX_BLACKOUT_HOPS; i++) {
+    const rule = matchBlackout(rules, t, timeZone);
+    if (!rule) return t;
+    const end = blackoutEnd(rule, t, timeZone);
+    // Never go backwards (e.g. an end that falls in a DST gap)
+    t = end.getTime() > t.getTime() ? end : new Date(t.getTime() + 60 * 1000);
+  }
+  return null;
+}
+
+/**
+ * Short label for logs, notes and Telegram, e.g. "深夜（毎日 01:00〜06:00）".
+ */
+function describeBlackout(rule) {
+  let window;
+  if (rule.kind === 'daily') {
+    window = `毎日 ${rule.start_time}〜${rule.end_time}`;
+  } else if (rule.start_date === rule.end_date) {
+    window = rule.start_date;
+  } else {
+    window = `${rule.start_date}〜${rule.end_date}`;
+  }
+  return rule.name ? `${rule.name}（${window}）` : window;
+}
+
+/**
+ * Enabled rules of every account, for one scheduler run. None before the
+ * posting_blackouts migration has been applied.
+ */
+async function loadActiveBlackouts() {
+  const sb = getDb();
+  const { data, error } = await sb.from('posting_blackouts')
+    .select('*')
+    .eq('enabled', true);
+  if (isTableNotFound(error)) return [];
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Rules shown for an account: the global ones first, then its own.
+ * Without an account only the global rules.
+ */
+async function listBlackouts(accountId) {
+  const sb = getDb();
+  const rules = (filter) => filter(sb.from('posting_blackouts').select('*')).order('created_at', { ascending: true });
+  const [global, own] = await Promise.all([
+    rules(query => query.is('account_id', null)),
+    accountId ? rules(query => query.eq('account_id', accountId)) : { data: [], error: null }
+  ]);
+  if (global.error) throw global.error;
+  if (own.error) throw own.error;
+  return [...(global.data || []), ...(own.data || [])];
+}
+
+async function createBlackout(fields) {
+  const sb = getDb();
+  const { data, error } = await sb.from('posting_blackouts')
+    .insert(fields)
+    .select()
+    .single();
+  if (error) throw error;
+  logInfo('blackout', `投稿停止ルールを追加: ${describeBlackout(data)}`, { id: data.id, accountId: data.account_id, action: data.action });
+  return data;
+}
+
+async function updateBlackout(id, updates) {
+  const sb = getDb();
+  const { data, error } = await sb.from('posting_blackouts')
+    .update(updates)
+    .eq('id', id)
+    .select()
+    .single();
+  if (error) throw error;
+  if (!data) throw new Error('投稿停止ルールが見つかりません');
+  return data;
+}
+
+async function deleteBlackout(id) {
+  const sb = getDb();
+  const { data, error } = await sb.from('posting_blackouts')
+    .delete()
+    .eq('id', id)
+    .select('id');
+  if (error) throw error;
+  if (!data || data.length === 0) throw new Error('投稿停止ルールが見つかりません');
+}
+
+/**
+ * The emergency pause. While paused no scheduled or automatic post goes out;
+ * posts stay scheduled and publish once posting resumes.
+ * @returns {Promise<{ paused: boolean, reason: string|null, since: string|null, source: string|null }>}
+ */
+async function getPostingPause() {
+  const sb = getDb();
+  const { data } = await sb.from('settings')
+    .select('value').eq('key', PAUSE_KEY).single();
+  let value = null;
+  try {
+    value = data?.value ? JSON.parse(data.value) : null;
+  } catch {
+    // Not written by pausePosting: ignored
+  }
+  if (!value || typeof value !== 'object') return { paused: false, reason: null, since: null, source: null };
+  return { paused: true, reason: value.reason || null, since: value.since || null, source: value.source || null };
+}
+
+/**
+ * Stop all posting now. `source` records where it came from (ui / telegram).
+ */
+async function pausePosting(reason, source = 'ui') {
+  const pause = { reason: reason || null, since: new Date().toISOString(), source };
+  const sb = getDb();
+  const { error } = await sb.from('settings').upsert(
+    { key: PAUSE_KEY, value: JSON.stringify(pause) },
+    { onConflict: 'key' }
+  );
+  if (error) throw error;
+  logInfo('blackout', `投稿を緊急停止しました${reason ? `: ${reason}` : ''}`, { source });
+  return { paused: true, ...pause };
+}
+
+async function resumePosting(source = 'ui') {
+  const sb = getDb();
+  const { error } = await sb.from('settings').delete().eq('key', PAUSE_KEY);
+  if (error) throw error;
+  logInfo('blackout', '投稿の緊急停止を解除しました', { source });
+  return { paused: false, reason: null, since: null, source: null };
+}
+
+module.exports = {
+  rulesForAccount,
+  matchBlackout,
+  blackoutEnd,
+  nextAllowedTime,
+  describeBlackout,
+  loadActiveBlackouts,
+  listBlackouts,
+  createBlackout,
+  updateBlackout,
+  deleteBlackout,
+  getPostingPause,
+  pausePosting,
+  resumePosting,
+  BLACKOUT_KINDS,
+  BLACKOUT_ACTIONS,
+  DATE_PATTERN,
+  SHIFT_SPACING_MINUTES
+};
@@ -0,0 +1,240 @@
+const { getDb } = require('../db/database');
+const defaultPrompts = require('../config/prompts');
+const { savePrompt } = require('./prompt-versions');
+const { mean, welchTTest } = require('../utils/stats');
+
+// A variant needs this many measured posts before a winner is called
+const MIN_SAMPLES_PER_VARIANT = 10;
+const SIGNIFICANCE_LEVEL = 0.05;
+
+const EXPERIMENT_SELECT = '*, prompt_experiment_variants(id, label, system_prompt)';
+
+// Flatten the embedded variants, oldest first (the first one is the control)
+function withVariants(row) {
+  const { prompt_experiment_variants: variants, ...experiment } = row;
+  return { ...experiment, variants: [...(variants || [])].sort((a, b) => a.id - b.id) };
+}
+
+async function getExperiment(id) {
+  const sb = getDb();
+  const { data, error } = await sb.from('prompt_experiments')
+    .select(EXPERIMENT_SELECT)
+    .eq('id', id)
+    .single();
+  if (error || !data) return null;
+  return withVariants(data);
+}
+
+async function listExperiments(taskType) {
+  const sb = getDb();
+  let query = sb.from('prompt_experiments')
+    .select(EXPERIMENT_SELECT)
+    .order('created_at', { ascending: false });
+  if (taskType) query = query.eq('task_type', taskType);
+  const { data, error } = await query;
+  if (error) throw error;
+  return (data || []).map(withVariants);
+}
+
+/**
+ * Start an experiment. The unique index on running experiments rejects a
+ * second one for the same task type.
+ * @param {{ taskType: string, name: string, assignment?: 'random'|'alternate', variants: { label: string, system_prompt: string }[] }} params
+ */
+async function createExperiment({ taskType, name, assignment = 'random', variants }) {
+  const sb = getDb();
+  const { data: experiment, error } = await sb.from('prompt_experiments')
+    .insert({ task_type: taskType, name, assignment })
+    .select()
+    .single();
+  if (error) {
+    if (error.code === '23505') throw new Error('このタスクには実行中の実験があります');
+    throw error;
+  }
+
+  const { data: insertedVariants, error: variantError } = await sb.from('prompt_experiment_variants')
+    .insert(variants.map(v => ({ experiment_id: experiment.id, label: v.label, system_prompt: v.system_prompt })))
+    .select();
+  if (variantError) {
+    await sb.from('prompt_experiments').delete().eq('id', experiment.id);
+    throw variantError;
+  }
+
+  return { ...experiment, variants: insertedVariants || [] };
+}
+
+async function stopExperiment(id) {
+  const sb = getDb();
+  const { error } = await sb.from('prompt_experiments')
+    .update({ status: 'stopped', ended_at: new Date().toISOString() })
+    .eq('id', id)
+    .eq('status', 'running');
+  if (error) throw error;
+}
+
+function pickVariant(experiment, random = Math.random) {
+  const { variants } = experiment;
+  if (experiment.assignment === 'alternate') {
+    return variants[(experiment.assignment_count || 0) % variants.length];
+  }
+  return variants[Math.floor(random() * variants.length)];
+}
+
+/**
+ * Assign a variant of the task's running experiment to one generation.
+ * Returns null when no experiment is running. Failures never block
+ * generation: the task's normal prompt is used instead.
+ * @returns {Promise<{ id: number, label: string, system_prompt: string }|null>}
+ */
+async function assignExperimentVariant(taskType) {
+  try {
+    const sb = getDb();
+    const { data } = await sb.from('prompt_experiments')
+      .select(EXPERIMENT_SELECT)
+      .eq('task_type', taskType)
+      .eq('status', 'running')
+      .limit(1);
+    if (!data || data.length === 0) return null;
+
+    const experiment = withVariants(data[0]);
+    if (experiment.variants.length < 2) return null;
+
+    const variant = pickVariant(experiment);
+    // Concurrent generations can read the same count, so 'alternate' is
+    // only approximately balanced; the report does not depend on it
+    await sb.from('prompt_experiments')
+      .update({ assignment_count: (experiment.assignment_count || 0) + 1 })
+      .eq('id', experiment.id);
+    return variant;
+  } catch (err) {
+    console.warn(`Prompt experiment assignment failed for ${taskType}:`, err.message);
+    return null;
+  }
+}
+
+/** A variant by id, used to keep a repair request on the assigned variant. */
+async function getExperimentVariant(id) {
+  try {
+    const sb = getDb();
+    const { data } = await sb.from('prompt_experiment_variants')
+      .select('id, label, system_prompt')
+      .eq('id', id)
+      .single();
+    return data || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function summarize(values) {
+  return { mean: mean(values), n: values.length };
+}
+
+/**
+ * Compare the experiment's variants on the posts generated with them.
+ * Only posted tweets whose metrics have been collected by
+ * refreshOwnPostMetrics count. The variant with the highest mean
+ * engagement_rate leads; each other variant is compared against it with
+ * Welch's t-test on engagement_rate and impressions.
+ */
+async function buildExperimentReport(id) {
+  const experiment = await getExperiment(id);
+  if (!experiment) return null;
+
+  const sb = getDb();
+  const variantIds = experiment.variants.map(v => v.id);
+  const { data: posts, error } = variantIds.length > 0
+    ? await sb.from('my_posts')
+      .select('experiment_variant_id, status, engagement_rate, impression_count, metrics_updated_at')
+      .in('experiment_variant_id', variantIds)
+    : { data: [], error: null };
+  if (error) throw error;
+
+  const variants = experiment.variants.map(v => {
+    const own = (posts || []).filter(p => p.experiment_variant_id === v.id);
+    const measured = own.filter(p => p.status === 'posted' && p.metrics_updated_at);
+    return {
+      id: v.id,
+      label: v.label,
+      system_prompt: v.system_prompt,
+      posts: own.length,
+      engagementRates: measured.map(p => p.engagement_rate || 0),
+      impressions: measured.map(p => p.impression_count || 0)
+    };
+  });
+
+  const measuredVariants = variants.filter(v => v.engagementRates.length > 0);
+  const leader = measuredVariants.reduce(
+    (best, v) => (!best || mean(v.engagementRates) > mean(best.engagementRates) ? v : best), null);
+
+  const rows = variants.map(v => {
+    const row = {
+      id: v.id,
+      label: v.label,
+      system_prompt: v.system_prompt,
+      posts: v.posts,
+      measured: v.engagementRates.length,
+      engagementRate: summarize(v.engagementRates),
+      impressions: summarize(v.impressions),
+      vsLeader: null
+    };
+    if (leader && v !== leader) {
+      row.vsLeader = {
+        engagementRatePValue: welchTTest(leader.engagementRates, v.engagementRates).pValue,
+        impressionsPValue: welchTTest(leader.impressions, v.impressions).pValue
+      };
+    }
+    return row;
+  });
+
+  const enoughSamples = variants.every(v => v.engagementRates.length >= MIN_SAMPLES_PER_VARIANT);
+  const significant = Boolean(leader) && enoughSamples &&
+    rows.every(r => r.id === leader.id || r.vsLeader.engagementRatePValue < SIGNIFICANCE_LEVEL);
+
+  return {
+    experiment: { ...experiment, variants: undefined },
+    variants: rows,
+    leaderVariantId: leader ? leader.id : null,
+    significant,
+    minSamplesPerVariant: MIN_SAMPLES_PER_VARIANT,
+    significanceLevel: SIGNIFICANCE_LEVEL
+  };
+}
+
+/**
+ * Make a variant the task's prompt (recorded in the prompt version history)
+ * and complete the experiment with it as the winner.
+ * @returns {Promise<{ version: number|null }|null>} null when the variant is not part of the experiment
+ */
+async function promoteWinner(id, variantId) {
+  const experiment = await getExperiment(id);
+  const variant = experiment?.variants.find(v => v.id === variantId);
+  if (!variant) return null;
+
+  const sb = getDb();
+  const { data: current } = await sb.from('custom_prompts')
+    .select('user_template')
+    .eq('task_type', experiment.task_type)
+    .single();
+
+  const version = await savePrompt(experiment.task_type, {
+    task_type: experiment.task_type,
+    system_prompt: variant.system_prompt,
+    user_template: current?.user_template ?? defaultPrompts[experiment.task_type]?.userTemplate ?? '',
+    is_custom: true,
+    updated_at: new Date().toISOString()
+  }, { note: `A/Bテスト「${experiment.name}」の勝者 ${variant.label}` });
+
+  const { error } = await sb.from('prompt_experiments')
+    .update({ status: 'completed', winner_variant_id: variant.id, ended_at: new Date().toISOString() })
+    .eq('id', id);
+  if (error) throw error;
+
+  return { version: version?.version ?? null };
+}
+
+module.exports = {
+  listExperiments, getExperiment, createExperiment, stopExperiment,
+  assignExperimentVariant, getExperimentVariant, pickVariant,
+  buildExperimentReport, promoteWinner
+};
@@ -0,0 +1,121 @@
+const { getDb } = require('../db/database');
+const { isTableNotFound } = require('../utils/db-errors');
+
+/**
+ * Append a version to a task's prompt history. Called after every change
+ * to custom_prompts (save, reset, rollback) with the prompt now in use.
+ * @param {string} taskType
+ * @param {{ system_prompt: string, user_template?: string, is_custom?: boolean }} prompt
+ * @param {{ note?: string, rolledBackFrom?: number }} [meta]
+ * @returns {Promise<object>} the inserted prompt_versions row
+ */
+async function recordPromptVersion(taskType, prompt, { note = null, rolledBackFrom = null } = {}) {
+  const sb = getDb();
+
+  const { data: latest, error: latestError } = await sb.from('prompt_versions')
+    .select('version')
+    .eq('task_type', taskType)
+    .order('version', { ascending: false })
+    .limit(1);
+  if (latestError) throw latestError;
+
+  const { data, error } = await sb.from('prompt_versions')
+    .insert({
+      task_type: taskType,
+      version: (latest?.[0]?.version || 0) + 1,
+      system_prompt: prompt.system_prompt || '',
+      user_template: prompt.user_template || '',
+      is_custom: prompt.is_custom !== false,
+      note: note || null,
+      rolled_back_from: rolledBackFrom
+    })
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+/** Versions of a task's prompt, newest first. */
+async function listPromptVersions(taskType) {
+  const sb = getDb();
+  const { data, error } = await sb.from('prompt_versions')
+    .select('*')
+    .eq('task_type', taskType)
+    .order('version', { ascending: false });
+  if (error) throw error;
+  return data || [];
+}
+
+/** A single version, or null when it does not exist. */
+async function getPromptVersion(taskType, version) {
+  const sb = getDb();
+  const { data } = await sb.from('prompt_versions')
+    .select('*')
+    .eq('task_type', taskType)
+    .eq('version', version)
+    .single();
+  return data || null;
+}
+
+/**
+ * id of the version currently in use for a task, recorded on generated
+ * posts. null when the prompt has never been saved (built-in default) or
+ * the history table is unavailable.
+ */
+async function getCurrentPromptVersionId(taskType) {
+  try {
+    const sb = getDb();
+    const { data } = await sb.from('prompt_versions')
+      .select('id')
+      .eq('task_type', taskType)
+      .order('version', { ascending: false })
+      .limit(1);
+    return data?.[0]?.id || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Make promptData the task's active prompt and append it to the version
+ * history. Falls back to the settings KV table when custom_prompts does not
+ * exist; history is skipped when prompt_versions does not exist yet.
+ * @returns {Promise<object|null>} the recorded version, or null without history
+ */
+async function savePrompt(taskType, promptData, versionMeta) {
+  const sb = getDb();
+
+  // First save since history was introduced: keep the prompt being replaced
+  // as the baseline so the edit can be rolled back
+  const { data: previous } = await sb.from('custom_prompts')
+    .select('system_prompt, user_template, is_custom')
+    .eq('task_type', taskType)
+    .single();
+
+  const { error } = await sb.from('custom_prompts').upsert(
+    promptData,
+    { onConflict: 'task_type' }
+  );
+
+  if (isTableNotFound(error)) {
+    // Fallback: store in settings KV table as JSON
+    await sb.from('settings').upsert(
+      { key: `prompt_${taskType}`, value: JSON.stringify(promptData) },
+      { onConflict: 'key' }
+    );
+    return null;
+  }
+  if (error) throw error;
+
+  try {
+    if (previous?.is_custom && !(await getCurrentPromptVersionId(taskType))) {
+      await recordPromptVersion(taskType, previous, { note: '履歴導入前のプロンプト' });
+    }
+    return await recordPromptVersion(taskType, promptData, versionMeta);
+  } catch (err) {
+    if (isTableNotFound(err)) return null;
+    throw err;
+  }
+}
+
+module.exports = { savePrompt, recordPromptVersion, listPromptVersions, getPromptVersion, getCurrentPromptVersionId };
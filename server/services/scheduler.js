@@ -1,15 +1,48 @@
 const cron = require('node-cron');
 const { getDb } = require('../db/database');
-const { postTweet, getUserTweets } = require('./x-api');
-const { calculateEngagementRate } = require('./analytics');
+const { postTweet, postThread, getUserTweets, waitForRateLimit } = require('./x-api');
+const { calculateEngagementRate, calculateVelocityScore } = require('./analytics');
+const { snapshotCompetitorMetrics } = require('./competitor-snapshots');
+const { runDueKeywordMonitors, refreshMonitorTweetMetrics } = require('./keyword-monitor');
 const { BatchManager } = require('./batch-manager');
 const { checkAndRunAutoPosts, isDeletedTweetError } = require('./auto-poster');
 const { refreshOwnPostMetrics, recordFollowerSnapshot } = require('./growth-analytics');
 const { generateImprovementInsights, autoAdjustSettings } = require('./tweet-improver');
 const { logError, logWarn, logInfo } = require('./app-logger');
 const { triggerTweetProposal } = require('./telegram-workflow');
+const { prepareMediaIds } = require('./media');
+const { compactQueue } = require('./post-queue');
+const {
+  getPostingPause, loadActiveBlackouts, rulesForAccount, matchBlackout, nextAllowedTime, describeBlackout,
+  SHIFT_SPACING_MINUTES
+} = require('./posting-blackout');
+const { resolveTimeZone } = require('../utils/date-utils');
+
+// A partially published thread that made progress in this run is retried
+// (from the failed part) after this delay instead of being marked failed.
+const THREAD_RESUME_DELAY_MINUTES = 5;
+
+// Competitor fetching: a competitor's first fetch seeds a small sample
+// ($0.15 vs $0.50 per call); later fetches only ask for tweets newer than
+// the stored newest_tweet_id, paging through up to MAX_INCREMENTAL_PAGES
+// (shared with reading the backfill range left by a capped run).
+const INITIAL_FETCH_COUNT = 30;
+const INCREMENTAL_PAGE_SIZE = 100;
+const MAX_INCREMENTAL_PAGES = 5;
+// Matches the per-tweet read cost getUserTweets logs to api_usage_log
+const TWEET_READ_COST_USD = 0.005;
+
+/**
+ * Return the ordered part texts if the post is a thread, otherwise null.
+ */
+function getThreadParts(post) {
+  return Array.isArray(post.thread_parts) && post.thread_parts.length > 1 ? post.thread_parts : null;
+}
 
 function startScheduler() {
+  // Cron expressions run in server time (UTC on Vercel), not in any account's
+  // timezone; per-account times are matched inside the jobs.
+
   // Check for scheduled posts every minute
   cron.schedule('* * * * *', async () => {
     try {
@@ -30,6 +63,33 @@ function startScheduler() {
     }
   });
 
+  // Snapshot recent competitor tweet metrics every 2 hours for velocity tracking,
+  // and re-measure recent keyword monitor tweets alongside
+  cron.schedule('30 */2 * * *', async () => {
+    try {
+      await snapshotCompetitorMetrics();
+    } catch (err) {
+      console.error('Scheduler error (snapshotCompetitorMetrics):', err.message);
+      logError('scheduler', '競合ツイートのスナップショット取得でエラー', { error: err.message, stack: err.stack });
+    }
+    try {
+      await refreshMonitorTweetMetrics();
+    } catch (err) {
+      console.error('Scheduler error (refreshMonitorTweetMetrics):', err.message);
+      logError('scheduler', 'キーワード監視ツイートのメトリクス更新でエラー', { error: err.message, stack: err.stack });
+    }
+  });
+
+  // Run keyword monitors hourly; each monitor has its own interval_hours
+  cron.schedule('15 * * * *', async () => {
+    try {
+      await runDueKeywordMonitors();
+    } catch (err) {
+      console.error('Scheduler error (runDueKeywordMonitors):', err.message);
+      logError('scheduler', 'キーワード監視の実行でエラー', { error: err.message, stack: err.stack });
+    }
+  });
+
   // Poll batch API results every 5 minutes
   cron.schedule('*/5 * * * *', async () => {
     try {
@@ -41,7 +101,8 @@ function startScheduler() {
     }
   });
 
-  // Check and run auto posts every minute
+  // Check and run auto posts every minute; schedule_times are matched in
+  // each account's timezone (x_accounts.timezone)
   cron.schedule('* * * * *', async () => {
     try {
       await checkAndRunAutoPosts();
@@ -97,12 +158,67 @@ async function recordAllFollowerSnapshots() {
   }
 }
 
+/**
+ * Move a due post out of a blackout: to the next allowed time (shift) or back
+ * to drafts (hold, or no allowed time found). A thread that has already
+ * started is only ever shifted, so its remaining parts still go out. Either
+ * way a queued post leaves the queue, which then closes up behind it.
+ * @param {Map<string, number>} shiftedCount - posts shifted per account in this run
+ * @returns {Promise<boolean>} true if the post was moved and must not go out now
+ */
+async function deferForBlackout(sb, post, rules, now, shiftedCount) {
+  const accountRules = rulesForAccount(rules, post.account_id);
+  if (accountRules.length === 0) return false;
+
+  const timeZone = resolveTimeZone(post.x_accounts?.timezone);
+  const rule = matchBlackout(accountRules, now, timeZone);
+  if (!rule) return false;
+
+  const started = Array.isArray(post.thread_tweet_ids) && post.thread_tweet_ids.length > 0;
+  const next = rule.action === 'shift' || started ? nextAllowedTime(accountRules, now, timeZone) : null;
+  const label = describeBlackout(rule);
+
+  if (next) {
+    const key = String(post.account_id);
+    const index = shiftedCount.get(key) || 0;
+    shiftedCount.set(key, index + 1);
+    const scheduledAt = new Date(next.getTime() + index * SHIFT_SPACING_MINUTES * 60 * 1000).toISOString();
+    const { error } = await sb.from('my_posts')
+      .update({ scheduled_at: scheduledAt, queue_slot_id: null })
+      .eq('id', post.id)
+      .eq('status', 'scheduled');
+    if (error) throw error;
+    logInfo('scheduler', `予約投稿 ${post.id} を投稿停止ルール「${label}」のため ${scheduledAt} に延期`, { postId: post.id, blackoutId: rule.id });
+  } else {
+    const { error } = await sb.from('my_posts')
+      .update({ status: 'draft', queue_slot_id: null, error_message: `投稿停止ルール「${label}」のため保留しました` })
+      .eq('id', post.id)
+      .eq('status', 'scheduled');
+    if (error) throw error;
+    logWarn('scheduler', `予約投稿 ${post.id} を投稿停止ルール「${label}」のため下書きに戻しました`, { postId: post.id, blackoutId: rule.id });
+  }
+
+  if (post.queue_slot_id) {
+    try {
+      await compactQueue(post.account_id, post.post_type);
+    } catch (err) {
+      logWarn('scheduler', `予約投稿 ${post.id} の延期後にキューを詰められませんでした`, { postId: post.id, error: err.message });
+    }
+  }
+  return true;
+}
+
 async function processScheduledPosts() {
   const sb = getDb();
+
+  // Emergency pause: leave everything scheduled until posting resumes
+  const pause = await getPostingPause();
+  if (pause.paused) return;
+
   const now = new Date().toISOString();
 
   const { data: posts, error } = await sb.from('my_posts')
-    .select('*')
+    .select('*, x_accounts(timezone)')
     .eq('status', 'scheduled')
     .lte('scheduled_at', now);
 
@@ -116,7 +232,19 @@ async function processScheduledPosts() {
 
   console.log(`Scheduler: found ${posts.length} scheduled post(s) to process`);
 
+  const rules = await loadActiveBlackouts();
+  const shiftedCount = new Map();
+
   for (const post of posts) {
+    try {
+      if (await deferForBlackout(sb, post, rules, new Date(now), shiftedCount)) continue;
+    } catch (err) {
+      logError('scheduler', `予約投稿 ${post.id} の投稿停止ルール適用に失敗`, { postId: post.id, error: err.message });
+      continue;
+    }
+
+    const threadParts = getThreadParts(post);
+    const postedIds = Array.isArray(post.thread_tweet_ids) ? post.thread_tweet_ids : [];
     try {
       const options = { accountId: post.account_id };
       if (post.post_type === 'reply' && post.target_tweet_id) {
@@ -125,17 +253,33 @@ async function processScheduledPosts() {
       if (post.post_type === 'quote' && post.target_tweet_id) {
         options.quoteTweetId = post.target_tweet_id;
       }
+      // Images go on the first tweet; a resumed thread has already posted it
+      if (postedIds.length === 0) {
+        const mediaIds = await prepareMediaIds(post.attachment_ids, post.account_id);
+        if (mediaIds.length > 0) options.mediaIds = mediaIds;
+      }
 
-      const result = await postTweet(post.text, options);
+      let update;
+      if (threadParts) {
+        // Resumes from the first unpublished part if an earlier run was interrupted
+        const result = await postThread(threadParts, { ...options, postedIds });
+        update = {
+          status: 'posted', tweet_id: result.data.id, thread_tweet_ids: result.data.ids,
+          posted_at: new Date().toISOString(), error_message: null
+        };
+      } else {
+        const result = await postTweet(post.text, options);
+        update = { status: 'posted', tweet_id: result.data.id, posted_at: new Date().toISOString() };
+      }
 
       const { error: updateError } = await sb.from('my_posts')
-        .update({ status: 'posted', tweet_id: result.data.id, posted_at: new Date().toISOString() })
+        .update(update)
         .eq('id', post.id);
 
       if (updateError) {
         console.error(`Scheduler: posted tweet but failed to update DB for post ${post.id}:`, updateError.message);
       } else {
-        console.log(`Scheduled post ${post.id} published: ${result.data.id}`);
+        console.log(`Scheduled post ${post.id} published: ${update.tweet_id}`);
       }
     } catch (err) {
       console.error(`Failed to publish scheduled post ${post.id}:`, err.message);
@@ -144,9 +288,32 @@ async function processScheduledPosts() {
         ? '元ツイートが削除されたため投稿できませんでした'
         : err.message;
       try {
-        await sb.from('my_posts')
-          .update({ status: 'failed', error_message: errorMsg })
-          .eq('id', post.id);
+        if (threadParts && err.postedIds && err.postedIds.length > postedIds.length) {
+          // Some parts went out in this run: record them and resume from the
+          // failed part on a later run rather than reposting the whole chain.
+          const partLabel = `${err.failedIndex + 1}/${threadParts.length}`;
+          logWarn('scheduler', `スレッド ${post.id} を ${partLabel} 件目から再開します`, { postId: post.id, postedIds: err.postedIds });
+          await sb.from('my_posts')
+            .update({
+              tweet_id: err.postedIds[0],
+              thread_tweet_ids: err.postedIds,
+              scheduled_at: new Date(Date.now() + THREAD_RESUME_DELAY_MINUTES * 60 * 1000).toISOString(),
+              error_message: `スレッド ${partLabel} 件目で失敗: ${errorMsg}`
+            })
+            .eq('id', post.id);
+        } else if (err.rateLimited) {
+          // Window exhausted: keep it scheduled and try again once the limit resets
+          await sb.from('my_posts')
+            .update({
+              scheduled_at: new Date(err.resetAt).toISOString(),
+              error_message: `レート制限のため延期: ${errorMsg}`
+            })
+            .eq('id', post.id);
+        } else {
+          await sb.from('my_posts')
+            .update({ status: 'failed', error_message: errorMsg })
+            .eq('id', post.id);
+        }
       } catch (updateErr) {
         console.error(`Scheduler: also failed to mark post ${post.id} as failed:`, updateErr.message);
       }
@@ -184,13 +351,162 @@ async function fetchCompetitorTweetsIfDue() {
   await fetchAllCompetitorTweets();
 }
 
+/**
+ * Read a competitor's timeline between sinceId and untilId (both exclusive),
+ * newest first. pagesRead counts the pages this run already used: the run
+ * shares MAX_INCREMENTAL_PAGES and paces every page after its first.
+ *
+ * complete is false when the page cap or the rate limit stopped the read
+ * before it reached sinceId; the unread tweets are then older than oldestId.
+ * @returns {Promise<{ tweets: object[], newestId: string|null, oldestId: string|null, pages: number, complete: boolean }>}
+ */
+async function readCompetitorTimeline(competitor, { sinceId, untilId }, pagesRead = 0) {
+  const tweets = [];
+  let newestId = null;
+  let oldestId = null;
+  let paginationToken;
+  let pages = 0;
+  let stopped = false;
+  do {
+    if (pagesRead + pages > 0 && !(await waitForRateLimit('GET /2/users/:id/tweets', competitor.account_id, { pace: true }))) {
+      stopped = true;
+      break;
+    }
+    let result;
+    try {
+      result = await getUserTweets(competitor.user_id, INCREMENTAL_PAGE_SIZE, competitor.account_id, {
+        sinceId,
+        untilId,
+        paginationToken
+      });
+    } catch (err) {
+      // Keep what the earlier pages returned; the caller records where to resume
+      if (err.rateLimited && pagesRead + pages > 0) {
+        stopped = true;
+        break;
+      }
+      throw err;
+    }
+    pages++;
+    if (result.data) tweets.push(...result.data);
+    if (!newestId) newestId = result.meta?.newest_id || null;
+    oldestId = result.meta?.oldest_id || result.data?.[result.data.length - 1]?.id || oldestId;
+    paginationToken = result.meta?.next_token;
+  } while (paginationToken && pagesRead + pages < MAX_INCREMENTAL_PAGES);
+
+  return { tweets, newestId, oldestId, pages, complete: !stopped && !paginationToken };
+}
+
+/**
+ * Fetch the tweets a competitor posted since its newest stored tweet.
+ *
+ * A run cut short by the rate limit or MAX_INCREMENTAL_PAGES still moves
+ * newest_tweet_id to the newest tweet it read and records the unread range
+ * below it as backfill_since_id..backfill_until_id. The next runs read that
+ * range with until_id before asking for newer tweets, so the gap closes over
+ * later runs instead of the same newest pages being fetched every time.
+ * @returns {Promise<{ tweets: object[], progress: object }>} progress is the competitors columns to update
+ */
+async function fetchNewCompetitorTweets(competitor) {
+  if (!competitor.newest_tweet_id) {
+    const result = await getUserTweets(competitor.user_id, INITIAL_FETCH_COUNT, competitor.account_id);
+    const tweets = result.data || [];
+    const newestId = result.meta?.newest_id || tweets[0]?.id || null;
+    return { tweets, progress: newestId ? { newest_tweet_id: newestId } : {} };
+  }
+
+  const tweets = [];
+  const progress = {};
+  let pagesRead = 0;
+  if (competitor.backfill_until_id) {
+    const gap = await readCompetitorTimeline(competitor, {
+      sinceId: competitor.backfill_since_id,
+      untilId: competitor.backfill_until_id
+    });
+    tweets.push(...gap.tweets);
+    if (!gap.complete) {
+      return { tweets, progress: gap.oldestId ? { backfill_until_id: gap.oldestId } : {} };
+    }
+    progress.backfill_since_id = null;
+    progress.backfill_until_id = null;
+    pagesRead = gap.pages;
+    if (pagesRead >= MAX_INCREMENTAL_PAGES) return { tweets, progress };
+  }
+
+  const sinceId = competitor.newest_tweet_id;
+  const latest = await readCompetitorTimeline(competitor, { sinceId }, pagesRead);
+  tweets.push(...latest.tweets);
+  if (latest.newestId) progress.newest_tweet_id = latest.newestId;
+  if (!latest.complete && latest.oldestId) {
+    logWarn('competitor', `@${competitor.handle} の新着ツイートを ${latest.tweets.length} 件で打ち切りました（残りは次回以降に補完）`, {
+      handle: competitor.handle,
+      sinceId,
+      untilId: latest.oldestId
+    });
+    progress.backfill_since_id = sinceId;
+    progress.backfill_until_id = latest.oldestId;
+  }
+  return { tweets, progress };
+}
+
+function toCompetitorTweetRow(competitor, tweet) {
+  const metrics = tweet.public_metrics || {};
+  const engRate = calculateEngagementRate({
+    like_count: metrics.like_count || 0,
+    retweet_count: metrics.retweet_count || 0,
+    reply_count: metrics.reply_count || 0,
+    quote_count: metrics.quote_count || 0,
+    impression_count: metrics.impression_count || 0
+  });
+
+  const hasMedia = !!(tweet.attachments && tweet.attachments.media_keys);
+  const hasLink = !!(tweet.entities && tweet.entities.urls && tweet.entities.urls.length > 0);
+  const isThread = !!(tweet.entities && tweet.entities.mentions && tweet.text.startsWith('@'));
+
+  return {
+    competitor_id: competitor.id,
+    tweet_id: tweet.id,
+    text: tweet.text,
+    created_at_x: tweet.created_at,
+    like_count: metrics.like_count || 0,
+    retweet_count: metrics.retweet_count || 0,
+    reply_count: metrics.reply_count || 0,
+    impression_count: metrics.impression_count || 0,
+    quote_count: metrics.quote_count || 0,
+    bookmark_count: metrics.bookmark_count || 0,
+    engagement_rate: engRate,
+    velocity_score: calculateVelocityScore(metrics, tweet.created_at),
+    // Baseline for the next snapshot's velocity
+    metrics_updated_at: new Date().toISOString(),
+    has_media: hasMedia,
+    has_link: hasLink,
+    is_thread: isThread
+  };
+}
+
+async function recordCompetitorFetch(sb, competitor, fields) {
+  const { error } = await sb.from('competitors').update(fields).eq('id', competitor.id);
+  if (error) {
+    logError('competitor', `@${competitor.handle} の取得記録の保存に失敗`, { handle: competitor.handle, error: error.message });
+  }
+}
+
+/**
+ * Fetch new tweets for every competitor not fetched within 24h.
+ * Each competitor only pulls tweets newer than its newest_tweet_id and the
+ * result (time, tweets gained, estimated cost) is recorded on its row.
+ * Paces requests against the user-timeline rate-limit window; competitors
+ * that would exceed it are deferred to the next run instead of failing.
+ * @returns {Promise<{ fetched: number, deferred: string[] }>}
+ */
 async function fetchAllCompetitorTweets() {
   const sb = getDb();
   const { data: competitors } = await sb.from('competitors').select('*').limit(200);
 
-  if (!competitors) return;
+  if (!competitors) return { fetched: 0, deferred: [] };
 
-  // Batch-fetch which competitors already have recent tweets (within 24h)
+  // Batch-fetch which competitors already have recent tweets (within 24h);
+  // covers competitors fetched before last_fetched_at was recorded
   const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
   const competitorIds = competitors.map(c => c.id);
   const { data: recentRows } = await sb.from('competitor_tweets')
@@ -198,66 +514,62 @@ async function fetchAllCompetitorTweets() {
     .in('competitor_id', competitorIds)
     .gte('fetched_at', oneDayAgo);
   const recentCompetitorIds = new Set((recentRows || []).map(r => r.competitor_id));
+  let fetched = 0;
+  const deferred = [];
 
   for (const competitor of competitors) {
     try {
-      // Skip if we already have recent tweets (fetched within 24h) to save API costs
-      if (recentCompetitorIds.has(competitor.id)) {
+      // Skip if fetched within 24h to save API costs
+      if (recentCompetitorIds.has(competitor.id) || (competitor.last_fetched_at && competitor.last_fetched_at >= oneDayAgo)) {
         console.log(`Skipping @${competitor.handle} - tweets fetched recently`);
         continue;
       }
 
-      // Reduced from 100 to 30 to save costs ($0.15 vs $0.50 per call)
-      const result = await getUserTweets(competitor.user_id, 30, competitor.account_id);
-      if (!result.data) continue;
-
-      const rows = result.data.map(tweet => {
-        const metrics = tweet.public_metrics || {};
-        const engRate = calculateEngagementRate({
-          like_count: metrics.like_count || 0,
-          retweet_count: metrics.retweet_count || 0,
-          reply_count: metrics.reply_count || 0,
-          quote_count: metrics.quote_count || 0,
-          impression_count: metrics.impression_count || 0
-        });
+      if (!(await waitForRateLimit('GET /2/users/:id/tweets', competitor.account_id, { pace: true }))) {
+        deferred.push(competitor.handle);
+        continue;
+      }
 
-        const hasMedia = !!(tweet.attachments && tweet.attachments.media_keys);
-        const hasLink = !!(tweet.entities && tweet.entities.urls && tweet.entities.urls.length > 0);
-        const isThread = !!(tweet.entities && tweet.entities.mentions && tweet.text.startsWith('@'));
-
-        return {
-          competitor_id: competitor.id,
-          tweet_id: tweet.id,
-          text: tweet.text,
-          created_at_x: tweet.created_at,
-          like_count: metrics.like_count || 0,
-          retweet_count: metrics.retweet_count || 0,
-          reply_count: metrics.reply_count || 0,
-          impression_count: metrics.impression_count || 0,
-          quote_count: metrics.quote_count || 0,
-          bookmark_count: metrics.bookmark_count || 0,
-          engagement_rate: engRate,
-          has_media: hasMedia,
-          has_link: hasLink,
-          is_thread: isThread
-        };
-      });
+      const { tweets, progress } = await fetchNewCompetitorTweets(competitor);
 
-      // Upsert to avoid duplicates (tweet_id is unique)
-      const { error } = await sb.from('competitor_tweets')
-        .upsert(rows, { onConflict: 'tweet_id', ignoreDuplicates: true });
+      if (tweets.length > 0) {
+        // Upsert to avoid duplicates (tweet_id is unique)
+        const { error } = await sb.from('competitor_tweets')
+          .upsert(tweets.map(tweet => toCompetitorTweetRow(competitor, tweet)), { onConflict: 'tweet_id', ignoreDuplicates: true });
 
-      if (error) {
-        console.error(`Error inserting tweets for @${competitor.handle}:`, error.message);
-        logError('competitor', `@${competitor.handle} のツイート保存に失敗`, { handle: competitor.handle, error: error.message });
-      } else {
-        console.log(`Fetched ${result.data.length} tweets for @${competitor.handle}`);
+        if (error) {
+          console.error(`Error inserting tweets for @${competitor.handle}:`, error.message);
+          logError('competitor', `@${competitor.handle} のツイート保存に失敗`, { handle: competitor.handle, error: error.message });
+          await recordCompetitorFetch(sb, competitor, { last_fetch_error: error.message });
+          continue;
+        }
       }
+
+      await recordCompetitorFetch(sb, competitor, {
+        ...progress,
+        last_fetched_at: new Date().toISOString(),
+        last_fetch_tweet_count: tweets.length,
+        last_fetch_cost_usd: tweets.length * TWEET_READ_COST_USD,
+        last_fetch_error: null
+      });
+      fetched++;
+      console.log(`Fetched ${tweets.length} new tweets for @${competitor.handle}`);
     } catch (err) {
+      if (err.rateLimited) {
+        deferred.push(competitor.handle);
+        continue;
+      }
       console.error(`Failed to fetch tweets for @${competitor.handle}:`, err.message);
       logError('competitor', `@${competitor.handle} のツイート取得に失敗`, { handle: competitor.handle, error: err.message, stack: err.stack });
+      await recordCompetitorFetch(sb, competitor, { last_fetch_error: err.message });
     }
   }
+
+  if (deferred.length > 0) {
+    // Not fetched within 24h, so they are picked up again on the next run
+    logWarn('competitor', `レート制限のため ${deferred.length} 件の競合ツイート取得を次回に延期`, { handles: deferred });
+  }
+  return { fetched, deferred };
 }
 
 async function runWeeklyImprovementAnalysis() {
@@ -288,4 +600,4 @@ async function runWeeklyImprovementAnalysis() {
   }
 }
 
-module.exports = { startScheduler, processScheduledPosts, fetchAllCompetitorTweets, runWeeklyImprovementAnalysis };
+module.exports = { startScheduler, processScheduledPosts, getThreadParts, fetchAllCompetitorTweets, runWeeklyImprovementAnalysis };
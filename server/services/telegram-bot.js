@@ -1,5 +1,7 @@
 const TelegramBot = require('node-telegram-bot-api');
 const { logError, logInfo } = require('./app-logger');
+const { formatViolations } = require('./content-linter');
+const { weightedLength, MAX_WEIGHTED_LENGTH } = require('../../shared/tweet-length');
 
 let bot = null;
 let callbackHandler = null;
@@ -152,9 +154,9 @@ async function getTelegramChatId() {
 async function sendTweetProposal(chatId, proposal) {
   if (!bot) return null;
 
-  const { postId, text, index, total, postType, factCheck } = proposal;
+  const { postId, text, index, total, postType, factCheck, lintViolations = [], similarity = null } = proposal;
   const typeLabel = postType === 'reply' ? 'リプライ' : postType === 'quote' ? '引用RT' : 'ツイート';
-  const charCount = text.length;
+  const charCount = weightedLength(text);
 
   const hasFactCheckWarning = factCheck && factCheck !== 'ok';
   let factCheckLine = '';
@@ -162,16 +164,25 @@ async function sendTweetProposal(chatId, proposal) {
     factCheckLine = `\n⚠️ 要確認: ${factCheck}`;
   }
 
-  const message = `📝 ${typeLabel}案 (${index}/${total})\n━━━━━━━━━━━━━━━━\n${text}\n━━━━━━━━━━━━━━━━\n📊 文字数: ${charCount}${factCheckLine}`;
+  const lintLine = lintViolations.length > 0 ? `\n🚫 文面チェック: ${formatViolations(lintViolations)}` : '';
+  // Closest recent post; near-duplicates never reach this point
+  const similarityLine = similarity ? `\n🔁 過去投稿との類似度: ${Math.round(similarity.score * 100)}%` : '';
 
-  // When fact check has warnings, show "確認して投稿" instead of direct approve
+  const message = `📝 ${typeLabel}案 (${index}/${total})\n━━━━━━━━━━━━━━━━\n${text}\n━━━━━━━━━━━━━━━━\n📊 文字数: ${charCount}/${MAX_WEIGHTED_LENGTH}${similarityLine}${factCheckLine}${lintLine}`;
+
+  // When fact check has warnings, show "確認して投稿" instead of direct approve.
+  // A lint violation cannot be approved at all; only edit/regenerate/reject remain.
   const approveButton = hasFactCheckWarning
     ? { text: '⚠️ 確認して投稿', callback_data: `confirm_approve:${postId}` }
     : { text: '✅ これで投稿', callback_data: `approve:${postId}` };
 
+  // Queueing skips the fact-check confirmation, so it is only offered without warnings
+  const queueButton = { text: '📥 キューに追加', callback_data: `queue:${postId}` };
+
   const keyboard = {
     inline_keyboard: [[
-      approveButton,
+      ...(lintLine ? [] : [approveButton]),
+      ...(lintLine || hasFactCheckWarning ? [] : [queueButton]),
       { text: '✏️ 編集依頼', callback_data: `edit:${postId}` }
     ], [
       { text: '🔄 再生成', callback_data: `regenerate:${postId}` },
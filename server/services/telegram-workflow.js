@@ -3,7 +3,75 @@ const { getDb } = require('../db/database');
 const { getAIProvider } = require('./ai-provider');
 const { postTweet } = require('./x-api');
 const { sendTweetProposal, sendNotification, updateMessage, initTelegramBot, getTelegramChatId, getBot } = require('./telegram-bot');
-const { logError, logInfo } = require('./app-logger');
+const { logError, logWarn, logInfo } = require('./app-logger');
+const { deletePostFromX } = require('./post-deletion');
+const { lintPost, formatViolations, getLintContext } = require('./content-linter');
+const { checkDuplicates, toSimilarityRecord, formatSimilarity } = require('./duplicate-detector');
+const { enqueueDraft } = require('./post-queue');
+const { getZonedParts } = require('../utils/date-utils');
+const { getAccountTimeZone } = require('./account-timezone');
+const { getPostingPause, pausePosting, resumePosting } = require('./posting-blackout');
+
+function deleteKeyboard(postId) {
+  return { inline_keyboard: [[{ text: '🗑 Xから削除', callback_data: `delete_post:${postId}` }]] };
+}
+
+/**
+ * Replace the inline keyboard of a sent message (no-op without a bot or message).
+ * Failures are logged only: the buttons are a convenience, not part of the action.
+ */
+async function setMessageButtons(chatId, messageId, keyboard) {
+  const bot = getBot();
+  if (!bot || !messageId) return;
+  try {
+    await bot.editMessageReplyMarkup(keyboard, { chat_id: chatId, message_id: Number(messageId) });
+  } catch (err) {
+    logError('telegram', 'ボタンの更新に失敗しました', { messageId, error: err.message });
+  }
+}
+
+/**
+ * Lint generated candidates. Under the 'block' lint policy violating
+ * candidates are dropped; otherwise they are kept with their violations,
+ * which the proposal shows and which stop it from being approved.
+ * @returns {Promise<Array<{ candidate: object, violations: object[] }>>}
+ */
+async function lintCandidates(accountId, candidates) {
+  const lintContext = await getLintContext(accountId);
+  const checked = candidates.map(candidate => ({
+    candidate,
+    violations: lintPost({ text: candidate.text }, lintContext)
+  }));
+  if (lintContext.policy !== 'block') return checked;
+
+  const kept = checked.filter(c => c.violations.length === 0);
+  if (kept.length < checked.length) {
+    logWarn('telegram', `文面チェックに違反した${checked.length - kept.length}件の案を破棄しました`, {
+      accountId,
+      violations: checked.filter(c => c.violations.length > 0).map(c => formatViolations(c.violations))
+    });
+  }
+  return kept;
+}
+
+/**
+ * Drop new-tweet proposals that retell a recent post and attach the closest
+ * match to the rest. Replies and quotes are not checked.
+ * @returns {Promise<Array<{ candidate: object, violations: object[], similarity?: object }>>}
+ */
+async function screenDuplicateProposals(accountId, provider, postType, checked) {
+  if (postType !== 'new') return checked;
+  const results = await checkDuplicates(accountId, checked.map(c => c.candidate.text), { provider });
+  const kept = [];
+  checked.forEach((c, i) => {
+    if (results[i].duplicate) {
+      logWarn('telegram', `類似投稿のため案を破棄しました: ${formatSimilarity(results[i])}`, { accountId, text: c.candidate.text });
+      return;
+    }
+    kept.push({ ...c, similarity: toSimilarityRecord(results[i]) });
+  });
+  return kept;
+}
 
 /**
  * Generate tweet proposals and send them to Telegram for approval.
@@ -22,7 +90,7 @@ async function triggerTweetProposal(accountId, options = {}) {
   const chatId = await getTelegramChatId();
   if (!chatId) throw new Error('Telegram Chat ID が設定されていません。Supabase の settings テーブルに telegram_chat_id を登録してください。');
 
-  const provider = getAIProvider(providerName);
+  const provider = getAIProvider(providerName, { failover: true });
   const genOptions = {
     postType,
     accountId,
@@ -40,17 +108,28 @@ async function triggerTweetProposal(accountId, options = {}) {
 
   // Filter valid candidates and batch-insert all drafts at once
   const batchId = crypto.randomUUID();
-  const validCandidates = result.candidates.filter(c => c.text && c.text.trim());
-  const insertRows = validCandidates.map(candidate => ({
+  const lintedCandidates = await lintCandidates(accountId, result.candidates.filter(c => c.text && c.text.trim()));
+  if (lintedCandidates.length === 0) {
+    throw new Error('すべてのツイート案が文面チェックに違反したため破棄しました');
+  }
+  const validCandidates = await screenDuplicateProposals(accountId, provider, postType, lintedCandidates);
+  if (validCandidates.length === 0) {
+    throw new Error('すべてのツイート案が過去の投稿と似ていたため破棄しました');
+  }
+  const insertRows = validCandidates.map(({ candidate, violations, similarity }) => ({
     account_id: accountId,
     text: candidate.text,
     post_type: postType,
     status: 'draft',
     ai_provider: result.provider,
     ai_model: result.model,
+    prompt_version_id: result.promptVersionId || null,
+    experiment_variant_id: result.experimentVariantId || null,
     telegram_chat_id: chatId,
     generation_theme: theme,
-    generation_batch_id: batchId
+    generation_batch_id: batchId,
+    lint_violations: violations.length > 0 ? violations : null,
+    similarity: similarity || null
   }));
 
   const { data: posts, error } = await sb.from('my_posts')
@@ -70,7 +149,9 @@ async function triggerTweetProposal(accountId, options = {}) {
       index: i + 1,
       total: posts.length,
       postType,
-      factCheck: validCandidates[i]?.factCheck || null
+      factCheck: validCandidates[i]?.candidate.factCheck || null,
+      lintViolations: validCandidates[i]?.violations || [],
+      similarity: validCandidates[i]?.similarity || null
     }).catch(() => null)
   ));
 
@@ -90,6 +171,54 @@ async function triggerTweetProposal(accountId, options = {}) {
   return { generated: postIds.length, postIds };
 }
 
+/**
+ * Re-check a proposal against the content lint before it is published or
+ * queued: it may predate a persona or policy change. Throws (after telling
+ * the chat) when it no longer passes.
+ */
+async function assertLintClean(post) {
+  const lintViolations = lintPost(
+    { text: post.text, threadParts: post.thread_parts || undefined },
+    await getLintContext(post.account_id)
+  );
+  if (lintViolations.length === 0) return;
+  const summary = formatViolations(lintViolations);
+  const chatId = post.telegram_chat_id || await getTelegramChatId();
+  if (chatId) {
+    await sendNotification(chatId, `🚫 文面チェックに違反しているため投稿できません\n\n${summary}\n\n「編集依頼」から作り直してください。`);
+  }
+  throw new Error(`文面チェックに違反しています: ${summary}`);
+}
+
+/**
+ * Auto-reject the other drafts of the same batch once one of them is
+ * posted or queued, to prevent double-posting.
+ */
+async function rejectBatchSiblings(sb, post, reason) {
+  if (!post.generation_batch_id) return;
+  const { data: siblings } = await sb.from('my_posts')
+    .select('id, telegram_chat_id, telegram_message_id, text')
+    .eq('generation_batch_id', post.generation_batch_id)
+    .eq('status', 'draft')
+    .neq('id', post.id);
+
+  if (!siblings || siblings.length === 0) return;
+  await Promise.all(siblings.map(s =>
+    sb.from('my_posts').update({ status: 'rejected' }).eq('id', s.id)
+  ));
+
+  // Update Telegram messages for auto-rejected siblings
+  const siblingChatId = post.telegram_chat_id || await getTelegramChatId();
+  if (siblingChatId) {
+    await Promise.all(siblings.filter(s => s.telegram_message_id).map(s =>
+      updateMessage(siblingChatId, Number(s.telegram_message_id),
+        `🚫 自動却下（${reason}）\n━━━━━━━━━━━━━━━━\n${s.text}`)
+    ));
+  }
+
+  logInfo('telegram', `同バッチの${siblings.length}件を自動却下しました`, { batchId: post.generation_batch_id });
+}
+
 /**
  * Approve a tweet: post it to X and notify via Telegram.
  * @param {string} postId - my_posts.id
@@ -105,6 +234,8 @@ async function approveTweet(postId) {
 
   if (error || !post) throw new Error('下書きが見つかりません');
 
+  await assertLintClean(post);
+
   const postOptions = { accountId: post.account_id };
   if (post.post_type === 'reply' && post.target_tweet_id) {
     postOptions.replyToId = post.target_tweet_id;
@@ -136,48 +267,72 @@ async function approveTweet(postId) {
     })
     .eq('id', postId);
 
-  // Auto-reject other drafts in the same batch to prevent double-posting
-  if (post.generation_batch_id) {
-    const { data: siblings } = await sb.from('my_posts')
-      .select('id, telegram_chat_id, telegram_message_id, text')
-      .eq('generation_batch_id', post.generation_batch_id)
-      .eq('status', 'draft')
-      .neq('id', postId);
-
-    if (siblings && siblings.length > 0) {
-      await Promise.all(siblings.map(s =>
-        sb.from('my_posts').update({ status: 'rejected' }).eq('id', s.id)
-      ));
-
-      // Update Telegram messages for auto-rejected siblings
-      const siblingChatId = post.telegram_chat_id || await getTelegramChatId();
-      if (siblingChatId) {
-        await Promise.all(siblings.filter(s => s.telegram_message_id).map(s =>
-          updateMessage(siblingChatId, Number(s.telegram_message_id),
-            `🚫 自動却下（別の案が投稿されました）\n━━━━━━━━━━━━━━━━\n${s.text}`)
-        ));
-      }
-
-      logInfo('telegram', `同バッチの${siblings.length}件を自動却下しました`, { batchId: post.generation_batch_id });
-    }
-  }
+  await rejectBatchSiblings(sb, post, '別の案が投稿されました');
 
-  // Notify success via Telegram
+  // Notify success via Telegram, with a button to take the post down again
   const chatId = post.telegram_chat_id || await getTelegramChatId();
   if (chatId) {
+    let messageId = post.telegram_message_id;
     if (post.telegram_message_id) {
       await updateMessage(chatId, Number(post.telegram_message_id),
         `✅ 投稿完了!\n━━━━━━━━━━━━━━━━\n${post.text}\n━━━━━━━━━━━━━━━━\n🔗 Tweet ID: ${xResult.data.id}`);
     } else {
-      await sendNotification(chatId,
+      const sent = await sendNotification(chatId,
         `✅ 投稿完了!\n━━━━━━━━━━━━━━━━\n${post.text}\n━━━━━━━━━━━━━━━━\n🔗 Tweet ID: ${xResult.data.id}`);
+      messageId = sent?.message_id;
     }
+    await setMessageButtons(chatId, messageId, deleteKeyboard(postId));
   }
 
   logInfo('telegram', 'ツイートを投稿しました', { postId, tweetId: xResult.data.id });
   return { tweetId: xResult.data.id };
 }
 
+/**
+ * Queue a tweet: schedule it into the next free queue slot of its account
+ * instead of posting it now. The scheduler publishes it at the slot time.
+ * @param {string} postId - my_posts.id
+ */
+async function queueTweet(postId) {
+  const sb = getDb();
+
+  const { data: post, error } = await sb.from('my_posts')
+    .select('*')
+    .eq('id', postId)
+    .eq('status', 'draft')
+    .single();
+
+  if (error || !post) throw new Error('下書きが見つかりません');
+
+  await assertLintClean(post);
+
+  const chatId = post.telegram_chat_id || await getTelegramChatId();
+  let slot;
+  try {
+    slot = await enqueueDraft(post);
+  } catch (err) {
+    if (chatId) await sendNotification(chatId, `❌ キューに追加できませんでした\n\nエラー: ${err.message}`);
+    throw err;
+  }
+
+  await rejectBatchSiblings(sb, post, '別の案がキューに追加されました');
+
+  // Slot times are in the account's timezone, so show them the same way
+  const at = getZonedParts(new Date(slot.at), await getAccountTimeZone(post.account_id));
+  const when = `${at.month}/${at.day} ${String(at.hour).padStart(2, '0')}:${String(at.minute).padStart(2, '0')}`;
+  const message = `📥 キューに追加しました（${when} 投稿予定${slot.name ? `・${slot.name}` : ''}）\n━━━━━━━━━━━━━━━━\n${post.text}`;
+  if (chatId) {
+    if (post.telegram_message_id) {
+      await updateMessage(chatId, Number(post.telegram_message_id), message);
+    } else {
+      await sendNotification(chatId, message);
+    }
+  }
+
+  logInfo('telegram', 'ツイートをキューに追加しました', { postId, scheduledAt: slot.at });
+  return { scheduledAt: slot.at };
+}
+
 /**
  * Reject a tweet: mark as rejected and update Telegram message.
  * @param {string} postId
@@ -285,6 +440,52 @@ async function confirmApprove(postId, chatId) {
   }
 }
 
+/**
+ * Ask for confirmation before deleting a posted tweet from X.
+ * @param {string} postId
+ * @param {string} chatId
+ * @param {number} messageId - the "投稿完了" message holding the button
+ */
+async function confirmDeletePost(postId, chatId, messageId) {
+  const keyboard = {
+    inline_keyboard: [[
+      { text: '🗑 本当に削除', callback_data: `force_delete:${postId}` },
+      { text: '↩️ やめる', callback_data: `cancel_delete:${postId}` }
+    ]]
+  };
+  await setMessageButtons(chatId, messageId, keyboard);
+}
+
+/**
+ * Delete a posted tweet from X and mark the Telegram message accordingly.
+ * @param {string} postId
+ * @param {string} chatId
+ * @param {number} messageId
+ */
+async function deletePostViaTelegram(postId, chatId, messageId) {
+  const sb = getDb();
+  const { data: post } = await sb.from('my_posts')
+    .select('id, text')
+    .eq('id', postId)
+    .single();
+
+  try {
+    await deletePostFromX(postId, { source: 'telegram' });
+  } catch (err) {
+    await sendNotification(chatId, `❌ 削除に失敗しました\n\nエラー: ${err.message}`);
+    await setMessageButtons(chatId, messageId, deleteKeyboard(postId));
+    throw err;
+  }
+
+  const text = `🗑 Xから削除しました\n━━━━━━━━━━━━━━━━\n${post?.text || ''}`;
+  if (messageId) {
+    await updateMessage(chatId, Number(messageId), text);
+  } else {
+    await sendNotification(chatId, text);
+  }
+  logInfo('telegram', '投稿をXから削除しました', { postId });
+}
+
 /**
  * Start edit mode: create a telegram session to collect feedback text.
  * @param {string} postId
@@ -368,7 +569,7 @@ async function processEditFeedback(chatId, feedback) {
 
   // Regenerate with feedback
   const providerName = post.ai_provider || 'claude';
-  const provider = getAIProvider(providerName);
+  const provider = getAIProvider(providerName, { failover: true });
 
   const customPrompt = `以下の元ツイートを、ユーザーのフィードバックに基づいて修正し、3パターン作成してください。
 
@@ -395,8 +596,17 @@ bodyにはそのまま投稿できる完成テキストだけを書いてくだ
   }
 
   // Batch-insert new proposals
-  const validCandidates = result.candidates.filter(c => c.text && c.text.trim());
-  const insertRows = validCandidates.map(candidate => ({
+  const lintedCandidates = await lintCandidates(post.account_id, result.candidates.filter(c => c.text && c.text.trim()));
+  if (lintedCandidates.length === 0) {
+    await sendNotification(chatId, '❌ すべての修正案が文面チェックに違反したため破棄しました');
+    return true;
+  }
+  const validCandidates = await screenDuplicateProposals(post.account_id, provider, post.post_type, lintedCandidates);
+  if (validCandidates.length === 0) {
+    await sendNotification(chatId, '❌ すべての修正案が過去の投稿と似ていたため破棄しました');
+    return true;
+  }
+  const insertRows = validCandidates.map(({ candidate, violations, similarity }) => ({
     account_id: post.account_id,
     text: candidate.text,
     post_type: post.post_type,
@@ -404,7 +614,11 @@ bodyにはそのまま投稿できる完成テキストだけを書いてくだ
     status: 'draft',
     ai_provider: result.provider,
     ai_model: result.model,
-    telegram_chat_id: String(chatId)
+    prompt_version_id: result.promptVersionId || null,
+    experiment_variant_id: result.experimentVariantId || null,
+    telegram_chat_id: String(chatId),
+    lint_violations: violations.length > 0 ? violations : null,
+    similarity: similarity || null
   }));
 
   const { data: newPosts } = await sb.from('my_posts')
@@ -418,7 +632,9 @@ bodyにはそのまま投稿できる完成テキストだけを書いてくだ
         text: np.text,
         index: i + 1,
         total: newPosts.length,
-        postType: post.post_type
+        postType: post.post_type,
+        lintViolations: validCandidates[i]?.violations || [],
+        similarity: validCandidates[i]?.similarity || null
       }).catch(() => null)
     ));
 
@@ -453,6 +669,7 @@ function initTelegramWorkflow() {
 async function handleCallback(query) {
   const data = query.data;
   const chatId = query.message.chat.id;
+  const messageId = query.message.message_id;
 
   const [action, postId] = data.split(':');
 
@@ -466,6 +683,9 @@ async function handleCallback(query) {
     case 'force_approve':
       await approveTweet(postId);
       break;
+    case 'queue':
+      await queueTweet(postId);
+      break;
     case 'reject':
       await rejectTweet(postId);
       break;
@@ -475,29 +695,85 @@ async function handleCallback(query) {
     case 'edit':
       await startEditSession(postId, chatId);
       break;
+    case 'delete_post':
+      await confirmDeletePost(postId, chatId, messageId);
+      break;
+    case 'force_delete':
+      await deletePostViaTelegram(postId, chatId, messageId);
+      break;
+    case 'cancel_delete':
+      await setMessageButtons(chatId, messageId, deleteKeyboard(postId));
+      break;
     default:
       console.warn('Telegram: unknown callback action:', action);
   }
 }
 
+/**
+ * Bot commands: /pause [理由] stops all scheduled and automatic posting,
+ * /resume restarts it and /status shows whether it is paused.
+ * Unknown commands are ignored.
+ */
+async function handleCommand(chatId, text) {
+  const [head, ...rest] = text.trim().split(/\s+/);
+  // In groups commands arrive as /pause@botname
+  const command = head.split('@')[0].toLowerCase();
+  const reason = rest.join(' ') || null;
+
+  switch (command) {
+    case '/pause': {
+      await pausePosting(reason, 'telegram');
+      await sendNotification(chatId, `🛑 投稿を緊急停止しました${reason ? `（${reason}）` : ''}\n予約投稿と自動投稿は /resume まで止まります。`);
+      break;
+    }
+    case '/resume': {
+      const pause = await getPostingPause();
+      if (!pause.paused) {
+        await sendNotification(chatId, '投稿は停止していません。');
+        break;
+      }
+      await resumePosting('telegram');
+      await sendNotification(chatId, '▶️ 投稿を再開しました。止まっていた予約投稿は次の実行で投稿されます。');
+      break;
+    }
+    case '/status': {
+      const pause = await getPostingPause();
+      await sendNotification(chatId, pause.paused
+        ? `🛑 緊急停止中${pause.reason ? `（${pause.reason}）` : ''}\n/resume で再開します。`
+        : '✅ 投稿は通常どおり動いています。/pause [理由] で緊急停止します。');
+      break;
+    }
+    default:
+      break;
+  }
+}
+
 /**
  * Handle text messages (for edit feedback flow).
  */
 async function handleMessage(msg) {
-  if (!msg.text || msg.text.startsWith('/')) return;
+  if (!msg.text) return;
   const chatId = msg.chat.id;
+  if (msg.text.startsWith('/')) {
+    await handleCommand(chatId, msg.text);
+    return;
+  }
   await processEditFeedback(chatId, msg.text);
 }
 
 module.exports = {
   triggerTweetProposal,
   approveTweet,
+  queueTweet,
   confirmApprove,
   rejectTweet,
   regenerateTweet,
   startEditSession,
   processEditFeedback,
+  confirmDeletePost,
+  deletePostViaTelegram,
   initTelegramWorkflow,
   handleCallback,
+  handleCommand,
   handleMessage
 };
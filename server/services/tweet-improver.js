@@ -2,6 +2,8 @@ const { getDb } = require('../db/database');
 const { getAIProvider } = require('./ai-provider');
 const { logDetailedUsage } = require('./cost-calculator');
 const { logInfo, logError } = require('./app-logger');
+const { getAccountTimeZone } = require('./account-timezone');
+const { getZonedParts, DEFAULT_TIMEZONE } = require('../utils/date-utils');
 
 /**
  * Tweet Improver Service
@@ -73,8 +75,8 @@ async function analyzePostPerformance(accountId) {
   const topPatterns = extractPatterns(topPosts);
   const bottomPatterns = extractPatterns(bottomPosts);
 
-  // Analyze posting time patterns
-  const timeAnalysis = analyzePostingTimes(posts);
+  // Analyze posting time patterns in the account's local hours
+  const timeAnalysis = analyzePostingTimes(posts, await getAccountTimeZone(accountId));
 
   // Analyze theme category performance
   const categoryAnalysis = analyzeCategoryPerformance(posts);
@@ -127,22 +129,20 @@ function extractPatterns(posts) {
 }
 
 /**
- * Analyze which posting times perform best.
+ * Analyze which posting times perform best, by local hour in `timeZone`.
  */
-function analyzePostingTimes(posts) {
+function analyzePostingTimes(posts, timeZone = DEFAULT_TIMEZONE) {
   const hourBuckets = {};
 
   for (const post of posts) {
     if (!post.posted_at) continue;
-    const hour = new Date(post.posted_at).getUTCHours();
-    // Convert to JST
-    const jstHour = (hour + 9) % 24;
-    if (!hourBuckets[jstHour]) {
-      hourBuckets[jstHour] = { totalER: 0, count: 0, totalImpressions: 0 };
+    const { hour } = getZonedParts(new Date(post.posted_at), timeZone);
+    if (!hourBuckets[hour]) {
+      hourBuckets[hour] = { totalER: 0, count: 0, totalImpressions: 0 };
     }
-    hourBuckets[jstHour].totalER += post.engagement_rate || 0;
-    hourBuckets[jstHour].totalImpressions += post.impression_count || 0;
-    hourBuckets[jstHour].count++;
+    hourBuckets[hour].totalER += post.engagement_rate || 0;
+    hourBuckets[hour].totalImpressions += post.impression_count || 0;
+    hourBuckets[hour].count++;
   }
 
   const hourlyPerformance = Object.entries(hourBuckets)
@@ -157,7 +157,7 @@ function analyzePostingTimes(posts) {
   const bestHours = hourlyPerformance.slice(0, 3).map(h => h.hour);
   const worstHours = hourlyPerformance.slice(-3).map(h => h.hour);
 
-  return { hourlyPerformance, bestHours, worstHours };
+  return { hourlyPerformance, bestHours, worstHours, timeZone };
 }
 
 /**
@@ -337,7 +337,7 @@ ${bottomPostTexts}
 # テーマカテゴリ別パフォーマンス
 ${catAnalysis}
 
-# 時間帯別パフォーマンス（JST、上位5）
+# 時間帯別パフォーマンス（${analysis.timeAnalysis.timeZone || DEFAULT_TIMEZONE}、上位5）
 ${timeAnalysis}
 
 # テキスト特徴分析
@@ -1,10 +1,29 @@
 const crypto = require('crypto');
 const { getDb } = require('../db/database');
 const { decrypt } = require('../utils/crypto');
+const { createCacheBackend } = require('./api-cache');
+const { getValidAccessToken } = require('./x-oauth2');
+const { weightedLength, MAX_WEIGHTED_LENGTH } = require('../../shared/tweet-length');
 
-const API_BASE = 'https://api.twitter.com';
+const DEFAULT_API_BASE = 'https://api.twitter.com';
+const DEFAULT_UPLOAD_BASE = 'https://upload.twitter.com';
 
-// --- In-memory cache for X API responses ---
+// Base URLs are read per request so X_API_BASE_URL can point at the local
+// mock server (npm run mock:x) in development and tests.
+function getApiBase() {
+  return (process.env.X_API_BASE_URL || DEFAULT_API_BASE).replace(/\/+$/, '');
+}
+
+function getUploadBase() {
+  const base = process.env.X_UPLOAD_BASE_URL || process.env.X_API_BASE_URL || DEFAULT_UPLOAD_BASE;
+  return base.replace(/\/+$/, '');
+}
+
+// Chunk size for APPEND requests (the endpoint accepts up to 5MB per chunk)
+const MEDIA_CHUNK_SIZE = 1024 * 1024;
+const MEDIA_STATUS_MAX_POLLS = 10;
+
+// --- Cache for X API responses (backend chosen by X_API_CACHE_BACKEND) ---
 const apiCache = new Map();
 const CACHE_TTL = {
   user_by_handle: 24 * 60 * 60 * 1000, // 24 hours (profiles rarely change)
@@ -12,35 +31,160 @@ const CACHE_TTL = {
   search_tweets: 30 * 60 * 1000,        // 30 minutes
 };
 
+let cacheBackend = null;
+
+// Resolved lazily so the env var can be set after this module loads.
+// The memory backend shares apiCache so existing callers can still clear it.
+function getCacheBackend() {
+  if (!cacheBackend) cacheBackend = createCacheBackend(apiCache);
+  return cacheBackend;
+}
+
+function resetCacheBackend() {
+  cacheBackend = null;
+}
+
 function getCacheKey(type, ...args) {
   return `${type}:${args.join(':')}`;
 }
 
 function getFromCache(key) {
-  const entry = apiCache.get(key);
-  if (!entry) return null;
-  if (Date.now() - entry.timestamp > entry.ttl) {
-    apiCache.delete(key);
+  return getCacheBackend().get(key);
+}
+
+// costUsd is what the cached call cost, i.e. what each hit saves
+function setCache(key, data, ttl, costUsd = 0) {
+  return getCacheBackend().set(key, data, ttl, costUsd);
+}
+
+// --- Rate-limit tracking from x-rate-limit-* response headers ---
+// Keyed by account and endpoint (same names as logApiUsage endpoints)
+const rateLimitState = new Map();
+const DEFAULT_RATE_LIMIT_WINDOW_MS = 15 * 60 * 1000;
+// Longest a request blocks waiting for a window reset; beyond this it is deferred
+const RATE_LIMIT_MAX_WAIT_MS = 30 * 1000;
+// With this few requests left, paced callers spread them over the rest of the window
+const RATE_LIMIT_LOW_WATERMARK = 3;
+
+function rateLimitKey(endpoint, accountId) {
+  return `${accountId || 'app'}:${endpoint}`;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, Math.max(ms, 0)));
+}
+
+function recordRateLimit(endpoint, accountId, response) {
+  const header = (name) => (response.headers && typeof response.headers.get === 'function'
+    ? response.headers.get(name) : null);
+  const limit = header('x-rate-limit-limit');
+  const remaining = header('x-rate-limit-remaining');
+  const reset = header('x-rate-limit-reset');
+  if (remaining === null && response.status !== 429) return;
+
+  const previous = rateLimitState.get(rateLimitKey(endpoint, accountId));
+  rateLimitState.set(rateLimitKey(endpoint, accountId), {
+    endpoint,
+    accountId: accountId || null,
+    limit: limit !== null ? parseInt(limit, 10) : (previous ? previous.limit : null),
+    remaining: response.status === 429 ? 0 : parseInt(remaining, 10),
+    resetAt: reset !== null ? parseInt(reset, 10) * 1000 : Date.now() + DEFAULT_RATE_LIMIT_WINDOW_MS,
+    updatedAt: Date.now()
+  });
+}
+
+/**
+ * Current rate-limit state for an endpoint, or null when unknown or the window has reset.
+ */
+function getRateLimit(endpoint, accountId) {
+  const key = rateLimitKey(endpoint, accountId);
+  const state = rateLimitState.get(key);
+  if (!state) return null;
+  if (Date.now() >= state.resetAt) {
+    rateLimitState.delete(key);
     return null;
   }
-  return entry.data;
+  return state;
+}
+
+/**
+ * All known (unexpired) rate-limit windows, optionally for one account.
+ */
+function getRateLimitStatus(accountId) {
+  const result = [];
+  for (const state of [...rateLimitState.values()]) {
+    if (!getRateLimit(state.endpoint, state.accountId)) continue;
+    if (accountId && String(state.accountId) !== String(accountId)) continue;
+    result.push({ ...state });
+  }
+  return result.sort((a, b) => a.resetAt - b.resetAt);
+}
+
+/**
+ * Wait until a request to the endpoint fits in the current window.
+ * Returns false (without waiting) when the window is exhausted and resets
+ * later than maxWaitMs: the caller should defer the work.
+ * With pace: true, the last few requests of a window are spread out evenly.
+ */
+async function waitForRateLimit(endpoint, accountId, options = {}) {
+  const { maxWaitMs = RATE_LIMIT_MAX_WAIT_MS, pace = false } = options;
+  const state = getRateLimit(endpoint, accountId);
+  if (!state) return true;
+
+  const untilReset = state.resetAt - Date.now();
+  if (state.remaining <= 0) {
+    if (untilReset > maxWaitMs) return false;
+    await sleep(untilReset);
+    return true;
+  }
+  if (pace && state.remaining <= RATE_LIMIT_LOW_WATERMARK) {
+    await sleep(Math.min(Math.floor(untilReset / (state.remaining + 1)), maxWaitMs));
+  }
+  return true;
+}
+
+function rateLimitedError(endpoint, state) {
+  const resetAt = state ? state.resetAt : Date.now() + DEFAULT_RATE_LIMIT_WINDOW_MS;
+  const err = new Error(`X API error 429: ${endpoint} はレート制限中です（${new Date(resetAt).toISOString()} に解除）`);
+  err.rateLimited = true;
+  err.resetAt = resetAt;
+  return err;
 }
 
-function setCache(key, data, ttl) {
-  apiCache.set(key, { data, timestamp: Date.now(), ttl });
-  // Prevent unbounded growth
-  if (apiCache.size > 500) {
-    const oldest = apiCache.keys().next().value;
-    apiCache.delete(oldest);
+/**
+ * fetch() wrapper that records rate-limit headers, refuses to call an
+ * endpoint whose window is exhausted, and retries a 429 once when the window
+ * resets within RATE_LIMIT_MAX_WAIT_MS. Other errors are returned as-is.
+ * Pass init as a function when it must be rebuilt per attempt (OAuth nonce).
+ */
+async function xFetch(url, init, { endpoint, accountId }) {
+  const buildInit = typeof init === 'function' ? init : () => init;
+
+  if (!(await waitForRateLimit(endpoint, accountId))) {
+    throw rateLimitedError(endpoint, getRateLimit(endpoint, accountId));
+  }
+
+  let response = await fetch(url, buildInit());
+  recordRateLimit(endpoint, accountId, response);
+
+  if (response.status === 429) {
+    const state = getRateLimit(endpoint, accountId);
+    if (!state || state.resetAt - Date.now() > RATE_LIMIT_MAX_WAIT_MS) {
+      throw rateLimitedError(endpoint, state);
+    }
+    await sleep(state.resetAt - Date.now());
+    response = await fetch(url, buildInit());
+    recordRateLimit(endpoint, accountId, response);
   }
+  return response;
 }
 
 // --- Budget guard: check X API budget before calling ---
 async function checkXApiBudget() {
   try {
     const sb = getDb();
-    const { getStartOfMonthJST } = require('../utils/date-utils');
-    const startOfMonth = getStartOfMonthJST();
+    const { getBudgetMonthStart } = require('./cost-calculator');
+    const startOfMonth = await getBudgetMonthStart();
 
     const { data: usageRows } = await sb.from('api_usage_log')
       .select('cost_usd')
@@ -63,7 +207,7 @@ async function getAccountCredentials(accountId) {
   const { data, error } = await sb.from('x_accounts').select('*').eq('id', accountId).single();
   if (error || !data) throw new Error(`Account not found: ${accountId}`);
 
-  return {
+  const credentials = {
     ...data,
     api_key: decrypt(data.api_key),
     api_secret: decrypt(data.api_secret),
@@ -71,6 +215,21 @@ async function getAccountCredentials(accountId) {
     access_token_secret: decrypt(data.access_token_secret),
     bearer_token: decrypt(data.bearer_token),
   };
+
+  if (data.auth_type === 'oauth2') {
+    // Refreshed here so every caller gets a token that is valid for the call
+    credentials.oauth2_access_token = await getValidAccessToken(data);
+    // The user token also works for read endpoints when no app bearer token is set
+    if (!credentials.bearer_token) credentials.bearer_token = credentials.oauth2_access_token;
+  }
+  return credentials;
+}
+
+// User-context Authorization header: OAuth 2.0 user token for accounts linked
+// via "Connect with X", OAuth 1.0a signature for accounts with pasted keys
+function getUserAuthHeader(method, url, credentials, params = {}) {
+  if (credentials.auth_type === 'oauth2') return `Bearer ${credentials.oauth2_access_token}`;
+  return getOAuthHeader(method, url, credentials, params);
 }
 
 function getOAuthHeader(method, url, credentials, params = {}) {
@@ -113,23 +272,33 @@ async function logApiUsage(apiType, endpoint, costUsd, accountId) {
   });
 }
 
+/**
+ * Refuse text X would reject for length, before spending an API call on it.
+ */
+function assertWithinLimit(text, label = 'text') {
+  const length = weightedLength(text);
+  if (length > MAX_WEIGHTED_LENGTH) {
+    throw new Error(`${label} exceeds the ${MAX_WEIGHTED_LENGTH} weighted character limit (${length})`);
+  }
+}
+
 async function postTweet(text, options = {}) {
-  const { accountId, replyToId, quoteTweetId } = options;
+  const { accountId, replyToId, quoteTweetId, mediaIds } = options;
   if (!accountId) throw new Error('accountId is required for posting');
+  assertWithinLimit(text);
 
   const credentials = await getAccountCredentials(accountId);
-  const url = `${API_BASE}/2/tweets`;
+  const url = `${getApiBase()}/2/tweets`;
   const body = { text };
   if (replyToId) body.reply = { in_reply_to_tweet_id: replyToId };
   if (quoteTweetId) body.quote_tweet_id = quoteTweetId;
+  if (mediaIds && mediaIds.length > 0) body.media = { media_ids: mediaIds };
 
-  const authHeader = getOAuthHeader('POST', url, credentials);
-
-  const response = await fetch(url, {
+  const response = await xFetch(url, () => ({
     method: 'POST',
-    headers: { 'Content-Type': 'application/json', 'Authorization': authHeader },
+    headers: { 'Content-Type': 'application/json', 'Authorization': getUserAuthHeader('POST', url, credentials) },
     body: JSON.stringify(body)
-  });
+  }), { endpoint: 'POST /2/tweets', accountId });
 
   if (!response.ok) {
     const error = await response.json().catch(() => ({}));
@@ -140,6 +309,199 @@ async function postTweet(text, options = {}) {
   return response.json();
 }
 
+/**
+ * Post a thread: each part replies to the previous one.
+ * The first part honours replyToId / quoteTweetId / mediaIds like postTweet.
+ *
+ * Pass postedIds (tweet IDs of parts already published) to resume a
+ * partially published thread from the first unpublished part.
+ * On failure the thrown error carries `postedIds` (all IDs published so far,
+ * including earlier runs) and `failedIndex` so the caller can persist progress.
+ *
+ * @returns {{ data: { id: string, ids: string[] } }} id is the first tweet
+ */
+async function postThread(parts, options = {}) {
+  const { accountId, replyToId, quoteTweetId, mediaIds, postedIds = [] } = options;
+  if (!accountId) throw new Error('accountId is required for posting');
+  if (!Array.isArray(parts) || parts.length === 0) throw new Error('thread parts are required');
+  // Check every part up front so an over-limit part cannot leave a half-published thread
+  parts.forEach((part, i) => assertWithinLimit(part, `thread part ${i + 1}`));
+
+  const tweetIds = [...postedIds];
+  for (let i = tweetIds.length; i < parts.length; i++) {
+    const partOptions = { accountId };
+    if (i === 0) {
+      if (replyToId) partOptions.replyToId = replyToId;
+      if (quoteTweetId) partOptions.quoteTweetId = quoteTweetId;
+      if (mediaIds) partOptions.mediaIds = mediaIds;
+    } else {
+      partOptions.replyToId = tweetIds[i - 1];
+    }
+
+    try {
+      const result = await postTweet(parts[i], partOptions);
+      tweetIds.push(result.data.id);
+    } catch (err) {
+      err.postedIds = tweetIds;
+      err.failedIndex = i;
+      throw err;
+    }
+  }
+
+  return { data: { id: tweetIds[0], ids: tweetIds } };
+}
+
+/**
+ * Delete one of the account's own tweets.
+ * A tweet that no longer exists (404) counts as deleted so retries are safe.
+ *
+ * @returns {Promise<boolean>} true once the tweet is gone from X
+ */
+async function deleteTweet(tweetId, options = {}) {
+  const { accountId } = options;
+  if (!accountId) throw new Error('accountId is required for deleting');
+  if (!tweetId) throw new Error('tweetId is required');
+
+  const credentials = await getAccountCredentials(accountId);
+  const url = `${getApiBase()}/2/tweets/${tweetId}`;
+
+  const response = await xFetch(url, () => ({
+    method: 'DELETE',
+    headers: { 'Authorization': getUserAuthHeader('DELETE', url, credentials) }
+  }), { endpoint: 'DELETE /2/tweets/:id', accountId });
+
+  if (response.status === 404) return true;
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw new Error(`X API error ${response.status}: ${JSON.stringify(error)}`);
+  }
+
+  const result = await response.json();
+  await logApiUsage('x_write', 'DELETE /2/tweets/:id', 0.01, accountId);
+  return result.data ? result.data.deleted !== false : true;
+}
+
+// OAuth 2.0 user tokens are not accepted by the v1.1 upload endpoint; the v2
+// endpoint takes the same INIT / APPEND / FINALIZE / STATUS commands
+function getMediaUploadUrl(credentials) {
+  return credentials.auth_type === 'oauth2'
+    ? `${getApiBase()}/2/media/upload`
+    : `${getUploadBase()}/1.1/media/upload.json`;
+}
+
+async function mediaUploadRequest(credentials, params, formData) {
+  const url = getMediaUploadUrl(credentials);
+  const meta = { endpoint: 'POST /1.1/media/upload', accountId: credentials.id };
+  let response;
+  if (formData) {
+    // multipart bodies are not part of the OAuth signature base string
+    response = await xFetch(url, () => ({
+      method: 'POST',
+      headers: { 'Authorization': getUserAuthHeader('POST', url, credentials) },
+      body: formData
+    }), meta);
+  } else {
+    response = await xFetch(url, () => ({
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Authorization': getUserAuthHeader('POST', url, credentials, params)
+      },
+      body: new URLSearchParams(params).toString()
+    }), meta);
+  }
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw new Error(`X media upload error ${response.status} (${params.command}): ${JSON.stringify(error)}`);
+  }
+  // APPEND returns an empty body; v2 wraps the result in data
+  if (params.command === 'APPEND') return null;
+  const json = await response.json();
+  return json.data || json;
+}
+
+async function waitForMediaProcessing(credentials, mediaId, processingInfo) {
+  let info = processingInfo;
+  for (let i = 0; info && i < MEDIA_STATUS_MAX_POLLS; i++) {
+    if (info.state === 'succeeded') return;
+    if (info.state === 'failed') {
+      throw new Error(`X media processing failed: ${info.error?.message || 'unknown error'}`);
+    }
+    await new Promise(r => setTimeout(r, (info.check_after_secs || 1) * 1000));
+
+    const url = getMediaUploadUrl(credentials);
+    const params = { command: 'STATUS', media_id: mediaId };
+    const response = await xFetch(`${url}?${new URLSearchParams(params)}`, () => ({
+      headers: { 'Authorization': getUserAuthHeader('GET', url, credentials, params) }
+    }), { endpoint: 'POST /1.1/media/upload', accountId: credentials.id });
+    if (!response.ok) throw new Error(`X media upload error ${response.status} (STATUS)`);
+    const json = await response.json();
+    info = (json.data || json).processing_info;
+  }
+  if (info && info.state !== 'succeeded') throw new Error('X media processing timed out');
+}
+
+/**
+ * Upload an image with the chunked media endpoint (INIT / APPEND / FINALIZE)
+ * and optionally set its alt text.
+ *
+ * Media IDs expire after 24 hours, so call this right before posting.
+ *
+ * @param {Buffer} buffer - file content
+ * @param {string} mimeType - e.g. 'image/jpeg'
+ * @param {object} options - { accountId, altText }
+ * @returns {Promise<string>} media_id_string to pass to postTweet as mediaIds
+ */
+async function uploadMedia(buffer, mimeType, options = {}) {
+  const { accountId, altText } = options;
+  if (!accountId) throw new Error('accountId is required for media upload');
+
+  const credentials = await getAccountCredentials(accountId);
+
+  const init = await mediaUploadRequest(credentials, {
+    command: 'INIT',
+    total_bytes: String(buffer.length),
+    media_type: mimeType,
+    media_category: mimeType === 'image/gif' ? 'tweet_gif' : 'tweet_image'
+  });
+  const mediaId = init.media_id_string || init.id;
+
+  for (let offset = 0, segment = 0; offset < buffer.length; offset += MEDIA_CHUNK_SIZE, segment++) {
+    const form = new FormData();
+    form.append('command', 'APPEND');
+    form.append('media_id', mediaId);
+    form.append('segment_index', String(segment));
+    form.append('media', new Blob([buffer.subarray(offset, offset + MEDIA_CHUNK_SIZE)], { type: mimeType }));
+    await mediaUploadRequest(credentials, { command: 'APPEND' }, form);
+  }
+
+  const finalize = await mediaUploadRequest(credentials, { command: 'FINALIZE', media_id: mediaId });
+  await waitForMediaProcessing(credentials, mediaId, finalize.processing_info);
+
+  if (altText) {
+    const oauth2 = credentials.auth_type === 'oauth2';
+    const url = oauth2
+      ? `${getApiBase()}/2/media/metadata`
+      : `${getUploadBase()}/1.1/media/metadata/create.json`;
+    const body = oauth2
+      ? { id: mediaId, metadata: { alt_text: { text: altText } } }
+      : { media_id: mediaId, alt_text: { text: altText } };
+    const response = await xFetch(url, () => ({
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': getUserAuthHeader('POST', url, credentials) },
+      body: JSON.stringify(body)
+    }), { endpoint: 'POST /1.1/media/upload', accountId });
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(`X media metadata error ${response.status}: ${JSON.stringify(error)}`);
+    }
+  }
+
+  await logApiUsage('x_write', 'POST /1.1/media/upload', 0, accountId);
+  return mediaId;
+}
+
 async function getUserByHandle(handle, accountId, options = {}) {
   if (!accountId) throw new Error('accountId is required');
   const cleanHandle = handle.replace('@', '');
@@ -147,7 +509,7 @@ async function getUserByHandle(handle, accountId, options = {}) {
   // Check cache first
   const cacheKey = getCacheKey('user_by_handle', cleanHandle);
   if (!options.skipCache) {
-    const cached = getFromCache(cacheKey);
+    const cached = await getFromCache(cacheKey);
     if (cached) {
       console.log(`[X API Cache HIT] getUserByHandle @${cleanHandle}`);
       return cached;
@@ -165,11 +527,11 @@ async function getUserByHandle(handle, accountId, options = {}) {
   const credentials = await getAccountCredentials(accountId);
   if (!credentials.bearer_token) throw new Error('Bearer token is not set for this account');
 
-  const fullUrl = `${API_BASE}/2/users/by/username/${cleanHandle}?${new URLSearchParams({ 'user.fields': 'public_metrics,description,profile_image_url' })}`;
+  const fullUrl = `${getApiBase()}/2/users/by/username/${cleanHandle}?${new URLSearchParams({ 'user.fields': 'public_metrics,description,profile_image_url' })}`;
 
-  const response = await fetch(fullUrl, {
+  const response = await xFetch(fullUrl, {
     headers: { 'Authorization': `Bearer ${credentials.bearer_token}` }
-  });
+  }, { endpoint: 'GET /2/users/by/username', accountId });
 
   if (!response.ok) {
     const error = await response.json().catch(() => ({}));
@@ -177,18 +539,27 @@ async function getUserByHandle(handle, accountId, options = {}) {
   }
 
   const data = await response.json();
-  setCache(cacheKey, data, CACHE_TTL.user_by_handle);
+  await setCache(cacheKey, data, CACHE_TTL.user_by_handle, 0.01);
   await logApiUsage('x_user', 'GET /2/users/by/username', 0.01, accountId);
   return data;
 }
 
+/**
+ * Fetch a user's recent tweets (one page, newest first).
+ *
+ * options.sinceId limits the page to tweets newer than that ID and
+ * options.paginationToken continues from a previous page's meta.next_token.
+ * Incremental requests are never cached since they must see new tweets.
+ */
 async function getUserTweets(userId, maxResults = 100, accountId, options = {}) {
   if (!accountId) throw new Error('accountId is required');
 
+  const incremental = !!(options.sinceId || options.untilId || options.paginationToken);
+
   // Check cache first
   const cacheKey = getCacheKey('user_tweets', userId, maxResults);
-  if (!options.skipCache) {
-    const cached = getFromCache(cacheKey);
+  if (!options.skipCache && !incremental) {
+    const cached = await getFromCache(cacheKey);
     if (cached) {
       console.log(`[X API Cache HIT] getUserTweets userId=${userId}`);
       return cached;
@@ -206,14 +577,18 @@ async function getUserTweets(userId, maxResults = 100, accountId, options = {})
   const credentials = await getAccountCredentials(accountId);
   if (!credentials.bearer_token) throw new Error('Bearer token is not set for this account');
 
-  const fullUrl = `${API_BASE}/2/users/${userId}/tweets?${new URLSearchParams({
+  const params = {
     'tweet.fields': 'public_metrics,created_at,entities,attachments',
     'max_results': String(Math.min(maxResults, 100))
-  })}`;
+  };
+  if (options.sinceId) params.since_id = options.sinceId;
+  if (options.untilId) params.until_id = options.untilId;
+  if (options.paginationToken) params.pagination_token = options.paginationToken;
+  const fullUrl = `${getApiBase()}/2/users/${userId}/tweets?${new URLSearchParams(params)}`;
 
-  const response = await fetch(fullUrl, {
+  const response = await xFetch(fullUrl, {
     headers: { 'Authorization': `Bearer ${credentials.bearer_token}` }
-  });
+  }, { endpoint: 'GET /2/users/:id/tweets', accountId });
 
   if (!response.ok) {
     const error = await response.json().catch(() => ({}));
@@ -222,7 +597,7 @@ async function getUserTweets(userId, maxResults = 100, accountId, options = {})
 
   const data = await response.json();
   const tweetCount = data.data ? data.data.length : 0;
-  setCache(cacheKey, data, CACHE_TTL.user_tweets);
+  if (!incremental) await setCache(cacheKey, data, CACHE_TTL.user_tweets, tweetCount * 0.005);
   await logApiUsage('x_read', 'GET /2/users/:id/tweets', tweetCount * 0.005, accountId);
   return data;
 }
@@ -233,14 +608,13 @@ async function verifyCredentials(accountId) {
 
   // Verify OAuth credentials via GET /2/users/me
   try {
-    const url = `${API_BASE}/2/users/me`;
+    const url = `${getApiBase()}/2/users/me`;
     const params = { 'user.fields': 'username,name,profile_image_url' };
     const fullUrl = `${url}?${new URLSearchParams(params)}`;
-    const authHeader = getOAuthHeader('GET', url, credentials, params);
 
-    const response = await fetch(fullUrl, {
-      headers: { 'Authorization': authHeader }
-    });
+    const response = await xFetch(fullUrl, () => ({
+      headers: { 'Authorization': getUserAuthHeader('GET', url, credentials, params) }
+    }), { endpoint: 'GET /2/users/me', accountId });
 
     if (response.ok) {
       const data = await response.json();
@@ -260,10 +634,10 @@ async function verifyCredentials(accountId) {
       const handle = result.user?.username || credentials.handle;
       if (handle) {
         const cleanHandle = handle.replace('@', '');
-        const fullUrl = `${API_BASE}/2/users/by/username/${cleanHandle}?${new URLSearchParams({ 'user.fields': 'username' })}`;
-        const response = await fetch(fullUrl, {
+        const fullUrl = `${getApiBase()}/2/users/by/username/${cleanHandle}?${new URLSearchParams({ 'user.fields': 'username' })}`;
+        const response = await xFetch(fullUrl, {
           headers: { 'Authorization': `Bearer ${credentials.bearer_token}` }
-        });
+        }, { endpoint: 'GET /2/users/by/username', accountId });
 
         if (response.ok) {
           result.bearer = true;
@@ -280,13 +654,22 @@ async function verifyCredentials(accountId) {
   return result;
 }
 
+/**
+ * Search tweets from the last 7 days.
+ *
+ * options.sinceId / options.untilId limit results to tweets newer / older
+ * than those IDs and options.nextToken reads the next page; such incremental
+ * searches are never cached since they must see new tweets.
+ */
 async function searchRecentTweets(query, accountId, maxResults = 100, options = {}) {
   if (!accountId) throw new Error('accountId is required');
 
+  const incremental = !!(options.sinceId || options.untilId || options.nextToken);
+
   // Check cache first
   const cacheKey = getCacheKey('search_tweets', query, maxResults);
-  if (!options.skipCache) {
-    const cached = getFromCache(cacheKey);
+  if (!options.skipCache && !incremental) {
+    const cached = await getFromCache(cacheKey);
     if (cached) {
       console.log(`[X API Cache HIT] searchRecentTweets query="${query}"`);
       return cached;
@@ -311,11 +694,14 @@ async function searchRecentTweets(query, accountId, maxResults = 100, options =
     'user.fields': 'public_metrics,description,profile_image_url',
     'max_results': String(Math.min(Math.max(maxResults, 10), 100))
   });
-  const fullUrl = `${API_BASE}/2/tweets/search/recent?${params}`;
+  if (options.sinceId) params.set('since_id', options.sinceId);
+  if (options.untilId) params.set('until_id', options.untilId);
+  if (options.nextToken) params.set('next_token', options.nextToken);
+  const fullUrl = `${getApiBase()}/2/tweets/search/recent?${params}`;
 
-  const response = await fetch(fullUrl, {
+  const response = await xFetch(fullUrl, {
     headers: { 'Authorization': `Bearer ${credentials.bearer_token}` }
-  });
+  }, { endpoint: 'GET /2/tweets/search/recent', accountId });
 
   if (!response.ok) {
     const error = await response.json().catch(() => ({}));
@@ -323,7 +709,7 @@ async function searchRecentTweets(query, accountId, maxResults = 100, options =
   }
 
   const data = await response.json();
-  setCache(cacheKey, data, CACHE_TTL.search_tweets);
+  if (!incremental) await setCache(cacheKey, data, CACHE_TTL.search_tweets, 0.01);
   await logApiUsage('x_search', 'GET /2/tweets/search/recent', 0.01, accountId);
   return data;
 }
@@ -347,11 +733,19 @@ async function getTweetMetrics(tweetIds, accountId) {
       'ids': chunk.join(','),
       'tweet.fields': 'public_metrics,created_at'
     });
-    const fullUrl = `${API_BASE}/2/tweets?${params}`;
+    const fullUrl = `${getApiBase()}/2/tweets?${params}`;
 
-    const response = await fetch(fullUrl, {
-      headers: { 'Authorization': `Bearer ${credentials.bearer_token}` }
-    });
+    let response;
+    try {
+      response = await xFetch(fullUrl, {
+        headers: { 'Authorization': `Bearer ${credentials.bearer_token}` }
+      }, { endpoint: 'GET /2/tweets', accountId });
+    } catch (err) {
+      if (!err.rateLimited) throw err;
+      // Return what we have; the remaining chunks are picked up on the next refresh
+      console.warn(`getTweetMetrics: ${err.message}`);
+      break;
+    }
 
     if (!response.ok) {
       const error = await response.json().catch(() => ({}));
@@ -371,14 +765,13 @@ async function getOwnProfile(accountId) {
   if (!accountId) throw new Error('accountId is required');
 
   const credentials = await getAccountCredentials(accountId);
-  const url = `${API_BASE}/2/users/me`;
+  const url = `${getApiBase()}/2/users/me`;
   const params = { 'user.fields': 'public_metrics,username,name,profile_image_url' };
   const fullUrl = `${url}?${new URLSearchParams(params)}`;
-  const authHeader = getOAuthHeader('GET', url, credentials, params);
 
-  const response = await fetch(fullUrl, {
-    headers: { 'Authorization': authHeader }
-  });
+  const response = await xFetch(fullUrl, () => ({
+    headers: { 'Authorization': getUserAuthHeader('GET', url, credentials, params) }
+  }), { endpoint: 'GET /2/users/me', accountId });
 
   if (!response.ok) {
     const error = await response.json().catch(() => ({}));
@@ -400,7 +793,7 @@ async function getMyRepliedTweetIds(accountId) {
 
   // Check cache first
   const cacheKey = getCacheKey('my_replied_ids', accountId);
-  const cached = getFromCache(cacheKey);
+  const cached = await getFromCache(cacheKey);
   if (cached) {
     console.log(`[X API Cache HIT] getMyRepliedTweetIds accountId=${accountId}`);
     return cached;
@@ -425,11 +818,11 @@ async function getMyRepliedTweetIds(accountId) {
       'max_results': '100',
       'exclude': 'retweets'
     });
-    const fullUrl = `${API_BASE}/2/users/${userId}/tweets?${params}`;
+    const fullUrl = `${getApiBase()}/2/users/${userId}/tweets?${params}`;
 
-    const response = await fetch(fullUrl, {
+    const response = await xFetch(fullUrl, {
       headers: { 'Authorization': `Bearer ${credentials.bearer_token}` }
-    });
+    }, { endpoint: 'GET /2/users/:id/tweets', accountId });
 
     if (!response.ok) {
       console.error(`getMyRepliedTweetIds: API error ${response.status}`);
@@ -452,7 +845,7 @@ async function getMyRepliedTweetIds(accountId) {
     }
 
     // Cache for 1 hour (same as user_tweets)
-    setCache(cacheKey, repliedIds, CACHE_TTL.user_tweets);
+    await setCache(cacheKey, repliedIds, CACHE_TTL.user_tweets, tweetCount * 0.005);
     return repliedIds;
   } catch (err) {
     console.error('getMyRepliedTweetIds: error:', err.message);
@@ -460,4 +853,4 @@ async function getMyRepliedTweetIds(accountId) {
   }
 }
 
-module.exports = { postTweet, getUserByHandle, getUserTweets, logApiUsage, getAccountCredentials, verifyCredentials, searchRecentTweets, checkXApiBudget, apiCache, getTweetMetrics, getOwnProfile, getMyRepliedTweetIds };
+module.exports = { postTweet, postThread, deleteTweet, uploadMedia, getUserByHandle, getUserTweets, logApiUsage, getAccountCredentials, verifyCredentials, searchRecentTweets, checkXApiBudget, apiCache, getCacheBackend, resetCacheBackend, rateLimitState, waitForRateLimit, getRateLimitStatus, getTweetMetrics, getOwnProfile, getMyRepliedTweetIds };
@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const { getDb } = require('../db/database');
+const { encrypt, decrypt } = require('../utils/crypto');
+const { logInfo, logError } = require('./app-logger');
+
+/**
+ * OAuth 2.0 Authorization Code + PKCE flow for linking X accounts.
+ *
+ * The app needs X_OAUTH2_CLIENT_ID and X_OAUTH2_REDIRECT_URI (the callback
+ * route, e.g. https://example.com/api/accounts/oauth/callback). Set
+ * X_OAUTH2_CLIENT_SECRET as well when the X app is a confidential client.
+ *
+ * Access tokens live for two hours; refresh tokens (offline.access) are
+ * stored encrypted and rotated on every refresh.
+ */
+
+const DEFAULT_AUTHORIZE_URL = 'https://x.com/i/oauth2/authorize';
+const DEFAULT_API_BASE = 'https://api.twitter.com';
+const OAUTH2_SCOPES = ['tweet.read', 'tweet.write', 'users.read', 'offline.access', 'media.write'];
+// Pending authorizations expire if the callback does not arrive in time
+const STATE_TTL_MS = 10 * 60 * 1000;
+// Refresh this long before the access token expires
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+const pendingRefreshes = new Map();
+
+function getOAuth2Config() {
+  const clientId = process.env.X_OAUTH2_CLIENT_ID;
+  const redirectUri = process.env.X_OAUTH2_REDIRECT_URI;
+  if (!clientId || !redirectUri) {
+    throw new Error('X_OAUTH2_CLIENT_ID and X_OAUTH2_REDIRECT_URI environment variables are required');
+  }
+  return {
+    clientId,
+    clientSecret: process.env.X_OAUTH2_CLIENT_SECRET || '',
+    redirectUri,
+    authorizeUrl: process.env.X_OAUTH2_AUTHORIZE_URL || DEFAULT_AUTHORIZE_URL,
+    apiBase: (process.env.X_API_BASE_URL || DEFAULT_API_BASE).replace(/\/+$/, '')
+  };
+}
+
+function base64url(buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function createCodeChallenge(codeVerifier) {
+  return base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+}
+
+/**
+ * Start an authorization: store the PKCE verifier under a random state and
+ * return the X consent URL to redirect the browser to.
+ *
+ * @param {object} options - { accountId } to re-link an existing account
+ * @returns {Promise<string>} authorize URL
+ */
+async function createAuthorizationUrl(options = {}) {
+  const config = getOAuth2Config();
+  const state = base64url(crypto.randomBytes(24));
+  const codeVerifier = base64url(crypto.randomBytes(48));
+
+  const sb = getDb();
+  const { error } = await sb.from('oauth_states').insert({
+    state,
+    code_verifier: encrypt(codeVerifier),
+    account_id: options.accountId || null
+  });
+  if (error) throw error;
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: OAUTH2_SCOPES.join(' '),
+    state,
+    code_challenge: createCodeChallenge(codeVerifier),
+    code_challenge_method: 'S256'
+  });
+  return `${config.authorizeUrl}?${params}`;
+}
+
+async function requestToken(config, params) {
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+  if (config.clientSecret) {
+    const basic = Buffer.from(`${encodeURIComponent(config.clientId)}:${encodeURIComponent(config.clientSecret)}`).toString('base64');
+    headers['Authorization'] = `Basic ${basic}`;
+  }
+
+  const response = await fetch(`${config.apiBase}/2/oauth2/token`, {
+    method: 'POST',
+    headers,
+    body: new URLSearchParams({ client_id: config.clientId, ...params }).toString()
+  });
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw new Error(`X OAuth2 token error ${response.status}: ${JSON.stringify(error)}`);
+  }
+  return response.json();
+}
+
+function tokenColumns(token) {
+  return {
+    auth_type: 'oauth2',
+    oauth2_access_token: encrypt(token.access_token),
+    oauth2_refresh_token: encrypt(token.refresh_token || ''),
+    oauth2_expires_at: new Date(Date.now() + (token.expires_in || 7200) * 1000).toISOString(),
+    oauth2_scope: token.scope || OAUTH2_SCOPES.join(' ')
+  };
+}
+
+/**
+ * Finish an authorization from the callback: exchange the code, look up the
+ * authorizing user and create or update the matching x_accounts row.
+ *
+ * @param {object} params - { state, code } from the callback query
+ * @param {object} options - { colors } palette for newly created accounts
+ * @returns {Promise<{ account: object, created: boolean }>}
+ */
+async function completeAuthorization({ state, code }, options = {}) {
+  if (!state || !code) throw new Error('state and code are required');
+  const config = getOAuth2Config();
+  const sb = getDb();
+
+  const { data: pending } = await sb.from('oauth_states').select('*').eq('state', state).single();
+  if (!pending) throw new Error('認可リクエストが見つかりません。もう一度連携してください');
+  // One-time use
+  await sb.from('oauth_states').delete().eq('state', state);
+  if (Date.now() - new Date(pending.created_at).getTime() > STATE_TTL_MS) {
+    throw new Error('認可リクエストの有効期限が切れました。もう一度連携してください');
+  }
+
+  const token = await requestToken(config, {
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: config.redirectUri,
+    code_verifier: decrypt(pending.code_verifier)
+  });
+
+  const meResponse = await fetch(`${config.apiBase}/2/users/me?${new URLSearchParams({ 'user.fields': 'username,name' })}`, {
+    headers: { 'Authorization': `Bearer ${token.access_token}` }
+  });
+  if (!meResponse.ok) {
+    const error = await meResponse.json().catch(() => ({}));
+    throw new Error(`X API error ${meResponse.status}: ${JSON.stringify(error)}`);
+  }
+  const me = (await meResponse.json()).data;
+
+  const columns = tokenColumns(token);
+  const accountFields = 'id, display_name, handle, color, default_ai_provider, default_ai_model';
+
+  // Re-link the requested account, or the account already registered for this handle
+  let existingId = pending.account_id;
+  if (!existingId) {
+    const { data: existing } = await sb.from('x_accounts').select('id').eq('handle', me.username).single();
+    existingId = existing?.id;
+  }
+
+  if (existingId) {
+    const { data: account, error } = await sb.from('x_accounts')
+      .update({ ...columns, handle: me.username })
+      .eq('id', existingId)
+      .select(accountFields)
+      .single();
+    if (error) throw error;
+    logInfo('oauth', `X アカウントを再連携しました: @${me.username}`, { accountId: existingId });
+    return { account, created: false };
+  }
+
+  const { count } = await sb.from('x_accounts').select('*', { count: 'exact', head: true });
+  const colors = options.colors || ['#3B82F6'];
+  const { data: account, error } = await sb.from('x_accounts').insert({
+    display_name: me.name || me.username,
+    handle: me.username,
+    color: colors[(count || 0) % colors.length],
+    // OAuth 1.0a keys are not used by OAuth2-linked accounts
+    api_key: '',
+    api_secret: '',
+    access_token: '',
+    access_token_secret: '',
+    ...columns
+  }).select(accountFields).single();
+  if (error) throw error;
+
+  logInfo('oauth', `X アカウントを連携しました: @${me.username}`, { accountId: account.id });
+  return { account, created: true };
+}
+
+/**
+ * Return a valid OAuth2 access token for an x_accounts row, refreshing it
+ * (and storing the rotated refresh token) when it is about to expire.
+ *
+ * @param {object} account - raw x_accounts row (encrypted columns)
+ * @returns {Promise<string>} plain access token
+ */
+async function getValidAccessToken(account) {
+  const expiresAt = account.oauth2_expires_at ? new Date(account.oauth2_expires_at).getTime() : 0;
+  if (expiresAt - Date.now() > TOKEN_REFRESH_MARGIN_MS) {
+    return decrypt(account.oauth2_access_token);
+  }
+
+  // Refresh tokens are single-use, so concurrent callers share one refresh
+  if (!pendingRefreshes.has(account.id)) {
+    pendingRefreshes.set(account.id, refreshAccessToken(account)
+      .finally(() => pendingRefreshes.delete(account.id)));
+  }
+  return pendingRefreshes.get(account.id);
+}
+
+async function refreshAccessToken(account) {
+  const refreshToken = decrypt(account.oauth2_refresh_token);
+  if (!refreshToken) {
+    throw new Error(`@${account.handle} のアクセストークンが期限切れです。アカウントを再連携してください`);
+  }
+
+  const config = getOAuth2Config();
+  let token;
+  try {
+    token = await requestToken(config, { grant_type: 'refresh_token', refresh_token: refreshToken });
+  } catch (err) {
+    logError('oauth', `トークン更新に失敗しました: @${account.handle}`, { accountId: account.id, error: err.message });
+    throw new Error(`@${account.handle} のトークン更新に失敗しました。アカウントを再連携してください（${err.message}）`);
+  }
+
+  const columns = tokenColumns(token);
+  // X rotates refresh tokens; keep the old one only if none was returned
+  if (!token.refresh_token) delete columns.oauth2_refresh_token;
+  const sb = getDb();
+  const { error } = await sb.from('x_accounts').update(columns).eq('id', account.id);
+  if (error) throw error;
+
+  return token.access_token;
+}
+
+module.exports = {
+  OAUTH2_SCOPES,
+  createAuthorizationUrl,
+  completeAuthorization,
+  getValidAccessToken
+};
@@ -1,12 +1,141 @@
 /**
- * JST (Asia/Tokyo, UTC+9) ベースの日付ユーティリティ
+ * タイムゾーン対応の日付ユーティリティ
  *
  * サーバーがUTCで動作する環境（Vercel等）でも、
- * 日本時間の月境界を正しく計算するためのヘルパー関数群。
+ * アカウントのタイムゾーン（IANA名）での時刻・月境界を正しく計算するためのヘルパー関数群。
+ * オフセットは Intl から都度求めるため、夏時間（DST）の切り替えにも追従する。
+ * 既定は日本時間（Asia/Tokyo）で、*JST 系の関数はその固定オフセット版。
  */
 
 const JST_OFFSET_MS = 9 * 60 * 60 * 1000; // UTC+9
 
+const DEFAULT_TIMEZONE = 'Asia/Tokyo';
+
+// Intl.DateTimeFormat の生成は重いのでタイムゾーンごとに使い回す
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric',
+      weekday: 'short'
+    });
+    formatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * IANA タイムゾーン名として有効かどうか。
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * 有効なタイムゾーン名ならそのまま、未設定・不正なら既定（Asia/Tokyo）を返す。
+ */
+function resolveTimeZone(timeZone) {
+  return isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIMEZONE;
+}
+
+/**
+ * 指定時刻の、指定タイムゾーンでの暦の値を返す。
+ * month は 1-12、weekday は 0 = 日曜。
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number }}
+ */
+function getZonedParts(date, timeZone = DEFAULT_TIMEZONE) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+}
+
+/**
+ * 指定時刻におけるタイムゾーンの UTC からのオフセット（ミリ秒）。
+ * 例: America/New_York の冬は -5時間、夏は -4時間。
+ */
+function getTimeZoneOffsetMs(date, timeZone = DEFAULT_TIMEZONE) {
+  const p = getZonedParts(date, timeZone);
+  const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUTC - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * タイムゾーンでの壁時計の日時を UTC の Date にする。
+ * month は 1-12。範囲外の値（day 0 や hour 24 など）は Date.UTC と同じく繰り上がる。
+ * 夏時間で存在しない時刻は切り替え前のオフセットで解釈して先へずらし（2:30 が飛ぶ日は 3:30）、
+ * 2回ある時刻は早い方（切り替え前）を返す。
+ */
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timeZone = DEFAULT_TIMEZONE) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  // 壁時計の値を UTC とみなした時刻の前後でオフセットを取り、合う方を採る
+  const before = getTimeZoneOffsetMs(new Date(wall - 24 * 60 * 60 * 1000), timeZone);
+  const after = getTimeZoneOffsetMs(new Date(wall + 24 * 60 * 60 * 1000), timeZone);
+  for (const offset of [before, after]) {
+    const candidate = wall - offset;
+    if (getTimeZoneOffsetMs(new Date(candidate), timeZone) === offset) return new Date(candidate);
+  }
+  return new Date(wall - before);
+}
+
+/**
+ * タイムゾーンでの今日の日付 "YYYY-MM-DD" と時刻 "HH:MM"。
+ */
+function getZonedNow(timeZone = DEFAULT_TIMEZONE, now = new Date()) {
+  const p = getZonedParts(now, timeZone);
+  const pad = (n) => String(n).padStart(2, '0');
+  return {
+    currentTime: `${pad(p.hour)}:${pad(p.minute)}`,
+    today: `${p.year}-${pad(p.month)}-${pad(p.day)}`,
+    now
+  };
+}
+
+/**
+ * タイムゾーンにおける今月1日 00:00:00 を UTC ISO文字列で返す。
+ */
+function getStartOfMonth(now = new Date(), timeZone = DEFAULT_TIMEZONE) {
+  const { year, month } = getZonedParts(now, timeZone);
+  return zonedTimeToUtc({ year, month, day: 1 }, timeZone).toISOString();
+}
+
+/**
+ * タイムゾーンにおける先月1日 00:00:00 を UTC ISO文字列で返す。
+ */
+function getStartOfLastMonth(now = new Date(), timeZone = DEFAULT_TIMEZONE) {
+  const { year, month } = getZonedParts(now, timeZone);
+  return zonedTimeToUtc({ year, month: month - 1, day: 1 }, timeZone).toISOString();
+}
+
+/**
+ * タイムゾーンにおける先月末日 23:59:59 を UTC ISO文字列で返す。
+ */
+function getEndOfLastMonth(now = new Date(), timeZone = DEFAULT_TIMEZONE) {
+  return new Date(new Date(getStartOfMonth(now, timeZone)).getTime() - 1000).toISOString();
+}
+
 /**
  * 指定時刻をJSTに変換した Date オブジェクトを返す。
  * 返される Date の getUTC*() メソッドがJSTの値を返す。
@@ -49,7 +178,17 @@ function getEndOfLastMonthJST(now = new Date()) {
 
 module.exports = {
   JST_OFFSET_MS,
+  DEFAULT_TIMEZONE,
   toJST,
+  isValidTimeZone,
+  resolveTimeZone,
+  getZonedParts,
+  getTimeZoneOffsetMs,
+  zonedTimeToUtc,
+  getZonedNow,
+  getStartOfMonth,
+  getStartOfLastMonth,
+  getEndOfLastMonth,
   getStartOfMonthJST,
   getStartOfLastMonthJST,
   getEndOfLastMonthJST
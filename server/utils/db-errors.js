@@ -0,0 +1,12 @@
+/**
+ * Supabase のエラー判定ヘルパー
+ */
+
+// マイグレーション未適用でテーブルが存在しない場合のエラーか
+function isTableNotFound(error) {
+  if (!error) return false;
+  const msg = error.message || String(error);
+  return msg.includes('schema cache') || msg.includes('relation') || msg.includes('does not exist');
+}
+
+module.exports = { isTableNotFound };
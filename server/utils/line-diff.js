@@ -0,0 +1,50 @@
+/**
+ * 行単位の差分（LCS）をサイドバイサイド表示用の行に変換する。
+ * 各行は { type, left, right }。type は 'same' / 'changed' / 'removed' / 'added'。
+ * 連続する削除と追加は 'changed' として左右に並べる。
+ */
+function diffLines(oldText, newText) {
+  const a = (oldText || '').split('\n');
+  const b = (newText || '').split('\n');
+
+  // lcs[i][j] = a[i..] と b[j..] の最長共通部分列の長さ
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const rows = [];
+  let removed = [];
+  let added = [];
+  const flush = () => {
+    const n = Math.max(removed.length, added.length);
+    for (let k = 0; k < n; k++) {
+      if (k < removed.length && k < added.length) rows.push({ type: 'changed', left: removed[k], right: added[k] });
+      else if (k < removed.length) rows.push({ type: 'removed', left: removed[k], right: null });
+      else rows.push({ type: 'added', left: null, right: added[k] });
+    }
+    removed = [];
+    added = [];
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      flush();
+      rows.push({ type: 'same', left: a[i], right: b[j] });
+      i++;
+      j++;
+    } else if (j < b.length && (i >= a.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      added.push(b[j++]);
+    } else {
+      removed.push(a[i++]);
+    }
+  }
+  flush();
+  return rows;
+}
+
+module.exports = { diffLines };
@@ -0,0 +1,121 @@
+/**
+ * AI出力の構造検証に使う最小限の JSON Schema バリデータ
+ *
+ * 対応キーワード: type (object/array/string/integer/number/boolean),
+ * required, properties, items, minItems, minLength, minimum, pattern
+ */
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+/**
+ * スキーマに対して値を検証し、エラーメッセージの配列を返す（空なら妥当）。
+ * 各メッセージは "$.variants[0].body" のようなパスで始まる。
+ */
+function validateSchema(value, schema, path = '$') {
+  const errors = [];
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push(`${path}: ${schema.type} であるべきところ ${typeOf(value)} です`);
+    return errors;
+  }
+
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push(`${path}.${key}: 必須項目がありません`);
+      }
+    }
+    for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+      if (value[key] === undefined || value[key] === null) continue;
+      errors.push(...validateSchema(value[key], propSchema, `${path}.${key}`));
+    }
+  }
+
+  if (schema.type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: ${schema.minItems}件以上必要です（${value.length}件）`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => {
+        errors.push(...validateSchema(item, schema.items, `${path}[${i}]`));
+      });
+    }
+  }
+
+  if (schema.type === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push(`${path}: 空文字列は使えません`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path}: "${value}" は形式 ${schema.pattern} に一致しません`);
+    }
+  }
+
+  if ((schema.type === 'integer' || schema.type === 'number') && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${path}: ${schema.minimum} 以上であるべきです`);
+  }
+
+  return errors;
+}
+
+// 文字列の外で閉じられていない { / [ が残っていれば途中で切れている
+function isUnterminated(text) {
+  let depth = 0;
+  let inString = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === '{' || ch === '[') {
+      depth++;
+    } else if (ch === '}' || ch === ']') {
+      depth--;
+    }
+  }
+  return inString || depth > 0;
+}
+
+/**
+ * AI応答テキストから JSON を取り出してパースする。
+ * コードフェンスや前後の説明文は取り除く。
+ * @returns {{ data: any, error: string|null }}
+ */
+function parseJsonResponse(text) {
+  const cleaned = (text || '').replace(/```(?:json)?\s*/gi, '').replace(/```/g, '').trim();
+  if (!cleaned) return { data: null, error: '応答が空です' };
+
+  try {
+    return { data: JSON.parse(cleaned), error: null };
+  } catch (e) { /* try the outermost object below */ }
+
+  const start = cleaned.indexOf('{');
+  const end = cleaned.lastIndexOf('}');
+  if (start !== -1 && end > start) {
+    try {
+      return { data: JSON.parse(cleaned.slice(start, end + 1)), error: null };
+    } catch (e) { /* fall through */ }
+  }
+
+  return {
+    data: null,
+    error: start !== -1 && isUnterminated(cleaned.slice(start))
+      ? 'JSONが途中で切れています（max_tokens不足の可能性）'
+      : 'JSONとして解析できません'
+  };
+}
+
+module.exports = { validateSchema, parseJsonResponse };
@@ -0,0 +1,95 @@
+/**
+ * A/Bテストの集計に使う統計ヘルパー
+ *
+ * 2群の平均の差を Welch の t 検定で評価する（等分散を仮定しない）。
+ * p値は t 分布の正則化不完全ベータ関数から計算する。
+ */
+
+function mean(values) {
+  if (values.length === 0) return 0;
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+// 不偏分散（n - 1 で割る）
+function variance(values) {
+  if (values.length < 2) return 0;
+  const m = mean(values);
+  return values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1);
+}
+
+// ln Γ(x)（Lanczos 近似）
+function logGamma(x) {
+  const c = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let ser = 1.000000000190015;
+  for (const coef of c) ser += coef / ++y;
+  return -tmp + Math.log(2.5066282746310005 * ser / x);
+}
+
+// 不完全ベータ関数の連分数展開
+function betaContinuedFraction(a, b, x) {
+  const MAX_ITERATIONS = 200;
+  const EPS = 3e-12;
+  const FPMIN = 1e-300;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < FPMIN) d = FPMIN;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= MAX_ITERATIONS; m++) {
+    const m2 = 2 * m;
+    let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < FPMIN) d = FPMIN;
+    c = 1 + aa / c;
+    if (Math.abs(c) < FPMIN) c = FPMIN;
+    d = 1 / d;
+    h *= d * c;
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < FPMIN) d = FPMIN;
+    c = 1 + aa / c;
+    if (Math.abs(c) < FPMIN) c = FPMIN;
+    d = 1 / d;
+    const del = d * c;
+    h *= del;
+    if (Math.abs(del - 1) < EPS) break;
+  }
+  return h;
+}
+
+// 正則化不完全ベータ関数 I_x(a, b)
+function regularizedIncompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  if (x < (a + 1) / (a + b + 2)) return front * betaContinuedFraction(a, b, x) / a;
+  return 1 - front * betaContinuedFraction(b, a, 1 - x) / b;
+}
+
+/**
+ * Welch の t 検定（両側）。
+ * どちらかの群が2件未満、または両群とも分散0で差がない場合は p = 1。
+ * @returns {{ t: number, df: number, pValue: number }}
+ */
+function welchTTest(a, b) {
+  if (a.length < 2 || b.length < 2) return { t: 0, df: 0, pValue: 1 };
+
+  const va = variance(a) / a.length;
+  const vb = variance(b) / b.length;
+  const diff = mean(a) - mean(b);
+  const se2 = va + vb;
+  if (se2 === 0) {
+    // Both groups are constant: any difference is certain
+    return { t: Math.sign(diff) * Infinity || 0, df: a.length + b.length - 2, pValue: diff === 0 ? 1 : 0 };
+  }
+
+  const t = diff / Math.sqrt(se2);
+  const df = se2 ** 2 / (va ** 2 / (a.length - 1) + vb ** 2 / (b.length - 1));
+  const pValue = regularizedIncompleteBeta(df / (df + t * t), df / 2, 0.5);
+  return { t, df, pValue: Math.min(1, Math.max(0, pValue)) };
+}
+
+module.exports = { mean, variance, welchTTest };
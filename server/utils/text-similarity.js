@@ -0,0 +1,78 @@
+/**
+ * 文面の類似度（埋め込みが使えないときのローカル計算）
+ *
+ * 日本語は単語の区切りがないため、文字 n-gram（シングル）を語として
+ * TF-IDF ベクトルを作り、コサイン類似度で比べる。URL・空白・記号は
+ * 言い回しの差に過ぎないので除いてから数える。
+ */
+
+const SHINGLE_SIZE = 2;
+
+function normalizeText(text) {
+  return (text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, '')
+    .replace(/[\s\p{P}\p{S}]+/gu, '');
+}
+
+// 文字 n-gram の出現回数
+function shingles(text, size = SHINGLE_SIZE) {
+  const chars = [...normalizeText(text)];
+  const counts = new Map();
+  if (chars.length === 0) return counts;
+  if (chars.length < size) {
+    counts.set(chars.join(''), 1);
+    return counts;
+  }
+  for (let i = 0; i <= chars.length - size; i++) {
+    const gram = chars.slice(i, i + size).join('');
+    counts.set(gram, (counts.get(gram) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * 文書ごとの TF-IDF ベクトル（Map<シングル, 重み>）
+ * IDF は平滑化（log((1 + N) / (1 + df)) + 1）して、全文書に出るシングルも 0 にしない
+ */
+function tfidfVectors(docs) {
+  const termCounts = docs.map(doc => shingles(doc));
+  const df = new Map();
+  for (const counts of termCounts) {
+    for (const term of counts.keys()) df.set(term, (df.get(term) || 0) + 1);
+  }
+  return termCounts.map(counts => {
+    const vector = new Map();
+    for (const [term, tf] of counts) {
+      vector.set(term, tf * (Math.log((1 + docs.length) / (1 + df.get(term))) + 1));
+    }
+    return vector;
+  });
+}
+
+/**
+ * コサイン類似度。Map（疎ベクトル）と数値配列（埋め込み）のどちらも受け付ける
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  if (a instanceof Map) {
+    for (const [term, weight] of a) {
+      normA += weight * weight;
+      if (b.has(term)) dot += weight * b.get(term);
+    }
+    for (const weight of b.values()) normB += weight * weight;
+  } else {
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+  }
+  if (normA === 0 || normB === 0) return 0;
+  return dot / Math.sqrt(normA * normB);
+}
+
+module.exports = { normalizeText, shingles, tfidfVectors, cosineSimilarity, SHINGLE_SIZE };
@@ -0,0 +1,104 @@
+// X (twitter-text v3) weighted length: code points in the light ranges
+// (Latin, punctuation, general symbols) count 1, everything else - CJK,
+// kana, full-width forms - counts 2, an emoji sequence counts 2 and a URL
+// always counts 23 regardless of its length.
+//
+// Shared by the server (require) and the client (Vite, via the @shared
+// alias), so it stays dependency-free CommonJS.
+
+const MAX_WEIGHTED_LENGTH = 280;
+const URL_LENGTH = 23;
+
+const LIGHT_RANGES = [
+  [0x0000, 0x10FF],
+  [0x2000, 0x200D],
+  [0x2010, 0x201F],
+  [0x2032, 0x2037]
+];
+
+// A URL ends at whitespace or at Japanese text written straight after it
+const URL_PATTERN = /https?:\/\/[^\s\u3000-\u30FF\u4E00-\u9FFF\uFF00-\uFFEF]+/g;
+const EMOJI_PATTERN = /\p{Extended_Pictographic}|\p{Regional_Indicator}/u;
+
+const segmenter = new Intl.Segmenter('ja', { granularity: 'grapheme' });
+
+function codePointWeight(codePoint) {
+  return LIGHT_RANGES.some(([from, to]) => codePoint >= from && codePoint <= to) ? 1 : 2;
+}
+
+/**
+ * Length of a post as X counts it against the 280 limit.
+ * @param {string} text
+ * @returns {number}
+ */
+function weightedLength(text) {
+  if (!text) return 0;
+  const normalized = text.normalize('NFC');
+  const urls = normalized.match(URL_PATTERN) || [];
+  let length = urls.length * URL_LENGTH;
+
+  for (const { segment } of segmenter.segment(normalized.replace(URL_PATTERN, ''))) {
+    if (EMOJI_PATTERN.test(segment)) {
+      length += 2;
+      continue;
+    }
+    for (const char of segment) length += codePointWeight(char.codePointAt(0));
+  }
+  return length;
+}
+
+// Sentence-sized pieces: up to and including 。！？!? or a line break
+const SENTENCE_PATTERN = /[^。！？!?\n]+[。！？!?]*\n*|\n+/g;
+
+function splitGraphemes(text, maxLength) {
+  const parts = [];
+  let current = '';
+  for (const { segment } of segmenter.segment(text)) {
+    if (current && weightedLength(current + segment) > maxLength) {
+      parts.push(current);
+      current = '';
+    }
+    current += segment;
+  }
+  if (current) parts.push(current);
+  return parts;
+}
+
+/**
+ * Split an over-limit post into thread parts that each fit the limit,
+ * breaking between sentences where possible. Text that already fits is
+ * returned as a single part.
+ * @param {string} text
+ * @param {number} [maxLength]
+ * @returns {string[]}
+ */
+function splitIntoTweets(text, maxLength = MAX_WEIGHTED_LENGTH) {
+  const trimmed = (text || '').trim();
+  if (weightedLength(trimmed) <= maxLength) return trimmed ? [trimmed] : [];
+
+  const parts = [];
+  let current = '';
+  const flush = () => {
+    if (current.trim()) parts.push(current.trim());
+    current = '';
+  };
+  for (const sentence of trimmed.match(SENTENCE_PATTERN)) {
+    if (weightedLength((current + sentence).trim()) <= maxLength) {
+      current += sentence;
+      continue;
+    }
+    flush();
+    if (weightedLength(sentence.trim()) <= maxLength) {
+      current = sentence;
+    } else {
+      // A single sentence longer than a tweet is cut wherever it fills up
+      const pieces = splitGraphemes(sentence.trim(), maxLength);
+      parts.push(...pieces.slice(0, -1).map(p => p.trim()).filter(Boolean));
+      current = pieces[pieces.length - 1];
+    }
+  }
+  flush();
+  return parts;
+}
+
+module.exports = { weightedLength, splitIntoTweets, MAX_WEIGHTED_LENGTH, URL_LENGTH };
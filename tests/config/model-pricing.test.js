@@ -9,6 +9,10 @@ describe('model-pricing', () => {
     expect(modelPricing).toHaveProperty('gemini');
   });
 
+  test('openai プロバイダーが存在する', () => {
+    expect(modelPricing).toHaveProperty('openai');
+  });
+
   describe('Claude モデルの料金設定', () => {
     const claudeModels = [
       'claude-opus-4-6',
@@ -95,4 +99,15 @@ describe('model-pricing', () => {
       expect(flashLite.inputPerMTok).toBeLessThanOrEqual(flash.inputPerMTok);
     });
   });
+
+  describe('OpenAI モデルの料金設定', () => {
+    const openaiModels = ['gpt-4.1', 'gpt-4.1-mini', 'gpt-4o', 'gpt-4o-mini'];
+
+    test.each(openaiModels)('%s に必須フィールドがある', (modelId) => {
+      const pricing = modelPricing.openai[modelId];
+      expect(pricing.inputPerMTok).toBeGreaterThan(0);
+      expect(pricing.outputPerMTok).toBeGreaterThan(0);
+      expect(pricing).toHaveProperty('label');
+    });
+  });
 });
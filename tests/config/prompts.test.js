@@ -1,4 +1,9 @@
 const prompts = require('../../server/config/prompts');
+const { DEFAULT_PERSONA } = require('../../server/config/persona');
+const { renderPersona } = require('../../server/services/persona');
+
+// System prompt as sent with the default persona filled in
+const rendered = (taskType) => renderPersona(prompts[taskType].system, DEFAULT_PERSONA);
 
 describe('prompts', () => {
   const expectedTaskTypes = [
@@ -34,7 +39,7 @@ describe('prompts', () => {
   });
 
   test('reply_generation に絶対禁止事項が定義されている', () => {
-    const system = prompts.reply_generation.system;
+    const system = rendered('reply_generation');
     expect(system).toContain('絶対禁止事項');
     expect(system).toContain('プラットフォーム名');
     expect(system).toContain('個人情報');
@@ -55,7 +60,7 @@ describe('prompts', () => {
   });
 
   test('tweet_generation に絶対禁止事項が定義されている', () => {
-    const system = prompts.tweet_generation.system;
+    const system = rendered('tweet_generation');
     expect(system).toContain('絶対禁止事項');
     expect(system).toContain('プラットフォーム名');
     expect(system).toContain('個人情報');
@@ -67,7 +72,7 @@ describe('prompts', () => {
   });
 
   test('tweet_generation にとっけんのペルソナ情報が含まれる', () => {
-    const system = prompts.tweet_generation.system;
+    const system = rendered('tweet_generation');
     expect(system).toContain('通訳案内士');
     expect(system).toContain('とっけん');
   });
@@ -97,7 +102,7 @@ describe('prompts', () => {
   test.each(['tweet_generation', 'reply_generation', 'quote_rt_generation'])(
     '%s でツアー回数が500回以上になっている',
     (taskType) => {
-      const system = prompts[taskType].system;
+      const system = rendered(taskType);
       expect(system).toContain('500回以上');
       expect(system).not.toContain('516回');
     }
@@ -195,7 +200,7 @@ describe('prompts', () => {
   test.each(['tweet_generation', 'reply_generation', 'quote_rt_generation'])(
     '%s にプラットフォーム名禁止が含まれる',
     (taskType) => {
-      const system = prompts[taskType].system;
+      const system = rendered(taskType);
       expect(system).toContain('GuruWalk');
       expect(system).toContain('絶対に出さない');
     }
@@ -212,9 +217,26 @@ describe('prompts', () => {
   test.each(['tweet_generation', 'reply_generation', 'quote_rt_generation'])(
     '%s にとっけんのペルソナが含まれる',
     (taskType) => {
-      const system = prompts[taskType].system;
+      const system = rendered(taskType);
       expect(system).toContain('とっけん');
       expect(system).toContain('通訳案内士');
     }
   );
+
+  test.each(['tweet_generation', 'comment_generation', 'reply_generation', 'quote_rt_generation'])(
+    '%s にペルソナ固有の情報を直接書かない',
+    (taskType) => {
+      const system = prompts[taskType].system;
+      expect(system).toContain('{persona_intro}');
+      expect(system).not.toContain('とっけん');
+      expect(system).not.toContain('GuruWalk');
+      expect(system).not.toContain('TOEIC');
+    }
+  );
+
+  test('ファクトチェックルールにペルソナの事実と立場が入る', () => {
+    const system = rendered('tweet_generation');
+    expect(system).toContain('ツアー回数（500回以上）、TOEIC（950）、レビュー（4.86）等のプロフィール数値');
+    expect(system).toContain('とっけんの立場（英語ガイド、東京中心、VIP対応）');
+  });
 });
@@ -0,0 +1,201 @@
+const express = require('express');
+const http = require('http');
+
+jest.mock('../../server/db/database', () => ({ getDb: jest.fn() }));
+jest.mock('../../server/services/x-api', () => ({ verifyCredentials: jest.fn() }));
+jest.mock('../../server/services/x-oauth2', () => ({
+  createAuthorizationUrl: jest.fn(),
+  completeAuthorization: jest.fn()
+}));
+
+// Mock persona service
+const mockGetPersona = jest.fn();
+const mockSavePersona = jest.fn();
+const mockDeletePersona = jest.fn();
+
+jest.mock('../../server/services/persona', () => ({
+  getPersona: mockGetPersona,
+  savePersona: mockSavePersona,
+  deletePersona: mockDeletePersona,
+  LIST_FIELDS: ['profile', 'facts', 'banned_words', 'hidden_platforms']
+}));
+
+const accountsRouter = require('../../server/routes/accounts');
+
+function createApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/accounts', accountsRouter);
+  return app;
+}
+
+// Inline supertest-like helper using native http
+function request(app) {
+  const server = http.createServer(app);
+  return {
+    get(path) { return new RequestBuilder(server, 'GET', path); },
+    post(path) { return new RequestBuilder(server, 'POST', path); },
+    put(path) { return new RequestBuilder(server, 'PUT', path); },
+    delete(path) { return new RequestBuilder(server, 'DELETE', path); },
+  };
+}
+
+class RequestBuilder {
+  constructor(server, method, path) {
+    this._server = server;
+    this._method = method;
+    this._path = path;
+    this._body = null;
+    this._headers = { 'Content-Type': 'application/json' };
+  }
+  send(body) { this._body = body; return this; }
+  set(header, value) { this._headers[header] = value; return this; }
+  then(resolve, reject) { return this._execute().then(resolve, reject); }
+  _execute() {
+    return new Promise((resolve, reject) => {
+      this._server.listen(0, () => {
+        const port = this._server.address().port;
+        const bodyStr = this._body ? JSON.stringify(this._body) : '';
+        const options = {
+          hostname: '127.0.0.1', port,
+          path: this._path,
+          method: this._method,
+          headers: { ...this._headers, 'Content-Length': Buffer.byteLength(bodyStr) }
+        };
+        const req = http.request(options, (res) => {
+          let data = '';
+          res.on('data', chunk => data += chunk);
+          res.on('end', () => {
+            this._server.close();
+            let body;
+            try { body = JSON.parse(data); } catch { body = data; }
+            resolve({ status: res.statusCode, body });
+          });
+        });
+        req.on('error', (err) => { this._server.close(); reject(err); });
+        if (bodyStr) req.write(bodyStr);
+        req.end();
+      });
+    });
+  }
+}
+
+describe('accounts persona routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('GET /:id/persona はアカウントのペルソナを返す', async () => {
+    mockGetPersona.mockResolvedValue({ name: 'とっけん', is_default: true });
+
+    const res = await request(createApp()).get('/api/accounts/2/persona');
+    expect(res.status).toBe(200);
+    expect(res.body.name).toBe('とっけん');
+    expect(mockGetPersona).toHaveBeenCalledWith('2');
+  });
+
+  describe('PUT /:id/persona', () => {
+    test('前後の空白と空行を除いて保存する', async () => {
+      mockSavePersona.mockImplementation(async (id, persona) => ({ ...persona, is_default: false }));
+
+      const res = await request(createApp()).put('/api/accounts/2/persona').send({
+        name: ' みさき ',
+        role: '料理研究家',
+        facts: ['レシピ本（3冊）', '  ', ''],
+        banned_words: [' 激うま ']
+      });
+
+      expect(res.status).toBe(200);
+      expect(mockSavePersona).toHaveBeenCalledWith('2', {
+        name: 'みさき',
+        role: '料理研究家',
+        headline: '',
+        stance: '',
+        profile: [],
+        facts: ['レシピ本（3冊）'],
+        banned_words: ['激うま'],
+        hidden_platforms: []
+      });
+    });
+
+    test.each([
+      [{ name: '' }, 'name is required'],
+      [{ name: 'a', role: 1 }, 'role must be a string'],
+      [{ name: 'a', facts: 'TOEIC 950' }, 'facts must be an array of strings'],
+      [{ name: 'a', hidden_platforms: [1] }, 'hidden_platforms must be an array of strings']
+    ])('不正な入力は 400 (%j)', async (body, message) => {
+      const res = await request(createApp()).put('/api/accounts/2/persona').send(body);
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe(message);
+      expect(mockSavePersona).not.toHaveBeenCalled();
+    });
+  });
+
+  test('DELETE /:id/persona はデフォルトのペルソナに戻す', async () => {
+    mockDeletePersona.mockResolvedValue();
+    mockGetPersona.mockResolvedValue({ name: 'とっけん', is_default: true });
+
+    const res = await request(createApp()).delete('/api/accounts/2/persona');
+    expect(res.status).toBe(200);
+    expect(res.body.is_default).toBe(true);
+    expect(mockDeletePersona).toHaveBeenCalledWith('2');
+  });
+});
+
+describe('accounts lint policy', () => {
+  const { getDb } = require('../../server/db/database');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('PUT /:id で lint_policy を更新できる', async () => {
+    const update = jest.fn(() => ({ eq: jest.fn().mockResolvedValue({ error: null }) }));
+    getDb.mockReturnValue({ from: jest.fn(() => ({ update })) });
+
+    const res = await request(createApp()).put('/api/accounts/2').send({ lint_policy: 'block' });
+    expect(res.status).toBe(200);
+    expect(update).toHaveBeenCalledWith({ lint_policy: 'block' });
+  });
+
+  test('不正な lint_policy は 400', async () => {
+    const res = await request(createApp()).put('/api/accounts/2').send({ lint_policy: 'warn' });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('lint_policy must be one of: off, draft, block');
+    expect(getDb).not.toHaveBeenCalled();
+  });
+});
+
+describe('accounts timezone', () => {
+  const { getDb } = require('../../server/db/database');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('PUT /:id で timezone を更新できる', async () => {
+    const update = jest.fn(() => ({ eq: jest.fn().mockResolvedValue({ error: null }) }));
+    getDb.mockReturnValue({ from: jest.fn(() => ({ update })) });
+
+    const res = await request(createApp()).put('/api/accounts/2').send({ timezone: 'America/New_York' });
+    expect(res.status).toBe(200);
+    expect(update).toHaveBeenCalledWith({ timezone: 'America/New_York' });
+  });
+
+  test('IANA 名でない timezone は 400', async () => {
+    const res = await request(createApp()).put('/api/accounts/2').send({ timezone: 'EST+5' });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('timezone must be an IANA timezone name');
+    expect(getDb).not.toHaveBeenCalled();
+  });
+
+  test('POST / でも不正な timezone は 400', async () => {
+    const res = await request(createApp()).post('/api/accounts').send({
+      display_name: 'US', handle: '@us', api_key: 'k', api_secret: 's', access_token: 't', access_token_secret: 'ts',
+      timezone: 'Eastern'
+    });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('timezone must be an IANA timezone name');
+    expect(getDb).not.toHaveBeenCalled();
+  });
+});
@@ -24,9 +24,11 @@ jest.mock('../../server/db/database', () => ({
 
 // Mock AI provider
 const mockGenerateTweets = jest.fn();
+const mockStreamTweets = jest.fn();
 jest.mock('../../server/services/ai-provider', () => ({
   getAIProvider: jest.fn(() => ({
-    generateTweets: mockGenerateTweets
+    generateTweets: mockGenerateTweets,
+    streamTweets: mockStreamTweets
   })),
   getAvailableModels: jest.fn(() => ({
     claude: { label: 'Claude', models: [{ id: 'claude-sonnet-4-20250514', label: 'Claude Sonnet 4' }] },
@@ -122,6 +124,95 @@ describe('AI Routes', () => {
     mockChain.single.mockResolvedValue({ data: null, error: null });
   });
 
+  describe('POST /api/ai/generate/stream', () => {
+    // Split an SSE body into [{ event, data }]
+    function parseEvents(text) {
+      return text.trim().split('\n\n').map(block => ({
+        event: block.match(/^event: (.*)$/m)[1],
+        data: JSON.parse(block.match(/^data: (.*)$/m)[1])
+      }));
+    }
+
+    test('theme が無いとき 400 を返す', async () => {
+      const app = createApp();
+      const res = await request(app).post('/api/ai/generate/stream').send({ provider: 'claude' });
+      expect(res.status).toBe(400);
+      expect(res.body.error).toMatch('theme');
+    });
+
+    test('生成中のイベントを SSE で中継し、最後に done で結果を返す', async () => {
+      mockStreamTweets.mockImplementation(async (theme, options, onEvent) => {
+        onEvent({ type: 'delta', text: '{"variants":[' });
+        onEvent({ type: 'variant', index: 0, variant: { label: 'A', body: '浅草の朝' } });
+        return { provider: 'claude', model: 'claude-sonnet-4-20250514', candidates: [{ text: '浅草の朝' }] };
+      });
+
+      const app = createApp();
+      const res = await request(app).post('/api/ai/generate/stream').send({ theme: '浅草', provider: 'claude' });
+
+      expect(res.status).toBe(200);
+      expect(parseEvents(res.body)).toEqual([
+        { event: 'delta', data: { text: '{"variants":[' } },
+        { event: 'variant', data: { index: 0, variant: { label: 'A', body: '浅草の朝' } } },
+        { event: 'done', data: { provider: 'claude', model: 'claude-sonnet-4-20250514', candidates: [{ text: '浅草の朝' }] } }
+      ]);
+      expect(mockStreamTweets.mock.calls[0][0]).toBe('浅草');
+      expect(mockStreamTweets.mock.calls[0][1]).toEqual(expect.objectContaining({ postType: 'new' }));
+    });
+
+    test('生成に失敗したら error イベントを送って終了する', async () => {
+      mockStreamTweets.mockRejectedValue(new Error('overloaded'));
+
+      const app = createApp();
+      const res = await request(app).post('/api/ai/generate/stream').send({ theme: '浅草', provider: 'claude' });
+
+      expect(parseEvents(res.body)).toEqual([{ event: 'error', data: { error: 'overloaded' } }]);
+    });
+
+    test('最後まで送ったときは生成を中止しない', async () => {
+      mockStreamTweets.mockResolvedValue({ provider: 'claude', candidates: [{ text: '浅草の朝' }] });
+
+      const app = createApp();
+      await request(app).post('/api/ai/generate/stream').send({ theme: '浅草', provider: 'claude' });
+
+      expect(mockStreamTweets.mock.calls[0][1].signal.aborted).toBe(false);
+    });
+
+    test('クライアントが切断したら生成を中止する', async () => {
+      let signal;
+      const aborted = new Promise(resolve => {
+        mockStreamTweets.mockImplementation((theme, options, onEvent) => {
+          signal = options.signal;
+          onEvent({ type: 'delta', text: '{' });
+          return new Promise((_, reject) => options.signal.addEventListener('abort', () => {
+            resolve();
+            reject(new Error('aborted'));
+          }));
+        });
+      });
+
+      const server = http.createServer(createApp());
+      await new Promise(resolve => server.listen(0, resolve));
+      const body = JSON.stringify({ theme: '浅草', provider: 'claude' });
+      const req = http.request({
+        hostname: 'localhost',
+        port: server.address().port,
+        path: '/api/ai/generate/stream',
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) }
+      }, (res) => {
+        // Hang up as soon as the first event arrives
+        res.once('data', () => req.destroy());
+      });
+      req.on('error', () => {});
+      req.end(body);
+
+      await aborted;
+      server.close();
+      expect(signal.aborted).toBe(true);
+    });
+  });
+
   describe('POST /api/ai/regenerate', () => {
     test('originalText が無いとき 400 を返す', async () => {
       const app = createApp();
@@ -312,6 +312,53 @@ describe('auto-post routes', () => {
       );
     });
 
+    test('エバーグリーンの最短間隔と書き直し設定を保存できる', async () => {
+      mockSingle.mockResolvedValueOnce({ data: { id: 6 }, error: null });
+      mockUpsert.mockImplementationOnce(() => ({ ...mockChain, select: () => ({ single: mockSingle }) }));
+
+      const app = createApp();
+      const res = await request(app).put('/api/auto-post/settings').send({
+        accountId: 1,
+        postType: 'evergreen',
+        enabled: true,
+        postsPerDay: 1,
+        scheduleTimes: '12:00',
+        evergreenMinGapDays: 45,
+        evergreenRewrite: true,
+      });
+      expect(res.status).toBe(200);
+      expect(mockUpsert).toHaveBeenCalledWith(
+        expect.objectContaining({
+          post_type: 'evergreen',
+          evergreen_min_gap_days: 45,
+          evergreen_rewrite: true,
+        }),
+        expect.anything()
+      );
+    });
+
+    test('エバーグリーンは Telegram 承認モードを使えない', async () => {
+      const app = createApp();
+      const res = await request(app).put('/api/auto-post/settings').send({
+        accountId: 1,
+        postType: 'evergreen',
+        scheduleMode: 'telegram',
+      });
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('telegram');
+    });
+
+    test('エバーグリーンの最短間隔が不正な場合 400 を返す', async () => {
+      const app = createApp();
+      const res = await request(app).put('/api/auto-post/settings').send({
+        accountId: 1,
+        postType: 'evergreen',
+        evergreenMinGapDays: 0,
+      });
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('evergreenMinGapDays');
+    });
+
     test('upsert エラー時は 500 を返す', async () => {
       mockSingle.mockResolvedValueOnce({ data: null, error: new Error('upsert failed') });
       mockUpsert.mockImplementationOnce(() => ({ ...mockChain, select: () => ({ single: mockSingle }) }));
@@ -0,0 +1,202 @@
+const express = require('express');
+const http = require('http');
+
+// Mock blackout service (validation constants stay real)
+const mockListBlackouts = jest.fn();
+const mockCreateBlackout = jest.fn();
+const mockUpdateBlackout = jest.fn();
+const mockDeleteBlackout = jest.fn();
+const mockGetPostingPause = jest.fn();
+const mockPausePosting = jest.fn();
+const mockResumePosting = jest.fn();
+
+jest.mock('../../server/services/posting-blackout', () => ({
+  ...jest.requireActual('../../server/services/posting-blackout'),
+  listBlackouts: (...args) => mockListBlackouts(...args),
+  createBlackout: (...args) => mockCreateBlackout(...args),
+  updateBlackout: (...args) => mockUpdateBlackout(...args),
+  deleteBlackout: (...args) => mockDeleteBlackout(...args),
+  getPostingPause: (...args) => mockGetPostingPause(...args),
+  pausePosting: (...args) => mockPausePosting(...args),
+  resumePosting: (...args) => mockResumePosting(...args)
+}));
+
+const blackoutsRouter = require('../../server/routes/blackouts');
+
+function createApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/blackouts', blackoutsRouter);
+  return app;
+}
+
+// Inline supertest-like helper using native http
+function request(app) {
+  const server = http.createServer(app);
+  return {
+    get(path) { return new RequestBuilder(server, 'GET', path); },
+    post(path) { return new RequestBuilder(server, 'POST', path); },
+    put(path) { return new RequestBuilder(server, 'PUT', path); },
+    delete(path) { return new RequestBuilder(server, 'DELETE', path); },
+  };
+}
+
+class RequestBuilder {
+  constructor(server, method, path) {
+    this._server = server;
+    this._method = method;
+    this._path = path;
+    this._body = null;
+    this._headers = { 'Content-Type': 'application/json' };
+  }
+  send(body) { this._body = body; return this; }
+  then(resolve, reject) { return this._execute().then(resolve, reject); }
+  _execute() {
+    return new Promise((resolve, reject) => {
+      this._server.listen(0, () => {
+        const port = this._server.address().port;
+        const bodyStr = this._body ? JSON.stringify(this._body) : '';
+        const options = {
+          hostname: '127.0.0.1', port,
+          path: this._path,
+          method: this._method,
+          headers: { ...this._headers, 'Content-Length': Buffer.byteLength(bodyStr) }
+        };
+        const req = http.request(options, (res) => {
+          let data = '';
+          res.on('data', chunk => data += chunk);
+          res.on('end', () => {
+            this._server.close();
+            let body;
+            try { body = JSON.parse(data); } catch { body = data; }
+            resolve({ status: res.statusCode, body });
+          });
+        });
+        req.on('error', (err) => { this._server.close(); reject(err); });
+        if (bodyStr) req.write(bodyStr);
+        req.end();
+      });
+    });
+  }
+}
+
+describe('blackouts routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('GET /api/blackouts は共通ルールとアカウントのルールを返す', async () => {
+    mockListBlackouts.mockResolvedValue([{ id: 1 }]);
+
+    const res = await request(createApp()).get('/api/blackouts?accountId=3');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual([{ id: 1 }]);
+    expect(mockListBlackouts).toHaveBeenCalledWith('3');
+  });
+
+  test('GET /api/blackouts の accountId が整数でなければ 400', async () => {
+    mockListBlackouts.mockClear();
+
+    const res = await request(createApp()).get('/api/blackouts?accountId=' + encodeURIComponent('3),account_id.gt.0'));
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('accountId must be a positive integer');
+    expect(mockListBlackouts).not.toHaveBeenCalled();
+  });
+
+  test('POST /api/blackouts は毎日の時間帯ルールを追加する', async () => {
+    mockCreateBlackout.mockResolvedValue({ id: 1 });
+
+    const res = await request(createApp()).post('/api/blackouts').send({
+      accountId: 3, kind: 'daily', name: ' 深夜 ', startTime: '23:00', endTime: '06:00',
+      startDate: '2026-03-01', endDate: '2026-03-02'
+    });
+
+    expect(res.status).toBe(200);
+    // Date columns are dropped for a daily rule; action defaults to shift
+    expect(mockCreateBlackout).toHaveBeenCalledWith({
+      account_id: 3, kind: 'daily', name: '深夜', action: 'shift', enabled: true,
+      start_time: '23:00', end_time: '06:00'
+    });
+  });
+
+  test('accountId なしは全アカウント共通の日付ルールになる', async () => {
+    mockCreateBlackout.mockResolvedValue({ id: 2 });
+
+    const res = await request(createApp()).post('/api/blackouts').send({
+      kind: 'dates', startDate: '2026-03-03', endDate: '2026-03-04', action: 'hold'
+    });
+
+    expect(res.status).toBe(200);
+    expect(mockCreateBlackout).toHaveBeenCalledWith({
+      account_id: null, kind: 'dates', name: null, action: 'hold', enabled: true,
+      start_date: '2026-03-03', end_date: '2026-03-04'
+    });
+  });
+
+  test('種類・時刻・日付・動作が不正なら 400', async () => {
+    const app = createApp();
+    const cases = [
+      [{ kind: 'weekly' }, 'kind must be daily or dates'],
+      [{ kind: 'daily', startTime: '23:00' }, 'startTime and endTime are required'],
+      [{ kind: 'daily', startTime: '9:00', endTime: '10:00' }, 'startTime must be HH:MM'],
+      [{ kind: 'daily', startTime: '09:00', endTime: '09:00' }, 'startTime and endTime must differ'],
+      [{ kind: 'dates', startDate: '2026-03-04', endDate: '2026-03-03' }, 'endDate must not be before startDate'],
+      [{ kind: 'dates', startDate: '2026/03/04', endDate: '2026-03-05' }, 'startDate must be YYYY-MM-DD'],
+      [{ kind: 'daily', startTime: '23:00', endTime: '06:00', action: 'skip' }, 'action must be shift or hold']
+    ];
+    for (const [body, error] of cases) {
+      const res = await request(app).post('/api/blackouts').send(body);
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe(error);
+    }
+    expect(mockCreateBlackout).not.toHaveBeenCalled();
+  });
+
+  test('PUT /api/blackouts/:id は渡された項目だけ更新する', async () => {
+    mockUpdateBlackout.mockResolvedValue({ id: 1, enabled: false });
+
+    const res = await request(createApp()).put('/api/blackouts/1').send({ enabled: false });
+
+    expect(res.status).toBe(200);
+    expect(mockUpdateBlackout).toHaveBeenCalledWith('1', { enabled: false });
+  });
+
+  test('存在しないルールの削除は 404', async () => {
+    mockDeleteBlackout.mockRejectedValue(new Error('投稿停止ルールが見つかりません'));
+
+    const res = await request(createApp()).delete('/api/blackouts/99');
+
+    expect(res.status).toBe(404);
+  });
+
+  test('GET /api/blackouts/pause は停止状態を返す', async () => {
+    mockGetPostingPause.mockResolvedValue({ paused: false, reason: null, since: null, source: null });
+
+    const res = await request(createApp()).get('/api/blackouts/pause');
+
+    expect(res.status).toBe(200);
+    expect(res.body.paused).toBe(false);
+  });
+
+  test('POST /api/blackouts/pause は理由付きで緊急停止する', async () => {
+    mockPausePosting.mockResolvedValue({ paused: true, reason: '障害対応' });
+
+    const res = await request(createApp()).post('/api/blackouts/pause').send({ reason: ' 障害対応 ' });
+
+    expect(res.status).toBe(200);
+    expect(mockPausePosting).toHaveBeenCalledWith('障害対応', 'ui');
+    expect(mockDeleteBlackout).not.toHaveBeenCalled();
+  });
+
+  test('DELETE /api/blackouts/pause は再開し、ルールの削除とは扱わない', async () => {
+    mockResumePosting.mockResolvedValue({ paused: false });
+
+    const res = await request(createApp()).delete('/api/blackouts/pause');
+
+    expect(res.status).toBe(200);
+    expect(mockResumePosting).toHaveBeenCalledWith('ui');
+    expect(mockDeleteBlackout).not.toHaveBeenCalled();
+  });
+});
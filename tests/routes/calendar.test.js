@@ -0,0 +1,113 @@
+const express = require('express');
+const http = require('http');
+
+// Mock content-calendar service
+const mockGetCalendar = jest.fn();
+
+jest.mock('../../server/services/content-calendar', () => ({
+  getCalendar: mockGetCalendar,
+  MAX_CALENDAR_DAYS: 42
+}));
+
+const calendarRouter = require('../../server/routes/calendar');
+
+function createApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/calendar', calendarRouter);
+  return app;
+}
+
+// Inline supertest-like helper using native http
+function request(app) {
+  const server = http.createServer(app);
+  return {
+    get(path) { return new RequestBuilder(server, 'GET', path); },
+  };
+}
+
+class RequestBuilder {
+  constructor(server, method, path) {
+    this._server = server;
+    this._method = method;
+    this._path = path;
+    this._headers = { 'Content-Type': 'application/json' };
+  }
+  then(resolve, reject) { return this._execute().then(resolve, reject); }
+  _execute() {
+    return new Promise((resolve, reject) => {
+      this._server.listen(0, () => {
+        const port = this._server.address().port;
+        const options = {
+          hostname: '127.0.0.1', port,
+          path: this._path,
+          method: this._method,
+          headers: this._headers
+        };
+        const req = http.request(options, (res) => {
+          let data = '';
+          res.on('data', chunk => data += chunk);
+          res.on('end', () => {
+            this._server.close();
+            let body;
+            try { body = JSON.parse(data); } catch { body = data; }
+            resolve({ status: res.statusCode, body });
+          });
+        });
+        req.on('error', (err) => { this._server.close(); reject(err); });
+        req.end();
+      });
+    });
+  }
+}
+
+describe('calendar routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('GET /api/calendar は期間内の投稿・下書き・スロットを返す', async () => {
+    mockGetCalendar.mockResolvedValue({ posts: [{ id: 1 }], drafts: [], slots: [] });
+
+    const res = await request(createApp())
+      .get('/api/calendar?accountId=acc-1&from=2026-03-01T00:00:00Z&to=2026-03-08T00:00:00Z');
+
+    expect(res.status).toBe(200);
+    expect(res.body.posts).toEqual([{ id: 1 }]);
+    expect(mockGetCalendar).toHaveBeenCalledWith({
+      accountId: 'acc-1',
+      from: new Date('2026-03-01T00:00:00Z'),
+      to: new Date('2026-03-08T00:00:00Z')
+    });
+  });
+
+  test('from / to が不正な場合は 400', async () => {
+    const res = await request(createApp()).get('/api/calendar?from=yesterday&to=2026-03-08T00:00:00Z');
+
+    expect(res.status).toBe(400);
+    expect(mockGetCalendar).not.toHaveBeenCalled();
+  });
+
+  test('to が from 以前の場合は 400', async () => {
+    const res = await request(createApp()).get('/api/calendar?from=2026-03-08T00:00:00Z&to=2026-03-01T00:00:00Z');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('to must be after from');
+  });
+
+  test('期間が長すぎる場合は 400', async () => {
+    const res = await request(createApp()).get('/api/calendar?from=2026-01-01T00:00:00Z&to=2026-03-01T00:00:00Z');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Range must be 42 days or less');
+  });
+
+  test('サービスのエラーは 500', async () => {
+    mockGetCalendar.mockRejectedValue(new Error('db down'));
+
+    const res = await request(createApp()).get('/api/calendar?from=2026-03-01T00:00:00Z&to=2026-03-08T00:00:00Z');
+
+    expect(res.status).toBe(500);
+    expect(res.body.error).toBe('db down');
+  });
+});
@@ -17,6 +17,9 @@ const mockCheckAndRunAutoPosts = jest.fn().mockResolvedValue();
 const mockLogInfo = jest.fn().mockResolvedValue();
 const mockLogError = jest.fn().mockResolvedValue();
 const mockCleanOldLogs = jest.fn().mockResolvedValue();
+const mockSnapshotCompetitorMetrics = jest.fn().mockResolvedValue({ recorded: 0 });
+const mockRunDueKeywordMonitors = jest.fn().mockResolvedValue({ ran: 0, deferred: [] });
+const mockRefreshMonitorTweetMetrics = jest.fn().mockResolvedValue({ refreshed: 0 });
 
 jest.mock('../../server/services/scheduler', () => ({
   processScheduledPosts: mockProcessScheduledPosts
@@ -24,6 +27,13 @@ jest.mock('../../server/services/scheduler', () => ({
 jest.mock('../../server/services/auto-poster', () => ({
   checkAndRunAutoPosts: mockCheckAndRunAutoPosts
 }));
+jest.mock('../../server/services/competitor-snapshots', () => ({
+  snapshotCompetitorMetrics: mockSnapshotCompetitorMetrics
+}));
+jest.mock('../../server/services/keyword-monitor', () => ({
+  runDueKeywordMonitors: mockRunDueKeywordMonitors,
+  refreshMonitorTweetMetrics: mockRefreshMonitorTweetMetrics
+}));
 jest.mock('../../server/services/app-logger', () => ({
   logInfo: mockLogInfo,
   logError: mockLogError,
@@ -205,4 +215,42 @@ describe('cron route handlers', () => {
       expect(mockLogError).toHaveBeenCalledWith('cron', 'Cron /auto-post 実行エラー', { error: 'API rate limit', stack: err.stack });
     });
   });
+
+  describe('/competitor-snapshots handler', () => {
+    test('認証成功時にスナップショットを記録し結果を返す', async () => {
+      mockSnapshotCompetitorMetrics.mockResolvedValueOnce({ recorded: 12 });
+      mockRefreshMonitorTweetMetrics.mockResolvedValueOnce({ refreshed: 4 });
+      const { req, res } = createMockReqRes();
+      await handlers['/competitor-snapshots'](req, res);
+      expect(mockSnapshotCompetitorMetrics).toHaveBeenCalledTimes(1);
+      expect(mockRefreshMonitorTweetMetrics).toHaveBeenCalledTimes(1);
+      expect(res.json).toHaveBeenCalledWith({ ok: true, recorded: 12, monitorTweets: { refreshed: 4 } });
+    });
+
+    test('CRON_SECRET 設定時に認証なしでは記録しない', async () => {
+      process.env.CRON_SECRET = 'secret';
+      const { req, res } = createMockReqRes();
+      await handlers['/competitor-snapshots'](req, res);
+      expect(mockSnapshotCompetitorMetrics).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+  });
+
+  describe('/keyword-monitors handler', () => {
+    test('認証成功時に期限の来たキーワード監視を実行する', async () => {
+      mockRunDueKeywordMonitors.mockResolvedValueOnce({ ran: 2, deferred: [5] });
+      const { req, res } = createMockReqRes();
+      await handlers['/keyword-monitors'](req, res);
+      expect(mockRunDueKeywordMonitors).toHaveBeenCalledTimes(1);
+      expect(res.json).toHaveBeenCalledWith({ ok: true, ran: 2, deferred: [5] });
+    });
+
+    test('実行エラー時は 500 を返しエラーログを記録する', async () => {
+      mockRunDueKeywordMonitors.mockRejectedValueOnce(new Error('DB down'));
+      const { req, res } = createMockReqRes();
+      await handlers['/keyword-monitors'](req, res);
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(mockLogError).toHaveBeenCalledWith('cron', 'Cron /keyword-monitors 実行エラー', expect.any(Object));
+    });
+  });
 });
@@ -0,0 +1,146 @@
+const express = require('express');
+const http = require('http');
+
+// Mock evergreen service
+const mockListEvergreenPosts = jest.fn();
+const mockAddEvergreenPost = jest.fn();
+const mockSetEvergreenEnabled = jest.fn();
+const mockRemoveEvergreenPost = jest.fn();
+
+jest.mock('../../server/services/evergreen', () => ({
+  listEvergreenPosts: mockListEvergreenPosts,
+  addEvergreenPost: mockAddEvergreenPost,
+  setEvergreenEnabled: mockSetEvergreenEnabled,
+  removeEvergreenPost: mockRemoveEvergreenPost
+}));
+
+const evergreenRouter = require('../../server/routes/evergreen');
+
+function createApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/evergreen', evergreenRouter);
+  return app;
+}
+
+// Inline supertest-like helper using native http
+function request(app) {
+  const server = http.createServer(app);
+  return {
+    get(path) { return new RequestBuilder(server, 'GET', path); },
+    post(path) { return new RequestBuilder(server, 'POST', path); },
+    put(path) { return new RequestBuilder(server, 'PUT', path); },
+    delete(path) { return new RequestBuilder(server, 'DELETE', path); },
+  };
+}
+
+class RequestBuilder {
+  constructor(server, method, path) {
+    this._server = server;
+    this._method = method;
+    this._path = path;
+    this._body = null;
+    this._headers = { 'Content-Type': 'application/json' };
+  }
+  send(body) { this._body = body; return this; }
+  then(resolve, reject) { return this._execute().then(resolve, reject); }
+  _execute() {
+    return new Promise((resolve, reject) => {
+      this._server.listen(0, () => {
+        const port = this._server.address().port;
+        const bodyStr = this._body ? JSON.stringify(this._body) : '';
+        const options = {
+          hostname: '127.0.0.1', port,
+          path: this._path,
+          method: this._method,
+          headers: { ...this._headers, 'Content-Length': Buffer.byteLength(bodyStr) }
+        };
+        const req = http.request(options, (res) => {
+          let data = '';
+          res.on('data', chunk => data += chunk);
+          res.on('end', () => {
+            this._server.close();
+            let body;
+            try { body = JSON.parse(data); } catch { body = data; }
+            resolve({ status: res.statusCode, body });
+          });
+        });
+        req.on('error', (err) => { this._server.close(); reject(err); });
+        if (bodyStr) req.write(bodyStr);
+        req.end();
+      });
+    });
+  }
+}
+
+describe('evergreen routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('GET /api/evergreen はアカウントのエバーグリーン投稿を返す', async () => {
+    mockListEvergreenPosts.mockResolvedValue([{ id: 7 }]);
+
+    const res = await request(createApp()).get('/api/evergreen?accountId=1');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual([{ id: 7 }]);
+    expect(mockListEvergreenPosts).toHaveBeenCalledWith('1');
+  });
+
+  test('POST /api/evergreen は投稿を追加する', async () => {
+    mockAddEvergreenPost.mockResolvedValue({ id: 7, source_post_id: 41 });
+
+    const res = await request(createApp()).post('/api/evergreen').send({ postId: 41 });
+
+    expect(res.status).toBe(200);
+    expect(mockAddEvergreenPost).toHaveBeenCalledWith(41);
+  });
+
+  test('postId がない場合は 400', async () => {
+    const res = await request(createApp()).post('/api/evergreen').send({});
+
+    expect(res.status).toBe(400);
+    expect(mockAddEvergreenPost).not.toHaveBeenCalled();
+  });
+
+  test('追加済みの投稿は 409', async () => {
+    mockAddEvergreenPost.mockRejectedValue(new Error('すでにエバーグリーンに追加されています'));
+
+    const res = await request(createApp()).post('/api/evergreen').send({ postId: 41 });
+
+    expect(res.status).toBe(409);
+  });
+
+  test('存在しない投稿は 404', async () => {
+    mockAddEvergreenPost.mockRejectedValue(new Error('投稿が見つかりません'));
+
+    const res = await request(createApp()).post('/api/evergreen').send({ postId: 99 });
+
+    expect(res.status).toBe(404);
+  });
+
+  test('PUT /api/evergreen/:id は有効・無効を切り替える', async () => {
+    mockSetEvergreenEnabled.mockResolvedValue({ id: 7, enabled: false });
+
+    const res = await request(createApp()).put('/api/evergreen/7').send({ enabled: false });
+
+    expect(res.status).toBe(200);
+    expect(mockSetEvergreenEnabled).toHaveBeenCalledWith('7', false);
+  });
+
+  test('enabled が真偽値でない場合は 400', async () => {
+    const res = await request(createApp()).put('/api/evergreen/7').send({ enabled: 'no' });
+
+    expect(res.status).toBe(400);
+  });
+
+  test('DELETE /api/evergreen/:id は投稿を外す', async () => {
+    mockRemoveEvergreenPost.mockResolvedValue();
+
+    const res = await request(createApp()).delete('/api/evergreen/7');
+
+    expect(res.status).toBe(200);
+    expect(mockRemoveEvergreenPost).toHaveBeenCalledWith('7');
+  });
+});
@@ -0,0 +1,175 @@
+const express = require('express');
+const http = require('http');
+
+// Mock prompt-experiments service
+const mockListExperiments = jest.fn();
+const mockCreateExperiment = jest.fn();
+const mockStopExperiment = jest.fn();
+const mockBuildExperimentReport = jest.fn();
+const mockPromoteWinner = jest.fn();
+
+jest.mock('../../server/services/prompt-experiments', () => ({
+  listExperiments: mockListExperiments,
+  createExperiment: mockCreateExperiment,
+  stopExperiment: mockStopExperiment,
+  buildExperimentReport: mockBuildExperimentReport,
+  promoteWinner: mockPromoteWinner
+}));
+
+const promptExperimentsRouter = require('../../server/routes/prompt-experiments');
+
+function createApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/prompt-experiments', promptExperimentsRouter);
+  return app;
+}
+
+// Inline supertest-like helper using native http
+function request(app) {
+  const server = http.createServer(app);
+  return {
+    get(path) { return new RequestBuilder(server, 'GET', path); },
+    post(path) { return new RequestBuilder(server, 'POST', path); },
+  };
+}
+
+class RequestBuilder {
+  constructor(server, method, path) {
+    this._server = server;
+    this._method = method;
+    this._path = path;
+    this._body = null;
+    this._headers = { 'Content-Type': 'application/json' };
+  }
+  send(body) { this._body = body; return this; }
+  set(header, value) { this._headers[header] = value; return this; }
+  then(resolve, reject) { return this._execute().then(resolve, reject); }
+  _execute() {
+    return new Promise((resolve, reject) => {
+      this._server.listen(0, () => {
+        const port = this._server.address().port;
+        const bodyStr = this._body ? JSON.stringify(this._body) : '';
+        const options = {
+          hostname: '127.0.0.1', port,
+          path: this._path,
+          method: this._method,
+          headers: { ...this._headers, 'Content-Length': Buffer.byteLength(bodyStr) }
+        };
+        const req = http.request(options, (res) => {
+          let data = '';
+          res.on('data', chunk => data += chunk);
+          res.on('end', () => {
+            this._server.close();
+            let body;
+            try { body = JSON.parse(data); } catch { body = data; }
+            resolve({ status: res.statusCode, body });
+          });
+        });
+        req.on('error', (err) => { this._server.close(); reject(err); });
+        if (bodyStr) req.write(bodyStr);
+        req.end();
+      });
+    });
+  }
+}
+
+const VALID_BODY = {
+  taskType: 'tweet_generation',
+  name: ' 冒頭の問いかけ ',
+  variants: [
+    { label: 'A', system_prompt: '現行プロンプト' },
+    { label: ' B ', system_prompt: '問いかけで始める' }
+  ]
+};
+
+describe('prompt-experiments routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('GET / はタスクで絞り込んで一覧を返す', async () => {
+    mockListExperiments.mockResolvedValue([{ id: 1 }]);
+
+    const res = await request(createApp()).get('/api/prompt-experiments?taskType=reply_generation');
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual([{ id: 1 }]);
+    expect(mockListExperiments).toHaveBeenCalledWith('reply_generation');
+  });
+
+  describe('POST /api/prompt-experiments', () => {
+    test('実験を作成する（既定はランダム割り当て）', async () => {
+      mockCreateExperiment.mockResolvedValue({ id: 3 });
+
+      const res = await request(createApp()).post('/api/prompt-experiments').send(VALID_BODY);
+      expect(res.status).toBe(200);
+      expect(mockCreateExperiment).toHaveBeenCalledWith({
+        taskType: 'tweet_generation',
+        name: '冒頭の問いかけ',
+        assignment: 'random',
+        variants: [
+          { label: 'A', system_prompt: '現行プロンプト' },
+          { label: 'B', system_prompt: '問いかけで始める' }
+        ]
+      });
+    });
+
+    test.each([
+      [{ taskType: 'analysis' }, 'taskType'],
+      [{ name: '  ' }, 'name'],
+      [{ assignment: 'weighted' }, 'assignment'],
+      [{ variants: [{ label: 'A', system_prompt: 'p' }] }, 'variants must have'],
+      [{ variants: [{ label: 'A', system_prompt: 'p' }, { label: 'B', system_prompt: '' }] }, 'variants[1].system_prompt']
+    ])('不正な入力は 400 (%j)', async (override, message) => {
+      const res = await request(createApp()).post('/api/prompt-experiments').send({ ...VALID_BODY, ...override });
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain(message);
+      expect(mockCreateExperiment).not.toHaveBeenCalled();
+    });
+
+    test('実行中の実験があれば 409', async () => {
+      mockCreateExperiment.mockRejectedValue(new Error('このタスクには実行中の実験があります'));
+
+      const res = await request(createApp()).post('/api/prompt-experiments').send(VALID_BODY);
+      expect(res.status).toBe(409);
+    });
+  });
+
+  test('GET /:id/report は実験がなければ 404', async () => {
+    mockBuildExperimentReport.mockResolvedValue(null);
+
+    const res = await request(createApp()).get('/api/prompt-experiments/9/report');
+    expect(res.status).toBe(404);
+  });
+
+  test('POST /:id/stop は実験を停止する', async () => {
+    mockStopExperiment.mockResolvedValue();
+
+    const res = await request(createApp()).post('/api/prompt-experiments/4/stop').send({});
+    expect(res.status).toBe(200);
+    expect(mockStopExperiment).toHaveBeenCalledWith('4');
+  });
+
+  describe('POST /:id/promote', () => {
+    test('勝者を採用して新しいバージョンを返す', async () => {
+      mockPromoteWinner.mockResolvedValue({ version: 6 });
+
+      const res = await request(createApp()).post('/api/prompt-experiments/4/promote').send({ variantId: '11' });
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ success: true, version: 6 });
+      expect(mockPromoteWinner).toHaveBeenCalledWith('4', 11);
+    });
+
+    test('variantId がなければ 400', async () => {
+      const res = await request(createApp()).post('/api/prompt-experiments/4/promote').send({});
+      expect(res.status).toBe(400);
+    });
+
+    test('実験に含まれない案なら 404', async () => {
+      mockPromoteWinner.mockResolvedValue(null);
+
+      const res = await request(createApp()).post('/api/prompt-experiments/4/promote').send({ variantId: 99 });
+      expect(res.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,181 @@
+const express = require('express');
+const http = require('http');
+
+// Mock posting queue service (validation helpers stay real)
+const mockListQueueSlots = jest.fn();
+const mockGetQueue = jest.fn();
+const mockCreateQueueSlot = jest.fn();
+const mockUpdateQueueSlot = jest.fn();
+const mockDeleteQueueSlot = jest.fn();
+
+jest.mock('../../server/services/post-queue', () => ({
+  ...jest.requireActual('../../server/services/post-queue'),
+  listQueueSlots: (...args) => mockListQueueSlots(...args),
+  getQueue: (...args) => mockGetQueue(...args),
+  createQueueSlot: (...args) => mockCreateQueueSlot(...args),
+  updateQueueSlot: (...args) => mockUpdateQueueSlot(...args),
+  deleteQueueSlot: (...args) => mockDeleteQueueSlot(...args)
+}));
+
+const queueRouter = require('../../server/routes/queue');
+
+function createApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/queue', queueRouter);
+  return app;
+}
+
+// Inline supertest-like helper using native http
+function request(app) {
+  const server = http.createServer(app);
+  return {
+    get(path) { return new RequestBuilder(server, 'GET', path); },
+    post(path) { return new RequestBuilder(server, 'POST', path); },
+    put(path) { return new RequestBuilder(server, 'PUT', path); },
+    delete(path) { return new RequestBuilder(server, 'DELETE', path); },
+  };
+}
+
+class RequestBuilder {
+  constructor(server, method, path) {
+    this._server = server;
+    this._method = method;
+    this._path = path;
+    this._body = null;
+    this._headers = { 'Content-Type': 'application/json' };
+  }
+  send(body) { this._body = body; return this; }
+  then(resolve, reject) { return this._execute().then(resolve, reject); }
+  _execute() {
+    return new Promise((resolve, reject) => {
+      this._server.listen(0, () => {
+        const port = this._server.address().port;
+        const bodyStr = this._body ? JSON.stringify(this._body) : '';
+        const options = {
+          hostname: '127.0.0.1', port,
+          path: this._path,
+          method: this._method,
+          headers: { ...this._headers, 'Content-Length': Buffer.byteLength(bodyStr) }
+        };
+        const req = http.request(options, (res) => {
+          let data = '';
+          res.on('data', chunk => data += chunk);
+          res.on('end', () => {
+            this._server.close();
+            let body;
+            try { body = JSON.parse(data); } catch { body = data; }
+            resolve({ status: res.statusCode, body });
+          });
+        });
+        req.on('error', (err) => { this._server.close(); reject(err); });
+        if (bodyStr) req.write(bodyStr);
+        req.end();
+      });
+    });
+  }
+}
+
+describe('queue routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('GET /api/queue はキューの投稿と次の空き枠を返す', async () => {
+    mockGetQueue.mockResolvedValue({ posts: [{ id: 8 }], free: [] });
+
+    const res = await request(createApp()).get('/api/queue?accountId=1&postType=reply');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ posts: [{ id: 8 }], free: [] });
+    expect(mockGetQueue).toHaveBeenCalledWith('1', 'reply');
+  });
+
+  test('accountId がない場合は 400', async () => {
+    const res = await request(createApp()).get('/api/queue');
+
+    expect(res.status).toBe(400);
+  });
+
+  test('GET /api/queue/slots はアカウントの枠を返す', async () => {
+    mockListQueueSlots.mockResolvedValue([{ id: 4 }]);
+
+    const res = await request(createApp()).get('/api/queue/slots?accountId=1');
+
+    expect(res.status).toBe(200);
+    expect(mockListQueueSlots).toHaveBeenCalledWith('1', undefined);
+  });
+
+  test('POST /api/queue/slots は枠を追加する', async () => {
+    mockCreateQueueSlot.mockResolvedValue({ id: 4 });
+
+    const res = await request(createApp()).post('/api/queue/slots').send({
+      accountId: 1, postType: 'new', name: ' 朝の枠 ', dayOfWeek: 1, time: '08:30'
+    });
+
+    expect(res.status).toBe(200);
+    expect(mockCreateQueueSlot).toHaveBeenCalledWith({
+      accountId: 1, postType: 'new', name: '朝の枠', dayOfWeek: 1, time: '08:30'
+    });
+  });
+
+  test('曜日や時刻が不正なら 400', async () => {
+    const badDay = await request(createApp()).post('/api/queue/slots').send({ accountId: 1, postType: 'new', dayOfWeek: 7, time: '08:30' });
+    const badTime = await request(createApp()).post('/api/queue/slots').send({ accountId: 1, postType: 'new', dayOfWeek: 1, time: '8:30' });
+
+    expect(badDay.status).toBe(400);
+    expect(badTime.status).toBe(400);
+    expect(badTime.body.error).toBe('time must be HH:MM');
+    expect(mockCreateQueueSlot).not.toHaveBeenCalled();
+  });
+
+  test('エバーグリーンなどキュー対象外の投稿タイプは 400', async () => {
+    const res = await request(createApp()).post('/api/queue/slots').send({
+      accountId: 1, postType: 'evergreen', dayOfWeek: 1, time: '08:30'
+    });
+
+    expect(res.status).toBe(400);
+  });
+
+  test('同じ曜日・時刻の枠は 409', async () => {
+    mockCreateQueueSlot.mockRejectedValue(new Error('同じ曜日・時刻の枠がすでにあります'));
+
+    const res = await request(createApp()).post('/api/queue/slots').send({
+      accountId: 1, postType: 'new', dayOfWeek: 1, time: '08:30'
+    });
+
+    expect(res.status).toBe(409);
+  });
+
+  test('PUT /api/queue/slots/:id は渡された項目だけ更新する', async () => {
+    mockUpdateQueueSlot.mockResolvedValue({ id: 4, enabled: false });
+
+    const res = await request(createApp()).put('/api/queue/slots/4').send({ enabled: false });
+
+    expect(res.status).toBe(200);
+    expect(mockUpdateQueueSlot).toHaveBeenCalledWith('4', { enabled: false });
+  });
+
+  test('更新する項目がなければ 400', async () => {
+    const res = await request(createApp()).put('/api/queue/slots/4').send({});
+
+    expect(res.status).toBe(400);
+  });
+
+  test('DELETE /api/queue/slots/:id は枠を削除する', async () => {
+    mockDeleteQueueSlot.mockResolvedValue();
+
+    const res = await request(createApp()).delete('/api/queue/slots/4');
+
+    expect(res.status).toBe(200);
+    expect(mockDeleteQueueSlot).toHaveBeenCalledWith('4');
+  });
+
+  test('存在しない枠の削除は 404', async () => {
+    mockDeleteQueueSlot.mockRejectedValue(new Error('枠が見つかりません'));
+
+    const res = await request(createApp()).delete('/api/queue/slots/99');
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -387,6 +387,84 @@ describe('settings routes', () => {
       expect(upsertCall).not.toHaveProperty('unknown_field');
       expect(upsertCall).toHaveProperty('claude_model', 'claude-sonnet-4-20250514');
     });
+
+    test('fallback_chain を保存できる', async () => {
+      const chain = [
+        { provider: 'claude', model: 'claude-haiku-4-5-20251001' },
+        { provider: 'gemini', model: 'gemini-2.5-flash' }
+      ];
+      const app = createApp();
+      const res = await request(app).put('/api/settings/task-models/tweet_generation').send({ fallback_chain: chain });
+
+      expect(res.status).toBe(200);
+      expect(mockUpsert.mock.calls[0][0].fallback_chain).toEqual(chain);
+    });
+
+    test('未登録のプロバイダーを含む fallback_chain は 400', async () => {
+      const app = createApp();
+      const res = await request(app).put('/api/settings/task-models/tweet_generation').send({
+        fallback_chain: [{ provider: 'unknown', model: 'x' }]
+      });
+
+      expect(res.status).toBe(400);
+      expect(mockUpsert).not.toHaveBeenCalled();
+    });
+
+    test('古いDBで新しいカラムが無ければ外して保存し直す', async () => {
+      mockUpsert
+        .mockResolvedValueOnce({ error: { message: "Could not find the 'fallback_chain' column of 'task_model_settings'" } })
+        .mockResolvedValueOnce({ error: { message: "Could not find the 'provider_models' column of 'task_model_settings'" } })
+        .mockResolvedValueOnce({ error: null });
+
+      const app = createApp();
+      const res = await request(app).put('/api/settings/task-models/tweet_generation').send({
+        claude_model: 'claude-sonnet-4-20250514',
+        provider_models: { claude: 'claude-sonnet-4-20250514' },
+        fallback_chain: []
+      });
+
+      expect(res.status).toBe(200);
+      const lastCall = mockUpsert.mock.calls[2][0];
+      expect(lastCall).not.toHaveProperty('fallback_chain');
+      expect(lastCall).not.toHaveProperty('provider_models');
+      expect(lastCall).toHaveProperty('claude_model');
+    });
+  });
+
+  describe('GET /api/settings/rate-limits', () => {
+    const { rateLimitState } = require('../../server/services/x-api');
+
+    afterEach(() => rateLimitState.clear());
+
+    test('記録されたレート制限を返し、accountId で絞り込める', async () => {
+      const resetAt = Date.now() + 10 * 60 * 1000;
+      rateLimitState.set('1:POST /2/tweets', {
+        endpoint: 'POST /2/tweets', accountId: 1, limit: 100, remaining: 7, resetAt, updatedAt: Date.now()
+      });
+      rateLimitState.set('2:GET /2/users/me', {
+        endpoint: 'GET /2/users/me', accountId: 2, limit: 75, remaining: 0, resetAt, updatedAt: Date.now()
+      });
+
+      const app = createApp();
+      const all = await request(app).get('/api/settings/rate-limits');
+      expect(all.status).toBe(200);
+      expect(all.body).toHaveLength(2);
+
+      const res = await request(app).get('/api/settings/rate-limits?accountId=1');
+      expect(res.body).toEqual([expect.objectContaining({
+        endpoint: 'POST /2/tweets', account_id: 1, limit: 100, remaining: 7, reset_at: new Date(resetAt).toISOString()
+      })]);
+    });
+
+    test('リセット済みのウィンドウは返さない', async () => {
+      rateLimitState.set('1:POST /2/tweets', {
+        endpoint: 'POST /2/tweets', accountId: 1, limit: 100, remaining: 0, resetAt: Date.now() - 1000, updatedAt: Date.now()
+      });
+
+      const app = createApp();
+      const res = await request(app).get('/api/settings/rate-limits');
+      expect(res.body).toEqual([]);
+    });
   });
 
   describe('GET /api/settings/usage', () => {
@@ -520,4 +598,126 @@ describe('settings routes', () => {
       expect(res.body.error).toBe('prompt save failed');
     });
   });
+
+  describe('プロンプトのバージョン履歴', () => {
+    // Chain for prompt_versions: awaiting a list query resolves to `rows`,
+    // single() looks a version up by the number passed to eq('version', n)
+    function mockVersionsTable(rows) {
+      const chain = {};
+      let versionFilter = null;
+      Object.assign(chain, {
+        select: jest.fn(() => chain),
+        order: jest.fn(() => chain),
+        limit: jest.fn(() => chain),
+        eq: jest.fn((col, val) => { if (col === 'version') versionFilter = val; return chain; }),
+        insert: jest.fn((row) => { chain.inserted = row; return chain; }),
+        single: jest.fn(async () => {
+          if (chain.inserted) return { data: { id: 99, ...chain.inserted }, error: null };
+          const found = rows.find(r => r.version === versionFilter);
+          versionFilter = null;
+          return { data: found || null, error: null };
+        }),
+        then: (resolve) => resolve({ data: rows, error: null })
+      });
+      mockFrom.mockImplementation((table) => (table === 'prompt_versions' ? chain : mockChain));
+      return chain;
+    }
+
+    const versions = [
+      { id: 12, task_type: 'tweet_generation', version: 2, system_prompt: '行1\n行2 改\n行3', user_template: '', is_custom: true, note: '語尾を修正' },
+      { id: 11, task_type: 'tweet_generation', version: 1, system_prompt: '行1\n行2\n行3', user_template: '', is_custom: true, note: null }
+    ];
+
+    afterEach(() => {
+      mockFrom.mockImplementation(() => mockChain);
+    });
+
+    test('保存すると作成者メモ付きで次のバージョンを記録する', async () => {
+      const table = mockVersionsTable(versions);
+
+      const app = createApp();
+      const res = await request(app).put('/api/settings/prompts/tweet_generation').send({
+        system_prompt: '新しいプロンプト',
+        note: ' 絵文字を禁止 '
+      });
+
+      expect(res.status).toBe(200);
+      expect(res.body.version).toBe(3);
+      expect(table.insert).toHaveBeenCalledWith(expect.objectContaining({
+        task_type: 'tweet_generation', version: 3, system_prompt: '新しいプロンプト', note: '絵文字を禁止'
+      }));
+    });
+
+    test('履歴導入前のカスタムプロンプトは上書き前に v1 として残す', async () => {
+      const table = mockVersionsTable([]);
+      mockSingle.mockResolvedValueOnce({ data: { system_prompt: '既存のプロンプト', user_template: '', is_custom: true }, error: null });
+
+      const app = createApp();
+      await request(app).put('/api/settings/prompts/tweet_generation').send({ system_prompt: '新しいプロンプト' });
+
+      expect(table.insert).toHaveBeenCalledTimes(2);
+      expect(table.insert.mock.calls[0][0]).toEqual(expect.objectContaining({ system_prompt: '既存のプロンプト', note: '履歴導入前のプロンプト' }));
+    });
+
+    test('note が文字列でないとき 400 を返す', async () => {
+      const app = createApp();
+      const res = await request(app).put('/api/settings/prompts/tweet_generation').send({ system_prompt: 'x', note: 123 });
+      expect(res.status).toBe(400);
+    });
+
+    test('GET versions - 新しい順の履歴を返し、テーブルがなければ空配列', async () => {
+      mockVersionsTable(versions);
+      let res = await request(createApp()).get('/api/settings/prompts/tweet_generation/versions');
+      expect(res.body.versions.map(v => v.version)).toEqual([2, 1]);
+
+      mockFrom.mockImplementation(() => ({
+        select: () => ({ eq: () => ({ order: async () => ({ data: null, error: { message: 'relation "prompt_versions" does not exist' } }) }) })
+      }));
+      res = await request(createApp()).get('/api/settings/prompts/tweet_generation/versions');
+      expect(res.status).toBe(200);
+      expect(res.body.versions).toEqual([]);
+    });
+
+    test('GET versions/diff - 2つのバージョンの行差分を返す', async () => {
+      mockVersionsTable(versions);
+
+      const res = await request(createApp()).get('/api/settings/prompts/tweet_generation/versions/diff?from=1&to=2');
+
+      expect(res.status).toBe(200);
+      expect(res.body.rows).toEqual([
+        { type: 'same', left: '行1', right: '行1' },
+        { type: 'changed', left: '行2', right: '行2 改' },
+        { type: 'same', left: '行3', right: '行3' }
+      ]);
+    });
+
+    test('GET versions/diff - 存在しないバージョンは 404', async () => {
+      mockVersionsTable(versions);
+      const res = await request(createApp()).get('/api/settings/prompts/tweet_generation/versions/diff?from=1&to=9');
+      expect(res.status).toBe(404);
+    });
+
+    test('ロールバックすると旧バージョンを有効にし、新しいバージョンとして記録する', async () => {
+      const table = mockVersionsTable(versions);
+
+      const res = await request(createApp()).post('/api/settings/prompts/tweet_generation/versions/1/rollback').send({});
+
+      expect(res.status).toBe(200);
+      expect(res.body.system_prompt).toBe('行1\n行2\n行3');
+      expect(mockUpsert).toHaveBeenCalledWith(
+        expect.objectContaining({ task_type: 'tweet_generation', system_prompt: '行1\n行2\n行3', is_custom: true }),
+        { onConflict: 'task_type' }
+      );
+      expect(table.insert).toHaveBeenCalledWith(expect.objectContaining({
+        version: 3, rolled_back_from: 1, note: 'v1 にロールバック'
+      }));
+    });
+
+    test('存在しないバージョンへのロールバックは 404', async () => {
+      mockVersionsTable(versions);
+      const res = await request(createApp()).post('/api/settings/prompts/tweet_generation/versions/7/rollback').send({});
+      expect(res.status).toBe(404);
+      expect(mockUpsert).not.toHaveBeenCalled();
+    });
+  });
 });
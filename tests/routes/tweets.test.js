@@ -21,11 +21,43 @@ jest.mock('../../server/db/database', () => {
 
 // Mock X API
 jest.mock('../../server/services/x-api', () => ({
-  postTweet: jest.fn().mockResolvedValue({ data: { id: '12345' } })
+  postTweet: jest.fn().mockResolvedValue({ data: { id: '12345' } }),
+  postThread: jest.fn().mockResolvedValue({ data: { id: '12345', ids: ['12345', '12346'] } })
+}));
+
+// Mock post deletion
+jest.mock('../../server/services/post-deletion', () => ({
+  deletePostFromX: jest.fn(),
+  getDeletionHistory: jest.fn().mockResolvedValue([])
+}));
+
+// Mock the account's lint policy (the rules themselves run for real)
+const mockGetLintContext = jest.fn().mockResolvedValue({ policy: 'draft', hiddenPlatforms: ['GuruWalk'], bannedWords: [] });
+jest.mock('../../server/services/content-linter', () => ({
+  ...jest.requireActual('../../server/services/content-linter'),
+  getLintContext: (...args) => mockGetLintContext(...args)
+}));
+
+// Mock the conflict lookup (other scheduled posts near the new time)
+const mockFindScheduleConflicts = jest.fn().mockResolvedValue([]);
+jest.mock('../../server/services/content-calendar', () => ({
+  ...jest.requireActual('../../server/services/content-calendar'),
+  findScheduleConflicts: (...args) => mockFindScheduleConflicts(...args)
+}));
+
+// Mock the posting queue (slot allocation and shifting)
+const mockAllocateQueueSlots = jest.fn().mockResolvedValue([]);
+const mockCompactQueue = jest.fn().mockResolvedValue(0);
+const mockEnqueueDraft = jest.fn();
+jest.mock('../../server/services/post-queue', () => ({
+  allocateQueueSlots: (...args) => mockAllocateQueueSlots(...args),
+  compactQueue: (...args) => mockCompactQueue(...args),
+  enqueueDraft: (...args) => mockEnqueueDraft(...args)
 }));
 
 const tweetsRouter = require('../../server/routes/tweets');
-const { postTweet } = require('../../server/services/x-api');
+const { postTweet, postThread } = require('../../server/services/x-api');
+const { deletePostFromX } = require('../../server/services/post-deletion');
 
 function createApp() {
   const app = express();
@@ -157,6 +189,129 @@ describe('tweets routes', () => {
       expect(res.status).toBe(200);
       expect(res.body.status).toBe('scheduled');
     });
+
+    test('threadParts が指定された場合はスレッドとして投稿する', async () => {
+      const app = createApp();
+      const res = await request(app).post('/api/tweets').send({
+        threadParts: ['1つ目', '2つ目'],
+        accountId: 'acc-1'
+      });
+      expect(res.status).toBe(200);
+      expect(postThread).toHaveBeenCalledWith(['1つ目', '2つ目'], { accountId: 'acc-1' });
+      expect(res.body.tweet_id).toBe('12345');
+      expect(res.body.tweet_ids).toEqual(['12345', '12346']);
+    });
+
+    test('threadParts に空のパートがある場合は 400 エラー', async () => {
+      const app = createApp();
+      const res = await request(app).post('/api/tweets').send({
+        threadParts: ['1つ目', '  '],
+        accountId: 'acc-1'
+      });
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('threadParts must not contain empty parts');
+    });
+
+    test('experimentVariantId を指定すると投稿に A/B テストの案を記録する', async () => {
+      const { getDb } = require('../../server/db/database');
+      const mockChain = getDb().from();
+      mockChain.insert.mockClear();
+      const app = createApp();
+      const res = await request(app).post('/api/tweets').send({
+        text: 'A/B テストの投稿',
+        accountId: 'acc-1',
+        experimentVariantId: 9
+      });
+      expect(res.status).toBe(200);
+      expect(mockChain.insert).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'posted',
+        experiment_variant_id: 9
+      }));
+    });
+
+    test('promptVersionId を指定すると投稿にプロンプトのバージョンを記録する', async () => {
+      const { getDb } = require('../../server/db/database');
+      const mockChain = getDb().from();
+      mockChain.insert.mockClear();
+      const app = createApp();
+      const res = await request(app).post('/api/tweets/reply').send({
+        text: 'AI 生成のリプライ',
+        accountId: 'acc-1',
+        targetTweetId: 'tweet-123',
+        promptVersionId: 12
+      });
+      expect(res.status).toBe(200);
+      expect(mockChain.insert).toHaveBeenCalledWith(expect.objectContaining({
+        post_type: 'reply',
+        status: 'posted',
+        prompt_version_id: 12
+      }));
+      expect(mockChain.insert.mock.calls[0][0]).not.toHaveProperty('experiment_variant_id');
+    });
+
+    test('promptVersionId が正の整数でない場合は 400 エラー', async () => {
+      const app = createApp();
+      const res = await request(app).post('/api/tweets/schedule').send({
+        text: '予約',
+        accountId: 'acc-1',
+        scheduledAt: '2026-03-01T09:00:00.000Z',
+        promptVersionId: 0
+      });
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('promptVersionId must be a positive integer');
+    });
+
+    test('experimentVariantId が正の整数でない場合は 400 エラー', async () => {
+      const app = createApp();
+      const res = await request(app).post('/api/tweets').send({
+        text: 'A/B テストの投稿',
+        accountId: 'acc-1',
+        experimentVariantId: 'B'
+      });
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('experimentVariantId must be a positive integer');
+    });
+  });
+
+  describe('POST /api/tweets/media', () => {
+    test('非対応の画像形式は 400 エラー', async () => {
+      const app = createApp();
+      const res = await request(app).post('/api/tweets/media').send({
+        accountId: 'acc-1', mimeType: 'application/pdf', data: 'aGVsbG8='
+      });
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Unsupported image type: application/pdf');
+    });
+
+    test('attachmentIds が多すぎる場合は投稿を 400 エラー', async () => {
+      const app = createApp();
+      const res = await request(app).post('/api/tweets').send({
+        text: '写真5枚', accountId: 'acc-1', attachmentIds: [1, 2, 3, 4, 5]
+      });
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('attachmentIds supports up to 4 images');
+    });
+  });
+
+  describe('DELETE /api/tweets/posted/:id', () => {
+    test('X から削除して削除したツイートIDを返す', async () => {
+      deletePostFromX.mockResolvedValueOnce({ postId: 7, tweetIds: ['111', '112'], deletedAt: '2026-10-19T00:00:00.000Z' });
+      const app = createApp();
+      const res = await request(app).delete('/api/tweets/posted/7');
+      expect(res.status).toBe(200);
+      expect(deletePostFromX).toHaveBeenCalledWith('7', { source: 'web', reason: null });
+      expect(res.body.tweetIds).toEqual(['111', '112']);
+    });
+
+    test('投稿済みでない場合はサービスのステータスコードを返す', async () => {
+      const err = new Error('X に投稿済みのツイートのみ削除できます');
+      err.status = 400;
+      deletePostFromX.mockRejectedValueOnce(err);
+      const app = createApp();
+      const res = await request(app).delete('/api/tweets/posted/8');
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('X に投稿済みのツイートのみ削除できます');
+    });
   });
 
   describe('POST /api/tweets/reply', () => {
@@ -204,13 +359,13 @@ describe('tweets routes', () => {
   });
 
   describe('POST /api/tweets/schedule', () => {
-    test('text と scheduledAt が必須', async () => {
+    test('text と scheduledAt（またはキュー指定）が必須', async () => {
       const app = createApp();
       const res = await request(app).post('/api/tweets/schedule').send({
         accountId: 'acc-1'
       });
       expect(res.status).toBe(400);
-      expect(res.body.error).toBe('text and scheduledAt are required');
+      expect(res.body.error).toBe('text and scheduledAt (or queue) are required');
     });
 
     test('accountId が必須', async () => {
@@ -328,6 +483,23 @@ describe('tweets routes', () => {
       expect(res.status).toBe(200);
       expect(res.body.status).toBe('draft');
     });
+
+    test('AI 生成文の下書きには A/B テストの案を記録する', async () => {
+      const { getDb } = require('../../server/db/database');
+      const mockChain = getDb().from();
+      mockChain.insert.mockClear();
+      const app = createApp();
+      const res = await request(app).post('/api/tweets/drafts').send({
+        text: '下書きテスト',
+        accountId: 'acc-1',
+        experimentVariantId: 4
+      });
+      expect(res.status).toBe(200);
+      expect(mockChain.insert).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'draft',
+        experiment_variant_id: 4
+      }));
+    });
   });
 
   describe('POST /api/tweets/drafts/:id/post', () => {
@@ -415,4 +587,357 @@ describe('tweets routes', () => {
       expect(mockChain.update).not.toHaveBeenCalled();
     });
   });
+
+  describe('文面チェック', () => {
+    const { getDb } = require('../../server/db/database');
+    const mockChain = getDb().from();
+
+    beforeEach(() => {
+      postTweet.mockClear();
+      mockChain.insert.mockClear();
+      mockChain.update.mockClear();
+    });
+
+    test('draft ポリシーでは違反した投稿を即時投稿せず下書きに保存する', async () => {
+      const app = createApp();
+      const res = await request(app).post('/api/tweets').send({
+        text: '浅草を案内した #東京観光',
+        accountId: 'acc-1'
+      });
+      expect(res.status).toBe(200);
+      expect(res.body.status).toBe('draft');
+      expect(res.body.lintViolations).toEqual([{ rule: 'hashtag', matches: ['#東京観光'] }]);
+      expect(res.body.message).toContain('下書きに保存しました');
+      expect(postTweet).not.toHaveBeenCalled();
+      expect(mockChain.insert).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'draft',
+        lint_violations: [{ rule: 'hashtag', matches: ['#東京観光'] }]
+      }));
+    });
+
+    test('block ポリシーでは違反した予約を 422 で拒否する', async () => {
+      mockGetLintContext.mockResolvedValueOnce({ policy: 'block', hiddenPlatforms: ['GuruWalk'], bannedWords: [] });
+      const app = createApp();
+      const res = await request(app).post('/api/tweets/schedule').send({
+        text: 'GuruWalkで知り合ったお客さん',
+        accountId: 'acc-1',
+        scheduledAt: '2026-03-01T09:00:00.000Z'
+      });
+      expect(res.status).toBe(422);
+      expect(res.body.error).toBe('文面チェックに違反しています: プラットフォーム名（GuruWalk）');
+      expect(mockChain.insert).not.toHaveBeenCalled();
+    });
+
+    test('下書き作成時は違反内容を保存して返す', async () => {
+      const app = createApp();
+      const res = await request(app).post('/api/tweets/drafts').send({
+        text: '混むかもしれません',
+        accountId: 'acc-1'
+      });
+      expect(res.status).toBe(200);
+      expect(res.body.lintViolations).toEqual([{ rule: 'hedge', matches: ['かもしれません'] }]);
+      expect(mockChain.insert).toHaveBeenCalledWith(expect.objectContaining({
+        lint_violations: [{ rule: 'hedge', matches: ['かもしれません'] }]
+      }));
+    });
+
+    test('block ポリシーでは違反している下書きは投稿できない', async () => {
+      mockGetLintContext.mockResolvedValueOnce({ policy: 'block', hiddenPlatforms: ['GuruWalk'], bannedWords: [] });
+      mockChain.single.mockResolvedValueOnce({
+        data: { id: 5, text: '最高😊', account_id: 'acc-1', post_type: 'new', target_tweet_id: null },
+        error: null
+      });
+      const app = createApp();
+      const res = await request(app).post('/api/tweets/drafts/5/post').send({});
+      expect(res.status).toBe(422);
+      expect(res.body.lintViolations).toEqual([{ rule: 'emoji', matches: ['😊'] }]);
+      expect(postTweet).not.toHaveBeenCalled();
+      expect(mockChain.update).toHaveBeenCalledWith({ lint_violations: [{ rule: 'emoji', matches: ['😊'] }] });
+    });
+
+    test('draft ポリシーでは違反している下書きもユーザーの操作で投稿できる', async () => {
+      mockChain.single.mockResolvedValueOnce({
+        data: { id: 5, text: '最高😊', account_id: 'acc-1', post_type: 'new', target_tweet_id: null },
+        error: null
+      });
+      const app = createApp();
+      const res = await request(app).post('/api/tweets/drafts/5/post').send({});
+      expect(res.status).toBe(200);
+      expect(res.body.status).toBe('posted');
+      expect(postTweet).toHaveBeenCalledWith('最高😊', { accountId: 'acc-1' });
+    });
+
+    test('block ポリシーでは違反している下書きは予約できない', async () => {
+      mockGetLintContext.mockResolvedValueOnce({ policy: 'block', hiddenPlatforms: ['GuruWalk'], bannedWords: [] });
+      mockChain.single.mockResolvedValueOnce({
+        data: { account_id: 'acc-1', text: '【速報】浅草', thread_parts: null },
+        error: null
+      });
+      const app = createApp();
+      const res = await request(app).post('/api/tweets/drafts/6/schedule').send({
+        scheduledAt: '2026-03-01T09:00:00.000Z'
+      });
+      expect(res.status).toBe(422);
+      expect(mockChain.update).not.toHaveBeenCalledWith(expect.objectContaining({ status: 'scheduled' }));
+    });
+
+    test('draft ポリシーでは違反している下書きもユーザーの操作で予約できる', async () => {
+      mockChain.single.mockResolvedValueOnce({
+        data: { account_id: 'acc-1', text: '【速報】浅草', thread_parts: null },
+        error: null
+      });
+      const app = createApp();
+      const res = await request(app).post('/api/tweets/drafts/6/schedule').send({
+        scheduledAt: '2026-03-01T09:00:00.000Z'
+      });
+      expect(res.status).not.toBe(422);
+      expect(mockChain.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'scheduled', lint_violations: null }));
+    });
+
+    test('block ポリシーでは予約投稿の本文を違反する内容に編集できない', async () => {
+      mockGetLintContext.mockResolvedValueOnce({ policy: 'block', hiddenPlatforms: ['GuruWalk'], bannedWords: [] });
+      mockChain.single.mockResolvedValueOnce({ data: { account_id: 'acc-1', post_type: 'new', queue_slot_id: null }, error: null });
+      const app = createApp();
+      const res = await request(app).put('/api/tweets/scheduled/8').send({ text: 'GuruWalkで会いましょう' });
+      expect(res.status).toBe(422);
+      expect(res.body.lintViolations).toEqual([{ rule: 'platform', matches: ['GuruWalk'] }]);
+      expect(mockChain.update).not.toHaveBeenCalled();
+    });
+
+    test('draft ポリシーでは予約投稿の本文編集を拒否しない', async () => {
+      mockChain.single.mockResolvedValueOnce({ data: { account_id: 'acc-1', post_type: 'new', queue_slot_id: null }, error: null });
+      const app = createApp();
+      const res = await request(app).put('/api/tweets/scheduled/8').send({ text: 'GuruWalkで会いましょう' });
+      expect(res.status).not.toBe(422);
+      expect(mockChain.update).toHaveBeenCalledWith({ text: 'GuruWalkで会いましょう' });
+    });
+  });
+
+  describe('予約の衝突チェック', () => {
+    const { getDb } = require('../../server/db/database');
+    const mockChain = getDb().from();
+    const conflict = { type: 'post', id: 9, text: '別の予約', at: '2026-03-01T09:10:00.000Z' };
+
+    beforeEach(() => {
+      mockChain.update.mockClear();
+      mockFindScheduleConflicts.mockClear();
+    });
+
+    test('予約日時の変更が他の予約と近い場合は 409 を返す', async () => {
+      mockChain.single.mockResolvedValueOnce({ data: { account_id: 'acc-1' }, error: null });
+      mockFindScheduleConflicts.mockResolvedValueOnce([conflict]);
+      const app = createApp();
+      const res = await request(app).put('/api/tweets/scheduled/8').send({ scheduledAt: '2026-03-01T09:00:00.000Z' });
+      expect(res.status).toBe(409);
+      expect(res.body.error).toBe('前後30分以内に他の投稿が1件あります');
+      expect(res.body.conflicts).toEqual([conflict]);
+      expect(mockFindScheduleConflicts).toHaveBeenCalledWith({
+        accountId: 'acc-1', scheduledAt: '2026-03-01T09:00:00.000Z', excludeId: '8'
+      });
+      expect(mockChain.update).not.toHaveBeenCalled();
+    });
+
+    test('allowConflicts を指定すると衝突を確認せずに変更する', async () => {
+      mockChain.single.mockResolvedValueOnce({ data: { account_id: 'acc-1' }, error: null });
+      const app = createApp();
+      await request(app).put('/api/tweets/scheduled/8').send({
+        scheduledAt: '2026-03-01T09:00:00.000Z', allowConflicts: true
+      });
+      expect(mockFindScheduleConflicts).not.toHaveBeenCalled();
+      expect(mockChain.update).toHaveBeenCalledWith({ scheduled_at: '2026-03-01T09:00:00.000Z', queue_slot_id: null });
+    });
+
+    test('下書きの予約も衝突していれば 409 を返す', async () => {
+      mockChain.single.mockResolvedValueOnce({
+        data: { account_id: 'acc-1', text: '浅草の朝', thread_parts: null },
+        error: null
+      });
+      mockFindScheduleConflicts.mockResolvedValueOnce([conflict]);
+      const app = createApp();
+      const res = await request(app).post('/api/tweets/drafts/6/schedule').send({
+        scheduledAt: '2026-03-01T09:00:00.000Z'
+      });
+      expect(res.status).toBe(409);
+      expect(mockChain.update).not.toHaveBeenCalledWith(expect.objectContaining({ status: 'scheduled' }));
+    });
+  });
+
+  describe('投稿キュー', () => {
+    const { getDb } = require('../../server/db/database');
+    const mockChain = getDb().from();
+    const slot = { at: '2026-03-03T00:00:00.000Z', slotId: 4, name: '朝の枠' };
+
+    beforeEach(() => {
+      mockChain.insert.mockClear();
+      mockChain.update.mockClear();
+      mockAllocateQueueSlots.mockClear();
+      mockCompactQueue.mockClear();
+      mockEnqueueDraft.mockReset();
+    });
+
+    test('queue: true で次の空き枠に予約する', async () => {
+      mockAllocateQueueSlots.mockResolvedValueOnce([slot]);
+      const app = createApp();
+      const res = await request(app).post('/api/tweets/schedule').send({
+        text: '浅草の朝', accountId: 'acc-1', postType: 'reply', targetTweetId: '999', queue: true
+      });
+      expect(res.status).toBe(200);
+      expect(res.body.scheduled_at).toBe(slot.at);
+      expect(mockAllocateQueueSlots).toHaveBeenCalledWith('acc-1', 'reply');
+      expect(mockChain.insert).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'scheduled', scheduled_at: slot.at, queue_slot_id: 4
+      }));
+    });
+
+    test('新規ツイートも queue: true でキューに入る', async () => {
+      mockAllocateQueueSlots.mockResolvedValueOnce([slot]);
+      const app = createApp();
+      const res = await request(app).post('/api/tweets').send({ text: '浅草の朝', accountId: 'acc-1', queue: true });
+      expect(res.status).toBe(200);
+      expect(res.body.status).toBe('scheduled');
+      expect(postTweet).not.toHaveBeenCalledWith('浅草の朝', expect.anything());
+    });
+
+    test('枠がなければ 409 を返す', async () => {
+      const app = createApp();
+      const res = await request(app).post('/api/tweets/schedule').send({ text: '浅草の朝', accountId: 'acc-1', queue: true });
+      expect(res.status).toBe(409);
+      expect(res.body.error).toBe('No queue slots are set up for this account and post type');
+      expect(mockChain.insert).not.toHaveBeenCalled();
+    });
+
+    test('キューの投稿を取り消すと後ろの投稿を詰める', async () => {
+      mockChain.select.mockResolvedValueOnce({
+        data: [{ id: 8, account_id: 'acc-1', post_type: 'new', queue_slot_id: 4 }], error: null
+      });
+      const app = createApp();
+      const res = await request(app).delete('/api/tweets/scheduled/8');
+      expect(res.status).toBe(200);
+      expect(mockCompactQueue).toHaveBeenCalledWith('acc-1', 'new');
+    });
+
+    test('日時を指定して予約した投稿を取り消しても詰めない', async () => {
+      mockChain.select.mockResolvedValueOnce({
+        data: [{ id: 8, account_id: 'acc-1', post_type: 'new', queue_slot_id: null }], error: null
+      });
+      const app = createApp();
+      await request(app).delete('/api/tweets/scheduled/8');
+      expect(mockCompactQueue).not.toHaveBeenCalled();
+    });
+
+    test('キューの投稿の日時を変えるとキューから外して詰める', async () => {
+      mockChain.single.mockResolvedValueOnce({
+        data: { account_id: 'acc-1', post_type: 'new', queue_slot_id: 4 }, error: null
+      });
+      mockChain.select
+        .mockReturnValueOnce(mockChain)
+        .mockResolvedValueOnce({ data: [{ id: 8 }], error: null });
+      const app = createApp();
+      const res = await request(app).put('/api/tweets/scheduled/8').send({
+        scheduledAt: '2026-03-05T09:00:00.000Z', allowConflicts: true
+      });
+      expect(res.status).toBe(200);
+      expect(mockChain.update).toHaveBeenCalledWith({ scheduled_at: '2026-03-05T09:00:00.000Z', queue_slot_id: null });
+      expect(mockCompactQueue).toHaveBeenCalledWith('acc-1', 'new');
+    });
+
+    test('下書きをキューに追加する', async () => {
+      const draft = { id: 6, account_id: 'acc-1', post_type: 'new', text: '浅草の朝', thread_parts: null };
+      mockChain.single.mockResolvedValueOnce({ data: draft, error: null });
+      mockEnqueueDraft.mockResolvedValueOnce(slot);
+      const app = createApp();
+      const res = await request(app).post('/api/tweets/drafts/6/queue').send({});
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ success: true, status: 'scheduled', scheduled_at: slot.at, slot_name: '朝の枠' });
+      expect(mockEnqueueDraft).toHaveBeenCalledWith(draft);
+    });
+
+    test('枠がないと下書きは 409 のまま残る', async () => {
+      mockChain.single.mockResolvedValueOnce({
+        data: { id: 6, account_id: 'acc-1', post_type: 'new', text: '浅草の朝', thread_parts: null }, error: null
+      });
+      mockEnqueueDraft.mockRejectedValueOnce(new Error('キューの投稿枠が設定されていません'));
+      const app = createApp();
+      const res = await request(app).post('/api/tweets/drafts/6/queue').send({});
+      expect(res.status).toBe(409);
+    });
+
+    test('block ポリシーでは文面チェックに違反する下書きはキューに入れない', async () => {
+      mockGetLintContext.mockResolvedValueOnce({ policy: 'block', hiddenPlatforms: ['GuruWalk'], bannedWords: [] });
+      mockChain.single.mockResolvedValueOnce({
+        data: { id: 6, account_id: 'acc-1', post_type: 'new', text: 'GuruWalkで予約できます', thread_parts: null }, error: null
+      });
+      const app = createApp();
+      const res = await request(app).post('/api/tweets/drafts/6/queue').send({});
+      expect(res.status).toBe(422);
+      expect(mockEnqueueDraft).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('文字数チェック', () => {
+    const { getDb } = require('../../server/db/database');
+    const mockChain = getDb().from();
+    const longText = 'あ'.repeat(200);
+
+    beforeEach(() => {
+      postTweet.mockClear();
+      postThread.mockClear();
+      mockChain.insert.mockClear();
+    });
+
+    test('上限を超える投稿は X に送らず 422 を返す', async () => {
+      const app = createApp();
+      const res = await request(app).post('/api/tweets').send({ text: longText, accountId: 'acc-1' });
+      expect(res.status).toBe(422);
+      expect(res.body.error).toBe('文字数が上限を超えています（400/280）');
+      expect(postTweet).not.toHaveBeenCalled();
+      expect(mockChain.insert).not.toHaveBeenCalled();
+    });
+
+    test('スレッドのパートが上限を超える場合は何件目かを返す', async () => {
+      const app = createApp();
+      const res = await request(app).post('/api/tweets').send({ threadParts: ['1つ目', longText], accountId: 'acc-1' });
+      expect(res.status).toBe(422);
+      expect(res.body.error).toBe('スレッド2件目の文字数が上限を超えています（400/280）');
+    });
+
+    test('autoSplit を指定するとスレッドに分割して投稿する', async () => {
+      const app = createApp();
+      const res = await request(app).post('/api/tweets').send({ text: longText, accountId: 'acc-1', autoSplit: true });
+      expect(res.status).toBe(200);
+      expect(postThread).toHaveBeenCalledWith(['あ'.repeat(140), 'あ'.repeat(60)], { accountId: 'acc-1' });
+    });
+
+    test('リプライは自動分割せず 422 を返す', async () => {
+      const app = createApp();
+      const res = await request(app).post('/api/tweets/reply').send({
+        text: longText, targetTweetId: '999', accountId: 'acc-1', autoSplit: true
+      });
+      expect(res.status).toBe(422);
+      expect(postTweet).not.toHaveBeenCalled();
+    });
+
+    test('予約時も autoSplit でスレッドとして保存する', async () => {
+      const app = createApp();
+      const res = await request(app).post('/api/tweets/schedule').send({
+        text: longText, accountId: 'acc-1', scheduledAt: '2026-03-01T09:00:00.000Z', autoSplit: true
+      });
+      expect(res.status).toBe(200);
+      expect(mockChain.insert).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'scheduled',
+        thread_parts: [expect.any(String), expect.any(String)]
+      }));
+    });
+
+    test('上限を超える下書きは投稿できない', async () => {
+      mockChain.single.mockResolvedValueOnce({
+        data: { id: 7, text: longText, account_id: 'acc-1', post_type: 'new', target_tweet_id: null },
+        error: null
+      });
+      const app = createApp();
+      const res = await request(app).post('/api/tweets/drafts/7/post').send({});
+      expect(res.status).toBe(422);
+      expect(postTweet).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -22,13 +22,35 @@ jest.mock('../../server/services/x-api', () => ({
   logApiUsage: jest.fn().mockResolvedValue(undefined)
 }));
 
+jest.mock('../../server/services/app-logger', () => ({
+  logWarn: jest.fn().mockResolvedValue(undefined),
+  logError: jest.fn().mockResolvedValue(undefined)
+}));
+
+jest.mock('../../server/services/prompt-versions', () => ({
+  getCurrentPromptVersionId: jest.fn().mockResolvedValue(null)
+}));
+
+jest.mock('../../server/services/prompt-experiments', () => ({
+  assignExperimentVariant: jest.fn().mockResolvedValue(null),
+  getExperimentVariant: jest.fn().mockResolvedValue(null)
+}));
+
 // Mock cost-calculator
 jest.mock('../../server/services/cost-calculator', () => ({
   logDetailedUsage: jest.fn().mockResolvedValue(undefined),
   checkBudgetStatus: jest.fn().mockResolvedValue({ shouldPause: false })
 }));
 
-const { getAIProvider, getAvailableModels, AIProvider, ClaudeProvider, fetchWithRetry } = require('../../server/services/ai-provider');
+const {
+  getAIProvider, getAvailableModels, listProviders, findProviderForModel, registerProvider,
+  AIProvider, ClaudeProvider, GeminiProvider, OpenAICompatibleProvider, FailoverProvider, fetchWithRetry
+} = require('../../server/services/ai-provider');
+const { logWarn } = require('../../server/services/app-logger');
+const { getDb } = require('../../server/db/database');
+const { logDetailedUsage } = require('../../server/services/cost-calculator');
+const { getCurrentPromptVersionId } = require('../../server/services/prompt-versions');
+const { assignExperimentVariant } = require('../../server/services/prompt-experiments');
 
 describe('ai-provider', () => {
   describe('getAvailableModels', () => {
@@ -79,8 +101,12 @@ describe('ai-provider', () => {
       expect(provider).toBeDefined();
     });
 
+    test('openai プロバイダーを返す', () => {
+      expect(getAIProvider('openai')).toBeInstanceOf(OpenAICompatibleProvider);
+    });
+
     test('不明なプロバイダーでエラーを投げる', () => {
-      expect(() => getAIProvider('openai')).toThrow('Unknown AI provider: openai');
+      expect(() => getAIProvider('unknown')).toThrow('Unknown AI provider: unknown');
     });
 
     test('空文字列でエラーを投げる', () => {
@@ -88,6 +114,640 @@ describe('ai-provider', () => {
     });
   });
 
+  describe('プロバイダーレジストリ', () => {
+    const savedEnv = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...savedEnv };
+    });
+
+    test('openai の既定モデルは料金表の OpenAI モデル', () => {
+      delete process.env.OPENAI_MODELS;
+      const ids = getAvailableModels().openai.models.map(m => m.id);
+      expect(ids).toContain('gpt-4.1-mini');
+      expect(ids).toContain('gpt-4o-mini');
+    });
+
+    test('OPENAI_MODELS でローカルサーバーのモデルを指定できる', () => {
+      process.env.OPENAI_MODELS = 'llama3.1:8b, qwen2.5:7b';
+      expect(getAvailableModels().openai.models).toEqual([
+        { id: 'llama3.1:8b', label: 'llama3.1:8b' },
+        { id: 'qwen2.5:7b', label: 'qwen2.5:7b' }
+      ]);
+    });
+
+    test('listProviders は環境変数から利用可否を判定する', () => {
+      delete process.env.OPENAI_API_KEY;
+      process.env.OPENAI_BASE_URL = 'http://localhost:11434/v1';
+      process.env.CLAUDE_API_KEY = 'key';
+      delete process.env.GEMINI_API_KEY;
+
+      const byName = Object.fromEntries(listProviders().map(p => [p.name, p.available]));
+      expect(byName).toEqual({ claude: true, gemini: false, openai: true });
+    });
+
+    test('findProviderForModel はモデルを提供するプロバイダーを返す', () => {
+      delete process.env.OPENAI_MODELS;
+      expect(findProviderForModel('claude-haiku-4-5-20251001')).toBe('claude');
+      expect(findProviderForModel('gemini-2.5-pro')).toBe('gemini');
+      expect(findProviderForModel('gpt-4.1')).toBe('openai');
+      expect(findProviderForModel('unknown-model')).toBeNull();
+    });
+
+    test('registerProvider で追加したプロバイダーが一覧と生成に反映される', () => {
+      class CustomProvider extends AIProvider {}
+      registerProvider('custom', {
+        label: 'Custom',
+        ProviderClass: CustomProvider,
+        getModels: () => [{ id: 'custom-1', label: 'Custom 1' }],
+        isAvailable: () => true
+      });
+
+      expect(getAvailableModels().custom.models[0].id).toBe('custom-1');
+      expect(getAIProvider('custom')).toBeInstanceOf(CustomProvider);
+      expect(findProviderForModel('custom-1')).toBe('custom');
+    });
+  });
+
+  describe('AIProvider.getTaskModelSettings', () => {
+    test('provider_models のモデルを旧カラムより優先する', async () => {
+      const chain = getDb().from('task_model_settings');
+      chain.single.mockResolvedValueOnce({
+        data: { claude_model: 'claude-haiku-4-5-20251001', provider_models: { openai: 'gpt-4o-mini' } }
+      });
+      const settings = await new AIProvider().getTaskModelSettings('tweet_generation', 'openai');
+      expect(settings.model).toBe('gpt-4o-mini');
+    });
+
+    test('provider_models に無ければ claude_model / gemini_model を使う', async () => {
+      const chain = getDb().from('task_model_settings');
+      chain.single.mockResolvedValueOnce({
+        data: { claude_model: 'claude-haiku-4-5-20251001', gemini_model: 'gemini-2.0-flash', provider_models: {} }
+      });
+      const settings = await new AIProvider().getTaskModelSettings('tweet_generation', 'claude');
+      expect(settings.model).toBe('claude-haiku-4-5-20251001');
+    });
+  });
+
+  describe('OpenAICompatibleProvider', () => {
+    const savedEnv = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...savedEnv };
+      jest.restoreAllMocks();
+    });
+
+    const completion = (content) => ({
+      ok: true,
+      json: async () => ({
+        id: 'chatcmpl-1',
+        choices: [{ message: { content }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 120, completion_tokens: 80 }
+      })
+    });
+
+    test('chat/completions を呼び出し、候補と使用量を返す', async () => {
+      process.env.OPENAI_API_KEY = 'sk-test';
+      delete process.env.OPENAI_BASE_URL;
+      delete process.env.OPENAI_MODELS;
+      jest.spyOn(global, 'fetch').mockResolvedValue(
+        completion('{"variants":[{"label":"A","body":"テスト本文","opening_pattern":"O-B","development_pattern":"D-A","closing_pattern":"C-A"}]}')
+      );
+
+      const result = await new OpenAICompatibleProvider().generateTweets('京都', { taskType: 'tweet_generation', model: 'gpt-4.1-mini' });
+
+      const [url, request] = global.fetch.mock.calls[0];
+      expect(url).toBe('https://api.openai.com/v1/chat/completions');
+      expect(request.headers.Authorization).toBe('Bearer sk-test');
+      const body = JSON.parse(request.body);
+      expect(body.model).toBe('gpt-4.1-mini');
+      expect(body.messages.map(m => m.role)).toEqual(['system', 'user']);
+
+      expect(result.provider).toBe('openai');
+      expect(result.candidates[0].text).toBe('テスト本文');
+      expect(result.usage).toEqual({ inputTokens: 120, outputTokens: 80 });
+      expect(logDetailedUsage).toHaveBeenCalledWith(expect.objectContaining({
+        provider: 'openai', model: 'gpt-4.1-mini', inputTokens: 120, outputTokens: 80
+      }));
+    });
+
+    test('生成に使ったプロンプトのバージョン id を結果に含める', async () => {
+      process.env.OPENAI_API_KEY = 'sk-test';
+      delete process.env.OPENAI_BASE_URL;
+      getCurrentPromptVersionId.mockResolvedValueOnce(42);
+      jest.spyOn(global, 'fetch').mockResolvedValue(completion('要約テキスト'));
+
+      const result = await new OpenAICompatibleProvider().generateTweets('京都', { taskType: 'performance_summary', model: 'gpt-4.1-mini' });
+
+      expect(getCurrentPromptVersionId).toHaveBeenCalledWith('performance_summary');
+      expect(result.promptVersionId).toBe(42);
+    });
+
+    test('システムプロンプトのプレースホルダーにペルソナを埋め込んで送る', async () => {
+      process.env.OPENAI_API_KEY = 'sk-test';
+      delete process.env.OPENAI_BASE_URL;
+      const fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue(completion('本文'));
+
+      await new OpenAICompatibleProvider().generateTweets('京都', { taskType: 'comment_generation', model: 'gpt-4.1-mini', accountId: 1 });
+
+      const system = JSON.parse(fetchSpy.mock.calls[0][1].body).messages[0].content;
+      expect(system).toContain('通訳案内士・とっけん');
+      expect(system).toContain('GuruWalk');
+      expect(system).not.toContain('{persona_');
+    });
+
+    test('実行中の A/B テストがあれば割り当てられた案のプロンプトで生成する', async () => {
+      process.env.OPENAI_API_KEY = 'sk-test';
+      delete process.env.OPENAI_BASE_URL;
+      assignExperimentVariant.mockResolvedValueOnce({ id: 9, label: 'B', system_prompt: '案Bのシステムプロンプト' });
+      const fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue(completion('要約テキスト'));
+
+      const result = await new OpenAICompatibleProvider().generateTweets('京都', { taskType: 'performance_summary', model: 'gpt-4.1-mini' });
+
+      const body = JSON.parse(fetchSpy.mock.calls[0][1].body);
+      expect(body.messages[0].content).toBe('案Bのシステムプロンプト');
+      expect(result.experimentVariantId).toBe(9);
+      expect(result.promptVersionId).toBeNull();
+    });
+
+    test('experiment: false の生成は A/B テストに割り当てない', async () => {
+      process.env.OPENAI_API_KEY = 'sk-test';
+      delete process.env.OPENAI_BASE_URL;
+      assignExperimentVariant.mockClear();
+      jest.spyOn(global, 'fetch').mockResolvedValue(completion('要約テキスト'));
+
+      const result = await new OpenAICompatibleProvider().generateTweets('京都', {
+        taskType: 'performance_summary', model: 'gpt-4.1-mini', experiment: false
+      });
+
+      expect(assignExperimentVariant).not.toHaveBeenCalled();
+      expect(result.experimentVariantId).toBeNull();
+    });
+
+    test('ローカルサーバーは API キーなしで OPENAI_BASE_URL に接続する', async () => {
+      delete process.env.OPENAI_API_KEY;
+      process.env.OPENAI_BASE_URL = 'http://localhost:11434/v1/';
+      process.env.OPENAI_MODELS = 'llama3.1:8b';
+      jest.spyOn(global, 'fetch').mockResolvedValue(completion('ローカル生成の要約'));
+
+      const result = await new OpenAICompatibleProvider().generateTweets('京都', { taskType: 'performance_summary' });
+
+      const [url, request] = global.fetch.mock.calls[0];
+      expect(url).toBe('http://localhost:11434/v1/chat/completions');
+      expect(request.headers).not.toHaveProperty('Authorization');
+      expect(JSON.parse(request.body).model).toBe('llama3.1:8b');
+      expect(result.model).toBe('llama3.1:8b');
+    });
+
+    test('OpenAI 本家に API キーなしで接続しようとするとエラー', async () => {
+      delete process.env.OPENAI_API_KEY;
+      delete process.env.OPENAI_BASE_URL;
+      await expect(new OpenAICompatibleProvider().generateTweets('京都'))
+        .rejects.toThrow('OPENAI_API_KEY environment variable is not set');
+    });
+  });
+
+  describe('埋め込み（類似投稿チェック用）', () => {
+    const savedEnv = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...savedEnv };
+      jest.restoreAllMocks();
+    });
+
+    test('Claude は埋め込み API がないので null を返す', async () => {
+      const fetchSpy = jest.spyOn(global, 'fetch');
+      await expect(new ClaudeProvider().embed(['浅草'])).resolves.toBeNull();
+      expect(fetchSpy).not.toHaveBeenCalled();
+    });
+
+    test('OpenAI 互換は /embeddings を呼び、index 順に並べて返す', async () => {
+      process.env.OPENAI_API_KEY = 'sk-test';
+      delete process.env.OPENAI_BASE_URL;
+      delete process.env.OPENAI_EMBEDDING_MODEL;
+      jest.spyOn(global, 'fetch').mockResolvedValue({
+        ok: true,
+        json: async () => ({ data: [{ index: 1, embedding: [0, 1] }, { index: 0, embedding: [1, 0] }] })
+      });
+
+      const vectors = await new OpenAICompatibleProvider().embed(['浅草', '京都']);
+
+      const [url, request] = global.fetch.mock.calls[0];
+      expect(url).toBe('https://api.openai.com/v1/embeddings');
+      expect(JSON.parse(request.body)).toEqual({ model: 'text-embedding-3-small', input: ['浅草', '京都'] });
+      expect(vectors).toEqual([[1, 0], [0, 1]]);
+    });
+
+    test('埋め込みのトークン数と費用を記録する', async () => {
+      process.env.OPENAI_API_KEY = 'sk-test';
+      delete process.env.OPENAI_BASE_URL;
+      delete process.env.OPENAI_EMBEDDING_MODEL;
+      logDetailedUsage.mockClear();
+      jest.spyOn(global, 'fetch').mockResolvedValue({
+        ok: true,
+        json: async () => ({ data: [{ index: 0, embedding: [1, 0] }], usage: { prompt_tokens: 120, total_tokens: 120 } })
+      });
+
+      const provider = new OpenAICompatibleProvider();
+      await provider.embed(['浅草']);
+
+      expect(logDetailedUsage).toHaveBeenCalledWith({
+        provider: 'openai', model: 'text-embedding-3-small', taskType: 'duplicate_check', inputTokens: 120
+      });
+      expect(provider.embeddingModel()).toBe('openai/text-embedding-3-small');
+    });
+
+    test('埋め込みモデルは生成用のモデル一覧に出さない', () => {
+      delete process.env.OPENAI_MODELS;
+      const ids = getAvailableModels().openai.models.map(m => m.id);
+      expect(ids).toContain('gpt-4.1-mini');
+      expect(ids).not.toContain('text-embedding-3-small');
+    });
+
+    test('Gemini は batchEmbedContents の values を返す', async () => {
+      process.env.GEMINI_API_KEY = 'g-test';
+      delete process.env.GEMINI_EMBEDDING_MODEL;
+      jest.spyOn(global, 'fetch').mockResolvedValue({
+        ok: true,
+        json: async () => ({ embeddings: [{ values: [0.1, 0.2] }] })
+      });
+
+      const vectors = await new GeminiProvider().embed(['浅草']);
+
+      expect(global.fetch.mock.calls[0][0]).toContain('/models/text-embedding-004:batchEmbedContents');
+      expect(vectors).toEqual([[0.1, 0.2]]);
+    });
+  });
+
+  describe('出力スキーマ検証', () => {
+    const validTweet = JSON.stringify({
+      variants: [
+        { label: 'A', body: '浅草の朝8時。', char_count: 7, opening_pattern: 'O-B', development_pattern: 'D-B', closing_pattern: 'C-A', expressions: ['朝8時'], fact_check: 'ok' },
+        { label: 'B', body: 'パターン不足' }
+      ]
+    });
+
+    test('スキーマに合う案だけを候補にし、除外理由を返す', () => {
+      const { candidates, validationErrors } = new AIProvider().extractCandidates(validTweet, 'tweet_generation');
+      expect(candidates).toHaveLength(1);
+      expect(candidates[0]).toEqual(expect.objectContaining({ text: '浅草の朝8時。', openingPattern: 'O-B', factCheck: 'ok' }));
+      expect(validationErrors).toContain('$.variants[1].opening_pattern: 必須項目がありません');
+    });
+
+    test('途中で切れたJSONは候補なしで理由を返す', () => {
+      const { candidates, validationErrors } = new AIProvider()
+        .extractCandidates('{"variants":[{"label":"A","body":"途中で', 'reply_generation');
+      expect(candidates).toEqual([]);
+      expect(validationErrors[0]).toContain('途中で切れています');
+    });
+
+    test('スキーマのないタスクは従来どおり柔軟にパースする', () => {
+      const { candidates, validationErrors } = new AIProvider().extractCandidates('要約テキスト', 'performance_summary');
+      expect(candidates[0].text).toBe('要約テキスト');
+      expect(validationErrors).toBeNull();
+    });
+
+    test('outputSchema: false で検証を無効にできる', () => {
+      const { candidates } = new AIProvider()
+        .extractCandidates('{"rules":[]}', 'tweet_generation', { outputSchema: false });
+      expect(candidates).toHaveLength(1);
+    });
+
+    describe('修正リクエスト', () => {
+      const savedEnv = { ...process.env };
+
+      beforeEach(() => {
+        process.env.GEMINI_API_KEY = 'test-key';
+      });
+
+      afterEach(() => {
+        process.env = { ...savedEnv };
+        jest.restoreAllMocks();
+      });
+
+      const geminiResponse = (text) => ({
+        ok: true,
+        json: async () => ({ candidates: [{ content: { parts: [{ text }] } }], usageMetadata: {} })
+      });
+
+      test('検証に失敗したら検証エラーを添えて1回だけ修正を依頼する', async () => {
+        jest.spyOn(global, 'fetch')
+          .mockResolvedValueOnce(geminiResponse('1. JSONではない案'))
+          .mockResolvedValueOnce(geminiResponse('{"variants":[{"label":"A","body":"修正後の案"}]}'));
+
+        const result = await new GeminiProvider()
+          .generateTweets('京都', { taskType: 'reply_generation', model: 'gemini-2.5-flash' });
+
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+        const repairBody = JSON.parse(global.fetch.mock.calls[1][1].body);
+        const repairPrompt = repairBody.contents[0].parts[0].text;
+        expect(repairPrompt).toContain('JSONとして解析できません');
+        expect(repairPrompt).toContain('1. JSONではない案');
+        expect(global.fetch.mock.calls[1][0]).toContain('gemini-2.5-flash');
+        expect(result.repaired).toBe(true);
+        expect(result.candidates[0].text).toBe('修正後の案');
+        expect(result).not.toHaveProperty('responseText');
+      });
+
+      test('修正後も失敗したら候補なしで理由を debugInfo に載せる', async () => {
+        jest.spyOn(global, 'fetch').mockResolvedValue(geminiResponse('{"variants":[]}'));
+
+        const result = await new GeminiProvider().generateTweets('京都', { taskType: 'reply_generation' });
+
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+        expect(result.candidates).toEqual([]);
+        expect(result.debugInfo).toContain('スキーマ検証エラー');
+        expect(result.debugInfo).toContain('$.variants: 1件以上必要です');
+      });
+
+      test('妥当な応答では修正を依頼しない', async () => {
+        jest.spyOn(global, 'fetch')
+          .mockResolvedValue(geminiResponse('{"variants":[{"label":"A","body":"そのまま使える案"}]}'));
+
+        const result = await new GeminiProvider().generateTweets('京都', { taskType: 'quote_rt_generation' });
+
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        expect(result).not.toHaveProperty('repaired');
+      });
+    });
+  });
+
+  describe('FailoverProvider', () => {
+    const candidates = [{ text: '案1', label: '', hashtags: [] }];
+
+    function mockChain(fallbackChain) {
+      jest.spyOn(AIProvider.prototype, 'getTaskModelSettings').mockResolvedValue({
+        preferredProvider: 'claude', model: null, fallbackChain, effort: 'medium', maxTokens: 1024
+      });
+    }
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      logWarn.mockClear();
+    });
+
+    test('failover オプションで FailoverProvider を返す', () => {
+      expect(getAIProvider('claude', { failover: true })).toBeInstanceOf(FailoverProvider);
+    });
+
+    test('主モデルが成功すればフォールバックしない', async () => {
+      mockChain([{ provider: 'gemini', model: 'gemini-2.5-flash' }]);
+      jest.spyOn(ClaudeProvider.prototype, 'generateTweets')
+        .mockResolvedValue({ provider: 'claude', model: 'claude-sonnet-4-5-20250929', candidates });
+      const gemini = jest.spyOn(GeminiProvider.prototype, 'generateTweets');
+
+      const result = await new FailoverProvider('claude').generateTweets('京都', { postType: 'new' });
+
+      expect(result.provider).toBe('claude');
+      expect(result).not.toHaveProperty('failover');
+      expect(gemini).not.toHaveBeenCalled();
+    });
+
+    test('主モデルが失敗したらチェーンを順に試し、実際のモデルを返す', async () => {
+      mockChain([
+        { provider: 'claude', model: 'claude-haiku-4-5-20251001' },
+        { provider: 'gemini', model: 'gemini-2.5-flash' }
+      ]);
+      const claude = jest.spyOn(ClaudeProvider.prototype, 'generateTweets')
+        .mockRejectedValueOnce(new Error('API error 529: overloaded'))
+        .mockRejectedValueOnce(new Error('AI APIの応答がタイムアウトしました。'));
+      jest.spyOn(GeminiProvider.prototype, 'generateTweets')
+        .mockResolvedValue({ provider: 'gemini', model: 'gemini-2.5-flash', candidates });
+
+      const result = await new FailoverProvider('claude')
+        .generateTweets('京都', { postType: 'new', model: 'claude-sonnet-4-5-20250929' });
+
+      expect(claude.mock.calls[0][1].model).toBe('claude-sonnet-4-5-20250929');
+      expect(claude.mock.calls[1][1].model).toBe('claude-haiku-4-5-20251001');
+      expect(result.model).toBe('gemini-2.5-flash');
+      expect(result.failover.failed).toHaveLength(2);
+      expect(result.failover.failed[0]).toEqual(expect.objectContaining({ error: 'API error 529: overloaded' }));
+      expect(logWarn).toHaveBeenCalledTimes(2);
+      expect(logWarn.mock.calls[0][0]).toBe('ai');
+    });
+
+    test('候補が空の応答も失敗として次のモデルを試す', async () => {
+      mockChain([{ provider: 'gemini', model: null }]);
+      jest.spyOn(ClaudeProvider.prototype, 'generateTweets')
+        .mockResolvedValue({ provider: 'claude', model: 'claude-sonnet-4-5-20250929', candidates: [] });
+      const gemini = jest.spyOn(GeminiProvider.prototype, 'generateTweets')
+        .mockResolvedValue({ provider: 'gemini', model: 'gemini-2.0-flash', candidates });
+
+      const result = await new FailoverProvider('claude')
+        .generateTweets('京都', { postType: 'new', model: 'claude-sonnet-4-5-20250929' });
+
+      // Step without a model falls back to the provider's own task setting
+      expect(gemini.mock.calls[0][1]).not.toHaveProperty('model');
+      expect(result.provider).toBe('gemini');
+    });
+
+    test('全モデルが失敗したら各モデルのエラーをまとめて投げる', async () => {
+      mockChain([{ provider: 'gemini', model: 'gemini-2.5-flash' }]);
+      jest.spyOn(ClaudeProvider.prototype, 'generateTweets').mockRejectedValue(new Error('overloaded'));
+      jest.spyOn(GeminiProvider.prototype, 'generateTweets').mockRejectedValue(new Error('quota'));
+
+      await expect(new FailoverProvider('claude').generateTweets('京都', { postType: 'new' }))
+        .rejects.toThrow('claude/default: overloaded / gemini/gemini-2.5-flash: quota');
+    });
+
+    test('呼び出し側が中止したらフォールバックしない', async () => {
+      mockChain([{ provider: 'gemini', model: 'gemini-2.5-flash' }]);
+      const controller = new AbortController();
+      jest.spyOn(ClaudeProvider.prototype, 'generateTweets').mockImplementation(async () => {
+        controller.abort();
+        throw new Error('AI APIへのリクエストを中止しました');
+      });
+      const gemini = jest.spyOn(GeminiProvider.prototype, 'generateTweets');
+
+      await expect(new FailoverProvider('claude').generateTweets('京都', { postType: 'new', signal: controller.signal }))
+        .rejects.toThrow('中止');
+      expect(gemini).not.toHaveBeenCalled();
+    });
+
+    test('チェーン未設定なら元のエラーをそのまま投げる', async () => {
+      mockChain([]);
+      jest.spyOn(ClaudeProvider.prototype, 'generateTweets').mockRejectedValue(new Error('overloaded'));
+
+      await expect(new FailoverProvider('claude').generateTweets('京都', { postType: 'new' }))
+        .rejects.toThrow(/^overloaded$/);
+      expect(logWarn).not.toHaveBeenCalled();
+    });
+
+    test('予算超過はフォールバックせずに投げる', async () => {
+      mockChain([{ provider: 'gemini', model: 'gemini-2.5-flash' }]);
+      jest.spyOn(ClaudeProvider.prototype, 'generateTweets')
+        .mockRejectedValue(new Error('月間予算の上限に達しました。'));
+      const gemini = jest.spyOn(GeminiProvider.prototype, 'generateTweets');
+
+      await expect(new FailoverProvider('claude').generateTweets('京都', { postType: 'new' }))
+        .rejects.toThrow('月間予算');
+      expect(gemini).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('ストリーミング生成', () => {
+    const savedEnv = { ...process.env };
+    const tweetJson = '{"variants":[{"label":"A","body":"浅草の\\"朝\\"散歩","opening_pattern":"O-B","development_pattern":"D-A","closing_pattern":"C-A"},'
+      + '{"label":"B","body":"雷門の朝","opening_pattern":"O-C","development_pattern":"D-B","closing_pattern":"C-B"}]}';
+
+    // A fetch response whose body streams the given SSE lines in arbitrary chunks
+    function sseResponse(lines, chunkSize = 7) {
+      const raw = lines.map(l => `data: ${typeof l === 'string' ? l : JSON.stringify(l)}\n\n`).join('');
+      const bytes = new TextEncoder().encode(raw);
+      return {
+        ok: true,
+        body: new ReadableStream({
+          start(controller) {
+            for (let i = 0; i < bytes.length; i += chunkSize) controller.enqueue(bytes.slice(i, i + chunkSize));
+            controller.close();
+          }
+        })
+      };
+    }
+
+    function split(text, size = 10) {
+      const parts = [];
+      for (let i = 0; i < text.length; i += size) parts.push(text.slice(i, i + size));
+      return parts;
+    }
+
+    beforeEach(() => {
+      logDetailedUsage.mockClear();
+    });
+
+    afterEach(() => {
+      process.env = { ...savedEnv };
+      jest.restoreAllMocks();
+    });
+
+    test('Claude: テキスト差分と完成した案を順に通知し、使用量を記録する', async () => {
+      process.env.CLAUDE_API_KEY = 'test-key';
+      jest.spyOn(global, 'fetch').mockResolvedValue(sseResponse([
+        { type: 'message_start', message: { id: 'msg_1', usage: { input_tokens: 300, output_tokens: 1, cache_read_input_tokens: 50 } } },
+        { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+        ...split(tweetJson).map(text => ({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text } })),
+        { type: 'content_block_stop', index: 0 },
+        { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 90 } },
+        { type: 'message_stop' }
+      ]));
+      const events = [];
+
+      const result = await new ClaudeProvider().streamTweets('浅草', {
+        taskType: 'tweet_generation', model: 'claude-sonnet-4-5-20250929'
+      }, e => events.push(e));
+
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body).stream).toBe(true);
+      const deltas = events.filter(e => e.type === 'delta').map(e => e.text).join('');
+      expect(deltas).toBe(tweetJson);
+      const variants = events.filter(e => e.type === 'variant');
+      expect(variants).toEqual([
+        { type: 'variant', index: 0, variant: { label: 'A', body: '浅草の"朝"散歩' } },
+        { type: 'variant', index: 1, variant: { label: 'B', body: '雷門の朝' } }
+      ]);
+      expect(result.candidates.map(c => c.text)).toEqual(['浅草の"朝"散歩', '雷門の朝']);
+      expect(result).not.toHaveProperty('responseText');
+      expect(result.usage).toEqual({ inputTokens: 300, outputTokens: 90, cacheReadTokens: 50, cacheWriteTokens: 0 });
+      expect(logDetailedUsage).toHaveBeenCalledWith(expect.objectContaining({
+        provider: 'claude', inputTokens: 300, outputTokens: 90, cacheReadTokens: 50, requestId: 'msg_1'
+      }));
+    });
+
+    test('Claude: ストリーム中の error イベントで例外を投げる', async () => {
+      process.env.CLAUDE_API_KEY = 'test-key';
+      jest.spyOn(global, 'fetch').mockResolvedValue(sseResponse([
+        { type: 'message_start', message: { id: 'msg_1', usage: {} } },
+        { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }
+      ]));
+
+      await expect(new ClaudeProvider().streamTweets('浅草', { taskType: 'tweet_generation' }))
+        .rejects.toThrow('Claude API error: Overloaded');
+    });
+
+    test('Gemini: streamGenerateContent を使い、最後の usageMetadata を記録する', async () => {
+      process.env.GEMINI_API_KEY = 'g-key';
+      const parts = split(tweetJson, 40);
+      jest.spyOn(global, 'fetch').mockResolvedValue(sseResponse(parts.map((text, i) => ({
+        candidates: [{ content: { parts: [{ text }] } }],
+        usageMetadata: { promptTokenCount: 200, candidatesTokenCount: (i + 1) * 10 }
+      }))));
+
+      const result = await new GeminiProvider().streamTweets('浅草', {
+        taskType: 'tweet_generation', model: 'gemini-2.5-flash'
+      });
+
+      expect(global.fetch.mock.calls[0][0]).toContain('gemini-2.5-flash:streamGenerateContent?alt=sse');
+      expect(result.candidates).toHaveLength(2);
+      expect(result.usage).toEqual({ inputTokens: 200, outputTokens: parts.length * 10 });
+      expect(logDetailedUsage).toHaveBeenCalledWith(expect.objectContaining({
+        provider: 'gemini', inputTokens: 200, outputTokens: parts.length * 10
+      }));
+    });
+
+    test('OpenAI互換: include_usage の最終チャンクから使用量を記録し [DONE] で終了する', async () => {
+      process.env.OPENAI_API_KEY = 'sk-test';
+      delete process.env.OPENAI_BASE_URL;
+      jest.spyOn(global, 'fetch').mockResolvedValue(sseResponse([
+        ...split(tweetJson).map(content => ({ id: 'chatcmpl-1', choices: [{ delta: { content } }] })),
+        { id: 'chatcmpl-1', choices: [{ delta: {}, finish_reason: 'stop' }] },
+        { id: 'chatcmpl-1', choices: [], usage: { prompt_tokens: 120, completion_tokens: 80 } },
+        '[DONE]'
+      ]));
+
+      const result = await new OpenAICompatibleProvider().streamTweets('浅草', {
+        taskType: 'tweet_generation', model: 'gpt-4.1-mini'
+      });
+
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(body).toEqual(expect.objectContaining({ stream: true, stream_options: { include_usage: true } }));
+      expect(result.candidates).toHaveLength(2);
+      expect(result.usage).toEqual({ inputTokens: 120, outputTokens: 80 });
+      expect(logDetailedUsage).toHaveBeenCalledWith(expect.objectContaining({
+        provider: 'openai', inputTokens: 120, outputTokens: 80, requestId: 'chatcmpl-1'
+      }));
+    });
+
+    test('スキーマ検証に失敗したら repair を通知し、非ストリームで修正を依頼する', async () => {
+      process.env.OPENAI_API_KEY = 'sk-test';
+      delete process.env.OPENAI_BASE_URL;
+      jest.spyOn(global, 'fetch')
+        .mockResolvedValueOnce(sseResponse([{ choices: [{ delta: { content: '{"variants":[{"label":"A","body":"本文"}]}' } }] }, '[DONE]']))
+        .mockResolvedValueOnce({
+          ok: true,
+          json: async () => ({ choices: [{ message: { content: tweetJson } }], usage: { prompt_tokens: 1, completion_tokens: 1 } })
+        });
+      const events = [];
+
+      const result = await new OpenAICompatibleProvider().streamTweets('浅草', {
+        taskType: 'tweet_generation', model: 'gpt-4.1-mini'
+      }, e => events.push(e));
+
+      const repair = events.find(e => e.type === 'repair');
+      expect(repair.errors[0]).toContain('opening_pattern');
+      expect(JSON.parse(global.fetch.mock.calls[1][1].body)).not.toHaveProperty('stream');
+      expect(result.repaired).toBe(true);
+      expect(result.candidates).toHaveLength(2);
+    });
+
+    test('FailoverProvider: 切り替え時に failover イベントを通知する', async () => {
+      jest.spyOn(AIProvider.prototype, 'getTaskModelSettings').mockResolvedValue({
+        preferredProvider: 'claude', model: null, fallbackChain: [{ provider: 'gemini', model: 'gemini-2.5-flash' }], effort: 'medium', maxTokens: 1024
+      });
+      jest.spyOn(ClaudeProvider.prototype, 'streamTweets').mockRejectedValue(new Error('overloaded'));
+      jest.spyOn(GeminiProvider.prototype, 'streamTweets')
+        .mockResolvedValue({ provider: 'gemini', model: 'gemini-2.5-flash', candidates: [{ text: '案1' }] });
+      const events = [];
+
+      const result = await new FailoverProvider('claude').streamTweets('浅草', { postType: 'new' }, e => events.push(e));
+
+      expect(events).toEqual([{
+        type: 'failover',
+        failed: { provider: 'claude', model: null, error: 'overloaded' },
+        next: { provider: 'gemini', model: 'gemini-2.5-flash' }
+      }]);
+      expect(result.failover.failed).toHaveLength(1);
+    });
+  });
+
   describe('AIProvider.inferTaskType', () => {
     let provider;
 
@@ -324,6 +984,35 @@ describe('ai-provider', () => {
       jest.useFakeTimers();
     });
 
+    test('呼び出し側の signal で中止するとリトライせずエラーを投げる', async () => {
+      jest.spyOn(global, 'fetch').mockImplementation((url, opts) =>
+        new Promise((resolve, reject) => {
+          opts.signal.addEventListener('abort', () => {
+            const err = new Error('The operation was aborted');
+            err.name = 'AbortError';
+            reject(err);
+          });
+        })
+      );
+      const controller = new AbortController();
+
+      const promise = fetchWithRetry('https://example.com/api', { method: 'POST' }, { signal: controller.signal });
+      controller.abort();
+
+      await expect(promise).rejects.toThrow('中止');
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('中止済みの signal ではリクエストしない', async () => {
+      jest.spyOn(global, 'fetch');
+      const controller = new AbortController();
+      controller.abort();
+
+      await expect(fetchWithRetry('https://example.com/api', { method: 'POST' }, { signal: controller.signal }))
+        .rejects.toThrow('中止');
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
     test('指数バックオフで待機時間が増加する', async () => {
       const mock429 = { ok: false, status: 429, json: async () => ({ error: 'rate limit' }) };
       const mockOk = { ok: true, json: async () => ({ result: 'ok' }) };
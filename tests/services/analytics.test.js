@@ -10,7 +10,7 @@ jest.mock('../../server/db/database', () => {
   };
 });
 
-const { calculateEngagementRate, distributeByHandle, getReplySuggestions, getQuoteSuggestions } = require('../../server/services/analytics');
+const { calculateEngagementRate, calculateVelocityScore, distributeByHandle, getReplySuggestions, getQuoteSuggestions, getHourlyPerformance } = require('../../server/services/analytics');
 const { getDb } = require('../../server/db/database');
 const { getMyRepliedTweetIds } = require('../../server/services/x-api');
 
@@ -109,6 +109,36 @@ describe('analytics', () => {
     });
   });
 
+  describe('calculateVelocityScore', () => {
+    const now = new Date('2026-10-19T12:00:00.000Z');
+
+    test('投稿からの経過時間あたりのエンゲージメントを計算', () => {
+      const metrics = { like_count: 100, retweet_count: 20, reply_count: 10, quote_count: 10, impression_count: 5000 };
+      // 140 engagements over 4 hours
+      expect(calculateVelocityScore(metrics, '2026-10-19T08:00:00.000Z', now)).toBe(35);
+    });
+
+    test('1時間未満のツイートは1時間として扱う', () => {
+      const metrics = { like_count: 30, retweet_count: 0, reply_count: 0, quote_count: 0 };
+      expect(calculateVelocityScore(metrics, '2026-10-19T11:50:00.000Z', now)).toBe(30);
+    });
+
+    test('投稿日時がなければ 0 を返す', () => {
+      expect(calculateVelocityScore({ like_count: 10 }, null, now)).toBe(0);
+    });
+
+    test('前回の計測値があればその時点からの伸びで計算する', () => {
+      const metrics = { like_count: 100, retweet_count: 20, reply_count: 10, quote_count: 10 };
+      const previous = { like_count: 80, retweet_count: 10, reply_count: 10, quote_count: 0 };
+      // 40 engagements over the 2 hours since the previous snapshot
+      expect(calculateVelocityScore(metrics, '2026-10-19T10:00:00.000Z', now, previous)).toBe(20);
+    });
+
+    test('前回より減っていれば 0 を返す', () => {
+      expect(calculateVelocityScore({ like_count: 5 }, '2026-10-19T10:00:00.000Z', now, { like_count: 8 })).toBe(0);
+    });
+  });
+
   describe('distributeByHandle', () => {
     test('同じハンドルのツイートが連続しないようラウンドロビンで分散される', () => {
       const suggestions = [
@@ -179,7 +209,22 @@ describe('analytics', () => {
       jest.clearAllMocks();
     });
 
-    function setupDbMock({ engagedRows = [], competitorIds = [], competitorTweets = [] }) {
+    function setupDbMock({ engagedRows = [], competitorIds = [], competitorTweets = [], monitorIds = [], monitorTweets = [] }) {
+      // Records the filters added last: the velocity ranking's created_at_x
+      // cutoff and the monitors' min_engagement
+      const recentSince = jest.fn();
+      const minEngagementFilter = jest.fn();
+      const result = (data) => {
+        const promise = Promise.resolve({ data, error: null });
+        promise.gte = jest.fn((...args) => { recentSince(...args); return Promise.resolve({ data, error: null }); });
+        promise.or = jest.fn((filter) => { minEngagementFilter(filter); return promise; });
+        return promise;
+      };
+      const order = jest.fn().mockReturnValue({
+        limit: jest.fn().mockReturnValue({
+          in: jest.fn(() => result(competitorTweets))
+        })
+      });
       const mockFrom = jest.fn((table) => {
         if (table === 'my_posts') {
           return {
@@ -204,10 +249,26 @@ describe('analytics', () => {
         if (table === 'competitor_tweets') {
           return {
             select: jest.fn().mockReturnValue({
-              gte: jest.fn().mockReturnValue({
-                order: jest.fn().mockReturnValue({
-                  limit: jest.fn().mockReturnValue({
-                    in: jest.fn().mockResolvedValue({ data: competitorTweets, error: null })
+              gte: jest.fn().mockReturnValue({ order })
+            })
+          };
+        }
+        if (table === 'keyword_monitors') {
+          return {
+            select: jest.fn().mockReturnValue({
+              eq: jest.fn().mockReturnValue({
+                limit: jest.fn().mockResolvedValue({ data: monitorIds.map(id => (typeof id === 'object' ? id : { id })) })
+              })
+            })
+          };
+        }
+        if (table === 'monitor_tweets') {
+          return {
+            select: jest.fn().mockReturnValue({
+              in: jest.fn().mockReturnValue({
+                gte: jest.fn().mockReturnValue({
+                  order: jest.fn().mockReturnValue({
+                    limit: jest.fn(() => result(monitorTweets))
                   })
                 })
               })
@@ -217,9 +278,11 @@ describe('analytics', () => {
         return {
           select: jest.fn().mockReturnThis(),
           eq: jest.fn().mockReturnThis(),
+          limit: jest.fn().mockResolvedValue({ data: [] }),
         };
       });
       getDb.mockReturnValue({ from: mockFrom });
+      return { order, recentSince, minEngagementFilter };
     }
 
     test('手動でリプライ済みのツイートがフィルタされる', async () => {
@@ -334,6 +397,98 @@ describe('analytics', () => {
       expect(suggestions[1].tweet_id).toBe('tweet-4');
       expect(suggestions[2].tweet_id).toBe('tweet-5');
     });
+
+    test('デフォルトではエンゲージメント率順で取得する', async () => {
+      const { order } = setupDbMock({ competitorIds: ['comp-1'] });
+      getMyRepliedTweetIds.mockResolvedValue([]);
+
+      await getReplySuggestions('acc-1');
+      expect(order).toHaveBeenCalledWith('engagement_rate', { ascending: false });
+    });
+
+    test('sortBy: velocity では velocity_score 順で取得する', async () => {
+      const { order } = setupDbMock({ competitorIds: ['comp-1'] });
+      getMyRepliedTweetIds.mockResolvedValue([]);
+
+      await getReplySuggestions('acc-1', { sortBy: 'velocity' });
+      expect(order).toHaveBeenCalledWith('velocity_score', { ascending: false });
+    });
+
+    test('sortBy: velocity ではスナップショット対象の24時間以内のツイートに絞る', async () => {
+      const { recentSince } = setupDbMock({ competitorIds: ['comp-1'], monitorIds: [3] });
+      getMyRepliedTweetIds.mockResolvedValue([]);
+
+      await getReplySuggestions('acc-1', { sortBy: 'velocity' });
+
+      expect(recentSince).toHaveBeenCalledTimes(2);
+      for (const [column, since] of recentSince.mock.calls) {
+        expect(column).toBe('created_at_x');
+        expect(Date.now() - new Date(since).getTime()).toBeCloseTo(24 * 60 * 60 * 1000, -4);
+      }
+    });
+
+    test('エンゲージメント率順では投稿日時で絞らない', async () => {
+      const { recentSince } = setupDbMock({ competitorIds: ['comp-1'], monitorIds: [3] });
+      getMyRepliedTweetIds.mockResolvedValue([]);
+
+      await getReplySuggestions('acc-1');
+      expect(recentSince).not.toHaveBeenCalled();
+    });
+
+    test('キーワード監視で見つけたツイートも候補に含める', async () => {
+      setupDbMock({
+        competitorIds: ['comp-1'],
+        competitorTweets: [
+          { tweet_id: 'tweet-1', text: 'ツイート1', engagement_rate: 5.0, competitors: { handle: 'user1', name: 'User 1' } },
+        ],
+        monitorIds: [3],
+        monitorTweets: [
+          { tweet_id: 'tweet-9', text: '見つけたツイート', engagement_rate: 8.0, author_handle: 'newbie', author_name: 'Newbie', keyword_monitors: { query: '京都' } },
+          { tweet_id: 'tweet-1', text: 'ツイート1', engagement_rate: 5.0, author_handle: 'user1', author_name: 'User 1', keyword_monitors: { query: '京都' } },
+        ]
+      });
+      getMyRepliedTweetIds.mockResolvedValue([]);
+
+      const suggestions = await getReplySuggestions('acc-1');
+      expect(suggestions.map(s => s.tweet_id)).toEqual(['tweet-9', 'tweet-1']);
+      expect(suggestions[0]).toEqual(expect.objectContaining({ handle: 'newbie', source: 'keyword', monitor_query: '京都' }));
+    });
+
+    test('キーワード監視の最低エンゲージメントは監視ごとに読み出し時に適用する', async () => {
+      const { minEngagementFilter } = setupDbMock({
+        competitorIds: ['comp-1'],
+        monitorIds: [{ id: 3, min_engagement: 10 }, { id: 4, min_engagement: 0 }, { id: 5, min_engagement: 10 }]
+      });
+      getMyRepliedTweetIds.mockResolvedValue([]);
+
+      await getReplySuggestions('acc-1');
+
+      expect(minEngagementFilter).toHaveBeenCalledWith(
+        'and(monitor_id.in.(3,5),engagement_count.gte.10),and(monitor_id.in.(4),engagement_count.gte.0)'
+      );
+    });
+
+    test('最低エンゲージメントを設定した監視がなければ絞り込まない', async () => {
+      const { minEngagementFilter } = setupDbMock({ competitorIds: ['comp-1'], monitorIds: [3] });
+      getMyRepliedTweetIds.mockResolvedValue([]);
+
+      await getReplySuggestions('acc-1');
+      expect(minEngagementFilter).not.toHaveBeenCalled();
+    });
+
+    test('競合がいなくてもキーワード監視の候補は返る', async () => {
+      setupDbMock({
+        competitorIds: [],
+        monitorIds: [3],
+        monitorTweets: [
+          { tweet_id: 'tweet-9', text: '見つけたツイート', engagement_rate: 8.0, author_handle: 'newbie', keyword_monitors: { query: '京都' } },
+        ]
+      });
+      getMyRepliedTweetIds.mockResolvedValue([]);
+
+      const suggestions = await getReplySuggestions('acc-1');
+      expect(suggestions.map(s => s.tweet_id)).toEqual(['tweet-9']);
+    });
   });
 
   describe('getQuoteSuggestions', () => {
@@ -379,6 +534,7 @@ describe('analytics', () => {
         return {
           select: jest.fn().mockReturnThis(),
           eq: jest.fn().mockReturnThis(),
+          limit: jest.fn().mockResolvedValue({ data: [] }),
         };
       });
       getDb.mockReturnValue({ from: mockFrom });
@@ -424,4 +580,38 @@ describe('analytics', () => {
       expect(suggestions[0].tweet_id).toBe('tweet-1');
     });
   });
+
+  describe('getHourlyPerformance', () => {
+    function setupTweets(rows) {
+      const chain = {};
+      chain.select = jest.fn(() => chain);
+      chain.not = jest.fn(async () => ({ data: rows, error: null }));
+      getDb.mockReturnValue({ from: jest.fn(() => chain) });
+    }
+
+    test('既定は日本時間の時刻で集計する', async () => {
+      setupTweets([
+        { created_at_x: '2026-01-15T00:30:00Z', engagement_rate: 2 },
+        { created_at_x: '2026-07-15T00:10:00Z', engagement_rate: 4 }
+      ]);
+
+      expect(await getHourlyPerformance()).toEqual([
+        { hour: 9, avg_engagement_rate: 3, post_count: 2 }
+      ]);
+    });
+
+    test('指定タイムゾーンの現地時刻で集計し、夏時間を反映する', async () => {
+      // 14:00 UTC = 9:00 EST (winter) / 10:00 EDT (summer)
+      setupTweets([
+        { created_at_x: '2026-01-15T14:00:00Z', engagement_rate: 2 },
+        { created_at_x: '2026-07-15T14:00:00Z', engagement_rate: 4 },
+        { created_at_x: '2026-07-15T13:00:00Z', engagement_rate: 6 }
+      ]);
+
+      expect(await getHourlyPerformance('America/New_York')).toEqual([
+        { hour: 9, avg_engagement_rate: 4, post_count: 2 },
+        { hour: 10, avg_engagement_rate: 4, post_count: 1 }
+      ]);
+    });
+  });
 });
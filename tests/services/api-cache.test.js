@@ -0,0 +1,252 @@
+// Mock database - every query (or rpc) resolves to the next queued result for its table (or function)
+const mockResults = {};
+const mockCalls = [];
+
+function mockChainFor(table) {
+  const chain = {};
+  const record = (method) => jest.fn((...args) => {
+    mockCalls.push({ table, method, args });
+    return chain;
+  });
+  for (const method of ['select', 'update', 'upsert', 'delete', 'eq', 'neq', 'lt', 'gt', 'gte', 'in', 'order', 'limit']) {
+    chain[method] = record(method);
+  }
+  const next = () => mockNext(table);
+  chain.single = jest.fn(() => Promise.resolve(next()));
+  chain.then = (resolve, reject) => Promise.resolve(next()).then(resolve, reject);
+  return chain;
+}
+
+function mockNext(name) {
+  const queue = mockResults[name] || [];
+  return queue.length > 0 ? queue.shift() : { data: null, error: null };
+}
+
+jest.mock('../../server/db/database', () => ({
+  getDb: jest.fn(() => ({
+    from: jest.fn(table => mockChainFor(table)),
+    rpc: jest.fn((fn, params) => {
+      mockCalls.push({ table: fn, method: 'rpc', args: [params] });
+      return Promise.resolve(mockNext(fn));
+    })
+  }))
+}));
+
+const { MemoryCacheBackend, DbCacheBackend, createCacheBackend } = require('../../server/services/api-cache');
+
+function queue(table, ...results) {
+  mockResults[table] = results;
+}
+
+function callsTo(table, method) {
+  return mockCalls.filter(c => c.table === table && c.method === method);
+}
+
+describe('api-cache', () => {
+  beforeEach(() => {
+    for (const key of Object.keys(mockResults)) delete mockResults[key];
+    mockCalls.length = 0;
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  describe('MemoryCacheBackend', () => {
+    test('ヒットで節約額を加算し、ミスを数える', async () => {
+      const cache = new MemoryCacheBackend();
+      expect(await cache.get('user_by_handle:kyoto_walker')).toBeNull();
+
+      await cache.set('user_by_handle:kyoto_walker', { data: { id: '1' } }, 60000, 0.01);
+      expect(await cache.get('user_by_handle:kyoto_walker')).toEqual({ data: { id: '1' } });
+      await cache.get('user_by_handle:kyoto_walker');
+
+      const stats = await cache.stats();
+      expect(stats.hits).toBe(2);
+      expect(stats.misses).toBe(1);
+      expect(stats.hitRate).toBeCloseTo(66.67, 1);
+      expect(stats.savedUsd).toBeCloseTo(0.02);
+      expect(stats.byType).toEqual([
+        expect.objectContaining({ type: 'user_by_handle', hits: 2, misses: 1 })
+      ]);
+      expect(cache.store.get('user_by_handle:kyoto_walker').hits).toBe(2);
+    });
+
+    test('stats は指定日時以降の日の集計だけを返す', async () => {
+      jest.useFakeTimers();
+      try {
+        const cache = new MemoryCacheBackend();
+        await cache.set('user_tweets:3:100', {}, 10 * 24 * 60 * 60 * 1000, 0.5);
+        // 2026-09-30 20:00 UTC = 2026-10-01 05:00 JST, before the JST month starts counting
+        jest.setSystemTime(new Date('2026-09-30T20:00:00Z'));
+        await cache.get('user_tweets:3:100');
+        jest.setSystemTime(new Date('2026-10-01T03:00:00Z'));
+        await cache.get('user_tweets:3:100');
+        await cache.get('user_tweets:4:100');
+
+        // JST month start: the partial UTC day 09-30 is left out
+        const month = await cache.stats('2026-09-30T15:00:00.000Z');
+        expect(month).toMatchObject({ hits: 1, misses: 1, savedUsd: 0.5 });
+        const utcMonth = await cache.stats('2026-09-30T00:00:00.000Z');
+        expect(utcMonth).toMatchObject({ hits: 2, misses: 1 });
+        expect((await cache.stats()).hits).toBe(2);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    test('TTLを過ぎたエントリはミスとして削除する', async () => {
+      const cache = new MemoryCacheBackend();
+      await cache.set('search_tweets:京都:10', { data: [] }, 1000, 0.01);
+      cache.store.get('search_tweets:京都:10').timestamp -= 2000;
+
+      expect(await cache.get('search_tweets:京都:10')).toBeNull();
+      expect(cache.store.has('search_tweets:京都:10')).toBe(false);
+    });
+
+    test('500件を超えると古いエントリから削除する', async () => {
+      const cache = new MemoryCacheBackend();
+      for (let i = 0; i <= 500; i++) {
+        await cache.set(`user_tweets:${i}:100`, {}, 60000);
+      }
+      expect(cache.store.size).toBe(500);
+      expect(cache.store.has('user_tweets:0:100')).toBe(false);
+    });
+  });
+
+  describe('DbCacheBackend', () => {
+    test('x_api_cache_get で1往復のうちにヒット/ミスを数えてデータを返す', async () => {
+      queue('x_api_cache_get', { data: { data: { id: '1' } }, error: null });
+
+      const cache = new DbCacheBackend();
+      const data = await cache.get('user_by_handle:kyoto_walker');
+
+      expect(data).toEqual({ data: { id: '1' } });
+      expect(callsTo('x_api_cache_get', 'rpc')[0].args[0]).toEqual({
+        p_cache_key: 'user_by_handle:kyoto_walker',
+        p_cache_type: 'user_by_handle'
+      });
+      // Counters are incremented in SQL, never read and written back
+      expect(callsTo('x_api_cache', 'update')).toHaveLength(0);
+      expect(callsTo('x_api_cache_stats', 'upsert')).toHaveLength(0);
+    });
+
+    test('ミスなら null を返す', async () => {
+      queue('x_api_cache_get', { data: null, error: null });
+
+      const cache = new DbCacheBackend();
+      expect(await cache.get('user_tweets:2000000000000000001:100')).toBeNull();
+      expect(callsTo('x_api_cache', 'select')).toHaveLength(0);
+    });
+
+    test('関数が無ければ期限内の行を数えずに返す', async () => {
+      queue('x_api_cache_get', { data: null, error: { message: 'function x_api_cache_get does not exist' } });
+      queue('x_api_cache', { data: { data: { data: [] } } });
+
+      const cache = new DbCacheBackend();
+      expect(await cache.get('search_tweets:京都:10')).toEqual({ data: [] });
+      expect(callsTo('x_api_cache', 'gt')[0].args[0]).toBe('expires_at');
+      expect(callsTo('x_api_cache', 'update')).toHaveLength(0);
+    });
+
+    test('DBエラーはミス扱いで例外を投げない', async () => {
+      const { getDb } = require('../../server/db/database');
+      getDb.mockImplementationOnce(() => { throw new Error('connection refused'); });
+
+      const cache = new DbCacheBackend();
+      await expect(cache.get('user_by_handle:kyoto_walker')).resolves.toBeNull();
+    });
+
+    test('保存時に期限切れ行を削除し、上限を超えた分を古い順に削除する', async () => {
+      queue('x_api_cache',
+        { error: null },                                  // upsert
+        { error: null },                                  // delete expired
+        { count: 2002, error: null },                     // count
+        { data: [{ cache_key: 'a' }, { cache_key: 'b' }] }, // oldest rows
+        { error: null }                                   // delete oldest
+      );
+
+      const cache = new DbCacheBackend();
+      await cache.set('search_tweets:京都:10', { data: [] }, 30 * 60 * 1000, 0.01);
+
+      const row = callsTo('x_api_cache', 'upsert')[0].args[0];
+      expect(row).toEqual(expect.objectContaining({
+        cache_key: 'search_tweets:京都:10',
+        cache_type: 'search_tweets',
+        cost_usd: 0.01,
+        hits: 0
+      }));
+      expect(callsTo('x_api_cache', 'lt')[0].args[0]).toBe('expires_at');
+      expect(callsTo('x_api_cache', 'limit')[0].args[0]).toBe(2);
+      expect(callsTo('x_api_cache', 'in')[0].args).toEqual(['cache_key', ['a', 'b']]);
+    });
+
+    test('削除は一定間隔ごとにしか行わない', async () => {
+      queue('x_api_cache', { error: null }, { error: null }, { count: 10, error: null }, { error: null });
+
+      const cache = new DbCacheBackend();
+      await cache.set('user_tweets:1:100', {}, 60000);
+      await cache.set('user_tweets:2:100', {}, 60000);
+
+      expect(callsTo('x_api_cache', 'upsert')).toHaveLength(2);
+      expect(callsTo('x_api_cache', 'delete')).toHaveLength(1);
+
+      cache.lastEvictAt -= 10 * 60 * 1000;
+      await cache.set('user_tweets:3:100', {}, 60000);
+      expect(callsTo('x_api_cache', 'delete')).toHaveLength(2);
+    });
+
+    test('stats は日別集計を種類ごとに合算する', async () => {
+      queue('x_api_cache_stats', {
+        data: [
+          { cache_type: 'user_tweets', hits: 3, misses: 1, saved_usd: 0.3 },
+          { cache_type: 'user_tweets', hits: 1, misses: 3, saved_usd: 0.1 },
+          { cache_type: 'search_tweets', hits: 0, misses: 2, saved_usd: 0 }
+        ],
+        error: null
+      });
+
+      const cache = new DbCacheBackend();
+      const stats = await cache.stats('2026-10-01T00:00:00.000Z');
+
+      expect(callsTo('x_api_cache_stats', 'gte')[0].args).toEqual(['stat_date', '2026-10-01']);
+      expect(stats.hits).toBe(4);
+      expect(stats.misses).toBe(6);
+      expect(stats.hitRate).toBeCloseTo(40);
+      expect(stats.savedUsd).toBeCloseTo(0.4);
+      expect(stats.byType.find(t => t.type === 'user_tweets').hitRate).toBeCloseTo(50);
+    });
+
+    test('月初が UTC の日の途中なら、前月分を含まないよう翌日から集計する', async () => {
+      queue('x_api_cache_stats', { data: [], error: null });
+
+      await new DbCacheBackend().stats('2026-09-30T15:00:00.000Z');
+
+      expect(callsTo('x_api_cache_stats', 'gte')[0].args).toEqual(['stat_date', '2026-10-01']);
+    });
+  });
+
+  describe('createCacheBackend', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...originalEnv };
+    });
+
+    test('X_API_CACHE_BACKEND で切り替える', () => {
+      process.env.X_API_CACHE_BACKEND = 'database';
+      expect(createCacheBackend().name).toBe('database');
+      process.env.X_API_CACHE_BACKEND = 'memory';
+      expect(createCacheBackend().name).toBe('memory');
+    });
+
+    test('未指定なら Vercel 上ではDB、それ以外はメモリ', () => {
+      delete process.env.X_API_CACHE_BACKEND;
+      delete process.env.VERCEL;
+      expect(createCacheBackend().name).toBe('memory');
+      process.env.VERCEL = '1';
+      expect(createCacheBackend().name).toBe('database');
+    });
+  });
+});
@@ -20,6 +20,7 @@ jest.mock('../../server/db/database', () => {
 // Mock x-api
 jest.mock('../../server/services/x-api', () => ({
   postTweet: jest.fn().mockResolvedValue({ data: { id: 'tweet-123' } }),
+  postThread: jest.fn().mockResolvedValue({ data: { id: 'tweet-123', ids: ['tweet-123', 'tweet-124'] } }),
   logApiUsage: jest.fn().mockResolvedValue(undefined)
 }));
 
@@ -37,6 +38,7 @@ jest.mock('../../server/services/ai-provider', () => ({
   getAIProvider: jest.fn(() => ({
     generateTweets: mockGenerateTweets
   })),
+  findProviderForModel: jest.fn(() => null),
   AIProvider: jest.fn().mockImplementation(() => ({
     getTaskModelSettings: jest.fn().mockResolvedValue({ preferredProvider: 'claude' })
   }))
@@ -66,10 +68,36 @@ jest.mock('../../server/services/tweet-improver', () => ({
   buildPerformanceContextBlock: jest.fn().mockResolvedValue('')
 }));
 
+// Mock evergreen pool
+const mockPickDueEvergreenPosts = jest.fn().mockResolvedValue([]);
+const mockMarkEvergreenQueued = jest.fn().mockResolvedValue(undefined);
+const mockRewriteForRepost = jest.fn();
+jest.mock('../../server/services/evergreen', () => ({
+  pickDueEvergreenPosts: (...args) => mockPickDueEvergreenPosts(...args),
+  markEvergreenQueued: (...args) => mockMarkEvergreenQueued(...args),
+  rewriteForRepost: (...args) => mockRewriteForRepost(...args),
+  DEFAULT_MIN_GAP_DAYS: 30
+}));
+
+// Mock posting queue (no slots unless a test sets them)
+const mockAllocateQueueSlots = jest.fn().mockResolvedValue([]);
+jest.mock('../../server/services/post-queue', () => ({
+  allocateQueueSlots: (...args) => mockAllocateQueueSlots(...args)
+}));
+
+// Blackout matching is real; the pause and the rules come from the tests
+const mockGetPostingPause = jest.fn().mockResolvedValue({ paused: false });
+const mockLoadActiveBlackouts = jest.fn().mockResolvedValue([]);
+jest.mock('../../server/services/posting-blackout', () => ({
+  ...jest.requireActual('../../server/services/posting-blackout'),
+  getPostingPause: (...args) => mockGetPostingPause(...args),
+  loadActiveBlackouts: (...args) => mockLoadActiveBlackouts(...args)
+}));
+
 const { logAutoPostExecution, isTimeInWindow, isDeletedTweetError, getJSTNow, buildStyleInstruction, checkAndRunAutoPosts, pickAvailableCategory, buildCategoryConstraintBlock, SCHEDULE_WINDOW_MINUTES, JST_OFFSET_HOURS } = require('../../server/services/auto-poster');
 const { getDb } = require('../../server/db/database');
 const { getReplySuggestions } = require('../../server/services/analytics');
-const { postTweet } = require('../../server/services/x-api');
+const { postTweet, postThread } = require('../../server/services/x-api');
 
 describe('auto-poster', () => {
   describe('getJSTNow', () => {
@@ -234,10 +262,11 @@ describe('auto-poster', () => {
 
   describe('checkAndRunAutoPosts（結合テスト）', () => {
     // Helper: create a mock DB that returns the given settings on select, tracks update/insert calls
-    function setupMockDb(settings) {
+    function setupMockDb(settings, tables = {}) {
       const insertCalls = [];
       const updateCalls = [];
       const mockFrom = jest.fn((table) => {
+        if (tables[table]) return tables[table]();
         if (table === 'auto_post_settings') {
           return {
             select: jest.fn().mockReturnValue({
@@ -296,6 +325,163 @@ describe('auto-poster', () => {
       });
     });
 
+    test('schedule_times はアカウントのタイムゾーンの現地時刻として照合する（夏時間）', async () => {
+      jest.useFakeTimers();
+      // 2026-07-01 12:50 UTC = 08:50 EDT (21:50 JST)
+      jest.setSystemTime(new Date('2026-07-01T12:50:00Z'));
+
+      getReplySuggestions.mockResolvedValue([
+        { tweet_id: 'tw-1', text: 'ターゲットツイート', handle: 'rival' }
+      ]);
+
+      const account = { display_name: 'Test', handle: 'test', default_ai_provider: 'claude' };
+      const { updateCalls } = setupMockDb([
+        {
+          id: 'setting-us',
+          account_id: 'account-us',
+          post_type: 'reply',
+          enabled: true,
+          schedule_times: '08:50',
+          posts_per_day: 1,
+          schedule_mode: 'immediate',
+          last_run_date: null,
+          last_run_times: '',
+          x_accounts: { ...account, timezone: 'America/New_York' }
+        },
+        {
+          id: 'setting-jp',
+          account_id: 'account-jp',
+          post_type: 'reply',
+          enabled: true,
+          schedule_times: '08:50',
+          posts_per_day: 1,
+          schedule_mode: 'immediate',
+          last_run_date: null,
+          last_run_times: '',
+          x_accounts: { ...account, timezone: 'Asia/Tokyo' }
+        }
+      ]);
+
+      await checkAndRunAutoPosts();
+
+      expect(updateCalls).toHaveLength(1);
+      expect(updateCalls[0].data).toEqual({
+        last_run_date: '2026-07-01',
+        last_run_times: '08:50'
+      });
+    });
+
+    test('hold の投稿停止ルールの時間帯に入った枠は生成せずにスキップし、実行済みとして記録する', async () => {
+      jest.useFakeTimers();
+      jest.setSystemTime(new Date('2026-02-18T11:50:00Z'));
+      mockGenerateTweets.mockClear();
+      mockLoadActiveBlackouts.mockResolvedValueOnce([
+        { id: 1, account_id: 'account-1', kind: 'daily', start_time: '20:00', end_time: '22:00', action: 'hold', enabled: true }
+      ]);
+
+      const { updateCalls, insertCalls } = setupMockDb([{
+        id: 'setting-new',
+        account_id: 'account-1',
+        post_type: 'new',
+        enabled: true,
+        schedule_times: '20:50',
+        posts_per_day: 1,
+        schedule_mode: 'immediate',
+        themes: 'AI',
+        last_run_date: null,
+        last_run_times: '',
+        x_accounts: { display_name: 'Test', handle: 'test', default_ai_provider: 'claude' }
+      }]);
+
+      await checkAndRunAutoPosts();
+
+      expect(mockGenerateTweets).not.toHaveBeenCalled();
+      expect(insertCalls.filter(c => c.table === 'my_posts')).toHaveLength(0);
+      expect(updateCalls).toEqual([{
+        table: 'auto_post_settings', data: { last_run_date: '2026-02-18', last_run_times: '20:50' }
+      }]);
+    });
+
+    test('shift の投稿停止ルールの時間帯に入った枠は生成し、明けた時刻から間隔をあけて予約する', async () => {
+      jest.useFakeTimers();
+      jest.setSystemTime(new Date('2026-02-18T11:50:00Z'));
+      mockGenerateTweets.mockClear();
+      postTweet.mockClear();
+      mockLoadActiveBlackouts.mockResolvedValueOnce([
+        { id: 1, account_id: 'account-1', kind: 'daily', start_time: '20:00', end_time: '22:00', action: 'shift', enabled: true }
+      ]);
+
+      const { updateCalls, insertCalls } = setupMockDb([{
+        id: 'setting-new',
+        account_id: 'account-1',
+        post_type: 'new',
+        enabled: true,
+        schedule_times: '20:50',
+        posts_per_day: 2,
+        schedule_mode: 'immediate',
+        themes: 'AI',
+        last_run_date: null,
+        last_run_times: '',
+        x_accounts: { display_name: 'Test', handle: 'test', default_ai_provider: 'claude' }
+      }]);
+
+      await checkAndRunAutoPosts();
+
+      expect(mockGenerateTweets).toHaveBeenCalledTimes(1);
+      expect(postTweet).not.toHaveBeenCalled();
+      // 22:00 JST, then 10 minutes later
+      const postInserts = insertCalls.filter(c => c.table === 'my_posts').map(c => c.data);
+      expect(postInserts).toEqual([
+        expect.objectContaining({ status: 'scheduled', scheduled_at: '2026-02-18T13:00:00.000Z' }),
+        expect.objectContaining({ status: 'scheduled', scheduled_at: '2026-02-18T13:10:00.000Z' })
+      ]);
+      expect(updateCalls).toEqual([{
+        table: 'auto_post_settings', data: { last_run_date: '2026-02-18', last_run_times: '20:50' }
+      }]);
+    });
+
+    test('shift で延期するときは投稿停止ルールの時間帯にかかるキュー枠を使わない', async () => {
+      jest.useFakeTimers();
+      jest.setSystemTime(new Date('2026-02-18T11:50:00Z'));
+      mockLoadActiveBlackouts.mockResolvedValueOnce([
+        { id: 1, account_id: 'account-1', kind: 'daily', start_time: '20:00', end_time: '22:00', action: 'shift', enabled: true }
+      ]);
+      mockAllocateQueueSlots
+        .mockResolvedValueOnce([{ slotId: 5, at: '2026-02-18T12:30:00.000Z', name: '21:30' }])
+        .mockResolvedValueOnce([{ slotId: 6, at: '2026-02-18T23:00:00.000Z', name: '08:00' }]);
+
+      const { insertCalls } = setupMockDb([{
+        id: 'setting-new',
+        account_id: 'account-1',
+        post_type: 'new',
+        enabled: true,
+        schedule_times: '20:50',
+        posts_per_day: 2,
+        schedule_mode: 'scheduled',
+        themes: 'AI',
+        last_run_date: null,
+        last_run_times: '',
+        x_accounts: { display_name: 'Test', handle: 'test', default_ai_provider: 'claude' }
+      }]);
+
+      await checkAndRunAutoPosts();
+
+      const postInserts = insertCalls.filter(c => c.table === 'my_posts').map(c => c.data);
+      expect(postInserts[0]).toMatchObject({ status: 'scheduled', scheduled_at: '2026-02-18T13:00:00.000Z' });
+      expect(postInserts[0]).not.toHaveProperty('queue_slot_id');
+      expect(postInserts[1]).toMatchObject({ status: 'scheduled', scheduled_at: '2026-02-18T23:00:00.000Z', queue_slot_id: 6 });
+    });
+
+    test('緊急停止中は設定を読まずに何もしない', async () => {
+      mockGetPostingPause.mockResolvedValueOnce({ paused: true, reason: '障害対応' });
+      const mockFrom = jest.fn();
+      getDb.mockReturnValue({ from: mockFrom });
+
+      await checkAndRunAutoPosts();
+
+      expect(mockFrom).not.toHaveBeenCalled();
+    });
+
     test('UTC 11:50 (= JST 20:50) で schedule_times "20:50" の新規ツイート設定が実行される', async () => {
       jest.useFakeTimers();
       jest.setSystemTime(new Date('2026-02-18T11:50:00Z'));
@@ -598,6 +784,347 @@ describe('auto-poster', () => {
       expect(updateCalls).toHaveLength(1);
       expect(updateCalls[0].data.last_run_times).toBe('09:00,13:00');
     });
+
+    describe('文面チェック', () => {
+      const immediateSetting = {
+        id: 'setting-lint',
+        account_id: 'account-1',
+        post_type: 'new',
+        enabled: true,
+        schedule_times: '20:50',
+        posts_per_day: 2,
+        schedule_mode: 'immediate',
+        themes: 'AI',
+        last_run_date: null,
+        last_run_times: '',
+        x_accounts: { display_name: 'Test', handle: 'test', default_ai_provider: 'claude' }
+      };
+      const lintPolicy = (policy) => ({
+        x_accounts: () => ({
+          select: () => ({ eq: () => ({ single: () => Promise.resolve({ data: { lint_policy: policy }, error: null }) }) })
+        })
+      });
+
+      beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(new Date('2026-02-18T11:50:00Z'));
+        postTweet.mockClear();
+        mockGenerateTweets.mockResolvedValueOnce({
+          provider: 'claude',
+          model: 'claude-sonnet-4-20250514',
+          candidates: [
+            { text: '浅草を案内した #東京観光' },
+            { text: '問題のない投稿' }
+          ]
+        });
+      });
+
+      test('違反した案は即時投稿せず違反内容つきの下書きに回す', async () => {
+        const { insertCalls } = setupMockDb([immediateSetting], lintPolicy('draft'));
+
+        await checkAndRunAutoPosts();
+
+        expect(postTweet).toHaveBeenCalledTimes(1);
+        expect(postTweet).toHaveBeenCalledWith('問題のない投稿', { accountId: 'account-1' });
+        const postInserts = insertCalls.filter(c => c.table === 'my_posts');
+        const draft = postInserts.find(c => c.data.status === 'draft');
+        expect(draft.data.text).toBe('浅草を案内した #東京観光');
+        expect(draft.data.lint_violations).toEqual([{ rule: 'hashtag', matches: ['#東京観光'] }]);
+        expect(postInserts.find(c => c.data.status === 'posted').data).not.toHaveProperty('lint_violations');
+      });
+
+      test('block ポリシーでは違反した案を保存せずに破棄する', async () => {
+        const { insertCalls } = setupMockDb([immediateSetting], lintPolicy('block'));
+
+        await checkAndRunAutoPosts();
+
+        const postInserts = insertCalls.filter(c => c.table === 'my_posts');
+        expect(postInserts).toHaveLength(1);
+        expect(postInserts[0].data.text).toBe('問題のない投稿');
+        const log = insertCalls.find(c => c.table === 'auto_post_logs');
+        expect(log.data.status).toBe('partial');
+        expect(log.data.error_message).toContain('文面チェック違反');
+      });
+
+      test('off ポリシーではチェックしない', async () => {
+        const { insertCalls } = setupMockDb([immediateSetting], lintPolicy('off'));
+
+        await checkAndRunAutoPosts();
+
+        expect(postTweet).toHaveBeenCalledTimes(2);
+        expect(insertCalls.filter(c => c.table === 'my_posts' && c.data.status === 'draft')).toHaveLength(0);
+      });
+    });
+
+    describe('類似投稿チェック', () => {
+      const RAIMON = '浅草の雷門前、朝8時。アメリカから来たゲストが「提灯が思ったより大きい」と笑った。写真より実物、これはガイドをやっていて毎回思う。';
+      const RAIMON_RETOLD = '朝8時の雷門。アメリカ人のゲストが提灯を見上げて「写真で見るより大きいね」と笑っていた。実物の迫力は写真では伝わらない。';
+      const SILENCE = '英語ガイドで大事なのは語彙力より間の取り方。沈黙を怖がらない方が伝わる。';
+      const ONIGIRI = '外国人ゲストに一番驚かれるのは、コンビニのおにぎりの包装。開け方を教えると毎回盛り上がる。';
+      const setting = {
+        id: 'setting-dup',
+        account_id: 'account-1',
+        post_type: 'new',
+        enabled: true,
+        schedule_times: '20:50',
+        posts_per_day: 2,
+        schedule_mode: 'immediate',
+        themes: 'ガイド',
+        last_run_date: null,
+        last_run_times: '',
+        x_accounts: { display_name: 'Test', handle: 'test', default_ai_provider: 'claude' }
+      };
+      // my_posts: recent posts for the similarity check, inserts recorded
+      const withHistory = (posts, postInserts) => ({
+        my_posts: () => {
+          const chain = {
+            select: () => chain,
+            eq: () => chain,
+            in: () => chain,
+            order: () => chain,
+            limit: () => Promise.resolve({ data: posts, error: null }),
+            insert: (data) => {
+              postInserts.push(data);
+              return Promise.resolve({ error: null });
+            }
+          };
+          return chain;
+        }
+      });
+
+      beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(new Date('2026-02-18T11:50:00Z'));
+        postTweet.mockClear();
+        mockGenerateTweets.mockClear();
+      });
+
+      test('過去投稿の言い換えは破棄し、話題を避けるよう指示して再生成する', async () => {
+        mockGenerateTweets
+          .mockResolvedValueOnce({ provider: 'claude', model: 'm', candidates: [{ text: RAIMON_RETOLD }, { text: SILENCE }] })
+          .mockResolvedValueOnce({ provider: 'claude', model: 'm', candidates: [{ text: ONIGIRI }] });
+        const postInserts = [];
+        setupMockDb([setting], withHistory([{ id: 41, text: RAIMON, thread_parts: null }], postInserts));
+
+        await checkAndRunAutoPosts();
+
+        expect(mockGenerateTweets).toHaveBeenCalledTimes(2);
+        const retryPrompt = mockGenerateTweets.mock.calls[1][1].customPrompt;
+        expect(retryPrompt).toContain('過去投稿と同じエピソード');
+        expect(retryPrompt).toContain(RAIMON.slice(0, 20));
+        expect(postTweet.mock.calls.map(c => c[0])).toEqual([SILENCE, ONIGIRI]);
+        expect(postInserts[0].similarity).toEqual({ score: expect.any(Number), post_id: 41, method: 'tfidf' });
+      });
+
+      test('再生成しても似ている案は破棄して実行ログに残す', async () => {
+        mockGenerateTweets
+          .mockResolvedValueOnce({ provider: 'claude', model: 'm', candidates: [{ text: RAIMON_RETOLD }, { text: SILENCE }] })
+          .mockResolvedValueOnce({ provider: 'claude', model: 'm', candidates: [{ text: RAIMON }] });
+        const postInserts = [];
+        const { insertCalls } = setupMockDb([setting], withHistory([{ id: 41, text: RAIMON, thread_parts: null }], postInserts));
+
+        await checkAndRunAutoPosts();
+
+        expect(postTweet).toHaveBeenCalledTimes(1);
+        const log = insertCalls.find(c => c.table === 'auto_post_logs');
+        expect(log.data.status).toBe('partial');
+        expect(log.data.error_message).toContain('類似投稿のため破棄');
+      });
+    });
+
+    describe('エバーグリーン再投稿', () => {
+      const ENTRY = { id: 7, account_id: 'account-1', text: '浅草寺の朝は観光客より地元の人が多い。', thread_parts: null, repost_count: 2 };
+      const setting = {
+        id: 'setting-evergreen',
+        account_id: 'account-1',
+        post_type: 'evergreen',
+        enabled: true,
+        schedule_times: '20:50',
+        posts_per_day: 1,
+        schedule_mode: 'scheduled',
+        evergreen_min_gap_days: 45,
+        evergreen_rewrite: false,
+        last_run_date: null,
+        last_run_times: '',
+        x_accounts: { display_name: 'Test', handle: 'test', default_ai_provider: 'claude' }
+      };
+
+      beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(new Date('2026-02-18T11:50:00Z'));
+        postTweet.mockClear();
+        mockGenerateTweets.mockClear();
+        mockPickDueEvergreenPosts.mockReset().mockResolvedValue([ENTRY]);
+        mockMarkEvergreenQueued.mockClear();
+        mockRewriteForRepost.mockReset();
+      });
+
+      test('最短間隔を過ぎた投稿をそのまま予約し、スケジューラーに投稿を任せる', async () => {
+        const { insertCalls } = setupMockDb([setting]);
+
+        await checkAndRunAutoPosts();
+
+        expect(mockPickDueEvergreenPosts).toHaveBeenCalledWith('account-1', 1, 45);
+        const inserted = insertCalls.find(c => c.table === 'my_posts').data;
+        expect(inserted).toMatchObject({
+          account_id: 'account-1',
+          text: ENTRY.text,
+          post_type: 'new',
+          status: 'scheduled',
+          evergreen_post_id: 7
+        });
+        expect(new Date(inserted.scheduled_at).getTime()).toBeGreaterThan(Date.now());
+        expect(mockMarkEvergreenQueued).toHaveBeenCalledWith(ENTRY, new Date(inserted.scheduled_at));
+        expect(postTweet).not.toHaveBeenCalled();
+        expect(mockGenerateTweets).not.toHaveBeenCalled();
+        const log = insertCalls.find(c => c.table === 'auto_post_logs').data;
+        expect(log).toMatchObject({ post_type: 'evergreen', posts_scheduled: 1, status: 'success' });
+      });
+
+      test('キューの枠があれば次の空き枠に予約する', async () => {
+        mockAllocateQueueSlots.mockResolvedValueOnce([{ at: '2026-02-19T00:00:00.000Z', slotId: 4, name: '朝の枠' }]);
+        const { insertCalls } = setupMockDb([setting]);
+
+        await checkAndRunAutoPosts();
+
+        expect(mockAllocateQueueSlots).toHaveBeenCalledWith('account-1', 'new');
+        const inserted = insertCalls.find(c => c.table === 'my_posts').data;
+        expect(inserted).toMatchObject({ scheduled_at: '2026-02-19T00:00:00.000Z', queue_slot_id: 4 });
+        expect(mockMarkEvergreenQueued).toHaveBeenCalledWith(ENTRY, new Date('2026-02-19T00:00:00.000Z'));
+      });
+
+      test('即時投稿モードでも予約として今の時刻で登録する', async () => {
+        const { insertCalls } = setupMockDb([{ ...setting, schedule_mode: 'immediate' }]);
+
+        await checkAndRunAutoPosts();
+
+        const inserted = insertCalls.find(c => c.table === 'my_posts').data;
+        expect(inserted.status).toBe('scheduled');
+        expect(inserted.scheduled_at).toBe('2026-02-18T11:50:00.000Z');
+        expect(postTweet).not.toHaveBeenCalled();
+      });
+
+      test('書き直しが有効なら AI で書き直した文面を予約する', async () => {
+        mockRewriteForRepost.mockResolvedValue({
+          candidate: { text: '朝の浅草寺にいるのは、観光客より近所の人。' },
+          provider: 'claude',
+          model: 'claude-sonnet-4-20250514'
+        });
+        const { insertCalls } = setupMockDb([{ ...setting, evergreen_rewrite: true }]);
+
+        await checkAndRunAutoPosts();
+
+        expect(mockRewriteForRepost).toHaveBeenCalledWith(ENTRY, { provider: 'claude', model: undefined });
+        const inserted = insertCalls.find(c => c.table === 'my_posts').data;
+        expect(inserted).toMatchObject({
+          text: '朝の浅草寺にいるのは、観光客より近所の人。',
+          ai_provider: 'claude',
+          evergreen_post_id: 7
+        });
+      });
+
+      test('書き直しに失敗した投稿は予約せず実行ログに残す', async () => {
+        mockRewriteForRepost.mockRejectedValue(new Error('書き直し案が生成されませんでした'));
+        const { insertCalls } = setupMockDb([{ ...setting, evergreen_rewrite: true }]);
+
+        await checkAndRunAutoPosts();
+
+        expect(insertCalls.filter(c => c.table === 'my_posts')).toHaveLength(0);
+        expect(mockMarkEvergreenQueued).not.toHaveBeenCalled();
+        const log = insertCalls.find(c => c.table === 'auto_post_logs').data;
+        expect(log.status).toBe('failed');
+        expect(log.error_message).toContain('エバーグリーン #7');
+      });
+
+      test('再投稿できる投稿がなければ何も登録しない', async () => {
+        mockPickDueEvergreenPosts.mockResolvedValue([]);
+        const { insertCalls } = setupMockDb([setting]);
+
+        await checkAndRunAutoPosts();
+
+        expect(insertCalls.filter(c => c.table === 'my_posts')).toHaveLength(0);
+        const log = insertCalls.find(c => c.table === 'auto_post_logs').data;
+        expect(log).toMatchObject({ post_type: 'evergreen', posts_generated: 0, status: 'success' });
+      });
+    });
+
+    test('上限を超える案は即時投稿時にスレッドへ分割する', async () => {
+      jest.useFakeTimers();
+      jest.setSystemTime(new Date('2026-02-18T11:50:00Z'));
+      postTweet.mockClear();
+      postThread.mockClear();
+      mockGenerateTweets.mockResolvedValueOnce({
+        provider: 'claude',
+        model: 'claude-sonnet-4-20250514',
+        candidates: [{ text: 'あ'.repeat(200) }]
+      });
+
+      const { insertCalls } = setupMockDb([{
+        id: 'setting-long',
+        account_id: 'account-1',
+        post_type: 'new',
+        enabled: true,
+        schedule_times: '20:50',
+        posts_per_day: 1,
+        schedule_mode: 'immediate',
+        themes: 'AI',
+        last_run_date: null,
+        last_run_times: '',
+        x_accounts: { display_name: 'Test', handle: 'test', default_ai_provider: 'claude' }
+      }]);
+
+      await checkAndRunAutoPosts();
+
+      expect(postTweet).not.toHaveBeenCalled();
+      expect(postThread).toHaveBeenCalledWith(['あ'.repeat(140), 'あ'.repeat(60)], { accountId: 'account-1' });
+      const posted = insertCalls.find(c => c.table === 'my_posts').data;
+      expect(posted.text).toBe('あ'.repeat(140));
+      expect(posted.thread_parts).toEqual(['あ'.repeat(140), 'あ'.repeat(60)]);
+      expect(posted).not.toHaveProperty('lint_violations');
+    });
+
+    test('即時投稿のスレッドが途中で失敗したら、投稿済みのパートを予約投稿として残して再開させる', async () => {
+      jest.useFakeTimers();
+      jest.setSystemTime(new Date('2026-02-18T11:50:00Z'));
+      const err = new Error('X API error 503');
+      err.postedIds = ['tw-1'];
+      err.failedIndex = 1;
+      postThread.mockRejectedValueOnce(err);
+      mockGenerateTweets.mockResolvedValueOnce({
+        provider: 'claude',
+        model: 'claude-sonnet-4-20250514',
+        candidates: [{ text: 'あ'.repeat(200) }]
+      });
+
+      const { insertCalls } = setupMockDb([{
+        id: 'setting-long',
+        account_id: 'account-1',
+        post_type: 'new',
+        enabled: true,
+        schedule_times: '20:50',
+        posts_per_day: 1,
+        schedule_mode: 'immediate',
+        themes: 'AI',
+        last_run_date: null,
+        last_run_times: '',
+        x_accounts: { display_name: 'Test', handle: 'test', default_ai_provider: 'claude' }
+      }]);
+
+      await checkAndRunAutoPosts();
+
+      const saved = insertCalls.find(c => c.table === 'my_posts').data;
+      expect(saved).toMatchObject({
+        account_id: 'account-1',
+        status: 'scheduled',
+        tweet_id: 'tw-1',
+        thread_tweet_ids: ['tw-1'],
+        thread_parts: ['あ'.repeat(140), 'あ'.repeat(60)],
+        scheduled_at: '2026-02-18T11:55:00.000Z',
+        error_message: 'スレッド 2/2 件目で失敗: X API error 503'
+      });
+      const log = insertCalls.find(c => c.table === 'auto_post_logs').data;
+      expect(log.error_message).toContain('X API error 503');
+    });
   });
 
   describe('logAutoPostExecution', () => {
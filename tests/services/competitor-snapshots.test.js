@@ -0,0 +1,139 @@
+// Mock x-api (must be before requiring the module)
+jest.mock('../../server/services/x-api', () => ({
+  getTweetMetrics: jest.fn().mockResolvedValue([]),
+  checkXApiBudget: jest.fn().mockResolvedValue({ overBudget: false }),
+  waitForRateLimit: jest.fn().mockResolvedValue(true)
+}));
+
+// Mock database
+jest.mock('../../server/db/database', () => {
+  return {
+    getDb: jest.fn()
+  };
+});
+
+jest.mock('../../server/services/app-logger', () => ({
+  logError: jest.fn()
+}));
+
+const { snapshotCompetitorMetrics } = require('../../server/services/competitor-snapshots');
+const { getTweetMetrics, checkXApiBudget, waitForRateLimit } = require('../../server/services/x-api');
+const { getDb } = require('../../server/db/database');
+
+describe('competitor-snapshots', () => {
+  describe('snapshotCompetitorMetrics', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+    });
+
+    // Recent competitor tweets for the select; records updates and snapshot inserts
+    function setupDbMock(recentTweets) {
+      const calls = { update: [], insert: [] };
+      const mockFrom = jest.fn((table) => {
+        if (table === 'competitor_tweets') {
+          return {
+            select: jest.fn().mockReturnValue({
+              gte: jest.fn().mockResolvedValue({ data: recentTweets, error: null })
+            }),
+            update: jest.fn((row) => {
+              calls.update.push(row);
+              return { eq: jest.fn().mockResolvedValue({ error: null }) };
+            })
+          };
+        }
+        if (table === 'competitor_tweet_snapshots') {
+          return {
+            insert: jest.fn((rows) => {
+              calls.insert.push(rows);
+              return Promise.resolve({ error: null });
+            })
+          };
+        }
+        return {};
+      });
+      getDb.mockReturnValue({ from: mockFrom });
+      return calls;
+    }
+
+    const hoursAgo = (h) => new Date(Date.now() - h * 60 * 60 * 1000).toISOString();
+
+    test('直近ツイートのメトリクスを記録し velocity_score を更新する', async () => {
+      const calls = setupDbMock([
+        { id: 1, tweet_id: 't-1', created_at_x: hoursAgo(2), competitors: { account_id: 10 } },
+        { id: 2, tweet_id: 't-2', created_at_x: hoursAgo(10), competitors: { account_id: 10 } }
+      ]);
+      getTweetMetrics.mockResolvedValueOnce([
+        { id: 't-1', public_metrics: { like_count: 90, retweet_count: 10, reply_count: 0, quote_count: 0, impression_count: 4000 } },
+        { id: 't-2', public_metrics: { like_count: 50, retweet_count: 0, reply_count: 0, quote_count: 0, impression_count: 2000 } }
+      ]);
+
+      const result = await snapshotCompetitorMetrics();
+
+      expect(getTweetMetrics).toHaveBeenCalledWith(['t-1', 't-2'], 10);
+      expect(result).toEqual({ recorded: 2 });
+      expect(calls.update[0].velocity_score).toBeCloseTo(50, 0);
+      expect(calls.update[1].velocity_score).toBeCloseTo(5, 0);
+      expect(calls.insert[0].map(s => s.tweet_id)).toEqual(['t-1', 't-2']);
+      expect(calls.insert[0][0]).toEqual(expect.objectContaining({ like_count: 90, impression_count: 4000 }));
+    });
+
+    test('前回の計測があればそこからの伸びで velocity_score を計算する', async () => {
+      const calls = setupDbMock([
+        {
+          id: 1, tweet_id: 't-1', created_at_x: hoursAgo(6), competitors: { account_id: 10 },
+          like_count: 200, retweet_count: 20, reply_count: 0, quote_count: 0, metrics_updated_at: hoursAgo(2)
+        }
+      ]);
+      getTweetMetrics.mockResolvedValueOnce([
+        { id: 't-1', public_metrics: { like_count: 206, retweet_count: 22, reply_count: 0, quote_count: 0, impression_count: 9000 } }
+      ]);
+
+      await snapshotCompetitorMetrics();
+
+      // 8 engagements in the last 2 hours, not 228 over 6 hours
+      expect(calls.update[0].velocity_score).toBeCloseTo(4, 0);
+      expect(calls.insert[0][0].velocity_score).toBeCloseTo(4, 0);
+    });
+
+        test('競合ごとのアカウントの認証情報で取得する', async () => {
+      setupDbMock([
+        { id: 1, tweet_id: 't-1', created_at_x: hoursAgo(1), competitors: { account_id: 10 } },
+        { id: 2, tweet_id: 't-2', created_at_x: hoursAgo(1), competitors: { account_id: 20 } }
+      ]);
+
+      await snapshotCompetitorMetrics();
+
+      expect(getTweetMetrics).toHaveBeenCalledWith(['t-1'], 10);
+      expect(getTweetMetrics).toHaveBeenCalledWith(['t-2'], 20);
+    });
+
+    test('予算超過時は取得しない', async () => {
+      setupDbMock([{ id: 1, tweet_id: 't-1', created_at_x: hoursAgo(1), competitors: { account_id: 10 } }]);
+      checkXApiBudget.mockResolvedValueOnce({ overBudget: true });
+
+      const result = await snapshotCompetitorMetrics();
+
+      expect(result).toEqual({ recorded: 0, reason: 'budget_exceeded' });
+      expect(getTweetMetrics).not.toHaveBeenCalled();
+    });
+
+    test('レート制限の枠がなければ次回に延期する', async () => {
+      setupDbMock([{ id: 1, tweet_id: 't-1', created_at_x: hoursAgo(1), competitors: { account_id: 10 } }]);
+      waitForRateLimit.mockResolvedValueOnce(false);
+
+      const result = await snapshotCompetitorMetrics();
+
+      expect(result).toEqual({ recorded: 0, deferred: 1, reason: 'rate_limited' });
+      expect(getTweetMetrics).not.toHaveBeenCalled();
+    });
+
+    test('直近のツイートがなければ何もしない', async () => {
+      setupDbMock([]);
+
+      const result = await snapshotCompetitorMetrics();
+
+      expect(result).toEqual({ recorded: 0 });
+      expect(checkXApiBudget).not.toHaveBeenCalled();
+    });
+  });
+});
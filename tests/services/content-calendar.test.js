@@ -0,0 +1,151 @@
+jest.mock('../../server/db/database', () => ({
+  getDb: jest.fn()
+}));
+
+const { getCalendar, expandAutoPostSlots, findScheduleConflicts } = require('../../server/services/content-calendar');
+const { getDb } = require('../../server/db/database');
+
+// Thenable query chain; resolve(table, calls) picks the result for each query
+function setupDb(resolve) {
+  const queries = [];
+  getDb.mockReturnValue({
+    from: jest.fn((table) => {
+      const calls = [];
+      const chain = {};
+      for (const method of ['select', 'eq', 'neq', 'in', 'gt', 'gte', 'lt', 'order', 'limit']) {
+        chain[method] = jest.fn((...args) => {
+          calls.push([method, ...args]);
+          return chain;
+        });
+      }
+      chain.then = (onFulfilled, onRejected) => Promise.resolve(resolve(table, calls)).then(onFulfilled, onRejected);
+      queries.push({ table, calls });
+      return chain;
+    })
+  });
+  return queries;
+}
+
+const hasCall = (calls, ...expected) => calls.some(c => JSON.stringify(c) === JSON.stringify(expected));
+
+const SETTING = {
+  id: 3, account_id: 'acc-1', post_type: 'new', enabled: true,
+  schedule_times: '09:00, 21:30', schedule_mode: 'scheduled'
+};
+
+describe('content-calendar', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('expandAutoPostSlots', () => {
+    test('JST の投稿時刻を日ごとのスロットに展開する', () => {
+      // 2026-03-01 00:00 JST から 2日間
+      const slots = expandAutoPostSlots([SETTING], new Date('2026-02-28T15:00:00Z'), new Date('2026-03-02T15:00:00Z'));
+
+      expect(slots.map(s => s.at)).toEqual([
+        '2026-03-01T00:00:00.000Z',
+        '2026-03-01T12:30:00.000Z',
+        '2026-03-02T00:00:00.000Z',
+        '2026-03-02T12:30:00.000Z'
+      ]);
+      expect(slots[0]).toEqual({
+        at: '2026-03-01T00:00:00.000Z', accountId: 'acc-1', postType: 'new',
+        settingId: 3, scheduleMode: 'scheduled', time: '09:00'
+      });
+    });
+
+    test('範囲外の時刻と無効な設定は含めない', () => {
+      const slots = expandAutoPostSlots(
+        [SETTING, { ...SETTING, id: 4, enabled: false }, { ...SETTING, id: 5, schedule_times: 'xx' }],
+        new Date('2026-03-01T06:00:00Z'),
+        new Date('2026-03-01T18:00:00Z')
+      );
+      expect(slots.map(s => [s.settingId, s.at])).toEqual([[3, '2026-03-01T12:30:00.000Z']]);
+    });
+
+    test('アカウントのタイムゾーンで展開し、夏時間の切り替え後も同じ現地時刻に置く', () => {
+      // America/New_York switches to EDT on 2026-03-08
+      const setting = { ...SETTING, schedule_times: '09:00', x_accounts: { timezone: 'America/New_York' } };
+      const slots = expandAutoPostSlots([setting], new Date('2026-03-07T05:00:00Z'), new Date('2026-03-09T04:00:00Z'));
+
+      expect(slots.map(s => s.at)).toEqual(['2026-03-07T14:00:00.000Z', '2026-03-08T13:00:00.000Z']);
+    });
+  });
+
+  describe('getCalendar', () => {
+    test('予約・投稿済みを日時順に、下書きとスロットを別に返す', async () => {
+      const queries = setupDb((table, calls) => {
+        if (table === 'auto_post_settings') return { data: [SETTING], error: null };
+        if (hasCall(calls, 'eq', 'status', 'posted')) {
+          return { data: [{ id: 1, text: '投稿済み', status: 'posted', posted_at: '2026-03-01T03:00:00Z', x_accounts: { handle: 'guide' } }], error: null };
+        }
+        if (hasCall(calls, 'eq', 'status', 'draft')) {
+          return { data: [{ id: 3, text: '下書き', status: 'draft' }], error: null };
+        }
+        return { data: [{ id: 2, text: '予約', status: 'scheduled', scheduled_at: '2026-03-01T01:00:00Z' }], error: null };
+      });
+
+      const result = await getCalendar({
+        accountId: 'acc-1', from: new Date('2026-02-28T15:00:00Z'), to: new Date('2026-03-01T15:00:00Z')
+      });
+
+      expect(result.posts.map(p => [p.id, p.at])).toEqual([[2, '2026-03-01T01:00:00Z'], [1, '2026-03-01T03:00:00Z']]);
+      expect(result.posts[1].account_handle).toBe('guide');
+      expect(result.drafts).toEqual([expect.objectContaining({ id: 3, at: null })]);
+      expect(result.slots).toHaveLength(2);
+      const postQueries = queries.filter(q => q.table === 'my_posts');
+      expect(postQueries.every(q => hasCall(q.calls, 'eq', 'account_id', 'acc-1'))).toBe(true);
+      expect(hasCall(postQueries[0].calls, 'in', 'status', ['scheduled', 'failed'])).toBe(true);
+      expect(hasCall(postQueries[0].calls, 'gte', 'scheduled_at', '2026-02-28T15:00:00.000Z')).toBe(true);
+    });
+
+    test('クエリが失敗した場合は例外を投げる', async () => {
+      setupDb(() => ({ data: null, error: new Error('db down') }));
+
+      await expect(getCalendar({ from: new Date('2026-03-01T00:00:00Z'), to: new Date('2026-03-02T00:00:00Z') }))
+        .rejects.toThrow('db down');
+    });
+  });
+
+  describe('findScheduleConflicts', () => {
+    test('前後の予約と即時投稿スロットを衝突として返す', async () => {
+      const queries = setupDb((table) => (table === 'auto_post_settings'
+        ? { data: [{ ...SETTING, schedule_mode: 'immediate' }], error: null }
+        : { data: [{ id: 9, text: '別の予約', scheduled_at: '2026-03-01T00:20:00Z' }], error: null }));
+
+      const conflicts = await findScheduleConflicts({
+        accountId: 'acc-1', scheduledAt: '2026-03-01T00:10:00.000Z', excludeId: '8'
+      });
+
+      expect(conflicts).toEqual([
+        { type: 'post', id: 9, text: '別の予約', at: '2026-03-01T00:20:00Z' },
+        { type: 'slot', at: '2026-03-01T00:00:00.000Z', postType: 'new' }
+      ]);
+      const { calls } = queries.find(q => q.table === 'my_posts');
+      expect(hasCall(calls, 'gt', 'scheduled_at', '2026-02-28T23:40:00.000Z')).toBe(true);
+      expect(hasCall(calls, 'lt', 'scheduled_at', '2026-03-01T00:40:00.000Z')).toBe(true);
+      expect(hasCall(calls, 'neq', 'id', '8')).toBe(true);
+    });
+
+    test('予約投稿モードのスロットは衝突に含めない', async () => {
+      setupDb((table) => (table === 'auto_post_settings'
+        ? { data: [SETTING], error: null }
+        : { data: [], error: null }));
+
+      const conflicts = await findScheduleConflicts({ accountId: 'acc-1', scheduledAt: '2026-03-01T00:10:00.000Z' });
+
+      expect(conflicts).toEqual([]);
+    });
+
+    test('ちょうど30分離れたスロットは衝突としない', async () => {
+      setupDb((table) => (table === 'auto_post_settings'
+        ? { data: [{ ...SETTING, schedule_mode: 'immediate' }], error: null }
+        : { data: [], error: null }));
+
+      const conflicts = await findScheduleConflicts({ accountId: 'acc-1', scheduledAt: '2026-03-01T00:30:00.000Z' });
+
+      expect(conflicts).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+jest.mock('../../server/db/database', () => ({
+  getDb: jest.fn()
+}));
+
+const { lintText, lintPost, formatViolations, getLintContext } = require('../../server/services/content-linter');
+const { getDb } = require('../../server/db/database');
+
+function setupDbMock(tables) {
+  getDb.mockReturnValue({
+    from: jest.fn((table) => {
+      const chain = {
+        select: jest.fn(() => chain),
+        eq: jest.fn(() => chain),
+        single: jest.fn(async () => tables[table] || { data: null, error: null })
+      };
+      return chain;
+    })
+  });
+}
+
+const rulesOf = (violations) => violations.map(v => v.rule);
+
+describe('content-linter', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('lintText', () => {
+    test('問題のない文面は違反なし', () => {
+      expect(lintText('浅草で案内したお客さんが、雷門より先に裏通りの煎餅屋に並んだ。')).toEqual([]);
+    });
+
+    test('絵文字を検出する', () => {
+      expect(lintText('最高の一日でした😊')).toEqual([{ rule: 'emoji', matches: ['😊'] }]);
+    });
+
+    test('装飾記号を検出し、絵文字と重複して報告しない', () => {
+      expect(lintText('【結論】★大事なこと → 早起き')).toEqual([
+        { rule: 'decoration', matches: ['【', '】', '★', '→'] }
+      ]);
+    });
+
+    test('ハッシュタグを全角の＃も含めて検出する', () => {
+      const violations = lintText('今日のツアー #浅草 ＃東京観光');
+      expect(violations).toEqual([{ rule: 'hashtag', matches: ['#浅草', '＃東京観光'] }]);
+    });
+
+    test('単語の途中の # はハッシュタグとみなさない', () => {
+      expect(lintText('C#で書いたツールを使っている')).toEqual([]);
+    });
+
+    test('出さないプラットフォーム名を大文字小文字を区別せず検出する', () => {
+      const violations = lintText('guruwalkで知り合ったお客さん', { hiddenPlatforms: ['GuruWalk'] });
+      expect(violations).toEqual([{ rule: 'platform', matches: ['GuruWalk'] }]);
+    });
+
+    test('使わない語句を検出する', () => {
+      const violations = lintText('これは神レシピです', { bannedWords: ['神レシピ', '激うま'] });
+      expect(violations).toEqual([{ rule: 'banned_word', matches: ['神レシピ'] }]);
+    });
+
+    test('保険表現を検出し、重なる表現は長い方だけを報告する', () => {
+      const violations = lintText('一概には言えませんが、混むかもしれません');
+      expect(violations).toEqual([{ rule: 'hedge', matches: ['かもしれません', '一概には言えません'] }]);
+    });
+
+    test('X の重み付き文字数が280を超えると検出する', () => {
+      expect(lintText('あ'.repeat(140))).toEqual([]);
+      expect(lintText('あ'.repeat(141))).toEqual([{ rule: 'length', matches: ['282/280'] }]);
+    });
+  });
+
+  describe('lintPost', () => {
+    test('スレッドは各パートをチェックし、パート番号を付ける', () => {
+      const violations = lintPost({
+        text: '1つ目',
+        threadParts: ['1つ目', '2つ目 #浅草', '3つ目😊']
+      });
+      expect(violations).toEqual([
+        { rule: 'hashtag', matches: ['#浅草'], part: 2 },
+        { rule: 'emoji', matches: ['😊'], part: 3 }
+      ]);
+    });
+
+    test('off ポリシーではチェックしない', () => {
+      expect(lintPost({ text: '#浅草😊' }, { policy: 'off' })).toEqual([]);
+    });
+  });
+
+  test('formatViolations は違反を1行の日本語にまとめる', () => {
+    expect(formatViolations([
+      { rule: 'emoji', matches: ['😊'] },
+      { rule: 'hashtag', matches: ['#浅草', '#東京'], part: 2 }
+    ])).toBe('絵文字（😊）、[2] ハッシュタグ（#浅草、#東京）');
+  });
+
+  describe('getLintContext', () => {
+    test('アカウントのポリシーとペルソナの語句リストを返す', async () => {
+      setupDbMock({
+        x_accounts: { data: { lint_policy: 'block' }, error: null },
+        persona_profiles: {
+          data: { name: 'みさき', banned_words: ['激うま'], hidden_platforms: ['cookpad'] },
+          error: null
+        }
+      });
+
+      await expect(getLintContext('account-1')).resolves.toEqual({
+        policy: 'block',
+        hiddenPlatforms: ['cookpad'],
+        bannedWords: ['激うま']
+      });
+    });
+
+    test('ポリシーが読めない場合は draft、ペルソナはデフォルトを使う', async () => {
+      getDb.mockImplementation(() => { throw new Error('column "lint_policy" does not exist'); });
+
+      const context = await getLintContext('account-1');
+
+      expect(context.policy).toBe('draft');
+      expect(context.hiddenPlatforms).toContain('GuruWalk');
+    });
+  });
+});
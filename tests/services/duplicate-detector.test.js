@@ -0,0 +1,170 @@
+jest.mock('../../server/db/database', () => ({
+  getDb: jest.fn()
+}));
+jest.mock('../../server/services/app-logger', () => ({
+  logWarn: jest.fn()
+}));
+
+const { checkDuplicates, toSimilarityRecord, formatSimilarity } = require('../../server/services/duplicate-detector');
+const { getDb } = require('../../server/db/database');
+const { logWarn } = require('../../server/services/app-logger');
+
+const RAIMON = '浅草の雷門前、朝8時。アメリカから来たゲストが「提灯が思ったより大きい」と笑った。写真より実物、これはガイドをやっていて毎回思う。';
+const RAIMON_RETOLD = '朝8時の雷門。アメリカ人のゲストが提灯を見上げて「写真で見るより大きいね」と笑っていた。実物の迫力は写真では伝わらない。';
+const SILENCE = '英語ガイドで大事なのは語彙力より間の取り方。沈黙を怖がらない方が伝わる。';
+
+function setupHistory(posts, error = null) {
+  const chain = {
+    select: jest.fn(() => chain),
+    eq: jest.fn(() => chain),
+    in: jest.fn(() => chain),
+    order: jest.fn(() => chain),
+    limit: jest.fn(async () => ({ data: posts, error }))
+  };
+  getDb.mockReturnValue({ from: jest.fn(() => chain) });
+  return chain;
+}
+
+describe('duplicate-detector', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('直近の投稿済み・予約済みの投稿と比較する', async () => {
+    const chain = setupHistory([{ id: 41, text: RAIMON, thread_parts: null }]);
+
+    const [retold, fresh] = await checkDuplicates('acc-1', [RAIMON_RETOLD, SILENCE], { limit: 20 });
+
+    expect(chain.in).toHaveBeenCalledWith('status', ['posted', 'scheduled']);
+    expect(chain.limit).toHaveBeenCalledWith(20);
+    expect(retold).toMatchObject({ postId: 41, text: RAIMON, method: 'tfidf', duplicate: true });
+    expect(fresh.duplicate).toBe(false);
+    expect(fresh.score).toBeLessThan(0.25);
+  });
+
+  test('同時に生成した案同士の重複も検出する', async () => {
+    setupHistory([]);
+
+    const [first, second] = await checkDuplicates('acc-1', [RAIMON, RAIMON.replace('朝8時', '朝9時')]);
+
+    expect(first.duplicate).toBe(false);
+    expect(second).toMatchObject({ postId: null, text: RAIMON, duplicate: true });
+  });
+
+  test('スレッドの投稿は全パートをつなげて比較する', async () => {
+    setupHistory([{ id: 7, text: '1つ目', thread_parts: ['1つ目', RAIMON] }]);
+
+    const [result] = await checkDuplicates('acc-1', [RAIMON]);
+
+    expect(result).toMatchObject({ postId: 7, duplicate: true });
+  });
+
+  test('プロバイダーの埋め込みがあればそれを使う', async () => {
+    setupHistory([{ id: 1, text: '過去の投稿' }]);
+    const provider = { embed: jest.fn().mockResolvedValue([[1, 0], [0.9, 0.1]]) };
+
+    const [result] = await checkDuplicates('acc-1', ['新しい案'], { provider });
+
+    expect(provider.embed).toHaveBeenCalledWith(['新しい案', '過去の投稿'], { accountId: 'acc-1' });
+    expect(result).toMatchObject({ method: 'embedding', postId: 1, score: 0.99, duplicate: true });
+  });
+
+  test('埋め込み済みの投稿はキャッシュを使い、新しい投稿だけ埋め込んで保存する', async () => {
+    const history = {
+      select: jest.fn(() => history),
+      eq: jest.fn(() => history),
+      in: jest.fn(() => history),
+      order: jest.fn(() => history),
+      limit: jest.fn(async () => ({ data: [{ id: 1, text: '過去の投稿' }, { id: 2, text: '新しい投稿' }, { id: 3, text: '編集した投稿' }], error: null }))
+    };
+    const hash = (text) => require('crypto').createHash('sha256').update(text).digest('hex');
+    const cache = {
+      select: jest.fn(() => cache),
+      eq: jest.fn(() => cache),
+      in: jest.fn(async () => ({
+        data: [
+          { post_id: 1, text_hash: hash('過去の投稿'), embedding: [1, 0] },
+          { post_id: 3, text_hash: hash('編集前の投稿'), embedding: [0, 1] }
+        ],
+        error: null
+      })),
+      upsert: jest.fn(async () => ({ error: null }))
+    };
+    getDb.mockReturnValue({ from: jest.fn(table => (table === 'post_embeddings' ? cache : history)) });
+    const provider = {
+      embeddingModel: () => 'openai/text-embedding-3-small',
+      embed: jest.fn().mockResolvedValue([[0.9, 0.1], [0, 1], [0.5, 0.5]])
+    };
+
+    const [result] = await checkDuplicates('acc-1', ['新しい案'], { provider });
+
+    expect(cache.eq).toHaveBeenCalledWith('model', 'openai/text-embedding-3-small');
+    expect(cache.in).toHaveBeenCalledWith('post_id', [1, 2, 3]);
+    expect(provider.embed).toHaveBeenCalledWith(['新しい案', '新しい投稿', '編集した投稿'], { accountId: 'acc-1' });
+    expect(cache.upsert).toHaveBeenCalledWith([
+      { post_id: 2, model: 'openai/text-embedding-3-small', text_hash: hash('新しい投稿'), embedding: [0, 1] },
+      { post_id: 3, model: 'openai/text-embedding-3-small', text_hash: hash('編集した投稿'), embedding: [0.5, 0.5] }
+    ], { onConflict: 'post_id,model' });
+    expect(result).toMatchObject({ method: 'embedding', postId: 1, score: 0.99, duplicate: true });
+  });
+
+  test('埋め込みキャッシュを読めなくても全件を埋め込んで判定する', async () => {
+    const history = {
+      select: jest.fn(() => history),
+      eq: jest.fn(() => history),
+      in: jest.fn(() => history),
+      order: jest.fn(() => history),
+      limit: jest.fn(async () => ({ data: [{ id: 1, text: '過去の投稿' }], error: null }))
+    };
+    const cache = {
+      select: jest.fn(() => cache),
+      eq: jest.fn(() => cache),
+      in: jest.fn(async () => ({ data: null, error: { message: 'relation "post_embeddings" does not exist' } })),
+      upsert: jest.fn(async () => ({ error: { message: 'relation "post_embeddings" does not exist' } }))
+    };
+    getDb.mockReturnValue({ from: jest.fn(table => (table === 'post_embeddings' ? cache : history)) });
+    const provider = { embeddingModel: () => 'gemini/text-embedding-004', embed: jest.fn().mockResolvedValue([[1, 0], [0, 1]]) };
+
+    const [result] = await checkDuplicates('acc-1', ['新しい案'], { provider });
+
+    expect(provider.embed).toHaveBeenCalledWith(['新しい案', '過去の投稿'], { accountId: 'acc-1' });
+    expect(result).toMatchObject({ method: 'embedding', duplicate: false });
+    expect(logWarn).toHaveBeenCalledWith('system', expect.stringContaining('キャッシュ'), expect.any(Object));
+  });
+
+  test('埋め込みに対応しないプロバイダーはローカル計算になる', async () => {
+    setupHistory([{ id: 1, text: SILENCE }]);
+    const provider = { embed: jest.fn().mockResolvedValue(null) };
+
+    const [result] = await checkDuplicates('acc-1', [SILENCE], { provider });
+
+    expect(result).toMatchObject({ method: 'tfidf', score: 1, duplicate: true });
+    expect(logWarn).not.toHaveBeenCalled();
+  });
+
+  test('埋め込みの取得に失敗したらローカル計算に切り替えて記録する', async () => {
+    setupHistory([{ id: 1, text: SILENCE }]);
+    const provider = { embed: jest.fn().mockRejectedValue(new Error('API error 404')) };
+
+    const [result] = await checkDuplicates('acc-1', [RAIMON], { provider });
+
+    expect(result.method).toBe('tfidf');
+    expect(logWarn).toHaveBeenCalledWith('ai', expect.stringContaining('ローカル'), expect.objectContaining({ error: 'API error 404' }));
+  });
+
+  test('履歴を取得できない場合はすべて通す', async () => {
+    setupHistory(null, { message: 'relation does not exist' });
+
+    const results = await checkDuplicates('acc-1', [RAIMON]);
+
+    expect(results).toEqual([{ score: null, postId: null, text: null, method: null, duplicate: false }]);
+  });
+
+  test('保存用のレコードと表示用の文言', () => {
+    const result = { score: 0.42, postId: 41, text: RAIMON, method: 'tfidf', duplicate: false };
+    expect(toSimilarityRecord(result)).toEqual({ score: 0.42, post_id: 41, method: 'tfidf' });
+    expect(toSimilarityRecord({ score: null })).toBeNull();
+    expect(formatSimilarity(result)).toBe('類似度42%（投稿 #41）');
+    expect(formatSimilarity({ ...result, postId: null })).toBe('類似度42%（同時に生成した案）');
+  });
+});
@@ -0,0 +1,152 @@
+jest.mock('../../server/db/database', () => ({
+  getDb: jest.fn()
+}));
+
+const mockRegenerateWithFeedback = jest.fn();
+jest.mock('../../server/services/feedback-regenerator', () => ({
+  regenerateWithFeedback: (...args) => mockRegenerateWithFeedback(...args)
+}));
+
+const {
+  addEvergreenPost, pickDueEvergreenPosts, markEvergreenQueued, rewriteForRepost, REWRITE_FEEDBACK
+} = require('../../server/services/evergreen');
+const { getDb } = require('../../server/db/database');
+
+// Chainable query; `result` is what awaiting (or .single()) returns
+function chainFor(result) {
+  const chain = {};
+  for (const method of ['select', 'insert', 'update', 'delete', 'eq', 'or', 'order', 'limit']) {
+    chain[method] = jest.fn(() => chain);
+  }
+  chain.single = jest.fn(async () => result);
+  chain.then = (onFulfilled, onRejected) => Promise.resolve(result).then(onFulfilled, onRejected);
+  return chain;
+}
+
+function setupTables(tables) {
+  const chains = {};
+  getDb.mockReturnValue({
+    from: jest.fn((table) => {
+      chains[table] = chainFor(tables[table]);
+      return chains[table];
+    })
+  });
+  return chains;
+}
+
+const POSTED = {
+  id: 41, account_id: 1, text: '浅草寺の朝は観光客より地元の人が多い。', thread_parts: null,
+  status: 'posted', posted_at: '2026-01-10T00:00:00Z'
+};
+
+describe('evergreen', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('addEvergreenPost', () => {
+    test('投稿済みの投稿を文面ごとコピーして追加し、元の投稿日時から間隔を数える', async () => {
+      const chains = setupTables({
+        my_posts: { data: POSTED, error: null },
+        evergreen_posts: { data: { id: 7 }, error: null }
+      });
+
+      const entry = await addEvergreenPost(41);
+
+      expect(entry).toEqual({ id: 7 });
+      expect(chains.evergreen_posts.insert).toHaveBeenCalledWith({
+        account_id: 1,
+        source_post_id: 41,
+        text: POSTED.text,
+        thread_parts: null,
+        last_queued_at: '2026-01-10T00:00:00Z'
+      });
+    });
+
+    test('投稿済みでない投稿は追加できない', async () => {
+      setupTables({ my_posts: { data: { ...POSTED, status: 'scheduled' }, error: null } });
+
+      await expect(addEvergreenPost(41)).rejects.toThrow('投稿済みの投稿だけを追加できます');
+    });
+
+    test('追加済みの投稿はエラーにする', async () => {
+      setupTables({
+        my_posts: { data: POSTED, error: null },
+        evergreen_posts: { data: null, error: { code: '23505', message: 'duplicate key' } }
+      });
+
+      await expect(addEvergreenPost(41)).rejects.toThrow('すでにエバーグリーンに追加されています');
+    });
+  });
+
+  describe('pickDueEvergreenPosts', () => {
+    test('最短間隔を過ぎた有効な投稿を、長く待っている順に取得する', async () => {
+      const chains = setupTables({ evergreen_posts: { data: [{ id: 7 }], error: null } });
+
+      const entries = await pickDueEvergreenPosts(1, 2, 30, new Date('2026-03-01T00:00:00Z'));
+
+      expect(entries).toEqual([{ id: 7 }]);
+      const chain = chains.evergreen_posts;
+      expect(chain.eq).toHaveBeenCalledWith('enabled', true);
+      expect(chain.or).toHaveBeenCalledWith('last_queued_at.is.null,last_queued_at.lte.2026-01-30T00:00:00.000Z');
+      expect(chain.order).toHaveBeenCalledWith('last_queued_at', { ascending: true, nullsFirst: true });
+      expect(chain.limit).toHaveBeenCalledWith(2);
+    });
+  });
+
+  describe('markEvergreenQueued', () => {
+    test('再投稿の日時と回数を記録する', async () => {
+      const chains = setupTables({ evergreen_posts: { error: null } });
+
+      await markEvergreenQueued({ id: 7, repost_count: 2 }, new Date('2026-03-01T03:00:00Z'));
+
+      expect(chains.evergreen_posts.update).toHaveBeenCalledWith({
+        last_queued_at: '2026-03-01T03:00:00.000Z',
+        repost_count: 3
+      });
+      expect(chains.evergreen_posts.eq).toHaveBeenCalledWith('id', 7);
+    });
+  });
+
+  describe('rewriteForRepost', () => {
+    const ENTRY = { id: 7, account_id: 1, text: POSTED.text, thread_parts: null };
+
+    test('再生成フローで書き直し、元と同じ文面の案は使わない', async () => {
+      mockRegenerateWithFeedback.mockResolvedValue({
+        provider: 'gemini',
+        model: 'gemini-2.5-flash',
+        candidates: [{ text: POSTED.text }, { text: '朝の浅草寺にいるのは、観光客より近所の人。' }]
+      });
+
+      const result = await rewriteForRepost(ENTRY, { provider: 'gemini', model: 'gemini-2.5-flash' });
+
+      expect(mockRegenerateWithFeedback).toHaveBeenCalledWith({
+        originalText: POSTED.text,
+        feedback: REWRITE_FEEDBACK,
+        postType: 'new',
+        provider: 'gemini',
+        model: 'gemini-2.5-flash',
+        accountId: 1
+      });
+      expect(result).toEqual({
+        candidate: { text: '朝の浅草寺にいるのは、観光客より近所の人。' },
+        provider: 'gemini',
+        model: 'gemini-2.5-flash'
+      });
+    });
+
+    test('スレッドは全パートをつなげて渡す', async () => {
+      mockRegenerateWithFeedback.mockResolvedValue({ candidates: [{ text: '書き直し' }] });
+
+      await rewriteForRepost({ ...ENTRY, thread_parts: ['1つ目', '2つ目'] });
+
+      expect(mockRegenerateWithFeedback.mock.calls[0][0].originalText).toBe('1つ目\n2つ目');
+    });
+
+    test('使える案がなければ例外を投げる', async () => {
+      mockRegenerateWithFeedback.mockResolvedValue({ candidates: [{ text: POSTED.text }] });
+
+      await expect(rewriteForRepost(ENTRY)).rejects.toThrow('書き直し案が生成されませんでした');
+    });
+  });
+});
@@ -2,7 +2,8 @@
 jest.mock('../../server/services/x-api', () => ({
   getTweetMetrics: jest.fn().mockResolvedValue([]),
   getOwnProfile: jest.fn().mockResolvedValue(null),
-  checkXApiBudget: jest.fn().mockResolvedValue({ overBudget: false })
+  checkXApiBudget: jest.fn().mockResolvedValue({ overBudget: false }),
+  waitForRateLimit: jest.fn().mockResolvedValue(true)
 }));
 
 // Mock database
@@ -17,7 +18,8 @@ jest.mock('../../server/services/analytics', () => ({
   calculateEngagementRate: jest.fn().mockReturnValue(0)
 }));
 
-const { getOwnPostsPerformance } = require('../../server/services/growth-analytics');
+const { getOwnPostsPerformance, refreshOwnPostMetrics } = require('../../server/services/growth-analytics');
+const { getTweetMetrics, waitForRateLimit } = require('../../server/services/x-api');
 const { getDb } = require('../../server/db/database');
 
 describe('growth-analytics', () => {
@@ -154,4 +156,50 @@ describe('growth-analytics', () => {
       expect(result).toEqual([]);
     });
   });
+
+  describe('refreshOwnPostMetrics', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+    });
+
+    function setupPostsMock(posts) {
+      const updateEq = jest.fn().mockResolvedValue({ error: null });
+      const query = {
+        select: jest.fn().mockReturnThis(),
+        eq: jest.fn().mockReturnThis(),
+        not: jest.fn().mockReturnThis(),
+        update: jest.fn().mockReturnValue({ eq: updateEq }),
+        then: (resolve) => resolve({ data: posts })
+      };
+      getDb.mockReturnValue({ from: jest.fn(() => query) });
+      return query;
+    }
+
+    function makePosts(count) {
+      return Array.from({ length: count }, (_, i) => ({ id: i + 1, tweet_id: `t-${i + 1}`, account_id: 1 }));
+    }
+
+    test('100件ずつレート制限を確認しながら取得する', async () => {
+      setupPostsMock(makePosts(150));
+      getTweetMetrics.mockImplementation(async (ids) => ids.map(id => ({ id, public_metrics: { like_count: 1 } })));
+
+      const result = await refreshOwnPostMetrics(1);
+
+      expect(waitForRateLimit).toHaveBeenCalledTimes(2);
+      expect(waitForRateLimit).toHaveBeenCalledWith('GET /2/tweets', 1, { pace: true });
+      expect(getTweetMetrics.mock.calls.map(c => c[0].length)).toEqual([100, 50]);
+      expect(result).toEqual({ updated: 150 });
+    });
+
+    test('レート制限のウィンドウを使い切った場合は残りを次回に持ち越す', async () => {
+      setupPostsMock(makePosts(150));
+      getTweetMetrics.mockImplementation(async (ids) => ids.map(id => ({ id, public_metrics: {} })));
+      waitForRateLimit.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+      const result = await refreshOwnPostMetrics(1);
+
+      expect(getTweetMetrics).toHaveBeenCalledTimes(1);
+      expect(result).toEqual({ updated: 100, deferred: 50, reason: 'rate_limited' });
+    });
+  });
 });
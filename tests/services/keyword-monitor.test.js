@@ -0,0 +1,291 @@
+// Mock x-api (must be before requiring the module)
+jest.mock('../../server/services/x-api', () => ({
+  searchRecentTweets: jest.fn(),
+  getTweetMetrics: jest.fn().mockResolvedValue([]),
+  checkXApiBudget: jest.fn().mockResolvedValue({ overBudget: false }),
+  waitForRateLimit: jest.fn().mockResolvedValue(true)
+}));
+
+// Mock database
+jest.mock('../../server/db/database', () => {
+  return {
+    getDb: jest.fn()
+  };
+});
+
+jest.mock('../../server/services/app-logger', () => ({
+  logError: jest.fn(),
+  logWarn: jest.fn()
+}));
+
+const {
+  buildMonitorQuery, isMonitorDue, runKeywordMonitor, runDueKeywordMonitors, refreshMonitorTweetMetrics
+} = require('../../server/services/keyword-monitor');
+const { searchRecentTweets, getTweetMetrics, checkXApiBudget, waitForRateLimit } = require('../../server/services/x-api');
+const { getDb } = require('../../server/db/database');
+
+// Monitors for the list query and recent monitor tweets for the refresh query;
+// records monitor_tweets upserts/updates and keyword_monitors updates
+function setupDbMock(monitors = [], recentTweets = []) {
+  const calls = { upsert: [], update: [], tweetUpdate: [] };
+  const mockFrom = jest.fn((table) => {
+    if (table === 'keyword_monitors') {
+      return {
+        select: jest.fn().mockReturnValue({
+          eq: jest.fn().mockResolvedValue({ data: monitors, error: null })
+        }),
+        update: jest.fn((row) => {
+          calls.update.push(row);
+          return { eq: jest.fn().mockResolvedValue({ error: null }) };
+        })
+      };
+    }
+    if (table === 'monitor_tweets') {
+      return {
+        select: jest.fn().mockReturnValue({
+          gte: jest.fn().mockResolvedValue({ data: recentTweets, error: null })
+        }),
+        upsert: jest.fn((rows) => {
+          calls.upsert.push(rows);
+          return Promise.resolve({ error: null });
+        }),
+        update: jest.fn((row) => {
+          calls.tweetUpdate.push(row);
+          return { eq: jest.fn().mockResolvedValue({ error: null }) };
+        })
+      };
+    }
+    return {};
+  });
+  getDb.mockReturnValue({ from: mockFrom });
+  return calls;
+}
+
+const tweet = (id, authorId, likes) => ({
+  id, author_id: authorId, text: `tweet ${id}`, created_at: new Date().toISOString(),
+  public_metrics: { like_count: likes, retweet_count: 0, reply_count: 0, quote_count: 0, impression_count: 1000 }
+});
+
+describe('keyword-monitor', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('buildMonitorQuery', () => {
+    test('言語指定を付け、リツイートとリプライを除外する', () => {
+      expect(buildMonitorQuery({ query: ' 京都 観光 ', language: 'ja' }))
+        .toBe('京都 観光 lang:ja -is:retweet -is:reply');
+    });
+
+    test('言語未指定なら lang: を付けない', () => {
+      expect(buildMonitorQuery({ query: 'kyoto' })).toBe('kyoto -is:retweet -is:reply');
+    });
+  });
+
+  describe('isMonitorDue', () => {
+    const now = new Date('2026-10-19T12:00:00.000Z');
+
+    test('一度も実行していなければ対象', () => {
+      expect(isMonitorDue({ interval_hours: 6, last_run_at: null }, now)).toBe(true);
+    });
+
+    test('interval_hours が経過するまでは対象外', () => {
+      expect(isMonitorDue({ interval_hours: 6, last_run_at: '2026-10-19T07:00:00.000Z' }, now)).toBe(false);
+      expect(isMonitorDue({ interval_hours: 6, last_run_at: '2026-10-19T06:00:00.000Z' }, now)).toBe(true);
+    });
+  });
+
+  describe('runKeywordMonitor', () => {
+    const monitor = { id: 3, account_id: 1, query: '京都', language: 'ja', min_engagement: 10, newest_tweet_id: '100' };
+
+    test('since_id 以降を検索し、最低エンゲージメント未満も含めてすべて保存する', async () => {
+      const calls = setupDbMock();
+      searchRecentTweets.mockResolvedValueOnce({
+        data: [tweet('120', 'u-1', 25), tweet('110', 'u-2', 3)],
+        includes: { users: [{ id: 'u-1', username: 'kyoto_local', name: 'Kyoto Local', public_metrics: { followers_count: 800 } }] },
+        meta: { newest_id: '120' }
+      });
+
+      const result = await runKeywordMonitor(monitor);
+
+      expect(searchRecentTweets).toHaveBeenCalledWith('京都 lang:ja -is:retweet -is:reply', 1, 100, { sinceId: '100' });
+      expect(result).toEqual({ matched: 2 });
+      expect(calls.upsert[0].map(r => r.tweet_id)).toEqual(['120', '110']);
+      expect(calls.upsert[0][0]).toEqual(expect.objectContaining({
+        monitor_id: 3, tweet_id: '120', author_handle: 'kyoto_local', author_followers_count: 800, like_count: 25
+      }));
+      expect(calls.update[0]).toEqual(expect.objectContaining({
+        newest_tweet_id: '120', last_run_tweet_count: 2, last_run_error: null
+      }));
+    });
+
+    test('該当なしでも実行記録は残し、since_id は変えない', async () => {
+      const calls = setupDbMock();
+      searchRecentTweets.mockResolvedValueOnce({ meta: { result_count: 0 } });
+
+      await runKeywordMonitor(monitor);
+
+      expect(calls.upsert).toHaveLength(0);
+      expect(calls.update[0]).not.toHaveProperty('newest_tweet_id');
+      expect(calls.update[0].last_run_tweet_count).toBe(0);
+    });
+
+    test('next_token でページ送りし、全ページの一致を保存して since_id を最新まで進める', async () => {
+      const calls = setupDbMock();
+      searchRecentTweets
+        .mockResolvedValueOnce({ data: [tweet('130', 'u-1', 5)], meta: { newest_id: '130', oldest_id: '130', next_token: 'p2' } })
+        .mockResolvedValueOnce({
+          data: [tweet('105', 'u-2', 5)],
+          includes: { users: [{ id: 'u-2', username: 'kyoto_walker' }] },
+          meta: { newest_id: '105', oldest_id: '105' }
+        });
+
+      await runKeywordMonitor(monitor);
+
+      expect(searchRecentTweets).toHaveBeenNthCalledWith(2, '京都 lang:ja -is:retweet -is:reply', 1, 100, { sinceId: '100', nextToken: 'p2' });
+      expect(waitForRateLimit).toHaveBeenCalledWith('GET /2/tweets/search/recent', 1, { pace: true });
+      expect(calls.upsert[0].map(r => r.tweet_id)).toEqual(['130', '105']);
+      expect(calls.upsert[0][1].author_handle).toBe('kyoto_walker');
+      expect(calls.update[0].newest_tweet_id).toBe('130');
+      expect(calls.update[0]).not.toHaveProperty('backfill_until_id');
+    });
+
+    test('ページ上限で打ち切った場合は読めなかった範囲を補完用に記録する', async () => {
+      const calls = setupDbMock();
+      for (let page = 0; page < 5; page++) {
+        const id = String(900 - page);
+        searchRecentTweets.mockResolvedValueOnce({ data: [tweet(id, 'u-1', 5)], meta: { newest_id: id, oldest_id: id, next_token: `p${page + 2}` } });
+      }
+
+      await runKeywordMonitor(monitor);
+
+      expect(searchRecentTweets).toHaveBeenCalledTimes(5);
+      expect(calls.update[0]).toEqual(expect.objectContaining({
+        newest_tweet_id: '900', backfill_since_id: '100', backfill_until_id: '896', last_run_tweet_count: 5
+      }));
+    });
+
+    test('補完範囲を until_id で先に読み、読み終えたら新着を検索する', async () => {
+      const calls = setupDbMock();
+      searchRecentTweets
+        .mockResolvedValueOnce({ data: [tweet('895', 'u-1', 5)], meta: { newest_id: '895', oldest_id: '895' } })
+        .mockResolvedValueOnce({ data: [tweet('910', 'u-1', 5)], meta: { newest_id: '910', oldest_id: '910' } });
+
+      await runKeywordMonitor({ ...monitor, newest_tweet_id: '900', backfill_since_id: '100', backfill_until_id: '896' });
+
+      expect(searchRecentTweets).toHaveBeenNthCalledWith(1, '京都 lang:ja -is:retweet -is:reply', 1, 100, { sinceId: '100', untilId: '896' });
+      expect(searchRecentTweets).toHaveBeenNthCalledWith(2, '京都 lang:ja -is:retweet -is:reply', 1, 100, { sinceId: '900' });
+      expect(calls.update[0]).toEqual(expect.objectContaining({
+        newest_tweet_id: '910', backfill_since_id: null, backfill_until_id: null, last_run_tweet_count: 2
+      }));
+    });
+
+    test('ページ途中でレート制限に達したら補完範囲の位置だけ進め、新着は検索しない', async () => {
+      const calls = setupDbMock();
+      const rateLimited = new Error('X API rate limit');
+      rateLimited.rateLimited = true;
+      searchRecentTweets
+        .mockResolvedValueOnce({ data: [tweet('895', 'u-1', 5)], meta: { newest_id: '895', oldest_id: '895', next_token: 'p2' } })
+        .mockRejectedValueOnce(rateLimited);
+
+      await runKeywordMonitor({ ...monitor, newest_tweet_id: '900', backfill_since_id: '100', backfill_until_id: '896' });
+
+      expect(searchRecentTweets).toHaveBeenCalledTimes(2);
+      expect(calls.upsert[0].map(r => r.tweet_id)).toEqual(['895']);
+      expect(calls.update[0].backfill_until_id).toBe('895');
+      expect(calls.update[0]).not.toHaveProperty('newest_tweet_id');
+      expect(calls.update[0]).not.toHaveProperty('backfill_since_id');
+    });
+  });
+
+  describe('runDueKeywordMonitors', () => {
+    test('期限の来た監視だけを実行する', async () => {
+      setupDbMock([
+        { id: 1, account_id: 1, query: 'a', interval_hours: 24, last_run_at: null },
+        { id: 2, account_id: 1, query: 'b', interval_hours: 24, last_run_at: new Date().toISOString() }
+      ]);
+      searchRecentTweets.mockResolvedValue({ meta: { result_count: 0 } });
+
+      const result = await runDueKeywordMonitors();
+
+      expect(searchRecentTweets).toHaveBeenCalledTimes(1);
+      expect(result).toEqual({ ran: 1, deferred: [] });
+    });
+
+    test('レート制限の枠がなければ次回に延期する', async () => {
+      setupDbMock([{ id: 1, account_id: 1, query: 'a', interval_hours: 24, last_run_at: null }]);
+      waitForRateLimit.mockResolvedValueOnce(false);
+
+      const result = await runDueKeywordMonitors();
+
+      expect(searchRecentTweets).not.toHaveBeenCalled();
+      expect(result).toEqual({ ran: 0, deferred: [1] });
+    });
+
+    test('検索エラーは監視に記録して続行する', async () => {
+      const calls = setupDbMock([
+        { id: 1, account_id: 1, query: 'a', interval_hours: 24, last_run_at: null },
+        { id: 2, account_id: 1, query: 'b', interval_hours: 24, last_run_at: null }
+      ]);
+      searchRecentTweets
+        .mockRejectedValueOnce(new Error('X API error 400'))
+        .mockResolvedValueOnce({ meta: { result_count: 0 } });
+
+      const result = await runDueKeywordMonitors();
+
+      expect(result.ran).toBe(1);
+      expect(calls.update[0]).toEqual(expect.objectContaining({ last_run_error: 'X API error 400' }));
+    });
+  });
+
+  describe('refreshMonitorTweetMetrics', () => {
+    const hoursAgo = (h) => new Date(Date.now() - h * 60 * 60 * 1000).toISOString();
+    const stored = (id, monitorAccountId, likes, measuredAt) => ({
+      id, tweet_id: `t-${id}`, like_count: likes, retweet_count: 0, reply_count: 0, quote_count: 0,
+      fetched_at: hoursAgo(5), metrics_updated_at: measuredAt, keyword_monitors: { account_id: monitorAccountId }
+    });
+
+    test('直近ツイートのメトリクスと前回計測からの velocity_score を更新する', async () => {
+      const calls = setupDbMock([], [stored(1, 10, 2, hoursAgo(2)), stored(2, 10, 0, null)]);
+      getTweetMetrics.mockResolvedValueOnce([
+        { id: 't-1', public_metrics: { like_count: 22, retweet_count: 0, reply_count: 0, quote_count: 0, impression_count: 900 } },
+        { id: 't-2', public_metrics: { like_count: 10, retweet_count: 0, reply_count: 0, quote_count: 0, impression_count: 500 } }
+      ]);
+
+      const result = await refreshMonitorTweetMetrics();
+
+      expect(getTweetMetrics).toHaveBeenCalledWith(['t-1', 't-2'], 10);
+      expect(result).toEqual({ refreshed: 2 });
+      expect(calls.tweetUpdate[0]).toEqual(expect.objectContaining({ like_count: 22, metrics_updated_at: expect.any(String) }));
+      // 20 more likes since the measurement 2 hours ago
+      expect(calls.tweetUpdate[0].velocity_score).toBeCloseTo(10, 0);
+      // Never re-measured: the pace since it was fetched 5 hours ago
+      expect(calls.tweetUpdate[1].velocity_score).toBeCloseTo(2, 0);
+    });
+
+    test('複数の監視に一致した同じツイートは1回だけ取得して各行を更新する', async () => {
+      const calls = setupDbMock([], [stored(1, 10, 0, null), { ...stored(2, 10, 0, null), tweet_id: 't-1' }]);
+      getTweetMetrics.mockResolvedValueOnce([{ id: 't-1', public_metrics: { like_count: 5 } }]);
+
+      await refreshMonitorTweetMetrics();
+
+      expect(getTweetMetrics).toHaveBeenCalledWith(['t-1'], 10);
+      expect(calls.tweetUpdate).toHaveLength(2);
+    });
+
+    test('予算超過時は取得しない', async () => {
+      setupDbMock([], [stored(1, 10, 0, null)]);
+      checkXApiBudget.mockResolvedValueOnce({ overBudget: true });
+
+      expect(await refreshMonitorTweetMetrics()).toEqual({ refreshed: 0, reason: 'budget_exceeded' });
+      expect(getTweetMetrics).not.toHaveBeenCalled();
+    });
+
+    test('レート制限の枠がなければ次回に延期する', async () => {
+      setupDbMock([], [stored(1, 10, 0, null)]);
+      waitForRateLimit.mockResolvedValueOnce(false);
+
+      expect(await refreshMonitorTweetMetrics()).toEqual({ refreshed: 0, deferred: 1, reason: 'rate_limited' });
+    });
+  });
+});
@@ -0,0 +1,103 @@
+// Mock database
+jest.mock('../../server/db/database', () => ({
+  getDb: jest.fn()
+}));
+
+// Mock x-api
+const mockUploadMedia = jest.fn();
+jest.mock('../../server/services/x-api', () => ({
+  uploadMedia: mockUploadMedia
+}));
+
+const { parseAttachmentIds, validateImage, prepareMediaIds } = require('../../server/services/media');
+const { getDb } = require('../../server/db/database');
+
+describe('media', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('parseAttachmentIds', () => {
+    test('未指定の場合は空配列', () => {
+      expect(parseAttachmentIds(undefined)).toEqual({ ids: [] });
+    });
+
+    test('数値IDの配列に変換する', () => {
+      expect(parseAttachmentIds(['1', 2])).toEqual({ ids: [1, 2] });
+    });
+
+    test('5枚以上はエラー', () => {
+      expect(parseAttachmentIds([1, 2, 3, 4, 5]).error).toBe('attachmentIds supports up to 4 images');
+    });
+
+    test('不正なIDはエラー', () => {
+      expect(parseAttachmentIds(['abc']).error).toBe('attachmentIds must contain attachment IDs');
+    });
+  });
+
+  describe('validateImage', () => {
+    const data = Buffer.from('fake-image').toString('base64');
+
+    test('対応形式の画像は null を返す', () => {
+      expect(validateImage({ mimeType: 'image/png', data, altText: '東京タワー' })).toBeNull();
+    });
+
+    test('非対応の形式はエラー', () => {
+      expect(validateImage({ mimeType: 'video/mp4', data })).toBe('Unsupported image type: video/mp4');
+    });
+
+    test('データが空の場合はエラー', () => {
+      expect(validateImage({ mimeType: 'image/png', data: '' })).toBe('data is required');
+    });
+
+    test('3MBを超える画像はエラー（base64 で Vercel のリクエスト上限を超えるため）', () => {
+      const big = Buffer.alloc(3 * 1024 * 1024 + 1).toString('base64');
+      expect(validateImage({ mimeType: 'image/jpeg', data: big })).toBe('Image exceeds 3MB');
+    });
+  });
+
+  describe('prepareMediaIds', () => {
+    function mockAttachments(rows) {
+      const chain = {
+        select: jest.fn().mockReturnThis(),
+        eq: jest.fn().mockReturnThis(),
+        in: jest.fn().mockResolvedValue({ data: rows, error: null })
+      };
+      getDb.mockReturnValue({ from: jest.fn(() => chain) });
+      return chain;
+    }
+
+    test('添付がない場合はDBもAPIも呼ばない', async () => {
+      expect(await prepareMediaIds([], 10)).toEqual([]);
+      expect(await prepareMediaIds(null, 10)).toEqual([]);
+      expect(getDb).not.toHaveBeenCalled();
+      expect(mockUploadMedia).not.toHaveBeenCalled();
+    });
+
+    test('指定順にアップロードしてメディアIDを返す', async () => {
+      mockAttachments([
+        { id: 2, mime_type: 'image/png', data: Buffer.from('b').toString('base64'), alt_text: null },
+        { id: 1, mime_type: 'image/jpeg', data: Buffer.from('a').toString('base64'), alt_text: '浅草寺' }
+      ]);
+      mockUploadMedia.mockResolvedValueOnce('media-1').mockResolvedValueOnce('media-2');
+
+      const result = await prepareMediaIds([1, 2], 10);
+
+      expect(result).toEqual(['media-1', 'media-2']);
+      expect(mockUploadMedia).toHaveBeenNthCalledWith(1, Buffer.from('a'), 'image/jpeg', { accountId: 10, altText: '浅草寺' });
+      expect(mockUploadMedia).toHaveBeenNthCalledWith(2, Buffer.from('b'), 'image/png', { accountId: 10, altText: null });
+    });
+
+    test('添付が見つからない場合はエラー', async () => {
+      mockAttachments([]);
+      await expect(prepareMediaIds([99], 10)).rejects.toThrow('添付画像が見つかりません: 99');
+    });
+
+    test('投稿するアカウントの添付だけを取得する', async () => {
+      // Another account's upload is not returned, so it counts as missing
+      const chain = mockAttachments([]);
+      await expect(prepareMediaIds([5], 10)).rejects.toThrow('添付画像が見つかりません: 5');
+      expect(chain.eq).toHaveBeenCalledWith('account_id', 10);
+    });
+  });
+});
@@ -0,0 +1,115 @@
+jest.mock('../../server/db/database', () => ({
+  getDb: jest.fn()
+}));
+
+const { getPersona, savePersona, deletePersona, renderPersona } = require('../../server/services/persona');
+const { DEFAULT_PERSONA } = require('../../server/config/persona');
+const { getDb } = require('../../server/db/database');
+
+function setupDbMock(result) {
+  const calls = { upsert: [], eq: [], delete: 0 };
+  const chain = {
+    select: jest.fn(() => chain),
+    eq: jest.fn((col, val) => { calls.eq.push([col, val]); return chain; }),
+    upsert: jest.fn((row, opts) => { calls.upsert.push([row, opts]); return chain; }),
+    delete: jest.fn(() => { calls.delete++; return chain; }),
+    single: jest.fn(async () => result),
+    then: (resolve) => resolve({ error: null })
+  };
+  getDb.mockReturnValue({ from: jest.fn(() => chain) });
+  return calls;
+}
+
+const PERSONA = {
+  name: 'みさき',
+  role: '料理研究家',
+  headline: 'レシピ本3冊',
+  profile: ['京都在住', '和食が専門'],
+  facts: ['レシピ本（3冊）'],
+  stance: '家庭料理、京都',
+  banned_words: ['激うま', '神レシピ'],
+  hidden_platforms: ['cookpad']
+};
+
+describe('persona', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getPersona', () => {
+    test('アカウントのペルソナを返す', async () => {
+      const calls = setupDbMock({ data: { id: 1, account_id: 3, ...PERSONA, updated_at: 'x' }, error: null });
+
+      const persona = await getPersona(3);
+
+      expect(persona).toEqual({ ...PERSONA, is_default: false });
+      expect(calls.eq).toContainEqual(['account_id', 3]);
+    });
+
+    test('ペルソナがなければデフォルトを返す', async () => {
+      setupDbMock({ data: null, error: { code: 'PGRST116' } });
+      expect(await getPersona(3)).toEqual({ ...DEFAULT_PERSONA, is_default: true });
+    });
+
+    test('アカウント指定なし・DB エラー時もデフォルトを返す', async () => {
+      expect((await getPersona(null)).name).toBe('とっけん');
+      getDb.mockImplementation(() => { throw new Error('connection refused'); });
+      expect((await getPersona(3)).is_default).toBe(true);
+      getDb.mockReset();
+    });
+  });
+
+  test('savePersona はアカウント単位で upsert する', async () => {
+    const calls = setupDbMock({ data: { account_id: 3, ...PERSONA, banned_words: null }, error: null });
+
+    const persona = await savePersona(3, PERSONA);
+
+    expect(calls.upsert[0][0]).toEqual(expect.objectContaining({ account_id: 3, name: 'みさき', facts: ['レシピ本（3冊）'] }));
+    expect(calls.upsert[0][1]).toEqual({ onConflict: 'account_id' });
+    expect(persona.banned_words).toEqual([]);
+  });
+
+  test('deletePersona はアカウントのペルソナを削除する', async () => {
+    const calls = setupDbMock(null);
+    await deletePersona(3);
+    expect(calls.delete).toBe(1);
+    expect(calls.eq).toContainEqual(['account_id', 3]);
+  });
+
+  describe('renderPersona', () => {
+    test('プレースホルダーをペルソナで置き換える', () => {
+      const template = [
+        'あなたは{persona_intro}のゴーストライターです。',
+        '# {persona_name}について',
+        '{persona_profile}',
+        '数字: {persona_facts} / 立場: {persona_stance}',
+        '## 禁止',
+        '{persona_prohibitions}',
+        '- ハッシュタグは入れない'
+      ].join('\n');
+
+      expect(renderPersona(template, PERSONA)).toBe([
+        'あなたは料理研究家・みさき（レシピ本3冊）のゴーストライターです。',
+        '# みさきについて',
+        '- 京都在住',
+        '- 和食が専門',
+        '数字: レシピ本（3冊） / 立場: 家庭料理、京都',
+        '## 禁止',
+        '- 使用プラットフォーム名（cookpad等）は絶対に出さない',
+        '- 次の語句は絶対に使わない：激うま、神レシピ',
+        '- ハッシュタグは入れない'
+      ].join('\n'));
+    });
+
+    test('禁止事項がなければその行ごと除く', () => {
+      const persona = { ...PERSONA, banned_words: [], hidden_platforms: [] };
+      expect(renderPersona('## 禁止\n{persona_prohibitions}\n- ハッシュタグは入れない', persona))
+        .toBe('## 禁止\n- ハッシュタグは入れない');
+    });
+
+    test('未知のプレースホルダーやペルソナを含まないプロンプトはそのまま', () => {
+      expect(renderPersona('テーマ: {topic} {persona_unknown}', PERSONA)).toBe('テーマ: {topic} {persona_unknown}');
+      expect(renderPersona('カスタムプロンプト', PERSONA)).toBe('カスタムプロンプト');
+    });
+  });
+});
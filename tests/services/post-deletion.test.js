@@ -0,0 +1,93 @@
+// Mock database
+jest.mock('../../server/db/database', () => ({
+  getDb: jest.fn()
+}));
+
+// Mock x-api
+const mockDeleteTweet = jest.fn();
+jest.mock('../../server/services/x-api', () => ({
+  deleteTweet: mockDeleteTweet
+}));
+
+jest.mock('../../server/services/app-logger', () => ({
+  logError: jest.fn(),
+  logInfo: jest.fn()
+}));
+
+const { deletePostFromX } = require('../../server/services/post-deletion');
+const { getDb } = require('../../server/db/database');
+
+function mockDb(post) {
+  const calls = { update: [], insert: [] };
+  const chain = {
+    select: jest.fn(() => chain),
+    eq: jest.fn(() => chain),
+    single: jest.fn().mockResolvedValue({ data: post, error: post ? null : { message: 'not found' } }),
+    update: jest.fn((row) => { calls.update.push(row); return chain; }),
+    insert: jest.fn((row) => { calls.insert.push(row); return Promise.resolve({ error: null }); }),
+    then: (resolve) => resolve({ error: null })
+  };
+  getDb.mockReturnValue({ from: jest.fn(() => chain) });
+  return calls;
+}
+
+describe('post-deletion', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockDeleteTweet.mockResolvedValue(true);
+  });
+
+  test('投稿を削除して deleted にし、削除履歴を残す', async () => {
+    const calls = mockDb({
+      id: 7, account_id: 1, tweet_id: '111', text: '浅草の朝', post_type: 'new', status: 'posted',
+      posted_at: '2026-10-18T00:00:00Z', like_count: 12, impression_count: 800, engagement_rate: 1.5
+    });
+
+    const result = await deletePostFromX(7, { source: 'telegram', reason: '誤字' });
+
+    expect(mockDeleteTweet).toHaveBeenCalledWith('111', { accountId: 1 });
+    expect(calls.update[0]).toEqual(expect.objectContaining({ status: 'deleted' }));
+    expect(calls.insert[0]).toEqual(expect.objectContaining({
+      post_id: 7,
+      tweet_ids: ['111'],
+      text: '浅草の朝',
+      source: 'telegram',
+      reason: '誤字',
+      metrics: { like_count: 12, impression_count: 800, engagement_rate: 1.5 }
+    }));
+    expect(result.tweetIds).toEqual(['111']);
+  });
+
+  test('スレッドは後ろのパーツから順に削除する', async () => {
+    mockDb({
+      id: 8, account_id: 1, tweet_id: '201', text: '1/3', status: 'posted',
+      thread_tweet_ids: ['201', '202', '203']
+    });
+
+    await deletePostFromX(8);
+
+    expect(mockDeleteTweet.mock.calls.map(c => c[0])).toEqual(['203', '202', '201']);
+  });
+
+  test('投稿済みでない場合は 400 エラー', async () => {
+    mockDb({ id: 9, account_id: 1, tweet_id: null, text: '予約', status: 'scheduled' });
+
+    await expect(deletePostFromX(9)).rejects.toMatchObject({ status: 400 });
+    expect(mockDeleteTweet).not.toHaveBeenCalled();
+  });
+
+  test('投稿が見つからない場合は 404 エラー', async () => {
+    mockDb(null);
+
+    await expect(deletePostFromX(10)).rejects.toMatchObject({ status: 404 });
+  });
+
+  test('X での削除に失敗した場合はステータスを変更しない', async () => {
+    const calls = mockDb({ id: 11, account_id: 1, tweet_id: '301', text: 'テスト', status: 'posted' });
+    mockDeleteTweet.mockRejectedValueOnce(new Error('X API error 403: forbidden'));
+
+    await expect(deletePostFromX(11)).rejects.toThrow('X API error 403');
+    expect(calls.update).toHaveLength(0);
+    expect(calls.insert).toHaveLength(0);
+  });
+});
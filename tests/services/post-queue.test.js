@@ -0,0 +1,213 @@
+jest.mock('../../server/db/database', () => ({
+  getDb: jest.fn()
+}));
+
+jest.mock('../../server/services/account-timezone', () => ({
+  getAccountTimeZone: jest.fn()
+}));
+
+const {
+  upcomingSlotTimes, allocateQueueSlots, compactQueue, enqueueDraft, deleteQueueSlot
+} = require('../../server/services/post-queue');
+const { getDb } = require('../../server/db/database');
+const { getAccountTimeZone } = require('../../server/services/account-timezone');
+
+// Chainable query; `result` is what awaiting (or .single()) returns
+function chainFor(result) {
+  const chain = {};
+  for (const method of ['select', 'insert', 'update', 'delete', 'eq', 'not', 'gt', 'order']) {
+    chain[method] = jest.fn(() => chain);
+  }
+  chain.single = jest.fn(async () => result);
+  chain.then = (onFulfilled, onRejected) => Promise.resolve(result).then(onFulfilled, onRejected);
+  return chain;
+}
+
+// Every from(table) gets a fresh chain; all of them are kept per table.
+// A function result is called with the table's call index.
+function setupTables(tables) {
+  const chains = {};
+  getDb.mockReturnValue({
+    from: jest.fn((table) => {
+      const result = tables[table];
+      const chain = chainFor(typeof result === 'function' ? result((chains[table] || []).length) : result);
+      (chains[table] = chains[table] || []).push(chain);
+      return chain;
+    })
+  });
+  return chains;
+}
+
+// 2026-03-02 is a Monday; 09:00 JST
+const NOW = new Date('2026-03-02T00:00:00Z');
+
+const SLOTS = [
+  { id: 1, name: '朝', day_of_week: 1, time: '08:00', enabled: true },
+  { id: 2, name: '昼', day_of_week: 1, time: '12:00', enabled: true },
+  { id: 3, name: null, day_of_week: 3, time: '09:00', enabled: true },
+  { id: 4, name: '停止中', day_of_week: 2, time: '10:00', enabled: false }
+];
+
+describe('post-queue', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getAccountTimeZone.mockResolvedValue('Asia/Tokyo');
+  });
+
+  describe('upcomingSlotTimes', () => {
+    test('有効な枠を JST の曜日・時刻で今より後から順に並べる', () => {
+      expect(upcomingSlotTimes(SLOTS, NOW, 4)).toEqual([
+        { at: '2026-03-02T03:00:00.000Z', slotId: 2, name: '昼' },
+        { at: '2026-03-04T00:00:00.000Z', slotId: 3, name: null },
+        { at: '2026-03-08T23:00:00.000Z', slotId: 1, name: '朝' },
+        { at: '2026-03-09T03:00:00.000Z', slotId: 2, name: '昼' }
+      ]);
+    });
+
+    test('週1枠でも件数分の週をたどる', () => {
+      const times = upcomingSlotTimes([{ id: 3, day_of_week: 3, time: '09:00' }], NOW, 3);
+      expect(times.map(t => t.at)).toEqual([
+        '2026-03-04T00:00:00.000Z', '2026-03-11T00:00:00.000Z', '2026-03-18T00:00:00.000Z'
+      ]);
+    });
+
+    test('有効な枠がなければ空', () => {
+      expect(upcomingSlotTimes([SLOTS[3]], NOW, 2)).toEqual([]);
+    });
+
+    test('タイムゾーン指定時は現地の曜日・時刻で、夏時間の切り替えをまたいでも同じ現地時刻に置く', () => {
+      // America/New_York switches to EDT on Sunday 2026-03-08
+      const sunday = [{ id: 5, day_of_week: 0, time: '09:00' }];
+      const times = upcomingSlotTimes(sunday, new Date('2026-03-01T00:00:00Z'), 2, 'America/New_York');
+      expect(times.map(t => t.at)).toEqual(['2026-03-01T14:00:00.000Z', '2026-03-08T13:00:00.000Z']);
+    });
+
+    test('曜日は UTC ではなく現地の日付で決まる', () => {
+      // 2026-03-02 00:00 UTC is still Sunday evening in New York
+      const sunday = [{ id: 5, day_of_week: 0, time: '21:00' }];
+      const [first] = upcomingSlotTimes(sunday, NOW, 1, 'America/New_York');
+      expect(first.at).toBe('2026-03-02T02:00:00.000Z');
+    });
+  });
+
+  describe('allocateQueueSlots', () => {
+    test('キューの投稿が入っている枠を飛ばして次の空き枠を返す', async () => {
+      const chains = setupTables({
+        queue_slots: { data: SLOTS, error: null },
+        my_posts: { data: [{ id: 10, scheduled_at: '2026-03-02T03:00:00+00:00', queue_slot_id: 2 }], error: null }
+      });
+
+      const slots = await allocateQueueSlots('acc-1', 'new', 1, NOW);
+
+      expect(slots).toEqual([{ at: '2026-03-04T00:00:00.000Z', slotId: 3, name: null }]);
+      expect(getAccountTimeZone).toHaveBeenCalledWith('acc-1');
+      const posts = chains.my_posts[0];
+      expect(posts.eq).toHaveBeenCalledWith('status', 'scheduled');
+      expect(posts.not).toHaveBeenCalledWith('queue_slot_id', 'is', null);
+      expect(posts.gt).toHaveBeenCalledWith('scheduled_at', NOW.toISOString());
+    });
+
+    test('枠がなければ空', async () => {
+      setupTables({ queue_slots: { data: [], error: null }, my_posts: { data: [], error: null } });
+
+      expect(await allocateQueueSlots('acc-1', 'new', 1, NOW)).toEqual([]);
+    });
+  });
+
+  describe('compactQueue', () => {
+    test('抜けた枠に後ろの投稿を順番どおり詰める', async () => {
+      const chains = setupTables({
+        queue_slots: { data: SLOTS, error: null },
+        my_posts: {
+          data: [
+            { id: 11, scheduled_at: '2026-03-04T00:00:00.000Z', queue_slot_id: 3 },
+            { id: 12, scheduled_at: '2026-03-08T23:00:00.000Z', queue_slot_id: 1 }
+          ],
+          error: null
+        }
+      });
+
+      const moved = await compactQueue('acc-1', 'new', { now: NOW });
+
+      expect(moved).toBe(2);
+      const updates = chains.my_posts.slice(1);
+      expect(updates[0].update).toHaveBeenCalledWith({ scheduled_at: '2026-03-02T03:00:00.000Z', queue_slot_id: 2 });
+      expect(updates[0].eq).toHaveBeenCalledWith('id', 11);
+      expect(updates[1].update).toHaveBeenCalledWith({ scheduled_at: '2026-03-04T00:00:00.000Z', queue_slot_id: 3 });
+      expect(updates[1].eq).toHaveBeenCalledWith('id', 12);
+    });
+
+    test('詰まっているキューは更新しない', async () => {
+      const chains = setupTables({
+        queue_slots: { data: SLOTS, error: null },
+        my_posts: { data: [{ id: 11, scheduled_at: '2026-03-02T03:00:00+00:00', queue_slot_id: 2 }], error: null }
+      });
+
+      expect(await compactQueue('acc-1', 'new', { now: NOW })).toBe(0);
+      expect(chains.my_posts).toHaveLength(1);
+    });
+
+    test('残る枠がなければ投稿は今の日時のままキューから外す', async () => {
+      const chains = setupTables({
+        queue_slots: { data: [SLOTS[2]], error: null },
+        my_posts: { data: [{ id: 11, scheduled_at: '2026-03-04T00:00:00.000Z', queue_slot_id: 3 }], error: null }
+      });
+
+      await compactQueue('acc-1', 'new', { now: NOW, withoutSlotId: 3 });
+
+      expect(chains.my_posts[1].update).toHaveBeenCalledWith({ queue_slot_id: null });
+    });
+  });
+
+  describe('enqueueDraft', () => {
+    test('下書きを次の空き枠に予約する', async () => {
+      const chains = setupTables({
+        queue_slots: { data: SLOTS, error: null },
+        my_posts: { data: [{ id: 6 }], error: null }
+      });
+
+      const slot = await enqueueDraft({ id: 6, account_id: 'acc-1', post_type: 'reply' });
+
+      expect(slot.slotId).toEqual(expect.any(Number));
+      const update = chains.my_posts[1];
+      expect(update.update).toHaveBeenCalledWith({
+        status: 'scheduled', scheduled_at: slot.at, queue_slot_id: slot.slotId, lint_violations: null
+      });
+      expect(update.eq).toHaveBeenCalledWith('status', 'draft');
+      expect(chains.queue_slots[0].eq).toHaveBeenCalledWith('post_type', 'reply');
+    });
+
+    test('枠がなければ例外を投げる', async () => {
+      setupTables({ queue_slots: { data: [], error: null }, my_posts: { data: [], error: null } });
+
+      await expect(enqueueDraft({ id: 6, account_id: 'acc-1', post_type: 'new' }))
+        .rejects.toThrow('キューの投稿枠が設定されていません');
+    });
+  });
+
+  describe('deleteQueueSlot', () => {
+    test('枠の投稿を残りの枠へ移してから削除する', async () => {
+      const chains = setupTables({
+        // The slot itself, then the slot list, then the delete
+        queue_slots: (call) => (call === 1
+          ? { data: SLOTS, error: null }
+          : { data: { id: 2, account_id: 'acc-1', post_type: 'new' }, error: null }),
+        my_posts: { data: [{ id: 11, scheduled_at: '2026-03-02T03:00:00.000Z', queue_slot_id: 2 }], error: null }
+      });
+
+      await deleteQueueSlot(2);
+
+      // The post leaves slot 2 for the next remaining slot
+      expect(chains.my_posts[1].update).toHaveBeenCalledWith(expect.objectContaining({ queue_slot_id: expect.any(Number) }));
+      expect(chains.my_posts[1].update.mock.calls[0][0].queue_slot_id).not.toBe(2);
+      expect(chains.queue_slots[2].delete).toHaveBeenCalled();
+      expect(chains.queue_slots[2].eq).toHaveBeenCalledWith('id', 2);
+    });
+
+    test('存在しない枠はエラー', async () => {
+      setupTables({ queue_slots: { data: null, error: null } });
+
+      await expect(deleteQueueSlot(99)).rejects.toThrow('枠が見つかりません');
+    });
+  });
+});
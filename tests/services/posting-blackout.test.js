@@ -0,0 +1,182 @@
+jest.mock('../../server/db/database', () => ({
+  getDb: jest.fn()
+}));
+
+jest.mock('../../server/services/app-logger', () => ({
+  logInfo: jest.fn()
+}));
+
+const {
+  rulesForAccount, matchBlackout, blackoutEnd, nextAllowedTime, describeBlackout,
+  loadActiveBlackouts, listBlackouts, getPostingPause, pausePosting, resumePosting
+} = require('../../server/services/posting-blackout');
+const { getDb } = require('../../server/db/database');
+
+// Chainable query; `result` is what awaiting (or .single()) returns
+function chainFor(result) {
+  const chain = {};
+  for (const method of ['select', 'insert', 'update', 'delete', 'upsert', 'eq', 'is', 'or', 'order']) {
+    chain[method] = jest.fn(() => chain);
+  }
+  chain.single = jest.fn(async () => result);
+  chain.then = (onFulfilled, onRejected) => Promise.resolve(result).then(onFulfilled, onRejected);
+  return chain;
+}
+
+function setupDb(result) {
+  const chain = chainFor(result);
+  getDb.mockReturnValue({ from: jest.fn(() => chain) });
+  return chain;
+}
+
+const NIGHT = { id: 1, account_id: null, kind: 'daily', start_time: '23:00', end_time: '06:00', action: 'shift', enabled: true };
+const LUNCH = { id: 2, account_id: 10, kind: 'daily', start_time: '12:00', end_time: '13:00', action: 'shift', enabled: true };
+const EVENT = { id: 3, account_id: 10, name: '決算発表', kind: 'dates', start_date: '2026-03-03', end_date: '2026-03-04', action: 'hold', enabled: true };
+
+describe('posting-blackout', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('rulesForAccount', () => {
+    test('全アカウント共通のルールとそのアカウントのルールだけを返す', () => {
+      const other = { ...LUNCH, id: 4, account_id: 11 };
+      const disabled = { ...LUNCH, id: 5, enabled: false };
+      expect(rulesForAccount([NIGHT, LUNCH, other, disabled], 10)).toEqual([NIGHT, LUNCH]);
+      expect(rulesForAccount([NIGHT, LUNCH], '11')).toEqual([NIGHT]);
+    });
+  });
+
+  describe('matchBlackout', () => {
+    test('日をまたぐ毎日の時間帯は開始以降と終了前の両方にかかる', () => {
+      // 2026-03-02 23:30 JST / 2026-03-03 05:59 JST / 06:00 JST
+      expect(matchBlackout([NIGHT], new Date('2026-03-02T14:30:00Z'), 'Asia/Tokyo')).toBe(NIGHT);
+      expect(matchBlackout([NIGHT], new Date('2026-03-02T20:59:00Z'), 'Asia/Tokyo')).toBe(NIGHT);
+      expect(matchBlackout([NIGHT], new Date('2026-03-02T21:00:00Z'), 'Asia/Tokyo')).toBeNull();
+    });
+
+    test('時間帯はアカウントのタイムゾーンの現地時刻で判定する', () => {
+      // 2026-03-02 03:30 UTC = 12:30 JST = 22:30 EST (前日)
+      const at = new Date('2026-03-02T03:30:00Z');
+      expect(matchBlackout([LUNCH], at, 'Asia/Tokyo')).toBe(LUNCH);
+      expect(matchBlackout([LUNCH], at, 'America/New_York')).toBeNull();
+    });
+
+    test('日付指定は終了日を含む現地の丸一日', () => {
+      expect(matchBlackout([EVENT], new Date('2026-03-02T15:00:00Z'), 'Asia/Tokyo')).toBe(EVENT); // 03-03 00:00 JST
+      expect(matchBlackout([EVENT], new Date('2026-03-04T14:59:00Z'), 'Asia/Tokyo')).toBe(EVENT); // 03-04 23:59 JST
+      expect(matchBlackout([EVENT], new Date('2026-03-04T15:00:00Z'), 'Asia/Tokyo')).toBeNull(); // 03-05 00:00 JST
+    });
+  });
+
+  describe('blackoutEnd', () => {
+    test('日をまたぐ時間帯は開始側なら翌日、終了側なら当日の終了時刻', () => {
+      expect(blackoutEnd(NIGHT, new Date('2026-03-02T14:30:00Z'), 'Asia/Tokyo').toISOString()).toBe('2026-03-02T21:00:00.000Z');
+      expect(blackoutEnd(NIGHT, new Date('2026-03-02T18:00:00Z'), 'Asia/Tokyo').toISOString()).toBe('2026-03-02T21:00:00.000Z');
+    });
+
+    test('日付指定は終了日の翌日 0:00', () => {
+      expect(blackoutEnd(EVENT, new Date('2026-03-03T01:00:00Z'), 'Asia/Tokyo').toISOString()).toBe('2026-03-04T15:00:00.000Z');
+    });
+  });
+
+  describe('nextAllowedTime', () => {
+    test('どのルールにもかからなければその時刻のまま', () => {
+      const at = new Date('2026-03-02T01:00:00Z');
+      expect(nextAllowedTime([NIGHT, LUNCH], at, 'Asia/Tokyo')).toBe(at);
+    });
+
+    test('続けてかかるルールをたどって最初に空く時刻を返す', () => {
+      // 2026-03-04 23:30 JST: 夜間 → 03-05 06:00 で空く
+      const night = nextAllowedTime([NIGHT, EVENT], new Date('2026-03-04T14:30:00Z'), 'Asia/Tokyo');
+      expect(night.toISOString()).toBe('2026-03-04T21:00:00.000Z');
+      // 2026-03-02 23:30 JST: 夜間が 03-03 06:00 に明けると決算発表の日 → 03-05 0:00 → 再び夜間 → 06:00
+      const event = nextAllowedTime([NIGHT, EVENT], new Date('2026-03-02T14:30:00Z'), 'Asia/Tokyo');
+      expect(event.toISOString()).toBe('2026-03-04T21:00:00.000Z');
+    });
+
+    test('空く時刻が見つからなければ null', () => {
+      const always = [
+        { kind: 'daily', start_time: '00:00', end_time: '12:00' },
+        { kind: 'daily', start_time: '12:00', end_time: '00:00' }
+      ];
+      expect(nextAllowedTime(always, new Date('2026-03-02T00:00:00Z'), 'Asia/Tokyo')).toBeNull();
+    });
+  });
+
+  describe('describeBlackout', () => {
+    test('名前と期間を表示する', () => {
+      expect(describeBlackout(NIGHT)).toBe('毎日 23:00〜06:00');
+      expect(describeBlackout(EVENT)).toBe('決算発表（2026-03-03〜2026-03-04）');
+      expect(describeBlackout({ kind: 'dates', start_date: '2026-03-03', end_date: '2026-03-03' })).toBe('2026-03-03');
+    });
+  });
+
+  describe('loadActiveBlackouts', () => {
+    test('テーブル未作成ならルールなしとして扱う', async () => {
+      setupDb({ data: null, error: { message: 'relation "posting_blackouts" does not exist' } });
+
+      expect(await loadActiveBlackouts()).toEqual([]);
+    });
+  });
+
+  describe('listBlackouts', () => {
+    test('共通ルールとアカウントのルールを別々に取得し、共通ルールを先に返す', async () => {
+      const globalChain = chainFor({ data: [NIGHT], error: null });
+      const ownChain = chainFor({ data: [LUNCH, EVENT], error: null });
+      const from = jest.fn()
+        .mockReturnValueOnce(globalChain)
+        .mockReturnValueOnce(ownChain);
+      getDb.mockReturnValue({ from });
+
+      expect(await listBlackouts('10')).toEqual([NIGHT, LUNCH, EVENT]);
+      expect(globalChain.is).toHaveBeenCalledWith('account_id', null);
+      expect(ownChain.eq).toHaveBeenCalledWith('account_id', '10');
+      expect(ownChain.or).not.toHaveBeenCalled();
+    });
+
+    test('アカウント指定がなければ共通ルールだけを返す', async () => {
+      const chain = setupDb({ data: [NIGHT], error: null });
+
+      expect(await listBlackouts(undefined)).toEqual([NIGHT]);
+      expect(chain.eq).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('緊急停止', () => {
+    test('設定がなければ停止していない', async () => {
+      setupDb({ data: null, error: null });
+
+      expect(await getPostingPause()).toEqual({ paused: false, reason: null, since: null, source: null });
+    });
+
+    test('pausePosting が書いた形でない値は停止として扱わない', async () => {
+      setupDb({ data: { value: '100' }, error: null });
+
+      expect((await getPostingPause()).paused).toBe(false);
+    });
+
+    test('保存された理由と開始時刻を返す', async () => {
+      setupDb({ data: { value: JSON.stringify({ reason: '障害対応', since: '2026-03-02T00:00:00.000Z', source: 'telegram' }) }, error: null });
+
+      expect(await getPostingPause()).toEqual({
+        paused: true, reason: '障害対応', since: '2026-03-02T00:00:00.000Z', source: 'telegram'
+      });
+    });
+
+    test('pausePosting は settings に保存し、resumePosting は削除する', async () => {
+      const chain = setupDb({ data: null, error: null });
+
+      const pause = await pausePosting('障害対応', 'ui');
+      expect(pause).toEqual(expect.objectContaining({ paused: true, reason: '障害対応', source: 'ui' }));
+      const [row, options] = chain.upsert.mock.calls[0];
+      expect(row.key).toBe('posting_pause');
+      expect(JSON.parse(row.value)).toEqual(expect.objectContaining({ reason: '障害対応', source: 'ui' }));
+      expect(options).toEqual({ onConflict: 'key' });
+
+      await resumePosting();
+      expect(chain.delete).toHaveBeenCalled();
+      expect(chain.eq).toHaveBeenCalledWith('key', 'posting_pause');
+    });
+  });
+});
@@ -0,0 +1,184 @@
+jest.mock('../../server/db/database', () => ({
+  getDb: jest.fn()
+}));
+
+const mockSavePrompt = jest.fn();
+jest.mock('../../server/services/prompt-versions', () => ({
+  savePrompt: (...args) => mockSavePrompt(...args)
+}));
+
+const {
+  pickVariant, assignExperimentVariant, buildExperimentReport, promoteWinner, createExperiment
+} = require('../../server/services/prompt-experiments');
+const { getDb } = require('../../server/db/database');
+
+const VARIANTS = [
+  { id: 2, label: 'B', system_prompt: 'プロンプトB' },
+  { id: 1, label: 'A', system_prompt: 'プロンプトA' }
+];
+
+const EXPERIMENT = {
+  id: 5, task_type: 'tweet_generation', name: '冒頭の問いかけ',
+  assignment: 'alternate', assignment_count: 3, status: 'running',
+  prompt_experiment_variants: VARIANTS
+};
+
+// Per-table query chains: `tables[name]` is what awaiting the chain (or
+// .single()) resolves to. Updates and inserts are recorded per table.
+function setupDbMock(tables) {
+  const calls = { update: [], insert: [], in: [] };
+  getDb.mockReturnValue({
+    from: jest.fn((table) => {
+      const result = tables[table] || { data: null, error: null };
+      const chain = {
+        select: jest.fn(() => chain),
+        eq: jest.fn(() => chain),
+        in: jest.fn((col, vals) => { calls.in.push([table, col, vals]); return chain; }),
+        order: jest.fn(() => chain),
+        limit: jest.fn(() => chain),
+        delete: jest.fn(() => chain),
+        update: jest.fn((row) => { calls.update.push([table, row]); return chain; }),
+        insert: jest.fn((row) => { calls.insert.push([table, row]); return chain; }),
+        single: jest.fn(async () => result),
+        then: (resolve) => resolve(result)
+      };
+      return chain;
+    })
+  });
+  return calls;
+}
+
+function measuredPosts(variantId, rates) {
+  return rates.map((rate, i) => ({
+    experiment_variant_id: variantId,
+    status: 'posted',
+    engagement_rate: rate,
+    impression_count: 100 + i,
+    metrics_updated_at: '2026-10-01T00:00:00Z'
+  }));
+}
+
+describe('prompt-experiments', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('pickVariant', () => {
+    const experiment = { variants: [{ id: 1 }, { id: 2 }, { id: 3 }] };
+
+    test('alternate は割り当て回数の順に巡回する', () => {
+      expect(pickVariant({ ...experiment, assignment: 'alternate', assignment_count: 0 }).id).toBe(1);
+      expect(pickVariant({ ...experiment, assignment: 'alternate', assignment_count: 4 }).id).toBe(2);
+    });
+
+    test('random は乱数で選ぶ', () => {
+      expect(pickVariant({ ...experiment, assignment: 'random' }, () => 0.99).id).toBe(3);
+      expect(pickVariant({ ...experiment, assignment: 'random' }, () => 0).id).toBe(1);
+    });
+  });
+
+  describe('assignExperimentVariant', () => {
+    test('実行中の実験の案を割り当て、割り当て回数を増やす', async () => {
+      const calls = setupDbMock({ prompt_experiments: { data: [EXPERIMENT], error: null } });
+
+      const variant = await assignExperimentVariant('tweet_generation');
+
+      // Variants are ordered by id, count 3 % 2 -> second one
+      expect(variant).toEqual({ id: 2, label: 'B', system_prompt: 'プロンプトB' });
+      expect(calls.update).toEqual([['prompt_experiments', { assignment_count: 4 }]]);
+    });
+
+    test('実行中の実験がなければ null', async () => {
+      setupDbMock({ prompt_experiments: { data: [], error: null } });
+      expect(await assignExperimentVariant('tweet_generation')).toBeNull();
+    });
+
+    test('DB エラー時は null を返し生成を止めない', async () => {
+      getDb.mockImplementation(() => { throw new Error('connection refused'); });
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(await assignExperimentVariant('tweet_generation')).toBeNull();
+      expect(warnSpy).toHaveBeenCalled();
+      warnSpy.mockRestore();
+      getDb.mockReset();
+    });
+  });
+
+  test('実行中の実験が重複するとわかりやすいエラーにする', async () => {
+    setupDbMock({ prompt_experiments: { data: null, error: { code: '23505', message: 'duplicate key' } } });
+    await expect(createExperiment({
+      taskType: 'tweet_generation', name: 'x', variants: VARIANTS
+    })).rejects.toThrow('このタスクには実行中の実験があります');
+  });
+
+  describe('buildExperimentReport', () => {
+    test('計測済みの投稿だけで比較し、首位の案との差を検定する', async () => {
+      const highRates = [5.1, 4.9, 5.3, 5.0, 5.2, 4.8, 5.1, 5.0, 4.9, 5.2];
+      const lowRates = [2.1, 1.9, 2.3, 2.0, 2.2, 1.8, 2.1, 2.0, 1.9, 2.2];
+      const posts = [
+        ...measuredPosts(1, lowRates),
+        ...measuredPosts(2, highRates),
+        { experiment_variant_id: 1, status: 'draft', engagement_rate: 99, metrics_updated_at: null }
+      ];
+      const calls = setupDbMock({
+        prompt_experiments: { data: EXPERIMENT, error: null },
+        my_posts: { data: posts, error: null }
+      });
+
+      const report = await buildExperimentReport(5);
+
+      expect(calls.in).toEqual([['my_posts', 'experiment_variant_id', [1, 2]]]);
+      expect(report.leaderVariantId).toBe(2);
+      expect(report.significant).toBe(true);
+
+      const [a, b] = report.variants;
+      expect(a).toEqual(expect.objectContaining({ id: 1, posts: 11, measured: 10 }));
+      expect(a.engagementRate.mean).toBeCloseTo(2.05, 5);
+      expect(a.vsLeader.engagementRatePValue).toBeLessThan(0.001);
+      expect(b.vsLeader).toBeNull();
+    });
+
+    test('計測済みの投稿が少なければ有意としない', async () => {
+      setupDbMock({
+        prompt_experiments: { data: EXPERIMENT, error: null },
+        my_posts: { data: [...measuredPosts(1, [1, 1.1, 0.9]), ...measuredPosts(2, [5, 5.1, 4.9])], error: null }
+      });
+
+      const report = await buildExperimentReport(5);
+
+      expect(report.leaderVariantId).toBe(2);
+      expect(report.significant).toBe(false);
+    });
+
+    test('実験がなければ null', async () => {
+      setupDbMock({ prompt_experiments: { data: null, error: { message: 'not found' } } });
+      expect(await buildExperimentReport(99)).toBeNull();
+    });
+  });
+
+  describe('promoteWinner', () => {
+    test('案のプロンプトを保存して実験を完了する', async () => {
+      const calls = setupDbMock({
+        prompt_experiments: { data: EXPERIMENT, error: null },
+        custom_prompts: { data: { user_template: '現在のテンプレ' }, error: null }
+      });
+      mockSavePrompt.mockResolvedValue({ version: 8 });
+
+      const result = await promoteWinner(5, 2);
+
+      expect(result).toEqual({ version: 8 });
+      expect(mockSavePrompt).toHaveBeenCalledWith('tweet_generation', expect.objectContaining({
+        system_prompt: 'プロンプトB', user_template: '現在のテンプレ', is_custom: true
+      }), { note: 'A/Bテスト「冒頭の問いかけ」の勝者 B' });
+      expect(calls.update).toEqual([
+        ['prompt_experiments', expect.objectContaining({ status: 'completed', winner_variant_id: 2 })]
+      ]);
+    });
+
+    test('実験に含まれない案なら null', async () => {
+      setupDbMock({ prompt_experiments: { data: EXPERIMENT, error: null } });
+      expect(await promoteWinner(5, 42)).toBeNull();
+      expect(mockSavePrompt).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,86 @@
+jest.mock('../../server/db/database', () => ({
+  getDb: jest.fn()
+}));
+
+const {
+  recordPromptVersion, listPromptVersions, getPromptVersion, getCurrentPromptVersionId
+} = require('../../server/services/prompt-versions');
+const { getDb } = require('../../server/db/database');
+
+// prompt_versions query chain: list queries resolve to `rows`, insert().select().single()
+// echoes the inserted row with an id
+function setupDbMock(rows = [], { listError = null } = {}) {
+  const calls = { insert: [], eq: [] };
+  const chain = {
+    select: jest.fn(() => chain),
+    order: jest.fn(() => chain),
+    limit: jest.fn(() => chain),
+    eq: jest.fn((col, val) => { calls.eq.push([col, val]); return chain; }),
+    insert: jest.fn((row) => { calls.insert.push(row); return chain; }),
+    single: jest.fn(async () => (calls.insert.length > 0
+      ? { data: { id: 7, ...calls.insert[calls.insert.length - 1] }, error: null }
+      : { data: rows[0] || null, error: null })),
+    then: (resolve) => resolve({ data: listError ? null : rows, error: listError })
+  };
+  getDb.mockReturnValue({ from: jest.fn(() => chain) });
+  return calls;
+}
+
+describe('prompt-versions', () => {
+  describe('recordPromptVersion', () => {
+    test('最新バージョンの次の番号で記録する', async () => {
+      const calls = setupDbMock([{ version: 4 }]);
+
+      const row = await recordPromptVersion('tweet_generation', {
+        system_prompt: 'プロンプト', user_template: 'テンプレ', is_custom: true
+      }, { note: '語尾を修正' });
+
+      expect(calls.insert[0]).toEqual({
+        task_type: 'tweet_generation',
+        version: 5,
+        system_prompt: 'プロンプト',
+        user_template: 'テンプレ',
+        is_custom: true,
+        note: '語尾を修正',
+        rolled_back_from: null
+      });
+      expect(row.id).toBe(7);
+    });
+
+    test('履歴がなければ v1 から始める', async () => {
+      const calls = setupDbMock([]);
+      await recordPromptVersion('tweet_generation', { system_prompt: 'p' });
+      expect(calls.insert[0]).toEqual(expect.objectContaining({ version: 1, note: null, user_template: '', is_custom: true }));
+    });
+
+    test('履歴の取得に失敗したらエラーを投げる', async () => {
+      setupDbMock([], { listError: new Error('relation "prompt_versions" does not exist') });
+      await expect(recordPromptVersion('tweet_generation', { system_prompt: 'p' })).rejects.toThrow('does not exist');
+    });
+  });
+
+  test('listPromptVersions はタスクの履歴を返す', async () => {
+    const calls = setupDbMock([{ version: 2 }, { version: 1 }]);
+    expect(await listPromptVersions('tweet_generation')).toEqual([{ version: 2 }, { version: 1 }]);
+    expect(calls.eq).toContainEqual(['task_type', 'tweet_generation']);
+  });
+
+  test('getPromptVersion は見つからなければ null', async () => {
+    setupDbMock([]);
+    expect(await getPromptVersion('tweet_generation', 3)).toBeNull();
+  });
+
+  describe('getCurrentPromptVersionId', () => {
+    test('最新バージョンの id を返す', async () => {
+      setupDbMock([{ id: 12 }]);
+      expect(await getCurrentPromptVersionId('tweet_generation')).toBe(12);
+    });
+
+    test('履歴がない・テーブルがない場合は null', async () => {
+      setupDbMock([]);
+      expect(await getCurrentPromptVersionId('tweet_generation')).toBeNull();
+      getDb.mockImplementation(() => { throw new Error('no db'); });
+      expect(await getCurrentPromptVersionId('tweet_generation')).toBeNull();
+    });
+  });
+});
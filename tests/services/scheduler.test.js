@@ -19,14 +19,19 @@ jest.mock('../../server/db/database', () => {
 
 // Mock x-api
 const mockPostTweet = jest.fn().mockResolvedValue({ data: { id: 'tweet-123' } });
+const mockPostThread = jest.fn();
+const mockGetUserTweets = jest.fn().mockResolvedValue({ data: [] });
 jest.mock('../../server/services/x-api', () => ({
   postTweet: mockPostTweet,
-  getUserTweets: jest.fn().mockResolvedValue({ data: [] })
+  postThread: mockPostThread,
+  getUserTweets: mockGetUserTweets,
+  waitForRateLimit: jest.fn().mockResolvedValue(true)
 }));
 
 // Mock other scheduler dependencies
 jest.mock('../../server/services/analytics', () => ({
-  calculateEngagementRate: jest.fn().mockReturnValue(0)
+  calculateEngagementRate: jest.fn().mockReturnValue(0),
+  calculateVelocityScore: jest.fn().mockReturnValue(0)
 }));
 
 jest.mock('../../server/services/batch-manager', () => ({
@@ -54,11 +59,26 @@ jest.mock('../../server/services/tweet-improver', () => ({
   autoAdjustSettings: jest.fn().mockResolvedValue({ adjusted: false })
 }));
 
+// Blackout matching is real; the pause and the rules come from the tests
+const mockGetPostingPause = jest.fn().mockResolvedValue({ paused: false });
+const mockLoadActiveBlackouts = jest.fn().mockResolvedValue([]);
+jest.mock('../../server/services/posting-blackout', () => ({
+  ...jest.requireActual('../../server/services/posting-blackout'),
+  getPostingPause: (...args) => mockGetPostingPause(...args),
+  loadActiveBlackouts: (...args) => mockLoadActiveBlackouts(...args)
+}));
+
+// Closing up the queue after a queued post leaves it
+const mockCompactQueue = jest.fn().mockResolvedValue(0);
+jest.mock('../../server/services/post-queue', () => ({
+  compactQueue: (...args) => mockCompactQueue(...args)
+}));
+
 jest.mock('node-cron', () => ({
   schedule: jest.fn()
 }), { virtual: true });
 
-const { processScheduledPosts } = require('../../server/services/scheduler');
+const { processScheduledPosts, fetchAllCompetitorTweets } = require('../../server/services/scheduler');
 const { getDb } = require('../../server/db/database');
 
 // Helper to create a mock DB with proper chaining
@@ -207,4 +227,341 @@ describe('processScheduledPosts', () => {
       error_message: '元ツイートが削除されたため投稿できませんでした'
     });
   });
+  test('スレッド投稿は postThread で全パートを投稿し、IDを記録する', async () => {
+    const threadPost = {
+      id: 8, account_id: 10, text: 'パート1',
+      thread_parts: ['パート1', 'パート2'], thread_tweet_ids: [],
+      post_type: 'new', target_tweet_id: null,
+      status: 'scheduled', scheduled_at: '2026-02-17T00:00:00.000Z'
+    };
+
+    const mockDb = createMockDb({ data: [threadPost], error: null });
+    getDb.mockReturnValue(mockDb);
+    mockPostThread.mockResolvedValueOnce({ data: { id: 't-1', ids: ['t-1', 't-2'] } });
+
+    await processScheduledPosts();
+
+    expect(mockPostTweet).not.toHaveBeenCalled();
+    expect(mockPostThread).toHaveBeenCalledWith(['パート1', 'パート2'], { accountId: 10, postedIds: [] });
+    expect(mockDb._queryChain.update).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'posted', tweet_id: 't-1', thread_tweet_ids: ['t-1', 't-2']
+    }));
+  });
+
+  test('スレッドが途中で失敗した場合は進捗を保存して予約状態のまま再試行する', async () => {
+    const threadPost = {
+      id: 9, account_id: 10, text: 'パート1',
+      thread_parts: ['パート1', 'パート2', 'パート3'], thread_tweet_ids: [],
+      post_type: 'new', target_tweet_id: null,
+      status: 'scheduled', scheduled_at: '2026-02-17T00:00:00.000Z'
+    };
+
+    const mockDb = createMockDb({ data: [threadPost], error: null });
+    getDb.mockReturnValue(mockDb);
+    const err = new Error('X API error 503');
+    err.postedIds = ['t-1'];
+    err.failedIndex = 1;
+    mockPostThread.mockRejectedValueOnce(err);
+
+    await processScheduledPosts();
+
+    const update = mockDb._queryChain.update.mock.calls[0][0];
+    expect(update.status).toBeUndefined();
+    expect(update.thread_tweet_ids).toEqual(['t-1']);
+    expect(update.tweet_id).toBe('t-1');
+    expect(update.error_message).toBe('スレッド 2/3 件目で失敗: X API error 503');
+    expect(new Date(update.scheduled_at).getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('再開時に進捗がなければ failed に更新する', async () => {
+    const threadPost = {
+      id: 10, account_id: 10, text: 'パート1',
+      thread_parts: ['パート1', 'パート2'], thread_tweet_ids: ['t-1'],
+      post_type: 'new', target_tweet_id: null,
+      status: 'scheduled', scheduled_at: '2026-02-17T00:00:00.000Z'
+    };
+
+    const mockDb = createMockDb({ data: [threadPost], error: null });
+    getDb.mockReturnValue(mockDb);
+    const err = new Error('X API error 503');
+    err.postedIds = ['t-1'];
+    err.failedIndex = 1;
+    mockPostThread.mockRejectedValueOnce(err);
+
+    await processScheduledPosts();
+
+    expect(mockPostThread).toHaveBeenCalledWith(['パート1', 'パート2'], { accountId: 10, postedIds: ['t-1'] });
+    expect(mockDb._queryChain.update).toHaveBeenCalledWith({ status: 'failed', error_message: 'X API error 503' });
+  });
+
+  describe('投稿停止ルール', () => {
+    // Due posts for the query; records every my_posts update
+    function createBlackoutDb(posts) {
+      const updates = [];
+      const updateChain = {
+        eq: jest.fn(() => updateChain),
+        then: (resolve) => resolve({ error: null })
+      };
+      const chain = {
+        select: jest.fn(() => chain),
+        eq: jest.fn(() => chain),
+        lte: jest.fn().mockResolvedValue({ data: posts, error: null }),
+        update: jest.fn((data) => { updates.push(data); return updateChain; })
+      };
+      getDb.mockReturnValue({ from: jest.fn(() => chain) });
+      return { chain, updates };
+    }
+
+    const NIGHT = { id: 1, account_id: null, kind: 'daily', start_time: '23:00', end_time: '06:00', action: 'shift', enabled: true };
+    const duePost = (id, extra = {}) => ({
+      id, account_id: 10, text: `投稿${id}`, post_type: 'new', target_tweet_id: null,
+      status: 'scheduled', scheduled_at: '2026-03-02T14:00:00.000Z', queue_slot_id: 3,
+      x_accounts: { timezone: 'Asia/Tokyo' }, ...extra
+    });
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      // 23:30 JST
+      jest.setSystemTime(new Date('2026-03-02T14:30:00Z'));
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+      mockGetPostingPause.mockResolvedValue({ paused: false });
+      mockLoadActiveBlackouts.mockResolvedValue([]);
+    });
+
+    test('緊急停止中は予約投稿を取得せず、予約状態のまま残す', async () => {
+      mockGetPostingPause.mockResolvedValue({ paused: true, reason: '障害対応' });
+      const { chain } = createBlackoutDb([duePost(1)]);
+
+      await processScheduledPosts();
+
+      expect(chain.select).not.toHaveBeenCalled();
+      expect(mockPostTweet).not.toHaveBeenCalled();
+    });
+
+    test('shift ルールの時間帯は明けた時刻へずらし、同じアカウントの投稿は間隔をあける', async () => {
+      mockLoadActiveBlackouts.mockResolvedValue([NIGHT]);
+      const { chain, updates } = createBlackoutDb([duePost(1), duePost(2)]);
+
+      await processScheduledPosts();
+
+      expect(mockPostTweet).not.toHaveBeenCalled();
+      expect(chain.select).toHaveBeenCalledWith('*, x_accounts(timezone)');
+      // 06:00 JST, then 10 minutes later
+      expect(updates).toEqual([
+        { scheduled_at: '2026-03-02T21:00:00.000Z', queue_slot_id: null },
+        { scheduled_at: '2026-03-02T21:10:00.000Z', queue_slot_id: null }
+      ]);
+    });
+
+    test('hold ルールは下書きに戻して理由を残す', async () => {
+      mockLoadActiveBlackouts.mockResolvedValue([{ ...NIGHT, name: '夜間', action: 'hold' }]);
+      const { updates } = createBlackoutDb([duePost(1)]);
+
+      await processScheduledPosts();
+
+      expect(mockPostTweet).not.toHaveBeenCalled();
+      expect(updates).toEqual([{
+        status: 'draft', queue_slot_id: null, error_message: '投稿停止ルール「夜間（毎日 23:00〜06:00）」のため保留しました'
+      }]);
+    });
+
+    test('キューの投稿を延期・保留したらキューを詰める', async () => {
+      mockLoadActiveBlackouts.mockResolvedValue([{ ...NIGHT, account_id: 10 }, { ...NIGHT, id: 2, account_id: 11, action: 'hold' }]);
+      createBlackoutDb([duePost(1), duePost(2, { account_id: 11, post_type: 'reply' }), duePost(3, { queue_slot_id: null })]);
+
+      await processScheduledPosts();
+
+      expect(mockCompactQueue).toHaveBeenCalledTimes(2);
+      expect(mockCompactQueue).toHaveBeenCalledWith(10, 'new');
+      expect(mockCompactQueue).toHaveBeenCalledWith(11, 'reply');
+    });
+
+    test('キューを詰められなくても投稿は延期したままにする', async () => {
+      mockLoadActiveBlackouts.mockResolvedValue([NIGHT]);
+      mockCompactQueue.mockRejectedValueOnce(new Error('DB error'));
+      const { updates } = createBlackoutDb([duePost(1)]);
+
+      await processScheduledPosts();
+
+      expect(mockPostTweet).not.toHaveBeenCalled();
+      expect(updates).toEqual([{ scheduled_at: '2026-03-02T21:00:00.000Z', queue_slot_id: null }]);
+    });
+
+    test('途中まで投稿したスレッドは hold でも残りをずらして投稿する', async () => {
+      mockLoadActiveBlackouts.mockResolvedValue([{ ...NIGHT, action: 'hold' }]);
+      const { updates } = createBlackoutDb([duePost(1, { thread_parts: ['a', 'b'], thread_tweet_ids: ['t-1'] })]);
+
+      await processScheduledPosts();
+
+      expect(mockPostThread).not.toHaveBeenCalled();
+      expect(updates).toEqual([{ scheduled_at: '2026-03-02T21:00:00.000Z', queue_slot_id: null }]);
+    });
+
+    test('ルールは投稿のアカウントのタイムゾーンで判定し、他アカウントのルールはかからない', async () => {
+      mockLoadActiveBlackouts.mockResolvedValue([{ ...NIGHT, account_id: 10 }]);
+      createBlackoutDb([
+        duePost(1, { x_accounts: { timezone: 'America/New_York' } }), // 09:30 EST
+        duePost(2, { account_id: 11 })
+      ]);
+
+      await processScheduledPosts();
+
+      expect(mockPostTweet).toHaveBeenCalledTimes(2);
+    });
+  });
+});
+
+describe('fetchAllCompetitorTweets', () => {
+  // Competitor rows for the list query; records upserts and competitors updates
+  function createCompetitorDb(competitors) {
+    const calls = { upsert: [], update: [] };
+    const chain = {
+      select: jest.fn(() => chain),
+      in: jest.fn(() => chain),
+      gte: jest.fn(() => Promise.resolve({ data: [], error: null })),
+      limit: jest.fn(() => Promise.resolve({ data: competitors, error: null })),
+      eq: jest.fn(() => Promise.resolve({ error: null })),
+      insert: jest.fn(() => Promise.resolve({ error: null })),
+      upsert: jest.fn((rows) => { calls.upsert.push(rows); return Promise.resolve({ error: null }); }),
+      update: jest.fn((row) => { calls.update.push(row); return chain; })
+    };
+    return { db: { from: jest.fn(() => chain) }, calls };
+  }
+
+  const competitor = { id: 7, handle: 'kyoto_walker', user_id: 'u-7', account_id: 1, newest_tweet_id: '300' };
+  const tweet = (id) => ({ id, text: `tweet ${id}`, created_at: '2026-10-18T00:00:00.000Z', public_metrics: { like_count: 1 } });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('since_id 以降のツイートだけをページ送りで取得し、取得記録を保存する', async () => {
+    const { db, calls } = createCompetitorDb([competitor]);
+    getDb.mockReturnValue(db);
+    mockGetUserTweets
+      .mockResolvedValueOnce({ data: [tweet('305'), tweet('304')], meta: { newest_id: '305', next_token: 'page-2' } })
+      .mockResolvedValueOnce({ data: [tweet('303')], meta: { newest_id: '303' } });
+
+    const result = await fetchAllCompetitorTweets();
+
+    expect(mockGetUserTweets).toHaveBeenNthCalledWith(1, 'u-7', 100, 1, { sinceId: '300', paginationToken: undefined });
+    expect(mockGetUserTweets).toHaveBeenNthCalledWith(2, 'u-7', 100, 1, { sinceId: '300', paginationToken: 'page-2' });
+    expect(calls.upsert[0].map(r => r.tweet_id)).toEqual(['305', '304', '303']);
+    expect(calls.update[0]).toEqual(expect.objectContaining({
+      newest_tweet_id: '305',
+      last_fetch_tweet_count: 3,
+      last_fetch_error: null
+    }));
+    expect(calls.update[0].last_fetch_cost_usd).toBeCloseTo(0.015);
+    expect(result).toEqual({ fetched: 1, deferred: [] });
+  });
+
+  test('新着がなければ保存せず、since_id も変えない', async () => {
+    const { db, calls } = createCompetitorDb([competitor]);
+    getDb.mockReturnValue(db);
+    mockGetUserTweets.mockResolvedValueOnce({ meta: { result_count: 0 } });
+
+    await fetchAllCompetitorTweets();
+
+    expect(calls.upsert).toHaveLength(0);
+    expect(calls.update[0]).toEqual(expect.objectContaining({ last_fetch_tweet_count: 0, last_fetch_cost_usd: 0 }));
+    expect(calls.update[0]).not.toHaveProperty('newest_tweet_id');
+  });
+
+  test('ページ途中でレート制限に達した場合は取得分を保存し、読めなかった範囲を補完用に記録する', async () => {
+    const { db, calls } = createCompetitorDb([competitor]);
+    getDb.mockReturnValue(db);
+    const rateLimited = new Error('X API rate limit');
+    rateLimited.rateLimited = true;
+    mockGetUserTweets
+      .mockResolvedValueOnce({ data: [tweet('305')], meta: { newest_id: '305', oldest_id: '305', next_token: 'page-2' } })
+      .mockRejectedValueOnce(rateLimited);
+
+    await fetchAllCompetitorTweets();
+
+    expect(calls.upsert[0].map(r => r.tweet_id)).toEqual(['305']);
+    expect(calls.update[0]).toEqual(expect.objectContaining({
+      newest_tweet_id: '305',
+      backfill_since_id: '300',
+      backfill_until_id: '305',
+      last_fetch_tweet_count: 1
+    }));
+  });
+
+  test('ページ上限で打ち切った場合は最新まで進め、残りを補完用に記録する', async () => {
+    const { db, calls } = createCompetitorDb([competitor]);
+    getDb.mockReturnValue(db);
+    for (let page = 0; page < 5; page++) {
+      const id = String(900 - page);
+      mockGetUserTweets.mockResolvedValueOnce({
+        data: [tweet(id)],
+        meta: { newest_id: id, oldest_id: id, next_token: `page-${page + 2}` }
+      });
+    }
+
+    await fetchAllCompetitorTweets();
+
+    expect(mockGetUserTweets).toHaveBeenCalledTimes(5);
+    expect(calls.upsert[0]).toHaveLength(5);
+    expect(calls.update[0]).toEqual(expect.objectContaining({
+      newest_tweet_id: '900',
+      backfill_since_id: '300',
+      backfill_until_id: '896',
+      last_fetch_tweet_count: 5
+    }));
+  });
+
+  test('補完範囲があれば until_id で先に読み、読み終えたら残りのページで新着を取得する', async () => {
+    const { db, calls } = createCompetitorDb([{ ...competitor, newest_tweet_id: '900', backfill_since_id: '300', backfill_until_id: '896' }]);
+    getDb.mockReturnValue(db);
+    mockGetUserTweets
+      .mockResolvedValueOnce({ data: [tweet('895'), tweet('301')], meta: { newest_id: '895', oldest_id: '301' } })
+      .mockResolvedValueOnce({ data: [tweet('901')], meta: { newest_id: '901', oldest_id: '901' } });
+
+    await fetchAllCompetitorTweets();
+
+    expect(mockGetUserTweets).toHaveBeenNthCalledWith(1, 'u-7', 100, 1, { sinceId: '300', untilId: '896', paginationToken: undefined });
+    expect(mockGetUserTweets).toHaveBeenNthCalledWith(2, 'u-7', 100, 1, { sinceId: '900', untilId: undefined, paginationToken: undefined });
+    expect(calls.upsert[0].map(r => r.tweet_id)).toEqual(['895', '301', '901']);
+    expect(calls.update[0]).toEqual(expect.objectContaining({
+      newest_tweet_id: '901',
+      backfill_since_id: null,
+      backfill_until_id: null,
+      last_fetch_tweet_count: 3
+    }));
+  });
+
+  test('補完範囲を読み切れなければ新着は取得せず、補完の位置だけ進める', async () => {
+    const { db, calls } = createCompetitorDb([{ ...competitor, newest_tweet_id: '900', backfill_since_id: '300', backfill_until_id: '896' }]);
+    getDb.mockReturnValue(db);
+    for (let page = 0; page < 5; page++) {
+      const id = String(895 - page);
+      mockGetUserTweets.mockResolvedValueOnce({
+        data: [tweet(id)],
+        meta: { newest_id: id, oldest_id: id, next_token: `page-${page + 2}` }
+      });
+    }
+
+    await fetchAllCompetitorTweets();
+
+    expect(mockGetUserTweets).toHaveBeenCalledTimes(5);
+    expect(mockGetUserTweets.mock.calls.every(call => call[3].untilId === '896')).toBe(true);
+    expect(calls.update[0].backfill_until_id).toBe('891');
+    expect(calls.update[0]).not.toHaveProperty('newest_tweet_id');
+    expect(calls.update[0]).not.toHaveProperty('backfill_since_id');
+  });
+
+  test('初回は since_id なしで少数だけ取得する', async () => {
+    const { db, calls } = createCompetitorDb([{ ...competitor, newest_tweet_id: null }]);
+    getDb.mockReturnValue(db);
+    mockGetUserTweets.mockResolvedValueOnce({ data: [tweet('305'), tweet('304')], meta: { newest_id: '305' } });
+
+    await fetchAllCompetitorTweets();
+
+    expect(mockGetUserTweets).toHaveBeenCalledWith('u-7', 30, 1);
+    expect(calls.update[0].newest_tweet_id).toBe('305');
+  });
 });
@@ -150,6 +150,59 @@ describe('telegram-bot', () => {
       );
     });
 
+    test('文面チェック違反がある案は違反内容を表示し、投稿ボタンを出さない', async () => {
+      await telegramBot.initTelegramBot();
+      mockSendMessage.mockResolvedValue({ message_id: 102 });
+
+      await telegramBot.sendTweetProposal('12345', {
+        postId: 'post-3',
+        text: '浅草 #東京観光',
+        index: 1,
+        total: 1,
+        postType: 'new',
+        lintViolations: [{ rule: 'hashtag', matches: ['#東京観光'] }]
+      });
+
+      const [, message, options] = mockSendMessage.mock.calls[0];
+      expect(message).toContain('🚫 文面チェック: ハッシュタグ（#東京観光）');
+      const callbacks = options.reply_markup.inline_keyboard.flat().map(b => b.callback_data);
+      expect(callbacks).not.toContain('approve:post-3');
+      expect(callbacks).not.toContain('confirm_approve:post-3');
+      expect(callbacks).not.toContain('queue:post-3');
+      expect(callbacks).toEqual(expect.arrayContaining(['edit:post-3', 'regenerate:post-3', 'reject:post-3']));
+    });
+
+    test('警告のない案にはキューに追加するボタンを出し、ファクトチェック警告があれば出さない', async () => {
+      await telegramBot.initTelegramBot();
+      mockSendMessage.mockResolvedValue({ message_id: 105 });
+
+      await telegramBot.sendTweetProposal('12345', { postId: 'post-6', text: '雷門の朝', index: 1, total: 2, postType: 'new' });
+      await telegramBot.sendTweetProposal('12345', {
+        postId: 'post-7', text: '金龍寺の朝', index: 2, total: 2, postType: 'new', factCheck: '「金龍寺」は架空の寺名'
+      });
+
+      const callbacksOf = (call) => call[2].reply_markup.inline_keyboard.flat().map(b => b.callback_data);
+      expect(callbacksOf(mockSendMessage.mock.calls[0])).toContain('queue:post-6');
+      expect(callbacksOf(mockSendMessage.mock.calls[1])).not.toContain('queue:post-7');
+    });
+
+    test('過去投稿との類似度があれば表示する', async () => {
+      await telegramBot.initTelegramBot();
+      mockSendMessage.mockResolvedValue({ message_id: 104 });
+
+      await telegramBot.sendTweetProposal('12345', {
+        postId: 'post-5',
+        text: '雷門の朝',
+        index: 1,
+        total: 1,
+        postType: 'new',
+        similarity: { score: 0.18, post_id: 41, method: 'tfidf' }
+      });
+
+      const [, message] = mockSendMessage.mock.calls[0];
+      expect(message).toContain('🔁 過去投稿との類似度: 18%');
+    });
+
     test('should show fact check warning and confirm_approve button when factCheck has issues', async () => {
       await telegramBot.initTelegramBot();
       mockSendMessage.mockResolvedValue({ message_id: 103 });
@@ -46,6 +46,34 @@ jest.mock('../../server/services/x-api', () => ({
   postTweet: mockPostTweet
 }));
 
+// Mock post deletion
+const mockDeletePostFromX = jest.fn();
+jest.mock('../../server/services/post-deletion', () => ({
+  deletePostFromX: mockDeletePostFromX
+}));
+
+// Mock posting queue
+const mockEnqueueDraft = jest.fn();
+jest.mock('../../server/services/post-queue', () => ({
+  enqueueDraft: mockEnqueueDraft
+}));
+
+// Mock account timezone lookup
+const mockGetAccountTimeZone = jest.fn();
+jest.mock('../../server/services/account-timezone', () => ({
+  getAccountTimeZone: mockGetAccountTimeZone
+}));
+
+// Mock emergency pause
+const mockGetPostingPause = jest.fn();
+const mockPausePosting = jest.fn();
+const mockResumePosting = jest.fn();
+jest.mock('../../server/services/posting-blackout', () => ({
+  getPostingPause: mockGetPostingPause,
+  pausePosting: mockPausePosting,
+  resumePosting: mockResumePosting
+}));
+
 // Mock app-logger
 jest.mock('../../server/services/app-logger', () => ({
   logError: jest.fn(),
@@ -56,6 +84,7 @@ jest.mock('../../server/services/app-logger', () => ({
 const {
   triggerTweetProposal,
   approveTweet,
+  queueTweet,
   confirmApprove,
   rejectTweet,
   regenerateTweet,
@@ -69,6 +98,7 @@ describe('telegram-workflow', () => {
   beforeEach(() => {
     jest.clearAllMocks();
     mockGetTelegramChatId.mockReturnValue('12345');
+    mockGetAccountTimeZone.mockResolvedValue('Asia/Tokyo');
 
     // Reset mockChain methods
     Object.values(mockChain).forEach(fn => fn.mockReturnThis());
@@ -177,6 +207,92 @@ describe('telegram-workflow', () => {
         .rejects.toThrow('下書き保存エラー');
     });
 
+    test('文面チェック違反のある案は違反内容を保存して提案に渡す', async () => {
+      mockGenerateTweets.mockResolvedValue({
+        provider: 'claude',
+        model: 'test',
+        candidates: [{ text: '浅草を案内した' }, { text: '浅草 #東京観光' }]
+      });
+      const insertChain = {
+        insert: jest.fn().mockReturnThis(),
+        select: jest.fn().mockResolvedValue({
+          data: [{ id: 'post-1', text: '浅草を案内した' }, { id: 'post-2', text: '浅草 #東京観光' }],
+          error: null
+        }),
+        update: jest.fn().mockReturnThis(),
+        eq: jest.fn().mockReturnThis()
+      };
+      setupFromMock({ my_posts: () => insertChain });
+      mockSendTweetProposal.mockResolvedValue({ message_id: 100 });
+
+      await triggerTweetProposal('account-1', { theme: '浅草' });
+
+      const rows = insertChain.insert.mock.calls[0][0];
+      expect(rows[0].lint_violations).toBeNull();
+      expect(rows[1].lint_violations).toEqual([{ rule: 'hashtag', matches: ['#東京観光'] }]);
+      expect(mockSendTweetProposal).toHaveBeenCalledWith('12345', expect.objectContaining({
+        postId: 'post-2',
+        lintViolations: [{ rule: 'hashtag', matches: ['#東京観光'] }]
+      }));
+    });
+
+    test('block ポリシーでは違反した案を破棄し、すべて違反ならエラー', async () => {
+      mockGenerateTweets.mockResolvedValue({
+        provider: 'claude',
+        model: 'test',
+        candidates: [{ text: '浅草 #東京観光' }, { text: '混むかもしれません' }]
+      });
+      setupFromMock({
+        x_accounts: () => ({
+          select: jest.fn().mockReturnThis(),
+          eq: jest.fn().mockReturnThis(),
+          single: jest.fn().mockResolvedValue({ data: { lint_policy: 'block' }, error: null })
+        })
+      });
+
+      await expect(triggerTweetProposal('account-1', { theme: '浅草' }))
+        .rejects.toThrow('すべてのツイート案が文面チェックに違反したため破棄しました');
+      expect(mockSendTweetProposal).not.toHaveBeenCalled();
+    });
+
+    test('過去の投稿と似ている新規ツイート案は破棄し、残りに類似度を付ける', async () => {
+      const posted = '浅草の雷門前、朝8時。アメリカから来たゲストが「提灯が思ったより大きい」と笑った。写真より実物、これはガイドをやっていて毎回思う。';
+      const retold = '朝8時の雷門。アメリカ人のゲストが提灯を見上げて「写真で見るより大きいね」と笑っていた。実物の迫力は写真では伝わらない。';
+      const fresh = '英語ガイドで大事なのは語彙力より間の取り方。沈黙を怖がらない方が伝わる。';
+      mockGenerateTweets.mockResolvedValue({
+        provider: 'claude',
+        model: 'test',
+        candidates: [{ text: retold }, { text: fresh }]
+      });
+      const historyChain = {
+        eq: jest.fn().mockReturnThis(),
+        in: jest.fn().mockReturnThis(),
+        order: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockResolvedValue({ data: [{ id: 41, text: posted }], error: null })
+      };
+      const insertChain = {
+        insert: jest.fn().mockReturnThis(),
+        select: jest.fn((columns) => (columns === 'id, text'
+          ? Promise.resolve({ data: [{ id: 'post-1', text: fresh }], error: null })
+          : historyChain)),
+        update: jest.fn().mockReturnThis(),
+        eq: jest.fn().mockReturnThis()
+      };
+      setupFromMock({ my_posts: () => insertChain });
+      mockSendTweetProposal.mockResolvedValue({ message_id: 100 });
+
+      const result = await triggerTweetProposal('account-1', { theme: '浅草' });
+
+      expect(result.generated).toBe(1);
+      const rows = insertChain.insert.mock.calls[0][0];
+      expect(rows).toHaveLength(1);
+      expect(rows[0].text).toBe(fresh);
+      expect(rows[0].similarity).toEqual({ score: expect.any(Number), post_id: 41, method: 'tfidf' });
+      expect(mockSendTweetProposal).toHaveBeenCalledWith('12345', expect.objectContaining({
+        similarity: rows[0].similarity
+      }));
+    });
+
     test('should throw when no candidates are generated', async () => {
       mockGenerateTweets.mockResolvedValue({
         provider: 'claude',
@@ -310,6 +426,26 @@ describe('telegram-workflow', () => {
         expect.stringContaining('自動却下'));
     });
 
+    test('文面チェックに違反している下書きは投稿せず通知する', async () => {
+      const mockPost = {
+        id: 'post-4',
+        text: '浅草 #東京観光',
+        account_id: 'account-1',
+        post_type: 'new',
+        status: 'draft',
+        telegram_chat_id: '12345'
+      };
+
+      setupFromMock({
+        my_posts: () => buildMyPostsChain(mockPost)
+      });
+
+      await expect(approveTweet('post-4')).rejects.toThrow('文面チェックに違反しています');
+      expect(mockPostTweet).not.toHaveBeenCalled();
+      expect(mockSendNotification).toHaveBeenCalledWith('12345',
+        expect.stringContaining('ハッシュタグ（#東京観光）'));
+    });
+
     test('should notify on post failure and mark as failed', async () => {
       const mockPost = {
         id: 'post-3',
@@ -332,6 +468,67 @@ describe('telegram-workflow', () => {
     });
   });
 
+  describe('queueTweet', () => {
+    const mockPost = {
+      id: 'post-1',
+      text: 'テストツイート',
+      account_id: 'account-1',
+      post_type: 'new',
+      status: 'draft',
+      telegram_chat_id: '12345',
+      telegram_message_id: '100'
+    };
+
+    function buildMyPostsChain(post) {
+      const chain = {};
+      chain.select = jest.fn().mockReturnValue(chain);
+      chain.eq = jest.fn().mockReturnValue(chain);
+      chain.single = jest.fn().mockResolvedValue({ data: post, error: null });
+      return chain;
+    }
+
+    test('次の空き枠に予約し、投稿予定の時刻をメッセージに出す', async () => {
+      setupFromMock({ my_posts: () => buildMyPostsChain(mockPost) });
+      mockEnqueueDraft.mockResolvedValue({ at: '2026-03-03T00:00:00.000Z', slotId: 4, name: '朝の枠' });
+
+      const result = await queueTweet('post-1');
+
+      expect(result).toEqual({ scheduledAt: '2026-03-03T00:00:00.000Z' });
+      expect(mockEnqueueDraft).toHaveBeenCalledWith(mockPost);
+      expect(mockPostTweet).not.toHaveBeenCalled();
+      expect(mockUpdateMessage).toHaveBeenCalledWith('12345', 100,
+        expect.stringContaining('キューに追加しました（3/3 09:00 投稿予定・朝の枠）'));
+    });
+
+    test('投稿予定の時刻はアカウントのタイムゾーンで出す', async () => {
+      setupFromMock({ my_posts: () => buildMyPostsChain(mockPost) });
+      mockGetAccountTimeZone.mockResolvedValue('America/New_York');
+      mockEnqueueDraft.mockResolvedValue({ at: '2026-03-03T00:00:00.000Z', slotId: 4, name: null });
+
+      await queueTweet('post-1');
+
+      expect(mockGetAccountTimeZone).toHaveBeenCalledWith('account-1');
+      expect(mockUpdateMessage).toHaveBeenCalledWith('12345', 100,
+        expect.stringContaining('キューに追加しました（3/2 19:00 投稿予定）'));
+    });
+
+    test('枠がなければ通知して下書きのまま残す', async () => {
+      setupFromMock({ my_posts: () => buildMyPostsChain(mockPost) });
+      mockEnqueueDraft.mockRejectedValue(new Error('キューの投稿枠が設定されていません'));
+
+      await expect(queueTweet('post-1')).rejects.toThrow('キューの投稿枠が設定されていません');
+      expect(mockSendNotification).toHaveBeenCalledWith('12345',
+        expect.stringContaining('キューに追加できませんでした'));
+    });
+
+    test('文面チェックに違反している下書きはキューに入れない', async () => {
+      setupFromMock({ my_posts: () => buildMyPostsChain({ ...mockPost, text: '浅草 #東京観光' }) });
+
+      await expect(queueTweet('post-1')).rejects.toThrow('文面チェックに違反しています');
+      expect(mockEnqueueDraft).not.toHaveBeenCalled();
+    });
+  });
+
   describe('rejectTweet', () => {
     test('should mark post as rejected and update Telegram message', async () => {
       const mockPost = {
@@ -561,6 +758,21 @@ describe('telegram-workflow', () => {
         expect.stringContaining('却下済み'));
     });
 
+    test('queue コールバックはキューに追加する', async () => {
+      setupFromMock({
+        my_posts: () => buildChain({ id: 'post-1', text: 'テスト', account_id: 'account-1', status: 'draft', telegram_chat_id: '12345' })
+      });
+      mockEnqueueDraft.mockResolvedValue({ at: '2026-03-03T00:00:00.000Z', slotId: 4, name: null });
+
+      await handleCallback({
+        data: 'queue:post-1',
+        message: { chat: { id: 12345 } }
+      });
+
+      expect(mockEnqueueDraft).toHaveBeenCalled();
+      expect(mockPostTweet).not.toHaveBeenCalled();
+    });
+
     test('should route confirm_approve callback correctly', async () => {
       const mockPost = {
         id: 'post-1',
@@ -612,8 +824,42 @@ describe('telegram-workflow', () => {
     });
   });
 
+  describe('delete from X', () => {
+    test('should route force_delete callback to deletePostFromX and update the message', async () => {
+      const chain = {};
+      chain.select = jest.fn().mockReturnValue(chain);
+      chain.eq = jest.fn().mockReturnValue(chain);
+      chain.single = jest.fn().mockResolvedValue({ data: { id: 'post-1', text: '削除するツイート' }, error: null });
+      setupFromMock({ my_posts: () => chain });
+      mockDeletePostFromX.mockResolvedValue({ postId: 'post-1', tweetIds: ['tweet-1'] });
+
+      await handleCallback({
+        data: 'force_delete:post-1',
+        message: { chat: { id: 12345 }, message_id: 100 }
+      });
+
+      expect(mockDeletePostFromX).toHaveBeenCalledWith('post-1', { source: 'telegram' });
+      expect(mockUpdateMessage).toHaveBeenCalledWith(12345, 100, expect.stringContaining('Xから削除しました'));
+    });
+
+    test('should notify and rethrow when deletion fails', async () => {
+      const chain = {};
+      chain.select = jest.fn().mockReturnValue(chain);
+      chain.eq = jest.fn().mockReturnValue(chain);
+      chain.single = jest.fn().mockResolvedValue({ data: { id: 'post-1', text: 'テスト' }, error: null });
+      setupFromMock({ my_posts: () => chain });
+      mockDeletePostFromX.mockRejectedValue(new Error('X API error 403'));
+
+      await expect(handleCallback({
+        data: 'force_delete:post-1',
+        message: { chat: { id: 12345 }, message_id: 100 }
+      })).rejects.toThrow('X API error 403');
+      expect(mockSendNotification).toHaveBeenCalledWith(12345, expect.stringContaining('削除に失敗しました'));
+    });
+  });
+
   describe('handleMessage', () => {
-    test('should ignore commands starting with /', async () => {
+    test('should ignore unknown commands', async () => {
       setupFromMock({
         telegram_sessions: () => ({
           select: jest.fn().mockReturnThis(),
@@ -633,5 +879,45 @@ describe('telegram-workflow', () => {
       await handleMessage({ chat: { id: 12345 } });
       expect(mockSendNotification).not.toHaveBeenCalled();
     });
+
+    test('/pause は理由付きで投稿を緊急停止し、編集フィードバックとしては扱わない', async () => {
+      await handleMessage({ text: '/pause 災害報道中のため', chat: { id: 12345 } });
+
+      expect(mockPausePosting).toHaveBeenCalledWith('災害報道中のため', 'telegram');
+      expect(mockSendNotification).toHaveBeenCalledWith(12345, expect.stringContaining('緊急停止しました（災害報道中のため）'));
+      expect(mockFrom).not.toHaveBeenCalledWith('telegram_sessions');
+    });
+
+    test('グループの /pause@botname も受け付ける', async () => {
+      await handleMessage({ text: '/pause@my_bot', chat: { id: 12345 } });
+
+      expect(mockPausePosting).toHaveBeenCalledWith(null, 'telegram');
+    });
+
+    test('/resume は停止中なら再開する', async () => {
+      mockGetPostingPause.mockResolvedValue({ paused: true, reason: null });
+
+      await handleMessage({ text: '/resume', chat: { id: 12345 } });
+
+      expect(mockResumePosting).toHaveBeenCalledWith('telegram');
+      expect(mockSendNotification).toHaveBeenCalledWith(12345, expect.stringContaining('再開しました'));
+    });
+
+    test('/resume は停止していなければ何もしない', async () => {
+      mockGetPostingPause.mockResolvedValue({ paused: false, reason: null });
+
+      await handleMessage({ text: '/resume', chat: { id: 12345 } });
+
+      expect(mockResumePosting).not.toHaveBeenCalled();
+      expect(mockSendNotification).toHaveBeenCalledWith(12345, '投稿は停止していません。');
+    });
+
+    test('/status は停止中の理由を返す', async () => {
+      mockGetPostingPause.mockResolvedValue({ paused: true, reason: '確認中' });
+
+      await handleMessage({ text: '/status', chat: { id: 12345 } });
+
+      expect(mockSendNotification).toHaveBeenCalledWith(12345, expect.stringContaining('緊急停止中（確認中）'));
+    });
   });
 });
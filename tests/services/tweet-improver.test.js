@@ -43,6 +43,11 @@ jest.mock('../../server/services/app-logger', () => ({
   logWarn: jest.fn()
 }));
 
+// Mock account timezone lookup
+jest.mock('../../server/services/account-timezone', () => ({
+  getAccountTimeZone: jest.fn().mockResolvedValue('Asia/Tokyo')
+}));
+
 // Mock x-api (required by ai-provider)
 jest.mock('../../server/services/x-api', () => ({
   logApiUsage: jest.fn().mockResolvedValue(undefined)
@@ -167,6 +172,17 @@ describe('tweet-improver', () => {
       const result = analyzePostingTimes(posts);
       expect(result.hourlyPerformance[0].hour).toBe(0);
     });
+
+    test('アカウントのタイムゾーンの現地時刻で集計し、夏時間を反映する', () => {
+      const posts = [
+        // 13:00 UTC = 8:00 EST (winter) / 9:00 EDT (summer)
+        { posted_at: '2026-01-15T13:00:00Z', engagement_rate: 5.0, impression_count: 1000 },
+        { posted_at: '2026-07-15T13:00:00Z', engagement_rate: 3.0, impression_count: 800 },
+      ];
+      const result = analyzePostingTimes(posts, 'America/New_York');
+      expect(result.hourlyPerformance.map(h => h.hour).sort()).toEqual([8, 9]);
+      expect(result.timeZone).toBe('America/New_York');
+    });
   });
 
   describe('analyzeCategoryPerformance', () => {
@@ -0,0 +1,426 @@
+// End-to-end tests of x-api.js (and its callers) against the bundled mock X API server.
+
+// Mock database with a small in-memory fake: every query resolves to the rows of its table
+jest.mock('../../server/db/database', () => ({
+  getDb: jest.fn()
+}));
+
+jest.mock('../../server/utils/crypto', () => ({
+  encrypt: jest.fn(val => val),
+  decrypt: jest.fn(val => val)
+}));
+
+jest.mock('../../server/services/batch-manager', () => ({
+  BatchManager: jest.fn().mockImplementation(() => ({
+    pollBatchResults: jest.fn()
+  }))
+}));
+
+jest.mock('../../server/services/auto-poster', () => ({
+  checkAndRunAutoPosts: jest.fn(),
+  isDeletedTweetError: (msg) => !!msg && msg.includes('deleted or not visible')
+}));
+
+jest.mock('../../server/services/growth-analytics', () => ({
+  refreshOwnPostMetrics: jest.fn(),
+  recordFollowerSnapshot: jest.fn()
+}));
+
+jest.mock('../../server/services/tweet-improver', () => ({
+  generateImprovementInsights: jest.fn(),
+  autoAdjustSettings: jest.fn()
+}));
+
+jest.mock('node-cron', () => ({
+  schedule: jest.fn()
+}), { virtual: true });
+
+const { startMockXApiServer } = require('../../server/mock/x-api-server');
+const xApi = require('../../server/services/x-api');
+const { processScheduledPosts, fetchAllCompetitorTweets } = require('../../server/services/scheduler');
+const { createAuthorizationUrl, completeAuthorization } = require('../../server/services/x-oauth2');
+const { getDb } = require('../../server/db/database');
+
+const ACCOUNT = {
+  id: 1, handle: 'tokyo_tour_guide', api_key: 'key', api_secret: 'secret',
+  access_token: 'token', access_token_secret: 'token_secret', bearer_token: 'bearer'
+};
+
+function createFakeDb(tables = {}) {
+  const calls = { insert: [], update: [], upsert: [], delete: [] };
+  const rows = { x_accounts: [ACCOUNT], settings: [{ value: '100' }], api_usage_log: [], ...tables };
+
+  function query(table) {
+    const result = () => Promise.resolve({ data: rows[table] || [], error: null });
+    const chain = {
+      select: () => chain, eq: () => chain, in: () => chain, gte: () => chain, lte: () => chain,
+      like: () => chain, limit: () => chain, order: () => chain,
+      single: () => Promise.resolve({ data: (rows[table] || [])[0] || null, error: null }),
+      insert: (row) => { calls.insert.push({ table, row }); return chain; },
+      update: (row) => { calls.update.push({ table, row }); return chain; },
+      delete: () => { calls.delete.push({ table }); return chain; },
+      upsert: (data) => { calls.upsert.push({ table, rows: data }); return Promise.resolve({ error: null }); },
+      then: (resolve, reject) => result().then(resolve, reject)
+    };
+    return chain;
+  }
+
+  return { from: jest.fn(query), calls };
+}
+
+describe('mock X API server', () => {
+  let mock;
+  const originalBase = process.env.X_API_BASE_URL;
+
+  beforeAll(async () => {
+    mock = await startMockXApiServer({ port: 0, rateLimits: { 'GET /2/users/me': 5 } });
+    process.env.X_API_BASE_URL = mock.url;
+  });
+
+  afterAll((done) => {
+    if (originalBase === undefined) delete process.env.X_API_BASE_URL;
+    else process.env.X_API_BASE_URL = originalBase;
+    mock.server.close(done);
+  });
+
+  beforeEach(async () => {
+    xApi.apiCache.clear();
+    xApi.rateLimitState.clear();
+    await fetch(`${mock.url}/__mock/reset`, { method: 'POST' });
+  });
+
+  describe('x-api against the mock', () => {
+    test('postTweet でツイートが作成される', async () => {
+      getDb.mockReturnValue(createFakeDb());
+
+      const result = await xApi.postTweet('東京駅の朝', { accountId: 1 });
+
+      expect(result.data.id).toMatch(/^\d+$/);
+      const state = await (await fetch(`${mock.url}/__mock/state`)).json();
+      expect(state.posted).toHaveLength(1);
+      expect(state.posted[0].text).toBe('東京駅の朝');
+    });
+
+    test('postThread は前のツイートへのリプライとしてつながる', async () => {
+      getDb.mockReturnValue(createFakeDb());
+
+      const result = await xApi.postThread(['1/2 上野公園', '2/2 桜の見頃'], { accountId: 1 });
+
+      const state = await (await fetch(`${mock.url}/__mock/state`)).json();
+      expect(state.posted).toHaveLength(2);
+      expect(state.posted[1].referenced_tweets).toEqual([{ type: 'replied_to', id: result.data.ids[0] }]);
+    });
+
+    test('削除済みツイートへのリプライは 403 で失敗する', async () => {
+      getDb.mockReturnValue(createFakeDb());
+
+      await expect(xApi.postTweet('返信', { accountId: 1, replyToId: '1' }))
+        .rejects.toThrow('deleted or not visible');
+    });
+
+    test('getUserByHandle と getUserTweets がフィクスチャを返す', async () => {
+      getDb.mockReturnValue(createFakeDb());
+
+      const user = await xApi.getUserByHandle('@kyoto_walker', 1);
+      expect(user.data.id).toBe('2000000000000000001');
+      expect(user.data.public_metrics.followers_count).toBe(15400);
+
+      const tweets = await xApi.getUserTweets(user.data.id, 10, 1);
+      expect(tweets.data.map(t => t.id)).toEqual(['1900000000000000102', '1900000000000000101']);
+      expect(tweets.data[0].public_metrics.like_count).toBe(890);
+    });
+
+    test('searchRecentTweets はキーワードに一致するツイートと投稿者を返す', async () => {
+      getDb.mockReturnValue(createFakeDb());
+
+      const result = await xApi.searchRecentTweets('伏見稲荷 -is:retweet', 1, 10);
+
+      expect(result.data.map(t => t.id)).toEqual(['1900000000000000106', '1900000000000000101']);
+      expect(result.includes.users.map(u => u.username).sort()).toEqual(['kyoto_walker', 'tokyo_tour_guide']);
+    });
+
+    test('getOwnProfile は認証ユーザーを返す', async () => {
+      getDb.mockReturnValue(createFakeDb());
+
+      const profile = await xApi.getOwnProfile(1);
+      expect(profile.username).toBe('tokyo_tour_guide');
+    });
+
+    test('レート制限を超えると 429 になる', async () => {
+      getDb.mockReturnValue(createFakeDb());
+
+      for (let i = 0; i < 5; i++) {
+        await xApi.getOwnProfile(1);
+      }
+      await expect(xApi.getOwnProfile(1)).rejects.toThrow('X API error 429');
+
+      const res = await fetch(`${mock.url}/2/users/me`, { headers: { Authorization: 'OAuth x' } });
+      expect(res.status).toBe(429);
+      expect(res.headers.get('x-rate-limit-remaining')).toBe('0');
+      expect(Number(res.headers.get('x-rate-limit-reset'))).toBeGreaterThan(Date.now() / 1000);
+    });
+
+    test('uploadMedia の結果を添付して投稿できる', async () => {
+      getDb.mockReturnValue(createFakeDb());
+
+      const mediaId = await xApi.uploadMedia(Buffer.from('fake-png'), 'image/png', { accountId: 1, altText: '雷門' });
+      await xApi.postTweet('浅草の写真', { accountId: 1, mediaIds: [mediaId] });
+
+      const state = await (await fetch(`${mock.url}/__mock/state`)).json();
+      expect(state.media).toEqual([expect.objectContaining({ media_id_string: mediaId, size: 8, alt_text: '雷門' })]);
+      expect(state.posted[0].media_ids).toEqual([mediaId]);
+    });
+
+    test('deleteTweet で投稿したツイートを削除できる', async () => {
+      getDb.mockReturnValue(createFakeDb());
+
+      const posted = await xApi.postTweet('削除予定', { accountId: 1 });
+
+      await expect(xApi.deleteTweet(posted.data.id, { accountId: 1 })).resolves.toBe(true);
+      // Already gone: the mock answers deleted: false
+      await expect(xApi.deleteTweet(posted.data.id, { accountId: 1 })).resolves.toBe(false);
+    });
+
+    test('/__mock/fail で指定回数だけ失敗させられる', async () => {
+      getDb.mockReturnValue(createFakeDb());
+      await fetch(`${mock.url}/__mock/fail`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ endpoint: 'POST /2/tweets', status: 503, count: 1 })
+      });
+
+      await expect(xApi.postTweet('1回目', { accountId: 1 })).rejects.toThrow('X API error 503');
+      await expect(xApi.postTweet('2回目', { accountId: 1 })).resolves.toHaveProperty('data.id');
+    });
+
+    test('429 を受けた後はリセットまでリクエストを送らずに失敗する', async () => {
+      getDb.mockReturnValue(createFakeDb());
+      await fetch(`${mock.url}/__mock/fail`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ endpoint: 'POST /2/tweets', status: 429, count: 1 })
+      });
+
+      await expect(xApi.postTweet('1回目', { accountId: 1 })).rejects.toThrow('X API error 429');
+      const err = await xApi.postTweet('2回目', { accountId: 1 }).catch(e => e);
+      expect(err.rateLimited).toBe(true);
+
+      const state = await (await fetch(`${mock.url}/__mock/state`)).json();
+      expect(state.windows['POST /2/tweets'].count).toBe(1);
+      expect(xApi.getRateLimitStatus(1)).toEqual([
+        expect.objectContaining({ endpoint: 'POST /2/tweets', accountId: 1, remaining: 0 })
+      ]);
+    });
+  });
+
+  describe('scheduler against the mock', () => {
+    test('予約投稿が公開され、tweet_id が保存される', async () => {
+      const db = createFakeDb({
+        my_posts: [{
+          id: 1, account_id: 1, text: '予約投稿テスト', post_type: 'new', target_tweet_id: null,
+          status: 'scheduled', scheduled_at: '2026-02-17T00:00:00.000Z'
+        }]
+      });
+      getDb.mockReturnValue(db);
+
+      await processScheduledPosts();
+
+      const update = db.calls.update.find(c => c.table === 'my_posts').row;
+      expect(update.status).toBe('posted');
+      const state = await (await fetch(`${mock.url}/__mock/state`)).json();
+      expect(update.tweet_id).toBe(state.posted[0].id);
+    });
+
+    test('元ツイートが削除済みのリプライは failed になる', async () => {
+      const db = createFakeDb({
+        my_posts: [{
+          id: 2, account_id: 1, text: '返信', post_type: 'reply', target_tweet_id: '1',
+          status: 'scheduled', scheduled_at: '2026-02-17T00:00:00.000Z'
+        }]
+      });
+      getDb.mockReturnValue(db);
+
+      await processScheduledPosts();
+
+      expect(db.calls.update.find(c => c.table === 'my_posts').row).toEqual({
+        status: 'failed', error_message: '元ツイートが削除されたため投稿できませんでした'
+      });
+    });
+
+    test('競合ツイートを取得して保存する', async () => {
+      const db = createFakeDb({
+        competitors: [{ id: 7, handle: 'japan_travel_tips', user_id: '2000000000000000002', account_id: 1 }],
+        competitor_tweets: []
+      });
+      getDb.mockReturnValue(db);
+
+      await fetchAllCompetitorTweets();
+
+      const upsert = db.calls.upsert.find(c => c.table === 'competitor_tweets');
+      expect(upsert.rows.map(r => r.tweet_id)).toEqual(['1900000000000000104', '1900000000000000103']);
+      expect(upsert.rows[0]).toEqual(expect.objectContaining({ competitor_id: 7, like_count: 2650 }));
+    });
+
+    test('保存済みの最新ツイートより新しいものだけを取得する', async () => {
+      const db = createFakeDb({
+        competitors: [{
+          id: 7, handle: 'japan_travel_tips', user_id: '2000000000000000002', account_id: 1,
+          newest_tweet_id: '1900000000000000103'
+        }],
+        competitor_tweets: []
+      });
+      getDb.mockReturnValue(db);
+
+      await fetchAllCompetitorTweets();
+
+      const upsert = db.calls.upsert.find(c => c.table === 'competitor_tweets');
+      expect(upsert.rows.map(r => r.tweet_id)).toEqual(['1900000000000000104']);
+      expect(db.calls.update.find(c => c.table === 'competitors').row).toEqual(expect.objectContaining({
+        newest_tweet_id: '1900000000000000104',
+        last_fetch_tweet_count: 1
+      }));
+    });
+  });
+
+  describe('rate-limit pacing', () => {
+    test('ウィンドウを使い切っている場合は競合ツイート取得を次回に延期する', async () => {
+      xApi.rateLimitState.set('1:GET /2/users/:id/tweets', {
+        endpoint: 'GET /2/users/:id/tweets', accountId: 1, limit: 1500, remaining: 0,
+        resetAt: Date.now() + 10 * 60 * 1000, updatedAt: Date.now()
+      });
+      const db = createFakeDb({
+        competitors: [{ id: 7, handle: 'japan_travel_tips', user_id: '2000000000000000002', account_id: 1 }],
+        competitor_tweets: []
+      });
+      getDb.mockReturnValue(db);
+
+      const result = await fetchAllCompetitorTweets();
+
+      expect(result).toEqual({ fetched: 0, deferred: ['japan_travel_tips'] });
+      expect(db.calls.upsert).toHaveLength(0);
+    });
+
+    test('レート制限中の予約投稿は失敗にせずリセット時刻まで延期する', async () => {
+      const resetAt = Date.now() + 10 * 60 * 1000;
+      xApi.rateLimitState.set('1:POST /2/tweets', {
+        endpoint: 'POST /2/tweets', accountId: 1, limit: 100, remaining: 0, resetAt, updatedAt: Date.now()
+      });
+      const db = createFakeDb({
+        my_posts: [{
+          id: 3, account_id: 1, text: '延期される投稿', post_type: 'new', target_tweet_id: null,
+          status: 'scheduled', scheduled_at: '2026-02-17T00:00:00.000Z'
+        }]
+      });
+      getDb.mockReturnValue(db);
+
+      await processScheduledPosts();
+
+      const update = db.calls.update.find(c => c.table === 'my_posts').row;
+      expect(update.status).toBeUndefined();
+      expect(update.scheduled_at).toBe(new Date(resetAt).toISOString());
+    });
+  });
+
+  describe('OAuth 2.0 linking against the mock', () => {
+    const originalEnv = { ...process.env };
+
+    beforeEach(() => {
+      process.env.X_OAUTH2_CLIENT_ID = 'mock-client';
+      process.env.X_OAUTH2_REDIRECT_URI = 'http://localhost:5173/api/accounts/oauth/callback';
+      process.env.X_OAUTH2_AUTHORIZE_URL = `${mock.url}/i/oauth2/authorize`;
+    });
+
+    afterEach(() => {
+      for (const key of ['X_OAUTH2_CLIENT_ID', 'X_OAUTH2_REDIRECT_URI', 'X_OAUTH2_AUTHORIZE_URL']) {
+        if (originalEnv[key] === undefined) delete process.env[key];
+        else process.env[key] = originalEnv[key];
+      }
+    });
+
+    // Runs authorize -> consent redirect -> callback and returns the stored token columns
+    async function linkAccount() {
+      const startDb = createFakeDb();
+      getDb.mockReturnValue(startDb);
+      const authorizeUrl = await createAuthorizationUrl({ accountId: 1 });
+      const pending = startDb.calls.insert.find(c => c.table === 'oauth_states').row;
+
+      const consent = await fetch(authorizeUrl, { redirect: 'manual' });
+      const callback = new URL(consent.headers.get('location'));
+      expect(callback.pathname).toBe('/api/accounts/oauth/callback');
+
+      const callbackDb = createFakeDb({ oauth_states: [{ ...pending, created_at: new Date().toISOString() }] });
+      getDb.mockReturnValue(callbackDb);
+      const result = await completeAuthorization({
+        state: callback.searchParams.get('state'),
+        code: callback.searchParams.get('code')
+      });
+      return { result, columns: callbackDb.calls.update.find(c => c.table === 'x_accounts').row };
+    }
+
+    test('認可コードをトークンに交換し、アカウントに保存する', async () => {
+      const { result, columns } = await linkAccount();
+
+      expect(result.created).toBe(false);
+      expect(columns).toEqual(expect.objectContaining({ auth_type: 'oauth2', handle: 'tokyo_tour_guide' }));
+      expect(columns.oauth2_access_token).toMatch(/^mock-user-/);
+      expect(columns.oauth2_refresh_token).toMatch(/^mock-refresh-/);
+    });
+
+    test('連携したアカウントはユーザートークンで投稿できる', async () => {
+      const { columns } = await linkAccount();
+      getDb.mockReturnValue(createFakeDb({ x_accounts: [{ ...ACCOUNT, api_key: '', bearer_token: '', ...columns }] }));
+
+      await expect(xApi.postTweet('浅草の夕暮れ', { accountId: 1 })).resolves.toHaveProperty('data.id');
+      const profile = await xApi.getOwnProfile(1);
+      expect(profile.username).toBe('tokyo_tour_guide');
+    });
+
+    test('期限切れのアクセストークンは呼び出し前に更新される', async () => {
+      const { columns } = await linkAccount();
+      const db = createFakeDb({
+        x_accounts: [{ ...ACCOUNT, ...columns, oauth2_expires_at: new Date(Date.now() - 1000).toISOString() }]
+      });
+      getDb.mockReturnValue(db);
+
+      await xApi.postTweet('更新後の投稿', { accountId: 1 });
+
+      const refreshed = db.calls.update.find(c => c.table === 'x_accounts').row;
+      expect(refreshed.oauth2_access_token).not.toBe(columns.oauth2_access_token);
+      expect(refreshed.oauth2_refresh_token).not.toBe(columns.oauth2_refresh_token);
+      expect(new Date(refreshed.oauth2_expires_at).getTime()).toBeGreaterThan(Date.now());
+    });
+
+    test('state が一致しない場合は連携を拒否する', async () => {
+      getDb.mockReturnValue(createFakeDb({ oauth_states: [] }));
+
+      await expect(completeAuthorization({ state: 'unknown', code: 'mock-code' }))
+        .rejects.toThrow('認可リクエストが見つかりません');
+    });
+  });
+
+  describe('short rate-limit window', () => {
+    let shortMock;
+
+    beforeAll(async () => {
+      shortMock = await startMockXApiServer({ port: 0, windowMs: 1000, rateLimits: { 'POST /2/tweets': 1 } });
+    });
+
+    afterAll((done) => {
+      process.env.X_API_BASE_URL = mock.url;
+      shortMock.server.close(done);
+    });
+
+    test('ウィンドウを使い切った場合はリセットを待ってから送信する', async () => {
+      process.env.X_API_BASE_URL = shortMock.url;
+      getDb.mockReturnValue(createFakeDb());
+
+      await xApi.postTweet('1回目', { accountId: 1 });
+      expect(xApi.getRateLimitStatus(1)[0].remaining).toBe(0);
+
+      await expect(xApi.postTweet('2回目', { accountId: 1 })).resolves.toHaveProperty('data.id');
+
+      const state = await (await fetch(`${shortMock.url}/__mock/state`)).json();
+      expect(state.posted.map(p => p.text)).toEqual(['1回目', '2回目']);
+    });
+  });
+});
@@ -23,13 +23,14 @@ jest.mock('../../server/utils/crypto', () => ({
 // Save original fetch
 const originalFetch = global.fetch;
 
-const { getMyRepliedTweetIds, apiCache } = require('../../server/services/x-api');
+const { getMyRepliedTweetIds, postTweet, postThread, uploadMedia, apiCache, rateLimitState } = require('../../server/services/x-api');
 const { getDb } = require('../../server/db/database');
 
 describe('x-api', () => {
   beforeEach(() => {
     jest.clearAllMocks();
     apiCache.clear();
+    rateLimitState.clear();
   });
 
   afterAll(() => {
@@ -279,4 +280,185 @@ describe('x-api', () => {
       expect(global.fetch).not.toHaveBeenCalled();
     });
   });
+  describe('postTweet', () => {
+    test('X の重み付き文字数で上限を超える本文は API を呼ばずに拒否する', async () => {
+      global.fetch = jest.fn();
+
+      await expect(postTweet('あ'.repeat(141), { accountId: 'acc-1' }))
+        .rejects.toThrow('text exceeds the 280 weighted character limit (282)');
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(getDb).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('postThread', () => {
+    function setupPostMocks(failAtCall) {
+      const mockFrom = jest.fn((table) => {
+        if (table === 'x_accounts') {
+          return {
+            select: jest.fn().mockReturnValue({
+              eq: jest.fn().mockReturnValue({
+                single: jest.fn().mockResolvedValue({
+                  data: {
+                    id: 'acc-1', api_key: 'key', api_secret: 'secret',
+                    access_token: 'token', access_token_secret: 'token_secret'
+                  },
+                  error: null
+                })
+              })
+            })
+          };
+        }
+        return { insert: jest.fn().mockResolvedValue({ error: null }) };
+      });
+      getDb.mockReturnValue({ from: mockFrom });
+
+      let callCount = 0;
+      global.fetch = jest.fn(() => {
+        callCount++;
+        if (callCount === failAtCall) {
+          return Promise.resolve({
+            ok: false,
+            status: 503,
+            json: () => Promise.resolve({ title: 'Service Unavailable' })
+          });
+        }
+        return Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve({ data: { id: `tweet-${callCount}` } })
+        });
+      });
+    }
+
+    function postedBody(callIndex) {
+      return JSON.parse(global.fetch.mock.calls[callIndex][1].body);
+    }
+
+    test('各パートを前のツイートへのリプライとして順番に投稿する', async () => {
+      setupPostMocks();
+
+      const result = await postThread(['1つ目', '2つ目', '3つ目'], { accountId: 'acc-1' });
+
+      expect(result).toEqual({ data: { id: 'tweet-1', ids: ['tweet-1', 'tweet-2', 'tweet-3'] } });
+      expect(postedBody(0)).toEqual({ text: '1つ目' });
+      expect(postedBody(1)).toEqual({ text: '2つ目', reply: { in_reply_to_tweet_id: 'tweet-1' } });
+      expect(postedBody(2)).toEqual({ text: '3つ目', reply: { in_reply_to_tweet_id: 'tweet-2' } });
+    });
+
+    test('引用RTの指定は最初のパートにのみ適用される', async () => {
+      setupPostMocks();
+
+      await postThread(['引用', '続き'], { accountId: 'acc-1', quoteTweetId: 'quoted-1' });
+
+      expect(postedBody(0)).toEqual({ text: '引用', quote_tweet_id: 'quoted-1' });
+      expect(postedBody(1)).toEqual({ text: '続き', reply: { in_reply_to_tweet_id: 'tweet-1' } });
+    });
+
+    test('途中で失敗した場合は投稿済みIDと失敗位置をエラーに含める', async () => {
+      setupPostMocks(2);
+
+      const err = await postThread(['1つ目', '2つ目', '3つ目'], { accountId: 'acc-1' }).catch(e => e);
+
+      expect(err.message).toContain('X API error 503');
+      expect(err.postedIds).toEqual(['tweet-1']);
+      expect(err.failedIndex).toBe(1);
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('postedIds を渡すと未投稿のパートから再開する', async () => {
+      setupPostMocks();
+
+      const result = await postThread(['1つ目', '2つ目', '3つ目'], {
+        accountId: 'acc-1', postedIds: ['old-1', 'old-2']
+      });
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(postedBody(0)).toEqual({ text: '3つ目', reply: { in_reply_to_tweet_id: 'old-2' } });
+      expect(result.data.ids).toEqual(['old-1', 'old-2', 'tweet-1']);
+      expect(result.data.id).toBe('old-1');
+    });
+
+    test('上限を超えるパートがあれば1件も投稿しない', async () => {
+      setupPostMocks();
+
+      await expect(postThread(['1つ目', 'あ'.repeat(141)], { accountId: 'acc-1' }))
+        .rejects.toThrow('thread part 2 exceeds the 280 weighted character limit (282)');
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+  describe('uploadMedia', () => {
+    function setupUploadMocks() {
+      getDb.mockReturnValue({
+        from: jest.fn((table) => {
+          if (table === 'x_accounts') {
+            return {
+              select: jest.fn().mockReturnValue({
+                eq: jest.fn().mockReturnValue({
+                  single: jest.fn().mockResolvedValue({
+                    data: {
+                      id: 'acc-1', api_key: 'key', api_secret: 'secret',
+                      access_token: 'token', access_token_secret: 'token_secret'
+                    },
+                    error: null
+                  })
+                })
+              })
+            };
+          }
+          return { insert: jest.fn().mockResolvedValue({ error: null }) };
+        })
+      });
+
+      global.fetch = jest.fn((url, options) => {
+        const command = typeof options.body === 'string' && options.body.includes('command=')
+          ? new URLSearchParams(options.body).get('command')
+          : null;
+        if (command === 'INIT') {
+          return Promise.resolve({ ok: true, json: () => Promise.resolve({ media_id_string: 'media-1' }) });
+        }
+        if (command === 'FINALIZE') {
+          return Promise.resolve({ ok: true, json: () => Promise.resolve({ media_id_string: 'media-1' }) });
+        }
+        return Promise.resolve({ ok: true, json: () => Promise.resolve({}) });
+      });
+    }
+
+    test('INIT / APPEND / FINALIZE の順にアップロードしメディアIDを返す', async () => {
+      setupUploadMocks();
+
+      const mediaId = await uploadMedia(Buffer.from('image-bytes'), 'image/png', { accountId: 'acc-1' });
+
+      expect(mediaId).toBe('media-1');
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+      const [initUrl, initOptions] = global.fetch.mock.calls[0];
+      expect(initUrl).toBe('https://upload.twitter.com/1.1/media/upload.json');
+      expect(Object.fromEntries(new URLSearchParams(initOptions.body))).toEqual({
+        command: 'INIT', total_bytes: '11', media_type: 'image/png', media_category: 'tweet_image'
+      });
+      expect(global.fetch.mock.calls[1][1].body.get('command')).toBe('APPEND');
+      expect(global.fetch.mock.calls[1][1].body.get('segment_index')).toBe('0');
+      expect(new URLSearchParams(global.fetch.mock.calls[2][1].body).get('command')).toBe('FINALIZE');
+    });
+
+    test('altText があればメタデータを設定する', async () => {
+      setupUploadMocks();
+
+      await uploadMedia(Buffer.from('image-bytes'), 'image/jpeg', { accountId: 'acc-1', altText: '富士山の朝焼け' });
+
+      expect(global.fetch).toHaveBeenCalledTimes(4);
+      const [url, options] = global.fetch.mock.calls[3];
+      expect(url).toBe('https://upload.twitter.com/1.1/media/metadata/create.json');
+      expect(JSON.parse(options.body)).toEqual({ media_id: 'media-1', alt_text: { text: '富士山の朝焼け' } });
+    });
+
+    test('アップロードが失敗した場合はエラーを投げる', async () => {
+      setupUploadMocks();
+      global.fetch = jest.fn(() => Promise.resolve({
+        ok: false, status: 400, json: () => Promise.resolve({ error: 'bad media' })
+      }));
+
+      await expect(uploadMedia(Buffer.from('x'), 'image/png', { accountId: 'acc-1' }))
+        .rejects.toThrow('X media upload error 400 (INIT)');
+    });
+  });
 });
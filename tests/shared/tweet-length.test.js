@@ -0,0 +1,64 @@
+const { weightedLength, splitIntoTweets, MAX_WEIGHTED_LENGTH } = require('../../shared/tweet-length');
+
+describe('tweet-length', () => {
+  test('英数字は1文字1カウント', () => {
+    expect(weightedLength('Hello, world!')).toBe(13);
+  });
+
+  test('日本語（かな・漢字・全角記号）は1文字2カウント', () => {
+    expect(weightedLength('浅草を案内した。')).toBe(16);
+  });
+
+  test('URL は長さに関係なく23カウント', () => {
+    expect(weightedLength('https://example.com/a/very/long/path?with=query')).toBe(23);
+    expect(weightedLength('詳細 https://example.com')).toBe(4 + 1 + 23);
+  });
+
+  test('URL の直後に続く日本語は URL に含めない', () => {
+    expect(weightedLength('https://example.com参照')).toBe(23 + 4);
+  });
+
+  test('絵文字は ZWJ 結合や国旗も含めて1つ2カウント', () => {
+    expect(weightedLength('👍')).toBe(2);
+    expect(weightedLength('👨‍👩‍👧')).toBe(2);
+    expect(weightedLength('🇯🇵')).toBe(2);
+  });
+
+  test('空文字や未指定は 0', () => {
+    expect(weightedLength('')).toBe(0);
+    expect(weightedLength(undefined)).toBe(0);
+  });
+
+  test('日本語140文字がちょうど上限', () => {
+    expect(weightedLength('あ'.repeat(140))).toBe(MAX_WEIGHTED_LENGTH);
+    expect(weightedLength('あ'.repeat(141))).toBeGreaterThan(MAX_WEIGHTED_LENGTH);
+  });
+
+  describe('splitIntoTweets', () => {
+    test('上限内のテキストはそのまま1件で返す', () => {
+      expect(splitIntoTweets('  浅草を案内した。  ')).toEqual(['浅草を案内した。']);
+    });
+
+    test('文の区切りで上限内に詰めて分割する', () => {
+      const sentence = 'あ'.repeat(59) + '。';
+      const parts = splitIntoTweets(sentence.repeat(4));
+      expect(parts).toEqual([sentence.repeat(2), sentence.repeat(2)]);
+    });
+
+    test('1文が上限を超える場合は文字単位で切る', () => {
+      const parts = splitIntoTweets('あ'.repeat(300));
+      expect(parts.map(p => p.length)).toEqual([140, 140, 20]);
+    });
+
+    test('すべての分割結果が上限内に収まる', () => {
+      const text = ['京都の朝は早い。', '観光客が来る前の伏見稲荷は別世界です！', 'https://example.com/fushimi'].join('\n').repeat(12);
+      const parts = splitIntoTweets(text);
+      expect(parts.length).toBeGreaterThan(1);
+      parts.forEach(p => expect(weightedLength(p)).toBeLessThanOrEqual(MAX_WEIGHTED_LENGTH));
+    });
+
+    test('上限を引数で指定できる', () => {
+      expect(splitIntoTweets('abc. def.', 5)).toEqual(['abc.', 'def.']);
+    });
+  });
+});
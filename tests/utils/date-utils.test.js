@@ -3,7 +3,16 @@ const {
   toJST,
   getStartOfMonthJST,
   getStartOfLastMonthJST,
-  getEndOfLastMonthJST
+  getEndOfLastMonthJST,
+  isValidTimeZone,
+  resolveTimeZone,
+  getZonedParts,
+  getTimeZoneOffsetMs,
+  zonedTimeToUtc,
+  getZonedNow,
+  getStartOfMonth,
+  getStartOfLastMonth,
+  getEndOfLastMonth
 } = require('../../server/utils/date-utils');
 
 describe('date-utils (JST月境界)', () => {
@@ -135,3 +144,89 @@ describe('date-utils (JST月境界)', () => {
     });
   });
 });
+
+describe('date-utils (タイムゾーン指定)', () => {
+  const NY = 'America/New_York';
+
+  describe('isValidTimeZone / resolveTimeZone', () => {
+    test('IANA 名だけを有効とみなす', () => {
+      expect(isValidTimeZone('America/New_York')).toBe(true);
+      expect(isValidTimeZone('Asia/Tokyo')).toBe(true);
+      expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+      expect(isValidTimeZone('')).toBe(false);
+      expect(isValidTimeZone(null)).toBe(false);
+    });
+
+    test('未設定・不正な値は Asia/Tokyo になる', () => {
+      expect(resolveTimeZone('Europe/London')).toBe('Europe/London');
+      expect(resolveTimeZone(undefined)).toBe('Asia/Tokyo');
+      expect(resolveTimeZone('Mars/Olympus')).toBe('Asia/Tokyo');
+    });
+  });
+
+  describe('getZonedParts / getTimeZoneOffsetMs', () => {
+    test('現地の日付・時刻・曜日を返す', () => {
+      // 2026-03-02 02:30 UTC = 3/1 (日) 21:30 EST
+      expect(getZonedParts(new Date('2026-03-02T02:30:00Z'), NY)).toEqual({
+        year: 2026, month: 3, day: 1, hour: 21, minute: 30, second: 0, weekday: 0
+      });
+    });
+
+    test('夏時間でオフセットが変わる', () => {
+      expect(getTimeZoneOffsetMs(new Date('2026-01-15T12:00:00Z'), NY)).toBe(-5 * 60 * 60 * 1000);
+      expect(getTimeZoneOffsetMs(new Date('2026-07-15T12:00:00Z'), NY)).toBe(-4 * 60 * 60 * 1000);
+      expect(getTimeZoneOffsetMs(new Date('2026-07-15T12:00:00Z'), 'Asia/Tokyo')).toBe(JST_OFFSET_MS);
+    });
+  });
+
+  describe('zonedTimeToUtc', () => {
+    test('その日のオフセットで UTC にする', () => {
+      expect(zonedTimeToUtc({ year: 2026, month: 1, day: 15, hour: 9 }, NY).toISOString()).toBe('2026-01-15T14:00:00.000Z');
+      expect(zonedTimeToUtc({ year: 2026, month: 7, day: 15, hour: 9 }, NY).toISOString()).toBe('2026-07-15T13:00:00.000Z');
+    });
+
+    test('夏時間開始で飛ぶ時刻は先へずらす（2:30 → 3:30 EDT）', () => {
+      expect(zonedTimeToUtc({ year: 2026, month: 3, day: 8, hour: 2, minute: 30 }, NY).toISOString()).toBe('2026-03-08T07:30:00.000Z');
+    });
+
+    test('夏時間終了で2回ある時刻は早い方を返す', () => {
+      expect(zonedTimeToUtc({ year: 2026, month: 11, day: 1, hour: 1, minute: 30 }, NY).toISOString()).toBe('2026-11-01T05:30:00.000Z');
+    });
+
+    test('日や月のあふれは繰り上がる', () => {
+      expect(zonedTimeToUtc({ year: 2026, month: 1, day: 32, hour: 0 }, 'Asia/Tokyo').toISOString()).toBe('2026-01-31T15:00:00.000Z');
+    });
+  });
+
+  describe('getZonedNow', () => {
+    test('現地の今日と時刻を返す', () => {
+      const now = new Date('2026-03-02T02:30:00Z');
+      expect(getZonedNow(NY, now)).toEqual({ currentTime: '21:30', today: '2026-03-01', now });
+      expect(getZonedNow('Asia/Tokyo', now)).toEqual({ currentTime: '11:30', today: '2026-03-02', now });
+    });
+  });
+
+  describe('月境界', () => {
+    test('JST 版と既定のタイムゾーンの結果が一致する', () => {
+      const now = new Date('2026-01-31T15:01:00.000Z');
+      expect(getStartOfMonth(now)).toBe(getStartOfMonthJST(now));
+      expect(getStartOfLastMonth(now)).toBe(getStartOfLastMonthJST(now));
+      expect(getEndOfLastMonth(now)).toBe(getEndOfLastMonthJST(now));
+    });
+
+    test('現地の月で区切り、各月初のオフセット（夏時間）を使う', () => {
+      // 2026-04-01 02:00 UTC is still March 31 in New York
+      const now = new Date('2026-04-01T02:00:00Z');
+      expect(getStartOfMonth(now, NY)).toBe('2026-03-01T05:00:00.000Z');
+      // April 15 EDT: this month starts 4/1 00:00 EDT, last month 3/1 00:00 EST
+      const mid = new Date('2026-04-15T12:00:00Z');
+      expect(getStartOfMonth(mid, NY)).toBe('2026-04-01T04:00:00.000Z');
+      expect(getStartOfLastMonth(mid, NY)).toBe('2026-03-01T05:00:00.000Z');
+      expect(getEndOfLastMonth(mid, NY)).toBe('2026-04-01T03:59:59.000Z');
+    });
+
+    test('1月の先月は前年12月', () => {
+      expect(getStartOfLastMonth(new Date('2026-01-15T12:00:00Z'), NY)).toBe('2025-12-01T05:00:00.000Z');
+    });
+  });
+});
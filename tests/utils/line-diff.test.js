@@ -0,0 +1,39 @@
+const { diffLines } = require('../../server/utils/line-diff');
+
+describe('line-diff', () => {
+  test('同一テキストはすべて same', () => {
+    expect(diffLines('a\nb', 'a\nb')).toEqual([
+      { type: 'same', left: 'a', right: 'a' },
+      { type: 'same', left: 'b', right: 'b' }
+    ]);
+  });
+
+  test('置き換えた行は changed として左右に並べる', () => {
+    expect(diffLines('a\nb\nc', 'a\nB\nc')).toEqual([
+      { type: 'same', left: 'a', right: 'a' },
+      { type: 'changed', left: 'b', right: 'B' },
+      { type: 'same', left: 'c', right: 'c' }
+    ]);
+  });
+
+  test('追加・削除のみの行は反対側を null にする', () => {
+    expect(diffLines('a\nb\nc', 'a\nc\nd')).toEqual([
+      { type: 'same', left: 'a', right: 'a' },
+      { type: 'removed', left: 'b', right: null },
+      { type: 'same', left: 'c', right: 'c' },
+      { type: 'added', left: null, right: 'd' }
+    ]);
+  });
+
+  test('削除と追加の行数が違う場合は余りを removed / added にする', () => {
+    expect(diffLines('x\ny\nz', 'X')).toEqual([
+      { type: 'changed', left: 'x', right: 'X' },
+      { type: 'removed', left: 'y', right: null },
+      { type: 'removed', left: 'z', right: null }
+    ]);
+  });
+
+  test('null / undefined は空文字列として扱う', () => {
+    expect(diffLines(null, 'a')).toEqual([{ type: 'changed', left: '', right: 'a' }]);
+  });
+});
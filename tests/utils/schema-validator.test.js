@@ -0,0 +1,61 @@
+const { validateSchema, parseJsonResponse } = require('../../server/utils/schema-validator');
+const outputSchemas = require('../../server/config/output-schemas');
+
+describe('schema-validator', () => {
+  describe('validateSchema', () => {
+    const schema = {
+      type: 'object',
+      required: ['name', 'tags'],
+      properties: {
+        name: { type: 'string', minLength: 1 },
+        count: { type: 'integer', minimum: 0 },
+        code: { type: 'string', pattern: '^O-[A-J]$' },
+        tags: { type: 'array', minItems: 1, items: { type: 'string' } }
+      }
+    };
+
+    test('妥当な値ならエラーなし', () => {
+      expect(validateSchema({ name: 'a', count: 3, code: 'O-B', tags: ['x'] }, schema)).toEqual([]);
+    });
+
+    test('必須項目の欠落をパス付きで報告する', () => {
+      expect(validateSchema({ tags: ['x'] }, schema)).toEqual(['$.name: 必須項目がありません']);
+    });
+
+    test('型・最小値・パターン・配列要素を検証する', () => {
+      const errors = validateSchema({ name: ' ', count: -1, code: 'X-1', tags: [1] }, schema);
+      expect(errors).toEqual([
+        '$.name: 空文字列は使えません',
+        '$.count: 0 以上であるべきです',
+        '$.code: "X-1" は形式 ^O-[A-J]$ に一致しません',
+        '$.tags[0]: string であるべきところ integer です'
+      ]);
+    });
+
+    test('tweet_generation スキーマはパターンコードを必須にする', () => {
+      const errors = validateSchema({ variants: [{ label: 'A', body: '本文' }] }, outputSchemas.tweet_generation);
+      expect(errors).toEqual([
+        '$.variants[0].opening_pattern: 必須項目がありません',
+        '$.variants[0].development_pattern: 必須項目がありません',
+        '$.variants[0].closing_pattern: 必須項目がありません'
+      ]);
+    });
+  });
+
+  describe('parseJsonResponse', () => {
+    test('コードフェンスと前後の説明文を取り除く', () => {
+      expect(parseJsonResponse('```json\n{"a":1}\n```').data).toEqual({ a: 1 });
+      expect(parseJsonResponse('結果です: {"a":1} 以上').data).toEqual({ a: 1 });
+    });
+
+    test('閉じられていないJSONは途中で切れたと判定する', () => {
+      expect(parseJsonResponse('{"variants":[{"body":"途中').error).toContain('途中で切れています');
+      expect(parseJsonResponse('{"variants":[{"body":"a"},{"body":"b"').error).toContain('途中で切れています');
+    });
+
+    test('JSONでないテキストと空応答', () => {
+      expect(parseJsonResponse('ただのテキスト').error).toBe('JSONとして解析できません');
+      expect(parseJsonResponse('').error).toBe('応答が空です');
+    });
+  });
+});
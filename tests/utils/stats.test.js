@@ -0,0 +1,41 @@
+const { mean, variance, welchTTest } = require('../../server/utils/stats');
+
+describe('stats', () => {
+  test('mean は平均、空配列は 0', () => {
+    expect(mean([1, 2, 3, 4])).toBe(2.5);
+    expect(mean([])).toBe(0);
+  });
+
+  test('variance は不偏分散、2件未満は 0', () => {
+    expect(variance([2, 4, 4, 4, 5, 5, 7, 9])).toBeCloseTo(32 / 7, 10);
+    expect(variance([5])).toBe(0);
+  });
+
+  describe('welchTTest', () => {
+    test('既知の値と一致する', () => {
+      const { t, df, pValue } = welchTTest([1, 2, 3, 4, 5], [2, 4, 6, 8, 10]);
+      expect(t).toBeCloseTo(-1.897, 3);
+      expect(df).toBeCloseTo(5.882, 3);
+      expect(pValue).toBeCloseTo(0.1075, 3);
+    });
+
+    test('大きな差は有意になる', () => {
+      const a = [10, 11, 10.5, 9.8, 10.2, 10.1, 9.9, 10.4];
+      const b = [5, 5.5, 4.8, 5.2, 5.1, 4.9, 5.3, 5.0];
+      expect(welchTTest(a, b).pValue).toBeLessThan(0.001);
+    });
+
+    test('同じ分布なら p = 1', () => {
+      expect(welchTTest([1, 2, 3], [1, 2, 3]).pValue).toBeCloseTo(1, 10);
+    });
+
+    test('どちらかが2件未満なら p = 1', () => {
+      expect(welchTTest([1], [1, 2, 3])).toEqual({ t: 0, df: 0, pValue: 1 });
+    });
+
+    test('両群とも分散 0 の場合は差の有無で 0 か 1', () => {
+      expect(welchTTest([2, 2], [3, 3]).pValue).toBe(0);
+      expect(welchTTest([2, 2], [2, 2]).pValue).toBe(1);
+    });
+  });
+});
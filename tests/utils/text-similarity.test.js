@@ -0,0 +1,34 @@
+const { normalizeText, shingles, tfidfVectors, cosineSimilarity } = require('../../server/utils/text-similarity');
+
+describe('text-similarity', () => {
+  test('URL・空白・記号を除いて正規化する', () => {
+    expect(normalizeText('浅草、朝8時。 https://example.com/a ＡＢＣ！')).toBe('浅草朝8時abc');
+  });
+
+  test('文字 bigram の出現回数を数える', () => {
+    expect(shingles('ああい')).toEqual(new Map([['ああ', 1], ['あい', 1]]));
+    expect(shingles('あ')).toEqual(new Map([['あ', 1]]));
+    expect(shingles('')).toEqual(new Map());
+  });
+
+  test('同じ文面の類似度は 1', () => {
+    const [a, b] = tfidfVectors(['雷門の提灯は大きい', '雷門の提灯は大きい']);
+    expect(cosineSimilarity(a, b)).toBeCloseTo(1);
+  });
+
+  test('同じエピソードの言い換えは無関係な投稿より高くなる', () => {
+    const [original, paraphrase, unrelated] = tfidfVectors([
+      '浅草の雷門前、朝8時。アメリカから来たゲストが「提灯が思ったより大きい」と笑った。写真より実物、これはガイドをやっていて毎回思う。',
+      '朝8時の雷門。アメリカ人のゲストが提灯を見上げて「写真で見るより大きいね」と笑っていた。実物の迫力は写真では伝わらない。',
+      '英語ガイドで大事なのは語彙力より間の取り方。沈黙を怖がらない方が伝わる。'
+    ]);
+    expect(cosineSimilarity(original, paraphrase)).toBeGreaterThan(0.25);
+    expect(cosineSimilarity(original, unrelated)).toBeLessThan(0.15);
+  });
+
+  test('数値配列（埋め込み）のコサイン類似度', () => {
+    expect(cosineSimilarity([1, 0], [1, 0])).toBe(1);
+    expect(cosineSimilarity([1, 0], [0, 1])).toBe(0);
+    expect(cosineSimilarity([0, 0], [1, 1])).toBe(0);
+  });
+});